@@ -0,0 +1,129 @@
+// Express application factory
+const express = require('express');
+const path = require('path');
+const compression = require('compression');
+const helmet = require('helmet');
+const cors = require('cors');
+const passport = require('./config/passport');
+const { createDataStore } = require('./data');
+const { AppError, errorHandler } = require('./middleware/errorHandler');
+
+const authRoutes = require('./routes/auth');
+const bookingRoutes = require('./routes/bookings');
+const membershipRoutes = require('./routes/memberships');
+const eventRoutes = require('./routes/events');
+const paymentRoutes = require('./routes/payments');
+const contactRoutes = require('./routes/contact');
+const adminRoutes = require('./routes/admin');
+const waitlistRoutes = require('./routes/waitlist');
+const outingRoutes = require('./routes/outings');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Parse the comma-separated CORS_ORIGINS value into a list
+const parseOrigins = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+};
+
+// Build the Express app without binding a port, so it can be used by
+// server.js, serverless handlers and supertest alike.
+// Pass `db` to reuse an existing data store, or `database` options
+// (e.g. { adapter: 'memory' }) to create one.
+const createApp = (config = {}) => {
+  const {
+    corsOrigins = parseOrigins(process.env.CORS_ORIGINS),
+    staticDir = ROOT_DIR,
+    logRequests = process.env.NODE_ENV !== 'test'
+  } = config;
+
+  const app = express();
+
+  // Routes and middleware reach the data layer through req.app.locals.db
+  app.locals.db = config.db || createDataStore(config.database);
+
+  // Enable security headers but disable CSP for local development
+  app.use(helmet({
+    contentSecurityPolicy: false
+  }));
+
+  // Compress responses
+  app.use(compression());
+
+  // Only allow browser requests from configured origins
+  app.use('/api', cors({
+    origin: (origin, callback) => {
+      // Same-origin and non-browser requests carry no Origin header
+      if (!origin || corsOrigins.includes(origin)) {
+        return callback(null, true);
+      }
+      callback(new AppError('Origin not allowed by CORS', 403));
+    },
+    credentials: true
+  }));
+
+  // Stripe signs the raw payload, so the webhook must be registered before
+  // express.json() consumes the body
+  app.post(
+    '/api/payments/webhook',
+    express.raw({ type: 'application/json' }),
+    paymentRoutes.handleWebhook
+  );
+
+  // Parse JSON bodies
+  app.use(express.json());
+
+  // Parse URL-encoded bodies
+  app.use(express.urlencoded({ extended: true }));
+
+  // Log requests during development
+  if (logRequests) {
+    app.use((req, res, next) => {
+      console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+      next();
+    });
+  }
+
+  app.use(passport.initialize());
+
+  // API routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/bookings', bookingRoutes);
+  app.use('/api/memberships', membershipRoutes);
+  app.use('/api/events', eventRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/contact', contactRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/waitlist', waitlistRoutes);
+  app.use('/api/outings', outingRoutes);
+
+  // Unknown API endpoints should not fall through to the site
+  app.all('/api/*', (req, res, next) => {
+    next(new AppError(`Cannot ${req.method} ${req.originalUrl}`, 404));
+  });
+
+  // Serve static files from both the root directory and the build output
+  app.use(express.static(staticDir));
+  app.use(express.static(path.join(staticDir, 'public')));
+
+  // For all other routes, send the index.html file
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(staticDir, 'index.html'));
+  });
+
+  // Error handling
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  parseOrigins
+};
@@ -1,5 +1,4 @@
-// Database configuration for Supabase
-const { createClient } = require('@supabase/supabase-js');
+// Database configuration
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -8,49 +7,34 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-// Supabase configuration
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-if (!supabaseUrl || !supabaseAnonKey) {
-  logger.error('Missing Supabase configuration. Please check your environment variables.');
-  process.exit(1);
-}
-
-// Create Supabase client for general use (with RLS)
-const supabase = createClient(supabaseUrl, supabaseAnonKey, {
-  auth: {
-    autoRefreshToken: true,
-    persistSession: true,
-    detectSessionInUrl: false
-  }
+// Resolve data-layer settings from the environment.
+// DATA_ADAPTER selects the backend: 'supabase' (default), 'postgres' for a
+// plain database built with `npm run migrate`, or 'memory' for
+// offline tests and demos.
+const getDatabaseConfig = (env = process.env) => ({
+  adapter: env.DATA_ADAPTER || 'supabase',
+  supabase: {
+    url: env.SUPABASE_URL,
+    anonKey: env.SUPABASE_ANON_KEY,
+    serviceKey: env.SUPABASE_SERVICE_ROLE_KEY
+  },
+  postgres: {
+    connectionString: env.DATABASE_URL
+  },
+  jwtSecret: env.JWT_SECRET || 'your-super-secret-jwt-key'
 });
 
-// Create Supabase admin client (bypasses RLS)
-const supabaseAdmin = supabaseServiceKey 
-  ? createClient(supabaseUrl, supabaseServiceKey, {
-      auth: {
-        autoRefreshToken: false,
-        persistSession: false
-      }
-    })
-  : null;
-
 // Test database connection
-async function testConnection() {
+async function testConnection(db) {
   try {
-    const { data, error } = await supabase
-      .from('admin_settings')
-      .select('setting_key')
-      .limit(1);
-    
-    if (error) {
-      logger.error('Database connection test failed:', error.message);
+    const ok = await db.ping();
+
+    if (!ok) {
+      logger.error('Database connection test failed');
       return false;
     }
-    
-    logger.info('✅ Database connection successful');
+
+    logger.info(`✅ Database connection successful (${db.adapter.name})`);
     return true;
   } catch (error) {
     logger.error('Database connection error:', error.message);
@@ -58,11 +42,7 @@ async function testConnection() {
   }
 }
 
-// Initialize database connection
-testConnection();
-
 module.exports = {
-  supabase,
-  supabaseAdmin,
+  getDatabaseConfig,
   testConnection
-};
\ No newline at end of file
+};
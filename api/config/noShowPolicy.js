@@ -0,0 +1,37 @@
+// Default no-show rules
+//
+// These are the defaults loaded by migration 013 (and into the in-memory
+// adapter). Rules live in the no_show_rules table, where admins can change
+// or switch them off. A rule counts a golfer's no-shows over the last
+// `window_days` days; at `no_show_count` it either suspends online booking
+// for `suspension_days` or requires a card on file to book.
+
+const NO_SHOW_ACTIONS = ['suspend', 'require_card'];
+
+const DEFAULT_NO_SHOW_RULES = [
+  {
+    name: 'Card on file after 2 no-shows',
+    no_show_count: 2,
+    window_days: 90,
+    action: 'require_card',
+    suspension_days: null
+  },
+  {
+    name: 'Suspend after 3 no-shows',
+    no_show_count: 3,
+    window_days: 60,
+    action: 'suspend',
+    suspension_days: 30
+  }
+];
+
+// Rows for the no_show_rules table
+const buildNoShowRuleRows = () => ({
+  no_show_rules: DEFAULT_NO_SHOW_RULES.map(rule => ({ ...rule, is_active: true }))
+});
+
+module.exports = {
+  NO_SHOW_ACTIONS,
+  DEFAULT_NO_SHOW_RULES,
+  buildNoShowRuleRows
+};
@@ -1,10 +1,60 @@
 // Passport configuration for OAuth authentication
+//
+// Strategies look up users through the data store attached to the app
+// (req.app.locals.db), so they work with any configured adapter.
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const FacebookStrategy = require('passport-facebook').Strategy;
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
-const { supabase } = require('./database');
+
+// Find or create the user for an OAuth profile
+async function findOrCreateOAuthUser(db, providerField, profile, email) {
+  // Check if user already exists with this provider ID
+  const { data: existingUser } = await db.users.findOne({ [providerField]: profile.id });
+
+  if (existingUser) {
+    // Update last login
+    await db.users.updateById(existingUser.id, { last_login: new Date().toISOString() });
+    return existingUser;
+  }
+
+  // Check if user exists with same email
+  if (email) {
+    const { data: emailUser } = await db.users.findOne({ email });
+
+    if (emailUser) {
+      // Link provider account to existing user
+      const { data: updatedUser, error: updateError } = await db.users.updateById(emailUser.id, {
+        [providerField]: profile.id,
+        is_verified: true,
+        last_login: new Date().toISOString()
+      });
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      return updatedUser;
+    }
+  }
+
+  // Create new user
+  const { data: newUser, error: createError } = await db.users.create({
+    email: email || '',
+    first_name: profile.name.givenName || '',
+    last_name: profile.name.familyName || '',
+    [providerField]: profile.id,
+    is_verified: !!email,
+    last_login: new Date().toISOString()
+  });
+
+  if (createError) {
+    throw createError;
+  }
+
+  return newUser;
+}
 
 // Serialize user for session
 passport.serializeUser((user, done) => {
@@ -12,13 +62,9 @@ passport.serializeUser((user, done) => {
 });
 
 // Deserialize user from session
-passport.deserializeUser(async (id, done) => {
+passport.deserializeUser(async (req, id, done) => {
   try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const { data: user, error } = await req.app.locals.db.users.findById(id);
 
     if (error) {
       return done(error, null);
@@ -35,73 +81,18 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
   passport.use(new GoogleStrategy({
     clientID: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: "/api/auth/google/callback"
+    callbackURL: "/api/auth/google/callback",
+    passReqToCallback: true
   },
-  async (accessToken, refreshToken, profile, done) => {
+  async (req, accessToken, refreshToken, profile, done) => {
     try {
-      // Check if user already exists with Google ID
-      const { data: existingUser, error: findError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('google_id', profile.id)
-        .single();
-
-      if (existingUser) {
-        // Update last login
-        await supabase
-          .from('users')
-          .update({ last_login: new Date().toISOString() })
-          .eq('id', existingUser.id);
-
-        return done(null, existingUser);
-      }
-
-      // Check if user exists with same email
-      const { data: emailUser, error: emailError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('email', profile.emails[0].value)
-        .single();
-
-      if (emailUser) {
-        // Link Google account to existing user
-        const { data: updatedUser, error: updateError } = await supabase
-          .from('users')
-          .update({
-            google_id: profile.id,
-            is_verified: true,
-            last_login: new Date().toISOString()
-          })
-          .eq('id', emailUser.id)
-          .select()
-          .single();
-
-        if (updateError) {
-          return done(updateError, null);
-        }
-
-        return done(null, updatedUser);
-      }
-
-      // Create new user
-      const { data: newUser, error: createError } = await supabase
-        .from('users')
-        .insert({
-          email: profile.emails[0].value,
-          first_name: profile.name.givenName || '',
-          last_name: profile.name.familyName || '',
-          google_id: profile.id,
-          is_verified: true,
-          last_login: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        return done(createError, null);
-      }
-
-      return done(null, newUser);
+      const user = await findOrCreateOAuthUser(
+        req.app.locals.db,
+        'google_id',
+        profile,
+        profile.emails[0].value
+      );
+      return done(null, user);
     } catch (error) {
       return done(error, null);
     }
@@ -114,77 +105,14 @@ if (process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET) {
     clientID: process.env.FACEBOOK_APP_ID,
     clientSecret: process.env.FACEBOOK_APP_SECRET,
     callbackURL: "/api/auth/facebook/callback",
-    profileFields: ['id', 'emails', 'name']
+    profileFields: ['id', 'emails', 'name'],
+    passReqToCallback: true
   },
-  async (accessToken, refreshToken, profile, done) => {
+  async (req, accessToken, refreshToken, profile, done) => {
     try {
-      // Check if user already exists with Facebook ID
-      const { data: existingUser, error: findError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('facebook_id', profile.id)
-        .single();
-
-      if (existingUser) {
-        // Update last login
-        await supabase
-          .from('users')
-          .update({ last_login: new Date().toISOString() })
-          .eq('id', existingUser.id);
-
-        return done(null, existingUser);
-      }
-
-      // Check if user exists with same email
       const email = profile.emails && profile.emails[0] ? profile.emails[0].value : null;
-      
-      if (email) {
-        const { data: emailUser, error: emailError } = await supabase
-          .from('users')
-          .select('*')
-          .eq('email', email)
-          .single();
-
-        if (emailUser) {
-          // Link Facebook account to existing user
-          const { data: updatedUser, error: updateError } = await supabase
-            .from('users')
-            .update({
-              facebook_id: profile.id,
-              is_verified: true,
-              last_login: new Date().toISOString()
-            })
-            .eq('id', emailUser.id)
-            .select()
-            .single();
-
-          if (updateError) {
-            return done(updateError, null);
-          }
-
-          return done(null, updatedUser);
-        }
-      }
-
-      // Create new user
-      const { data: newUser, error: createError } = await supabase
-        .from('users')
-        .insert({
-          email: email || '',
-          first_name: profile.name.givenName || '',
-          last_name: profile.name.familyName || '',
-          facebook_id: profile.id,
-          is_verified: !!email,
-          last_login: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        return done(createError, null);
-      }
-
-      return done(null, newUser);
+      const user = await findOrCreateOAuthUser(req.app.locals.db, 'facebook_id', profile, email);
+      return done(null, user);
     } catch (error) {
       return done(error, null);
     }
@@ -194,14 +122,11 @@ if (process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET) {
 // JWT Strategy for API authentication
 passport.use(new JwtStrategy({
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-  secretOrKey: process.env.JWT_SECRET || 'your-super-secret-jwt-key'
-}, async (payload, done) => {
+  secretOrKey: process.env.JWT_SECRET || 'your-super-secret-jwt-key',
+  passReqToCallback: true
+}, async (req, payload, done) => {
   try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', payload.sub)
-      .single();
+    const { data: user, error } = await req.app.locals.db.users.findById(payload.sub);
 
     if (error) {
       return done(error, false);
@@ -217,4 +142,4 @@ passport.use(new JwtStrategy({
   }
 }));
 
-module.exports = passport;
\ No newline at end of file
+module.exports = passport;
@@ -0,0 +1,75 @@
+// Role and permission catalogue
+//
+// These are the defaults loaded by migration 003 (and into the in-memory
+// adapter). Grants live in the role_permissions table, so a course can
+// adjust them in the database without a code change.
+
+const PERMISSIONS = {
+  'dashboard:view': 'View the admin dashboard',
+  'bookings:manage': 'View and change any tee time booking, run the tee sheet and check-ins',
+  'conditions:manage': 'Post daily course conditions',
+  'events:manage': 'Create and update events and view registrations',
+  'memberships:manage': 'View all memberships and verify student/alumni status',
+  'contact:manage': 'Read and answer contact messages',
+  'reports:view': 'View and export revenue, booking and membership reports',
+  'payments:refund': 'Issue payment refunds',
+  'settings:manage': 'Change course settings',
+  'users:manage': 'Assign roles to users'
+};
+
+const ROLES = {
+  admin: {
+    description: 'Full access to every management feature',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  staff: {
+    description: 'Pro shop staff: tee sheets, check-ins, events, memberships and messages',
+    permissions: [
+      'dashboard:view',
+      'bookings:manage',
+      'conditions:manage',
+      'events:manage',
+      'memberships:manage',
+      'contact:manage'
+    ]
+  },
+  starter: {
+    description: 'Starter: runs the tee sheet and check-ins',
+    permissions: ['bookings:manage', 'conditions:manage']
+  },
+  treasurer: {
+    description: 'Treasurer: financial reports only',
+    permissions: ['dashboard:view', 'reports:view']
+  },
+  member: {
+    description: 'Golfer account with no management access',
+    permissions: []
+  }
+};
+
+const DEFAULT_ROLE = 'member';
+
+// Rows for the roles, permissions and role_permissions tables
+const buildRbacRows = () => ({
+  roles: Object.entries(ROLES).map(([name, role]) => ({
+    name,
+    description: role.description
+  })),
+  permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+    name,
+    description
+  })),
+  role_permissions: Object.entries(ROLES).flatMap(([roleName, role]) =>
+    role.permissions.map(permissionName => ({
+      role_name: roleName,
+      permission_name: permissionName
+    }))
+  )
+});
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  buildRbacRows
+};
@@ -0,0 +1,51 @@
+// Rate class catalogue
+//
+// These are the defaults loaded by migration 008 (and into the in-memory
+// adapter). Prices live in the green_fee_rates table; a class without its
+// own rate for a tee time is charged the standard rate.
+
+const RATE_CLASSES = {
+  standard: {
+    name: 'Standard',
+    description: 'Regular public green fee',
+    requires_membership: false
+  },
+  senior: {
+    name: 'Senior',
+    description: 'Golfers 65 and over',
+    requires_membership: false
+  },
+  junior: {
+    name: 'Junior',
+    description: 'Golfers 17 and under',
+    requires_membership: false
+  },
+  member_guest: {
+    name: 'Member Guest',
+    description: 'Guests playing with a current member',
+    requires_membership: true
+  },
+  resident: {
+    name: 'County Resident',
+    description: 'Rooks County residents (proof of address at check-in)',
+    requires_membership: false
+  }
+};
+
+const DEFAULT_RATE_CLASS = 'standard';
+
+// Rows for the rate_classes table
+const buildRateClassRows = () => ({
+  rate_classes: Object.entries(RATE_CLASSES).map(([code, rateClass], index) => ({
+    code,
+    ...rateClass,
+    is_active: true,
+    sort_order: index + 1
+  }))
+});
+
+module.exports = {
+  RATE_CLASSES,
+  DEFAULT_RATE_CLASS,
+  buildRateClassRows
+};
@@ -0,0 +1,334 @@
+// In-memory adapter for tests and offline development
+//
+// Rows live in plain arrays keyed by table name. Every read and write
+// copies rows so callers can never mutate the store by accident. Unique
+// constraints that the routes rely on for 409 responses are enforced here
+// with the same Postgres error code (23505) the other adapters surface.
+//
+// Pass `latency` (milliseconds) to make every call wait before touching the
+// store, like a network round trip would. Tests use it to interleave
+// concurrent requests the way a real database does.
+const { randomUUID, randomInt } = require('crypto');
+
+const UNIQUE_KEYS = {
+  users: [['email']],
+  event_registrations: [['event_id', 'user_id']],
+  course_conditions: [['condition_date']],
+  admin_settings: [['setting_key']],
+  roles: [['name']],
+  permissions: [['name']],
+  role_permissions: [['role_name', 'permission_name']],
+  rate_classes: [['code']],
+  booking_series_conflicts: [['series_id', 'occurrence_date', 'tee_time', 'reason']],
+  outing_players: [['outing_id', 'position']],
+  booking_standings: [['user_id']],
+  guest_standing_notices: [['email']],
+  tee_times: [['confirmation_code']],
+  payment_transactions: [['idempotency_key']],
+  account_credits: [['idempotency_key']],
+  carts: [['cart_number']]
+};
+
+// Look-alike characters (0/O, 1/I) are left out of confirmation codes
+const CONFIRMATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Mirrors generate_confirmation_code() in 017_confirmation_codes.up.sql
+const confirmationCode = () => Array.from(
+  { length: 8 },
+  () => CONFIRMATION_CODE_ALPHABET[randomInt(CONFIRMATION_CODE_ALPHABET.length)]
+).join('');
+
+// Column defaults the database fills in beyond id and timestamps
+const COLUMN_DEFAULTS = {
+  tee_times: { confirmation_code: confirmationCode }
+};
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'like', 'ilike', 'is'];
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === 'object' &&
+  !Array.isArray(condition) &&
+  Object.keys(condition).length > 0 &&
+  Object.keys(condition).every(key => OPERATORS.includes(key));
+
+const likeToRegExp = (pattern, flags) => {
+  const source = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, flags);
+};
+
+// NULL never equals or differs from anything in SQL, so only `is` matches
+// a null column
+const compare = (op, value, expected) => {
+  switch (op) {
+    case 'eq':
+      return value != null && value === expected;
+    case 'neq':
+      return value != null && value !== expected;
+    case 'gt':
+      return value != null && value > expected;
+    case 'gte':
+      return value != null && value >= expected;
+    case 'lt':
+      return value != null && value < expected;
+    case 'lte':
+      return value != null && value <= expected;
+    case 'in':
+      return value != null && expected.includes(value);
+    case 'like':
+      return value != null && likeToRegExp(expected).test(value);
+    case 'ilike':
+      return value != null && likeToRegExp(expected, 'i').test(value);
+    case 'is':
+      return expected === null ? value == null : value === expected;
+    default:
+      return false;
+  }
+};
+
+const matches = (row, filters = {}) =>
+  Object.entries(filters).every(([column, condition]) => {
+    const value = row[column];
+
+    if (condition === null) {
+      return value == null;
+    }
+
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([op, expected]) => compare(op, value, expected));
+    }
+
+    return value === condition;
+  });
+
+// Parse 'column' / 'column desc' order entries
+const parseOrder = (entry) => {
+  const [column, direction = 'asc'] = entry.trim().split(/\s+/);
+  return { column, ascending: direction.toLowerCase() !== 'desc' };
+};
+
+const sortRows = (rows, order = []) => {
+  const clauses = order.map(parseOrder);
+
+  return rows.sort((a, b) => {
+    for (const { column, ascending } of clauses) {
+      const left = a[column];
+      const right = b[column];
+
+      if (left === right) continue;
+      // Nulls sort as the largest value, as in Postgres: last ascending,
+      // first descending
+      if (left == null) return ascending ? 1 : -1;
+      if (right == null) return ascending ? -1 : 1;
+
+      const result = left < right ? -1 : 1;
+      return ascending ? result : -result;
+    }
+    return 0;
+  });
+};
+
+const project = (row, columns) => {
+  if (!columns) {
+    return row;
+  }
+
+  return columns.reduce((acc, column) => {
+    acc[column] = row[column];
+    return acc;
+  }, {});
+};
+
+const duplicateError = (table, columns) => ({
+  code: '23505',
+  message: `duplicate key value violates unique constraint on ${table} (${columns.join(', ')})`
+});
+
+class MemoryAdapter {
+  constructor({ seed = {}, procedures = {}, latency = 0 } = {}) {
+    this.name = 'memory';
+    this.tables = {};
+    this.procedures = procedures;
+    this.latency = latency;
+
+    Object.entries(seed).forEach(([table, rows]) => {
+      this.tables[table] = rows.map(row => this.withDefaults(table, row));
+    });
+  }
+
+  rows(table) {
+    if (!this.tables[table]) {
+      this.tables[table] = [];
+    }
+    return this.tables[table];
+  }
+
+  withDefaults(table, row) {
+    const now = new Date().toISOString();
+    const defaults = Object.entries(COLUMN_DEFAULTS[table] || {})
+      .reduce((acc, [column, value]) => ({ ...acc, [column]: value() }), {});
+
+    return {
+      id: randomUUID(),
+      created_at: now,
+      updated_at: now,
+      ...defaults,
+      ...clone(row)
+    };
+  }
+
+  findDuplicate(table, candidate, ignoreId) {
+    const keys = [['id'], ...(UNIQUE_KEYS[table] || [])];
+
+    return keys.find(columns =>
+      columns.every(column => candidate[column] != null) &&
+      this.rows(table).some(row =>
+        row.id !== ignoreId &&
+        columns.every(column => row[column] === candidate[column])
+      )
+    );
+  }
+
+  // Simulated round trip before each call reaches the store
+  async roundTrip() {
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+  }
+
+  async select(table, { filters, columns, order, limit, offset = 0, count, head } = {}) {
+    await this.roundTrip();
+
+    const matched = sortRows(this.rows(table).filter(row => matches(row, filters)), order);
+    const total = count ? matched.length : null;
+
+    if (head) {
+      return { data: null, error: null, count: total };
+    }
+
+    const end = limit === undefined ? undefined : offset + limit;
+    const data = matched
+      .slice(offset, end)
+      .map(row => project(clone(row), columns));
+
+    return { data, error: null, count: total };
+  }
+
+  async insert(table, rows) {
+    await this.roundTrip();
+    return this.insertRows(table, rows);
+  }
+
+  // Synchronous insert, so database functions can check and write in one step
+  insertRows(table, rows) {
+    const prepared = rows.map(row => this.withDefaults(table, row));
+
+    for (const [index, row] of prepared.entries()) {
+      const duplicate = this.findDuplicate(table, row) ||
+        prepared.slice(0, index).find(other => other.id === row.id) && ['id'];
+
+      if (duplicate) {
+        return { data: null, error: duplicateError(table, duplicate) };
+      }
+    }
+
+    this.rows(table).push(...prepared);
+    return { data: clone(prepared), error: null };
+  }
+
+  async update(table, filters, changes) {
+    await this.roundTrip();
+    return this.updateRows(table, filters, changes);
+  }
+
+  updateRows(table, filters, changes) {
+    const targets = this.rows(table).filter(row => matches(row, filters));
+
+    for (const row of targets) {
+      const duplicate = this.findDuplicate(table, { ...row, ...changes }, row.id);
+      if (duplicate) {
+        return { data: null, error: duplicateError(table, duplicate) };
+      }
+    }
+
+    const updatedAt = new Date().toISOString();
+    targets.forEach(row => Object.assign(row, clone(changes), { updated_at: updatedAt }));
+
+    return { data: clone(targets), error: null };
+  }
+
+  async upsert(table, row, { onConflict = 'id' } = {}) {
+    await this.roundTrip();
+
+    const columns = onConflict.split(',').map(column => column.trim());
+    const filters = columns.reduce((acc, column) => {
+      acc[column] = row[column];
+      return acc;
+    }, {});
+
+    const existing = this.rows(table).find(candidate => matches(candidate, filters));
+
+    if (existing) {
+      return this.updateRows(table, { id: existing.id }, row);
+    }
+
+    return this.insertRows(table, [row]);
+  }
+
+  async remove(table, filters) {
+    await this.roundTrip();
+
+    const kept = [];
+    const removed = [];
+
+    this.rows(table).forEach(row => (matches(row, filters) ? removed : kept).push(row));
+    this.tables[table] = kept;
+
+    return { data: clone(removed), error: null };
+  }
+
+  // Database functions are plain JavaScript here; each receives the
+  // adapter so it can read and write tables in one uninterrupted step
+  async rpc(name, params = {}) {
+    await this.roundTrip();
+
+    const procedure = this.procedures[name];
+
+    if (!procedure) {
+      return { data: null, error: { message: `Unknown database function ${name}` } };
+    }
+
+    try {
+      return { data: clone(procedure(this, params)), error: null };
+    } catch (error) {
+      return { data: null, error: { code: error.code, message: error.message } };
+    }
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async close() {}
+
+  // Drop every row, optionally replacing the store with a fresh seed
+  reset(seed = {}) {
+    this.tables = {};
+    Object.entries(seed).forEach(([table, rows]) => {
+      this.tables[table] = rows.map(row => this.withDefaults(table, row));
+    });
+  }
+}
+
+const createMemoryAdapter = (options) => new MemoryAdapter(options);
+
+module.exports = {
+  MemoryAdapter,
+  createMemoryAdapter,
+  matches
+};
@@ -0,0 +1,243 @@
+// Plain PostgreSQL adapter (node-postgres) for databases created from
+// database/migrations without Supabase in front of them
+const { Pool, types } = require('pg');
+
+const DATE_OID = 1082;
+const NUMERIC_OID = 1700;
+
+// Match the values Supabase returns: dates as 'YYYY-MM-DD' strings and
+// DECIMAL columns as numbers
+const typeParsers = {
+  getTypeParser(oid, format) {
+    if (oid === DATE_OID) {
+      return (value) => value;
+    }
+    if (oid === NUMERIC_OID) {
+      return (value) => (value === null ? null : parseFloat(value));
+    }
+    return types.getTypeParser(oid, format);
+  }
+};
+
+const COMPARISONS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE'
+};
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+
+// JSONB columns take serialized objects and arrays
+const toParam = (value) => {
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+const buildWhere = (filters = {}, params) => {
+  const clauses = [];
+
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  Object.entries(filters).forEach(([column, condition]) => {
+    const target = quote(column);
+
+    if (condition === null) {
+      clauses.push(`${target} IS NULL`);
+    } else if (typeof condition === 'object' && !Array.isArray(condition)) {
+      Object.entries(condition).forEach(([op, value]) => {
+        if (op === 'in') {
+          clauses.push(`${target} = ANY(${addParam(value)})`);
+        } else if (op === 'is') {
+          clauses.push(value === null ? `${target} IS NULL` : `${target} IS ${value ? 'TRUE' : 'FALSE'}`);
+        } else if (COMPARISONS[op]) {
+          clauses.push(`${target} ${COMPARISONS[op]} ${addParam(value)}`);
+        } else {
+          throw new Error(`Unsupported filter operator: ${op}`);
+        }
+      });
+    } else {
+      clauses.push(`${target} = ${addParam(condition)}`);
+    }
+  });
+
+  return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+};
+
+const buildOrder = (order = []) => {
+  if (order.length === 0) {
+    return '';
+  }
+
+  const clauses = order.map(entry => {
+    const [column, direction = 'asc'] = entry.trim().split(/\s+/);
+    return `${quote(column)} ${direction.toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`;
+  });
+
+  return ` ORDER BY ${clauses.join(', ')}`;
+};
+
+const toError = (error) => ({
+  code: error.code,
+  message: error.message,
+  details: error.detail
+});
+
+class PostgresAdapter {
+  constructor({ connectionString, pool } = {}) {
+    if (!pool && !connectionString) {
+      throw new Error('Missing PostgreSQL configuration. Please set DATABASE_URL.');
+    }
+
+    this.name = 'postgres';
+    this.pool = pool || new Pool({ connectionString, types: typeParsers });
+  }
+
+  async run(sql, params = []) {
+    try {
+      const result = await this.pool.query(sql, params);
+      return { data: result.rows, error: null };
+    } catch (error) {
+      return { data: null, error: toError(error) };
+    }
+  }
+
+  async select(table, { filters, columns, order, limit, offset, count, head } = {}) {
+    const params = [];
+    const where = buildWhere(filters, params);
+    let total = null;
+
+    if (count) {
+      const { data, error } = await this.run(`SELECT COUNT(*)::int AS count FROM ${quote(table)}${where}`, params);
+      if (error) {
+        return { data: null, error, count: null };
+      }
+      total = data[0].count;
+    }
+
+    if (head) {
+      return { data: null, error: null, count: total };
+    }
+
+    const selectList = columns ? columns.map(quote).join(', ') : '*';
+    let sql = `SELECT ${selectList} FROM ${quote(table)}${where}${buildOrder(order)}`;
+    const pageParams = [...params];
+
+    if (limit !== undefined) {
+      pageParams.push(limit);
+      sql += ` LIMIT $${pageParams.length}`;
+    }
+    if (offset) {
+      pageParams.push(offset);
+      sql += ` OFFSET $${pageParams.length}`;
+    }
+
+    const { data, error } = await this.run(sql, pageParams);
+    return { data, error, count: total };
+  }
+
+  async insert(table, rows) {
+    if (rows.length === 0) {
+      return { data: [], error: null };
+    }
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const params = [];
+    const values = rows.map(row => {
+      const placeholders = columns.map(column => {
+        if (row[column] === undefined) {
+          return 'DEFAULT';
+        }
+        params.push(toParam(row[column]));
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    return this.run(
+      `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES ${values.join(', ')} RETURNING *`,
+      params
+    );
+  }
+
+  async update(table, filters, changes) {
+    const params = [];
+    const assignments = Object.entries(changes)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => {
+        params.push(toParam(value));
+        return `${quote(column)} = $${params.length}`;
+      });
+
+    if (assignments.length === 0) {
+      return this.select(table, { filters });
+    }
+
+    const where = buildWhere(filters, params);
+    return this.run(`UPDATE ${quote(table)} SET ${assignments.join(', ')}${where} RETURNING *`, params);
+  }
+
+  async upsert(table, row, { onConflict = 'id' } = {}) {
+    const columns = Object.keys(row).filter(column => row[column] !== undefined);
+    const conflictColumns = onConflict.split(',').map(column => column.trim());
+    const params = columns.map(column => toParam(row[column]));
+    const updates = columns
+      .filter(column => !conflictColumns.includes(column))
+      .map(column => `${quote(column)} = EXCLUDED.${quote(column)}`);
+
+    const conflictAction = updates.length > 0
+      ? `DO UPDATE SET ${updates.join(', ')}`
+      : 'DO NOTHING';
+
+    return this.run(
+      `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) ` +
+      `VALUES (${params.map((_, index) => `$${index + 1}`).join(', ')}) ` +
+      `ON CONFLICT (${conflictColumns.map(quote).join(', ')}) ${conflictAction} RETURNING *`,
+      params
+    );
+  }
+
+  async remove(table, filters) {
+    const params = [];
+    const where = buildWhere(filters, params);
+    return this.run(`DELETE FROM ${quote(table)}${where} RETURNING *`, params);
+  }
+
+  // Database functions are called with named arguments, mirroring
+  // supabase.rpc(); set-returning functions come back as row arrays
+  async rpc(name, params = {}) {
+    const entries = Object.entries(params);
+    const args = entries.map(([key], index) => `${quote(key)} => $${index + 1}`);
+
+    return this.run(
+      `SELECT * FROM ${quote(name)}(${args.join(', ')})`,
+      entries.map(([, value]) => toParam(value))
+    );
+  }
+
+  async ping() {
+    const { error } = await this.run('SELECT 1');
+    return !error;
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+const createPostgresAdapter = (options) => new PostgresAdapter(options);
+
+module.exports = {
+  PostgresAdapter,
+  createPostgresAdapter,
+  buildWhere
+};
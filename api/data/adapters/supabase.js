@@ -0,0 +1,118 @@
+// Supabase adapter
+const { createClient } = require('@supabase/supabase-js');
+
+const applyFilters = (query, filters = {}) => {
+  Object.entries(filters).forEach(([column, condition]) => {
+    if (condition === null) {
+      query = query.is(column, null);
+    } else if (typeof condition === 'object' && !Array.isArray(condition)) {
+      Object.entries(condition).forEach(([op, value]) => {
+        query = query[op](column, value);
+      });
+    } else {
+      query = query.eq(column, condition);
+    }
+  });
+
+  return query;
+};
+
+const applyOrder = (query, order = []) => {
+  order.forEach(entry => {
+    const [column, direction = 'asc'] = entry.trim().split(/\s+/);
+    query = query.order(column, { ascending: direction.toLowerCase() !== 'desc' });
+  });
+
+  return query;
+};
+
+class SupabaseAdapter {
+  constructor({ url, anonKey, serviceKey } = {}) {
+    if (!url || !anonKey) {
+      throw new Error('Missing Supabase configuration. Please set SUPABASE_URL and SUPABASE_ANON_KEY.');
+    }
+
+    this.name = 'supabase';
+
+    // Client used for Supabase Auth calls on behalf of golfers
+    this.client = createClient(url, anonKey, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false,
+        detectSessionInUrl: false
+      }
+    });
+
+    // Table access goes through the service role client when available,
+    // since the API enforces its own authorization rules
+    this.dataClient = serviceKey
+      ? createClient(url, serviceKey, {
+          auth: {
+            autoRefreshToken: false,
+            persistSession: false
+          }
+        })
+      : this.client;
+
+    this.auth = this.client.auth;
+  }
+
+  async select(table, { filters, columns, order, limit, offset = 0, count, head } = {}) {
+    let query = this.dataClient
+      .from(table)
+      .select(columns ? columns.join(', ') : '*', count ? { count: 'exact', head: !!head } : undefined);
+
+    query = applyOrder(applyFilters(query, filters), order);
+
+    if (limit !== undefined && !head) {
+      query = query.range(offset, offset + limit - 1);
+    }
+
+    const { data, error, count: total } = await query;
+    return { data, error, count: count ? total : null };
+  }
+
+  async insert(table, rows) {
+    const { data, error } = await this.dataClient.from(table).insert(rows).select();
+    return { data, error };
+  }
+
+  async update(table, filters, changes) {
+    const query = applyFilters(this.dataClient.from(table).update(changes), filters);
+    const { data, error } = await query.select();
+    return { data, error };
+  }
+
+  async upsert(table, row, { onConflict = 'id' } = {}) {
+    const { data, error } = await this.dataClient
+      .from(table)
+      .upsert(row, { onConflict })
+      .select();
+    return { data, error };
+  }
+
+  async remove(table, filters) {
+    const query = applyFilters(this.dataClient.from(table).delete(), filters);
+    const { data, error } = await query.select();
+    return { data, error };
+  }
+
+  async rpc(name, params = {}) {
+    const { data, error } = await this.dataClient.rpc(name, params);
+    return { data, error };
+  }
+
+  async ping() {
+    const { error } = await this.select('admin_settings', { columns: ['setting_key'], limit: 1 });
+    return !error;
+  }
+
+  async close() {}
+}
+
+const createSupabaseAdapter = (options) => new SupabaseAdapter(options);
+
+module.exports = {
+  SupabaseAdapter,
+  createSupabaseAdapter
+};
@@ -0,0 +1,52 @@
+// Data-access layer entry point
+const { getDatabaseConfig } = require('../config/database');
+const { buildRbacRows } = require('../config/permissions');
+const { buildRateClassRows } = require('../config/pricing');
+const { buildNoShowRuleRows } = require('../config/noShowPolicy');
+const { createRepositories } = require('./repositories');
+const { createLocalAuth } = require('./localAuth');
+const memoryProcedures = require('./procedures');
+const { createMemoryAdapter } = require('./adapters/memory');
+const { createPostgresAdapter } = require('./adapters/postgres');
+const { createSupabaseAdapter } = require('./adapters/supabase');
+
+const createAdapter = (config) => {
+  switch (config.adapter) {
+    case 'supabase':
+      return createSupabaseAdapter(config.supabase);
+    case 'postgres':
+      return createPostgresAdapter(config.postgres);
+    case 'memory':
+      // Start with the reference rows and database functions the SQL
+      // migrations would have created
+      return createMemoryAdapter({
+        ...config.memory,
+        seed: { ...buildRbacRows(), ...buildRateClassRows(), ...buildNoShowRuleRows(), ...config.memory?.seed },
+        procedures: { ...memoryProcedures, ...config.memory?.procedures }
+      });
+    default:
+      throw new Error(`Unknown data adapter "${config.adapter}". Use supabase, postgres or memory.`);
+  }
+};
+
+// Create the repositories, auth provider and adapter for one app instance.
+// Options override the environment-derived configuration, e.g.
+// createDataStore({ adapter: 'memory', memory: { seed } }) in tests.
+const createDataStore = (options = {}) => {
+  const config = { ...getDatabaseConfig(), ...options };
+  const adapter = options.instance || createAdapter(config);
+  const repositories = createRepositories(adapter);
+
+  return {
+    adapter,
+    ...repositories,
+    auth: adapter.auth || createLocalAuth({ users: repositories.users, jwtSecret: config.jwtSecret }),
+    rpc: (name, params) => adapter.rpc(name, params),
+    ping: () => adapter.ping(),
+    close: () => adapter.close()
+  };
+};
+
+module.exports = {
+  createDataStore
+};
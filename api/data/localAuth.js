@@ -0,0 +1,131 @@
+// Local authentication provider used when the data layer is not Supabase
+//
+// Mirrors the subset of the `supabase.auth` API the routes call, storing
+// bcrypt password hashes in `users.password_hash` and issuing JWTs signed
+// with JWT_SECRET (the same tokens the passport JWT strategy accepts).
+const { randomUUID } = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = 60 * 60; // 1 hour
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+
+const unsupported = (feature) => async () => ({
+  data: null,
+  error: { message: `${feature} is not supported by the local auth provider` }
+});
+
+const toAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  user_metadata: {
+    first_name: user.first_name,
+    last_name: user.last_name
+  }
+});
+
+const createLocalAuth = ({ users, jwtSecret }) => {
+  const issueSession = (user) => {
+    const accessToken = jwt.sign({ sub: user.id, email: user.email }, jwtSecret, {
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+    const refreshToken = jwt.sign({ sub: user.id, type: 'refresh' }, jwtSecret, {
+      expiresIn: REFRESH_TOKEN_TTL
+    });
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'bearer',
+      expires_in: ACCESS_TOKEN_TTL,
+      user: toAuthUser(user)
+    };
+  };
+
+  const verify = (token, expectedType) => {
+    try {
+      const payload = jwt.verify(token, jwtSecret);
+      return payload.type === expectedType ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    async signUp({ email, password, options = {} }) {
+      const profile = options.data || {};
+      const { data: user, error } = await users.create({
+        id: randomUUID(),
+        email,
+        password_hash: await bcrypt.hash(password, 10),
+        first_name: profile.first_name || '',
+        last_name: profile.last_name || '',
+        is_verified: false
+      });
+
+      if (error) {
+        return { data: { user: null, session: null }, error };
+      }
+
+      return { data: { user: toAuthUser(user), session: issueSession(user) }, error: null };
+    },
+
+    async signInWithPassword({ email, password }) {
+      const { data: user } = await users.findOne({ email });
+      const valid = user?.password_hash && await bcrypt.compare(password, user.password_hash);
+
+      if (!valid) {
+        return { data: { user: null, session: null }, error: { message: 'Invalid login credentials' } };
+      }
+
+      return { data: { user: toAuthUser(user), session: issueSession(user) }, error: null };
+    },
+
+    async getUser(token) {
+      const payload = verify(token, undefined);
+      const { data: user } = payload ? await users.findById(payload.sub) : { data: null };
+
+      if (!user) {
+        return { data: { user: null }, error: { message: 'Invalid or expired token' } };
+      }
+
+      return { data: { user: toAuthUser(user) }, error: null };
+    },
+
+    async refreshSession({ refresh_token }) {
+      const payload = verify(refresh_token, 'refresh');
+      const { data: user } = payload ? await users.findById(payload.sub) : { data: null };
+
+      if (!user) {
+        return { data: { session: null }, error: { message: 'Invalid refresh token' } };
+      }
+
+      return { data: { session: issueSession(user), user: toAuthUser(user) }, error: null };
+    },
+
+    // Tokens are stateless; clients discard them on logout
+    async signOut() {
+      return { error: null };
+    },
+
+    resetPasswordForEmail: unsupported('Password reset email'),
+    verifyOtp: unsupported('One-time password verification'),
+    updateUser: unsupported('Password change'),
+    resend: unsupported('Verification email'),
+    exchangeCodeForSession: unsupported('OAuth code exchange'),
+
+    admin: {
+      async deleteUser(id) {
+        const { error } = await users.remove({ id });
+        return { data: null, error };
+      }
+    },
+
+    // Exposed for tests and seed scripts that need a ready-made session
+    issueSession
+  };
+};
+
+module.exports = {
+  createLocalAuth
+};
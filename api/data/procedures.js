@@ -0,0 +1,422 @@
+// In-memory versions of the database functions defined in
+// database/migrations, used by the memory adapter.
+//
+// Each procedure receives the adapter and the named parameters and must run
+// synchronously: with no await between its reads and writes, nothing else
+// can touch the store mid-call, which gives the same all-or-nothing result
+// the SQL functions get from their transaction and locks.
+
+const crypto = require('crypto');
+
+// Errors carry the Postgres SQLSTATE the SQL function raises
+const procedureError = (code, message) => Object.assign(new Error(message), { code });
+
+const sameSlot = (row, bookingDate, teeTime) =>
+  row.booking_date === bookingDate && String(row.tee_time).slice(0, 5) === teeTime.slice(0, 5);
+
+const isActiveHold = (hold, now) => hold.status === 'active' && hold.expires_at > now;
+
+// Mirrors tee_time_slot_usage(p_date, p_time, p_exclude_hold_id) in 006_slot_holds.up.sql
+const slotUsage = (adapter, bookingDate, teeTime, { excludeHoldId = null, now = new Date().toISOString() } = {}) => {
+  const taken = [
+    ...adapter.rows('tee_times').filter(row =>
+      sameSlot(row, bookingDate, teeTime) && row.status === 'confirmed'
+    ),
+    ...adapter.rows('tee_time_holds').filter(hold =>
+      sameSlot(hold, bookingDate, teeTime) && isActiveHold(hold, now) && hold.id !== excludeHoldId
+    )
+  ];
+
+  return {
+    players: taken.reduce((sum, row) => sum + row.number_of_players, 0),
+    isPrivate: taken.some(row => row.is_private)
+  };
+};
+
+// Mirrors assert_tee_time_capacity(...) in 006_slot_holds.up.sql
+const assertCapacity = (usage, { players, isPrivate, capacity }) => {
+  if (usage.isPrivate) {
+    throw procedureError('23505', 'This tee time is reserved for a private group');
+  }
+
+  if (isPrivate && usage.players > 0) {
+    throw procedureError('23505', 'Other golfers have already joined this tee time, so it cannot be booked as private');
+  }
+
+  if (usage.players >= capacity) {
+    throw procedureError('23505', 'This tee time is already booked');
+  }
+
+  if (usage.players + players > capacity) {
+    throw procedureError('23505', `Only ${capacity - usage.players} spot(s) left at this tee time`);
+  }
+};
+
+// Mirrors cart_fleet_size(p_date) in 022_cart_fleet.up.sql: null while no
+// carts are set up
+const cartFleetSize = (adapter, date) => {
+  const carts = adapter.rows('carts').filter(cart => cart.status === 'active');
+
+  if (carts.length === 0) {
+    return null;
+  }
+
+  const outages = adapter.rows('cart_outages').filter(outage =>
+    String(outage.start_date).slice(0, 10) <= date &&
+    (!outage.end_date || String(outage.end_date).slice(0, 10) >= date)
+  );
+
+  return carts.filter(cart => !outages.some(outage => outage.cart_id === cart.id)).length;
+};
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Rows from before migration 022 took one cart
+const fleetCarts = (row) => Number(row.fleet_carts ?? (row.cart_rental ? 1 : 0));
+
+// Mirrors carts_in_use(p_date, p_time, p_minutes, p_round_minutes, p_exclude_id) in 022_cart_fleet.up.sql
+const cartsInUse = (adapter, bookingDate, teeTime, minutes, roundMinutes, excludeId = null) => {
+  const start = minutesOfDay(teeTime);
+  const rounds = adapter.rows('tee_times')
+    .filter(row =>
+      row.booking_date === bookingDate && row.status === 'confirmed' && fleetCarts(row) > 0 && row.id !== excludeId
+    )
+    .map(row => {
+      const startsAt = minutesOfDay(row.tee_time);
+      return { startsAt, endsAt: startsAt + (Number(roundMinutes[row.green_fee_type]) || minutes), carts: fleetCarts(row) };
+    });
+
+  // Usage only goes up when a round starts
+  const moments = [start, ...rounds.map(round => round.startsAt).filter(at => at > start && at < start + minutes)];
+
+  return Math.max(...moments.map(at => rounds
+    .filter(round => round.startsAt <= at && round.endsAt > at)
+    .reduce((sum, round) => sum + round.carts, 0)));
+};
+
+// Mirrors assert_cart_availability(...) in 022_cart_fleet.up.sql; `excludeId`
+// is a booking moving, whose own carts are free
+const assertCartAvailability = (adapter, booking, roundMinutes, { excludeId = null } = {}) => {
+  const fleet = cartFleetSize(adapter, booking.booking_date);
+  const carts = fleetCarts(booking);
+
+  if (fleet === null || carts <= 0) {
+    return;
+  }
+
+  const inUse = cartsInUse(
+    adapter, booking.booking_date, booking.tee_time, Number(roundMinutes[booking.green_fee_type]), roundMinutes, excludeId
+  );
+
+  if (inUse >= fleet) {
+    throw procedureError('23505', 'No carts left at this tee time');
+  }
+
+  if (inUse + carts > fleet) {
+    throw procedureError('23505', `Only ${fleet - inUse} cart(s) left at this tee time`);
+  }
+};
+
+const insertOrThrow = (adapter, table, row) => {
+  const { data, error } = adapter.insertRows(table, [row]);
+
+  if (error) {
+    throw procedureError(error.code, error.message);
+  }
+
+  return data;
+};
+
+// Mirrors hold_tee_time(p_hold, p_capacity, p_ttl_minutes) in 006_slot_holds.up.sql
+const hold_tee_time = (adapter, { p_hold, p_capacity = 4, p_ttl_minutes = 10 }) => {
+  const now = Date.now();
+
+  assertCapacity(slotUsage(adapter, p_hold.booking_date, p_hold.tee_time), {
+    players: p_hold.number_of_players,
+    isPrivate: p_hold.is_private,
+    capacity: p_capacity
+  });
+
+  return insertOrThrow(adapter, 'tee_time_holds', {
+    user_id: p_hold.user_id || null,
+    booking_date: p_hold.booking_date,
+    tee_time: p_hold.tee_time,
+    number_of_players: p_hold.number_of_players,
+    is_private: Boolean(p_hold.is_private),
+    hold_token: crypto.randomUUID(),
+    status: 'active',
+    expires_at: new Date(now + p_ttl_minutes * 60 * 1000).toISOString()
+  });
+};
+
+// Mirrors reserve_tee_time(p_booking, p_capacity, p_hold_id, p_round_minutes) in 022_cart_fleet.up.sql
+const reserve_tee_time = (adapter, { p_booking, p_capacity = 4, p_hold_id = null, p_round_minutes = null }) => {
+  const now = new Date().toISOString();
+  const hold = p_hold_id && adapter.rows('tee_time_holds').find(row =>
+    row.id === p_hold_id && sameSlot(row, p_booking.booking_date, p_booking.tee_time) && isActiveHold(row, now)
+  );
+
+  assertCapacity(slotUsage(adapter, p_booking.booking_date, p_booking.tee_time, { excludeHoldId: hold ? hold.id : null, now }), {
+    players: p_booking.number_of_players,
+    isPrivate: p_booking.is_private,
+    capacity: p_capacity
+  });
+
+  if (p_round_minutes) {
+    assertCartAvailability(adapter, p_booking, p_round_minutes);
+  }
+
+  const data = insertOrThrow(adapter, 'tee_times', {
+    is_private: false,
+    cart_rental: false,
+    cart_riders: 0,
+    cart_sharing: 'shared',
+    fleet_carts: 0,
+    cart_shed_number: null,
+    rate_class: 'standard',
+    payment_status: 'pending',
+    status: 'confirmed',
+    ...p_booking
+  });
+
+  if (hold) {
+    adapter.updateRows('tee_time_holds', { id: hold.id }, { status: 'converted', tee_time_id: data[0].id });
+  }
+
+  return data;
+};
+
+// Mirrors reserve_outing(p_outing, p_bookings, p_capacity, p_round_minutes) in 022_cart_fleet.up.sql.
+// Every slot is checked before anything is inserted, so a slot that cannot
+// take its group leaves the store untouched.
+const reserve_outing = (adapter, { p_outing, p_bookings, p_capacity = 4, p_round_minutes = null }) => {
+  p_bookings.forEach(booking => {
+    assertCapacity(slotUsage(adapter, booking.booking_date, booking.tee_time), {
+      players: booking.number_of_players,
+      isPrivate: booking.is_private,
+      capacity: p_capacity
+    });
+  });
+
+  // Carts add up over the outing's slots, so they are checked as each slot
+  // is booked; a slot short of carts drops what was inserted, as the SQL
+  // function's transaction would
+  const inserted = { outings: adapter.rows('outings').length, tee_times: adapter.rows('tee_times').length };
+
+  const data = insertOrThrow(adapter, 'outings', {
+    cart_rental: false,
+    rate_class: 'standard',
+    payment_status: 'pending',
+    status: 'confirmed',
+    ...p_outing
+  });
+
+  try {
+    [...p_bookings]
+      .sort((a, b) => a.tee_time.localeCompare(b.tee_time))
+      .forEach(booking => reserve_tee_time(adapter, {
+        p_booking: { ...booking, outing_id: data[0].id },
+        p_capacity,
+        p_round_minutes
+      }));
+  } catch (error) {
+    Object.entries(inserted).forEach(([table, length]) => adapter.rows(table).splice(length));
+    throw error;
+  }
+
+  return data;
+};
+
+// Mirrors move_tee_time(p_booking_id, p_booking_date, p_tee_time, p_capacity, p_round_minutes)
+// in 022_cart_fleet.up.sql
+const move_tee_time = (adapter, { p_booking_id, p_booking_date, p_tee_time, p_capacity = 4, p_round_minutes = null }) => {
+  const booking = adapter.rows('tee_times').find(row => row.id === p_booking_id);
+
+  if (!booking) {
+    throw procedureError('P0002', 'Booking not found');
+  }
+
+  if (!sameSlot(booking, p_booking_date, p_tee_time)) {
+    assertCapacity(slotUsage(adapter, p_booking_date, p_tee_time), {
+      players: booking.number_of_players,
+      isPrivate: booking.is_private,
+      capacity: p_capacity
+    });
+
+    if (p_round_minutes) {
+      assertCartAvailability(adapter, { ...booking, booking_date: p_booking_date, tee_time: p_tee_time }, p_round_minutes, {
+        excludeId: p_booking_id
+      });
+    }
+  }
+
+  return adapter.updateRows('tee_times', { id: p_booking_id }, {
+    booking_date: p_booking_date,
+    tee_time: p_tee_time
+  }).data;
+};
+
+// Mirrors reschedule_tee_time(p_booking_id, p_previous, p_changes, p_change, p_capacity, p_round_minutes)
+// in 022_cart_fleet.up.sql
+const reschedule_tee_time = (adapter, { p_booking_id, p_previous, p_changes, p_change, p_capacity = 4, p_round_minutes = null }) => {
+  const booking = adapter.rows('tee_times').find(row => row.id === p_booking_id);
+
+  if (!booking) {
+    throw procedureError('P0002', 'Booking not found');
+  }
+
+  const unchanged = booking.status === 'confirmed' &&
+    sameSlot(booking, p_previous.booking_date, p_previous.tee_time) &&
+    booking.number_of_players === p_previous.number_of_players &&
+    Number(booking.total_amount) === Number(p_previous.total_amount) &&
+    Number(booking.balance_due || 0) === Number(p_previous.balance_due);
+
+  if (!unchanged) {
+    throw procedureError('40001', 'This booking was just changed; please reload it');
+  }
+
+  const players = p_changes.number_of_players;
+  const carts = p_changes.fleet_carts ?? fleetCarts(booking);
+  const slotChanged = !sameSlot(booking, p_changes.booking_date, p_changes.tee_time);
+
+  if (slotChanged) {
+    assertCapacity(slotUsage(adapter, p_changes.booking_date, p_changes.tee_time), {
+      players,
+      isPrivate: booking.is_private,
+      capacity: p_capacity
+    });
+  } else if (players > booking.number_of_players) {
+    // Same slot: only the extra players need room
+    if (booking.is_private) {
+      if (players > p_capacity) {
+        throw procedureError('23505', `Only ${p_capacity - booking.number_of_players} spot(s) left at this tee time`);
+      }
+    } else {
+      assertCapacity(slotUsage(adapter, p_changes.booking_date, p_changes.tee_time), {
+        players: players - booking.number_of_players,
+        isPrivate: false,
+        capacity: p_capacity
+      });
+    }
+  }
+
+  if (p_round_minutes && (slotChanged || carts > fleetCarts(booking))) {
+    assertCartAvailability(adapter, {
+      ...booking,
+      booking_date: p_changes.booking_date,
+      tee_time: p_changes.tee_time,
+      fleet_carts: carts
+    }, p_round_minutes, { excludeId: p_booking_id });
+  }
+
+  const data = adapter.updateRows('tee_times', { id: p_booking_id }, {
+    booking_date: p_changes.booking_date,
+    tee_time: p_changes.tee_time,
+    number_of_players: players,
+    cart_riders: p_changes.cart_riders ?? booking.cart_riders,
+    cart_sharing: p_changes.cart_sharing ?? booking.cart_sharing,
+    fleet_carts: carts,
+    cart_shed_number: 'cart_shed_number' in p_changes ? p_changes.cart_shed_number : booking.cart_shed_number,
+    cart_rental_fee: p_changes.cart_rental_fee,
+    total_green_fees: p_changes.total_green_fees,
+    total_cart_fees: p_changes.total_cart_fees,
+    total_amount: p_changes.total_amount,
+    balance_due: p_changes.balance_due
+  }).data;
+
+  insertOrThrow(adapter, 'booking_changes', {
+    id: p_change.id || crypto.randomUUID(),
+    tee_time_id: p_booking_id,
+    changed_by: p_change.changed_by || null,
+    change_type: p_change.change_type || 'reschedule',
+    previous: p_previous,
+    changes: p_changes,
+    amount_difference: p_change.amount_difference,
+    settlement: p_change.settlement,
+    note: p_change.note || null
+  });
+
+  return data;
+};
+
+// Mirrors change_tee_time_carts(p_booking_id, p_previous, p_changes, p_round_minutes)
+// in 022_cart_fleet.up.sql
+const change_tee_time_carts = (adapter, { p_booking_id, p_previous, p_changes, p_round_minutes }) => {
+  const booking = adapter.rows('tee_times').find(row => row.id === p_booking_id);
+
+  if (!booking) {
+    throw procedureError('P0002', 'Booking not found');
+  }
+
+  const unchanged = sameSlot(booking, p_previous.booking_date, p_previous.tee_time) &&
+    booking.number_of_players === p_previous.number_of_players &&
+    fleetCarts(booking) === p_previous.fleet_carts &&
+    Number(booking.total_amount) === Number(p_previous.total_amount);
+
+  if (!unchanged) {
+    throw procedureError('40001', 'This booking was just changed; please reload it');
+  }
+
+  if (p_changes.fleet_carts > fleetCarts(booking)) {
+    assertCartAvailability(adapter, { ...booking, fleet_carts: p_changes.fleet_carts }, p_round_minutes, {
+      excludeId: p_booking_id
+    });
+  }
+
+  return adapter.updateRows('tee_times', { id: p_booking_id }, p_changes).data;
+};
+
+// Mirrors redeem_account_credits(p_user_id, p_email, p_amount, p_today, p_tee_time_id, p_created_by)
+// in 021_account_credits.up.sql
+const redeem_account_credits = (adapter, { p_user_id, p_email, p_amount, p_today, p_tee_time_id, p_created_by = null }) => {
+  const email = p_email ? p_email.toLowerCase() : null;
+  const credits = adapter.rows('account_credits')
+    .filter(credit =>
+      credit.status === 'active' &&
+      Number(credit.balance) > 0 &&
+      String(credit.expires_on).slice(0, 10) >= p_today &&
+      ((p_user_id && credit.user_id === p_user_id) || (!credit.user_id && email && credit.guest_email === email))
+    )
+    .sort((a, b) =>
+      String(a.expires_on).localeCompare(String(b.expires_on)) || String(a.created_at).localeCompare(String(b.created_at))
+    );
+
+  const entries = [];
+  // Whole cents, so the balances add up the way DECIMAL(10,2) does
+  let left = Math.round(Number(p_amount) * 100);
+
+  for (const credit of credits) {
+    if (left <= 0) {
+      break;
+    }
+
+    const balance = Math.round(Number(credit.balance) * 100);
+    const spend = Math.min(balance, left);
+    left -= spend;
+
+    adapter.updateRows('account_credits', { id: credit.id }, { balance: (balance - spend) / 100 });
+    entries.push(...insertOrThrow(adapter, 'account_credit_entries', {
+      credit_id: credit.id,
+      entry_type: 'redeem',
+      amount: -spend / 100,
+      balance_after: (balance - spend) / 100,
+      tee_time_id: p_tee_time_id,
+      created_by: p_created_by
+    }));
+  }
+
+  return entries;
+};
+
+module.exports = {
+  hold_tee_time,
+  reserve_tee_time,
+  reserve_outing,
+  move_tee_time,
+  reschedule_tee_time,
+  change_tee_time_carts,
+  redeem_account_credits
+};
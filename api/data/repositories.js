@@ -0,0 +1,238 @@
+// Table repositories built on the shared base repository
+const Repository = require('./repository');
+
+class AdminSettingsRepository extends Repository {
+  // Fetch several settings as a `{ setting_key: setting_value }` map
+  async getMap(keys) {
+    const { data, error } = await this.find(
+      { setting_key: { in: keys } },
+      { columns: ['setting_key', 'setting_value'] }
+    );
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    const settingsMap = data.reduce((acc, setting) => {
+      acc[setting.setting_key] = setting.setting_value;
+      return acc;
+    }, {});
+
+    return { data: settingsMap, error: null };
+  }
+
+  async getValue(key, defaultValue = null) {
+    const { data } = await this.findOne({ setting_key: key }, { columns: ['setting_value'] });
+    return data?.setting_value ?? defaultValue;
+  }
+}
+
+class MembershipsRepository extends Repository {
+  // Active membership covering `today` (the course date, YYYY-MM-DD) for
+  // the given user, if any
+  findActive(userId, today, options = {}) {
+    return this.findOne({
+      user_id: userId,
+      status: 'active',
+      end_date: { gte: today }
+    }, options);
+  }
+}
+
+class TeeTimesRepository extends Repository {
+  // Book spots in a slot through the reserve_tee_time database function,
+  // which checks the remaining capacity and inserts under a per-slot lock.
+  // A slot that cannot take the booking comes back as a unique-violation
+  // error (code 23505) whose message says why. Passing the id of the
+  // caller's active hold on the same slot converts that hold into the booking.
+  // With `roundMinutes` (round length by green fee type) the fleet carts the
+  // booking takes are checked the same way, under a per-day lock.
+  async reserve(booking, { capacity = 4, holdId = null, roundMinutes = null } = {}) {
+    const { data, error } = await this.adapter.rpc('reserve_tee_time', {
+      p_booking: booking,
+      p_capacity: capacity,
+      p_hold_id: holdId,
+      p_round_minutes: roundMinutes
+    });
+    return { data: data?.[0] || null, error };
+  }
+
+  // Move a booking to another slot through the move_tee_time database
+  // function, which checks the target slot's capacity under its lock the
+  // same way reserve() does, and with `roundMinutes` its fleet carts too
+  async move(id, { booking_date, tee_time }, { capacity = 4, roundMinutes = null } = {}) {
+    const { data, error } = await this.adapter.rpc('move_tee_time', {
+      p_booking_id: id,
+      p_booking_date: booking_date,
+      p_tee_time: tee_time,
+      p_capacity: capacity,
+      p_round_minutes: roundMinutes
+    });
+    return { data: data?.[0] || null, error };
+  }
+
+  // Move a booking and apply its new price through the reschedule_tee_time
+  // database function, which checks the new slot like move() does and logs
+  // the change to booking_changes in the same transaction. A booking that
+  // no longer matches `previous` comes back as a 40001 error. `changes` may
+  // carry a new cart plan (cart_riders, cart_sharing, fleet_carts,
+  // cart_shed_number).
+  async reschedule(id, { previous, changes, change }, { capacity = 4, roundMinutes = null } = {}) {
+    const { data, error } = await this.adapter.rpc('reschedule_tee_time', {
+      p_booking_id: id,
+      p_previous: previous,
+      p_changes: changes,
+      p_change: change,
+      p_capacity: capacity,
+      p_round_minutes: roundMinutes
+    });
+    return { data: data?.[0] || null, error };
+  }
+
+  // Apply an edit that changes a booking's cart plan through the
+  // change_tee_time_carts database function, which checks any fleet carts
+  // it adds under the day's cart lock like reserve() does. A booking that
+  // no longer matches `previous` comes back as a 40001 error.
+  async changeCarts(id, { previous, changes }, { roundMinutes }) {
+    const { data, error } = await this.adapter.rpc('change_tee_time_carts', {
+      p_booking_id: id,
+      p_previous: previous,
+      p_changes: changes,
+      p_round_minutes: roundMinutes
+    });
+    return { data: data?.[0] || null, error };
+  }
+}
+
+class TeeTimeHoldsRepository extends Repository {
+  // Hold spots in a slot for `ttlMinutes` through the hold_tee_time database
+  // function. Capacity is checked the same way as reserve(), counting other
+  // active holds as taken.
+  async place(hold, { capacity = 4, ttlMinutes = 10 } = {}) {
+    const { data, error } = await this.adapter.rpc('hold_tee_time', {
+      p_hold: hold,
+      p_capacity: capacity,
+      p_ttl_minutes: ttlMinutes
+    });
+    return { data: data?.[0] || null, error };
+  }
+
+  // Active holds that have not expired yet, optionally limited by filters
+  findActive(filters = {}, options = {}) {
+    return this.find({
+      ...filters,
+      status: 'active',
+      expires_at: { gt: new Date().toISOString() }
+    }, options);
+  }
+}
+
+class OutingsRepository extends Repository {
+  // Insert an outing and book all its slots through the reserve_outing
+  // database function, which books every slot or none. A slot that cannot
+  // take its group, or its carts, fails the whole outing with reserve()'s
+  // 23505 error.
+  async reserve(outing, bookings, { capacity = 4, roundMinutes = null } = {}) {
+    const { data, error } = await this.adapter.rpc('reserve_outing', {
+      p_outing: outing,
+      p_bookings: bookings,
+      p_capacity: capacity,
+      p_round_minutes: roundMinutes
+    });
+    return { data: data?.[0] || null, error };
+  }
+}
+
+class AccountCreditsRepository extends Repository {
+  // Spend up to `amount` of a holder's credits on a booking through the
+  // redeem_account_credits database function, which locks the credits so
+  // two bookings cannot spend the same balance. Returns the redemption
+  // entries, one per credit spent.
+  async redeem({ userId = null, email = null, amount, today, teeTimeId, createdBy = null }) {
+    const { data, error } = await this.adapter.rpc('redeem_account_credits', {
+      p_user_id: userId,
+      p_email: email,
+      p_amount: amount,
+      p_today: today,
+      p_tee_time_id: teeTimeId,
+      p_created_by: createdBy
+    });
+    return { data: data || [], error };
+  }
+}
+
+class RolePermissionsRepository extends Repository {
+  // Permission names granted to a role
+  async permissionsFor(roleName) {
+    const { data, error } = await this.find(
+      { role_name: roleName },
+      { columns: ['permission_name'] }
+    );
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    return { data: data.map(grant => grant.permission_name), error: null };
+  }
+}
+
+const withUser = { users: { table: 'users', foreignKey: 'user_id' } };
+
+// Build one repository per table on top of the given adapter
+const createRepositories = (adapter) => ({
+  users: new Repository(adapter, { table: 'users' }),
+  teeTimes: new TeeTimesRepository(adapter, { table: 'tee_times', relations: withUser }),
+  teeTimeHolds: new TeeTimeHoldsRepository(adapter, { table: 'tee_time_holds' }),
+  waitlistEntries: new Repository(adapter, { table: 'waitlist_entries', relations: withUser }),
+  bookingSeries: new Repository(adapter, { table: 'booking_series', relations: withUser }),
+  bookingSeriesConflicts: new Repository(adapter, { table: 'booking_series_conflicts' }),
+  outings: new OutingsRepository(adapter, { table: 'outings', relations: withUser }),
+  outingPlayers: new Repository(adapter, { table: 'outing_players' }),
+  memberships: new MembershipsRepository(adapter, { table: 'memberships', relations: withUser }),
+  events: new Repository(adapter, { table: 'events' }),
+  eventRegistrations: new Repository(adapter, {
+    table: 'event_registrations',
+    relations: {
+      ...withUser,
+      events: { table: 'events', foreignKey: 'event_id' }
+    }
+  }),
+  paymentTransactions: new Repository(adapter, { table: 'payment_transactions' }),
+  adminSettings: new AdminSettingsRepository(adapter, { table: 'admin_settings' }),
+  courseConditions: new Repository(adapter, { table: 'course_conditions' }),
+  courseClosures: new Repository(adapter, { table: 'course_closures' }),
+  courseClosureItems: new Repository(adapter, { table: 'course_closure_items' }),
+  accountCredits: new AccountCreditsRepository(adapter, { table: 'account_credits', relations: withUser }),
+  accountCreditEntries: new Repository(adapter, { table: 'account_credit_entries' }),
+  carts: new Repository(adapter, { table: 'carts' }),
+  cartOutages: new Repository(adapter, { table: 'cart_outages' }),
+  contactMessages: new Repository(adapter, { table: 'contact_messages' }),
+  roles: new Repository(adapter, { table: 'roles' }),
+  permissions: new Repository(adapter, { table: 'permissions' }),
+  rolePermissions: new RolePermissionsRepository(adapter, { table: 'role_permissions' }),
+  rateClasses: new Repository(adapter, { table: 'rate_classes' }),
+  pricingSeasons: new Repository(adapter, { table: 'pricing_seasons' }),
+  greenFeeRates: new Repository(adapter, { table: 'green_fee_rates' }),
+  noShowRules: new Repository(adapter, { table: 'no_show_rules' }),
+  bookingStandings: new Repository(adapter, { table: 'booking_standings', relations: withUser }),
+  guestStandingNotices: new Repository(adapter, { table: 'guest_standing_notices' }),
+  cancellationPolicies: new Repository(adapter, { table: 'cancellation_policies' }),
+  bookingReleaseRules: new Repository(adapter, { table: 'booking_release_rules' }),
+  bookingChanges: new Repository(adapter, {
+    table: 'booking_changes',
+    relations: { users: { table: 'users', foreignKey: 'changed_by' } }
+  })
+});
+
+module.exports = {
+  Repository,
+  AdminSettingsRepository,
+  MembershipsRepository,
+  TeeTimesRepository,
+  TeeTimeHoldsRepository,
+  OutingsRepository,
+  AccountCreditsRepository,
+  RolePermissionsRepository,
+  createRepositories
+};
@@ -0,0 +1,120 @@
+// Base repository shared by every table
+//
+// Repositories speak in plain filter objects and return the same
+// `{ data, error, count }` shape as the Supabase client, so route handlers
+// keep their familiar error checks regardless of the adapter underneath.
+//
+// Filters map columns to a value (equality, or IS NULL for null) or to an
+// operator object, e.g. `{ status: 'active', end_date: { gte: today } }`.
+// Supported operators: eq, neq, gt, gte, lt, lte, in, like, ilike, is.
+
+const pick = (row, columns) => {
+  if (!row || !columns) {
+    return row || null;
+  }
+
+  return columns.reduce((acc, column) => {
+    acc[column] = row[column];
+    return acc;
+  }, {});
+};
+
+class Repository {
+  constructor(adapter, { table, relations = {} }) {
+    this.adapter = adapter;
+    this.table = table;
+    this.relations = relations;
+  }
+
+  // Options: columns, order (e.g. ['booking_date', 'created_at desc']),
+  // limit, offset, count, and include (e.g. { users: ['email'] })
+  async find(filters = {}, options = {}) {
+    const { include, ...query } = options;
+    const result = await this.adapter.select(this.table, { ...query, filters });
+
+    if (result.error || !include) {
+      return result;
+    }
+
+    return this.attachRelations(result, include);
+  }
+
+  async findOne(filters = {}, options = {}) {
+    const { data, error } = await this.find(filters, { ...options, limit: 1 });
+    return { data: data?.[0] || null, error };
+  }
+
+  findById(id, options = {}) {
+    return this.findOne({ id }, options);
+  }
+
+  async count(filters = {}) {
+    const { count, error } = await this.adapter.select(this.table, { filters, count: true, head: true });
+    return { count: count || 0, error };
+  }
+
+  async create(row) {
+    const { data, error } = await this.adapter.insert(this.table, [row]);
+    return { data: data?.[0] || null, error };
+  }
+
+  createMany(rows) {
+    return this.adapter.insert(this.table, rows);
+  }
+
+  update(filters, changes) {
+    return this.adapter.update(this.table, filters, changes);
+  }
+
+  async updateById(id, changes) {
+    const { data, error } = await this.update({ id }, changes);
+    return { data: data?.[0] || null, error };
+  }
+
+  async upsert(row, { onConflict = 'id' } = {}) {
+    const { data, error } = await this.adapter.upsert(this.table, row, { onConflict });
+    return { data: data?.[0] || null, error };
+  }
+
+  remove(filters) {
+    return this.adapter.remove(this.table, filters);
+  }
+
+  // Resolve many-to-one relations (the `users:user_id (...)` embeds the
+  // routes used with Supabase) with one extra lookup per relation
+  async attachRelations(result, include) {
+    const rows = result.data || [];
+
+    for (const [name, columns] of Object.entries(include)) {
+      const relation = this.relations[name];
+
+      if (!relation) {
+        return { data: null, error: { message: `Unknown relation ${this.table}.${name}` } };
+      }
+
+      const ids = [...new Set(rows.map(row => row[relation.foreignKey]).filter(Boolean))];
+      let related = [];
+
+      if (ids.length > 0) {
+        const { data, error } = await this.adapter.select(relation.table, {
+          filters: { id: { in: ids } }
+        });
+
+        if (error) {
+          return { data: null, error };
+        }
+
+        related = data;
+      }
+
+      const byId = new Map(related.map(row => [row.id, row]));
+      rows.forEach(row => {
+        row[name] = pick(byId.get(row[relation.foreignKey]), columns);
+      });
+    }
+
+    return { ...result, data: rows };
+  }
+}
+
+module.exports = Repository;
@@ -0,0 +1,79 @@
+// Releases spots claimed by checkouts that were never finished:
+// holds past their expiry, and online bookings whose payment never
+// completed within `unpaid_booking_timeout_minutes` of checkout starting
+// (`checkout_started_at`, set when the payment intent is created).
+//
+// Bookings without a Stripe payment intent are pay-at-course and are never
+// touched here.
+
+// Mark active holds that have run out as expired; returns the holds
+const expireHolds = async (db, { now = new Date() } = {}) => {
+  const { data, error } = await db.teeTimeHolds.update(
+    { status: 'active', expires_at: { lte: now.toISOString() } },
+    { status: 'expired' }
+  );
+
+  if (error) {
+    throw new Error(`Failed to expire holds: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Cancel confirmed bookings that started online checkout but were not
+// paid; returns the cancelled bookings
+const cancelAbandonedBookings = async (db, { now = new Date() } = {}) => {
+  const timeout = parseInt(await db.adminSettings.getValue('unpaid_booking_timeout_minutes', 30));
+
+  // A timeout of 0 turns the cancellation off
+  if (!(timeout > 0)) {
+    return [];
+  }
+
+  const cutoff = new Date(now.getTime() - timeout * 60 * 1000).toISOString();
+
+  const { data: candidates, error } = await db.teeTimes.find({
+    status: 'confirmed',
+    payment_status: { in: ['pending', 'failed'] },
+    checkout_started_at: { lt: cutoff }
+  }, { columns: ['id', 'stripe_payment_intent_id'] });
+
+  if (error) {
+    throw new Error(`Failed to find unpaid bookings: ${error.message}`);
+  }
+
+  const abandoned = candidates.filter(booking => booking.stripe_payment_intent_id);
+  const cancelled = [];
+
+  for (const booking of abandoned) {
+    const { data, error: cancelError } = await db.teeTimes.update(
+      // Re-check the status so a payment that lands meanwhile wins, and
+      // the start so a checkout started again meanwhile keeps its time
+      { id: booking.id, status: 'confirmed', payment_status: { in: ['pending', 'failed'] }, checkout_started_at: { lt: cutoff } },
+      {
+        status: 'cancelled',
+        cancellation_reason: 'Payment not completed',
+        cancelled_at: now.toISOString()
+      }
+    );
+
+    if (cancelError) {
+      throw new Error(`Failed to cancel booking ${booking.id}: ${cancelError.message}`);
+    }
+
+    cancelled.push(...data);
+  }
+
+  return cancelled;
+};
+
+const sweepCheckouts = async (db, options = {}) => ({
+  expiredHolds: await expireHolds(db, options),
+  cancelledBookings: await cancelAbandonedBookings(db, options)
+});
+
+module.exports = {
+  expireHolds,
+  cancelAbandonedBookings,
+  sweepCheckouts
+};
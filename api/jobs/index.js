@@ -0,0 +1,85 @@
+// Background jobs scheduled with node-cron while the server runs
+const cron = require('node-cron');
+const winston = require('winston');
+const { sweepCheckouts } = require('./checkoutSweeper');
+const { expireOffers, offerFreedSlots } = require('../services/waitlist');
+const { generateStandingTeeTimes } = require('../services/standingTeeTimes');
+const { closeTeeSheet } = require('../services/teeSheet');
+const { courseTimezone } = require('../services/courseTime');
+const { expireCredits } = require('../services/accountCredits');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Free spots claimed by unfinished checkouts and lapsed waitlist offers,
+// then offer them to the next golfers on the waitlist
+const runCheckoutSweep = async (db) => {
+  const { expiredHolds, cancelledBookings } = await sweepCheckouts(db);
+  const expiredOffers = await expireOffers(db);
+  const offers = await offerFreedSlots(db, [...expiredHolds, ...cancelledBookings]);
+
+  return { expiredHolds, cancelledBookings, expiredOffers, offers };
+};
+
+// Schedule every job against the given data store; returns the cron tasks
+// so callers can stop them. Daily jobs run on the course clock, so a
+// change to the `course_timezone` setting applies from the next restart.
+const startJobs = async (db) => {
+  const timezone = await courseTimezone(db);
+  logger.info(`Scheduling jobs in ${timezone}`);
+
+  const tasks = [
+    // Every minute: free spots held by unfinished checkouts
+    cron.schedule('* * * * *', async () => {
+      try {
+        const { expiredHolds, cancelledBookings, offers } = await runCheckoutSweep(db);
+
+        if (expiredHolds.length || cancelledBookings.length || offers.length) {
+          logger.info(`Checkout sweep: ${expiredHolds.length} hold(s) expired, ${cancelledBookings.length} unpaid booking(s) cancelled, ${offers.length} waitlist offer(s) made`);
+        }
+      } catch (error) {
+        logger.error(`Checkout sweep failed: ${error.message}`);
+      }
+    }),
+
+    // Daily: book standing tee times as the advance-booking window moves on
+    cron.schedule('30 2 * * *', async () => {
+      try {
+        const { booked, conflicts } = await generateStandingTeeTimes(db);
+        logger.info(`Standing tee times: ${booked.length} occurrence(s) booked, ${conflicts.length} conflict(s)`);
+      } catch (error) {
+        logger.error(`Standing tee time generation failed: ${error.message}`);
+      }
+    }, { timezone }),
+
+    // Nightly: close out the day's tee sheet
+    cron.schedule('45 23 * * *', async () => {
+      try {
+        const { completed, noShows } = await closeTeeSheet(db);
+        logger.info(`Tee sheet closed: ${completed.length} round(s) completed, ${noShows.length} no-show(s)`);
+      } catch (error) {
+        logger.error(`Tee sheet close failed: ${error.message}`);
+      }
+    }, { timezone }),
+
+    // Daily: expire rain checks and account credits past their expiry date
+    cron.schedule('15 0 * * *', async () => {
+      try {
+        const expired = await expireCredits(db);
+        logger.info(`Account credits: ${expired.length} expired`);
+      } catch (error) {
+        logger.error(`Account credit expiry failed: ${error.message}`);
+      }
+    }, { timezone })
+  ];
+
+  return tasks;
+};
+
+module.exports = {
+  runCheckoutSweep,
+  startJobs
+};
@@ -1,6 +1,4 @@
 // Authentication middleware
-const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/database');
 
 // Verify JWT token
 const verifyToken = async (req, res, next) => {
@@ -13,8 +11,8 @@ const verifyToken = async (req, res, next) => {
     
     const token = authHeader.substring(7);
     
-    // Verify with Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    // Verify with the configured auth provider
+    const { data: { user }, error } = await req.app.locals.db.auth.getUser(token);
     
     if (error || !user) {
       return res.status(401).json({ error: 'Invalid or expired token' });
@@ -35,7 +33,7 @@ const optionalAuth = async (req, res, next) => {
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const { data: { user }, error } = await supabase.auth.getUser(token);
+      const { data: { user }, error } = await req.app.locals.db.auth.getUser(token);
       
       if (!error && user) {
         req.user = user; // Attach user to request object
@@ -49,29 +47,47 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Require admin privileges
-const requireAdmin = async (req, res, next) => {
-  // At this point, verifyToken should have already run and populated req.user
-  // If verifyToken failed (e.g., invalid token), it would have already sent a response
-  // and not called next(). So, if we reach here, req.user should be populated.
+// Load (once per request) the role and permissions of the signed-in user
+const loadPermissions = async (req) => {
+  if (!req.user.permissions) {
+    const { db } = req.app.locals;
+    const { data: userData } = await db.users.findById(req.user.id, { columns: ['role'] });
+    const { data: permissions } = userData?.role
+      ? await db.rolePermissions.permissionsFor(userData.role)
+      : { data: [] };
 
-  // We still need a check for req.user in case verifyToken was optional or some other flow
+    req.user.role = userData?.role || null;
+    req.user.permissions = permissions || [];
+  }
+
+  return req.user.permissions;
+};
+
+// Check a permission inside a handler, e.g. for "owner or staff" rules
+const hasPermission = async (req, permission) => {
   if (!req.user) {
-    return res.status(401).json({ error: 'Authentication required (user not found after token verification)' });
+    return false;
   }
 
-  // Check if user has admin role
-  const { data: userData, error } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
+  const permissions = await loadPermissions(req);
+  return permissions.includes(permission);
+};
 
-  if (error || !userData || userData.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin privileges required' });
+// Require a permission such as 'bookings:manage'; run after verifyToken
+const requirePermission = (permission) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    if (!(await hasPermission(req, permission))) {
+      return res.status(403).json({ error: `Permission "${permission}" required` });
+    }
+  } catch (error) {
+    return next(error);
   }
 
-  next(); // User is admin, proceed
+  next();
 };
 
 // Rate limiting for sensitive operations
@@ -106,6 +122,8 @@ const sensitiveOperationLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) =>
 module.exports = {
   verifyToken,
   optionalAuth,
-  requireAdmin,
+  requirePermission,
+  hasPermission,
+  loadPermissions,
   sensitiveOperationLimit
 };
\ No newline at end of file
@@ -1,67 +1,77 @@
 // Admin routes for course management
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { supabase } = require('../config/database');
+const { verifyToken, requirePermission, hasPermission } = require('../middleware/auth');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
-const moment = require('moment');
+const moment = require('moment-timezone');
+const { DEFAULT_RATE_CLASS } = require('../config/pricing');
+const { NO_SHOW_ACTIONS } = require('../config/noShowPolicy');
+const { COUNTER_PAYMENT_METHODS, sheetEntry, buildTeeSheet, closeTeeSheet, issueRainCheck } = require('../services/teeSheet');
+const { STANDING_STATUSES, effectiveStanding, evaluateStanding } = require('../services/bookingStanding');
+const { POLICY_TARGETS, POLICY_MEMBER_STATUSES, describePolicy } = require('../services/cancellationPolicy');
+const { courseNow, courseToday, dayRange } = require('../services/courseTime');
+const { RELEASE_AUDIENCES } = require('../services/bookingRelease');
+const { delayTeeSheet } = require('../services/teeSheetDelay');
+const { CLOSURE_RESOLUTIONS, isClosed, closeCourse, reopenCourse } = require('../services/courseClosures');
+const { creditStatement, creditLiability } = require('../services/accountCredits');
+const { loadFleet, loadShedCarts } = require('../services/carts');
 
 const router = express.Router();
 
+// Every admin endpoint requires a signed-in user; each route then checks
+// the permission it needs
+router.use(verifyToken);
+
 // Get dashboard statistics
-router.get('/dashboard', catchAsync(async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:view'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const now = await courseNow(db);
+  const today = now.format('YYYY-MM-DD');
+
   // Get today's bookings
-  const { data: todayBookings } = await supabase
-    .from('tee_times')
-    .select('*')
-    .eq('booking_date', moment().format('YYYY-MM-DD'))
-    .eq('status', 'confirmed');
+  const { data: todayBookings } = await db.teeTimes.find({
+    booking_date: today,
+    status: 'confirmed'
+  });
 
   // Get active memberships
-  const { data: activeMemberships } = await supabase
-    .from('memberships')
-    .select('*')
-    .eq('status', 'active')
-    .gte('end_date', moment().format('YYYY-MM-DD'));
+  const { data: activeMemberships } = await db.memberships.find({
+    status: 'active',
+    end_date: { gte: today }
+  });
 
   // Get upcoming events
-  const { data: upcomingEvents } = await supabase
-    .from('events')
-    .select('*')
-    .gte('event_date', moment().format('YYYY-MM-DD'))
-    .eq('status', 'upcoming')
-    .limit(5);
+  const { data: upcomingEvents } = await db.events.find({
+    event_date: { gte: today },
+    status: 'upcoming'
+  }, { limit: 5 });
 
   // Get recent contact messages
-  const { data: recentMessages } = await supabase
-    .from('contact_messages')
-    .select('*')
-    .eq('status', 'new')
-    .order('created_at', { ascending: false })
-    .limit(5);
+  const { data: recentMessages } = await db.contactMessages.find(
+    { status: 'new' },
+    { order: ['created_at desc'], limit: 5 }
+  );
 
   // Get revenue statistics
-  const { data: revenueData } = await supabase
-    .from('payment_transactions')
-    .select('amount, transaction_date, transaction_type')
-    .eq('status', 'completed')
-    .gte('transaction_date', moment().startOf('month').toISOString());
+  const { data: revenueData } = await db.paymentTransactions.find({
+    status: 'completed',
+    transaction_date: { gte: now.clone().startOf('month').toISOString() }
+  }, { columns: ['amount', 'transaction_date', 'transaction_type'] });
 
   const monthlyRevenue = revenueData.reduce((sum, transaction) => sum + transaction.amount, 0);
 
   // Get booking statistics for the week
-  const weekStart = moment().startOf('week').format('YYYY-MM-DD');
-  const weekEnd = moment().endOf('week').format('YYYY-MM-DD');
+  const weekStart = now.clone().startOf('week').format('YYYY-MM-DD');
+  const weekEnd = now.clone().endOf('week').format('YYYY-MM-DD');
   
-  const { data: weekBookings } = await supabase
-    .from('tee_times')
-    .select('booking_date')
-    .gte('booking_date', weekStart)
-    .lte('booking_date', weekEnd)
-    .eq('status', 'confirmed');
+  const { data: weekBookings } = await db.teeTimes.find({
+    booking_date: { gte: weekStart, lte: weekEnd },
+    status: 'confirmed'
+  }, { columns: ['booking_date'] });
 
   const dailyBookings = {};
   for (let i = 0; i < 7; i++) {
-    const date = moment().startOf('week').add(i, 'days').format('YYYY-MM-DD');
+    const date = moment(weekStart).add(i, 'days').format('YYYY-MM-DD');
     dailyBookings[date] = weekBookings.filter(b => b.booking_date === date).length;
   }
 
@@ -81,12 +91,10 @@ router.get('/dashboard', catchAsync(async (req, res) => {
 }));
 
 // Get all settings
-router.get('/settings', catchAsync(async (req, res) => {
-  const { data: settings, error } = await supabase
-    .from('admin_settings')
-    .select('*')
-    .order('category', { ascending: true })
-    .order('setting_key', { ascending: true });
+router.get('/settings', requirePermission('settings:manage'), catchAsync(async (req, res) => {
+  const { data: settings, error } = await req.app.locals.db.adminSettings.find({}, {
+    order: ['category', 'setting_key']
+  });
 
   if (error) {
     throw new AppError('Failed to fetch settings', 500);
@@ -106,7 +114,7 @@ router.get('/settings', catchAsync(async (req, res) => {
 }));
 
 // Update setting
-router.put('/settings/:key', [
+router.put('/settings/:key', requirePermission('settings:manage'), [
   body('setting_value')
     .notEmpty()
     .withMessage('Setting value is required'),
@@ -128,12 +136,11 @@ router.put('/settings/:key', [
     updates.description = description;
   }
 
-  const { data: updatedSetting, error } = await supabase
-    .from('admin_settings')
-    .update(updates)
-    .eq('setting_key', key)
-    .select()
-    .single();
+  const { data: updatedSettings, error } = await req.app.locals.db.adminSettings.update(
+    { setting_key: key },
+    updates
+  );
+  const updatedSetting = updatedSettings?.[0];
 
   if (error) {
     throw new AppError('Failed to update setting', 500);
@@ -150,7 +157,7 @@ router.put('/settings/:key', [
 }));
 
 // Create new setting
-router.post('/settings', [
+router.post('/settings', requirePermission('settings:manage'), [
   body('setting_key')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -181,11 +188,7 @@ router.post('/settings', [
 
   const settingData = req.body;
 
-  const { data: newSetting, error } = await supabase
-    .from('admin_settings')
-    .insert(settingData)
-    .select()
-    .single();
+  const { data: newSetting, error } = await req.app.locals.db.adminSettings.create(settingData);
 
   if (error) {
     if (error.code === '23505') { // Unique constraint violation
@@ -201,7 +204,7 @@ router.post('/settings', [
 }));
 
 // Update course conditions
-router.post('/course-conditions', [
+router.post('/course-conditions', requirePermission('conditions:manage'), [
   body('condition_date')
     .isISO8601()
     .withMessage('Valid date is required'),
@@ -234,27 +237,37 @@ router.post('/course-conditions', [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const conditionData = req.body;
 
   // Use upsert to update existing or create new
-  const { data: conditions, error } = await supabase
-    .from('course_conditions')
-    .upsert(conditionData, { onConflict: 'condition_date' })
-    .select()
-    .single();
+  const { data: conditions, error } = await db.courseConditions.upsert(
+    conditionData,
+    { onConflict: 'condition_date' }
+  );
 
   if (error) {
     throw new AppError('Failed to update course conditions', 500);
   }
 
+  // Conditions alone leave the day's bookings as they are; a closure deals
+  // with them
+  const limited = isClosed(conditions) || conditions.holes_available < 9 || conditions.cart_availability === false;
+  const { count: bookings } = limited
+    ? await db.teeTimes.count({ booking_date: conditions.condition_date, status: 'confirmed' })
+    : { count: 0 };
+
   res.json({
     message: 'Course conditions updated successfully',
-    conditions
+    conditions,
+    ...(bookings > 0 && {
+      warning: `${bookings} confirmed booking(s) on this date are unchanged; use a course closure to cancel or reprice them`
+    })
   });
 }));
 
 // Get course conditions history
-router.get('/course-conditions', [
+router.get('/course-conditions', requirePermission('conditions:manage'), [
   query('start_date').optional().isISO8601().withMessage('Valid start date required'),
   query('end_date').optional().isISO8601().withMessage('Valid end date required')
 ], catchAsync(async (req, res) => {
@@ -265,20 +278,21 @@ router.get('/course-conditions', [
 
   const { start_date, end_date } = req.query;
 
-  let query = supabase
-    .from('course_conditions')
-    .select('*')
-    .order('condition_date', { ascending: false });
+  const dateRange = {};
 
   if (start_date) {
-    query = query.gte('condition_date', start_date);
+    dateRange.gte = start_date;
   }
 
   if (end_date) {
-    query = query.lte('condition_date', end_date);
+    dateRange.lte = end_date;
   }
 
-  const { data: conditions, error } = await query;
+  const filters = Object.keys(dateRange).length > 0 ? { condition_date: dateRange } : {};
+
+  const { data: conditions, error } = await req.app.locals.db.courseConditions.find(filters, {
+    order: ['condition_date desc']
+  });
 
   if (error) {
     throw new AppError('Failed to fetch course conditions', 500);
@@ -287,184 +301,249 @@ router.get('/course-conditions', [
   res.json({ conditions });
 }));
 
-// Get revenue reports
-router.get('/reports/revenue', [
-  query('start_date').optional().isISO8601().withMessage('Valid start date required'),
-  query('end_date').optional().isISO8601().withMessage('Valid end date required'),
-  query('group_by').optional().isIn(['day', 'week', 'month']).withMessage('Invalid group by option')
+// Get the cart fleet on a day (today by default): each cart with any outage
+// keeping it off the course, and the members' carts in the cart shed
+router.get('/carts', requirePermission('conditions:manage'), [
+  query('date').optional().isISO8601().withMessage('Valid date is required')
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { 
-    start_date = moment().subtract(30, 'days').format('YYYY-MM-DD'),
-    end_date = moment().format('YYYY-MM-DD'),
-    group_by = 'day'
-  } = req.query;
+  const { db } = req.app.locals;
+  const date = req.query.date || await courseToday(db);
 
-  const { data: transactions, error } = await supabase
-    .from('payment_transactions')
-    .select('amount, transaction_date, transaction_type')
-    .eq('status', 'completed')
-    .gte('transaction_date', start_date)
-    .lte('transaction_date', end_date)
-    .order('transaction_date', { ascending: true });
+  const [fleet, shedCarts] = await Promise.all([loadFleet(db, date), loadShedCarts(db)]);
 
-  if (error) {
-    throw new AppError('Failed to fetch revenue data', 500);
-  }
+  res.json({
+    date,
+    fleet_size: fleet.tracked ? fleet.size : null,
+    out_of_service: fleet.out_of_service,
+    carts: fleet.carts,
+    shed_carts: shedCarts
+  });
+}));
 
-  // Group transactions by specified period
-  const groupedData = {};
-  const totalByType = {};
+// Validation rules for fleet carts
+const cartValidation = (creating) => {
+  const field = (name) => (creating ? body(name) : body(name).optional());
 
-  transactions.forEach(transaction => {
-    let groupKey;
-    const date = moment(transaction.transaction_date);
+  return [
+    field('cart_number').trim().isLength({ min: 1, max: 20 }).withMessage('Cart number is required'),
+    body('status').optional().isIn(['active', 'retired']).withMessage('Status must be active or retired'),
+    body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string')
+  ];
+};
 
-    switch (group_by) {
-      case 'week':
-        groupKey = date.startOf('week').format('YYYY-MM-DD');
-        break;
-      case 'month':
-        groupKey = date.format('YYYY-MM');
-        break;
-      default:
-        groupKey = date.format('YYYY-MM-DD');
-    }
+// Add a cart to the fleet
+router.post('/carts', requirePermission('conditions:manage'), cartValidation(true), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    if (!groupedData[groupKey]) {
-      groupedData[groupKey] = 0;
-    }
-    groupedData[groupKey] += transaction.amount;
+  const { data: cart, error } = await req.app.locals.db.carts.create({
+    status: 'active',
+    notes: null,
+    ...pickFields(req.body, ['cart_number', 'status', 'notes'])
+  });
 
-    // Track by transaction type
-    if (!totalByType[transaction.transaction_type]) {
-      totalByType[transaction.transaction_type] = 0;
+  if (error) {
+    if (error.code === '23505') {
+      throw new AppError('Cart number already exists', 409);
     }
-    totalByType[transaction.transaction_type] += transaction.amount;
+    throw new AppError('Failed to add cart', 500);
+  }
+
+  res.status(201).json({
+    message: 'Cart added to the fleet',
+    cart
   });
+}));
 
-  const totalRevenue = transactions.reduce((sum, t) => sum + t.amount, 0);
+// Renumber a cart, note something about it, or retire it
+router.put('/carts/:id', requirePermission('conditions:manage'), cartValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { data: existing } = await db.carts.findById(req.params.id);
+
+  if (!existing) {
+    throw new AppError('Cart not found', 404);
+  }
+
+  const { data: cart, error } = await db.carts.updateById(existing.id, pickFields(req.body, ['cart_number', 'status', 'notes']));
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new AppError('Cart number already exists', 409);
+    }
+    throw new AppError('Failed to update cart', 500);
+  }
 
   res.json({
-    revenue_by_period: groupedData,
-    revenue_by_type: totalByType,
-    total_revenue: totalRevenue,
-    period: { start_date, end_date, group_by }
+    message: 'Cart updated successfully',
+    cart
   });
 }));
 
-// Get booking reports
-router.get('/reports/bookings', [
-  query('start_date').optional().isISO8601().withMessage('Valid start date required'),
-  query('end_date').optional().isISO8601().withMessage('Valid end date required')
-], catchAsync(async (req, res) => {
+// Validation rules for cart outages; an outage without an end date lasts
+// until further notice
+const outageValidation = (creating) => [
+  body('start_date').optional().isISO8601().withMessage('Valid start date is required'),
+  body('end_date').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+  (creating ? body('reason') : body('reason').optional())
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason is required')
+];
+
+const assertOutageDates = (outage) => {
+  if (outage.end_date && String(outage.end_date).slice(0, 10) < String(outage.start_date).slice(0, 10)) {
+    throw new AppError('End date must not be before the start date', 400);
+  }
+};
+
+// Take a cart out of service from `start_date` (today by default)
+router.post('/carts/:id/outages', requirePermission('conditions:manage'), outageValidation(true), catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { 
-    start_date = moment().subtract(30, 'days').format('YYYY-MM-DD'),
-    end_date = moment().format('YYYY-MM-DD')
-  } = req.query;
+  const { db } = req.app.locals;
+  const { data: cart } = await db.carts.findById(req.params.id);
+
+  if (!cart) {
+    throw new AppError('Cart not found', 404);
+  }
+
+  const fields = {
+    cart_id: cart.id,
+    start_date: req.body.start_date || await courseToday(db),
+    end_date: req.body.end_date || null,
+    reason: req.body.reason,
+    created_by: req.user.id
+  };
+  assertOutageDates(fields);
 
-  const { data: bookings, error } = await supabase
-    .from('tee_times')
-    .select('booking_date, status, number_of_players, green_fee_type, cart_rental')
-    .gte('booking_date', start_date)
-    .lte('booking_date', end_date);
+  const { data: outage, error } = await db.cartOutages.create(fields);
 
   if (error) {
-    throw new AppError('Failed to fetch booking data', 500);
+    throw new AppError('Failed to take the cart out of service', 500);
   }
 
-  // Analyze booking data
-  const dailyBookings = {};
-  const statusCounts = {};
-  const feeTypeCounts = {};
-  let totalPlayers = 0;
-  let cartRentals = 0;
+  res.status(201).json({
+    message: `Cart ${cart.cart_number} is out of service`,
+    outage
+  });
+}));
 
-  bookings.forEach(booking => {
-    // Daily bookings
-    if (!dailyBookings[booking.booking_date]) {
-      dailyBookings[booking.booking_date] = 0;
-    }
-    dailyBookings[booking.booking_date]++;
+// Change an outage, e.g. set the day the cart is back
+router.put('/carts/outages/:id', requirePermission('conditions:manage'), outageValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Status counts
-    statusCounts[booking.status] = (statusCounts[booking.status] || 0) + 1;
+  const { db } = req.app.locals;
+  const { data: existing } = await db.cartOutages.findById(req.params.id);
 
-    // Fee type counts
-    feeTypeCounts[booking.green_fee_type] = (feeTypeCounts[booking.green_fee_type] || 0) + 1;
+  if (!existing) {
+    throw new AppError('Cart outage not found', 404);
+  }
 
-    // Player and cart statistics
-    totalPlayers += booking.number_of_players;
-    if (booking.cart_rental) cartRentals++;
-  });
+  const updates = pickFields(req.body, ['start_date', 'end_date', 'reason']);
+  assertOutageDates({ ...existing, ...updates });
+
+  const { data: outage, error } = await db.cartOutages.updateById(existing.id, updates);
+
+  if (error) {
+    throw new AppError('Failed to update cart outage', 500);
+  }
 
   res.json({
-    daily_bookings: dailyBookings,
-    status_breakdown: statusCounts,
-    fee_type_breakdown: feeTypeCounts,
-    total_bookings: bookings.length,
-    total_players: totalPlayers,
-    cart_rentals: cartRentals,
-    average_players_per_booking: bookings.length > 0 ? (totalPlayers / bookings.length).toFixed(2) : 0,
-    period: { start_date, end_date }
+    message: 'Cart outage updated successfully',
+    outage
   });
 }));
 
-// Get membership reports
-router.get('/reports/memberships', catchAsync(async (req, res) => {
-  const { data: memberships, error } = await supabase
-    .from('memberships')
-    .select('membership_type, status, annual_fee, start_date, end_date');
+// Delete an outage entered by mistake
+router.delete('/carts/outages/:id', requirePermission('conditions:manage'), catchAsync(async (req, res) => {
+  const { data: removed, error } = await req.app.locals.db.cartOutages.remove({ id: req.params.id });
 
   if (error) {
-    throw new AppError('Failed to fetch membership data', 500);
+    throw new AppError('Failed to delete cart outage', 500);
   }
 
-  const typeBreakdown = {};
-  const statusBreakdown = {};
-  let totalRevenue = 0;
-  let activeCount = 0;
-  const monthlySignups = {};
+  if (!removed?.length) {
+    throw new AppError('Cart outage not found', 404);
+  }
 
-  memberships.forEach(membership => {
-    // Type breakdown
-    typeBreakdown[membership.membership_type] = (typeBreakdown[membership.membership_type] || 0) + 1;
+  res.json({ message: 'Cart outage deleted successfully' });
+}));
 
-    // Status breakdown
-    statusBreakdown[membership.status] = (statusBreakdown[membership.status] || 0) + 1;
+// Close the course for a day, fully or partially, and cancel or reprice
+// what was booked for it
+router.post('/course-closures', requirePermission('bookings:manage'), [
+  body('closure_date').isISO8601().withMessage('Valid date is required'),
+  body('holes_available')
+    .optional()
+    .isInt({ min: 0, max: 9 })
+    .withMessage('Holes available must be between 0 and 9')
+    .toInt(),
+  body('cart_availability').optional().isBoolean().withMessage('Cart availability must be true or false').toBoolean(),
+  body('resolution')
+    .optional()
+    .isIn(CLOSURE_RESOLUTIONS)
+    .withMessage(`Resolution must be one of: ${CLOSURE_RESOLUTIONS.join(', ')}`),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('notify').optional().isBoolean().withMessage('Notify must be true or false').toBoolean()
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Revenue calculation
-    if (membership.status === 'active') {
-      totalRevenue += membership.annual_fee;
-      activeCount++;
-    }
+  const { db } = req.app.locals;
+  const { closure_date, holes_available = 0, cart_availability = false, resolution, reason, notify } = req.body;
 
-    // Monthly signups
-    const month = moment(membership.start_date).format('YYYY-MM');
-    monthlySignups[month] = (monthlySignups[month] || 0) + 1;
+  // Refunding sends money back through Stripe, which takes the refund
+  // permission as well
+  if (resolution === 'refund' && !(await hasPermission(req, 'payments:refund'))) {
+    throw new AppError('Permission "payments:refund" required to refund a closure', 403);
+  }
+
+  if (closure_date < await courseToday(db)) {
+    throw new AppError('Cannot close the course on a past date', 400);
+  }
+
+  const { closure, items, notified } = await closeCourse(db, {
+    date: closure_date,
+    holesAvailable: holes_available,
+    cartAvailability: cart_availability,
+    resolution,
+    reason: reason || null,
+    closedBy: req.user.id,
+    notify
   });
 
-  res.json({
-    type_breakdown: typeBreakdown,
-    status_breakdown: statusBreakdown,
-    total_memberships: memberships.length,
-    active_memberships: activeCount,
-    total_annual_revenue: totalRevenue,
-    monthly_signups: monthlySignups
+  const cancelled = items.filter(item => item.action === 'cancelled').length;
+  const adjusted = items.filter(item => item.action === 'adjusted').length;
+
+  res.status(201).json({
+    message: `Course closure recorded: ${cancelled} cancelled, ${adjusted} repriced, ${notified} notified`,
+    closure,
+    items
   });
 }));
 
-// Export data (CSV format)
-router.get('/export/:type', [
+// Get course closures, most recent date first
+router.get('/course-closures', requirePermission('bookings:manage'), [
   query('start_date').optional().isISO8601().withMessage('Valid start date required'),
   query('end_date').optional().isISO8601().withMessage('Valid end date required')
 ], catchAsync(async (req, res) => {
@@ -473,79 +552,1617 @@ router.get('/export/:type', [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { type } = req.params;
   const { start_date, end_date } = req.query;
 
-  let data, filename;
+  const dateRange = {};
 
-  switch (type) {
-    case 'bookings':
-      const bookingQuery = supabase
-        .from('tee_times')
-        .select(`
-          booking_date,
-          tee_time,
-          primary_player_name,
-          primary_player_email,
-          number_of_players,
-          green_fee_type,
-          total_amount,
-          status,
-          created_at
-        `)
-        .order('booking_date', { ascending: false });
-
-      if (start_date) bookingQuery.gte('booking_date', start_date);
-      if (end_date) bookingQuery.lte('booking_date', end_date);
-
-      const { data: bookings } = await bookingQuery;
-      data = bookings;
-      filename = `bookings_${moment().format('YYYY-MM-DD')}.csv`;
-      break;
+  if (start_date) {
+    dateRange.gte = start_date;
+  }
 
-    case 'memberships':
-      const { data: memberships } = await supabase
-        .from('memberships')
-        .select(`
-          membership_type,
-          annual_fee,
-          status,
-          start_date,
-          end_date,
-          users:user_id (
-            first_name,
-            last_name,
-            email
-          )
-        `)
-        .order('start_date', { ascending: false });
-
-      data = memberships.map(m => ({
-        ...m,
-        user_name: `${m.users?.first_name} ${m.users?.last_name}`,
-        user_email: m.users?.email
-      }));
-      filename = `memberships_${moment().format('YYYY-MM-DD')}.csv`;
-      break;
+  if (end_date) {
+    dateRange.lte = end_date;
+  }
 
-    default:
-      throw new AppError('Invalid export type', 400);
+  const filters = Object.keys(dateRange).length > 0 ? { closure_date: dateRange } : {};
+
+  const { data: closures, error } = await req.app.locals.db.courseClosures.find(filters, {
+    order: ['closure_date desc', 'created_at desc']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch course closures', 500);
   }
 
-  // Convert to CSV
-  if (data.length === 0) {
-    return res.json({ message: 'No data to export' });
+  res.json({ closures });
+}));
+
+// Get a course closure with everything it changed
+router.get('/course-closures/:id', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
+  const [{ data: closure }, { data: items, error }] = await Promise.all([
+    db.courseClosures.findById(req.params.id),
+    db.courseClosureItems.find({ closure_id: req.params.id }, { order: ['created_at'] })
+  ]);
+
+  if (!closure) {
+    throw new AppError('Course closure not found', 404);
   }
 
-  const headers = Object.keys(data[0]);
-  const csvContent = [
-    headers.join(','),
-    ...data.map(row => headers.map(header => `"${row[header] || ''}"`).join(','))
-  ].join('\n');
+  if (error) {
+    throw new AppError('Failed to fetch course closure', 500);
+  }
 
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.send(csvContent);
+  res.json({ closure, items });
+}));
+
+// Reopen the course after a closure and put back what it changed
+router.post('/course-closures/:id/reopen', requirePermission('bookings:manage'), [
+  body('notify').optional().isBoolean().withMessage('Notify must be true or false').toBoolean()
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { data: closure } = await db.courseClosures.findById(req.params.id);
+
+  if (!closure) {
+    throw new AppError('Course closure not found', 404);
+  }
+
+  if (moment(closure.closure_date).format('YYYY-MM-DD') < await courseToday(db)) {
+    throw new AppError('Cannot reopen the course on a past date', 400);
+  }
+
+  const result = await reopenCourse(db, closure, { reopenedBy: req.user.id, notify: req.body.notify });
+
+  res.json({
+    message: `Course reopened: ${result.restored.length} restored, ${result.not_restored.length} could not be restored`,
+    ...result
+  });
+}));
+
+// Get waitlist depth per day
+router.get('/waitlist', requirePermission('bookings:manage'), [
+  query('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  query('end_date').optional().isISO8601().withMessage('Valid end date required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const today = await courseNow(req.app.locals.db);
+  const {
+    start_date = today.format('YYYY-MM-DD'),
+    end_date = today.clone().add(30, 'days').format('YYYY-MM-DD')
+  } = req.query;
+
+  const { data: entries, error } = await req.app.locals.db.waitlistEntries.find({
+    booking_date: { gte: start_date, lte: end_date },
+    status: { in: ['waiting', 'offered'] }
+  }, {
+    columns: ['booking_date', 'status', 'number_of_players'],
+    order: ['booking_date']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch waitlist', 500);
+  }
+
+  const days = Object.values(entries.reduce((acc, entry) => {
+    const day = acc[entry.booking_date] || {
+      date: entry.booking_date,
+      waiting: 0,
+      offered: 0,
+      players_waiting: 0
+    };
+
+    day[entry.status] += 1;
+    if (entry.status === 'waiting') {
+      day.players_waiting += entry.number_of_players;
+    }
+
+    acc[entry.booking_date] = day;
+    return acc;
+  }, {}));
+
+  res.json({
+    start_date,
+    end_date,
+    days
+  });
+}));
+
+// Get waitlist entries for one day, in the order they will be offered
+router.get('/waitlist/:date', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { date } = req.params;
+
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+    throw new AppError('Valid date is required', 400);
+  }
+
+  const { data: entries, error } = await req.app.locals.db.waitlistEntries.find({
+    booking_date: date
+  }, {
+    order: ['created_at'],
+    include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch waitlist', 500);
+  }
+
+  res.json({ date, entries });
+}));
+
+// Get active standing tee times with their upcoming conflicts, the ones
+// with conflicts first
+router.get('/standing-tee-times', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const today = await courseToday(db);
+
+  const [{ data: seriesList, error }, { data: conflicts, error: conflictsError }] = await Promise.all([
+    db.bookingSeries.find({ status: 'active' }, {
+      order: ['created_at'],
+      include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+    }),
+    db.bookingSeriesConflicts.find(
+      { occurrence_date: { gte: today } },
+      { order: ['occurrence_date', 'tee_time'] }
+    )
+  ]);
+
+  if (error || conflictsError) {
+    throw new AppError('Failed to fetch standing tee times', 500);
+  }
+
+  const series = seriesList
+    .map(item => ({ ...item, conflicts: conflicts.filter(conflict => conflict.series_id === item.id) }))
+    .sort((a, b) => b.conflicts.length - a.conflicts.length);
+
+  res.json({
+    series,
+    total_conflicts: series.reduce((sum, item) => sum + item.conflicts.length, 0)
+  });
+}));
+
+// Get the day's tee sheet, grouped by slot
+router.get('/tee-sheet', requirePermission('bookings:manage'), [
+  query('date').optional().isISO8601().withMessage('Valid date is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const date = req.query.date || await courseToday(req.app.locals.db);
+
+  res.json(await buildTeeSheet(req.app.locals.db, date));
+}));
+
+// Close out a finished day now instead of waiting for the nightly job
+router.post('/tee-sheet/close', requirePermission('bookings:manage'), [
+  body('date').optional().isISO8601().withMessage('Valid date is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const today = await courseToday(req.app.locals.db);
+  const date = req.body.date || today;
+
+  if (date > today) {
+    throw new AppError('Cannot close a tee sheet for a future date', 400);
+  }
+
+  const { completed, noShows } = await closeTeeSheet(req.app.locals.db, { date });
+
+  res.json({
+    message: `Tee sheet closed: ${completed.length} completed, ${noShows.length} no-show(s)`,
+    completed: completed.map(sheetEntry),
+    no_shows: noShows.map(sheetEntry)
+  });
+}));
+
+// Push today's tee times from from_time up to to_time back by delay_minutes,
+// e.g. for a frost delay; dry_run previews the moves without making them
+router.post('/tee-sheet/delay', requirePermission('bookings:manage'), [
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('from_time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('From time must be HH:MM'),
+  body('to_time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('To time must be HH:MM'),
+  body('delay_minutes').isInt({ min: 1, max: 720 }).withMessage('Delay must be 1 to 720 minutes').toInt(),
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Reason must be 200 characters or fewer'),
+  body('notify').optional().isBoolean().withMessage('Notify must be true or false').toBoolean(),
+  body('dry_run').optional().isBoolean().withMessage('Dry run must be true or false').toBoolean()
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const today = await courseToday(db);
+  const date = req.body.date || today;
+  const { from_time, to_time, delay_minutes, reason, notify = true, dry_run = false } = req.body;
+
+  // Standing tee times are booked by date and time, so a delay further out
+  // could be booked again at the original time; delays are a day-of step
+  if (date !== today) {
+    throw new AppError("Only today's tee sheet can be delayed", 400);
+  }
+
+  if (from_time >= to_time) {
+    throw new AppError('From time must be before to time', 400);
+  }
+
+  const { moved, collisions, overflow } = await delayTeeSheet(db, {
+    date,
+    fromTime: from_time,
+    toTime: to_time,
+    minutes: delay_minutes,
+    reason: reason || null,
+    changedBy: req.user.id,
+    notify,
+    dryRun: dry_run
+  });
+
+  const counts = `${moved.length} moved, ${collisions.length} collision(s), ${overflow.length} past closing`;
+
+  res.json({
+    message: dry_run ? `Delay preview: ${counts}` : `Tee times delayed ${delay_minutes} minutes: ${counts}`,
+    date,
+    dry_run,
+    moved,
+    collisions,
+    overflow
+  });
+}));
+
+// Load a booking for a tee sheet action
+const findSheetBooking = async (req) => {
+  const { data: booking } = await req.app.locals.db.teeTimes.findById(req.params.id);
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  return booking;
+};
+
+// Move a booking on to its next day-of step. `from` filters the update so
+// two starters acting at once cannot both apply it.
+const sheetStep = async (req, booking, from, changes) => {
+  const { data: updated, error } = await req.app.locals.db.teeTimes.update(
+    { id: booking.id, ...from },
+    changes
+  );
+
+  if (error) {
+    throw new AppError('Failed to update booking', 500);
+  }
+
+  if (updated.length === 0) {
+    throw new AppError('This booking was changed by someone else; reload the tee sheet', 409);
+  }
+
+  return sheetEntry(updated[0]);
+};
+
+// Refuse day-of steps for bookings that are not on the sheet yet or any more
+const assertOnSheet = async (req, booking, action) => {
+  if (booking.status !== 'confirmed') {
+    throw new AppError(`Cannot ${action} a booking that is ${booking.status}`, 400);
+  }
+
+  if (moment(booking.booking_date).format('YYYY-MM-DD') > await courseToday(req.app.locals.db)) {
+    throw new AppError(`Cannot ${action} a booking before its day`, 400);
+  }
+};
+
+// Check a group in at the starter's desk
+router.post('/tee-sheet/:id/check-in', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const booking = await findSheetBooking(req);
+  await assertOnSheet(req, booking, 'check in');
+
+  if (booking.checked_in_at) {
+    throw new AppError('This booking is already checked in', 400);
+  }
+
+  const entry = await sheetStep(req, booking, { status: 'confirmed', checked_in_at: null }, {
+    checked_in_at: new Date().toISOString(),
+    checked_in_by: req.user.id
+  });
+
+  res.json({ message: 'Checked in', booking: entry });
+}));
+
+// Mark a group that never showed up
+router.post('/tee-sheet/:id/no-show', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const booking = await findSheetBooking(req);
+  await assertOnSheet(req, booking, 'mark as a no-show');
+
+  if (booking.checked_in_at) {
+    throw new AppError('This booking has checked in', 400);
+  }
+
+  const entry = await sheetStep(req, booking, { status: 'confirmed', checked_in_at: null }, {
+    status: 'no_show',
+    no_show_at: new Date().toISOString()
+  });
+
+  // Bring the golfer's standing under the no-show policy up to date
+  if (booking.user_id) {
+    await evaluateStanding(req.app.locals.db, { userId: booking.user_id });
+  }
+
+  res.json({ message: 'Marked as a no-show', booking: entry });
+}));
+
+// Mark a round as finished
+router.post('/tee-sheet/:id/complete', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const booking = await findSheetBooking(req);
+  await assertOnSheet(req, booking, 'complete');
+
+  const now = new Date().toISOString();
+  const entry = await sheetStep(req, booking, { status: 'confirmed' }, {
+    status: 'completed',
+    completed_at: now,
+    // Finishing a round means the group was here
+    checked_in_at: booking.checked_in_at || now,
+    checked_in_by: booking.checked_in_by || req.user.id
+  });
+
+  res.json({ message: 'Round completed', booking: entry });
+}));
+
+// Take payment for a booking at the counter
+router.post('/tee-sheet/:id/payment', requirePermission('bookings:manage'), [
+  body('payment_method')
+    .isIn(COUNTER_PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${COUNTER_PAYMENT_METHODS.join(', ')}`)
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { payment_method } = req.body;
+  const booking = await findSheetBooking(req);
+
+  if (!['confirmed', 'completed'].includes(booking.status)) {
+    throw new AppError(`Cannot take payment for a booking that is ${booking.status}`, 400);
+  }
+
+  // A paid booking moved to a dearer tee time still owes the difference
+  const balanceDue = Number(booking.balance_due) || 0;
+  const collectingBalance = booking.payment_status === 'paid' && balanceDue > 0;
+
+  if (!collectingBalance && !['pending', 'failed'].includes(booking.payment_status)) {
+    throw new AppError(`This booking is already ${booking.payment_status}`, 400);
+  }
+
+  const entry = collectingBalance
+    ? await sheetStep(req, booking, { payment_status: 'paid', balance_due: booking.balance_due }, { balance_due: 0 })
+    : await sheetStep(req, booking, { payment_status: { in: ['pending', 'failed'] } }, {
+      payment_status: 'paid',
+      payment_method
+    });
+
+  const { data: transaction, error } = await db.paymentTransactions.create({
+    transaction_type: 'tee_time',
+    amount: collectingBalance ? balanceDue : booking.total_amount,
+    payment_provider: payment_method,
+    user_id: booking.user_id || null,
+    tee_time_id: booking.id,
+    status: 'completed',
+    metadata: { collected_by: req.user.id, collected_at: 'counter', balance_payment: collectingBalance },
+    transaction_date: new Date().toISOString()
+  });
+
+  if (error) {
+    throw new AppError('Failed to record payment', 500);
+  }
+
+  res.json({ message: 'Payment recorded', booking: entry, transaction });
+}));
+
+// Give a group rained out part way through a rain check for the holes it
+// did not play
+router.post('/tee-sheet/:id/rain-check', requirePermission('bookings:manage'), [
+  body('holes_played').isInt({ min: 0, max: 17 }).withMessage('Holes played must be between 0 and 17').toInt(),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const booking = await findSheetBooking(req);
+
+  const { credit, holes } = await issueRainCheck(db, booking, {
+    holesPlayed: req.body.holes_played,
+    issuedBy: req.user.id,
+    note: req.body.note || null
+  });
+
+  res.status(201).json({
+    message: `Rain check of $${Number(credit.amount).toFixed(2)} issued for ${holes - req.body.holes_played} unplayed hole(s)`,
+    credit
+  });
+}));
+
+// Get a golfer's rain checks and account credits with their balance
+// history, by account or by guest email
+router.get('/credits', requirePermission('bookings:manage'), [
+  query('user_id').optional().isUUID().withMessage('Valid user id is required'),
+  query('email').optional().isEmail().withMessage('Valid email is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { user_id, email } = req.query;
+
+  if (!user_id && !email) {
+    throw new AppError('A user id or email is required', 400);
+  }
+
+  // A user's credits include any given to their email as a guest
+  const { data: user } = user_id
+    ? await db.users.findById(user_id, { columns: ['id', 'email'] })
+    : await db.users.findOne({ email: email.toLowerCase() }, { columns: ['id', 'email'] });
+
+  if (user_id && !user) {
+    throw new AppError('User not found', 404);
+  }
+
+  res.json(await creditStatement(db, { userId: user?.id || null, email: user?.email || email }));
+}));
+
+// Get rate classes, pricing seasons and green fee rates
+router.get('/pricing', requirePermission('settings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
+  const [rateClasses, seasons, rates] = await Promise.all([
+    db.rateClasses.find({}, { order: ['sort_order', 'name'] }),
+    db.pricingSeasons.find({}, { order: ['start_date'] }),
+    db.greenFeeRates.find({}, { order: ['rate_class_code', 'green_fee_type'] })
+  ]);
+
+  if (rateClasses.error || seasons.error || rates.error) {
+    throw new AppError('Failed to fetch pricing', 500);
+  }
+
+  res.json({
+    rate_classes: rateClasses.data,
+    seasons: seasons.data,
+    rates: rates.data
+  });
+}));
+
+// Validation rules for rate classes; `creating` makes the name required
+const rateClassValidation = (creating) => [
+  creating
+    ? body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Rate class name is required')
+    : body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Rate class name cannot be empty'),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('requires_membership').optional().isBoolean().withMessage('Requires membership must be true or false').toBoolean(),
+  body('is_active').optional().isBoolean().withMessage('Is active must be true or false').toBoolean(),
+  body('sort_order').optional().isInt().withMessage('Sort order must be a whole number').toInt()
+];
+
+const RATE_CLASS_FIELDS = ['name', 'description', 'requires_membership', 'is_active', 'sort_order'];
+
+const pickFields = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    acc[field] = source[field];
+  }
+  return acc;
+}, {});
+
+// Create a rate class
+router.post('/pricing/rate-classes', requirePermission('settings:manage'), [
+  body('code')
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Code must be lowercase letters, digits and underscores'),
+  ...rateClassValidation(true)
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { data: rateClass, error } = await req.app.locals.db.rateClasses.create({
+    code: req.body.code,
+    ...pickFields(req.body, RATE_CLASS_FIELDS)
+  });
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new AppError('Rate class code already exists', 409);
+    }
+    throw new AppError('Failed to create rate class', 500);
+  }
+
+  res.status(201).json({
+    message: 'Rate class created successfully',
+    rate_class: rateClass
+  });
+}));
+
+// Update a rate class
+router.put('/pricing/rate-classes/:code', requirePermission('settings:manage'), rateClassValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { code } = req.params;
+  const updates = pickFields(req.body, RATE_CLASS_FIELDS);
+
+  // Every other class falls back to the standard rate
+  if (code === DEFAULT_RATE_CLASS && updates.is_active === false) {
+    throw new AppError('The standard rate class cannot be deactivated', 400);
+  }
+
+  const { data: updated, error } = await req.app.locals.db.rateClasses.update({ code }, updates);
+
+  if (error) {
+    throw new AppError('Failed to update rate class', 500);
+  }
+
+  if (!updated?.length) {
+    throw new AppError('Rate class not found', 404);
+  }
+
+  res.json({
+    message: 'Rate class updated successfully',
+    rate_class: updated[0]
+  });
+}));
+
+// Validation rules for pricing seasons
+const seasonValidation = (creating) => {
+  const field = (name) => (creating ? body(name) : body(name).optional());
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Season name is required'),
+    field('start_date').isISO8601().withMessage('Valid start date required'),
+    field('end_date').isISO8601().withMessage('Valid end date required'),
+    body('is_active').optional().isBoolean().withMessage('Is active must be true or false').toBoolean()
+  ];
+};
+
+const SEASON_FIELDS = ['name', 'start_date', 'end_date', 'is_active'];
+
+// Create a pricing season
+router.post('/pricing/seasons', requirePermission('settings:manage'), seasonValidation(true), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (req.body.end_date < req.body.start_date) {
+    throw new AppError('Season cannot end before it starts', 400);
+  }
+
+  const { data: season, error } = await req.app.locals.db.pricingSeasons.create(pickFields(req.body, SEASON_FIELDS));
+
+  if (error) {
+    throw new AppError('Failed to create pricing season', 500);
+  }
+
+  res.status(201).json({
+    message: 'Pricing season created successfully',
+    season
+  });
+}));
+
+// Update a pricing season
+router.put('/pricing/seasons/:id', requirePermission('settings:manage'), seasonValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { data: existing } = await db.pricingSeasons.findById(req.params.id);
+
+  if (!existing) {
+    throw new AppError('Pricing season not found', 404);
+  }
+
+  const updates = pickFields(req.body, SEASON_FIELDS);
+  const startDate = updates.start_date || existing.start_date;
+  const endDate = updates.end_date || existing.end_date;
+
+  if (endDate < startDate) {
+    throw new AppError('Season cannot end before it starts', 400);
+  }
+
+  const { data: season, error } = await db.pricingSeasons.updateById(existing.id, updates);
+
+  if (error) {
+    throw new AppError('Failed to update pricing season', 500);
+  }
+
+  res.json({
+    message: 'Pricing season updated successfully',
+    season
+  });
+}));
+
+// Delete a pricing season and its rates
+router.delete('/pricing/seasons/:id', requirePermission('settings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const { id } = req.params;
+
+  const { data: removed, error } = await db.pricingSeasons.remove({ id });
+
+  if (error) {
+    throw new AppError('Failed to delete pricing season', 500);
+  }
+
+  if (!removed?.length) {
+    throw new AppError('Pricing season not found', 404);
+  }
+
+  // Postgres cascades this; repeat it for adapters without foreign keys
+  await db.greenFeeRates.remove({ season_id: id });
+
+  res.json({ message: 'Pricing season deleted successfully' });
+}));
+
+// Validation rules for green fee rates
+const rateValidation = (creating) => {
+  const field = (name) => (creating ? body(name) : body(name).optional());
+
+  return [
+    field('rate_class_code').isString().withMessage('Rate class is required'),
+    field('green_fee_type').isIn(['9_holes', 'all_day']).withMessage('Green fee type must be 9_holes or all_day'),
+    body('day_type').optional().isIn(['any', 'weekday', 'weekend']).withMessage('Day type must be any, weekday or weekend'),
+    body('time_period').optional().isIn(['any', 'regular', 'twilight']).withMessage('Time period must be any, regular or twilight'),
+    body('season_id').optional({ values: 'null' }).isUUID().withMessage('Valid season id required'),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be zero or more').toFloat(),
+    body('is_active').optional().isBoolean().withMessage('Is active must be true or false').toBoolean()
+  ];
+};
+
+const RATE_FIELDS = ['rate_class_code', 'green_fee_type', 'day_type', 'time_period', 'season_id', 'price', 'is_active'];
+
+// Check that a rate's class and season exist
+const checkRateReferences = async (db, { rate_class_code, season_id }) => {
+  if (rate_class_code) {
+    const { data: rateClass } = await db.rateClasses.findOne({ code: rate_class_code }, { columns: ['code'] });
+    if (!rateClass) {
+      throw new AppError(`Unknown rate class "${rate_class_code}"`, 400);
+    }
+  }
+
+  if (season_id) {
+    const { data: season } = await db.pricingSeasons.findById(season_id, { columns: ['id'] });
+    if (!season) {
+      throw new AppError('Pricing season not found', 400);
+    }
+  }
+};
+
+// Create a green fee rate
+router.post('/pricing/rates', requirePermission('settings:manage'), rateValidation(true), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const rateData = pickFields(req.body, RATE_FIELDS);
+
+  await checkRateReferences(db, rateData);
+
+  const { data: rate, error } = await db.greenFeeRates.create({
+    day_type: 'any',
+    time_period: 'any',
+    season_id: null,
+    is_active: true,
+    ...rateData
+  });
+
+  if (error) {
+    throw new AppError('Failed to create green fee rate', 500);
+  }
+
+  res.status(201).json({
+    message: 'Green fee rate created successfully',
+    rate
+  });
+}));
+
+// Update a green fee rate
+router.put('/pricing/rates/:id', requirePermission('settings:manage'), rateValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const updates = pickFields(req.body, RATE_FIELDS);
+
+  await checkRateReferences(db, updates);
+
+  const { data: rate, error } = await db.greenFeeRates.updateById(req.params.id, updates);
+
+  if (error) {
+    throw new AppError('Failed to update green fee rate', 500);
+  }
+
+  if (!rate) {
+    throw new AppError('Green fee rate not found', 404);
+  }
+
+  res.json({
+    message: 'Green fee rate updated successfully',
+    rate
+  });
+}));
+
+// Delete a green fee rate
+router.delete('/pricing/rates/:id', requirePermission('settings:manage'), catchAsync(async (req, res) => {
+  const { data: removed, error } = await req.app.locals.db.greenFeeRates.remove({ id: req.params.id });
+
+  if (error) {
+    throw new AppError('Failed to delete green fee rate', 500);
+  }
+
+  if (!removed?.length) {
+    throw new AppError('Green fee rate not found', 404);
+  }
+
+  res.json({ message: 'Green fee rate deleted successfully' });
+}));
+
+// Validation rules for no-show rules
+const noShowRuleValidation = (creating) => {
+  const field = (name) => (creating ? body(name) : body(name).optional());
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Rule name is required'),
+    field('no_show_count').isInt({ min: 1 }).withMessage('No-show count must be at least 1').toInt(),
+    field('window_days').isInt({ min: 1 }).withMessage('Window must be at least 1 day').toInt(),
+    field('action').isIn(NO_SHOW_ACTIONS).withMessage(`Action must be one of: ${NO_SHOW_ACTIONS.join(', ')}`),
+    body('suspension_days').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Suspension must be at least 1 day').toInt(),
+    body('is_active').optional().isBoolean().withMessage('Is active must be true or false').toBoolean()
+  ];
+};
+
+const NO_SHOW_RULE_FIELDS = ['name', 'no_show_count', 'window_days', 'action', 'suspension_days', 'is_active'];
+
+const assertSuspensionLength = (rule) => {
+  if (rule.action === 'suspend' && !rule.suspension_days) {
+    throw new AppError('Suspension rules need suspension_days', 400);
+  }
+};
+
+// Get the no-show rules
+router.get('/no-show-rules', requirePermission('settings:manage'), catchAsync(async (req, res) => {
+  const { data: rules, error } = await req.app.locals.db.noShowRules.find({}, {
+    order: ['action', 'no_show_count']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch no-show rules', 500);
+  }
+
+  res.json({ rules });
+}));
+
+// Create a no-show rule
+router.post('/no-show-rules', requirePermission('settings:manage'), noShowRuleValidation(true), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const fields = { suspension_days: null, is_active: true, ...pickFields(req.body, NO_SHOW_RULE_FIELDS) };
+  assertSuspensionLength(fields);
+
+  const { data: rule, error } = await req.app.locals.db.noShowRules.create(fields);
+
+  if (error) {
+    throw new AppError('Failed to create no-show rule', 500);
+  }
+
+  res.status(201).json({
+    message: 'No-show rule created successfully',
+    rule
+  });
+}));
+
+// Update a no-show rule
+router.put('/no-show-rules/:id', requirePermission('settings:manage'), noShowRuleValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { data: existing } = await db.noShowRules.findById(req.params.id);
+
+  if (!existing) {
+    throw new AppError('No-show rule not found', 404);
+  }
+
+  const updates = pickFields(req.body, NO_SHOW_RULE_FIELDS);
+  assertSuspensionLength({ ...existing, ...updates });
+
+  const { data: rule, error } = await db.noShowRules.updateById(existing.id, updates);
+
+  if (error) {
+    throw new AppError('Failed to update no-show rule', 500);
+  }
+
+  res.json({
+    message: 'No-show rule updated successfully',
+    rule
+  });
+}));
+
+// Get golfers whose standing restricts booking or has been overridden,
+// re-checked against the current rules
+router.get('/booking-standings', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
+  const [{ data: restricted, error }, { data: overridden, error: overrideError }] = await Promise.all([
+    db.bookingStandings.find({ status: { neq: 'good' } }, { columns: ['user_id'] }),
+    db.bookingStandings.find({ override_status: { in: STANDING_STATUSES } }, { columns: ['user_id'] })
+  ]);
+
+  if (error || overrideError) {
+    throw new AppError('Failed to fetch booking standings', 500);
+  }
+
+  const today = await courseToday(db);
+  const userIds = [...new Set([...restricted, ...overridden].map(standing => standing.user_id))];
+  for (const userId of userIds) {
+    await evaluateStanding(db, { userId }, { today });
+  }
+
+  const { data: standings, error: standingsError } = userIds.length > 0
+    ? await db.bookingStandings.find({ user_id: { in: userIds } }, {
+      order: ['updated_at desc'],
+      include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+    })
+    : { data: [], error: null };
+
+  if (standingsError) {
+    throw new AppError('Failed to fetch booking standings', 500);
+  }
+
+  res.json({
+    standings: standings
+      .map(standing => effectiveStanding(standing, today))
+      .filter(standing => standing.effective_status !== 'good' || standing.override_status)
+  });
+}));
+
+// Get one golfer's standing with the no-shows behind it
+router.get('/booking-standings/:userId', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const { userId } = req.params;
+
+  const { data: user } = await db.users.findById(userId, { columns: ['id'] });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const standing = await evaluateStanding(db, { userId });
+
+  const { data: noShows, error } = await db.teeTimes.find(
+    { user_id: userId, status: 'no_show' },
+    { columns: ['id', 'booking_date', 'tee_time', 'number_of_players', 'no_show_at'], order: ['booking_date desc'] }
+  );
+
+  if (error) {
+    throw new AppError('Failed to fetch no-shows', 500);
+  }
+
+  res.json({ standing, no_shows: noShows });
+}));
+
+// Override a golfer's standing, e.g. to lift a suspension after a
+// legitimate excuse or to suspend a golfer by hand
+router.put('/booking-standings/:userId/override', requirePermission('bookings:manage'), [
+  body('status')
+    .isIn(STANDING_STATUSES)
+    .withMessage(`Status must be one of: ${STANDING_STATUSES.join(', ')}`),
+  body('until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Valid until date required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { userId } = req.params;
+
+  const { data: user } = await db.users.findById(userId, { columns: ['id'] });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  // Make sure the golfer has a standing to override
+  await evaluateStanding(db, { userId });
+
+  const { data: updated, error } = await db.bookingStandings.update({ user_id: userId }, {
+    override_status: req.body.status,
+    override_until: req.body.until || null,
+    override_reason: req.body.reason,
+    override_by: req.user.id
+  });
+
+  if (error) {
+    throw new AppError('Failed to override booking standing', 500);
+  }
+
+  res.json({
+    message: 'Booking standing overridden',
+    standing: effectiveStanding(updated[0], await courseToday(db))
+  });
+}));
+
+// Remove an override so the no-show rules apply again
+router.delete('/booking-standings/:userId/override', requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const { userId } = req.params;
+
+  const { data: updated, error } = await db.bookingStandings.update({ user_id: userId }, {
+    override_status: null,
+    override_until: null,
+    override_reason: null,
+    override_by: null
+  });
+
+  if (error) {
+    throw new AppError('Failed to remove override', 500);
+  }
+
+  if (!updated.length) {
+    throw new AppError('Booking standing not found', 404);
+  }
+
+  res.json({
+    message: 'Override removed',
+    standing: await evaluateStanding(db, { userId })
+  });
+}));
+
+// Validation rules for cancellation policies
+const cancellationPolicyValidation = (creating) => {
+  const field = (name) => (creating ? body(name) : body(name).optional());
+  const percent = (name) => body(name).optional().isFloat({ min: 0, max: 100 }).withMessage(`${name} must be between 0 and 100`).toFloat();
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Policy name is required'),
+    body('applies_to').optional().isIn(POLICY_TARGETS).withMessage(`Applies to must be one of: ${POLICY_TARGETS.join(', ')}`),
+    body('rate_class_code').optional({ nullable: true }).isString().withMessage('Rate class code must be a string'),
+    body('member_status').optional().isIn(POLICY_MEMBER_STATUSES).withMessage(`Member status must be one of: ${POLICY_MEMBER_STATUSES.join(', ')}`),
+    field('cutoff_hours').isInt({ min: 0 }).withMessage('Cutoff hours must be 0 or more').toInt(),
+    body('modification_cutoff_hours').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Modification cutoff hours must be 0 or more').toInt(),
+    percent('refund_percent'),
+    body('late_cancel_allowed').optional().isBoolean().withMessage('Late cancel allowed must be true or false').toBoolean(),
+    body('late_cancel_fee').optional().isFloat({ min: 0 }).withMessage('Late cancel fee must be 0 or more').toFloat(),
+    percent('late_refund_percent'),
+    body('weather_exemption').optional().isBoolean().withMessage('Weather exemption must be true or false').toBoolean(),
+    body('is_active').optional().isBoolean().withMessage('Is active must be true or false').toBoolean()
+  ];
+};
+
+const CANCELLATION_POLICY_FIELDS = [
+  'name', 'applies_to', 'rate_class_code', 'member_status', 'cutoff_hours', 'modification_cutoff_hours',
+  'refund_percent', 'late_cancel_allowed', 'late_cancel_fee', 'late_refund_percent', 'weather_exemption', 'is_active'
+];
+
+// Rate classes only apply to tee times, and must exist
+const checkPolicyRateClass = async (db, policy) => {
+  if (!policy.rate_class_code) {
+    return;
+  }
+
+  if (policy.applies_to === 'event') {
+    throw new AppError('Event policies cannot be limited to a rate class', 400);
+  }
+
+  await checkRateReferences(db, { rate_class_code: policy.rate_class_code });
+};
+
+const withSummary = (policy) => ({ ...policy, summary: describePolicy(policy) });
+
+// Get the cancellation policies
+router.get('/cancellation-policies', requirePermission('settings:manage'), catchAsync(async (req, res) => {
+  const { data: policies, error } = await req.app.locals.db.cancellationPolicies.find({}, {
+    order: ['applies_to', 'name']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch cancellation policies', 500);
+  }
+
+  res.json({ policies: policies.map(withSummary) });
+}));
+
+// Create a cancellation policy
+router.post('/cancellation-policies', requirePermission('settings:manage'), cancellationPolicyValidation(true), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const fields = {
+    applies_to: 'tee_time',
+    rate_class_code: null,
+    member_status: 'any',
+    modification_cutoff_hours: null,
+    refund_percent: 100,
+    late_cancel_allowed: false,
+    late_cancel_fee: 0,
+    late_refund_percent: 0,
+    weather_exemption: true,
+    is_active: true,
+    ...pickFields(req.body, CANCELLATION_POLICY_FIELDS)
+  };
+
+  await checkPolicyRateClass(db, fields);
+
+  const { data: policy, error } = await db.cancellationPolicies.create(fields);
+
+  if (error) {
+    throw new AppError('Failed to create cancellation policy', 500);
+  }
+
+  res.status(201).json({
+    message: 'Cancellation policy created successfully',
+    policy: withSummary(policy)
+  });
+}));
+
+// Update a cancellation policy
+router.put('/cancellation-policies/:id', requirePermission('settings:manage'), cancellationPolicyValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { data: existing } = await db.cancellationPolicies.findById(req.params.id);
+
+  if (!existing) {
+    throw new AppError('Cancellation policy not found', 404);
+  }
+
+  const updates = pickFields(req.body, CANCELLATION_POLICY_FIELDS);
+  await checkPolicyRateClass(db, { ...existing, ...updates });
+
+  const { data: policy, error } = await db.cancellationPolicies.updateById(existing.id, updates);
+
+  if (error) {
+    throw new AppError('Failed to update cancellation policy', 500);
+  }
+
+  res.json({
+    message: 'Cancellation policy updated successfully',
+    policy: withSummary(policy)
+  });
+}));
+
+// Validation rules for booking release rules
+const releaseRuleValidation = (creating) => {
+  const field = (name) => (creating ? body(name) : body(name).optional());
+  const time = (name) => body(name).optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage(`${name} must be HH:MM`);
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Rule name is required'),
+    field('audience').isIn(RELEASE_AUDIENCES).withMessage(`Audience must be one of: ${RELEASE_AUDIENCES.join(', ')}`),
+    body('days_of_week').optional({ nullable: true }).isArray({ min: 1, max: 7 }).withMessage('Days of week must be a list of days'),
+    body('days_of_week.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)').toInt(),
+    time('start_time'),
+    time('end_time'),
+    body('days_before').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Days before must be 0 or more').toInt(),
+    body('release_weekday').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('Release weekday must be 0 (Sunday) to 6 (Saturday)').toInt(),
+    time('release_time'),
+    body('is_active').optional().isBoolean().withMessage('Is active must be true or false').toBoolean()
+  ];
+};
+
+const RELEASE_RULE_FIELDS = [
+  'name', 'audience', 'days_of_week', 'start_time', 'end_time', 'days_before', 'release_weekday', 'release_time', 'is_active'
+];
+
+// A rule opens tee times either some days before play or on a weekday
+// before it, never both; and its window of tee times must not be empty
+const assertReleaseSchedule = (rule) => {
+  if ((rule.days_before == null) === (rule.release_weekday == null)) {
+    throw new AppError('Release rules need exactly one of days_before or release_weekday', 400);
+  }
+
+  if (rule.start_time && rule.end_time && String(rule.start_time).slice(0, 5) >= String(rule.end_time).slice(0, 5)) {
+    throw new AppError('Start time must be before end time', 400);
+  }
+};
+
+// Get the booking release rules
+router.get('/booking-release-rules', requirePermission('settings:manage'), catchAsync(async (req, res) => {
+  const { data: rules, error } = await req.app.locals.db.bookingReleaseRules.find({}, {
+    order: ['audience', 'name']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch booking release rules', 500);
+  }
+
+  res.json({ rules });
+}));
+
+// Create a booking release rule
+router.post('/booking-release-rules', requirePermission('settings:manage'), releaseRuleValidation(true), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const fields = {
+    days_of_week: null,
+    start_time: null,
+    end_time: null,
+    days_before: null,
+    release_weekday: null,
+    release_time: '07:00',
+    is_active: true,
+    ...pickFields(req.body, RELEASE_RULE_FIELDS)
+  };
+  assertReleaseSchedule(fields);
+
+  const { data: rule, error } = await req.app.locals.db.bookingReleaseRules.create(fields);
+
+  if (error) {
+    throw new AppError('Failed to create booking release rule', 500);
+  }
+
+  res.status(201).json({
+    message: 'Booking release rule created successfully',
+    rule
+  });
+}));
+
+// Update a booking release rule
+router.put('/booking-release-rules/:id', requirePermission('settings:manage'), releaseRuleValidation(false), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { data: existing } = await db.bookingReleaseRules.findById(req.params.id);
+
+  if (!existing) {
+    throw new AppError('Booking release rule not found', 404);
+  }
+
+  const updates = pickFields(req.body, RELEASE_RULE_FIELDS);
+  assertReleaseSchedule({ ...existing, ...updates });
+
+  const { data: rule, error } = await db.bookingReleaseRules.updateById(existing.id, updates);
+
+  if (error) {
+    throw new AppError('Failed to update booking release rule', 500);
+  }
+
+  res.json({
+    message: 'Booking release rule updated successfully',
+    rule
+  });
+}));
+
+// Get revenue reports
+router.get('/reports/revenue', requirePermission('reports:view'), [
+  query('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  query('end_date').optional().isISO8601().withMessage('Valid end date required'),
+  query('group_by').optional().isIn(['day', 'week', 'month']).withMessage('Invalid group by option')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const now = await courseNow(db);
+  const { 
+    start_date = now.clone().subtract(30, 'days').format('YYYY-MM-DD'),
+    end_date = now.format('YYYY-MM-DD'),
+    group_by = 'day'
+  } = req.query;
+
+  // Payments are timestamped; report them by the course day they fell on
+  const timezone = now.tz();
+  const { data: transactions, error } = await db.paymentTransactions.find({
+    status: 'completed',
+    transaction_date: dayRange(timezone, start_date, end_date)
+  }, {
+    columns: ['amount', 'transaction_date', 'transaction_type'],
+    order: ['transaction_date']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch revenue data', 500);
+  }
+
+  // Group transactions by specified period
+  const groupedData = {};
+  const totalByType = {};
+
+  transactions.forEach(transaction => {
+    let groupKey;
+    const date = moment(transaction.transaction_date).tz(timezone);
+
+    switch (group_by) {
+      case 'week':
+        groupKey = date.startOf('week').format('YYYY-MM-DD');
+        break;
+      case 'month':
+        groupKey = date.format('YYYY-MM');
+        break;
+      default:
+        groupKey = date.format('YYYY-MM-DD');
+    }
+
+    if (!groupedData[groupKey]) {
+      groupedData[groupKey] = 0;
+    }
+    groupedData[groupKey] += transaction.amount;
+
+    // Track by transaction type
+    if (!totalByType[transaction.transaction_type]) {
+      totalByType[transaction.transaction_type] = 0;
+    }
+    totalByType[transaction.transaction_type] += transaction.amount;
+  });
+
+  const totalRevenue = transactions.reduce((sum, t) => sum + t.amount, 0);
+
+  res.json({
+    revenue_by_period: groupedData,
+    revenue_by_type: totalByType,
+    total_revenue: totalRevenue,
+    period: { start_date, end_date, group_by }
+  });
+}));
+
+// Get booking reports
+router.get('/reports/bookings', requirePermission('reports:view'), [
+  query('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  query('end_date').optional().isISO8601().withMessage('Valid end date required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const now = await courseNow(req.app.locals.db);
+  const { 
+    start_date = now.clone().subtract(30, 'days').format('YYYY-MM-DD'),
+    end_date = now.format('YYYY-MM-DD')
+  } = req.query;
+
+  const { data: bookings, error } = await req.app.locals.db.teeTimes.find({
+    booking_date: { gte: start_date, lte: end_date }
+  }, {
+    columns: ['booking_date', 'status', 'number_of_players', 'green_fee_type', 'cart_rental']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch booking data', 500);
+  }
+
+  // Analyze booking data
+  const dailyBookings = {};
+  const statusCounts = {};
+  const feeTypeCounts = {};
+  let totalPlayers = 0;
+  let cartRentals = 0;
+
+  bookings.forEach(booking => {
+    // Daily bookings
+    if (!dailyBookings[booking.booking_date]) {
+      dailyBookings[booking.booking_date] = 0;
+    }
+    dailyBookings[booking.booking_date]++;
+
+    // Status counts
+    statusCounts[booking.status] = (statusCounts[booking.status] || 0) + 1;
+
+    // Fee type counts
+    feeTypeCounts[booking.green_fee_type] = (feeTypeCounts[booking.green_fee_type] || 0) + 1;
+
+    // Player and cart statistics
+    totalPlayers += booking.number_of_players;
+    if (booking.cart_rental) cartRentals++;
+  });
+
+  res.json({
+    daily_bookings: dailyBookings,
+    status_breakdown: statusCounts,
+    fee_type_breakdown: feeTypeCounts,
+    total_bookings: bookings.length,
+    total_players: totalPlayers,
+    cart_rentals: cartRentals,
+    average_players_per_booking: bookings.length > 0 ? (totalPlayers / bookings.length).toFixed(2) : 0,
+    period: { start_date, end_date }
+  });
+}));
+
+// Get membership reports
+router.get('/reports/memberships', requirePermission('reports:view'), catchAsync(async (req, res) => {
+  const { data: memberships, error } = await req.app.locals.db.memberships.find({}, {
+    columns: ['membership_type', 'status', 'annual_fee', 'start_date', 'end_date']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch membership data', 500);
+  }
+
+  const typeBreakdown = {};
+  const statusBreakdown = {};
+  let totalRevenue = 0;
+  let activeCount = 0;
+  const monthlySignups = {};
+
+  memberships.forEach(membership => {
+    // Type breakdown
+    typeBreakdown[membership.membership_type] = (typeBreakdown[membership.membership_type] || 0) + 1;
+
+    // Status breakdown
+    statusBreakdown[membership.status] = (statusBreakdown[membership.status] || 0) + 1;
+
+    // Revenue calculation
+    if (membership.status === 'active') {
+      totalRevenue += membership.annual_fee;
+      activeCount++;
+    }
+
+    // Monthly signups
+    const month = moment(membership.start_date).format('YYYY-MM');
+    monthlySignups[month] = (monthlySignups[month] || 0) + 1;
+  });
+
+  res.json({
+    type_breakdown: typeBreakdown,
+    status_breakdown: statusBreakdown,
+    total_memberships: memberships.length,
+    active_memberships: activeCount,
+    total_annual_revenue: totalRevenue,
+    monthly_signups: monthlySignups
+  });
+}));
+
+// Get unspent rain checks and account credits, what the course owes in them
+router.get('/reports/credits', requirePermission('reports:view'), catchAsync(async (req, res) => {
+  res.json(await creditLiability(req.app.locals.db));
+}));
+
+// Export data (CSV format)
+router.get('/export/:type', requirePermission('reports:view'), [
+  query('start_date').optional().isISO8601().withMessage('Valid start date required'),
+  query('end_date').optional().isISO8601().withMessage('Valid end date required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { type } = req.params;
+  const { start_date, end_date } = req.query;
+  const today = await courseToday(db);
+
+  let data, filename;
+
+  switch (type) {
+    case 'bookings':
+      const bookingDateRange = {};
+      if (start_date) bookingDateRange.gte = start_date;
+      if (end_date) bookingDateRange.lte = end_date;
+
+      const { data: bookings } = await db.teeTimes.find(
+        Object.keys(bookingDateRange).length > 0 ? { booking_date: bookingDateRange } : {},
+        {
+          columns: [
+            'booking_date',
+            'tee_time',
+            'primary_player_name',
+            'primary_player_email',
+            'number_of_players',
+            'green_fee_type',
+            'total_amount',
+            'status',
+            'created_at'
+          ],
+          order: ['booking_date desc']
+        }
+      );
+      data = bookings;
+      filename = `bookings_${today}.csv`;
+      break;
+
+    case 'memberships':
+      const { data: memberships } = await db.memberships.find({}, {
+        columns: ['membership_type', 'annual_fee', 'status', 'start_date', 'end_date', 'user_id'],
+        order: ['start_date desc'],
+        include: { users: ['first_name', 'last_name', 'email'] }
+      });
+
+      data = memberships.map(({ user_id, users, ...m }) => ({
+        ...m,
+        user_name: `${users?.first_name} ${users?.last_name}`,
+        user_email: users?.email
+      }));
+      filename = `memberships_${today}.csv`;
+      break;
+
+    default:
+      throw new AppError('Invalid export type', 400);
+  }
+
+  // Convert to CSV
+  if (data.length === 0) {
+    return res.json({ message: 'No data to export' });
+  }
+
+  const headers = Object.keys(data[0]);
+  const csvContent = [
+    headers.join(','),
+    ...data.map(row => headers.map(header => `"${row[header] || ''}"`).join(','))
+  ].join('\n');
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csvContent);
+}));
+
+// List roles and the permissions each one grants
+router.get('/roles', requirePermission('users:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
+  const [{ data: roles, error }, { data: grants, error: grantsError }] = await Promise.all([
+    db.roles.find({}, { order: ['name'] }),
+    db.rolePermissions.find({}, { columns: ['role_name', 'permission_name'] })
+  ]);
+
+  if (error || grantsError) {
+    throw new AppError('Failed to fetch roles', 500);
+  }
+
+  res.json({
+    roles: roles.map(role => ({
+      name: role.name,
+      description: role.description,
+      permissions: grants
+        .filter(grant => grant.role_name === role.name)
+        .map(grant => grant.permission_name)
+        .sort()
+    }))
+  });
+}));
+
+// List users with their roles
+router.get('/users', requirePermission('users:manage'), [
+  query('role').optional().isString().withMessage('Role must be a string'),
+  query('search').optional().isString().withMessage('Search must be a string')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { page = 1, limit = 20, role, search } = req.query;
+  const offset = (page - 1) * limit;
+
+  const filters = {};
+
+  if (role) {
+    filters.role = role;
+  }
+
+  if (search) {
+    filters.email = { ilike: `%${search}%` };
+  }
+
+  const { data: users, error, count } = await req.app.locals.db.users.find(filters, {
+    columns: ['id', 'email', 'first_name', 'last_name', 'role', 'is_active', 'created_at', 'last_login'],
+    order: ['last_name', 'first_name'],
+    limit: parseInt(limit),
+    offset,
+    count: true
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch users', 500);
+  }
+
+  res.json({
+    users,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  });
+}));
+
+// Assign a role to a user
+router.put('/users/:id/role', requirePermission('users:manage'), [
+  body('role')
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { id } = req.params;
+  const { role } = req.body;
+
+  // Stop administrators from locking themselves out
+  if (id === req.user.id) {
+    throw new AppError('You cannot change your own role', 400);
+  }
+
+  const { data: existingRole } = await db.roles.findOne({ name: role }, { columns: ['name'] });
+
+  if (!existingRole) {
+    throw new AppError(`Unknown role "${role}"`, 400);
+  }
+
+  const { data: updatedUser, error } = await db.users.updateById(id, { role });
+
+  if (error) {
+    throw new AppError('Failed to update user role', 500);
+  }
+
+  if (!updatedUser) {
+    throw new AppError('User not found', 404);
+  }
+
+  res.json({
+    message: 'User role updated successfully',
+    user: {
+      id: updatedUser.id,
+      email: updatedUser.email,
+      first_name: updatedUser.first_name,
+      last_name: updatedUser.last_name,
+      role: updatedUser.role
+    }
+  });
 }));
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,7 @@
 // Authentication routes
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/database');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, loadPermissions } = require('../middleware/auth');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -63,20 +60,17 @@ router.post('/register', registerValidation, catchAsync(async (req, res) => {
     phone,
     date_of_birth
   } = req.body;
+  const { db } = req.app.locals;
 
   // Check if user already exists
-  const { data: existingUser } = await supabase
-    .from('users')
-    .select('id')
-    .eq('email', email)
-    .single();
+  const { data: existingUser } = await db.users.findOne({ email }, { columns: ['id'] });
 
   if (existingUser) {
     throw new AppError('User with this email already exists', 409);
   }
 
-  // Register with Supabase Auth
-  const { data: authData, error: authError } = await supabase.auth.signUp({
+  // Register with the auth provider
+  const { data: authData, error: authError } = await db.auth.signUp({
     email,
     password,
     options: {
@@ -93,24 +87,21 @@ router.post('/register', registerValidation, catchAsync(async (req, res) => {
     throw new AppError(authError.message, 400);
   }
 
-  // Create user profile in our users table
-  const { data: userProfile, error: profileError } = await supabase
-    .from('users')
-    .insert({
-      id: authData.user.id,
-      email,
-      first_name,
-      last_name,
-      phone,
-      date_of_birth,
-      is_verified: false
-    })
-    .select()
-    .single();
+  // Create user profile in our users table (the local auth provider has
+  // already created the row, so merge into it)
+  const { data: userProfile, error: profileError } = await db.users.upsert({
+    id: authData.user.id,
+    email,
+    first_name,
+    last_name,
+    phone,
+    date_of_birth,
+    is_verified: false
+  });
 
   if (profileError) {
     // If profile creation fails, we should clean up the auth user
-    await supabase.auth.admin.deleteUser(authData.user.id);
+    await db.auth.admin.deleteUser(authData.user.id);
     throw new AppError('Failed to create user profile', 500);
   }
 
@@ -134,10 +125,11 @@ router.post('/login', loginValidation, catchAsync(async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { email, password } = req.body;
 
-  // Sign in with Supabase Auth
-  const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
+  // Sign in with the auth provider
+  const { data: authData, error: authError } = await db.auth.signInWithPassword({
     email,
     password
   });
@@ -147,21 +139,16 @@ router.post('/login', loginValidation, catchAsync(async (req, res) => {
   }
 
   // Get user profile
-  const { data: userProfile, error: profileError } = await supabase
-    .from('users')
-    .select('*')
-    .eq('id', authData.user.id)
-    .single();
+  const { data: userProfile, error: profileError } = await db.users.findById(authData.user.id);
 
-  if (profileError) {
+  if (profileError || !userProfile) {
     throw new AppError('User profile not found', 404);
   }
 
   // Update last login
-  await supabase
-    .from('users')
-    .update({ last_login: new Date().toISOString() })
-    .eq('id', authData.user.id);
+  await db.users.updateById(authData.user.id, { last_login: new Date().toISOString() });
+
+  const { data: permissions } = await db.rolePermissions.permissionsFor(userProfile.role);
 
   res.json({
     message: 'Login successful',
@@ -172,7 +159,8 @@ router.post('/login', loginValidation, catchAsync(async (req, res) => {
       last_name: userProfile.last_name,
       phone: userProfile.phone,
       is_verified: userProfile.is_verified,
-      role: userProfile.role
+      role: userProfile.role,
+      permissions: permissions || []
     },
     session: authData.session
   });
@@ -180,7 +168,7 @@ router.post('/login', loginValidation, catchAsync(async (req, res) => {
 
 // Logout user
 router.post('/logout', verifyToken, catchAsync(async (req, res) => {
-  const { error } = await supabase.auth.signOut();
+  const { error } = await req.app.locals.db.auth.signOut();
   
   if (error) {
     throw new AppError('Logout failed', 500);
@@ -191,16 +179,14 @@ router.post('/logout', verifyToken, catchAsync(async (req, res) => {
 
 // Get current user profile
 router.get('/profile', verifyToken, catchAsync(async (req, res) => {
-  const { data: userProfile, error } = await supabase
-    .from('users')
-    .select('*')
-    .eq('id', req.user.id)
-    .single();
+  const { data: userProfile, error } = await req.app.locals.db.users.findById(req.user.id);
 
-  if (error) {
+  if (error || !userProfile) {
     throw new AppError('User profile not found', 404);
   }
 
+  const permissions = await loadPermissions(req);
+
   res.json({
     user: {
       id: userProfile.id,
@@ -210,6 +196,8 @@ router.get('/profile', verifyToken, catchAsync(async (req, res) => {
       phone: userProfile.phone,
       date_of_birth: userProfile.date_of_birth,
       is_verified: userProfile.is_verified,
+      role: userProfile.role,
+      permissions,
       email_notifications: userProfile.email_notifications,
       sms_notifications: userProfile.sms_notifications,
       marketing_emails: userProfile.marketing_emails,
@@ -219,6 +207,17 @@ router.get('/profile', verifyToken, catchAsync(async (req, res) => {
   });
 }));
 
+// Fields users may change on their own profile
+const PROFILE_FIELDS = [
+  'first_name',
+  'last_name',
+  'phone',
+  'date_of_birth',
+  'email_notifications',
+  'sms_notifications',
+  'marketing_emails'
+];
+
 // Update user profile
 router.put('/profile', verifyToken, [
   body('first_name')
@@ -257,14 +256,15 @@ router.put('/profile', verifyToken, [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const updates = req.body;
+  // Only profile fields can be changed here; role changes go through the admin API
+  const updates = PROFILE_FIELDS.reduce((acc, field) => {
+    if (req.body[field] !== undefined) {
+      acc[field] = req.body[field];
+    }
+    return acc;
+  }, {});
 
-  const { data: updatedProfile, error } = await supabase
-    .from('users')
-    .update(updates)
-    .eq('id', req.user.id)
-    .select()
-    .single();
+  const { data: updatedProfile, error } = await req.app.locals.db.users.updateById(req.user.id, updates);
 
   if (error) {
     throw new AppError('Failed to update profile', 500);
@@ -305,8 +305,8 @@ router.put('/change-password', verifyToken, [
 
   const { current_password, new_password } = req.body;
 
-  // Update password with Supabase Auth
-  const { data, error } = await supabase.auth.updateUser({
+  // Update password with the auth provider
+  const { data, error } = await req.app.locals.db.auth.updateUser({
     password: new_password
   });
 
@@ -331,7 +331,7 @@ router.post('/forgot-password', [
 
   const { email } = req.body;
 
-  const { error } = await supabase.auth.resetPasswordForEmail(email, {
+  const { error } = await req.app.locals.db.auth.resetPasswordForEmail(email, {
     redirectTo: `${process.env.PRODUCTION_URL || 'http://localhost:3000'}/reset-password`
   });
 
@@ -360,10 +360,11 @@ router.post('/reset-password', [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { token, new_password } = req.body;
 
   // Verify and use the reset token
-  const { data, error } = await supabase.auth.verifyOtp({
+  const { data, error } = await db.auth.verifyOtp({
     token_hash: token,
     type: 'recovery'
   });
@@ -373,7 +374,7 @@ router.post('/reset-password', [
   }
 
   // Update password
-  const { error: updateError } = await supabase.auth.updateUser({
+  const { error: updateError } = await db.auth.updateUser({
     password: new_password
   });
 
@@ -395,9 +396,10 @@ router.post('/verify-email', [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { token } = req.body;
 
-  const { data, error } = await supabase.auth.verifyOtp({
+  const { data, error } = await db.auth.verifyOtp({
     token_hash: token,
     type: 'signup'
   });
@@ -407,17 +409,14 @@ router.post('/verify-email', [
   }
 
   // Update user verification status
-  await supabase
-    .from('users')
-    .update({ is_verified: true })
-    .eq('id', data.user.id);
+  await db.users.updateById(data.user.id, { is_verified: true });
 
   res.json({ message: 'Email verified successfully' });
 }));
 
 // Resend verification email
 router.post('/resend-verification', verifyToken, catchAsync(async (req, res) => {
-  const { error } = await supabase.auth.resend({
+  const { error } = await req.app.locals.db.auth.resend({
     type: 'signup',
     email: req.user.email
   });
@@ -431,6 +430,7 @@ router.post('/resend-verification', verifyToken, catchAsync(async (req, res) =>
 
 // Google OAuth callback (if using Google OAuth)
 router.get('/google/callback', catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
   const { code } = req.query;
 
   if (!code) {
@@ -438,31 +438,25 @@ router.get('/google/callback', catchAsync(async (req, res) => {
   }
 
   // Exchange code for session with Supabase
-  const { data, error } = await supabase.auth.exchangeCodeForSession(code);
+  const { data, error } = await db.auth.exchangeCodeForSession(code);
 
   if (error) {
     throw new AppError('Failed to authenticate with Google', 400);
   }
 
   // Check if user profile exists, create if not
-  const { data: existingProfile } = await supabase
-    .from('users')
-    .select('*')
-    .eq('id', data.user.id)
-    .single();
+  const { data: existingProfile } = await db.users.findById(data.user.id);
 
   if (!existingProfile) {
     // Create user profile for OAuth user
-    await supabase
-      .from('users')
-      .insert({
-        id: data.user.id,
-        email: data.user.email,
-        first_name: data.user.user_metadata.first_name || '',
-        last_name: data.user.user_metadata.last_name || '',
-        google_id: data.user.user_metadata.sub,
-        is_verified: true
-      });
+    await db.users.create({
+      id: data.user.id,
+      email: data.user.email,
+      first_name: data.user.user_metadata.first_name || '',
+      last_name: data.user.user_metadata.last_name || '',
+      google_id: data.user.user_metadata.sub,
+      is_verified: true
+    });
   }
 
   // Redirect to frontend with session
@@ -477,7 +471,7 @@ router.post('/refresh', catchAsync(async (req, res) => {
     throw new AppError('Refresh token is required', 400);
   }
 
-  const { data, error } = await supabase.auth.refreshSession({
+  const { data, error } = await req.app.locals.db.auth.refreshSession({
     refresh_token
   });
 
@@ -1,57 +1,96 @@
 // Booking routes for tee time management
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { supabase } = require('../config/database');
-const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { verifyToken, optionalAuth, requirePermission, hasPermission, sensitiveOperationLimit } = require('../middleware/auth');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { PRICING_SETTING_KEYS, quoteBooking, bookingTotals, cartCharge } = require('../services/pricing');
+const { offerFreedSlots } = require('../services/waitlist');
+const { loadBlocks, slotBlock, assertSlotOpen } = require('../services/teeSheetBlocks');
+const { evaluateStanding, assertCanBook } = require('../services/bookingStanding');
+const {
+  resolvePolicy,
+  publicPolicy,
+  evaluateModification,
+  bookingCancellation
+} = require('../services/cancellationPolicy');
+const { refundCancellation, refundDifference } = require('../services/refunds');
+const {
+  snapshot,
+  settlementFor,
+  rescheduleBooking,
+  sendChangeConfirmationEmail,
+  recordBookingUpdate,
+  bookingHistory
+} = require('../services/bookingChanges');
+const { releaseContext, slotRelease, notReleasedMessage } = require('../services/bookingRelease');
+const { courseToday } = require('../services/courseTime');
+const { assertCourseOpen } = require('../services/courseClosures');
+const { redeemCredits, creditStatement } = require('../services/accountCredits');
+const {
+  CART_SHARING,
+  fleetCarts,
+  loadRoundMinutes,
+  shedNumberFor,
+  cartPlan,
+  loadCartUsage
+} = require('../services/carts');
+const {
+  manageToken,
+  verifyManageToken,
+  guestView,
+  findByCode,
+  sendConfirmationEmail
+} = require('../services/guestBookings');
+const {
+  generateSeriesOccurrences,
+  rescheduleSeries,
+  cancelSeries
+} = require('../services/standingTeeTimes');
 const moment = require('moment-timezone');
 
 const router = express.Router();
 
-// Validation rules
-const bookingValidation = [
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Validation rules for how a group rides, from the body or the query string
+const cartValidation = (field) => [
+  field('cart_riders')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Cart riders must be between 1 and 4')
+    .toInt(),
+  field('cart_sharing')
+    .optional()
+    .isIn(CART_SHARING)
+    .withMessage('Cart sharing must be shared or single')
+];
+
+// Validation rules for the slot a booking or hold is for
+const slotValidation = [
   body('booking_date')
     .isISO8601()
     .withMessage('Valid date is required')
     .custom(async (value, { req }) => {
       const bookingDate = moment(value);
-      const today = moment().startOf('day');
-      
-      // Default max advance days
-      let maxAdvanceDays = 30; // Default for non-members
-      
-      // Check if user is logged in and is a member
-      if (req.user) {
-        const { data: membership, error } = await supabase
-          .from('memberships')
-          .select('id')
-          .eq('user_id', req.user.id)
-          .eq('status', 'active')
-          .gte('end_date', moment().format('YYYY-MM-DD'))
-          .single();
-
-        if (membership) {
-          // Fetch member priority booking days from admin settings
-          const { data: setting } = await supabase
-            .from('admin_settings')
-            .select('setting_value')
-            .eq('setting_key', 'member_booking_advance_days')
-            .single();
-          
-          maxAdvanceDays = parseInt(setting?.setting_value || 60); // Members can book 60 days in advance by default
-        }
-      }
 
-      const maxAdvance = moment().add(maxAdvanceDays, 'days');
-      
-      if (bookingDate.isBefore(today)) {
+      // "Today" is the course's today, wherever the server runs
+      if (bookingDate.format('YYYY-MM-DD') < await courseToday(req.app.locals.db)) {
         throw new Error('Cannot book tee times in the past');
       }
-      
-      if (bookingDate.isAfter(maxAdvance)) {
-        throw new Error(`Cannot book more than ${maxAdvanceDays} days in advance`);
+
+      // Tee times open on the course's release schedule, earlier for members;
+      // an invalid tee_time is reported by its own check
+      if (/^\d{1,2}:\d{2}$/.test(req.body.tee_time || '')) {
+        const context = await releaseContext(req.app.locals.db, { userId: req.user?.id || null });
+        const teeTime = moment(req.body.tee_time, 'HH:mm').format('HH:mm');
+        const release = slotRelease(context, bookingDate.format('YYYY-MM-DD'), teeTime);
+
+        if (!release.open) {
+          throw new Error(notReleasedMessage(context, release));
+        }
       }
-      
+
       return true;
     }),
   body('tee_time')
@@ -59,7 +98,25 @@ const bookingValidation = [
     .withMessage('Valid time format required (HH:MM)'),
   body('number_of_players')
     .isInt({ min: 1, max: 4 })
-    .withMessage('Number of players must be between 1 and 4'),
+    .withMessage('Number of players must be between 1 and 4')
+    .toInt(),
+  body('is_private')
+    .optional()
+    .isBoolean()
+    .withMessage('Private must be true or false')
+    .toBoolean()
+];
+
+const bookingValidation = [
+  ...slotValidation,
+  body('hold_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid hold id is required'),
+  body('hold_token')
+    .if(body('hold_id').exists())
+    .isUUID()
+    .withMessage('Hold token is required with a hold id'),
   body('primary_player_name')
     .trim()
     .isLength({ min: 2, max: 200 })
@@ -76,13 +133,111 @@ const bookingValidation = [
     .optional()
     .isBoolean()
     .withMessage('Cart rental must be true or false'),
+  ...cartValidation(body),
   body('green_fee_type')
     .isIn(['9_holes', 'all_day'])
-    .withMessage('Green fee type must be 9_holes or all_day')
+    .withMessage('Green fee type must be 9_holes or all_day'),
+  body('rate_class')
+    .optional()
+    .isString()
+    .withMessage('Rate class must be a string'),
+  body('use_credits')
+    .optional()
+    .isBoolean()
+    .withMessage('Use credits must be true or false')
+    .toBoolean(),
+  body('credit_booking_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid credit booking id is required'),
+  body('credit_token')
+    .if(body('credit_booking_id').exists())
+    .isString()
+    .withMessage('Credit token is required with a credit booking id'),
+  // Once the request is otherwise valid, refuse golfers whose no-shows have
+  // cost them online booking
+  catchAsync(async (req, res, next) => {
+    if (validationResult(req).isEmpty()) {
+      await assertCanBook(req.app.locals.db, {
+        userId: req.user?.id || null,
+        email: req.body.primary_player_email,
+        name: req.body.primary_player_name
+      });
+    }
+    next();
+  })
 ];
 
+// List the rate classes golfers can book at
+router.get('/rate-classes', catchAsync(async (req, res) => {
+  const { data: rateClasses, error } = await req.app.locals.db.rateClasses.find(
+    { is_active: true },
+    {
+      columns: ['code', 'name', 'description', 'requires_membership'],
+      order: ['sort_order', 'name']
+    }
+  );
+
+  if (error) {
+    throw new AppError('Failed to fetch rate classes', 500);
+  }
+
+  res.json({ rate_classes: rateClasses });
+}));
+
+// Price a booking before it is made
+router.get('/quote', optionalAuth, [
+  query('booking_date')
+    .isISO8601()
+    .withMessage('Valid date is required'),
+  query('tee_time')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid time format required (HH:MM)'),
+  query('number_of_players')
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Number of players must be between 1 and 4')
+    .toInt(),
+  query('green_fee_type')
+    .isIn(['9_holes', 'all_day'])
+    .withMessage('Green fee type must be 9_holes or all_day'),
+  query('cart_rental')
+    .optional()
+    .isBoolean()
+    .withMessage('Cart rental must be true or false')
+    .toBoolean(),
+  ...cartValidation(query),
+  query('rate_class')
+    .optional()
+    .isString()
+    .withMessage('Rate class must be a string'),
+  query('hold_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid hold id is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const quote = await quoteBooking(db, {
+    ...req.query,
+    user_id: req.user?.id || null
+  });
+
+  // The terms the golfer agrees to by booking
+  const policy = await resolvePolicy(db, {
+    appliesTo: 'tee_time',
+    rateClass: quote.rate_class,
+    userId: req.user?.id || null
+  });
+
+  res.json({ quote, cancellation_policy: publicPolicy(policy) });
+}));
+
 // Get available tee times for a specific date
-router.get('/availability', [
+router.get('/availability', optionalAuth, [
   query('date')
     .isISO8601()
     .withMessage('Valid date is required')
@@ -92,27 +247,27 @@ router.get('/availability', [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { date } = req.query;
   
   // Get course settings
-  const { data: settings } = await supabase
-    .from('admin_settings')
-    .select('setting_key, setting_value')
-    .in('setting_key', ['course_open_time', 'course_close_time', 'tee_time_interval']);
-  
-  const settingsMap = settings.reduce((acc, setting) => {
-    acc[setting.setting_key] = setting.setting_value;
-    return acc;
-  }, {});
+  const { data: settingsMap } = await db.adminSettings.getMap([
+    'course_open_time',
+    'course_close_time',
+    'tee_time_interval',
+    'max_players_per_booking'
+  ]);
   
   const openTime = settingsMap.course_open_time || '07:00';
   const closeTime = settingsMap.course_close_time || '19:00';
   const interval = parseInt(settingsMap.tee_time_interval) || 15;
+  const capacity = parseInt(settingsMap.max_players_per_booking) || 4;
   
   // Generate time slots
   const timeSlots = [];
-  const start = moment(`${date} ${openTime}`, 'YYYY-MM-DD HH:mm');
-  const end = moment(`${date} ${closeTime}`, 'YYYY-MM-DD HH:mm');
+  // Wall-clock times, stepped in UTC so no daylight saving change can skip one
+  const start = moment.utc(`${date} ${openTime}`, 'YYYY-MM-DD HH:mm');
+  const end = moment.utc(`${date} ${closeTime}`, 'YYYY-MM-DD HH:mm');
   
   while (start.isBefore(end)) {
     timeSlots.push(start.format('HH:mm'));
@@ -120,98 +275,440 @@ router.get('/availability', [
   }
   
   // Get existing bookings for the date
-  const { data: bookings } = await supabase
-    .from('tee_times')
-    .select('tee_time')
-    .eq('booking_date', date)
-    .eq('status', 'confirmed');
+  const { data: bookings } = await db.teeTimes.find(
+    { booking_date: date, status: 'confirmed' },
+    { columns: ['tee_time', 'number_of_players', 'is_private'] }
+  );
   
-  const bookedTimes = bookings.map(booking => booking.tee_time);
+  // Spots held by golfers who are still checking out count as taken
+  const { data: holds } = await db.teeTimeHolds.findActive(
+    { booking_date: date },
+    { columns: ['tee_time', 'number_of_players', 'is_private'] }
+  );
+  
+  // Players booked or held in each slot, and whether a private group has it
+  const slotUsage = [...bookings, ...holds].reduce((acc, booking) => {
+    const time = booking.tee_time.slice(0, 5);
+    const usage = acc[time] || { players: 0, held: 0, isPrivate: false };
+
+    usage.players += booking.number_of_players;
+    usage.isPrivate = usage.isPrivate || !!booking.is_private;
+    acc[time] = usage;
+    return acc;
+  }, {});
+
+  holds.forEach(hold => {
+    slotUsage[hold.tee_time.slice(0, 5)].held += hold.number_of_players;
+  });
   
   // Check course conditions
-  const { data: conditions } = await supabase
-    .from('course_conditions')
-    .select('overall_condition, holes_available')
-    .eq('condition_date', date)
-    .single();
+  const { data: conditions } = await db.courseConditions.findOne(
+    { condition_date: date },
+    { columns: ['overall_condition', 'holes_available', 'cart_availability'] }
+  );
   
-  const availability = timeSlots.map(time => ({
-    time,
-    available: !bookedTimes.includes(time) && 
-               (conditions?.overall_condition !== 'closed') &&
-               (conditions?.holes_available > 0)
-  }));
+  const courseOpen = (conditions?.overall_condition !== 'closed') &&
+                     (conditions?.holes_available ?? 9) > 0;
+
+  // Events that reserve tee sheet time
+  const blocks = await loadBlocks(db, date);
+
+  // Carts free for a whole round from each tee time
+  const cartUsage = await loadCartUsage(db, date);
+
+  // When each tee time opens to this golfer (members earlier)
+  const release = await releaseContext(db, { userId: req.user?.id || null });
+  
+  const availability = timeSlots.map(time => {
+    const usage = slotUsage[time] || { players: 0, held: 0, isPrivate: false };
+    const block = slotBlock(blocks, time);
+    const slotOpen = courseOpen && !(block && !block.nine_holes_only);
+    const spotsRemaining = usage.isPrivate ? 0 : Math.max(capacity - usage.players, 0);
+    const opening = slotRelease(release, date, time);
+
+    return {
+      time,
+      available: slotOpen && opening.open && spotsRemaining > 0,
+      spots_remaining: slotOpen ? spotsRemaining : 0,
+      // Whether the golfer can book it yet, and if not, when they can
+      released: opening.open,
+      opens_at: opening.open ? null : opening.opens_at,
+      members_only: opening.members_only,
+      booked_players: usage.players - usage.held,
+      held_players: usage.held,
+      is_private: usage.isPrivate,
+      // Private groups need the whole slot to themselves
+      private_available: slotOpen && opening.open && usage.players === 0,
+      // Fleet carts free for the whole round, by round; null when carts
+      // are not limited
+      carts_remaining: cartUsage.fleet.tracked
+        ? { '9_holes': cartUsage.remaining(time, '9_holes'), all_day: cartUsage.remaining(time, 'all_day') }
+        : null,
+      // Event holding this time, if any; with nine_holes_only the slot
+      // stays open for 9-hole rounds
+      block
+    };
+  });
   
   res.json({
     date,
+    capacity,
     course_condition: conditions?.overall_condition || 'good',
-    holes_available: conditions?.holes_available || 9,
+    holes_available: conditions?.holes_available ?? 9,
+    cart_availability: conditions?.cart_availability !== false,
     time_slots: availability
   });
 }));
 
-// Get user's bookings
+// Get user's bookings, with their standing tee times and any conflicts
 router.get('/my-bookings', verifyToken, catchAsync(async (req, res) => {
-  const { data: bookings, error } = await supabase
-    .from('tee_times')
-    .select(`
-      *,
-      users:user_id (
-        first_name,
-        last_name,
-        email
-      )
-    `)
-    .eq('user_id', req.user.id)
-    .gte('booking_date', moment().format('YYYY-MM-DD'))
-    .order('booking_date', { ascending: true })
-    .order('tee_time', { ascending: true });
+  const { db } = req.app.locals;
+  const today = await courseToday(db);
+
+  const [{ data: bookings, error }, { data: seriesList, error: seriesError }] = await Promise.all([
+    db.teeTimes.find({
+      user_id: req.user.id,
+      booking_date: { gte: today }
+    }, {
+      order: ['booking_date', 'tee_time'],
+      include: { users: ['first_name', 'last_name', 'email'] }
+    }),
+    db.bookingSeries.find(
+      { user_id: req.user.id, status: 'active' },
+      { order: ['created_at'] }
+    )
+  ]);
   
-  if (error) {
+  if (error || seriesError) {
     throw new AppError('Failed to fetch bookings', 500);
   }
+
+  const series = await Promise.all(seriesList.map(item => withConflicts(db, item, today)));
   
-  res.json({ bookings });
+  res.json({ bookings, series });
 }));
 
-// Get all upcoming bookings (admin only)
-router.get('/all', verifyToken, catchAsync(async (req, res) => {
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-  
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
+// Get the user's booking standing under the no-show policy
+router.get('/my-standing', verifyToken, catchAsync(async (req, res) => {
+  const standing = await evaluateStanding(req.app.locals.db, { userId: req.user.id });
+
+  res.json({
+    standing: {
+      status: standing.effective_status,
+      reason: standing.effective_reason,
+      recent_no_shows: standing.recent_no_shows,
+      suspended_until: standing.effective_status === 'suspended' ? standing.suspended_until : null
+    }
+  });
+}));
+
+// Get the user's rain checks and account credits with their balance history
+router.get('/my-credits', verifyToken, catchAsync(async (req, res) => {
+  res.json(await creditStatement(req.app.locals.db, { userId: req.user.id, email: req.user.email }));
+}));
+
+// Standing tee times: a member books the same slots on set days every week
+// or every other week; see services/standingTeeTimes.js
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation rules for a booking series; `partial` allows leaving out
+// fields an edit does not change
+const seriesValidation = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Series name is required'),
+    body('frequency')
+      .optional()
+      .isIn(['weekly', 'biweekly'])
+      .withMessage('Frequency must be weekly or biweekly'),
+    field('days_of_week')
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Pick at least one day of the week'),
+    body('days_of_week.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Days of the week run from 0 (Sunday) to 6 (Saturday)')
+      .toInt(),
+    field('tee_times')
+      .isArray({ min: 1, max: 8 })
+      .withMessage('Pick between 1 and 8 tee times'),
+    body('tee_times.*')
+      .matches(TIME_FORMAT)
+      .withMessage('Valid time format required (HH:MM)')
+      .customSanitizer(value => moment(value, 'HH:mm').format('HH:mm')),
+    field('start_date')
+      .isISO8601()
+      .withMessage('Valid start date is required')
+      .custom(async (value, { req }) => {
+        if (moment(value).format('YYYY-MM-DD') < await courseToday(req.app.locals.db)) {
+          throw new Error('Start date cannot be in the past');
+        }
+        return true;
+      }),
+    body('end_date')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Valid end date is required')
+      .custom((value, { req }) => {
+        if (req.body.start_date && value < req.body.start_date) {
+          throw new Error('End date must not be before the start date');
+        }
+        return true;
+      }),
+    body('skip_dates')
+      .optional()
+      .isArray()
+      .withMessage('Skip dates must be a list of dates'),
+    body('skip_dates.*')
+      .isISO8601()
+      .withMessage('Skip dates must be valid dates'),
+    field('number_of_players')
+      .isInt({ min: 1, max: 4 })
+      .withMessage('Number of players must be between 1 and 4')
+      .toInt(),
+    field('green_fee_type')
+      .isIn(['9_holes', 'all_day'])
+      .withMessage('Green fee type must be 9_holes or all_day'),
+    body('cart_rental')
+      .optional()
+      .isBoolean()
+      .withMessage('Cart rental must be true or false')
+      .toBoolean(),
+    body('rate_class')
+      .optional()
+      .isString()
+      .withMessage('Rate class must be a string')
+  ];
+};
+
+const SERIES_FIELDS = [
+  'name',
+  'frequency',
+  'days_of_week',
+  'tee_times',
+  'start_date',
+  'end_date',
+  'skip_dates',
+  'number_of_players',
+  'green_fee_type',
+  'cart_rental',
+  'rate_class'
+];
+
+const toDate = (value) => moment(value).format('YYYY-MM-DD');
+
+// Series fields from a request body, with dates normalized and lists deduplicated
+const pickSeriesFields = (source) => SERIES_FIELDS.reduce((acc, field) => {
+  const value = source[field];
+
+  if (value === undefined) {
+    return acc;
   }
-  
+
+  if (field === 'skip_dates') {
+    acc[field] = [...new Set(value.map(toDate))];
+  } else if (Array.isArray(value)) {
+    acc[field] = [...new Set(value)].sort();
+  } else if (field.endsWith('_date') && value) {
+    acc[field] = toDate(value);
+  } else {
+    acc[field] = value;
+  }
+  return acc;
+}, {});
+
+// Attach a series' conflicts from `today` (the course date) on
+const withConflicts = async (db, series, today) => {
+  const { data: conflicts } = await db.bookingSeriesConflicts.find(
+    { series_id: series.id, occurrence_date: { gte: today } },
+    { order: ['occurrence_date', 'tee_time'] }
+  );
+
+  return { ...series, conflicts: conflicts || [] };
+};
+
+// Load a series the current user owns or may manage
+const findSeries = async (req) => {
+  const { data: series } = await req.app.locals.db.bookingSeries.findById(req.params.id);
+
+  if (!series) {
+    throw new AppError('Standing tee time not found', 404);
+  }
+
+  if (series.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
+    throw new AppError('Not authorized to manage this standing tee time', 403);
+  }
+
+  return series;
+};
+
+// Check the rate class before any occurrence is booked with it
+const checkSeriesRate = (db, series) => quoteBooking(db, {
+  booking_date: series.start_date,
+  tee_time: series.tee_times[0],
+  number_of_players: series.number_of_players,
+  green_fee_type: series.green_fee_type,
+  cart_rental: series.cart_rental,
+  rate_class: series.rate_class,
+  user_id: series.user_id
+});
+
+// Set up a standing tee time and book its first occurrences
+router.post('/series', verifyToken, seriesValidation(), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+
+  const { data: membership } = await db.memberships.findActive(req.user.id, await courseToday(db), { columns: ['id'] });
+
+  if (!membership) {
+    throw new AppError('Standing tee times are available to current members', 403);
+  }
+
+  await assertCanBook(db, { userId: req.user.id });
+
+  const fields = {
+    frequency: 'weekly',
+    end_date: null,
+    skip_dates: [],
+    cart_rental: false,
+    rate_class: 'standard',
+    ...pickSeriesFields(req.body)
+  };
+
+  await checkSeriesRate(db, { ...fields, user_id: req.user.id });
+
+  const { data: series, error } = await db.bookingSeries.create({
+    ...fields,
+    user_id: req.user.id,
+    status: 'active'
+  });
+
+  if (error) {
+    throw new AppError('Failed to create standing tee time', 500);
+  }
+
+  const { booked, conflicts } = await generateSeriesOccurrences(db, series);
+
+  res.status(201).json({
+    message: `Standing tee time created; ${booked.length} tee time(s) booked`,
+    series,
+    booked,
+    conflicts
+  });
+}));
+
+// Get a standing tee time with its upcoming occurrences and conflicts
+router.get('/series/:id', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const series = await findSeries(req);
+  const today = await courseToday(db);
+
+  const { data: occurrences, error } = await db.teeTimes.find({
+    series_id: series.id,
+    booking_date: { gte: today }
+  }, { order: ['booking_date', 'tee_time'] });
+
+  if (error) {
+    throw new AppError('Failed to fetch standing tee time', 500);
+  }
+
+  res.json({
+    series: await withConflicts(db, series, today),
+    occurrences
+  });
+}));
+
+// Edit a standing tee time; future occurrences follow the new rule
+router.put('/series/:id', verifyToken, seriesValidation({ partial: true }), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const existing = await findSeries(req);
+
+  if (existing.status !== 'active') {
+    throw new AppError('This standing tee time has been cancelled', 400);
+  }
+
+  const changes = pickSeriesFields(req.body);
+  const merged = { ...existing, ...changes };
+
+  if (merged.end_date && merged.end_date < merged.start_date) {
+    throw new AppError('End date must not be before the start date', 400);
+  }
+
+  if ('rate_class' in changes) {
+    await checkSeriesRate(db, merged);
+  }
+
+  const { data: series, error } = await db.bookingSeries.updateById(existing.id, changes);
+
+  if (error) {
+    throw new AppError('Failed to update standing tee time', 500);
+  }
+
+  const { cancelled, booked, conflicts } = await rescheduleSeries(db, series);
+
+  res.json({
+    message: 'Standing tee time updated successfully',
+    series,
+    cancelled,
+    booked,
+    conflicts
+  });
+}));
+
+// Cancel a standing tee time and its future occurrences
+router.delete('/series/:id', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const existing = await findSeries(req);
+
+  if (existing.status !== 'active') {
+    throw new AppError('This standing tee time is already cancelled', 400);
+  }
+
+  const { data: series, error } = await db.bookingSeries.updateById(existing.id, { status: 'cancelled' });
+
+  if (error) {
+    throw new AppError('Failed to cancel standing tee time', 500);
+  }
+
+  const cancelled = await cancelSeries(db, series);
+
+  res.json({
+    message: 'Standing tee time cancelled successfully',
+    series,
+    cancelled
+  });
+}));
+
+// Get all upcoming bookings (admin only)
+router.get('/all', verifyToken, requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
   const { page = 1, limit = 20, date } = req.query;
   const offset = (page - 1) * limit;
   
-  let query = supabase
-    .from('tee_times')
-    .select(`
-      *,
-      users:user_id (
-        first_name,
-        last_name,
-        email,
-        phone
-      )
-    `, { count: 'exact' })
-    .order('booking_date', { ascending: true })
-    .order('tee_time', { ascending: true })
-    .range(offset, offset + limit - 1);
-  
-  if (date) {
-    query = query.eq('booking_date', date);
-  } else {
-    query = query.gte('booking_date', moment().format('YYYY-MM-DD'));
-  }
+  const filters = date
+    ? { booking_date: date }
+    : { booking_date: { gte: await courseToday(db) } };
   
-  const { data: bookings, error, count } = await query;
+  const { data: bookings, error, count } = await db.teeTimes.find(filters, {
+    order: ['booking_date', 'tee_time'],
+    limit: parseInt(limit),
+    offset,
+    count: true,
+    include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+  });
   
   if (error) {
     throw new AppError('Failed to fetch bookings', 500);
@@ -228,8 +725,109 @@ router.get('/all', verifyToken, catchAsync(async (req, res) => {
   });
 }));
 
-// Create new booking
-router.post('/', bookingValidation, optionalAuth, catchAsync(async (req, res) => {
+// Hold spots in a slot while the golfer checks out
+router.post('/holds', optionalAuth, slotValidation, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { booking_date, tee_time, number_of_players, is_private } = req.body;
+  const { db } = req.app.locals;
+
+  const { data: settingsMap } = await db.adminSettings.getMap([
+    'max_players_per_booking',
+    'slot_hold_minutes'
+  ]);
+
+  const holdMinutes = parseInt(settingsMap.slot_hold_minutes) || 10;
+
+  await assertCourseOpen(db, booking_date);
+  await assertSlotOpen(db, { booking_date, tee_time });
+
+  const { data: hold, error } = await db.teeTimeHolds.place({
+    user_id: req.user?.id || null,
+    booking_date,
+    tee_time,
+    number_of_players,
+    is_private: is_private || false
+  }, {
+    capacity: parseInt(settingsMap.max_players_per_booking) || 4,
+    ttlMinutes: holdMinutes
+  });
+
+  if (error?.code === '23505') {
+    throw new AppError(error.message || 'This tee time is already booked', 409);
+  }
+
+  if (error || !hold) {
+    throw new AppError('Failed to hold tee time', 500);
+  }
+
+  res.status(201).json({
+    message: `Tee time held for ${holdMinutes} minutes`,
+    hold: {
+      id: hold.id,
+      hold_token: hold.hold_token,
+      booking_date: hold.booking_date,
+      tee_time: String(hold.tee_time).slice(0, 5),
+      number_of_players: hold.number_of_players,
+      is_private: hold.is_private,
+      expires_at: hold.expires_at
+    }
+  });
+}));
+
+// Release a hold early, e.g. when the golfer picks another slot
+router.delete('/holds/:id', [
+  body('hold_token')
+    .isUUID()
+    .withMessage('Hold token is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+
+  const { data: hold } = await db.teeTimeHolds.findOne({
+    id: req.params.id,
+    hold_token: req.body.hold_token
+  });
+
+  if (!hold) {
+    throw new AppError('Hold not found', 404);
+  }
+
+  if (hold.status === 'active') {
+    const { error } = await db.teeTimeHolds.updateById(hold.id, { status: 'released' });
+
+    if (error) {
+      throw new AppError('Failed to release hold', 500);
+    }
+
+    await offerFreedSlots(db, [hold]);
+  }
+
+  res.json({ message: 'Hold released' });
+}));
+
+// The email of the booking a guest holds the manage link (`credit_token`)
+// for, or null
+const provenGuestEmail = async (db, bookingId, token) => {
+  if (!bookingId) {
+    return null;
+  }
+
+  const { data: booking } = await db.teeTimes.findById(bookingId);
+
+  return booking && verifyManageToken(booking, token) ? booking.primary_player_email : null;
+};
+
+// Create new booking; the golfer is identified before validation so the
+// no-show policy can judge their own record
+router.post('/', optionalAuth, bookingValidation, catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -244,42 +842,52 @@ router.post('/', bookingValidation, optionalAuth, catchAsync(async (req, res) =>
     primary_player_phone,
     additional_players,
     cart_rental,
+    cart_riders,
+    cart_sharing,
     green_fee_type,
-    special_requests
+    special_requests,
+    is_private,
+    rate_class,
+    hold_id,
+    hold_token,
+    use_credits,
+    credit_booking_id,
+    credit_token
   } = req.body;
+  const { db } = req.app.locals;
 
-  // Check if time slot is available
-  const { data: existingBooking } = await supabase
-    .from('tee_times')
-    .select('id')
-    .eq('booking_date', booking_date)
-    .eq('tee_time', tee_time)
-    .eq('status', 'confirmed')
-    .single();
+  // Only the holder, who has the token, can book into a hold's spots
+  let holdId = null;
+  if (hold_id) {
+    const { data: hold } = await db.teeTimeHolds.findOne(
+      { id: hold_id, hold_token },
+      { columns: ['id'] }
+    );
 
-  if (existingBooking) {
-    throw new AppError('This tee time is already booked', 409);
-  }
+    if (!hold) {
+      throw new AppError('Hold not found', 404);
+    }
 
-  // Get pricing
-  const { data: pricing } = await supabase
-    .from('admin_settings')
-    .select('setting_key, setting_value')
-    .in('setting_key', ['green_fee_9_holes', 'green_fee_all_day', 'cart_rental_fee']);
+    holdId = hold.id;
+  }
 
-  const pricingMap = pricing.reduce((acc, setting) => {
-    acc[setting.setting_key] = parseFloat(setting.setting_value);
-    return acc;
-  }, {});
+  await assertSlotOpen(db, { booking_date, tee_time, green_fee_type });
 
-  const greenFee = green_fee_type === '9_holes' 
-    ? pricingMap.green_fee_9_holes || 10
-    : pricingMap.green_fee_all_day || 15;
-  
-  const cartFee = cart_rental ? (pricingMap.cart_rental_fee || 15) : 0;
-  const totalGreenFees = greenFee * number_of_players;
-  const totalCartFees = cartFee;
-  const totalAmount = totalGreenFees + totalCartFees;
+  // Price the booking the same way GET /quote does
+  const quote = await quoteBooking(db, {
+    booking_date,
+    tee_time,
+    number_of_players,
+    green_fee_type,
+    cart_rental,
+    cart_riders,
+    cart_sharing,
+    rate_class,
+    user_id: req.user?.id || null,
+    hold_id: holdId
+  });
+  const capacity = parseInt(await db.adminSettings.getValue('max_players_per_booking', 4)) || 4;
+  const roundMinutes = await loadRoundMinutes(db);
 
   // Create booking
   const bookingData = {
@@ -287,212 +895,476 @@ router.post('/', bookingValidation, optionalAuth, catchAsync(async (req, res) =>
     booking_date,
     tee_time,
     number_of_players,
+    is_private: is_private || false,
     primary_player_name,
     primary_player_email,
     primary_player_phone,
     additional_players: additional_players || null,
     cart_rental: cart_rental || false,
-    cart_rental_fee: totalCartFees,
     special_requests,
     green_fee_type,
-    total_green_fees: totalGreenFees,
-    total_cart_fees: totalCartFees,
-    total_amount: totalAmount,
+    ...bookingTotals(quote),
     payment_status: 'pending',
     status: 'confirmed'
   };
 
-  const { data: booking, error } = await supabase
-    .from('tee_times')
-    .insert(bookingData)
-    .select()
-    .single();
+  // Check the remaining spots and insert atomically, so golfers racing for
+  // the last spots in a slot cannot overfill it. An active hold on the slot
+  // is converted into the booking; an expired one no longer reserves
+  // anything, so the booking goes ahead only if the spots are still free.
+  // Carts are checked the same way for the length of the round.
+  const { data: reserved, error } = await db.teeTimes.reserve(bookingData, {
+    capacity,
+    holdId,
+    roundMinutes
+  });
+
+  if (error?.code === '23505') {
+    throw new AppError(error.message || 'This tee time is already booked', 409);
+  }
 
-  if (error) {
+  if (error || !reserved) {
     throw new AppError('Failed to create booking', 500);
   }
 
-  // TODO: Send confirmation email
+  // Rain checks and account credits pay first, unless the golfer keeps them
+  // for later. A guest's are held by their email, which typing it does not
+  // prove: they spend them with the manage link of a booking made under it.
+  const { booking, spent } = use_credits === false
+    ? { booking: reserved, spent: 0 }
+    : await redeemCredits(db, reserved, {
+      userId: req.user?.id || null,
+      email: req.user ? req.user.email : await provenGuestEmail(db, credit_booking_id, credit_token),
+      createdBy: req.user?.id || null
+    });
+  const amountDue = spent > 0 ? Number(booking.balance_due) || 0 : quote.total_amount;
+
+  // The confirmation carries the code and the manage link guests need
+  await sendConfirmationEmail(booking);
   // TODO: Create payment intent if payment required
 
   res.status(201).json({
     message: 'Booking created successfully',
     booking,
-    payment_required: totalAmount > 0
+    manage_token: manageToken(booking),
+    quote,
+    credit_applied: spent,
+    amount_due: amountDue,
+    payment_required: amountDue > 0
   });
 }));
 
-// Update booking
-router.put('/:id', verifyToken, [
+const updateValidation = [
   body('cart_rental').optional().isBoolean(),
+  ...cartValidation(body),
   body('special_requests').optional().isString(),
   body('additional_players').optional().isArray()
-], catchAsync(async (req, res) => {
+];
+
+// Apply a golfer's edits (cart, special requests, players' names) to a
+// booking, within the cancellation policy's modification cutoff
+const updateBooking = async (db, existingBooking, body, { changedBy = null } = {}) => {
+  // Changes close at the booking's cancellation policy cutoff
+  const modification = await evaluateModification(db, {
+    date: existingBooking.booking_date,
+    time: existingBooking.tee_time,
+    rateClass: existingBooking.rate_class,
+    userId: existingBooking.user_id
+  });
+
+  if (!modification.allowed) {
+    throw new AppError(modification.reason, 400);
+  }
+
+  const updates = ['cart_rental', 'special_requests', 'additional_players']
+    .filter(field => field in body)
+    .reduce((acc, field) => ({ ...acc, [field]: body[field] }), {});
+
+  const cartChange = ['cart_rental', 'cart_riders', 'cart_sharing'].some(field => field in body);
+
+  // A cart change is priced like a new booking's cart, on a day that has
+  // carts, and goes through change_tee_time_carts, which needs the fleet
+  // carts it adds to be free for the round
+  if (cartChange) {
+    const cartRental = 'cart_rental' in body ? body.cart_rental : !!existingBooking.cart_rental;
+
+    if (cartRental) {
+      await assertCourseOpen(db, existingBooking.booking_date, { cartRental });
+    }
+
+    const [{ data: settingsMap }, shedNumber] = await Promise.all([
+      db.adminSettings.getMap(PRICING_SETTING_KEYS),
+      cartRental ? shedNumberFor(db, existingBooking.user_id) : null
+    ]);
+    const plan = cartPlan({
+      cartRental,
+      players: existingBooking.number_of_players,
+      riders: body.cart_riders || existingBooking.cart_riders,
+      sharing: body.cart_sharing || existingBooking.cart_sharing || 'shared',
+      shedNumber
+    });
+    const { total_cart_fees } = cartCharge(settingsMap, plan);
+
+    Object.assign(updates, {
+      cart_rental: cartRental,
+      cart_riders: plan.cart_riders,
+      cart_sharing: plan.cart_sharing,
+      fleet_carts: plan.fleet_carts,
+      cart_shed_number: plan.cart_shed_number,
+      cart_rental_fee: total_cart_fees,
+      total_cart_fees,
+      total_amount: roundCurrency((Number(existingBooking.total_green_fees) || 0) + total_cart_fees)
+    });
+  }
+
+  // On a paid booking the price difference is settled like a reschedule's:
+  // a higher price is owed in balance_due, a lower one is refunded
+  const paid = existingBooking.payment_status === 'paid';
+  const difference = cartChange ? roundCurrency(updates.total_amount - (Number(existingBooking.total_amount) || 0)) : 0;
+  const owed = paid && difference !== 0 ? roundCurrency((Number(existingBooking.balance_due) || 0) + difference) : 0;
+  const changeId = crypto.randomUUID();
+
+  if (paid && difference !== 0) {
+    updates.balance_due = Math.max(owed, 0);
+  }
+
+  const { data: updatedBooking, error } = cartChange
+    ? await db.teeTimes.changeCarts(existingBooking.id, {
+      previous: { ...snapshot(existingBooking), fleet_carts: fleetCarts(existingBooking) },
+      changes: updates
+    }, { roundMinutes: await loadRoundMinutes(db) })
+    : await db.teeTimes.updateById(existingBooking.id, updates);
+
+  if (error?.code === '23505' || error?.code === '40001') {
+    throw new AppError(error.message, 409);
+  }
+
+  if (error || !updatedBooking) {
+    throw new AppError('Failed to update booking', 500);
+  }
+
+  await recordBookingUpdate(db, existingBooking, updatedBooking, {
+    changedBy,
+    id: changeId,
+    settlement: settlementFor(existingBooking, owed)
+  });
+
+  if (owed < 0) {
+    const refund = await refundDifference(db, updatedBooking, -owed, { key: `booking-change-refund:${changeId}` });
+    await db.bookingChanges.updateById(changeId, { payment_transaction_id: refund.id });
+  }
+
+  return updatedBooking;
+};
+
+// Reschedule a booking to the slot in `body` and describe the outcome
+const rescheduleRequest = async (db, existingBooking, body, { changedBy = null } = {}) => {
+  const { booking, change, quote, refund } = await rescheduleBooking(db, existingBooking, {
+    booking_date: body.booking_date,
+    tee_time: body.tee_time,
+    number_of_players: body.number_of_players
+  }, { changedBy });
+
+  const balanceDue = Number(booking.balance_due) || 0;
+
+  await sendChangeConfirmationEmail(booking, { refund });
+
+  return {
+    message: 'Booking changed successfully',
+    booking,
+    change,
+    quote,
+    refund,
+    balance_due: balanceDue,
+    // Online bookings pay a higher price through create-booking-payment
+    payment_required: balanceDue > 0 && !!booking.stripe_payment_intent_id
+  };
+};
+
+// Cancel a booking under its cancellation policy and refund what the
+// policy allows. Returns the response body.
+const cancelBooking = async (db, existingBooking, { reason = null } = {}) => {
+  const { id } = existingBooking;
+
+  // Outing tee times are cancelled together with their outing
+  if (existingBooking.outing_id) {
+    throw new AppError('This tee time is part of an outing; cancel the outing instead', 400);
+  }
+
+  // A retried cancellation finishes any refund still owed and reports the
+  // booking as it stands, without cancelling or refunding again
+  if (existingBooking.status === 'cancelled') {
+    const refund = await refundCancellation(db, 'tee_time', existingBooking);
+    const { data: booking } = await db.teeTimes.findById(id);
+
+    return {
+      message: 'Booking already cancelled',
+      booking,
+      refund
+    };
+  }
+
+  if (existingBooking.status !== 'confirmed') {
+    throw new AppError(`Cannot cancel a booking that is ${existingBooking.status.replace('_', ' ')}`, 400);
+  }
+
+  // The cancellation policy decides whether it is too late, the fee and the refund
+  const cancellation = await bookingCancellation(db, existingBooking);
+
+  if (!cancellation.allowed) {
+    throw new AppError(cancellation.reason, 400);
+  }
+
+  // Cancel booking, unless a concurrent request got there first
+  const { data: cancelled, error } = await db.teeTimes.update({ id, status: 'confirmed' }, {
+    status: 'cancelled',
+    cancellation_reason: reason,
+    cancelled_at: new Date().toISOString(),
+    cancellation_fee: cancellation.cancellation_fee,
+    refund_amount: cancellation.refund_amount
+  });
+
+  if (error) {
+    throw new AppError('Failed to cancel booking', 500);
+  }
+
+  if (!cancelled.length) {
+    throw new AppError('This booking was just changed; please reload it', 409);
+  }
+
+  // Offer the freed spots to golfers on the waitlist
+  await offerFreedSlots(db, [existingBooking]);
+
+  // Pay back what the policy allows
+  const refund = await refundCancellation(db, 'tee_time', cancelled[0]);
+  const { data: cancelledBooking } = await db.teeTimes.findById(id);
+
+  // TODO: Send cancellation confirmation email
+
+  return {
+    message: 'Booking cancelled successfully',
+    booking: cancelledBooking,
+    cancellation,
+    refund
+  };
+};
+
+// Update booking
+router.put('/:id', verifyToken, updateValidation, catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { id } = req.params;
-  const updates = req.body;
+  const { db } = req.app.locals;
 
   // Get existing booking
-  const { data: existingBooking, error: fetchError } = await supabase
-    .from('tee_times')
-    .select('*')
-    .eq('id', id)
-    .single();
+  const { data: existingBooking, error: fetchError } = await db.teeTimes.findById(req.params.id);
 
   if (fetchError || !existingBooking) {
     throw new AppError('Booking not found', 404);
   }
 
-  // Check ownership or admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (existingBooking.user_id !== req.user.id && userData?.role !== 'admin') {
+  // Check ownership or booking management permission
+  if (existingBooking.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
     throw new AppError('Not authorized to update this booking', 403);
   }
 
-  // Check if booking can be modified (not in the past, not within 24 hours)
-  const bookingDateTime = moment(`${existingBooking.booking_date} ${existingBooking.tee_time}`);
-  const now = moment();
-  const hoursUntilBooking = bookingDateTime.diff(now, 'hours');
+  const updatedBooking = await updateBooking(db, existingBooking, req.body, { changedBy: req.user.id });
 
-  if (hoursUntilBooking < 24) {
-    throw new AppError('Cannot modify booking within 24 hours of tee time', 400);
+  res.json({
+    message: 'Booking updated successfully',
+    booking: updatedBooking
+  });
+}));
+
+// Move a booking to another tee time and/or change its number of players,
+// repricing it; the old slot is kept until the new one is secured
+router.post('/:id/reschedule', verifyToken, slotValidation, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
 
-  // Update cart rental fee if cart_rental changed
-  if ('cart_rental' in updates) {
-    const { data: cartFeeData } = await supabase
-      .from('admin_settings')
-      .select('setting_value')
-      .eq('setting_key', 'cart_rental_fee')
-      .single();
+  const { db } = req.app.locals;
+
+  const { data: existingBooking, error } = await db.teeTimes.findById(req.params.id);
 
-    const cartFee = parseFloat(cartFeeData?.setting_value || 15);
-    updates.cart_rental_fee = updates.cart_rental ? cartFee : 0;
-    updates.total_cart_fees = updates.cart_rental_fee;
-    updates.total_amount = existingBooking.total_green_fees + updates.total_cart_fees;
+  if (error || !existingBooking) {
+    throw new AppError('Booking not found', 404);
   }
 
-  const { data: updatedBooking, error } = await supabase
-    .from('tee_times')
-    .update(updates)
-    .eq('id', id)
-    .select()
-    .single();
+  if (existingBooking.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
+    throw new AppError('Not authorized to change this booking', 403);
+  }
 
-  if (error) {
-    throw new AppError('Failed to update booking', 500);
+  res.json(await rescheduleRequest(db, existingBooking, req.body, { changedBy: req.user.id }));
+}));
+
+// A booking's change history
+router.get('/:id/history', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
+  const { data: booking, error } = await db.teeTimes.findById(req.params.id);
+
+  if (error || !booking) {
+    throw new AppError('Booking not found', 404);
   }
 
-  res.json({
-    message: 'Booking updated successfully',
-    booking: updatedBooking
-  });
+  if (booking.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
+    throw new AppError('Not authorized to view this booking', 403);
+  }
+
+  res.json({ changes: await bookingHistory(db, booking.id) });
 }));
 
 // Cancel booking
 router.delete('/:id', verifyToken, [
   body('cancellation_reason').optional().isString()
 ], catchAsync(async (req, res) => {
-  const { id } = req.params;
-  const { cancellation_reason } = req.body;
+  const { db } = req.app.locals;
 
   // Get existing booking
-  const { data: existingBooking, error: fetchError } = await supabase
-    .from('tee_times')
-    .select('*')
-    .eq('id', id)
-    .single();
+  const { data: existingBooking, error: fetchError } = await db.teeTimes.findById(req.params.id);
 
   if (fetchError || !existingBooking) {
     throw new AppError('Booking not found', 404);
   }
 
-  // Check ownership or admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (existingBooking.user_id !== req.user.id && userData?.role !== 'admin') {
+  // Check ownership or booking management permission
+  if (existingBooking.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
     throw new AppError('Not authorized to cancel this booking', 403);
   }
 
-  // Check cancellation policy (24 hours notice)
-  const bookingDateTime = moment(`${existingBooking.booking_date} ${existingBooking.tee_time}`);
-  const now = moment();
-  const hoursUntilBooking = bookingDateTime.diff(now, 'hours');
+  res.json(await cancelBooking(db, existingBooking, { reason: req.body.cancellation_reason }));
+}));
+
+// Preview what cancelling a booking now would mean, before the golfer confirms
+router.get('/:id/cancellation', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
+  const { data: booking, error } = await db.teeTimes.findById(req.params.id);
+
+  if (error || !booking) {
+    throw new AppError('Booking not found', 404);
+  }
 
-  if (hoursUntilBooking < 24) {
-    throw new AppError('Cannot cancel booking within 24 hours of tee time', 400);
+  if (booking.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
+    throw new AppError('Not authorized to view this booking', 403);
   }
 
-  // Cancel booking
-  const { data: cancelledBooking, error } = await supabase
-    .from('tee_times')
-    .update({
-      status: 'cancelled',
-      cancellation_reason,
-      cancelled_at: new Date().toISOString()
-    })
-    .eq('id', id)
-    .select()
-    .single();
+  res.json({ cancellation: await bookingCancellation(db, booking) });
+}));
 
-  if (error) {
-    throw new AppError('Failed to cancel booking', 500);
+// Find a booking by its confirmation code and the email it was made under,
+// for golfers who booked without signing in. Rate limited so codes cannot
+// be guessed.
+router.post('/lookup', sensitiveOperationLimit(), [
+  body('confirmation_code')
+    .trim()
+    .notEmpty()
+    .withMessage('Confirmation code is required'),
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
 
-  // TODO: Process refund if payment was made
-  // TODO: Send cancellation confirmation email
+  const booking = await findByCode(req.app.locals.db, req.body.confirmation_code, req.body.email);
+
+  if (!booking) {
+    throw new AppError('No booking matches that confirmation code and email', 404);
+  }
 
   res.json({
-    message: 'Booking cancelled successfully',
-    booking: cancelledBooking
+    booking: guestView(booking),
+    manage_token: manageToken(booking)
   });
 }));
 
+// The booking a manage link (`?token=`) is for; a missing or bad token
+// looks like a missing booking
+const findManagedBooking = async (req) => {
+  const { data: booking } = await req.app.locals.db.teeTimes.findById(req.params.id);
+
+  if (!booking || !verifyManageToken(booking, req.query.token)) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  return booking;
+};
+
+// View a booking through its manage link, with what cancelling now would mean
+router.get('/manage/:id', catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const booking = await findManagedBooking(req);
+
+  res.json({
+    booking: guestView(booking),
+    cancellation: booking.status === 'confirmed' ? await bookingCancellation(db, booking) : null
+  });
+}));
+
+// Update a booking through its manage link
+router.put('/manage/:id', updateValidation, catchAsync(async (req, res) => {
+  const booking = await findManagedBooking(req);
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const updatedBooking = await updateBooking(req.app.locals.db, booking, req.body);
+
+  res.json({
+    message: 'Booking updated successfully',
+    booking: guestView(updatedBooking)
+  });
+}));
+
+// Reschedule a booking through its manage link
+router.post('/manage/:id/reschedule', slotValidation, catchAsync(async (req, res) => {
+  const booking = await findManagedBooking(req);
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const result = await rescheduleRequest(req.app.locals.db, booking, req.body);
+
+  res.json({ ...result, booking: guestView(result.booking) });
+}));
+
+// Cancel a booking through its manage link
+router.delete('/manage/:id', [
+  body('cancellation_reason').optional().isString()
+], catchAsync(async (req, res) => {
+  const booking = await findManagedBooking(req);
+  const result = await cancelBooking(req.app.locals.db, booking, { reason: req.body.cancellation_reason });
+
+  res.json({ ...result, booking: guestView(result.booking) });
+}));
+
 // Get booking by ID
-router.get('/:id', optionalAuth, catchAsync(async (req, res) => {
+router.get('/:id', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
   const { id } = req.params;
 
-  const { data: booking, error } = await supabase
-    .from('tee_times')
-    .select(`
-      *,
-      users:user_id (
-        first_name,
-        last_name,
-        email
-      )
-    `)
-    .eq('id', id)
-    .single();
+  const { data: booking, error } = await db.teeTimes.findById(id, {
+    include: { users: ['first_name', 'last_name', 'email'] }
+  });
 
   if (error || !booking) {
     throw new AppError('Booking not found', 404);
   }
 
-  // Check if user can view this booking
-  if (booking.user_id && req.user) {
-    const { data: userData } = await supabase
-      .from('users')
-      .select('role')
-      .eq('id', req.user.id)
-      .single();
-
-    if (booking.user_id !== req.user.id && userData?.role !== 'admin') {
-      throw new AppError('Not authorized to view this booking', 403);
-    }
+  // Golfers see their own bookings; guests use their manage link instead
+  if (booking.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
+    throw new AppError('Not authorized to view this booking', 403);
   }
 
   res.json({ booking });
@@ -1,7 +1,7 @@
 // Contact routes for handling contact form submissions
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase } = require('../config/database');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const sgMail = require('@sendgrid/mail');
 
@@ -64,20 +64,16 @@ router.post('/', contactValidation, catchAsync(async (req, res) => {
   }
 
   // Save to database
-  const { data: contactMessage, error } = await supabase
-    .from('contact_messages')
-    .insert({
-      name,
-      email,
-      phone,
-      subject,
-      message,
-      message_type,
-      priority,
-      status: 'new'
-    })
-    .select()
-    .single();
+  const { data: contactMessage, error } = await req.app.locals.db.contactMessages.create({
+    name,
+    email,
+    phone,
+    subject,
+    message,
+    message_type,
+    priority,
+    status: 'new'
+  });
 
   if (error) {
     throw new AppError('Failed to submit contact form', 500);
@@ -222,30 +218,30 @@ router.post('/', contactValidation, catchAsync(async (req, res) => {
 }));
 
 // Get contact messages (admin only)
-router.get('/', catchAsync(async (req, res) => {
-  // This would need authentication middleware for admin access
+router.get('/', verifyToken, requirePermission('contact:manage'), catchAsync(async (req, res) => {
   const { page = 1, limit = 20, status, message_type, priority } = req.query;
   const offset = (page - 1) * limit;
 
-  let query = supabase
-    .from('contact_messages')
-    .select('*', { count: 'exact' })
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
+  const filters = {};
 
   if (status) {
-    query = query.eq('status', status);
+    filters.status = status;
   }
 
   if (message_type) {
-    query = query.eq('message_type', message_type);
+    filters.message_type = message_type;
   }
 
   if (priority) {
-    query = query.eq('priority', priority);
+    filters.priority = priority;
   }
 
-  const { data: messages, error, count } = await query;
+  const { data: messages, error, count } = await req.app.locals.db.contactMessages.find(filters, {
+    order: ['created_at desc'],
+    limit: parseInt(limit),
+    offset,
+    count: true
+  });
 
   if (error) {
     throw new AppError('Failed to fetch contact messages', 500);
@@ -263,7 +259,7 @@ router.get('/', catchAsync(async (req, res) => {
 }));
 
 // Update contact message status (admin only)
-router.put('/:id', [
+router.put('/:id', verifyToken, requirePermission('contact:manage'), [
   body('status')
     .optional()
     .isIn(['new', 'in_progress', 'responded', 'closed'])
@@ -295,12 +291,7 @@ router.put('/:id', [
     }
   }
 
-  const { data: updatedMessage, error } = await supabase
-    .from('contact_messages')
-    .update(updates)
-    .eq('id', id)
-    .select()
-    .single();
+  const { data: updatedMessage, error } = await req.app.locals.db.contactMessages.updateById(id, updates);
 
   if (error) {
     throw new AppError('Failed to update contact message', 500);
@@ -379,14 +370,10 @@ router.put('/:id', [
 }));
 
 // Get contact message by ID (admin only)
-router.get('/:id', catchAsync(async (req, res) => {
+router.get('/:id', verifyToken, requirePermission('contact:manage'), catchAsync(async (req, res) => {
   const { id } = req.params;
 
-  const { data: message, error } = await supabase
-    .from('contact_messages')
-    .select('*')
-    .eq('id', id)
-    .single();
+  const { data: message, error } = await req.app.locals.db.contactMessages.findById(id);
 
   if (error || !message) {
     throw new AppError('Contact message not found', 404);
@@ -396,10 +383,10 @@ router.get('/:id', catchAsync(async (req, res) => {
 }));
 
 // Get contact statistics (admin only)
-router.get('/stats/overview', catchAsync(async (req, res) => {
-  const { data: stats } = await supabase
-    .from('contact_messages')
-    .select('status, message_type, priority, created_at');
+router.get('/stats/overview', verifyToken, requirePermission('contact:manage'), catchAsync(async (req, res) => {
+  const { data: stats } = await req.app.locals.db.contactMessages.find({}, {
+    columns: ['status', 'message_type', 'priority', 'created_at']
+  });
 
   const overview = {
     total: stats.length,
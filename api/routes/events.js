@@ -1,13 +1,79 @@
 // Events routes for tournaments and special events
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { supabase } = require('../config/database');
-const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { verifyToken, optionalAuth, requirePermission } = require('../middleware/auth');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const {
+  BLOCK_SCOPES,
+  BLOCKING_EVENT_TYPES,
+  blocksBooking,
+  loadBlocks,
+  findConflictingBookings,
+  sendBlockNotice
+} = require('../services/teeSheetBlocks');
+const { resolvePolicy, publicPolicy, registrationCancellation } = require('../services/cancellationPolicy');
+const { refundCancellation } = require('../services/refunds');
+const { courseToday } = require('../services/courseTime');
+const { loadRoundMinutes } = require('../services/carts');
 const moment = require('moment');
 
 const router = express.Router();
 
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation rules for the tee sheet time an event reserves
+const blockValidation = [
+  body('blocks_tee_sheet')
+    .optional()
+    .isBoolean()
+    .withMessage('Blocks tee sheet must be true or false')
+    .toBoolean(),
+  body('block_scope')
+    .optional()
+    .isIn(BLOCK_SCOPES)
+    .withMessage(`Block scope must be one of ${BLOCK_SCOPES.join(', ')}`),
+  body('block_start_time')
+    .optional({ nullable: true })
+    .matches(TIME_FORMAT)
+    .withMessage('Valid block start time required (HH:MM)'),
+  body('block_end_time')
+    .optional({ nullable: true })
+    .matches(TIME_FORMAT)
+    .withMessage('Valid block end time required (HH:MM)')
+];
+
+// Bookings an event's block collides with, summarised for the admin
+const conflictSummary = (bookings) => bookings.map(booking => ({
+  id: booking.id,
+  booking_date: booking.booking_date,
+  tee_time: String(booking.tee_time).slice(0, 5),
+  number_of_players: booking.number_of_players,
+  green_fee_type: booking.green_fee_type,
+  primary_player_name: booking.primary_player_name,
+  primary_player_email: booking.primary_player_email
+}));
+
+const conflictWarning = (conflicts) => (conflicts.length > 0
+  ? `${conflicts.length} existing booking(s) fall inside this event's tee sheet block`
+  : null);
+
+// Load an event and the bookings its block collides with, optionally only
+// the given booking ids
+const loadEventConflicts = async (db, id, bookingIds) => {
+  const { data: event } = await db.events.findById(id);
+
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  const conflicts = await findConflictingBookings(db, event);
+
+  return {
+    event,
+    conflicts: bookingIds ? conflicts.filter(booking => bookingIds.includes(booking.id)) : conflicts
+  };
+};
+
 // Get upcoming public events
 router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -19,23 +85,25 @@ router.get('/', optionalAuth, [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { page = 1, limit = 20, event_type } = req.query;
   const offset = (page - 1) * limit;
 
-  let query = supabase
-    .from('events')
-    .select('*', { count: 'exact' })
-    .eq('is_public', true)
-    .gte('event_date', moment().format('YYYY-MM-DD'))
-    .order('event_date', { ascending: true })
-    .order('start_time', { ascending: true })
-    .range(offset, offset + limit - 1);
+  const filters = {
+    is_public: true,
+    event_date: { gte: await courseToday(db) }
+  };
 
   if (event_type) {
-    query = query.eq('event_type', event_type);
+    filters.event_type = event_type;
   }
 
-  const { data: events, error, count } = await query;
+  const { data: events, error, count } = await db.events.find(filters, {
+    order: ['event_date', 'start_time'],
+    limit: parseInt(limit),
+    offset,
+    count: true
+  });
 
   if (error) {
     throw new AppError('Failed to fetch events', 500);
@@ -44,11 +112,10 @@ router.get('/', optionalAuth, [
   // Add registration count for each event
   const eventsWithRegistrations = await Promise.all(
     events.map(async (event) => {
-      const { data: registrations } = await supabase
-        .from('event_registrations')
-        .select('id')
-        .eq('event_id', event.id)
-        .eq('status', 'registered');
+      const { data: registrations } = await db.eventRegistrations.find(
+        { event_id: event.id, status: 'registered' },
+        { columns: ['id'] }
+      );
 
       return {
         ...event,
@@ -70,15 +137,29 @@ router.get('/', optionalAuth, [
   });
 }));
 
+// Get user's event registrations
+router.get('/my-registrations', verifyToken, catchAsync(async (req, res) => {
+  const { data: registrations, error } = await req.app.locals.db.eventRegistrations.find(
+    { user_id: req.user.id },
+    {
+      order: ['registration_date desc'],
+      include: { events: ['title', 'event_date', 'start_time', 'event_type', 'status'] }
+    }
+  );
+
+  if (error) {
+    throw new AppError('Failed to fetch registrations', 500);
+  }
+
+  res.json({ registrations });
+}));
+
 // Get event by ID
 router.get('/:id', optionalAuth, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
   const { id } = req.params;
 
-  const { data: event, error } = await supabase
-    .from('events')
-    .select('*')
-    .eq('id', id)
-    .single();
+  const { data: event, error } = await db.events.findById(id);
 
   if (error || !event) {
     throw new AppError('Event not found', 404);
@@ -90,21 +171,18 @@ router.get('/:id', optionalAuth, catchAsync(async (req, res) => {
   }
 
   // Get registration count
-  const { data: registrations } = await supabase
-    .from('event_registrations')
-    .select('id')
-    .eq('event_id', event.id)
-    .eq('status', 'registered');
+  const { data: registrations } = await db.eventRegistrations.find(
+    { event_id: event.id, status: 'registered' },
+    { columns: ['id'] }
+  );
 
   // Check if current user is registered
   let userRegistration = null;
   if (req.user) {
-    const { data: userReg } = await supabase
-      .from('event_registrations')
-      .select('*')
-      .eq('event_id', event.id)
-      .eq('user_id', req.user.id)
-      .single();
+    const { data: userReg } = await db.eventRegistrations.findOne({
+      event_id: event.id,
+      user_id: req.user.id
+    });
     
     userRegistration = userReg;
   }
@@ -115,7 +193,9 @@ router.get('/:id', optionalAuth, catchAsync(async (req, res) => {
     spots_available: event.max_participants ? event.max_participants - (registrations?.length || 0) : null,
     is_full: event.max_participants ? (registrations?.length || 0) >= event.max_participants : false,
     user_registered: !!userRegistration,
-    user_registration: userRegistration
+    user_registration: userRegistration,
+    // The terms the golfer agrees to by registering
+    cancellation_policy: publicPolicy(await resolvePolicy(db, { appliesTo: 'event', userId: req.user?.id || null }))
   };
 
   res.json({ event: eventWithDetails });
@@ -154,6 +234,7 @@ router.post('/:id/register', verifyToken, [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { id } = req.params;
   const {
     participant_name,
@@ -165,11 +246,7 @@ router.post('/:id/register', verifyToken, [
   } = req.body;
 
   // Get event details
-  const { data: event, error: eventError } = await supabase
-    .from('events')
-    .select('*')
-    .eq('id', id)
-    .single();
+  const { data: event, error: eventError } = await db.events.findById(id);
 
   if (eventError || !event) {
     throw new AppError('Event not found', 404);
@@ -180,29 +257,28 @@ router.post('/:id/register', verifyToken, [
     throw new AppError('Event registration is closed', 400);
   }
 
-  // Check registration deadline
-  if (event.registration_deadline && moment().isAfter(moment(event.registration_deadline))) {
+  // Check registration deadline (registration stays open through that day
+  // at the course)
+  if (event.registration_deadline &&
+    moment(event.registration_deadline).format('YYYY-MM-DD') < await courseToday(db)) {
     throw new AppError('Registration deadline has passed', 400);
   }
 
   // Check if user is already registered
-  const { data: existingRegistration } = await supabase
-    .from('event_registrations')
-    .select('id')
-    .eq('event_id', id)
-    .eq('user_id', req.user.id)
-    .single();
+  const { data: existingRegistration } = await db.eventRegistrations.findOne(
+    { event_id: id, user_id: req.user.id },
+    { columns: ['id'] }
+  );
 
   if (existingRegistration) {
     throw new AppError('You are already registered for this event', 409);
   }
 
   // Check if event is full
-  const { data: currentRegistrations } = await supabase
-    .from('event_registrations')
-    .select('id')
-    .eq('event_id', id)
-    .eq('status', 'registered');
+  const { data: currentRegistrations } = await db.eventRegistrations.find(
+    { event_id: id, status: 'registered' },
+    { columns: ['id'] }
+  );
 
   if (event.max_participants && currentRegistrations.length >= event.max_participants) {
     throw new AppError('Event is full', 400);
@@ -210,13 +286,7 @@ router.post('/:id/register', verifyToken, [
 
   // Check membership requirement
   if (event.requires_membership) {
-    const { data: membership } = await supabase
-      .from('memberships')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .eq('status', 'active')
-      .gte('end_date', moment().format('YYYY-MM-DD'))
-      .single();
+    const { data: membership } = await db.memberships.findActive(req.user.id, await courseToday(db), { columns: ['id'] });
 
     if (!membership) {
       throw new AppError('Active membership required for this event', 403);
@@ -227,12 +297,10 @@ router.post('/:id/register', verifyToken, [
   let registrationFee = event.entry_fee || 0;
   
   if (event.member_discount > 0 && event.requires_membership) {
-    const { data: membership } = await supabase
-      .from('memberships')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .eq('status', 'active')
-      .single();
+    const { data: membership } = await db.memberships.findOne(
+      { user_id: req.user.id, status: 'active' },
+      { columns: ['id'] }
+    );
 
     if (membership) {
       registrationFee = registrationFee * (1 - event.member_discount / 100);
@@ -254,21 +322,14 @@ router.post('/:id/register', verifyToken, [
     status: 'registered'
   };
 
-  const { data: registration, error } = await supabase
-    .from('event_registrations')
-    .insert(registrationData)
-    .select()
-    .single();
+  const { data: registration, error } = await db.eventRegistrations.create(registrationData);
 
   if (error) {
     throw new AppError('Failed to register for event', 500);
   }
 
   // Update event participant count
-  await supabase
-    .from('events')
-    .update({ current_participants: currentRegistrations.length + 1 })
-    .eq('id', id);
+  await db.events.updateById(id, { current_participants: currentRegistrations.length + 1 });
 
   // TODO: Create payment intent if fee > 0
   // TODO: Send registration confirmation email
@@ -281,95 +342,112 @@ router.post('/:id/register', verifyToken, [
 }));
 
 // Cancel event registration
-router.delete('/:id/register', verifyToken, catchAsync(async (req, res) => {
+router.delete('/:id/register', verifyToken, [
+  body('cancellation_reason').optional().isString()
+], catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
   const { id } = req.params;
 
   // Get existing registration
-  const { data: registration, error: regError } = await supabase
-    .from('event_registrations')
-    .select('*')
-    .eq('event_id', id)
-    .eq('user_id', req.user.id)
-    .single();
+  const { data: registration, error: regError } = await db.eventRegistrations.findOne({
+    event_id: id,
+    user_id: req.user.id
+  });
 
   if (regError || !registration) {
     throw new AppError('Registration not found', 404);
   }
 
+  // A retried cancellation finishes any refund still owed, without
+  // cancelling or refunding again
+  if (registration.status === 'cancelled') {
+    const refund = await refundCancellation(db, 'event', registration);
+    const { data: current } = await db.eventRegistrations.findById(registration.id);
+
+    return res.json({
+      message: 'Event registration already cancelled',
+      registration: current,
+      refund
+    });
+  }
+
+  if (registration.status !== 'registered') {
+    throw new AppError(`Cannot cancel a registration marked ${registration.status.replace('_', ' ')}`, 400);
+  }
+
   // Get event details to check cancellation policy
-  const { data: event } = await supabase
-    .from('events')
-    .select('event_date, start_time')
-    .eq('id', id)
-    .single();
+  const { data: event } = await db.events.findById(id, { columns: ['event_date', 'start_time'] });
 
-  // Check if cancellation is allowed (e.g., 48 hours before event)
-  const eventDateTime = moment(`${event.event_date} ${event.start_time}`);
-  const hoursUntilEvent = eventDateTime.diff(moment(), 'hours');
+  const cancellation = await registrationCancellation(db, registration, event);
 
-  if (hoursUntilEvent < 48) {
-    throw new AppError('Cannot cancel registration within 48 hours of event', 400);
+  if (!cancellation.allowed) {
+    throw new AppError(cancellation.reason, 400);
   }
 
-  // Cancel registration
-  const { data: cancelledRegistration, error } = await supabase
-    .from('event_registrations')
-    .update({ status: 'cancelled' })
-    .eq('id', registration.id)
-    .select()
-    .single();
+  // Cancel registration, unless a concurrent request got there first
+  const { data: cancelled, error } = await db.eventRegistrations.update(
+    { id: registration.id, status: 'registered' },
+    {
+      status: 'cancelled',
+      cancellation_reason: req.body.cancellation_reason,
+      cancelled_at: new Date().toISOString(),
+      cancellation_fee: cancellation.cancellation_fee,
+      refund_amount: cancellation.refund_amount
+    }
+  );
 
   if (error) {
     throw new AppError('Failed to cancel registration', 500);
   }
 
+  if (!cancelled.length) {
+    throw new AppError('This registration was just changed; please reload it', 409);
+  }
+
   // Update event participant count
-  const { data: currentRegistrations } = await supabase
-    .from('event_registrations')
-    .select('id')
-    .eq('event_id', id)
-    .eq('status', 'registered');
-
-  await supabase
-    .from('events')
-    .update({ current_participants: currentRegistrations.length })
-    .eq('id', id);
-
-  // TODO: Process refund if payment was made
+  const { count: registeredCount } = await db.eventRegistrations.count({
+    event_id: id,
+    status: 'registered'
+  });
+
+  await db.events.updateById(id, { current_participants: registeredCount });
+
+  // Pay back what the policy allows
+  const refund = await refundCancellation(db, 'event', cancelled[0]);
+  const { data: cancelledRegistration } = await db.eventRegistrations.findById(registration.id);
+
   // TODO: Send cancellation confirmation email
 
   res.json({
     message: 'Event registration cancelled successfully',
-    registration: cancelledRegistration
+    registration: cancelledRegistration,
+    cancellation,
+    refund
   });
 }));
 
-// Get user's event registrations
-router.get('/my-registrations', verifyToken, catchAsync(async (req, res) => {
-  const { data: registrations, error } = await supabase
-    .from('event_registrations')
-    .select(`
-      *,
-      events:event_id (
-        title,
-        event_date,
-        start_time,
-        event_type,
-        status
-      )
-    `)
-    .eq('user_id', req.user.id)
-    .order('registration_date', { ascending: false });
+// Preview what cancelling a registration now would mean
+router.get('/:id/register/cancellation', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const { id } = req.params;
 
-  if (error) {
-    throw new AppError('Failed to fetch registrations', 500);
+  const { data: registration } = await db.eventRegistrations.findOne({
+    event_id: id,
+    user_id: req.user.id,
+    status: 'registered'
+  });
+
+  if (!registration) {
+    throw new AppError('Registration not found', 404);
   }
 
-  res.json({ registrations });
+  const { data: event } = await db.events.findById(id, { columns: ['event_date', 'start_time'] });
+
+  res.json({ cancellation: await registrationCancellation(db, registration, event) });
 }));
 
 // Create new event (admin only)
-router.post('/', verifyToken, [
+router.post('/', verifyToken, requirePermission('events:manage'), [
   body('title')
     .trim()
     .isLength({ min: 5, max: 200 })
@@ -411,48 +489,43 @@ router.post('/', verifyToken, [
   body('requires_membership')
     .optional()
     .isBoolean()
-    .withMessage('Requires membership must be true or false')
+    .withMessage('Requires membership must be true or false'),
+  ...blockValidation
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
+  const { db } = req.app.locals;
 
   const eventData = {
+    // Tournaments and maintenance take over the course unless told otherwise
+    blocks_tee_sheet: BLOCKING_EVENT_TYPES.includes(req.body.event_type),
+    block_scope: 'course',
     ...req.body,
     current_participants: 0,
     status: 'upcoming'
   };
 
-  const { data: event, error } = await supabase
-    .from('events')
-    .insert(eventData)
-    .select()
-    .single();
+  const { data: event, error } = await db.events.create(eventData);
 
   if (error) {
     throw new AppError('Failed to create event', 500);
   }
 
+  const conflicts = await findConflictingBookings(db, event);
+
   res.status(201).json({
     message: 'Event created successfully',
-    event
+    event,
+    warning: conflictWarning(conflicts),
+    conflicting_bookings: conflictSummary(conflicts)
   });
 }));
 
 // Update event (admin only)
-router.put('/:id', verifyToken, [
+router.put('/:id', verifyToken, requirePermission('events:manage'), [
   body('title')
     .optional()
     .trim()
@@ -466,33 +539,32 @@ router.put('/:id', verifyToken, [
   body('status')
     .optional()
     .isIn(['upcoming', 'ongoing', 'completed', 'cancelled'])
-    .withMessage('Invalid status')
+    .withMessage('Invalid status'),
+  body('event_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid event date is required'),
+  body('start_time')
+    .optional()
+    .matches(TIME_FORMAT)
+    .withMessage('Valid start time required (HH:MM)'),
+  body('end_time')
+    .optional({ nullable: true })
+    .matches(TIME_FORMAT)
+    .withMessage('Valid end time required (HH:MM)'),
+  ...blockValidation
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
+  const { db } = req.app.locals;
 
   const { id } = req.params;
   const updates = req.body;
 
-  const { data: updatedEvent, error } = await supabase
-    .from('events')
-    .update(updates)
-    .eq('id', id)
-    .select()
-    .single();
+  const { data: updatedEvent, error } = await db.events.updateById(id, updates);
 
   if (error) {
     throw new AppError('Failed to update event', 500);
@@ -502,40 +574,148 @@ router.put('/:id', verifyToken, [
     throw new AppError('Event not found', 404);
   }
 
+  const conflicts = await findConflictingBookings(db, updatedEvent);
+
   res.json({
     message: 'Event updated successfully',
-    event: updatedEvent
+    event: updatedEvent,
+    warning: conflictWarning(conflicts),
+    conflicting_bookings: conflictSummary(conflicts)
   });
 }));
 
-// Get event registrations (admin only)
-router.get('/:id/registrations', verifyToken, catchAsync(async (req, res) => {
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
+// Get the bookings an event's tee sheet block collides with (admin only)
+router.get('/:id/conflicts', verifyToken, requirePermission('events:manage'), catchAsync(async (req, res) => {
+  const { event, conflicts } = await loadEventConflicts(req.app.locals.db, req.params.id);
+
+  res.json({
+    event_id: event.id,
+    conflicting_bookings: conflictSummary(conflicts)
+  });
+}));
+
+// Email every conflicting booking about the event (admin only)
+router.post('/:id/conflicts/notify', verifyToken, requirePermission('events:manage'), [
+  body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must be less than 1000 characters'),
+  body('booking_ids').optional().isArray().withMessage('Booking ids must be a list')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { event, conflicts } = await loadEventConflicts(req.app.locals.db, req.params.id, req.body.booking_ids);
+
+  let notified = 0;
+  for (const booking of conflicts) {
+    if (await sendBlockNotice(booking, event, { message: req.body.message })) {
+      notified += 1;
+    }
+  }
 
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
+  res.json({
+    message: `Notified ${notified} of ${conflicts.length} conflicting booking(s)`,
+    notified,
+    conflicting_bookings: conflictSummary(conflicts)
+  });
+}));
+
+// Move conflicting bookings to the nearest free tee times outside the block,
+// later in the day by default, and tell each golfer (admin only)
+router.post('/:id/conflicts/move', verifyToken, requirePermission('events:manage'), [
+  body('direction').optional().isIn(['after', 'before']).withMessage('Direction must be after or before'),
+  body('booking_ids').optional().isArray().withMessage('Booking ids must be a list')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const direction = req.body.direction || 'after';
+  const { event, conflicts } = await loadEventConflicts(db, req.params.id, req.body.booking_ids);
+
+  const { data: settingsMap } = await db.adminSettings.getMap([
+    'course_open_time',
+    'course_close_time',
+    'tee_time_interval',
+    'max_players_per_booking'
+  ]);
+
+  const interval = parseInt(settingsMap.tee_time_interval) || 15;
+  const capacity = parseInt(settingsMap.max_players_per_booking) || 4;
+  const sheet = [];
+  const start = moment.utc(`${moment(event.event_date).format('YYYY-MM-DD')} ${settingsMap.course_open_time || '07:00'}`, 'YYYY-MM-DD HH:mm');
+  const end = moment.utc(`${moment(event.event_date).format('YYYY-MM-DD')} ${settingsMap.course_close_time || '19:00'}`, 'YYYY-MM-DD HH:mm');
+
+  while (start.isBefore(end)) {
+    sheet.push(start.format('HH:mm'));
+    start.add(interval, 'minutes');
+  }
+
+  const blocks = await loadBlocks(db, event.event_date);
+  const roundMinutes = await loadRoundMinutes(db);
+  const ordered = direction === 'after' ? conflicts : [...conflicts].reverse();
+  const moved = [];
+  const unmoved = [];
+
+  for (const booking of ordered) {
+    const from = String(booking.tee_time).slice(0, 5);
+    const candidates = sheet
+      .filter(time => (direction === 'after' ? time > from : time < from))
+      .filter(time => !blocks.some(block => blocksBooking(block, { ...booking, tee_time: time })));
+
+    if (direction === 'before') {
+      candidates.reverse();
+    }
+
+    let result = null;
+    for (const time of candidates) {
+      const { data, error } = await db.teeTimes.move(booking.id, {
+        booking_date: booking.booking_date,
+        tee_time: time
+      }, { capacity, roundMinutes });
+
+      // Full, or short of carts for the group's round
+      if (error?.code === '23505') {
+        continue;
+      }
+
+      if (error) {
+        throw new AppError('Failed to move booking', 500);
+      }
+
+      result = data;
+      break;
+    }
+
+    if (!result) {
+      unmoved.push({ ...conflictSummary([booking])[0], reason: `No free tee time ${direction} the block` });
+      continue;
+    }
+
+    const to = String(result.tee_time).slice(0, 5);
+    await sendBlockNotice(booking, event, { movedTo: to });
+    moved.push({ ...conflictSummary([result])[0], from, to });
   }
 
+  res.json({
+    message: `Moved ${moved.length} of ${conflicts.length} conflicting booking(s)`,
+    moved,
+    unmoved
+  });
+}));
+
+// Get event registrations (admin only)
+router.get('/:id/registrations', verifyToken, requirePermission('events:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
   const { id } = req.params;
 
-  const { data: registrations, error } = await supabase
-    .from('event_registrations')
-    .select(`
-      *,
-      users:user_id (
-        first_name,
-        last_name,
-        email,
-        phone
-      )
-    `)
-    .eq('event_id', id)
-    .order('registration_date', { ascending: true });
+  const { data: registrations, error } = await db.eventRegistrations.find({ event_id: id }, {
+    order: ['registration_date'],
+    include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+  });
 
   if (error) {
     throw new AppError('Failed to fetch event registrations', 500);
@@ -1,20 +1,19 @@
 // Membership routes
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase } = require('../config/database');
-const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { verifyToken, optionalAuth, requirePermission } = require('../middleware/auth');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
-const moment = require('moment');
+const moment = require('moment-timezone');
+const { courseTimezone, courseNow, courseToday } = require('../services/courseTime');
 
 const router = express.Router();
 
 // Get membership types and pricing
 router.get('/types', catchAsync(async (req, res) => {
-  const { data: settings } = await supabase
-    .from('admin_settings')
-    .select('setting_key, setting_value, description')
-    .like('setting_key', 'membership_%')
-    .eq('is_public', true);
+  const { data: settings } = await req.app.locals.db.adminSettings.find({
+    setting_key: { like: 'membership_%' },
+    is_public: true
+  }, { columns: ['setting_key', 'setting_value', 'description'] });
 
   const membershipTypes = [
     {
@@ -76,15 +75,10 @@ router.get('/types', catchAsync(async (req, res) => {
 
 // Get user's current membership
 router.get('/my-membership', verifyToken, catchAsync(async (req, res) => {
-  const { data: membership, error } = await supabase
-    .from('memberships')
-    .select('*')
-    .eq('user_id', req.user.id)
-    .eq('status', 'active')
-    .gte('end_date', moment().format('YYYY-MM-DD'))
-    .single();
-
-  if (error && error.code !== 'PGRST116') { // PGRST116 is "no rows returned"
+  const { db } = req.app.locals;
+  const { data: membership, error } = await db.memberships.findActive(req.user.id, await courseToday(db));
+
+  if (error) {
     throw new AppError('Failed to fetch membership', 500);
   }
 
@@ -120,28 +114,19 @@ router.post('/', verifyToken, [
     graduation_year,
     cart_shed_requested
   } = req.body;
+  const { db } = req.app.locals;
 
   // Check if user already has an active membership
-  const { data: existingMembership } = await supabase
-    .from('memberships')
-    .select('id')
-    .eq('user_id', req.user.id)
-    .eq('status', 'active')
-    .gte('end_date', moment().format('YYYY-MM-DD'))
-    .single();
+  const { data: existingMembership } = await db.memberships.findActive(req.user.id, await courseToday(db), {
+    columns: ['id']
+  });
 
   if (existingMembership) {
     throw new AppError('You already have an active membership', 409);
   }
 
   // Get membership pricing
-  const { data: pricingSetting } = await supabase
-    .from('admin_settings')
-    .select('setting_value')
-    .eq('setting_key', `membership_${membership_type}`)
-    .single();
-
-  const annualFee = parseFloat(pricingSetting?.setting_value || 0);
+  const annualFee = parseFloat(await db.adminSettings.getValue(`membership_${membership_type}`, 0));
 
   if (annualFee === 0) {
     throw new AppError('Invalid membership type', 400);
@@ -157,13 +142,14 @@ router.post('/', verifyToken, [
     throw new AppError('Graduation year is required for student/alumni membership', 400);
   }
 
-  // Create membership
+  // Create membership, running a year from today at the course
+  const today = await courseNow(db);
   const membershipData = {
     user_id: req.user.id,
     membership_type,
     annual_fee: annualFee,
-    start_date: moment().format('YYYY-MM-DD'),
-    end_date: moment().add(1, 'year').format('YYYY-MM-DD'),
+    start_date: today.format('YYYY-MM-DD'),
+    end_date: today.clone().add(1, 'year').format('YYYY-MM-DD'),
     family_members: family_members || null,
     graduation_year,
     status: 'active', // In real implementation, this might be 'pending' until payment
@@ -175,11 +161,7 @@ router.post('/', verifyToken, [
     membershipData.school_verification = false; // Would need manual verification
   }
 
-  const { data: membership, error } = await supabase
-    .from('memberships')
-    .insert(membershipData)
-    .select()
-    .single();
+  const { data: membership, error } = await db.memberships.create(membershipData);
 
   if (error) {
     throw new AppError('Failed to create membership', 500);
@@ -215,15 +197,12 @@ router.put('/:id', verifyToken, [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { id } = req.params;
   const updates = req.body;
 
   // Get existing membership
-  const { data: existingMembership, error: fetchError } = await supabase
-    .from('memberships')
-    .select('*')
-    .eq('id', id)
-    .single();
+  const { data: existingMembership, error: fetchError } = await db.memberships.findById(id);
 
   if (fetchError || !existingMembership) {
     throw new AppError('Membership not found', 404);
@@ -234,12 +213,7 @@ router.put('/:id', verifyToken, [
     throw new AppError('Not authorized to update this membership', 403);
   }
 
-  const { data: updatedMembership, error } = await supabase
-    .from('memberships')
-    .update(updates)
-    .eq('id', id)
-    .select()
-    .single();
+  const { data: updatedMembership, error } = await db.memberships.updateById(id, updates);
 
   if (error) {
     throw new AppError('Failed to update membership', 500);
@@ -258,15 +232,12 @@ router.delete('/:id', verifyToken, [
     .isString()
     .withMessage('Cancellation reason must be a string')
 ], catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
   const { id } = req.params;
   const { cancellation_reason } = req.body;
 
   // Get existing membership
-  const { data: existingMembership, error: fetchError } = await supabase
-    .from('memberships')
-    .select('*')
-    .eq('id', id)
-    .single();
+  const { data: existingMembership, error: fetchError } = await db.memberships.findById(id);
 
   if (fetchError || !existingMembership) {
     throw new AppError('Membership not found', 404);
@@ -278,16 +249,11 @@ router.delete('/:id', verifyToken, [
   }
 
   // Update membership status
-  const { data: cancelledMembership, error } = await supabase
-    .from('memberships')
-    .update({
-      status: 'cancelled',
-      auto_renew: false,
-      // Store cancellation reason in a metadata field if needed
-    })
-    .eq('id', id)
-    .select()
-    .single();
+  const { data: cancelledMembership, error } = await db.memberships.updateById(id, {
+    status: 'cancelled',
+    auto_renew: false,
+    // Store cancellation reason in a metadata field if needed
+  });
 
   if (error) {
     throw new AppError('Failed to cancel membership', 500);
@@ -304,11 +270,10 @@ router.delete('/:id', verifyToken, [
 
 // Get membership history
 router.get('/history', verifyToken, catchAsync(async (req, res) => {
-  const { data: memberships, error } = await supabase
-    .from('memberships')
-    .select('*')
-    .eq('user_id', req.user.id)
-    .order('created_at', { ascending: false });
+  const { data: memberships, error } = await req.app.locals.db.memberships.find(
+    { user_id: req.user.id },
+    { order: ['created_at desc'] }
+  );
 
   if (error) {
     throw new AppError('Failed to fetch membership history', 500);
@@ -318,44 +283,29 @@ router.get('/history', verifyToken, catchAsync(async (req, res) => {
 }));
 
 // Get all memberships (admin only)
-router.get('/all', verifyToken, catchAsync(async (req, res) => {
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
+router.get('/all', verifyToken, requirePermission('memberships:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
 
   const { page = 1, limit = 20, status, membership_type } = req.query;
   const offset = (page - 1) * limit;
 
-  let query = supabase
-    .from('memberships')
-    .select(`
-      *,
-      users:user_id (
-        first_name,
-        last_name,
-        email,
-        phone
-      )
-    `, { count: 'exact' })
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
+  const filters = {};
 
   if (status) {
-    query = query.eq('status', status);
+    filters.status = status;
   }
 
   if (membership_type) {
-    query = query.eq('membership_type', membership_type);
+    filters.membership_type = membership_type;
   }
 
-  const { data: memberships, error, count } = await query;
+  const { data: memberships, error, count } = await db.memberships.find(filters, {
+    order: ['created_at desc'],
+    limit: parseInt(limit),
+    offset,
+    count: true,
+    include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+  });
 
   if (error) {
     throw new AppError('Failed to fetch memberships', 500);
@@ -373,7 +323,7 @@ router.get('/all', verifyToken, catchAsync(async (req, res) => {
 }));
 
 // Verify student/alumni status (admin only)
-router.put('/:id/verify', verifyToken, [
+router.put('/:id/verify', verifyToken, requirePermission('memberships:manage'), [
   body('school_verification')
     .isBoolean()
     .withMessage('School verification must be true or false'),
@@ -387,29 +337,15 @@ router.put('/:id/verify', verifyToken, [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
+  const { db } = req.app.locals;
 
   const { id } = req.params;
   const { school_verification, verification_notes } = req.body;
 
-  const { data: updatedMembership, error } = await supabase
-    .from('memberships')
-    .update({
-      school_verification,
-      // Store verification notes in metadata if needed
-    })
-    .eq('id', id)
-    .select()
-    .single();
+  const { data: updatedMembership, error } = await db.memberships.updateById(id, {
+    school_verification,
+    // Store verification notes in metadata if needed
+  });
 
   if (error) {
     throw new AppError('Failed to update verification status', 500);
@@ -426,21 +362,13 @@ router.put('/:id/verify', verifyToken, [
 }));
 
 // Get membership statistics (admin only)
-router.get('/stats/overview', verifyToken, catchAsync(async (req, res) => {
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
+router.get('/stats/overview', verifyToken, requirePermission('memberships:manage'), catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
 
-  const { data: memberships } = await supabase
-    .from('memberships')
-    .select('membership_type, status, annual_fee, created_at');
+  const { data: memberships } = await db.memberships.find({}, {
+    columns: ['membership_type', 'status', 'annual_fee', 'created_at']
+  });
+  const timezone = await courseTimezone(db);
 
   const stats = {
     total: memberships.length,
@@ -464,7 +392,7 @@ router.get('/stats/overview', verifyToken, catchAsync(async (req, res) => {
     }
     
     // Monthly signups
-    const month = moment(membership.created_at).format('YYYY-MM');
+    const month = moment(membership.created_at).tz(timezone).format('YYYY-MM');
     stats.monthly_signups[month] = (stats.monthly_signups[month] || 0) + 1;
   });
 
@@ -0,0 +1,436 @@
+// Outing routes: book a run of consecutive tee times for a large group under
+// one organizer, with a combined quote and invoice and a player roster
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { verifyToken, optionalAuth, requirePermission, hasPermission } = require('../middleware/auth');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { quoteOuting, buildInvoice, shareCancellation, assignRoster } = require('../services/outings');
+const { bookingTotals } = require('../services/pricing');
+const { loadRoundMinutes } = require('../services/carts');
+const { offerFreedSlots } = require('../services/waitlist');
+const { assertCanBook } = require('../services/bookingStanding');
+const { outingCancellation } = require('../services/cancellationPolicy');
+const { refundCancellation } = require('../services/refunds');
+const { courseToday } = require('../services/courseTime');
+const moment = require('moment');
+
+const router = express.Router();
+
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Outings are for groups bigger than a single tee time
+const MAX_OUTING_PLAYERS = 144;
+
+// Validation rules shared by the outing quote (query) and booking (body)
+const outingFields = (location) => [
+  location('booking_date')
+    .isISO8601()
+    .withMessage('Valid date is required')
+    .custom(async (value, { req }) => {
+      if (moment(value).format('YYYY-MM-DD') < await courseToday(req.app.locals.db)) {
+        throw new Error('Cannot book an outing in the past');
+      }
+      return true;
+    }),
+  location('start_time')
+    .matches(TIME_FORMAT)
+    .withMessage('Valid start time required (HH:MM)'),
+  location('number_of_players')
+    .isInt({ min: 2, max: MAX_OUTING_PLAYERS })
+    .withMessage(`Number of players must be between 2 and ${MAX_OUTING_PLAYERS}`)
+    .toInt(),
+  location('green_fee_type')
+    .isIn(['9_holes', 'all_day'])
+    .withMessage('Green fee type must be 9_holes or all_day'),
+  location('cart_rental')
+    .optional()
+    .isBoolean()
+    .withMessage('Cart rental must be true or false')
+    .toBoolean(),
+  location('rate_class')
+    .optional()
+    .isString()
+    .withMessage('Rate class must be a string')
+];
+
+const rosterValidation = [
+  body('players')
+    .isArray()
+    .withMessage('Players must be a list'),
+  body('players.*.player_name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Each player needs a name'),
+  body('players.*.email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Valid player email required'),
+  body('players.*.handicap')
+    .optional({ nullable: true })
+    .isFloat({ min: -10, max: 54 })
+    .withMessage('Handicap must be between -10 and 54')
+    .toFloat()
+];
+
+// Load an outing the current user organizes or may manage
+const findOuting = async (req) => {
+  const { data: outing } = await req.app.locals.db.outings.findById(req.params.id);
+
+  if (!outing) {
+    throw new AppError('Outing not found', 404);
+  }
+
+  if (outing.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
+    throw new AppError('Not authorized to manage this outing', 403);
+  }
+
+  return outing;
+};
+
+const outingBookings = async (db, outing) => {
+  const { data: bookings, error } = await db.teeTimes.find(
+    { outing_id: outing.id },
+    { order: ['tee_time'] }
+  );
+
+  if (error) {
+    throw new AppError('Failed to fetch outing tee times', 500);
+  }
+
+  return bookings;
+};
+
+// Pay back what an outing's cancelled tee times are owed, one by one under
+// each booking's own refund key, so a retry refunds nothing twice
+const refundOuting = async (db, bookings) => {
+  const refunds = [];
+
+  for (const booking of bookings) {
+    const refund = await refundCancellation(db, 'tee_time', booking);
+    if (refund) {
+      refunds.push(refund);
+    }
+  }
+
+  return refunds;
+};
+
+// Price an outing before booking it
+router.get('/quote', optionalAuth, outingFields(query), catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const quote = await quoteOuting(req.app.locals.db, {
+    ...req.query,
+    user_id: req.user?.id || null
+  });
+
+  res.json({ quote });
+}));
+
+// Get the user's upcoming outings
+router.get('/my-outings', verifyToken, catchAsync(async (req, res) => {
+  const { data: outings, error } = await req.app.locals.db.outings.find({
+    user_id: req.user.id,
+    booking_date: { gte: await courseToday(req.app.locals.db) }
+  }, {
+    order: ['booking_date', 'start_time']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch outings', 500);
+  }
+
+  res.json({ outings });
+}));
+
+// Get all upcoming outings (admin only)
+router.get('/all', verifyToken, requirePermission('bookings:manage'), catchAsync(async (req, res) => {
+  const { date } = req.query;
+
+  const filters = date
+    ? { booking_date: date }
+    : { booking_date: { gte: await courseToday(req.app.locals.db) } };
+
+  const { data: outings, error } = await req.app.locals.db.outings.find(filters, {
+    order: ['booking_date', 'start_time'],
+    include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch outings', 500);
+  }
+
+  res.json({ outings });
+}));
+
+// Book an outing: every slot is reserved together or not at all
+router.post('/', verifyToken, [
+  ...outingFields(body),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Outing name is required'),
+  body('organizer_name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Organizer name must be between 2 and 200 characters'),
+  body('organizer_email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid organizer email is required'),
+  body('organizer_phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Valid phone number required'),
+  body('special_requests')
+    .optional()
+    .isString()
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const {
+    name,
+    booking_date,
+    start_time,
+    number_of_players,
+    green_fee_type,
+    cart_rental,
+    rate_class,
+    special_requests
+  } = req.body;
+
+  await assertCanBook(db, { userId: req.user.id });
+
+  const quote = await quoteOuting(db, {
+    booking_date,
+    start_time,
+    number_of_players,
+    green_fee_type,
+    cart_rental,
+    rate_class,
+    user_id: req.user.id
+  });
+
+  // The organizer is the signed-in user unless another contact is given
+  const { data: user } = await db.users.findById(req.user.id, {
+    columns: ['first_name', 'last_name', 'email', 'phone']
+  });
+  const organizer = {
+    organizer_name: req.body.organizer_name || [user.first_name, user.last_name].filter(Boolean).join(' '),
+    organizer_email: req.body.organizer_email || user.email,
+    organizer_phone: req.body.organizer_phone || user.phone || null
+  };
+
+  const { data: outing, error } = await db.outings.reserve({
+    user_id: req.user.id,
+    name,
+    ...organizer,
+    booking_date,
+    start_time: quote.start_time,
+    slot_count: quote.slot_count,
+    number_of_players,
+    green_fee_type,
+    cart_rental: cart_rental || false,
+    rate_class: quote.rate_class,
+    total_green_fees: quote.total_green_fees,
+    total_cart_fees: quote.total_cart_fees,
+    total_amount: quote.total_amount,
+    special_requests: special_requests || null,
+    payment_status: 'pending',
+    status: 'confirmed'
+  }, quote.slots.map(slotQuote => ({
+    user_id: req.user.id,
+    booking_date,
+    tee_time: slotQuote.tee_time,
+    number_of_players: slotQuote.number_of_players,
+    // The group has each slot to itself
+    is_private: true,
+    primary_player_name: organizer.organizer_name,
+    primary_player_email: organizer.organizer_email,
+    primary_player_phone: organizer.organizer_phone,
+    cart_rental: cart_rental || false,
+    green_fee_type,
+    special_requests: `Outing: ${name}`,
+    ...bookingTotals(slotQuote),
+    payment_status: 'pending',
+    status: 'confirmed'
+  })), {
+    capacity: quote.capacity,
+    roundMinutes: await loadRoundMinutes(db)
+  });
+
+  if (error?.code === '23505') {
+    throw new AppError(`Tee times from ${quote.start_time} are not all free for this outing: ${error.message}`, 409);
+  }
+
+  if (error || !outing) {
+    throw new AppError('Failed to book outing', 500);
+  }
+
+  res.status(201).json({
+    message: 'Outing booked successfully',
+    outing,
+    bookings: await outingBookings(db, outing),
+    quote,
+    payment_required: quote.total_amount > 0
+  });
+}));
+
+// Get an outing with its tee times and roster
+router.get('/:id', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const outing = await findOuting(req);
+
+  const [bookings, { data: roster, error }] = await Promise.all([
+    outingBookings(db, outing),
+    db.outingPlayers.find({ outing_id: outing.id }, { order: ['position'] })
+  ]);
+
+  if (error) {
+    throw new AppError('Failed to fetch outing roster', 500);
+  }
+
+  res.json({ outing, bookings, roster });
+}));
+
+// Get the outing's combined invoice
+router.get('/:id/invoice', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const outing = await findOuting(req);
+
+  const bookings = (await outingBookings(db, outing))
+    .filter(booking => outing.status === 'cancelled' || booking.status !== 'cancelled');
+
+  res.json({ invoice: buildInvoice(outing, bookings) });
+}));
+
+// Fill in or replace the player roster; players are placed in the outing's
+// tee times in order
+router.put('/:id/roster', verifyToken, rosterValidation, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const outing = await findOuting(req);
+
+  if (outing.status !== 'confirmed') {
+    throw new AppError(`This outing is ${outing.status}`, 400);
+  }
+
+  const roster = await assignRoster(req.app.locals.db, outing, req.body.players);
+
+  res.json({
+    message: 'Roster updated successfully',
+    roster,
+    open_spots: outing.number_of_players - roster.length
+  });
+}));
+
+// Preview what cancelling an outing now would mean, before the organizer confirms
+router.get('/:id/cancellation', verifyToken, catchAsync(async (req, res) => {
+  const outing = await findOuting(req);
+
+  const { db } = req.app.locals;
+
+  res.json({ cancellation: await outingCancellation(db, outing, await outingBookings(db, outing)) });
+}));
+
+// Cancel an outing together with all its tee times
+router.delete('/:id', verifyToken, [
+  body('cancellation_reason').optional().isString()
+], catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+  const outing = await findOuting(req);
+
+  // A retried cancellation finishes any refund still owed and reports the
+  // outing as it stands, without cancelling or refunding again. Only an
+  // outing cancelled here has a refund_amount; a course closure refunds
+  // its tee times itself.
+  if (outing.status === 'cancelled' && Number(outing.refund_amount) > 0) {
+    const refunds = await refundOuting(db, await outingBookings(db, outing));
+
+    return res.json({
+      message: 'Outing already cancelled',
+      outing,
+      bookings: await outingBookings(db, outing),
+      refunds
+    });
+  }
+
+  if (outing.status !== 'confirmed') {
+    throw new AppError(`This outing is already ${outing.status}`, 400);
+  }
+
+  // The tee time cancellation policy decides, as for a single booking,
+  // counted from the first tee time
+  const bookings = (await outingBookings(db, outing)).filter(booking => booking.status === 'confirmed');
+  const cancellation = await outingCancellation(db, outing, bookings);
+
+  if (!cancellation.allowed) {
+    throw new AppError(cancellation.reason, 400);
+  }
+
+  const cancelled = {
+    status: 'cancelled',
+    cancellation_reason: req.body.cancellation_reason || null,
+    cancelled_at: new Date().toISOString()
+  };
+
+  // Unless a concurrent request got there first
+  const { data: cancelledOutings, error } = await db.outings.update({ id: outing.id, status: 'confirmed' }, {
+    ...cancelled,
+    cancellation_fee: cancellation.cancellation_fee,
+    refund_amount: cancellation.refund_amount
+  });
+
+  if (error) {
+    throw new AppError('Failed to cancel outing', 500);
+  }
+
+  if (!cancelledOutings.length) {
+    throw new AppError('This outing was just changed; please reload it', 409);
+  }
+
+  const { data: cancelledBookings, error: bookingsError } = await db.teeTimes.update(
+    { outing_id: outing.id, status: 'confirmed' },
+    cancelled
+  );
+
+  if (bookingsError) {
+    throw new AppError('Failed to cancel outing tee times', 500);
+  }
+
+  // Offer the freed tee times to golfers on the waitlist
+  await offerFreedSlots(db, cancelledBookings);
+
+  // Each tee time records its share of the fee and refund, and is refunded
+  // like a single booking
+  const shares = shareCancellation(bookings, cancellation);
+  for (const booking of cancelledBookings) {
+    if (shares[booking.id]) {
+      await db.teeTimes.updateById(booking.id, shares[booking.id]);
+    }
+  }
+
+  const refunds = await refundOuting(db, await outingBookings(db, outing));
+
+  res.json({
+    message: 'Outing cancelled successfully',
+    outing: cancelledOutings[0],
+    bookings: await outingBookings(db, outing),
+    cancellation,
+    refunds
+  });
+}));
+
+module.exports = router;
@@ -1,79 +1,95 @@
 // Payment routes for Stripe integration
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase } = require('../config/database');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const moment = require('moment');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 const router = express.Router();
 
-// Create payment intent for tee time booking
+// Create payment intent for tee time booking. The amount charged is the
+// booking's own price as the server worked it out; any amount the client
+// sends is ignored.
 router.post('/create-booking-payment', verifyToken, [
   body('booking_id')
     .isUUID()
-    .withMessage('Valid booking ID is required'),
-  body('amount')
-    .isFloat({ min: 0.50 })
-    .withMessage('Amount must be at least $0.50')
+    .withMessage('Valid booking ID is required')
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { booking_id, amount } = req.body;
+  const { db } = req.app.locals;
+  const { booking_id } = req.body;
 
   // Verify booking exists and belongs to user
-  const { data: booking, error: bookingError } = await supabase
-    .from('tee_times')
-    .select('*')
-    .eq('id', booking_id)
-    .eq('user_id', req.user.id)
-    .single();
+  const { data: booking, error: bookingError } = await db.teeTimes.findOne({
+    id: booking_id,
+    user_id: req.user.id
+  });
 
   if (bookingError || !booking) {
     throw new AppError('Booking not found', 404);
   }
 
-  if (booking.payment_status === 'paid') {
+  // A paid booking can still owe a balance after a reschedule to a dearer
+  // tee time; that is charged on its own, for exactly what is owed
+  const balanceDue = Number(booking.balance_due) || 0;
+  const payingBalance = booking.payment_status === 'paid' && balanceDue > 0;
+
+  if (booking.payment_status === 'paid' && !payingBalance) {
     throw new AppError('Booking is already paid', 400);
   }
 
+  const chargeAmount = payingBalance ? balanceDue : Number(booking.total_amount) || 0;
+
+  // Stripe's smallest charge
+  if (chargeAmount < 0.5) {
+    throw new AppError('Nothing to pay for this booking', 400);
+  }
+
   // Create payment intent
   const paymentIntent = await stripe.paymentIntents.create({
-    amount: Math.round(amount * 100), // Convert to cents
+    amount: Math.round(chargeAmount * 100), // Convert to cents
     currency: 'usd',
     metadata: {
       booking_id: booking_id,
       user_id: req.user.id,
-      type: 'tee_time'
+      type: payingBalance ? 'tee_time_balance' : 'tee_time'
     },
-    description: `Tee time booking for ${booking.booking_date} at ${booking.tee_time}`
+    description: payingBalance
+      ? `Balance for tee time booking on ${booking.booking_date} at ${booking.tee_time}`
+      : `Tee time booking for ${booking.booking_date} at ${booking.tee_time}`
   });
 
-  // Update booking with payment intent ID
-  await supabase
-    .from('tee_times')
-    .update({ stripe_payment_intent_id: paymentIntent.id })
-    .eq('id', booking_id);
+  // Update booking with payment intent ID; refunds keep going back to the
+  // original payment, so a balance payment leaves it alone. The checkout
+  // sweep times an unpaid booking from here, not from when it was made.
+  if (!payingBalance) {
+    await db.teeTimes.updateById(booking_id, {
+      stripe_payment_intent_id: paymentIntent.id,
+      checkout_started_at: new Date().toISOString()
+    });
+  }
 
   // Create payment transaction record
-  await supabase
-    .from('payment_transactions')
-    .insert({
-      transaction_type: 'tee_time',
-      amount: amount,
-      payment_provider: 'stripe',
-      provider_transaction_id: paymentIntent.id,
-      user_id: req.user.id,
-      tee_time_id: booking_id,
-      status: 'pending'
-    });
+  await db.paymentTransactions.create({
+    transaction_type: 'tee_time',
+    amount: chargeAmount,
+    payment_provider: 'stripe',
+    provider_transaction_id: paymentIntent.id,
+    user_id: req.user.id,
+    tee_time_id: booking_id,
+    status: 'pending',
+    metadata: payingBalance ? { balance_payment: true } : {}
+  });
 
   res.json({
     client_secret: paymentIntent.client_secret,
-    payment_intent_id: paymentIntent.id
+    payment_intent_id: paymentIntent.id,
+    amount: chargeAmount
   });
 }));
 
@@ -91,15 +107,14 @@ router.post('/create-membership-payment', verifyToken, [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { membership_id, amount } = req.body;
 
   // Verify membership exists and belongs to user
-  const { data: membership, error: membershipError } = await supabase
-    .from('memberships')
-    .select('*')
-    .eq('id', membership_id)
-    .eq('user_id', req.user.id)
-    .single();
+  const { data: membership, error: membershipError } = await db.memberships.findOne({
+    id: membership_id,
+    user_id: req.user.id
+  });
 
   if (membershipError || !membership) {
     throw new AppError('Membership not found', 404);
@@ -118,23 +133,18 @@ router.post('/create-membership-payment', verifyToken, [
   });
 
   // Update membership with payment intent ID
-  await supabase
-    .from('memberships')
-    .update({ stripe_subscription_id: paymentIntent.id })
-    .eq('id', membership_id);
+  await db.memberships.updateById(membership_id, { stripe_subscription_id: paymentIntent.id });
 
   // Create payment transaction record
-  await supabase
-    .from('payment_transactions')
-    .insert({
-      transaction_type: 'membership',
-      amount: amount,
-      payment_provider: 'stripe',
-      provider_transaction_id: paymentIntent.id,
-      user_id: req.user.id,
-      membership_id: membership_id,
-      status: 'pending'
-    });
+  await db.paymentTransactions.create({
+    transaction_type: 'membership',
+    amount: amount,
+    payment_provider: 'stripe',
+    provider_transaction_id: paymentIntent.id,
+    user_id: req.user.id,
+    membership_id: membership_id,
+    status: 'pending'
+  });
 
   res.json({
     client_secret: paymentIntent.client_secret,
@@ -156,21 +166,16 @@ router.post('/create-event-payment', verifyToken, [
     return res.status(400).json({ errors: errors.array() });
   }
 
+  const { db } = req.app.locals;
   const { registration_id, amount } = req.body;
 
   // Verify registration exists and belongs to user
-  const { data: registration, error: registrationError } = await supabase
-    .from('event_registrations')
-    .select(`
-      *,
-      events:event_id (
-        title,
-        event_date
-      )
-    `)
-    .eq('id', registration_id)
-    .eq('user_id', req.user.id)
-    .single();
+  const { data: registration, error: registrationError } = await db.eventRegistrations.findOne({
+    id: registration_id,
+    user_id: req.user.id
+  }, {
+    include: { events: ['title', 'event_date'] }
+  });
 
   if (registrationError || !registration) {
     throw new AppError('Event registration not found', 404);
@@ -193,23 +198,18 @@ router.post('/create-event-payment', verifyToken, [
   });
 
   // Update registration with payment intent ID
-  await supabase
-    .from('event_registrations')
-    .update({ stripe_payment_intent_id: paymentIntent.id })
-    .eq('id', registration_id);
+  await db.eventRegistrations.updateById(registration_id, { stripe_payment_intent_id: paymentIntent.id });
 
   // Create payment transaction record
-  await supabase
-    .from('payment_transactions')
-    .insert({
-      transaction_type: 'event',
-      amount: amount,
-      payment_provider: 'stripe',
-      provider_transaction_id: paymentIntent.id,
-      user_id: req.user.id,
-      event_registration_id: registration_id,
-      status: 'pending'
-    });
+  await db.paymentTransactions.create({
+    transaction_type: 'event',
+    amount: amount,
+    payment_provider: 'stripe',
+    provider_transaction_id: paymentIntent.id,
+    user_id: req.user.id,
+    event_registration_id: registration_id,
+    status: 'pending'
+  });
 
   res.json({
     client_secret: paymentIntent.client_secret,
@@ -217,8 +217,8 @@ router.post('/create-event-payment', verifyToken, [
   });
 }));
 
-// Stripe webhook handler
-router.post('/webhook', express.raw({ type: 'application/json' }), catchAsync(async (req, res) => {
+// Stripe webhook handler (mounted by createApp ahead of the JSON body parser)
+const handleWebhook = catchAsync(async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
 
@@ -229,65 +229,70 @@ router.post('/webhook', express.raw({ type: 'application/json' }), catchAsync(as
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  const { db } = req.app.locals;
+
   // Handle the event
   switch (event.type) {
     case 'payment_intent.succeeded':
-      await handlePaymentSuccess(event.data.object);
+      await handlePaymentSuccess(db, event.data.object);
       break;
     case 'payment_intent.payment_failed':
-      await handlePaymentFailure(event.data.object);
+      await handlePaymentFailure(db, event.data.object);
       break;
     case 'invoice.payment_succeeded':
-      await handleSubscriptionPayment(event.data.object);
+      await handleSubscriptionPayment(db, event.data.object);
       break;
     default:
       console.log(`Unhandled event type ${event.type}`);
   }
 
   res.json({ received: true });
-}));
+});
 
 // Handle successful payment
-async function handlePaymentSuccess(paymentIntent) {
+async function handlePaymentSuccess(db, paymentIntent) {
   const { metadata } = paymentIntent;
+
+  // Stripe can deliver the same event more than once; only a payment still
+  // pending here has not been applied yet
+  const { data: pending } = await db.paymentTransactions.findOne({
+    provider_transaction_id: paymentIntent.id,
+    status: 'pending'
+  });
   
   // Update payment transaction
-  await supabase
-    .from('payment_transactions')
-    .update({
-      status: 'completed',
-      transaction_date: new Date().toISOString()
-    })
-    .eq('provider_transaction_id', paymentIntent.id);
+  await db.paymentTransactions.update({ provider_transaction_id: paymentIntent.id }, {
+    status: 'completed',
+    transaction_date: new Date().toISOString()
+  });
 
   // Update related record based on type
   switch (metadata.type) {
     case 'tee_time':
-      await supabase
-        .from('tee_times')
-        .update({ payment_status: 'paid' })
-        .eq('id', metadata.booking_id);
+      await db.teeTimes.updateById(metadata.booking_id, { payment_status: 'paid' });
       
       // TODO: Send booking confirmation email
       break;
       
+    case 'tee_time_balance':
+      if (pending) {
+        const { data: booking } = await db.teeTimes.findById(metadata.booking_id, { columns: ['balance_due'] });
+        const remaining = Math.max(Math.round(((Number(booking?.balance_due) || 0) - Number(pending.amount)) * 100) / 100, 0);
+        await db.teeTimes.updateById(metadata.booking_id, { balance_due: remaining });
+      }
+      break;
+      
     case 'membership':
-      await supabase
-        .from('memberships')
-        .update({ 
-          payment_method: 'stripe',
-          status: 'active'
-        })
-        .eq('id', metadata.membership_id);
+      await db.memberships.updateById(metadata.membership_id, { 
+        payment_method: 'stripe',
+        status: 'active'
+      });
       
       // TODO: Send membership welcome email
       break;
       
     case 'event':
-      await supabase
-        .from('event_registrations')
-        .update({ payment_status: 'paid' })
-        .eq('id', metadata.registration_id);
+      await db.eventRegistrations.updateById(metadata.registration_id, { payment_status: 'paid' });
       
       // TODO: Send event registration confirmation email
       break;
@@ -295,32 +300,23 @@ async function handlePaymentSuccess(paymentIntent) {
 }
 
 // Handle failed payment
-async function handlePaymentFailure(paymentIntent) {
+async function handlePaymentFailure(db, paymentIntent) {
   const { metadata } = paymentIntent;
   
   // Update payment transaction
-  await supabase
-    .from('payment_transactions')
-    .update({
-      status: 'failed',
-      failure_reason: paymentIntent.last_payment_error?.message || 'Payment failed'
-    })
-    .eq('provider_transaction_id', paymentIntent.id);
+  await db.paymentTransactions.update({ provider_transaction_id: paymentIntent.id }, {
+    status: 'failed',
+    failure_reason: paymentIntent.last_payment_error?.message || 'Payment failed'
+  });
 
   // Update related record based on type
   switch (metadata.type) {
     case 'tee_time':
-      await supabase
-        .from('tee_times')
-        .update({ payment_status: 'failed' })
-        .eq('id', metadata.booking_id);
+      await db.teeTimes.updateById(metadata.booking_id, { payment_status: 'failed' });
       break;
       
     case 'event':
-      await supabase
-        .from('event_registrations')
-        .update({ payment_status: 'failed' })
-        .eq('id', metadata.registration_id);
+      await db.eventRegistrations.updateById(metadata.registration_id, { payment_status: 'failed' });
       break;
   }
   
@@ -328,37 +324,34 @@ async function handlePaymentFailure(paymentIntent) {
 }
 
 // Handle subscription payment
-async function handleSubscriptionPayment(invoice) {
+async function handleSubscriptionPayment(db, invoice) {
   // Handle recurring membership payments
   const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
   
   if (subscription.metadata.type === 'membership') {
     // Extend membership end date
-    const { data: membership } = await supabase
-      .from('memberships')
-      .select('end_date')
-      .eq('stripe_subscription_id', subscription.id)
-      .single();
+    const { data: membership } = await db.memberships.findOne(
+      { stripe_subscription_id: subscription.id },
+      { columns: ['end_date'] }
+    );
     
     if (membership) {
       const newEndDate = moment(membership.end_date).add(1, 'year').format('YYYY-MM-DD');
       
-      await supabase
-        .from('memberships')
-        .update({ end_date: newEndDate })
-        .eq('stripe_subscription_id', subscription.id);
+      await db.memberships.update(
+        { stripe_subscription_id: subscription.id },
+        { end_date: newEndDate }
+      );
       
       // Create payment transaction record
-      await supabase
-        .from('payment_transactions')
-        .insert({
-          transaction_type: 'membership',
-          amount: invoice.amount_paid / 100,
-          payment_provider: 'stripe',
-          provider_transaction_id: invoice.id,
-          status: 'completed',
-          transaction_date: new Date().toISOString()
-        });
+      await db.paymentTransactions.create({
+        transaction_type: 'membership',
+        amount: invoice.amount_paid / 100,
+        payment_provider: 'stripe',
+        provider_transaction_id: invoice.id,
+        status: 'completed',
+        transaction_date: new Date().toISOString()
+      });
     }
   }
 }
@@ -368,12 +361,15 @@ router.get('/history', verifyToken, catchAsync(async (req, res) => {
   const { page = 1, limit = 20 } = req.query;
   const offset = (page - 1) * limit;
 
-  const { data: transactions, error, count } = await supabase
-    .from('payment_transactions')
-    .select('*', { count: 'exact' })
-    .eq('user_id', req.user.id)
-    .order('transaction_date', { ascending: false })
-    .range(offset, offset + limit - 1);
+  const { data: transactions, error, count } = await req.app.locals.db.paymentTransactions.find(
+    { user_id: req.user.id },
+    {
+      order: ['transaction_date desc'],
+      limit: parseInt(limit),
+      offset,
+      count: true
+    }
+  );
 
   if (error) {
     throw new AppError('Failed to fetch payment history', 500);
@@ -403,11 +399,9 @@ router.get('/payment/:payment_intent_id', verifyToken, catchAsync(async (req, re
   }
 
   // Get transaction record
-  const { data: transaction } = await supabase
-    .from('payment_transactions')
-    .select('*')
-    .eq('provider_transaction_id', payment_intent_id)
-    .single();
+  const { data: transaction } = await req.app.locals.db.paymentTransactions.findOne({
+    provider_transaction_id: payment_intent_id
+  });
 
   res.json({
     payment_intent: {
@@ -423,7 +417,7 @@ router.get('/payment/:payment_intent_id', verifyToken, catchAsync(async (req, re
 }));
 
 // Request refund (admin only)
-router.post('/refund', verifyToken, [
+router.post('/refund', verifyToken, requirePermission('payments:refund'), [
   body('payment_intent_id')
     .notEmpty()
     .withMessage('Payment intent ID is required'),
@@ -441,16 +435,7 @@ router.post('/refund', verifyToken, [
     return res.status(400).json({ errors: errors.array() });
   }
 
-  // Check if user is admin
-  const { data: userData } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', req.user.id)
-    .single();
-
-  if (userData?.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
+  const { db } = req.app.locals;
 
   const { payment_intent_id, amount, reason } = req.body;
 
@@ -462,23 +447,21 @@ router.post('/refund', verifyToken, [
   });
 
   // Update transaction record
-  await supabase
-    .from('payment_transactions')
-    .update({ status: 'refunded' })
-    .eq('provider_transaction_id', payment_intent_id);
+  await db.paymentTransactions.update(
+    { provider_transaction_id: payment_intent_id },
+    { status: 'refunded' }
+  );
 
   // Create refund transaction record
-  await supabase
-    .from('payment_transactions')
-    .insert({
-      transaction_type: 'refund',
-      amount: -(refund.amount / 100),
-      payment_provider: 'stripe',
-      provider_transaction_id: refund.id,
-      status: 'completed',
-      transaction_date: new Date().toISOString(),
-      metadata: { original_payment: payment_intent_id, reason }
-    });
+  await db.paymentTransactions.create({
+    transaction_type: 'refund',
+    amount: -(refund.amount / 100),
+    payment_provider: 'stripe',
+    provider_transaction_id: refund.id,
+    status: 'completed',
+    transaction_date: new Date().toISOString(),
+    metadata: { original_payment: payment_intent_id, reason }
+  });
 
   res.json({
     message: 'Refund processed successfully',
@@ -490,4 +473,5 @@ router.post('/refund', verifyToken, [
   });
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.handleWebhook = handleWebhook;
\ No newline at end of file
@@ -0,0 +1,273 @@
+// Waitlist routes: join a waitlist for a day and time window, and claim the
+// tee time offered when matching spots free up
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { verifyToken, hasPermission } = require('../middleware/auth');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { quoteBooking, bookingTotals } = require('../services/pricing');
+const { loadRoundMinutes } = require('../services/carts');
+const { offerFreedSlots } = require('../services/waitlist');
+const { assertSlotOpen } = require('../services/teeSheetBlocks');
+const { assertCanBook } = require('../services/bookingStanding');
+const { courseToday } = require('../services/courseTime');
+const moment = require('moment');
+
+const router = express.Router();
+
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const toTime = (value) => moment(value, 'HH:mm').format('HH:mm');
+
+// Validation rules for joining the waitlist
+const waitlistValidation = [
+  body('booking_date')
+    .isISO8601()
+    .withMessage('Valid date is required')
+    .custom(async (value, { req }) => {
+      if (moment(value).format('YYYY-MM-DD') < await courseToday(req.app.locals.db)) {
+        throw new Error('Cannot join the waitlist for a past date');
+      }
+      return true;
+    }),
+  body('earliest_time')
+    .matches(TIME_FORMAT)
+    .withMessage('Valid earliest time required (HH:MM)'),
+  body('latest_time')
+    .matches(TIME_FORMAT)
+    .withMessage('Valid latest time required (HH:MM)')
+    .custom((value, { req }) => {
+      if (TIME_FORMAT.test(req.body.earliest_time || '') && toTime(value) < toTime(req.body.earliest_time)) {
+        throw new Error('Latest time must not be before earliest time');
+      }
+      return true;
+    }),
+  body('number_of_players')
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Number of players must be between 1 and 4')
+    .toInt()
+];
+
+// Offer details a claim link points at
+const offerSummary = (entry) => ({
+  id: entry.id,
+  booking_date: entry.booking_date,
+  tee_time: String(entry.offered_tee_time).slice(0, 5),
+  number_of_players: entry.number_of_players,
+  expires_at: entry.offer_expires_at
+});
+
+// Load an offered entry for a claim link, checking its token and expiry
+const findOffer = async (db, id, token) => {
+  const { data: entry } = await db.waitlistEntries.findById(id, {
+    include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+  });
+
+  const { data: hold } = entry?.hold_id
+    ? await db.teeTimeHolds.findOne({ id: entry.hold_id, hold_token: token }, { columns: ['id'] })
+    : { data: null };
+
+  if (!hold) {
+    throw new AppError('Offer not found', 404);
+  }
+
+  if (entry.status === 'claimed') {
+    throw new AppError('This offer has already been claimed', 409);
+  }
+
+  if (entry.status !== 'offered' || new Date(entry.offer_expires_at) <= new Date()) {
+    throw new AppError('This offer has expired', 410);
+  }
+
+  return { entry, hold };
+};
+
+// Join the waitlist
+router.post('/', verifyToken, waitlistValidation, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { booking_date, earliest_time, latest_time, number_of_players } = req.body;
+
+  const { data: entry, error } = await db.waitlistEntries.create({
+    user_id: req.user.id,
+    booking_date,
+    earliest_time: toTime(earliest_time),
+    latest_time: toTime(latest_time),
+    number_of_players,
+    status: 'waiting'
+  });
+
+  if (error) {
+    throw new AppError('Failed to join waitlist', 500);
+  }
+
+  // Place in line among golfers waiting for the same day
+  const { count: position } = await db.waitlistEntries.count({
+    booking_date,
+    status: 'waiting',
+    created_at: { lte: entry.created_at }
+  });
+
+  res.status(201).json({
+    message: 'You are on the waitlist. We will email you if a matching tee time opens up.',
+    entry,
+    position
+  });
+}));
+
+// Get the user's upcoming waitlist entries
+router.get('/my-entries', verifyToken, catchAsync(async (req, res) => {
+  const { data: entries, error } = await req.app.locals.db.waitlistEntries.find({
+    user_id: req.user.id,
+    booking_date: { gte: await courseToday(req.app.locals.db) }
+  }, {
+    order: ['booking_date', 'earliest_time']
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch waitlist entries', 500);
+  }
+
+  res.json({ entries });
+}));
+
+// Leave the waitlist; an outstanding offer goes to the next golfer
+router.delete('/:id', verifyToken, catchAsync(async (req, res) => {
+  const { db } = req.app.locals;
+
+  const { data: entry } = await db.waitlistEntries.findById(req.params.id);
+
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404);
+  }
+
+  if (entry.user_id !== req.user.id && !(await hasPermission(req, 'bookings:manage'))) {
+    throw new AppError('Not authorized to remove this waitlist entry', 403);
+  }
+
+  if (!['waiting', 'offered'].includes(entry.status)) {
+    throw new AppError(`This waitlist entry is already ${entry.status}`, 400);
+  }
+
+  const { data: cancelled, error } = await db.waitlistEntries.updateById(entry.id, { status: 'cancelled' });
+
+  if (error) {
+    throw new AppError('Failed to remove waitlist entry', 500);
+  }
+
+  if (entry.status === 'offered' && entry.hold_id) {
+    await db.teeTimeHolds.update({ id: entry.hold_id, status: 'active' }, { status: 'released' });
+    await offerFreedSlots(db, [{ booking_date: entry.booking_date, tee_time: entry.offered_tee_time }]);
+  }
+
+  res.json({
+    message: 'Removed from the waitlist',
+    entry: cancelled
+  });
+}));
+
+// Look up the tee time a claim link offers
+router.get('/:id/offer', [
+  query('token')
+    .isUUID()
+    .withMessage('Claim token is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { entry } = await findOffer(req.app.locals.db, req.params.id, req.query.token);
+
+  res.json({ offer: offerSummary(entry) });
+}));
+
+// Claim an offered tee time, turning its hold into a booking
+router.post('/:id/claim', [
+  body('token')
+    .isUUID()
+    .withMessage('Claim token is required'),
+  body('green_fee_type')
+    .isIn(['9_holes', 'all_day'])
+    .withMessage('Green fee type must be 9_holes or all_day'),
+  body('cart_rental')
+    .optional()
+    .isBoolean()
+    .withMessage('Cart rental must be true or false')
+    .toBoolean(),
+  body('rate_class')
+    .optional()
+    .isString()
+    .withMessage('Rate class must be a string')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { db } = req.app.locals;
+  const { green_fee_type, cart_rental, rate_class } = req.body;
+  const { entry, hold } = await findOffer(db, req.params.id, req.body.token);
+  const teeTime = String(entry.offered_tee_time).slice(0, 5);
+
+  await assertCanBook(db, { userId: entry.user_id });
+  await assertSlotOpen(db, { booking_date: entry.booking_date, tee_time: teeTime, green_fee_type });
+
+  const quote = await quoteBooking(db, {
+    booking_date: entry.booking_date,
+    tee_time: teeTime,
+    number_of_players: entry.number_of_players,
+    green_fee_type,
+    cart_rental,
+    rate_class,
+    user_id: entry.user_id,
+    hold_id: hold.id
+  });
+  const capacity = parseInt(await db.adminSettings.getValue('max_players_per_booking', 4)) || 4;
+
+  const user = entry.users || {};
+
+  const { data: booking, error } = await db.teeTimes.reserve({
+    user_id: entry.user_id,
+    booking_date: entry.booking_date,
+    tee_time: teeTime,
+    number_of_players: entry.number_of_players,
+    is_private: false,
+    primary_player_name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+    primary_player_email: user.email,
+    primary_player_phone: user.phone,
+    cart_rental: cart_rental || false,
+    green_fee_type,
+    ...bookingTotals(quote),
+    payment_status: 'pending',
+    status: 'confirmed'
+  }, {
+    capacity,
+    holdId: hold.id,
+    roundMinutes: await loadRoundMinutes(db)
+  });
+
+  if (error?.code === '23505') {
+    throw new AppError(error.message || 'This tee time is already booked', 409);
+  }
+
+  if (error || !booking) {
+    throw new AppError('Failed to claim tee time', 500);
+  }
+
+  await db.waitlistEntries.updateById(entry.id, {
+    status: 'claimed',
+    tee_time_id: booking.id
+  });
+
+  res.status(201).json({
+    message: 'Tee time claimed successfully',
+    booking,
+    payment_required: quote.total_amount > 0
+  });
+}));
+
+module.exports = router;
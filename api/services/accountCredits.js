@@ -0,0 +1,344 @@
+// Account credits: rain checks and refunds paid as credit
+//
+// Each credit is held by a user, or by a guest's email when the booking or
+// registration had no account, and keeps what is left of it in `balance`
+// until `expires_on` (`credit_expiry_days` after it was issued, 365 by
+// default). Every change to a balance is an account_credit_entries row:
+//   issue  - the credit was granted (see refunds.js, which grants one for
+//            every refund paid as account credit)
+//   redeem - a new booking spent it
+//   expire - it ran out unspent (nightly job)
+//   void   - the change that granted it was undone, e.g. a course closure
+//            reversed
+// New bookings spend the golfer's credits first, soonest to expire first,
+// through the redeem_account_credits database function. What they spend is
+// a completed 'account_credit' payment on the booking and is kept in
+// `credit_applied`, so a refund of the booking goes back as credit.
+const moment = require('moment');
+const { AppError } = require('../middleware/errorHandler');
+const { courseToday } = require('./courseTime');
+
+const CREDIT_TYPES = ['rain_check', 'refund'];
+
+const DEFAULT_CREDIT_EXPIRY_DAYS = 365;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+// Who holds credit given back for a booking or registration: its user, or
+// the guest by email
+const creditHolder = (record) => (record.user_id
+  ? { userId: record.user_id, email: null }
+  : { userId: null, email: normalizeEmail(record.primary_player_email || record.participant_email) });
+
+// Credits a holder can see and spend: a user's own, plus any a guest with
+// the user's email was given before signing up
+const findHeld = async (db, { userId = null, email = null }, filters = {}) => {
+  const guestEmail = normalizeEmail(email);
+  const [{ data: own, error }, { data: guest, error: guestError }] = await Promise.all([
+    userId ? db.accountCredits.find({ ...filters, user_id: userId }) : { data: [] },
+    guestEmail ? db.accountCredits.find({ ...filters, user_id: null, guest_email: guestEmail }) : { data: [] }
+  ]);
+
+  if (error || guestError) {
+    throw new AppError('Failed to load account credits', 500);
+  }
+
+  return [...own, ...guest].sort((a, b) =>
+    String(a.expires_on).localeCompare(String(b.expires_on)) || String(a.created_at).localeCompare(String(b.created_at))
+  );
+};
+
+const addEntry = async (db, credit, { entryType, amount, balanceAfter, teeTimeId = null, createdBy = null }) => {
+  const { error } = await db.accountCreditEntries.create({
+    credit_id: credit.id,
+    entry_type: entryType,
+    amount,
+    balance_after: balanceAfter,
+    tee_time_id: teeTimeId,
+    created_by: createdBy
+  });
+
+  if (error) {
+    throw new AppError('Failed to record the account credit', 500);
+  }
+};
+
+// Grant `amount` of credit to `holder` under `key`; a credit already granted
+// under `key` is returned as is. Returns null when there is nobody to hold it.
+const grantCredit = async (db, {
+  holder,
+  amount,
+  creditType,
+  key,
+  teeTimeId = null,
+  eventRegistrationId = null,
+  paymentTransactionId = null,
+  holesPlayed = null,
+  note = null,
+  issuedBy = null
+}) => {
+  const { data: granted } = await db.accountCredits.findOne({ idempotency_key: key });
+
+  if (granted) {
+    return granted;
+  }
+
+  if (!holder.userId && !holder.email) {
+    return null;
+  }
+
+  const [today, expiryDays] = await Promise.all([
+    courseToday(db),
+    db.adminSettings.getValue('credit_expiry_days', DEFAULT_CREDIT_EXPIRY_DAYS)
+  ]);
+
+  const { data: credit, error } = await db.accountCredits.create({
+    user_id: holder.userId,
+    guest_email: holder.userId ? null : normalizeEmail(holder.email),
+    credit_type: creditType,
+    amount: roundCurrency(amount),
+    balance: roundCurrency(amount),
+    expires_on: moment(today).add(parseInt(expiryDays) || DEFAULT_CREDIT_EXPIRY_DAYS, 'days').format('YYYY-MM-DD'),
+    status: 'active',
+    tee_time_id: teeTimeId,
+    event_registration_id: eventRegistrationId,
+    payment_transaction_id: paymentTransactionId,
+    holes_played: holesPlayed,
+    note,
+    issued_by: issuedBy,
+    idempotency_key: key
+  });
+
+  // A concurrent retry granted it first
+  if (error?.code === '23505') {
+    return (await db.accountCredits.findOne({ idempotency_key: key })).data;
+  }
+
+  if (error) {
+    throw new AppError('Failed to record the account credit', 500);
+  }
+
+  await addEntry(db, credit, { entryType: 'issue', amount: credit.amount, balanceAfter: credit.amount, createdBy: issuedBy });
+
+  return credit;
+};
+
+// Spend the holder's credits on a new booking, up to what it costs. Records
+// what was spent as an 'account_credit' payment and returns the booking as
+// it now stands with the amount spent.
+const redeemCredits = async (db, booking, { userId = null, email = null, createdBy = null }) => {
+  const amount = roundCurrency(Number(booking.total_amount) || 0);
+
+  if (amount <= 0) {
+    return { booking, spent: 0 };
+  }
+
+  const { data: entries, error } = await db.accountCredits.redeem({
+    userId,
+    email: normalizeEmail(email),
+    amount,
+    today: await courseToday(db),
+    teeTimeId: booking.id,
+    createdBy
+  });
+
+  if (error) {
+    throw new AppError('Failed to apply account credit', 500);
+  }
+
+  const spent = roundCurrency(-entries.reduce((sum, entry) => sum + Number(entry.amount), 0));
+
+  if (spent <= 0) {
+    return { booking, spent: 0 };
+  }
+
+  const { error: paymentError } = await db.paymentTransactions.create({
+    transaction_type: 'tee_time',
+    amount: spent,
+    payment_provider: 'account_credit',
+    user_id: booking.user_id || null,
+    tee_time_id: booking.id,
+    status: 'completed',
+    transaction_date: new Date().toISOString(),
+    metadata: { credit_ids: [...new Set(entries.map(entry => entry.credit_id))] }
+  });
+
+  if (paymentError) {
+    throw new AppError('Failed to record the account credit payment', 500);
+  }
+
+  // What credit does not cover is owed like any other balance
+  const { data: updated, error: updateError } = await db.teeTimes.updateById(booking.id, {
+    credit_applied: spent,
+    payment_status: 'paid',
+    balance_due: roundCurrency(amount - spent)
+  });
+
+  if (updateError) {
+    throw new AppError('Failed to apply account credit', 500);
+  }
+
+  return { booking: updated, spent };
+};
+
+// Void the unspent credit granted by refund `paymentTransactionId`.
+// Returns false when some of it has been spent, true otherwise.
+const voidGrantedCredit = async (db, paymentTransactionId, { createdBy = null } = {}) => {
+  const { data: credit } = await db.accountCredits.findOne({ payment_transaction_id: paymentTransactionId });
+
+  if (!credit || credit.status === 'voided') {
+    return true;
+  }
+
+  if (credit.status !== 'active' || Number(credit.balance) < Number(credit.amount)) {
+    return false;
+  }
+
+  const { data: voided, error } = await db.accountCredits.update(
+    { id: credit.id, status: 'active', balance: credit.balance },
+    { status: 'voided', balance: 0 }
+  );
+
+  if (error) {
+    throw new AppError('Failed to void the account credit', 500);
+  }
+
+  if (!voided.length) {
+    return false;
+  }
+
+  await addEntry(db, credit, { entryType: 'void', amount: -Number(credit.amount), balanceAfter: 0, createdBy });
+
+  return true;
+};
+
+// Expire credits whose expiry date has passed; returns the credits expired
+const expireCredits = async (db, { today = null } = {}) => {
+  const asOf = today || await courseToday(db);
+
+  const { data: due, error } = await db.accountCredits.find({
+    status: 'active',
+    expires_on: { lt: asOf }
+  });
+
+  if (error) {
+    throw new Error(`Failed to find expired credits: ${error.message}`);
+  }
+
+  const expired = [];
+
+  for (const credit of due) {
+    // Re-check the balance so a redemption meanwhile wins
+    const { data, error: expireError } = await db.accountCredits.update(
+      { id: credit.id, status: 'active', balance: credit.balance },
+      { status: 'expired', balance: 0 }
+    );
+
+    if (expireError) {
+      throw new Error(`Failed to expire credit ${credit.id}: ${expireError.message}`);
+    }
+
+    if (data.length) {
+      if (Number(credit.balance) > 0) {
+        await addEntry(db, credit, { entryType: 'expire', amount: -Number(credit.balance), balanceAfter: 0 });
+      }
+      expired.push(...data);
+    }
+  }
+
+  return expired;
+};
+
+// A holder's spendable balance, their credits and the balance history,
+// newest first
+const creditStatement = async (db, holder) => {
+  const today = await courseToday(db);
+  const credits = await findHeld(db, holder);
+
+  const { data: entries, error } = credits.length > 0
+    ? await db.accountCreditEntries.find(
+      { credit_id: { in: credits.map(credit => credit.id) } },
+      { order: ['created_at desc'] }
+    )
+    : { data: [] };
+
+  if (error) {
+    throw new AppError('Failed to load account credit history', 500);
+  }
+
+  const spendable = credits.filter(credit =>
+    credit.status === 'active' && Number(credit.balance) > 0 && String(credit.expires_on).slice(0, 10) >= today
+  );
+
+  return {
+    balance: roundCurrency(spendable.reduce((sum, credit) => sum + Number(credit.balance), 0)),
+    credits,
+    history: entries.map(entry => {
+      const credit = credits.find(candidate => candidate.id === entry.credit_id);
+      return { ...entry, credit_type: credit.credit_type };
+    })
+  };
+};
+
+// What the course owes in unspent, unexpired credit, by type, by holder
+// and by the month it expires
+const creditLiability = async (db) => {
+  const asOf = await courseToday(db);
+
+  const { data: credits, error } = await db.accountCredits.find({
+    status: 'active',
+    balance: { gt: 0 },
+    expires_on: { gte: asOf }
+  }, {
+    order: ['expires_on'],
+    include: { users: ['first_name', 'last_name', 'email'] }
+  });
+
+  if (error) {
+    throw new AppError('Failed to load account credits', 500);
+  }
+
+  const total = (rows) => roundCurrency(rows.reduce((sum, credit) => sum + Number(credit.balance), 0));
+  const groupBy = (keyFor) => Object.values(credits.reduce((acc, credit) => {
+    const key = keyFor(credit);
+    acc[key] = acc[key] || { key, credits: [] };
+    acc[key].credits.push(credit);
+    return acc;
+  }, {}));
+
+  return {
+    as_of: asOf,
+    outstanding: total(credits),
+    credits: credits.length,
+    by_type: CREDIT_TYPES.map(type => {
+      const rows = credits.filter(credit => credit.credit_type === type);
+      return { credit_type: type, credits: rows.length, outstanding: total(rows) };
+    }),
+    by_expiry_month: groupBy(credit => String(credit.expires_on).slice(0, 7))
+      .map(({ key, credits: rows }) => ({ month: key, credits: rows.length, outstanding: total(rows) })),
+    holders: groupBy(credit => credit.user_id || credit.guest_email)
+      .map(({ credits: rows }) => ({
+        user_id: rows[0].user_id,
+        guest_email: rows[0].guest_email,
+        name: rows[0].users ? [rows[0].users.first_name, rows[0].users.last_name].filter(Boolean).join(' ') : null,
+        email: rows[0].users?.email || rows[0].guest_email,
+        credits: rows.length,
+        outstanding: total(rows),
+        next_expiry: String(rows[0].expires_on).slice(0, 10)
+      }))
+      .sort((a, b) => b.outstanding - a.outstanding)
+  };
+};
+
+module.exports = {
+  CREDIT_TYPES,
+  creditHolder,
+  grantCredit,
+  redeemCredits,
+  voidGrantedCredit,
+  expireCredits,
+  creditStatement,
+  creditLiability
+};
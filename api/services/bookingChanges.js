@@ -0,0 +1,286 @@
+// Booking changes: reschedules and the change history
+//
+// A reschedule moves a confirmed booking to another date or time and/or
+// changes its number of players in one step, so the golfer never gives up
+// their slot before the new one is secured. The new slot is checked like a
+// new booking (event blocks, then capacity under the slot's lock), the
+// booking is repriced at its rate class, and on a paid booking the
+// difference is settled:
+//   cheaper - refunded the way it was paid (see refunds.js)
+//   dearer  - added to balance_due; paid online through
+//             POST /api/payments/create-booking-payment, or at the counter
+//             for bookings paid there
+// Unpaid bookings simply owe the new total. A cart added to or dropped from
+// a paid booking through PUT /api/bookings/:id is settled the same way.
+// Every reschedule, and every edit made through PUT /api/bookings/:id, is
+// logged in booking_changes,
+// and the golfer is emailed the new tee time and what it cost or gave back.
+const crypto = require('crypto');
+const moment = require('moment');
+const sgMail = require('@sendgrid/mail');
+const { AppError } = require('../middleware/errorHandler');
+const { DEFAULT_RATE_CLASS } = require('../config/pricing');
+const { quoteBooking, bookingTotals } = require('./pricing');
+const { assertSlotOpen } = require('./teeSheetBlocks');
+const { evaluateModification } = require('./cancellationPolicy');
+const { refundDifference } = require('./refunds');
+const { offerFreedSlots } = require('./waitlist');
+const { loadRoundMinutes } = require('./carts');
+const { courseTimezone, slotMoment } = require('./courseTime');
+
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+// Columns of a PUT /api/bookings/:id edit worth keeping in the history
+const UPDATE_FIELDS = ['cart_rental', 'cart_riders', 'cart_sharing', 'special_requests', 'additional_players', 'total_cart_fees', 'total_amount', 'balance_due'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toDate = (value) => moment(value).format('YYYY-MM-DD');
+const toTime = (value) => String(value).slice(0, 5);
+
+// The slot, players and price of a booking, as logged in the history
+const snapshot = (booking) => ({
+  booking_date: toDate(booking.booking_date),
+  tee_time: toTime(booking.tee_time),
+  number_of_players: booking.number_of_players,
+  cart_rental_fee: Number(booking.cart_rental_fee) || 0,
+  total_green_fees: Number(booking.total_green_fees) || 0,
+  total_cart_fees: Number(booking.total_cart_fees) || 0,
+  total_amount: Number(booking.total_amount) || 0,
+  balance_due: Number(booking.balance_due) || 0
+});
+
+// Bookings paid through Stripe settle a higher price online too
+const paidOnline = (booking) => !!booking.stripe_payment_intent_id;
+
+// How a paid booking settles `owed` (what it owes after the change; negative
+// when money goes back)
+const settlementFor = (booking, owed) => {
+  if (booking.payment_status !== 'paid' || owed === 0) {
+    return 'none';
+  }
+
+  if (owed < 0) {
+    return paidOnline(booking) ? 'refund' : 'credit';
+  }
+
+  return paidOnline(booking) ? 'charge' : 'due_at_course';
+};
+
+// Move `booking` to `target` ({ booking_date, tee_time, number_of_players }),
+// reprice it and settle the difference. Returns the updated booking, the
+// logged change, the new quote and any refund issued.
+const rescheduleBooking = async (db, booking, target, { changedBy = null } = {}) => {
+  if (booking.outing_id) {
+    throw new AppError('This tee time is part of an outing; change the outing instead', 400);
+  }
+
+  if (booking.series_id) {
+    throw new AppError('This tee time belongs to a standing tee time; change the standing tee time instead', 400);
+  }
+
+  if (booking.status !== 'confirmed') {
+    throw new AppError(`Cannot change a booking that is ${booking.status.replace('_', ' ')}`, 400);
+  }
+
+  // Changes close at the booking's cancellation policy cutoff
+  const modification = await evaluateModification(db, {
+    date: booking.booking_date,
+    time: booking.tee_time,
+    rateClass: booking.rate_class,
+    userId: booking.user_id
+  });
+
+  if (!modification.allowed) {
+    throw new AppError(modification.reason, 400);
+  }
+
+  const previous = snapshot(booking);
+  const bookingDate = toDate(target.booking_date);
+  const teeTime = moment(target.tee_time, 'HH:mm').format('HH:mm');
+  const players = target.number_of_players;
+  const slotChanged = bookingDate !== previous.booking_date || teeTime !== previous.tee_time;
+
+  if (!slotChanged && players === previous.number_of_players) {
+    throw new AppError('The booking already has this tee time and number of players', 400);
+  }
+
+  if (slotMoment(await courseTimezone(db), bookingDate, teeTime).isBefore(moment())) {
+    throw new AppError('Cannot move a booking to a tee time that has passed', 400);
+  }
+
+  if (slotChanged) {
+    await assertSlotOpen(db, { booking_date: bookingDate, tee_time: teeTime, green_fee_type: booking.green_fee_type });
+  }
+
+  const quote = await quoteBooking(db, {
+    booking_date: bookingDate,
+    tee_time: teeTime,
+    number_of_players: players,
+    green_fee_type: booking.green_fee_type,
+    cart_rental: booking.cart_rental,
+    cart_riders: booking.cart_riders || null,
+    cart_sharing: booking.cart_sharing || 'shared',
+    rate_class: booking.rate_class || DEFAULT_RATE_CLASS,
+    user_id: booking.user_id || null
+  });
+  const {
+    cart_riders,
+    cart_sharing,
+    fleet_carts,
+    cart_shed_number,
+    cart_rental_fee,
+    total_green_fees,
+    total_cart_fees,
+    total_amount
+  } = bookingTotals(quote);
+
+  const difference = roundCurrency(total_amount - previous.total_amount);
+  const paid = booking.payment_status === 'paid';
+  const owed = paid ? roundCurrency(previous.balance_due + difference) : 0;
+  const change = {
+    id: crypto.randomUUID(),
+    changed_by: changedBy,
+    amount_difference: difference,
+    settlement: settlementFor(booking, owed)
+  };
+  const capacity = parseInt(await db.adminSettings.getValue('max_players_per_booking', 4)) || 4;
+  const roundMinutes = await loadRoundMinutes(db);
+
+  // The group's carts are worked out again for its new size and its
+  // member's cart shed, and checked against the fleet at the new tee time
+  const { data: updated, error } = await db.teeTimes.reschedule(booking.id, {
+    previous,
+    changes: {
+      booking_date: bookingDate,
+      tee_time: teeTime,
+      number_of_players: players,
+      cart_riders,
+      cart_sharing,
+      fleet_carts,
+      cart_shed_number,
+      cart_rental_fee,
+      total_green_fees,
+      total_cart_fees,
+      total_amount,
+      balance_due: Math.max(owed, 0)
+    },
+    change
+  }, { capacity, roundMinutes });
+
+  if (error?.code === '23505' || error?.code === '40001') {
+    throw new AppError(error.message, 409);
+  }
+
+  if (error || !updated) {
+    throw new AppError('Failed to change booking', 500);
+  }
+
+  // Anything that got cheaper goes back now
+  let refund = null;
+  if (owed < 0) {
+    refund = await refundDifference(db, updated, -owed, { key: `booking-change-refund:${change.id}` });
+    await db.bookingChanges.updateById(change.id, { payment_transaction_id: refund.id });
+  }
+
+  // Spots given up in the old slot go to the waitlist
+  if (slotChanged || players < previous.number_of_players) {
+    await offerFreedSlots(db, [previous]);
+  }
+
+  const { data: logged } = await db.bookingChanges.findById(change.id);
+
+  return { booking: updated, change: logged, quote, refund };
+};
+
+const formatMoney = (amount) => `$${Math.abs(amount).toFixed(2)}`;
+
+// Tell the golfer their booking's new tee time, and any balance it owes or
+// refund it was given
+const sendChangeConfirmationEmail = async (booking, { refund = null } = {}) => {
+  if (!process.env.SENDGRID_API_KEY || !booking.primary_player_email) {
+    return;
+  }
+
+  const date = moment(booking.booking_date).format('dddd, MMMM D');
+  const time = moment(toTime(booking.tee_time), 'HH:mm').format('h:mm A');
+  const balanceDue = Number(booking.balance_due) || 0;
+  const settlement = [
+    refund ? `<p>${formatMoney(Number(refund.amount))} has been refunded the way you paid.</p>` : '',
+    balanceDue > 0 ? `<p>The new price leaves ${formatMoney(balanceDue)} to pay.</p>` : ''
+  ].join('');
+
+  try {
+    await sgMail.send({
+      to: booking.primary_player_email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@rookscountygolf.com',
+        name: process.env.SENDGRID_FROM_NAME || 'Rooks County Golf Course'
+      },
+      subject: `Tee time changed: ${date} at ${time}`,
+      html: `
+        <p>Hi ${booking.primary_player_name},</p>
+        <p>Your tee time is now for ${booking.number_of_players} on ${date} at ${time}.</p>
+        <p>The new price is ${formatMoney(Number(booking.total_amount) || 0)}.</p>
+        ${settlement}
+      `
+    });
+  } catch (error) {
+    console.error('Failed to send booking change confirmation email:', error);
+  }
+};
+
+// Log an edit made through PUT /api/bookings/:id; `id` and `settlement`
+// come from the caller when the edit changed what a paid booking owes
+const recordBookingUpdate = async (db, before, after, { changedBy = null, id = crypto.randomUUID(), settlement = 'none' } = {}) => {
+  const changed = UPDATE_FIELDS.filter(field =>
+    after[field] !== undefined && JSON.stringify(after[field]) !== JSON.stringify(before[field] ?? null));
+
+  if (changed.length === 0) {
+    return null;
+  }
+
+  const pick = (row) => changed.reduce((acc, field) => ({ ...acc, [field]: row[field] ?? null }), {});
+
+  const { data: change, error } = await db.bookingChanges.create({
+    id,
+    tee_time_id: before.id,
+    changed_by: changedBy,
+    change_type: 'update',
+    previous: pick(before),
+    changes: pick(after),
+    amount_difference: roundCurrency((Number(after.total_amount) || 0) - (Number(before.total_amount) || 0)),
+    settlement
+  });
+
+  if (error) {
+    console.error('Failed to record booking change:', error);
+  }
+
+  return change;
+};
+
+// A booking's changes, oldest first, with who made them
+const bookingHistory = async (db, bookingId) => {
+  const { data: changes, error } = await db.bookingChanges.find({ tee_time_id: bookingId }, {
+    order: ['created_at'],
+    include: { users: ['first_name', 'last_name'] }
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch booking history', 500);
+  }
+
+  return changes;
+};
+
+module.exports = {
+  snapshot,
+  settlementFor,
+  rescheduleBooking,
+  sendChangeConfirmationEmail,
+  recordBookingUpdate,
+  bookingHistory
+};
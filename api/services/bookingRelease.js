@@ -0,0 +1,127 @@
+// Booking release windows
+//
+// Tee times open for booking at a set moment, earlier for members than for
+// everyone else. A release rule covers some tee times (play days and a
+// window of times; all of them by default) for one audience and opens them
+// either `days_before` the play date or on the last `release_weekday`
+// before it, at `release_time` in the course timezone. For each tee time
+// the most specific covering rule wins; between equally specific rules, the
+// later opening. Without a covering rule, a tee time opens at midnight
+// `member_booking_advance_days` (members) or `booking_advance_days`
+// (everyone else) before its day. Members can always book what is open to
+// the public.
+const moment = require('moment-timezone');
+const { AppError } = require('../middleware/errorHandler');
+const { courseTimezone, slotMoment } = require('./courseTime');
+
+const RELEASE_AUDIENCES = ['member', 'public'];
+
+// Setting and default advance days used when no rule covers a tee time
+const FALLBACK_ADVANCE_DAYS = {
+  member: ['member_booking_advance_days', 60],
+  public: ['booking_advance_days', 30]
+};
+
+const toTime = (value) => String(value).slice(0, 5);
+
+const playDays = (rule) => (Array.isArray(rule.days_of_week) && rule.days_of_week.length > 0
+  ? rule.days_of_week.map(Number)
+  : null);
+
+const coversSlot = (rule, date, time) => {
+  const days = playDays(rule);
+
+  if (days && !days.includes(moment(date, 'YYYY-MM-DD').day())) {
+    return false;
+  }
+
+  return (!rule.start_time || time >= toTime(rule.start_time)) &&
+    (!rule.end_time || time < toTime(rule.end_time));
+};
+
+// Rules narrowed to play days or to a window of tee times are more specific
+const specificity = (rule) => (playDays(rule) ? 1 : 0) + (rule.start_time || rule.end_time ? 1 : 0);
+
+// When `rule` opens tee times on `date`
+const ruleOpening = (rule, date, timezone) => {
+  const releaseDay = moment(date, 'YYYY-MM-DD');
+
+  if (rule.days_before != null) {
+    releaseDay.subtract(rule.days_before, 'days');
+  } else {
+    do {
+      releaseDay.subtract(1, 'day');
+    } while (releaseDay.day() !== Number(rule.release_weekday));
+  }
+
+  return slotMoment(timezone, releaseDay.format('YYYY-MM-DD'), rule.release_time);
+};
+
+// When the tee time at `date` `time` opens to `audience`
+const audienceOpening = (context, audience, date, time) => {
+  const [rule] = context.rules
+    .filter(candidate => candidate.audience === audience && coversSlot(candidate, date, time))
+    .map(candidate => ({ candidate, opening: ruleOpening(candidate, date, context.timezone) }))
+    .sort((a, b) => specificity(b.candidate) - specificity(a.candidate) || b.opening.valueOf() - a.opening.valueOf());
+
+  if (rule) {
+    return rule.opening;
+  }
+
+  return moment.tz(date, 'YYYY-MM-DD', context.timezone).subtract(context.advanceDays[audience], 'days');
+};
+
+// What release decisions need, loaded once per request: the course
+// timezone, the active rules, the fallback advance days and whether the
+// golfer (`userId`, null for guests) is a member
+const releaseContext = async (db, { userId = null } = {}) => {
+  const timezone = await courseTimezone(db);
+  const today = moment.tz(timezone).format('YYYY-MM-DD');
+
+  const [{ data: rules, error }, { data: settings }, membership] = await Promise.all([
+    db.bookingReleaseRules.find({ is_active: true }),
+    db.adminSettings.getMap(Object.values(FALLBACK_ADVANCE_DAYS).map(([key]) => key)),
+    userId ? db.memberships.findActive(userId, today, { columns: ['id'] }) : { data: null }
+  ]);
+
+  if (error) {
+    throw new AppError('Failed to load booking release rules', 500);
+  }
+
+  const advanceDays = Object.fromEntries(Object.entries(FALLBACK_ADVANCE_DAYS).map(([audience, [key, fallback]]) => {
+    const days = parseInt(settings?.[key]);
+    return [audience, Number.isNaN(days) ? fallback : days];
+  }));
+
+  return { timezone, rules, advanceDays, isMember: !!membership.data };
+};
+
+// Whether the tee time at `date` (YYYY-MM-DD) `time` (HH:mm) is open to the
+// golfer now, when it opens, and whether it is open to members only so far
+const slotRelease = (context, date, time, now = moment()) => {
+  const publicOpening = audienceOpening(context, 'public', date, time);
+  const memberOpening = moment.min(audienceOpening(context, 'member', date, time), publicOpening);
+  const opensAt = context.isMember ? memberOpening : publicOpening;
+
+  return {
+    open: !now.isBefore(opensAt),
+    opens_at: opensAt.toISOString(),
+    members_only: !now.isBefore(memberOpening) && now.isBefore(publicOpening)
+  };
+};
+
+// The message for a tee time that has not opened to the golfer yet
+const notReleasedMessage = (context, release) => {
+  const opensAt = moment(release.opens_at).tz(context.timezone).format('ddd, MMM D [at] h:mm A');
+
+  return release.members_only
+    ? `This tee time is reserved for members until ${opensAt}`
+    : `This tee time opens for booking on ${opensAt}`;
+};
+
+module.exports = {
+  RELEASE_AUDIENCES,
+  releaseContext,
+  slotRelease,
+  notReleasedMessage
+};
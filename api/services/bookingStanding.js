@@ -0,0 +1,276 @@
+// No-show policy and booking standing
+//
+// A golfer's standing comes from their no-shows and the active no_show_rules
+// (defaults in api/config/noShowPolicy.js):
+//   suspended     - a suspend rule's count was reached; online booking is
+//                   refused until the suspension runs out
+//   card_required - a require_card rule's count is reached in its window;
+//                   booking needs a card on file (users.stripe_customer_id)
+//   good          - neither
+// A suspension runs for suspension_days from the no-show that reached the
+// count. Signed-in golfers are judged on their own bookings and keep a
+// booking_standings row, where staff can override the outcome; guests are
+// judged on the bookings made with their email.
+const moment = require('moment');
+const sgMail = require('@sendgrid/mail');
+const { AppError } = require('../middleware/errorHandler');
+const { courseToday } = require('./courseTime');
+
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+const STANDING_STATUSES = ['good', 'card_required', 'suspended'];
+
+// Refusal notices go out at most this often per golfer, or per guest email
+const NOTICE_INTERVAL_HOURS = 24;
+
+const loadRules = async (db) => {
+  const { data: rules, error } = await db.noShowRules.find({ is_active: true });
+
+  if (error) {
+    throw new AppError('Failed to load no-show rules', 500);
+  }
+
+  return rules;
+};
+
+// Dates of a golfer's no-shows since `since`, oldest first
+const noShowDates = async (db, { userId, email }, since) => {
+  const filters = userId
+    ? { user_id: userId }
+    : { user_id: null, primary_player_email: String(email).toLowerCase() };
+
+  const { data: noShows, error } = await db.teeTimes.find(
+    { ...filters, status: 'no_show', booking_date: { gte: since } },
+    { columns: ['booking_date'], order: ['booking_date'] }
+  );
+
+  if (error) {
+    throw new AppError('Failed to load no-shows', 500);
+  }
+
+  return noShows.map(noShow => moment(noShow.booking_date).format('YYYY-MM-DD'));
+};
+
+// No-shows in the `days` days up to and including `date`
+const countInWindow = (dates, date, days) => {
+  const from = moment(date).subtract(days - 1, 'days').format('YYYY-MM-DD');
+  return dates.filter(noShow => noShow >= from && noShow <= date).length;
+};
+
+// Work out a standing from the rules and a golfer's no-show dates
+const applyRules = (rules, dates, today) => {
+  let suspension = null;
+  let cardRule = null;
+
+  for (const rule of rules) {
+    if (rule.action === 'suspend') {
+      // Each no-show that brings the window to the count starts a suspension
+      dates.forEach(date => {
+        if (countInWindow(dates, date, rule.window_days) < rule.no_show_count) {
+          return;
+        }
+
+        const until = moment(date).add(rule.suspension_days, 'days').format('YYYY-MM-DD');
+        if (until > today && (!suspension || until > suspension.until)) {
+          suspension = { rule, until };
+        }
+      });
+    }
+
+    if (rule.action === 'require_card' && !cardRule &&
+        countInWindow(dates, today, rule.window_days) >= rule.no_show_count) {
+      cardRule = rule;
+    }
+  }
+
+  const recentNoShows = countInWindow(dates, today, Math.max(...rules.map(rule => rule.window_days), 1));
+
+  if (suspension) {
+    return {
+      status: 'suspended',
+      recent_no_shows: recentNoShows,
+      suspended_until: suspension.until,
+      rule_id: suspension.rule.id,
+      reason: `${suspension.rule.no_show_count} no-shows within ${suspension.rule.window_days} days. Online booking is suspended until ${moment(suspension.until).format('MMMM D, YYYY')}.`
+    };
+  }
+
+  if (cardRule) {
+    return {
+      status: 'card_required',
+      recent_no_shows: recentNoShows,
+      suspended_until: null,
+      rule_id: cardRule.id,
+      reason: `${cardRule.no_show_count} no-shows within ${cardRule.window_days} days. A card on file is required to book.`
+    };
+  }
+
+  return {
+    status: 'good',
+    recent_no_shows: recentNoShows,
+    suspended_until: null,
+    rule_id: null,
+    reason: null
+  };
+};
+
+const overrideActive = (record, today) =>
+  !!record?.override_status && (!record.override_until || moment(record.override_until).format('YYYY-MM-DD') >= today);
+
+// What a standing record means for booking on `today` (the course date),
+// override included
+const effectiveStanding = (record, today) => {
+  if (overrideActive(record, today)) {
+    return {
+      ...record,
+      effective_status: record.override_status,
+      effective_reason: record.override_reason || 'Set by the pro shop'
+    };
+  }
+
+  return { ...record, effective_status: record.status, effective_reason: record.reason };
+};
+
+// Re-evaluate a golfer's standing from their no-shows. Signed-in golfers'
+// standings are saved to booking_standings; returns the effective standing.
+const evaluateStanding = async (db, { userId = null, email = null }, options = {}) => {
+  const today = options.today || await courseToday(db);
+  const rules = await loadRules(db);
+
+  // Far enough back to see every window and any suspension still running
+  const lookback = Math.max(0, ...rules.map(rule => rule.window_days + (rule.suspension_days || 0)));
+  const since = moment(today).subtract(lookback, 'days').format('YYYY-MM-DD');
+
+  const dates = rules.length > 0 && (userId || email)
+    ? await noShowDates(db, { userId, email }, since)
+    : [];
+  const computed = applyRules(rules, dates, today);
+
+  if (!userId) {
+    return effectiveStanding(computed, today);
+  }
+
+  const { data: record, error } = await db.bookingStandings.upsert({
+    user_id: userId,
+    ...computed,
+    evaluated_at: new Date().toISOString()
+  }, { onConflict: 'user_id' });
+
+  if (error) {
+    throw new AppError('Failed to save booking standing', 500);
+  }
+
+  return effectiveStanding(record, today);
+};
+
+const sendStandingNotice = async ({ email, name }, standing) => {
+  if (!process.env.SENDGRID_API_KEY || !email) {
+    return false;
+  }
+
+  const remedy = standing.effective_status === 'card_required'
+    ? '<p>Sign in and add a card to your account, or call the pro shop to book.</p>'
+    : '<p>You can still book by calling the pro shop.</p>';
+
+  try {
+    await sgMail.send({
+      to: email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@rookscountygolf.com',
+        name: process.env.SENDGRID_FROM_NAME || 'Rooks County Golf Course'
+      },
+      subject: 'We could not take your tee time booking',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="text-align: center; padding: 20px; background-color: #2d5016; color: white;">
+            <h1 style="margin: 0;">🏌️ Rooks County Golf Course</h1>
+          </div>
+
+          <div style="padding: 30px; background-color: #fff;">
+            <p>Hi ${name || 'there'},</p>
+            <p>We were unable to accept your online tee time booking because of missed tee times on your record:</p>
+            <p><strong>${standing.effective_reason}</strong></p>
+            ${remedy}
+            <p>If you think this is a mistake, please contact the pro shop.</p>
+          </div>
+        </div>
+      `
+    });
+    return true;
+  } catch (emailError) {
+    console.error('Failed to send booking standing notice:', emailError);
+    return false;
+  }
+};
+
+// Claim a guest's refusal notice for `email`: true when none went out to
+// that address within NOTICE_INTERVAL_HOURS. The claim is taken before
+// sending, so repeated refusals can't be used to flood someone's inbox.
+const claimGuestNotice = async (db, email) => {
+  const now = new Date().toISOString();
+  const { error } = await db.guestStandingNotices.create({ email, last_notified_at: now });
+
+  if (!error) {
+    return true;
+  }
+
+  if (error.code !== '23505') {
+    return false;
+  }
+
+  const cutoff = moment(now).subtract(NOTICE_INTERVAL_HOURS, 'hours').toISOString();
+  const { data: claimed } = await db.guestStandingNotices.update(
+    { email, last_notified_at: { lt: cutoff } },
+    { last_notified_at: now }
+  );
+
+  return claimed?.length > 0;
+};
+
+// Throw a 403 AppError, and email the golfer why, when their standing
+// does not let them book online. Guests are looked up by `email`.
+// Signed-in golfers are told why, and the notice only ever goes to their
+// account's email; a guest's notice goes to the address being judged and
+// the response stays generic, since anyone can type that address.
+const assertCanBook = async (db, { userId = null, email = null, name = null }) => {
+  const standing = await evaluateStanding(db, { userId, email });
+
+  if (standing.effective_status === 'good') {
+    return standing;
+  }
+
+  if (!userId) {
+    const guestEmail = String(email).toLowerCase();
+
+    if (await claimGuestNotice(db, guestEmail)) {
+      await sendStandingNotice({ email: guestEmail, name }, standing);
+    }
+
+    throw new AppError('Online booking is not available for this email address. Please call the pro shop to book.', 403);
+  }
+
+  const { data: user } = await db.users.findById(userId, { columns: ['email', 'first_name', 'stripe_customer_id'] });
+
+  if (standing.effective_status === 'card_required' && user?.stripe_customer_id) {
+    return standing;
+  }
+
+  const recentlyNotified = standing.last_notified_at &&
+    moment().diff(moment(standing.last_notified_at), 'hours') < NOTICE_INTERVAL_HOURS;
+
+  if (!recentlyNotified && await sendStandingNotice({ email: user?.email, name: user?.first_name }, standing)) {
+    await db.bookingStandings.update({ user_id: userId }, { last_notified_at: new Date().toISOString() });
+  }
+
+  throw new AppError(`Online booking is not available: ${standing.effective_reason}`, 403);
+};
+
+module.exports = {
+  STANDING_STATUSES,
+  applyRules,
+  effectiveStanding,
+  evaluateStanding,
+  assertCanBook
+};
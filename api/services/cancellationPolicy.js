@@ -0,0 +1,269 @@
+// Cancellation and modification policy
+//
+// A policy decides until when a tee time booking or an event registration
+// can be changed or cancelled, and what is refunded:
+//   on time - at least cutoff_hours before the start: refund_percent of
+//             what was paid
+//   late    - inside the cutoff: refused, or when late_cancel_allowed,
+//             late_refund_percent of what was paid less late_cancel_fee
+//   weather - the course is closed that day and the policy has a
+//             weather_exemption: any time before the start, in full
+// Policies can be narrowed to a rate class (tee times only) and to members
+// or non-members; the most specific active policy applies. Without one,
+// the cutoff comes from the `cancellation_hours` setting for tee times and
+// `event_cancellation_hours` for events. Start times are read on the course
+// clock (see courseTime.js).
+const moment = require('moment');
+const { AppError } = require('../middleware/errorHandler');
+const { courseTimezone, courseToday, slotMoment } = require('./courseTime');
+
+const POLICY_TARGETS = ['tee_time', 'event'];
+const POLICY_MEMBER_STATUSES = ['any', 'member', 'non_member'];
+
+// Setting and default cutoff used when no policy matches
+const FALLBACK_CUTOFFS = {
+  tee_time: ['cancellation_hours', 24],
+  event: ['event_cancellation_hours', 48]
+};
+
+// How messages name what is being cancelled and what it is cancelled before
+const TARGET_LABELS = {
+  tee_time: { item: 'booking', start: 'tee time' },
+  event: { item: 'registration', start: 'event' }
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const hoursText = (hours) => `${hours} hour${Number(hours) === 1 ? '' : 's'}`;
+
+const modificationCutoff = (policy) => policy.modification_cutoff_hours ?? policy.cutoff_hours;
+
+// More specific policies win: a rate class counts for more than a member status
+const specificity = (policy) => (policy.rate_class_code ? 2 : 0) + (policy.member_status !== 'any' ? 1 : 0);
+
+// The standard policy built from the settings when no policy row applies
+const fallbackPolicy = async (db, appliesTo) => {
+  const [key, defaultHours] = FALLBACK_CUTOFFS[appliesTo];
+  const cutoff = parseInt(await db.adminSettings.getValue(key, defaultHours));
+
+  return {
+    id: null,
+    name: 'Standard policy',
+    applies_to: appliesTo,
+    rate_class_code: null,
+    member_status: 'any',
+    cutoff_hours: Number.isNaN(cutoff) ? defaultHours : cutoff,
+    modification_cutoff_hours: null,
+    refund_percent: 100,
+    late_cancel_allowed: false,
+    late_cancel_fee: 0,
+    late_refund_percent: 0,
+    weather_exemption: true
+  };
+};
+
+// The policy for a booking at `rateClass` (or an event registration) by
+// `userId`; guests count as non-members
+const resolvePolicy = async (db, { appliesTo = 'tee_time', rateClass = null, userId = null } = {}) => {
+  const { data: policies, error } = await db.cancellationPolicies.find({ applies_to: appliesTo, is_active: true });
+
+  if (error) {
+    throw new AppError('Failed to load cancellation policies', 500);
+  }
+
+  let memberStatus = 'non_member';
+  if (userId && policies.some(policy => policy.member_status !== 'any')) {
+    const { data: membership } = await db.memberships.findActive(userId, await courseToday(db), { columns: ['id'] });
+    memberStatus = membership ? 'member' : 'non_member';
+  }
+
+  const [policy] = policies
+    .filter(candidate =>
+      (!candidate.rate_class_code || candidate.rate_class_code === rateClass) &&
+      (candidate.member_status === 'any' || candidate.member_status === memberStatus))
+    .sort((a, b) => specificity(b) - specificity(a) || a.cutoff_hours - b.cutoff_hours);
+
+  return policy || fallbackPolicy(db, appliesTo);
+};
+
+// One-paragraph wording of a policy for golfers
+const describePolicy = (policy) => {
+  const { start } = TARGET_LABELS[policy.applies_to];
+  const refundPercent = Number(policy.refund_percent);
+  const lateFee = Number(policy.late_cancel_fee);
+  const lateRefundPercent = Number(policy.late_refund_percent);
+
+  const parts = [refundPercent >= 100
+    ? `Free cancellation up to ${hoursText(policy.cutoff_hours)} before the ${start}.`
+    : `Cancel up to ${hoursText(policy.cutoff_hours)} before the ${start} for a ${refundPercent}% refund.`];
+
+  if (!policy.late_cancel_allowed) {
+    parts.push('Later cancellations are not accepted.');
+  } else {
+    const fee = lateFee > 0 ? `carry a $${lateFee.toFixed(2)} fee` : 'are accepted';
+    const refund = lateRefundPercent > 0 ? `a ${lateRefundPercent}% refund` : 'no refund';
+    parts.push(`Later cancellations ${fee} with ${refund}.`);
+  }
+
+  if (policy.applies_to === 'tee_time' && modificationCutoff(policy) !== policy.cutoff_hours) {
+    parts.push(`Changes are accepted up to ${hoursText(modificationCutoff(policy))} before.`);
+  }
+
+  if (policy.weather_exemption) {
+    parts.push('If the course closes for weather, you can cancel any time beforehand for a full refund.');
+  }
+
+  return parts.join(' ');
+};
+
+// The policy as golfers see it before they book
+const publicPolicy = (policy) => ({
+  name: policy.name,
+  cutoff_hours: policy.cutoff_hours,
+  modification_cutoff_hours: modificationCutoff(policy),
+  refund_percent: Number(policy.refund_percent),
+  late_cancel_allowed: !!policy.late_cancel_allowed,
+  late_cancel_fee: Number(policy.late_cancel_fee),
+  late_refund_percent: Number(policy.late_refund_percent),
+  weather_exemption: !!policy.weather_exemption,
+  summary: describePolicy(policy)
+});
+
+const hoursUntilStart = async (db, date, time, now) =>
+  slotMoment(await courseTimezone(db), date, time).diff(moment(now), 'minutes') / 60;
+
+const courseClosed = async (db, date) => {
+  const { data: conditions } = await db.courseConditions.findOne(
+    { condition_date: moment(date).format('YYYY-MM-DD') },
+    { columns: ['overall_condition', 'holes_available'] }
+  );
+
+  return conditions?.overall_condition === 'closed' || conditions?.holes_available === 0;
+};
+
+// What cancelling now would mean: whether it is allowed, and the fee and
+// refund. `amountPaid` is what the golfer has paid so far.
+const evaluateCancellation = async (db, {
+  appliesTo = 'tee_time',
+  date,
+  time,
+  amountPaid = 0,
+  rateClass = null,
+  userId = null
+}, { now = new Date() } = {}) => {
+  const policy = await resolvePolicy(db, { appliesTo, rateClass, userId });
+  const labels = TARGET_LABELS[appliesTo];
+  const hoursUntil = await hoursUntilStart(db, date, time, now);
+  const paid = Number(amountPaid) || 0;
+
+  const decision = (outcome) => ({
+    allowed: true,
+    reason: null,
+    late: false,
+    weather_exempt: false,
+    refund_percent: 0,
+    cancellation_fee: 0,
+    refund_amount: 0,
+    ...outcome,
+    hours_until_start: Math.round(hoursUntil * 10) / 10,
+    amount_paid: paid,
+    policy: publicPolicy(policy)
+  });
+
+  if (hoursUntil <= 0) {
+    return decision({ allowed: false, reason: `Cannot cancel a ${labels.item} after the ${labels.start}` });
+  }
+
+  if (policy.weather_exemption && await courseClosed(db, date)) {
+    return decision({ weather_exempt: true, refund_percent: 100, refund_amount: paid });
+  }
+
+  if (hoursUntil >= policy.cutoff_hours) {
+    const refundPercent = Number(policy.refund_percent);
+    return decision({ refund_percent: refundPercent, refund_amount: roundCurrency(paid * refundPercent / 100) });
+  }
+
+  if (!policy.late_cancel_allowed) {
+    return decision({
+      allowed: false,
+      reason: `Cannot cancel ${labels.item} within ${hoursText(policy.cutoff_hours)} of ${labels.start}`
+    });
+  }
+
+  const refundPercent = Number(policy.late_refund_percent);
+  const fee = Number(policy.late_cancel_fee);
+
+  return decision({
+    late: true,
+    refund_percent: refundPercent,
+    cancellation_fee: fee,
+    refund_amount: Math.max(roundCurrency(paid * refundPercent / 100 - fee), 0)
+  });
+};
+
+// Whether a booking can still be changed now
+const evaluateModification = async (db, {
+  appliesTo = 'tee_time',
+  date,
+  time,
+  rateClass = null,
+  userId = null
+}, { now = new Date() } = {}) => {
+  const policy = await resolvePolicy(db, { appliesTo, rateClass, userId });
+  const labels = TARGET_LABELS[appliesTo];
+  const cutoff = modificationCutoff(policy);
+  const allowed = await hoursUntilStart(db, date, time, now) >= cutoff;
+
+  return {
+    allowed,
+    reason: allowed ? null : `Cannot modify ${labels.item} within ${hoursText(cutoff)} of ${labels.start}`,
+    cutoff_hours: cutoff,
+    policy: publicPolicy(policy)
+  };
+};
+
+// Cancellation terms for a tee_times row
+const bookingCancellation = (db, booking, options) => evaluateCancellation(db, {
+  appliesTo: 'tee_time',
+  date: booking.booking_date,
+  time: booking.tee_time,
+  // A balance left by a reschedule has not been paid yet
+  amountPaid: booking.payment_status === 'paid' ? booking.total_amount - (Number(booking.balance_due) || 0) : 0,
+  rateClass: booking.rate_class || null,
+  userId: booking.user_id || null
+}, options);
+
+// Cancellation terms for an outing, under the tee time policy from its
+// first tee time. What was paid is what was paid on its confirmed `bookings`.
+const outingCancellation = (db, outing, bookings, options) => evaluateCancellation(db, {
+  appliesTo: 'tee_time',
+  date: outing.booking_date,
+  time: outing.start_time,
+  amountPaid: roundCurrency(bookings
+    .filter(booking => booking.status === 'confirmed' && booking.payment_status === 'paid')
+    .reduce((sum, booking) => sum + (Number(booking.total_amount) || 0) - (Number(booking.balance_due) || 0), 0)),
+  rateClass: outing.rate_class || null,
+  userId: outing.user_id || null
+}, options);
+
+// Cancellation terms for an event_registrations row of `event`
+const registrationCancellation = (db, registration, event, options) => evaluateCancellation(db, {
+  appliesTo: 'event',
+  date: event.event_date,
+  time: event.start_time,
+  amountPaid: registration.payment_status === 'paid' ? registration.registration_fee : 0,
+  userId: registration.user_id || null
+}, options);
+
+module.exports = {
+  POLICY_TARGETS,
+  POLICY_MEMBER_STATUSES,
+  resolvePolicy,
+  describePolicy,
+  publicPolicy,
+  evaluateCancellation,
+  evaluateModification,
+  bookingCancellation,
+  outingCancellation,
+  registrationCancellation
+};
@@ -0,0 +1,182 @@
+// Cart fleet and cart availability
+//
+// The fleet on a day is the active carts rows without a cart_outages row
+// covering that day. Until any cart is set up, carts are not limited.
+//
+// A booking with a cart says how many of its players ride (`cart_riders`,
+// all of them by default) and whether they share (two to a cart) or ride
+// single. A member who keeps a cart in the cart shed (their membership's
+// `cart_shed_number`) rides their own, which carries the first riders; the
+// rest take fleet carts (`fleet_carts`). A booking has its fleet carts from
+// its tee time for the length of its round (`round_minutes_9_holes`,
+// `round_minutes_all_day`), so a cart is only free for a new booking when
+// it is free for that booking's whole round. The database functions do the
+// check under a lock (reserve_tee_time for new bookings, reschedule_tee_time
+// and move_tee_time for moves, change_tee_time_carts for cart changes); the
+// helpers here serve quotes, availability and the tee sheet.
+const { AppError } = require('../middleware/errorHandler');
+const { courseToday } = require('./courseTime');
+
+const CART_SHARING = ['shared', 'single'];
+
+const DEFAULT_ROUND_MINUTES = { '9_holes': 135, all_day: 270 };
+
+const toTime = (value) => String(value).slice(0, 5);
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = toTime(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Bookings made before the fleet was tracked took one cart
+const fleetCarts = (booking) => Number(booking.fleet_carts ?? (booking.cart_rental ? 1 : 0));
+
+// Round length in minutes by green fee type, as reserve() takes it
+const loadRoundMinutes = async (db) => {
+  const { data: settingsMap } = await db.adminSettings.getMap(['round_minutes_9_holes', 'round_minutes_all_day']);
+
+  return {
+    '9_holes': parseInt(settingsMap.round_minutes_9_holes) || DEFAULT_ROUND_MINUTES['9_holes'],
+    all_day: parseInt(settingsMap.round_minutes_all_day) || DEFAULT_ROUND_MINUTES.all_day
+  };
+};
+
+// Cart shed number of the user's current membership, if they keep a cart
+const shedNumberFor = async (db, userId) => {
+  if (!userId) {
+    return null;
+  }
+
+  const { data: membership } = await db.memberships.findActive(userId, await courseToday(db), { columns: ['id', 'cart_shed_number'] });
+
+  return membership?.cart_shed_number ?? null;
+};
+
+// How a group's riders fill carts: the member's own cart first, then fleet
+// carts two to a cart when sharing or one each when not. Riders alone in a
+// fleet cart pay the single rider fee (see pricing.js).
+const cartPlan = ({ cartRental, players, riders = null, sharing = 'shared', shedNumber = null }) => {
+  if (!cartRental) {
+    return { cart_riders: 0, cart_sharing: 'shared', fleet_carts: 0, cart_shed_number: null, single_riders: 0, shared_riders: 0 };
+  }
+
+  const seats = sharing === 'single' ? 1 : 2;
+  const cartRiders = Math.min(riders || players, players);
+  const fleetRiders = cartRiders - (shedNumber ? Math.min(cartRiders, seats) : 0);
+  const singleRiders = sharing === 'single' ? fleetRiders : fleetRiders % 2;
+
+  return {
+    cart_riders: cartRiders,
+    cart_sharing: sharing,
+    fleet_carts: Math.ceil(fleetRiders / seats),
+    cart_shed_number: shedNumber || null,
+    single_riders: singleRiders,
+    shared_riders: fleetRiders - singleRiders
+  };
+};
+
+// The fleet on a date: every active cart with the outage keeping it off
+// the course that day, if any
+const loadFleet = async (db, date) => {
+  const [{ data: carts, error }, { data: outages, error: outagesError }] = await Promise.all([
+    db.carts.find({ status: 'active' }, { order: ['cart_number'] }),
+    db.cartOutages.find({ start_date: { lte: date } }, { order: ['start_date'] })
+  ]);
+
+  if (error || outagesError) {
+    throw new AppError('Failed to load the cart fleet', 500);
+  }
+
+  const current = outages.filter(outage => !outage.end_date || String(outage.end_date).slice(0, 10) >= date);
+  const fleet = carts.map(cart => ({ ...cart, outage: current.find(outage => outage.cart_id === cart.id) || null }));
+
+  return {
+    tracked: carts.length > 0,
+    carts: fleet,
+    size: fleet.filter(cart => !cart.outage).length,
+    out_of_service: fleet.filter(cart => cart.outage).length
+  };
+};
+
+// Fleet carts out on the course through a day, from its confirmed
+// bookings. inUse(time) counts the carts out at a moment; remaining(time,
+// greenFeeType) the carts free for a whole round from that time, or null
+// when carts are not limited.
+const loadCartUsage = async (db, date) => {
+  const [fleet, roundMinutes, { data: bookings, error }] = await Promise.all([
+    loadFleet(db, date),
+    loadRoundMinutes(db),
+    db.teeTimes.find(
+      { booking_date: date, status: 'confirmed' },
+      { columns: ['tee_time', 'green_fee_type', 'cart_rental', 'fleet_carts'] }
+    )
+  ]);
+
+  if (error) {
+    throw new AppError('Failed to load cart usage', 500);
+  }
+
+  const rounds = bookings
+    .filter(booking => fleetCarts(booking) > 0)
+    .map(booking => {
+      const startsAt = minutesOfDay(booking.tee_time);
+      return { startsAt, endsAt: startsAt + roundMinutes[booking.green_fee_type], carts: fleetCarts(booking) };
+    });
+
+  const inUseAt = (at) => rounds
+    .filter(round => round.startsAt <= at && round.endsAt > at)
+    .reduce((sum, round) => sum + round.carts, 0);
+
+  // Usage only goes up when a round starts
+  const peak = (time, minutes) => {
+    const start = minutesOfDay(time);
+    const moments = [start, ...rounds.map(round => round.startsAt).filter(at => at > start && at < start + minutes)];
+    return Math.max(...moments.map(inUseAt));
+  };
+
+  return {
+    fleet,
+    roundMinutes,
+    inUse: (time) => inUseAt(minutesOfDay(time)),
+    remaining: (time, greenFeeType) => (fleet.tracked
+      ? Math.max(fleet.size - peak(time, roundMinutes[greenFeeType]), 0)
+      : null)
+  };
+};
+
+// Members' own carts in the cart shed
+const loadShedCarts = async (db) => {
+  const { data: memberships, error } = await db.memberships.find({
+    status: 'active',
+    end_date: { gte: await courseToday(db) },
+    cart_shed_number: { gt: 0 }
+  }, {
+    columns: ['id', 'user_id', 'cart_shed_number'],
+    order: ['cart_shed_number'],
+    include: { users: ['first_name', 'last_name'] }
+  });
+
+  if (error) {
+    throw new AppError('Failed to load the cart shed', 500);
+  }
+
+  return memberships.map(membership => ({
+    cart_shed_number: membership.cart_shed_number,
+    membership_id: membership.id,
+    user_id: membership.user_id,
+    member: membership.users
+      ? [membership.users.first_name, membership.users.last_name].filter(Boolean).join(' ')
+      : null
+  }));
+};
+
+module.exports = {
+  CART_SHARING,
+  fleetCarts,
+  loadRoundMinutes,
+  shedNumberFor,
+  cartPlan,
+  loadFleet,
+  loadCartUsage,
+  loadShedCarts
+};
@@ -0,0 +1,647 @@
+// Course closures
+//
+// A closure sets a day's course_conditions and deals with what was already
+// booked for it:
+//   full closure (no holes) - confirmed bookings, outings, events and event
+//     registrations are cancelled, and whatever was paid goes back
+//   partial closure (fewer holes, or no carts) - bookings stay, green fees
+//     are cut pro rata to the holes still open and cart fees are dropped
+//     when carts are not allowed; anything paid beyond the new price goes
+//     back
+// Money goes back the way it was paid (`resolution` 'refund') or as a rain
+// check, an account credit (`resolution` 'rain_check'). New bookings on the
+// day are priced the same way (see quoteBooking in pricing.js), or refused
+// when the course is closed.
+//
+// Every change is logged in course_closure_items with the row's previous
+// values, so reopening the course puts bookings, outings, events and
+// registrations back. Rain checks are voided on reopening; refunds already
+// sent to a card cannot be taken back, so that money is owed again.
+const moment = require('moment');
+const sgMail = require('@sendgrid/mail');
+const { AppError } = require('../middleware/errorHandler');
+const { refundClosure, voidCredit } = require('./refunds');
+const { fleetCarts } = require('./carts');
+
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+const CLOSURE_RESOLUTIONS = ['refund', 'rain_check'];
+
+// course_conditions columns a closure sets and reopening restores
+const CONDITION_FIELDS = ['overall_condition', 'holes_available', 'cart_availability'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toTime = (value) => String(value).slice(0, 5);
+
+const pick = (row, fields) => fields.reduce((acc, field) => ({ ...acc, [field]: row[field] ?? null }), {});
+
+// Booking and registration columns a cancellation changes
+const CANCELLATION_FIELDS = ['status', 'payment_status', 'cancellation_reason', 'cancelled_at', 'cancellation_fee', 'refund_amount'];
+
+// Booking columns a partial closure reprices
+const PRICE_FIELDS = ['cart_rental', 'fleet_carts', 'cart_rental_fee', 'total_green_fees', 'total_cart_fees', 'total_amount', 'balance_due'];
+
+const dayConditions = async (db, date) => {
+  const { data: conditions } = await db.courseConditions.findOne(
+    { condition_date: date },
+    { columns: ['id', 'condition_date', ...CONDITION_FIELDS] }
+  );
+  return conditions;
+};
+
+// Whether a day's conditions close the whole course
+const isClosed = (conditions) =>
+  conditions?.overall_condition === 'closed' || conditions?.holes_available === 0;
+
+// Share of the green fee a round pays on a day with fewer than 9 holes open
+const holesShare = (conditions) => {
+  const holes = conditions?.holes_available;
+  return holes != null && holes < 9 ? holes / 9 : 1;
+};
+
+// Throw a 409 AppError unless the course takes bookings on `date` (with a
+// cart, when `cartRental`); returns the day's conditions
+const assertCourseOpen = async (db, date, { cartRental = false } = {}) => {
+  const conditions = await dayConditions(db, date);
+
+  if (isClosed(conditions)) {
+    throw new AppError('The course is closed on this date', 409);
+  }
+
+  if (cartRental && conditions?.cart_availability === false) {
+    throw new AppError('Carts are not available on this date', 409);
+  }
+
+  return conditions;
+};
+
+const closureLabel = (closure) => {
+  if (closure.holes_available === 0) {
+    return 'Course closed';
+  }
+
+  return [
+    closure.holes_available < 9 ? `${closure.holes_available} holes open` : null,
+    closure.cart_availability ? null : 'no carts'
+  ].filter(Boolean).join(', ');
+};
+
+// What a booking paid so far
+const amountPaid = (booking) => (booking.payment_status === 'paid'
+  ? roundCurrency((Number(booking.total_amount) || 0) - (Number(booking.balance_due) || 0))
+  : 0);
+
+const sendClosureNotice = async ({ email, name }, { subject, lines }) => {
+  if (!process.env.SENDGRID_API_KEY || !email) {
+    return false;
+  }
+
+  try {
+    await sgMail.send({
+      to: email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@rookscountygolf.com',
+        name: process.env.SENDGRID_FROM_NAME || 'Rooks County Golf Course'
+      },
+      subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="text-align: center; padding: 20px; background-color: #2d5016; color: white;">
+            <h1 style="margin: 0;">🏌️ Rooks County Golf Course</h1>
+          </div>
+
+          <div style="padding: 30px; background-color: #fff;">
+            <p>Hi ${name || 'there'},</p>
+            ${lines.map(line => `<p>${line}</p>`).join('\n            ')}
+          </div>
+        </div>
+      `
+    });
+    return true;
+  } catch (emailError) {
+    console.error('Failed to send course closure notice:', emailError);
+    return false;
+  }
+};
+
+// What happened to the money, for a notice
+const moneyLine = (closure, amount) => {
+  if (amount <= 0) {
+    return null;
+  }
+
+  return closure.resolution === 'rain_check'
+    ? `A rain check of $${amount.toFixed(2)} has been added to your account.`
+    : `$${amount.toFixed(2)} has been refunded the way you paid.`;
+};
+
+// Events count their registrations again after a closure or reopening
+const recountParticipants = async (db, date) => {
+  const { data: events } = await db.events.find({ event_date: date }, { columns: ['id'] });
+
+  for (const event of events || []) {
+    const { count } = await db.eventRegistrations.count({ event_id: event.id, status: 'registered' });
+    await db.events.updateById(event.id, { current_participants: count });
+  }
+};
+
+const logItem = async (db, closure, row) => {
+  const { data: item, error } = await db.courseClosureItems.create({ closure_id: closure.id, ...row });
+
+  if (error) {
+    throw new AppError('Failed to record the course closure', 500);
+  }
+
+  return item;
+};
+
+const cancellationReason = (closure) => `Course closed${closure.reason ? `: ${closure.reason}` : ''}`;
+
+// Cancel a confirmed booking and give back what it paid
+const cancelBooking = async (db, closure, booking) => {
+  const paid = amountPaid(booking);
+  const changes = {
+    status: 'cancelled',
+    cancellation_reason: cancellationReason(closure),
+    cancelled_at: new Date().toISOString(),
+    cancellation_fee: 0,
+    refund_amount: paid
+  };
+
+  const { data: cancelled, error } = await db.teeTimes.update({ id: booking.id, status: 'confirmed' }, changes);
+
+  if (error) {
+    throw new AppError('Failed to cancel booking', 500);
+  }
+
+  // Changed by someone else meanwhile
+  if (!cancelled.length) {
+    return null;
+  }
+
+  const refund = paid > 0
+    ? await refundClosure(db, 'tee_time', cancelled[0], paid, {
+      key: `course-closure:${closure.id}:tee_time:${booking.id}`,
+      asCredit: closure.resolution === 'rain_check',
+      cancelled: true
+    })
+    : null;
+
+  return logItem(db, closure, {
+    tee_time_id: booking.id,
+    action: 'cancelled',
+    previous: pick(booking, CANCELLATION_FIELDS),
+    changes,
+    amount: paid,
+    payment_transaction_id: refund?.id || null
+  });
+};
+
+// Reprice a booking for a partial closure and give back any overpayment
+const adjustBooking = async (db, closure, booking) => {
+  const greenFees = Number(booking.total_green_fees) || 0;
+  const cartFees = Number(booking.total_cart_fees) || 0;
+  const newGreenFees = roundCurrency(greenFees * holesShare(closure));
+  const newCartFees = closure.cart_availability ? cartFees : 0;
+  const difference = roundCurrency(greenFees - newGreenFees + cartFees - newCartFees);
+
+  if (difference <= 0) {
+    return null;
+  }
+
+  // A paid booking first stops owing any balance, then gets the rest back
+  const balanceDue = Number(booking.balance_due) || 0;
+  const paid = booking.payment_status === 'paid';
+  const giveBack = paid ? roundCurrency(Math.max(difference - balanceDue, 0)) : 0;
+  const changes = {
+    cart_rental: closure.cart_availability ? !!booking.cart_rental : false,
+    fleet_carts: closure.cart_availability ? fleetCarts(booking) : 0,
+    cart_rental_fee: closure.cart_availability ? Number(booking.cart_rental_fee) || 0 : 0,
+    total_green_fees: newGreenFees,
+    total_cart_fees: newCartFees,
+    total_amount: roundCurrency((Number(booking.total_amount) || 0) - difference),
+    balance_due: paid ? roundCurrency(Math.max(balanceDue - difference, 0)) : balanceDue
+  };
+
+  const { data: adjusted, error } = await db.teeTimes.update(
+    { id: booking.id, status: 'confirmed', total_amount: booking.total_amount },
+    changes
+  );
+
+  if (error) {
+    throw new AppError('Failed to adjust booking', 500);
+  }
+
+  if (!adjusted.length) {
+    return null;
+  }
+
+  const refund = giveBack > 0
+    ? await refundClosure(db, 'tee_time', adjusted[0], giveBack, {
+      key: `course-closure:${closure.id}:tee_time:${booking.id}`,
+      asCredit: closure.resolution === 'rain_check'
+    })
+    : null;
+
+  return logItem(db, closure, {
+    tee_time_id: booking.id,
+    action: 'adjusted',
+    previous: pick(booking, PRICE_FIELDS),
+    changes,
+    amount: giveBack,
+    payment_transaction_id: refund?.id || null
+  });
+};
+
+// Cancel an event registration and give back its fee
+const cancelRegistration = async (db, closure, registration) => {
+  const paid = registration.payment_status === 'paid' ? Number(registration.registration_fee) || 0 : 0;
+  const changes = {
+    status: 'cancelled',
+    cancellation_reason: cancellationReason(closure),
+    cancelled_at: new Date().toISOString(),
+    cancellation_fee: 0,
+    refund_amount: paid
+  };
+
+  const { data: cancelled, error } = await db.eventRegistrations.update(
+    { id: registration.id, status: 'registered' },
+    changes
+  );
+
+  if (error) {
+    throw new AppError('Failed to cancel registration', 500);
+  }
+
+  if (!cancelled.length) {
+    return null;
+  }
+
+  const refund = paid > 0
+    ? await refundClosure(db, 'event', cancelled[0], paid, {
+      key: `course-closure:${closure.id}:event:${registration.id}`,
+      asCredit: closure.resolution === 'rain_check',
+      cancelled: true
+    })
+    : null;
+
+  return logItem(db, closure, {
+    event_registration_id: registration.id,
+    action: 'cancelled',
+    previous: pick(registration, CANCELLATION_FIELDS),
+    changes,
+    amount: paid,
+    payment_transaction_id: refund?.id || null
+  });
+};
+
+// Cancel the day's outings and events themselves; their tee times and
+// registrations are cancelled one by one
+const cancelGroups = async (db, closure, date) => {
+  const [{ data: outings, error: outingsError }, { data: events, error: eventsError }] = await Promise.all([
+    db.outings.find({ booking_date: date, status: 'confirmed' }),
+    db.events.find({ event_date: date, status: { in: ['upcoming', 'ongoing'] } })
+  ]);
+
+  if (outingsError || eventsError) {
+    throw new AppError('Failed to load outings and events', 500);
+  }
+
+  const items = [];
+
+  for (const outing of outings) {
+    const changes = {
+      status: 'cancelled',
+      cancellation_reason: cancellationReason(closure),
+      cancelled_at: new Date().toISOString()
+    };
+    const { data: cancelled } = await db.outings.update({ id: outing.id, status: 'confirmed' }, changes);
+
+    if (cancelled?.length) {
+      items.push(await logItem(db, closure, {
+        outing_id: outing.id,
+        action: 'cancelled',
+        previous: pick(outing, ['status', 'cancellation_reason', 'cancelled_at']),
+        changes
+      }));
+    }
+  }
+
+  for (const event of events) {
+    const { data: cancelled } = await db.events.update({ id: event.id, status: event.status }, { status: 'cancelled' });
+
+    if (cancelled?.length) {
+      items.push(await logItem(db, closure, {
+        event_id: event.id,
+        action: 'cancelled',
+        previous: { status: event.status },
+        changes: { status: 'cancelled' }
+      }));
+    }
+  }
+
+  return { items, events };
+};
+
+// Close the course on `date`: `holesAvailable` 0 for a full closure, or
+// fewer holes and/or no carts (`cartAvailability` false) for a partial one.
+// Returns the closure and what it changed.
+const closeCourse = async (db, {
+  date,
+  holesAvailable = 0,
+  cartAvailability = false,
+  resolution = 'rain_check',
+  reason = null,
+  closedBy = null,
+  notify = true
+}) => {
+  const full = holesAvailable === 0;
+
+  if (!full && holesAvailable >= 9 && cartAvailability) {
+    throw new AppError('A closure needs fewer than 9 holes open or carts not allowed', 400);
+  }
+
+  const { data: active } = await db.courseClosures.findOne({ closure_date: date, status: 'active' });
+
+  if (active) {
+    throw new AppError('The course already has a closure on this date; reopen it first', 409);
+  }
+
+  const conditions = await dayConditions(db, date);
+
+  const { data: closure, error } = await db.courseClosures.create({
+    closure_date: date,
+    holes_available: full ? 0 : Math.min(holesAvailable, 9),
+    cart_availability: full ? false : cartAvailability,
+    resolution,
+    reason,
+    previous_conditions: conditions ? pick(conditions, CONDITION_FIELDS) : null,
+    status: 'active',
+    closed_by: closedBy
+  });
+
+  if (error?.code === '23505') {
+    throw new AppError('The course already has a closure on this date; reopen it first', 409);
+  }
+
+  if (error) {
+    throw new AppError('Failed to close the course', 500);
+  }
+
+  const { error: conditionsError } = await db.courseConditions.upsert({
+    condition_date: date,
+    overall_condition: full ? 'closed' : isClosed(conditions) ? 'fair' : conditions?.overall_condition || 'fair',
+    holes_available: closure.holes_available,
+    cart_availability: closure.cart_availability
+  }, { onConflict: 'condition_date' });
+
+  if (conditionsError) {
+    throw new AppError('Failed to update course conditions', 500);
+  }
+
+  const { data: bookings, error: bookingsError } = await db.teeTimes.find(
+    { booking_date: date, status: 'confirmed' },
+    { order: ['tee_time'] }
+  );
+
+  if (bookingsError) {
+    throw new AppError('Failed to load bookings', 500);
+  }
+
+  const items = [];
+  const notices = [];
+
+  for (const booking of bookings) {
+    const item = full ? await cancelBooking(db, closure, booking) : await adjustBooking(db, closure, booking);
+
+    if (!item) {
+      continue;
+    }
+
+    items.push(item);
+
+    const time = moment(toTime(booking.tee_time), 'HH:mm').format('h:mm A');
+    const day = moment(date).format('dddd, MMMM D');
+    notices.push([{ email: booking.primary_player_email, name: booking.primary_player_name }, {
+      subject: full ? `The course is closed on ${day}` : `Changes to your ${time} tee time on ${day}`,
+      lines: [
+        full
+          ? `The course is closed on ${day}${closure.reason ? ` (${closure.reason})` : ''}, so your ${time} tee time has been cancelled.`
+          : `Only part of the course is open on ${day} (${closureLabel(closure)}). Your ${time} tee time stands, and its price is now $${Number(item.changes.total_amount).toFixed(2)}.`,
+        moneyLine(closure, Number(item.amount)),
+        "We're sorry for the inconvenience."
+      ].filter(Boolean)
+    }]);
+  }
+
+  if (full) {
+    const { items: groupItems, events } = await cancelGroups(db, closure, date);
+    items.push(...groupItems);
+
+    const { data: registrations, error: registrationsError } = events.length > 0
+      ? await db.eventRegistrations.find({ event_id: { in: events.map(event => event.id) }, status: 'registered' })
+      : { data: [] };
+
+    if (registrationsError) {
+      throw new AppError('Failed to load event registrations', 500);
+    }
+
+    for (const registration of registrations) {
+      const item = await cancelRegistration(db, closure, registration);
+
+      if (!item) {
+        continue;
+      }
+
+      items.push(item);
+
+      const event = events.find(candidate => candidate.id === registration.event_id);
+      notices.push([{ email: registration.participant_email, name: registration.participant_name }, {
+        subject: `${event.title} is cancelled`,
+        lines: [
+          `The course is closed on ${moment(date).format('dddd, MMMM D')}, so ${event.title} has been cancelled.`,
+          moneyLine(closure, Number(item.amount)),
+          "We're sorry for the inconvenience."
+        ].filter(Boolean)
+      }]);
+    }
+
+    await recountParticipants(db, date);
+  }
+
+  // One notice per golfer, however many of an outing's tee times they booked
+  let notified = 0;
+  if (notify) {
+    const sent = new Set();
+
+    for (const [recipient, notice] of notices) {
+      const key = `${recipient.email}|${notice.subject}`;
+
+      if (!sent.has(key)) {
+        sent.add(key);
+        notified += await sendClosureNotice(recipient, notice) ? 1 : 0;
+      }
+    }
+  }
+
+  return { closure, items, notified };
+};
+
+// Restore a booking or registration a closure cancelled, or a booking it
+// repriced; a rain check is voided, a card refund becomes owed again.
+// Returns a reason when it cannot be put back.
+const restoreItem = async (db, closure, item, { capacity }) => {
+  const { data: refund } = item.payment_transaction_id
+    ? await db.paymentTransactions.findById(item.payment_transaction_id)
+    : { data: null };
+  const refunded = Number(item.amount) || 0;
+
+  if (item.tee_time_id) {
+    const { data: booking } = await db.teeTimes.findById(item.tee_time_id);
+
+    if (item.action === 'cancelled') {
+      if (booking?.status !== 'cancelled') {
+        return 'The booking has changed since the closure';
+      }
+
+      // Nobody should have booked a closed day, but staff can
+      const { data: others } = await db.teeTimes.find(
+        { booking_date: booking.booking_date, tee_time: booking.tee_time, status: 'confirmed' },
+        { columns: ['number_of_players', 'is_private'] }
+      );
+      const players = others.reduce((sum, other) => sum + other.number_of_players, 0);
+
+      if (others.some(other => other.is_private) || (booking.is_private && players > 0) ||
+        players + booking.number_of_players > capacity) {
+        return 'The tee time has been booked since the closure';
+      }
+    } else if (booking?.status !== 'confirmed') {
+      return 'The booking is no longer confirmed';
+    }
+  }
+
+  const voided = refunded > 0 ? await voidCredit(db, refund) : false;
+  // Money sent back to a card is owed again
+  const owed = refunded > 0 && !voided ? refunded : 0;
+
+  if (item.tee_time_id && item.action === 'adjusted') {
+    await db.teeTimes.updateById(item.tee_time_id, {
+      ...item.previous,
+      balance_due: roundCurrency((Number(item.previous.balance_due) || 0) + owed)
+    });
+  } else if (item.tee_time_id || item.event_registration_id) {
+    const repository = item.tee_time_id ? db.teeTimes : db.eventRegistrations;
+    await repository.updateById(item.tee_time_id || item.event_registration_id, {
+      ...item.previous,
+      payment_status: owed > 0 ? 'pending' : item.previous.payment_status
+    });
+  } else if (item.outing_id) {
+    await db.outings.updateById(item.outing_id, item.previous);
+  } else {
+    await db.events.updateById(item.event_id, item.previous);
+  }
+
+  await db.courseClosureItems.updateById(item.id, { reversed_at: new Date().toISOString() });
+
+  return null;
+};
+
+// Reopen the course after a closure: restore the day's conditions and put
+// back what the closure changed. Returns the restored items and the ones
+// that could not be put back.
+const reopenCourse = async (db, closure, { reopenedBy = null, notify = true } = {}) => {
+  if (closure.status !== 'active') {
+    throw new AppError('This closure has already been reopened', 400);
+  }
+
+  const { data: reopened, error } = await db.courseClosures.update(
+    { id: closure.id, status: 'active' },
+    { status: 'reopened', reopened_by: reopenedBy, reopened_at: new Date().toISOString() }
+  );
+
+  if (error) {
+    throw new AppError('Failed to reopen the course', 500);
+  }
+
+  if (!reopened.length) {
+    throw new AppError('This closure was just changed; please reload it', 409);
+  }
+
+  const date = moment(closure.closure_date).format('YYYY-MM-DD');
+
+  if (closure.previous_conditions) {
+    await db.courseConditions.update({ condition_date: date }, closure.previous_conditions);
+  } else {
+    await db.courseConditions.remove({ condition_date: date });
+  }
+
+  const { data: items, error: itemsError } = await db.courseClosureItems.find(
+    { closure_id: closure.id, reversed_at: { is: null } },
+    { order: ['created_at'] }
+  );
+
+  if (itemsError) {
+    throw new AppError('Failed to load the course closure', 500);
+  }
+
+  const capacity = parseInt(await db.adminSettings.getValue('max_players_per_booking', 4)) || 4;
+  const restored = [];
+  const notRestored = [];
+
+  // Events and outings first, so their registrations and tee times come
+  // back to something
+  const ordered = [
+    ...items.filter(item => item.event_id || item.outing_id),
+    ...items.filter(item => !item.event_id && !item.outing_id)
+  ];
+
+  for (const item of ordered) {
+    const reason = await restoreItem(db, closure, item, { capacity });
+
+    if (reason) {
+      notRestored.push({ ...item, reason });
+    } else {
+      restored.push(item);
+    }
+  }
+
+  await recountParticipants(db, date);
+
+  let notified = 0;
+  if (notify) {
+    const day = moment(date).format('dddd, MMMM D');
+
+    for (const item of restored.filter(candidate => candidate.tee_time_id)) {
+      const { data: booking } = await db.teeTimes.findById(item.tee_time_id);
+      const time = moment(toTime(booking.tee_time), 'HH:mm').format('h:mm A');
+      const owed = booking.payment_status === 'paid' ? Number(booking.balance_due) || 0 : Number(booking.total_amount) || 0;
+
+      notified += await sendClosureNotice(
+        { email: booking.primary_player_email, name: booking.primary_player_name },
+        {
+          subject: `The course is open on ${day}`,
+          lines: [
+            `Good news: the course is open again on ${day}, and your ${time} tee time is back as it was.`,
+            Number(item.amount) > 0 && owed > 0 ? `$${owed.toFixed(2)} is due at the course.` : null
+          ].filter(Boolean)
+        }
+      ) ? 1 : 0;
+    }
+  }
+
+  const { data: current } = await db.courseClosures.findById(closure.id);
+
+  return { closure: current, restored, not_restored: notRestored, notified };
+};
+
+module.exports = {
+  CLOSURE_RESOLUTIONS,
+  isClosed,
+  holesShare,
+  assertCourseOpen,
+  closeCourse,
+  reopenCourse
+};
@@ -0,0 +1,44 @@
+// Course-local time
+//
+// Tee times are wall-clock times at the course, so anything that compares
+// them with "now" has to do it in the course's timezone, not the server's.
+// The timezone is the `course_timezone` setting (an IANA name such as
+// America/Chicago), falling back to COURSE_TIMEZONE and then Central time.
+const moment = require('moment-timezone');
+
+const DEFAULT_COURSE_TIMEZONE = 'America/Chicago';
+
+const courseTimezone = async (db) => {
+  const timezone = await db.adminSettings.getValue(
+    'course_timezone',
+    process.env.COURSE_TIMEZONE || DEFAULT_COURSE_TIMEZONE
+  );
+
+  return moment.tz.zone(timezone) ? timezone : DEFAULT_COURSE_TIMEZONE;
+};
+
+// The current moment on the course clock
+const courseNow = async (db) => moment.tz(await courseTimezone(db));
+
+// Today's date at the course (YYYY-MM-DD)
+const courseToday = async (db) => (await courseNow(db)).format('YYYY-MM-DD');
+
+// A tee time (`date` YYYY-MM-DD, `time` HH:mm) as a moment in `timezone`
+const slotMoment = (timezone, date, time) =>
+  moment.tz(`${moment(date).format('YYYY-MM-DD')} ${String(time).slice(0, 5)}`, 'YYYY-MM-DD HH:mm', timezone);
+
+// The instants a run of course days (`startDate` to `endDate`, inclusive)
+// covers, for filtering timestamps
+const dayRange = (timezone, startDate, endDate) => ({
+  gte: moment.tz(startDate, 'YYYY-MM-DD', timezone).toISOString(),
+  lt: moment.tz(endDate, 'YYYY-MM-DD', timezone).add(1, 'day').toISOString()
+});
+
+module.exports = {
+  DEFAULT_COURSE_TIMEZONE,
+  courseTimezone,
+  courseNow,
+  courseToday,
+  slotMoment,
+  dayRange
+};
@@ -0,0 +1,112 @@
+// Guest booking self-service
+//
+// Golfers who book without an account cannot sign in to see their booking.
+// Instead every booking carries a confirmation code (a database default,
+// see 017_confirmation_codes.up.sql): the code and the email the booking
+// was made under find it, and prove it is theirs. The confirmation email
+// and the lookup hand out a manage link signed with JWT_SECRET, which the
+// /api/bookings/manage routes accept in place of a sign-in for that one
+// booking. The signature covers the booking and its code, so a link cannot
+// be reused for another booking or guessed from the booking id.
+const crypto = require('crypto');
+const moment = require('moment');
+const sgMail = require('@sendgrid/mail');
+
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+const signingSecret = () => process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+
+// Codes are shown in capitals; golfers may type them in any case, with
+// spaces or dashes
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Signature that lets the holder manage `booking` without signing in
+const manageToken = (booking) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`tee_time:${booking.id}:${booking.confirmation_code}`)
+  .digest('base64url');
+
+const verifyManageToken = (booking, token) => {
+  const expected = Buffer.from(manageToken(booking));
+  const given = Buffer.from(String(token || ''));
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Link the golfer follows to manage their booking
+const manageLink = (booking) =>
+  `${process.env.PRODUCTION_URL || 'http://localhost:3000'}/my-bookings.html?booking=${booking.id}&token=${manageToken(booking)}`;
+
+// What a golfer holding the code or the link sees of a booking
+const guestView = (booking) => ({
+  id: booking.id,
+  confirmation_code: booking.confirmation_code,
+  booking_date: booking.booking_date,
+  tee_time: booking.tee_time,
+  number_of_players: booking.number_of_players,
+  is_private: !!booking.is_private,
+  primary_player_name: booking.primary_player_name,
+  primary_player_email: booking.primary_player_email,
+  primary_player_phone: booking.primary_player_phone,
+  additional_players: booking.additional_players || null,
+  green_fee_type: booking.green_fee_type,
+  cart_rental: !!booking.cart_rental,
+  special_requests: booking.special_requests || null,
+  total_amount: booking.total_amount,
+  balance_due: Number(booking.balance_due) || 0,
+  payment_status: booking.payment_status,
+  status: booking.status,
+  outing_id: booking.outing_id || null,
+  series_id: booking.series_id || null
+});
+
+// The booking with `code` made under `email`, or null; a wrong email looks
+// the same as an unknown code
+const findByCode = async (db, code, email) => {
+  const { data: booking } = await db.teeTimes.findOne({ confirmation_code: normalizeCode(code) });
+
+  return booking && sameEmail(booking.primary_player_email, email) ? booking : null;
+};
+
+const sendConfirmationEmail = async (booking) => {
+  if (!process.env.SENDGRID_API_KEY || !booking.primary_player_email) {
+    return;
+  }
+
+  const date = moment(booking.booking_date).format('dddd, MMMM D');
+  const time = moment(String(booking.tee_time).slice(0, 5), 'HH:mm').format('h:mm A');
+
+  try {
+    await sgMail.send({
+      to: booking.primary_player_email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@rookscountygolf.com',
+        name: process.env.SENDGRID_FROM_NAME || 'Rooks County Golf Course'
+      },
+      subject: `Tee time confirmed: ${date} at ${time}`,
+      html: `
+        <p>Hi ${booking.primary_player_name},</p>
+        <p>Your tee time for ${booking.number_of_players} on ${date} at ${time} is booked.</p>
+        <p>Your confirmation code is <strong>${booking.confirmation_code}</strong>.</p>
+        <p><a href="${manageLink(booking)}">View, change or cancel your booking</a></p>
+        <p>You can also find it on our website with your confirmation code and this email address.</p>
+      `
+    });
+  } catch (error) {
+    console.error('Failed to send booking confirmation email:', error);
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  manageToken,
+  verifyManageToken,
+  manageLink,
+  guestView,
+  findByCode,
+  sendConfirmationEmail
+};
@@ -0,0 +1,225 @@
+// Group and outing bookings
+//
+// An outing of N players takes ceil(N / capacity) consecutive tee times from
+// its start time, with the players spread as evenly as possible (18 players
+// in foursomes: 4, 4, 4, 3, 3). Each slot is priced by the pricing engine
+// like any booking and the outing's quote and invoice are the sum of its
+// slots. Every slot rides in fleet carts: the organizer's own shed cart can
+// only go out with one group. Every slot must have opened to the organizer
+// under the booking release windows (see bookingRelease.js).
+const moment = require('moment');
+const { AppError } = require('../middleware/errorHandler');
+const { quoteBooking } = require('./pricing');
+const { assertSlotOpen } = require('./teeSheetBlocks');
+const { releaseContext, slotRelease, notReleasedMessage } = require('./bookingRelease');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toTime = (value) => String(value).slice(0, 5);
+
+// Consecutive slots and group sizes for an outing; throws a 400 AppError
+// when the run does not fit inside course hours
+const planOutingSlots = async (db, { booking_date, start_time, number_of_players }) => {
+  const { data: settingsMap } = await db.adminSettings.getMap([
+    'course_open_time',
+    'course_close_time',
+    'tee_time_interval',
+    'max_players_per_booking'
+  ]);
+
+  const openTime = settingsMap.course_open_time || '07:00';
+  const closeTime = settingsMap.course_close_time || '19:00';
+  const interval = parseInt(settingsMap.tee_time_interval) || 15;
+  const capacity = parseInt(settingsMap.max_players_per_booking) || 4;
+
+  const slotCount = Math.ceil(number_of_players / capacity);
+  const perSlot = Math.floor(number_of_players / slotCount);
+  const larger = number_of_players % slotCount;
+
+  // Wall-clock times, compared in UTC so no daylight saving change shifts them
+  const start = moment.utc(`${booking_date} ${toTime(start_time)}`, 'YYYY-MM-DD HH:mm');
+  const open = moment.utc(`${booking_date} ${openTime}`, 'YYYY-MM-DD HH:mm');
+  const close = moment.utc(`${booking_date} ${closeTime}`, 'YYYY-MM-DD HH:mm');
+
+  // Outings start on the tee sheet's own slot grid
+  if (start.isBefore(open) || start.diff(open, 'minutes') % interval !== 0) {
+    throw new AppError(`Outings must start on a tee time between ${openTime} and ${closeTime}`, 400);
+  }
+
+  const slots = Array.from({ length: slotCount }, (_, index) => ({
+    tee_time: start.clone().add(index * interval, 'minutes').format('HH:mm'),
+    number_of_players: perSlot + (index < larger ? 1 : 0)
+  }));
+
+  if (!moment.utc(`${booking_date} ${slots[slots.length - 1].tee_time}`, 'YYYY-MM-DD HH:mm').isBefore(close)) {
+    throw new AppError(`${slotCount} tee times from ${toTime(start_time)} run past closing at ${closeTime}`, 400);
+  }
+
+  return { capacity, slots };
+};
+
+// Price every slot of an outing; the quote's totals are what the outing costs
+const quoteOuting = async (db, {
+  booking_date,
+  start_time,
+  number_of_players,
+  green_fee_type,
+  cart_rental = false,
+  rate_class,
+  user_id = null
+}) => {
+  const { capacity, slots } = await planOutingSlots(db, { booking_date, start_time, number_of_players });
+  const release = await releaseContext(db, { userId: user_id });
+
+  const slotQuotes = [];
+  for (const slot of slots) {
+    const opening = slotRelease(release, moment(booking_date).format('YYYY-MM-DD'), slot.tee_time);
+    if (!opening.open) {
+      throw new AppError(notReleasedMessage(release, opening), 400);
+    }
+
+    await assertSlotOpen(db, { booking_date, tee_time: slot.tee_time, green_fee_type });
+
+    slotQuotes.push(await quoteBooking(db, {
+      booking_date,
+      tee_time: slot.tee_time,
+      number_of_players: slot.number_of_players,
+      green_fee_type,
+      cart_rental,
+      rate_class,
+      user_id,
+      own_cart: false
+    }));
+  }
+
+  const sum = (key) => roundCurrency(slotQuotes.reduce((total, quote) => total + quote[key], 0));
+
+  return {
+    booking_date,
+    start_time: slots[0].tee_time,
+    number_of_players,
+    slot_count: slots.length,
+    capacity,
+    green_fee_type,
+    rate_class: slotQuotes[0].rate_class,
+    slots: slotQuotes,
+    total_green_fees: sum('total_green_fees'),
+    fleet_carts: slotQuotes.reduce((total, quote) => total + quote.fleet_carts, 0),
+    total_cart_fees: sum('total_cart_fees'),
+    total_amount: sum('total_amount')
+  };
+};
+
+// Invoice for an outing, one line per booked slot
+const buildInvoice = (outing, bookings) => ({
+  invoice_number: `OUT-${moment(outing.created_at).format('YYYYMMDD')}-${outing.id.slice(0, 8).toUpperCase()}`,
+  issued_at: outing.created_at,
+  bill_to: {
+    name: outing.organizer_name,
+    email: outing.organizer_email,
+    phone: outing.organizer_phone
+  },
+  outing: {
+    id: outing.id,
+    name: outing.name,
+    booking_date: outing.booking_date,
+    start_time: toTime(outing.start_time),
+    number_of_players: outing.number_of_players
+  },
+  lines: bookings.map(booking => ({
+    tee_time: toTime(booking.tee_time),
+    number_of_players: booking.number_of_players,
+    green_fee_type: booking.green_fee_type,
+    green_fees: booking.total_green_fees,
+    cart_fees: booking.total_cart_fees,
+    amount: booking.total_amount
+  })),
+  total_green_fees: outing.total_green_fees,
+  total_cart_fees: outing.total_cart_fees,
+  total_amount: outing.total_amount,
+  payment_status: outing.payment_status,
+  status: outing.status,
+  // What the cancellation policy kept and owes back, once cancelled
+  cancellation_fee: Number(outing.cancellation_fee) || 0,
+  refund_amount: Number(outing.refund_amount) || 0
+});
+
+// Split an outing's cancellation over its tee times, where its money was
+// paid: each is refunded the policy's percentage of what was paid on it,
+// and the fee comes out of those refunds in tee time order. Returns the
+// cancellation_fee and refund_amount of each booking by id.
+const shareCancellation = (bookings, cancellation) => {
+  let fee = Number(cancellation.cancellation_fee) || 0;
+
+  return Object.fromEntries(bookings.map(booking => {
+    // A balance left by a cart change has not been paid yet
+    const paid = booking.payment_status === 'paid'
+      ? (Number(booking.total_amount) || 0) - (Number(booking.balance_due) || 0)
+      : 0;
+    const refund = roundCurrency(paid * cancellation.refund_percent / 100);
+    const feeShare = Math.min(fee, refund);
+    fee = roundCurrency(fee - feeShare);
+
+    return [booking.id, { cancellation_fee: feeShare, refund_amount: roundCurrency(refund - feeShare) }];
+  }));
+};
+
+// Replace an outing's roster, filling its slots in tee time order, and list
+// each slot's players on its booking for the tee sheet; returns the roster
+const assignRoster = async (db, outing, players) => {
+  if (players.length > outing.number_of_players) {
+    throw new AppError(`This outing is booked for ${outing.number_of_players} players`, 400);
+  }
+
+  const { data: bookings, error } = await db.teeTimes.find(
+    { outing_id: outing.id, status: 'confirmed' },
+    { order: ['tee_time'] }
+  );
+
+  if (error) {
+    throw new AppError('Failed to load outing tee times', 500);
+  }
+
+  let offset = 0;
+  const slots = bookings.map(booking => {
+    const slot = { booking, offset, players: players.slice(offset, offset + booking.number_of_players) };
+    offset += booking.number_of_players;
+    return slot;
+  });
+
+  await db.outingPlayers.remove({ outing_id: outing.id });
+
+  const rows = slots.flatMap(slot => slot.players.map((player, index) => ({
+    outing_id: outing.id,
+    tee_time_id: slot.booking.id,
+    position: slot.offset + index + 1,
+    player_name: player.player_name,
+    email: player.email || null,
+    phone: player.phone || null,
+    handicap: player.handicap ?? null
+  })));
+
+  const { data: roster, error: rosterError } = rows.length > 0
+    ? await db.outingPlayers.createMany(rows)
+    : { data: [], error: null };
+
+  if (rosterError) {
+    throw new AppError('Failed to save outing roster', 500);
+  }
+
+  for (const { booking, players: slotPlayers } of slots) {
+    await db.teeTimes.updateById(booking.id, {
+      additional_players: slotPlayers.map(player => ({ name: player.player_name }))
+    });
+  }
+
+  return roster.sort((a, b) => a.position - b.position);
+};
+
+module.exports = {
+  planOutingSlots,
+  quoteOuting,
+  buildInvoice,
+  shareCancellation,
+  assignRoster
+};
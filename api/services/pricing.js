@@ -0,0 +1,271 @@
+// Green fee pricing engine
+//
+// A quote starts from the most specific active green_fee_rates row for the
+// golfer's rate class and green fee type: a rate for the current pricing
+// season beats an all-year one, then a weekday/weekend rate beats an "any
+// day" one, then a regular/twilight rate beats an "any time" one. Classes
+// without a matching rate pay the standard rate, and the standard rate falls
+// back to the green_fee_9_holes / green_fee_all_day settings.
+//
+// When `demand_pricing_tiers` is set, the per-player fee is then adjusted by
+// how full the slot already is, e.g.
+// [{ "min_utilization": 0, "adjustment_percent": -10 },
+//  { "min_utilization": 0.75, "adjustment_percent": 15 }]
+// applies the tier with the highest min_utilization the slot has reached.
+//
+// On a day with fewer than 9 holes open the green fee is cut pro rata; a
+// closed course, or a cart on a day without carts, cannot be quoted (see
+// courseClosures.js).
+//
+// Carts are priced per rider once `cart_fee_shared_rider` is set: riders
+// sharing a fleet cart pay that each, and riders alone in one pay
+// `cart_fee_single_rider` (twice the shared fee by default). Riders in a
+// member's own shed cart pay nothing. Without per-rider fees a booking
+// that takes fleet carts pays the flat `cart_rental_fee`.
+const moment = require('moment');
+const { AppError } = require('../middleware/errorHandler');
+const { DEFAULT_RATE_CLASS } = require('../config/pricing');
+const { assertCourseOpen, holesShare } = require('./courseClosures');
+const { cartPlan } = require('./carts');
+const { courseToday } = require('./courseTime');
+
+// admin_settings keys a quote reads
+const PRICING_SETTING_KEYS = [
+  'green_fee_9_holes',
+  'green_fee_all_day',
+  'cart_rental_fee',
+  'cart_fee_shared_rider',
+  'cart_fee_single_rider',
+  'twilight_start_time',
+  'demand_pricing_tiers',
+  'max_players_per_booking'
+];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toTime = (value) => moment(String(value), 'HH:mm').format('HH:mm');
+
+const dayTypeFor = (date) => ([0, 6].includes(moment(date, 'YYYY-MM-DD').day()) ? 'weekend' : 'weekday');
+
+const timePeriodFor = (teeTime, twilightStart) =>
+  (twilightStart && teeTime >= toTime(twilightStart) ? 'twilight' : 'regular');
+
+// Season rates beat day-type rates, which beat time-period rates
+const specificity = (rate) =>
+  (rate.season_id ? 4 : 0) + (rate.day_type !== 'any' ? 2 : 0) + (rate.time_period !== 'any' ? 1 : 0);
+
+const findRate = (rates, { rateClass, dayType, timePeriod, seasonIds }) => rates
+  .filter(rate =>
+    rate.rate_class_code === rateClass &&
+    ['any', dayType].includes(rate.day_type) &&
+    ['any', timePeriod].includes(rate.time_period) &&
+    (!rate.season_id || seasonIds.includes(rate.season_id))
+  )
+  .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+
+const parseTiers = (value) => {
+  try {
+    const tiers = JSON.parse(value || '[]');
+    return Array.isArray(tiers) ? tiers : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Percent adjustment of the highest tier the utilization has reached
+const demandAdjustment = (tiers, utilization) => {
+  const tier = tiers
+    .filter(candidate => utilization >= Number(candidate.min_utilization))
+    .sort((a, b) => Number(b.min_utilization) - Number(a.min_utilization))[0];
+
+  return tier ? Number(tier.adjustment_percent) || 0 : 0;
+};
+
+// What a cart plan costs under the cart fee settings
+const cartCharge = (settingsMap, plan) => {
+  const sharedFee = parseFloat(settingsMap.cart_fee_shared_rider);
+
+  if (plan.fleet_carts === 0) {
+    return { cart_pricing: null, cart_fee_shared_rider: null, cart_fee_single_rider: null, total_cart_fees: 0 };
+  }
+
+  if (Number.isNaN(sharedFee)) {
+    return {
+      cart_pricing: 'flat',
+      cart_fee_shared_rider: null,
+      cart_fee_single_rider: null,
+      total_cart_fees: parseFloat(settingsMap.cart_rental_fee) || 15
+    };
+  }
+
+  const singleFee = parseFloat(settingsMap.cart_fee_single_rider);
+  const perSingleRider = Number.isNaN(singleFee) ? sharedFee * 2 : singleFee;
+
+  return {
+    cart_pricing: 'per_rider',
+    cart_fee_shared_rider: roundCurrency(sharedFee),
+    cart_fee_single_rider: roundCurrency(perSingleRider),
+    total_cart_fees: roundCurrency(sharedFee * plan.shared_riders + perSingleRider * plan.single_riders)
+  };
+};
+
+// Share of the slot already booked or held, not counting the golfer's own hold
+const slotUtilization = async (db, { booking_date, tee_time, capacity, hold_id }) => {
+  const [{ data: bookings }, { data: holds }] = await Promise.all([
+    db.teeTimes.find(
+      { booking_date, tee_time, status: 'confirmed' },
+      { columns: ['number_of_players'] }
+    ),
+    db.teeTimeHolds.findActive(
+      { booking_date, tee_time },
+      { columns: ['id', 'number_of_players'] }
+    )
+  ]);
+
+  const taken = [...(bookings || []), ...(holds || []).filter(hold => hold.id !== hold_id)]
+    .reduce((sum, row) => sum + row.number_of_players, 0);
+
+  return Math.min(taken / capacity, 1);
+};
+
+// Price a booking; throws an AppError the route can pass straight through
+// when the rate class is unknown or not available to the golfer
+const quoteBooking = async (db, {
+  booking_date,
+  tee_time,
+  number_of_players,
+  green_fee_type,
+  cart_rental = false,
+  cart_riders = null,
+  cart_sharing = 'shared',
+  rate_class = DEFAULT_RATE_CLASS,
+  user_id = null,
+  hold_id = null,
+  // Whether a member's own shed cart carries the first riders
+  own_cart = true
+}) => {
+  const teeTime = toTime(tee_time);
+
+  const [{ data: settingsMap }, { data: rateClass }, conditions] = await Promise.all([
+    db.adminSettings.getMap(PRICING_SETTING_KEYS),
+    db.rateClasses.findOne({ code: rate_class, is_active: true }),
+    assertCourseOpen(db, booking_date, { cartRental: cart_rental })
+  ]);
+
+  if (!rateClass) {
+    throw new AppError(`Unknown rate class "${rate_class}"`, 400);
+  }
+
+  // Members' rates need a membership, and a member's own cart comes from it
+  const { data: membership } = user_id && (rateClass.requires_membership || (cart_rental && own_cart))
+    ? await db.memberships.findActive(user_id, await courseToday(db), { columns: ['id', 'cart_shed_number'] })
+    : { data: null };
+
+  if (rateClass.requires_membership) {
+    if (!membership) {
+      throw new AppError(`${rateClass.name} rates are only available to current members`, 403);
+    }
+  }
+
+  const [{ data: seasons, error: seasonsError }, { data: rates, error: ratesError }] = await Promise.all([
+    db.pricingSeasons.find({
+      is_active: true,
+      start_date: { lte: booking_date },
+      end_date: { gte: booking_date }
+    }, { columns: ['id', 'name'] }),
+    db.greenFeeRates.find({
+      is_active: true,
+      green_fee_type,
+      rate_class_code: { in: [rate_class, DEFAULT_RATE_CLASS] }
+    })
+  ]);
+
+  if (seasonsError || ratesError) {
+    throw new AppError('Failed to load green fee rates', 500);
+  }
+
+  const criteria = {
+    dayType: dayTypeFor(booking_date),
+    timePeriod: timePeriodFor(teeTime, settingsMap.twilight_start_time),
+    seasonIds: seasons.map(season => season.id)
+  };
+
+  const rate = findRate(rates, { ...criteria, rateClass: rate_class }) ||
+    findRate(rates, { ...criteria, rateClass: DEFAULT_RATE_CLASS });
+
+  const baseRate = rate
+    ? parseFloat(rate.price)
+    : green_fee_type === '9_holes'
+      ? parseFloat(settingsMap.green_fee_9_holes) || 10
+      : parseFloat(settingsMap.green_fee_all_day) || 15;
+
+  const tiers = parseTiers(settingsMap.demand_pricing_tiers);
+  const utilization = tiers.length > 0
+    ? await slotUtilization(db, {
+      booking_date,
+      tee_time: teeTime,
+      capacity: parseInt(settingsMap.max_players_per_booking) || 4,
+      hold_id
+    })
+    : null;
+  const adjustmentPercent = utilization === null ? 0 : demandAdjustment(tiers, utilization);
+
+  const greenFeePerPlayer = roundCurrency(baseRate * (1 + adjustmentPercent / 100) * holesShare(conditions));
+  const totalGreenFees = roundCurrency(greenFeePerPlayer * number_of_players);
+  const plan = cartPlan({
+    cartRental: cart_rental,
+    players: number_of_players,
+    riders: cart_riders,
+    sharing: cart_sharing,
+    shedNumber: own_cart ? membership?.cart_shed_number ?? null : null
+  });
+  const cart = cartCharge(settingsMap, plan);
+
+  return {
+    booking_date,
+    tee_time: teeTime,
+    number_of_players,
+    green_fee_type,
+    rate_class,
+    rate_class_name: rateClass.name,
+    day_type: criteria.dayType,
+    time_period: criteria.timePeriod,
+    season: rate?.season_id ? seasons.find(season => season.id === rate.season_id).name : null,
+    base_rate: roundCurrency(baseRate),
+    slot_utilization: utilization,
+    demand_adjustment_percent: adjustmentPercent,
+    holes_available: conditions?.holes_available ?? 9,
+    green_fee_per_player: greenFeePerPlayer,
+    total_green_fees: totalGreenFees,
+    cart_riders: plan.cart_riders,
+    cart_sharing: plan.cart_sharing,
+    fleet_carts: plan.fleet_carts,
+    cart_shed_number: plan.cart_shed_number,
+    cart_pricing: cart.cart_pricing,
+    cart_fee_shared_rider: cart.cart_fee_shared_rider,
+    cart_fee_single_rider: cart.cart_fee_single_rider,
+    cart_rental_fee: cart.total_cart_fees,
+    total_cart_fees: cart.total_cart_fees,
+    total_amount: roundCurrency(totalGreenFees + cart.total_cart_fees)
+  };
+};
+
+// Columns a quote sets on a tee_times row
+const bookingTotals = (quote) => ({
+  rate_class: quote.rate_class,
+  cart_riders: quote.cart_riders,
+  cart_sharing: quote.cart_sharing,
+  fleet_carts: quote.fleet_carts,
+  cart_shed_number: quote.cart_shed_number,
+  cart_rental_fee: quote.cart_rental_fee,
+  total_green_fees: quote.total_green_fees,
+  total_cart_fees: quote.total_cart_fees,
+  total_amount: quote.total_amount
+});
+
+module.exports = {
+  PRICING_SETTING_KEYS,
+  cartCharge,
+  quoteBooking,
+  bookingTotals
+};
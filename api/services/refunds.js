@@ -0,0 +1,289 @@
+// Refunds for cancelled bookings and event registrations
+//
+// Cancelling records what the cancellation policy gives back in the row's
+// refund_amount. refundCancellation then pays it back the way it was paid:
+// a Stripe refund against the payment intent for online payments, or an
+// account credit for cash, check and counter card payments. Either way it
+// writes one 'refund' payment_transactions row (negative amount) and marks
+// the row's payment_status 'refunded'.
+//
+// The refund row carries an idempotency key per booking or registration,
+// and the same key goes to Stripe, so a cancellation that is retried (after
+// a timeout, a failed refund or a double click) finds the refund already
+// issued instead of issuing another.
+//
+// An account credit is granted in the credits ledger, where the golfer can
+// spend it (see accountCredits.js). Whatever a booking paid with credit
+// (`credit_applied`) is given back as credit first.
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { AppError } = require('../middleware/errorHandler');
+const { creditHolder, grantCredit, voidGrantedCredit } = require('./accountCredits');
+
+const REFUND_TARGETS = {
+  tee_time: { repository: 'teeTimes', column: 'tee_time_id', item: 'booking' },
+  event: { repository: 'eventRegistrations', column: 'event_registration_id', item: 'registration' }
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const refundKey = (type, id) => `cancellation-refund:${type}:${id}`;
+
+// The completed payment a refund goes back against, if one was recorded;
+// credit spent on the booking is given back separately
+const findPayment = async (db, target, type, record) => {
+  const { data: payments, error } = await db.paymentTransactions.find(
+    { [target.column]: record.id, transaction_type: type, status: 'completed', payment_provider: { neq: 'account_credit' } },
+    { order: ['transaction_date desc'], limit: 1 }
+  );
+
+  if (error) {
+    throw new AppError('Failed to load the payment to refund', 500);
+  }
+
+  return payments[0] || null;
+};
+
+const markRefunded = async (db, target, record, payment) => {
+  await db[target.repository].update({ id: record.id, payment_status: 'paid' }, { payment_status: 'refunded' });
+
+  if (payment) {
+    await db.paymentTransactions.updateById(payment.id, { status: 'refunded' });
+  }
+};
+
+// Grant the ledger credit for an account-credit refund row
+const grantRefundCredit = (db, type, record, refund, { reason, credit = {} }) => grantCredit(db, {
+  holder: creditHolder(record),
+  amount: -Number(refund.amount),
+  creditType: reason === 'rain check' ? 'rain_check' : 'refund',
+  key: refund.idempotency_key,
+  [type === 'tee_time' ? 'teeTimeId' : 'eventRegistrationId']: record.id,
+  paymentTransactionId: refund.id,
+  ...credit
+});
+
+// Pay `amount` of a booking or registration back the way it was paid (or as
+// an account credit with `asCredit`) and record it under `key`; `failure`
+// starts the message if Stripe refuses. `credit` adds details to the ledger
+// credit of an account-credit refund.
+// Returns the refund transaction and the payment it went back against; a
+// refund already recorded under `key` is returned as is.
+const issueOne = async (db, type, record, amount, { key, reason, failure, asCredit = false, metadata = {}, credit }) => {
+  const target = REFUND_TARGETS[type];
+
+  const { data: issued } = await db.paymentTransactions.findOne({ idempotency_key: key });
+
+  if (issued) {
+    // Finish granting the credit if a retry stopped short of it
+    if (issued.payment_provider === 'account_credit' && issued.status === 'completed') {
+      await grantRefundCredit(db, type, record, issued, { reason, credit });
+    }
+    return { refund: issued, payment: null };
+  }
+
+  const payment = await findPayment(db, target, type, record);
+
+  // Online payments go back to the card unless `asCredit`; the rest become
+  // an account credit
+  const paymentIntentId = asCredit
+    ? null
+    : payment
+      ? (payment.payment_provider === 'stripe' ? payment.provider_transaction_id : null)
+      : record.stripe_payment_intent_id || null;
+
+  let stripeRefund = null;
+  if (paymentIntentId) {
+    try {
+      stripeRefund = await stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        amount: Math.round(amount * 100),
+        reason: 'requested_by_customer',
+        metadata: { type, [target.column]: record.id }
+      }, { idempotencyKey: key });
+    } catch (stripeError) {
+      console.error(`Failed to issue ${reason} refund:`, stripeError);
+      throw new AppError(`${failure} but the refund could not be issued. Please try again.`, 502);
+    }
+  }
+
+  const { data: refund, error } = await db.paymentTransactions.create({
+    transaction_type: 'refund',
+    amount: -amount,
+    payment_provider: stripeRefund ? 'stripe' : 'account_credit',
+    provider_transaction_id: stripeRefund?.id || null,
+    user_id: record.user_id || null,
+    [target.column]: record.id,
+    status: 'completed',
+    idempotency_key: key,
+    transaction_date: new Date().toISOString(),
+    metadata: {
+      reason,
+      payment_transaction_id: payment?.id || null,
+      payment_intent_id: paymentIntentId,
+      paid_with: payment?.payment_provider || record.payment_method || null,
+      ...metadata
+    }
+  });
+
+  // A concurrent retry recorded the same refund first
+  if (error?.code === '23505') {
+    const { data: recorded } = await db.paymentTransactions.findOne({ idempotency_key: key });
+    return { refund: recorded, payment: null };
+  }
+
+  if (error) {
+    throw new AppError('Failed to record the refund', 500);
+  }
+
+  if (!stripeRefund) {
+    await grantRefundCredit(db, type, record, refund, { reason, credit });
+  }
+
+  return { refund, payment };
+};
+
+// issueOne, with the part of a booking paid in credit given back as credit
+// first (under `key`:credit). Returns the last refund issued.
+const issueRefund = async (db, type, record, amount, options) => {
+  const creditKey = `${options.key}:credit`;
+  const { data: creditRefund } = type === 'tee_time' && !options.asCredit
+    ? await db.paymentTransactions.findOne({ idempotency_key: creditKey })
+    : { data: null };
+  const creditPart = creditRefund
+    ? -Number(creditRefund.amount)
+    : type === 'tee_time' && !options.asCredit
+      ? roundCurrency(Math.min(amount, Number(record.credit_applied) || 0))
+      : 0;
+
+  if (creditPart <= 0) {
+    return issueOne(db, type, record, amount, options);
+  }
+
+  if (!creditRefund) {
+    const { refund } = await issueOne(db, type, record, creditPart, { ...options, key: creditKey, asCredit: true });
+    // The credit is back with the golfer, so a later refund cannot give it again
+    await db.teeTimes.updateById(record.id, {
+      credit_applied: roundCurrency((Number(record.credit_applied) || 0) - creditPart)
+    });
+
+    if (amount <= creditPart) {
+      return { refund, payment: null };
+    }
+  }
+
+  const rest = roundCurrency(amount - creditPart);
+
+  return rest > 0
+    ? issueOne(db, type, record, rest, options)
+    : { refund: creditRefund, payment: null };
+};
+
+// Refund a cancelled booking (`type` 'tee_time') or event registration
+// ('event'). Returns the refund transaction, the one already issued when
+// retried, or null when nothing was paid or nothing is refundable.
+const refundCancellation = async (db, type, record) => {
+  const target = REFUND_TARGETS[type];
+  const amount = roundCurrency(Number(record.refund_amount) || 0);
+
+  if (record.status !== 'cancelled' || !['paid', 'refunded'].includes(record.payment_status) || amount <= 0) {
+    return null;
+  }
+
+  const { refund, payment } = await issueRefund(db, type, record, amount, {
+    key: refundKey(type, record.id),
+    reason: 'cancellation',
+    failure: `The ${target.item} was cancelled`,
+    metadata: { cancellation_fee: Number(record.cancellation_fee) || 0 }
+  });
+
+  await markRefunded(db, target, record, payment);
+
+  return refund;
+};
+
+// Give back `amount` of a booking or registration a course closure
+// cancelled or made cheaper, under `key`. A rain check (`asCredit`) is
+// always an account credit; otherwise it goes back the way it was paid. A
+// cancelled record is marked refunded.
+const refundClosure = async (db, type, record, amount, { key, asCredit = false, cancelled = false }) => {
+  const target = REFUND_TARGETS[type];
+
+  const { refund, payment } = await issueRefund(db, type, record, roundCurrency(amount), {
+    key,
+    reason: asCredit ? 'rain check' : 'course closure',
+    failure: `The ${target.item} was ${cancelled ? 'cancelled' : 'changed'} for the course closure`,
+    asCredit
+  });
+
+  if (cancelled) {
+    await markRefunded(db, target, record, payment);
+  }
+
+  return refund;
+};
+
+// Take back an account credit for a change that was undone, and mark the
+// payment it went back against completed again. Stripe refunds cannot be
+// taken back, and neither can credit the golfer has started to spend.
+// Returns whether the credit was voided.
+const voidCredit = async (db, refund) => {
+  if (!refund || refund.payment_provider !== 'account_credit' || refund.status !== 'completed') {
+    return false;
+  }
+
+  if (!await voidGrantedCredit(db, refund.id)) {
+    return false;
+  }
+
+  const { data: voided, error } = await db.paymentTransactions.update(
+    { id: refund.id, status: 'completed' },
+    { status: 'cancelled' }
+  );
+
+  if (error) {
+    throw new AppError('Failed to void the account credit', 500);
+  }
+
+  if (voided.length > 0 && refund.metadata?.payment_transaction_id) {
+    await db.paymentTransactions.update(
+      { id: refund.metadata.payment_transaction_id, status: 'refunded' },
+      { status: 'completed' }
+    );
+  }
+
+  return voided.length > 0;
+};
+
+// Give a rain check of `amount` for the holes a group did not get to play;
+// one per booking
+const refundRainCheck = async (db, booking, amount, { holesPlayed, issuedBy = null, note = null }) => {
+  const { refund } = await issueOne(db, 'tee_time', booking, roundCurrency(amount), {
+    key: `rain-check:tee_time:${booking.id}`,
+    reason: 'rain check',
+    failure: 'The rain check',
+    asCredit: true,
+    metadata: { holes_played: holesPlayed },
+    credit: { holesPlayed, issuedBy, note }
+  });
+  return refund;
+};
+
+// Refund part of a paid booking whose price went down, e.g. after a
+// reschedule; `key` identifies the change so retries refund it once
+const refundDifference = async (db, booking, amount, { key }) => {
+  const { refund } = await issueRefund(db, 'tee_time', booking, roundCurrency(amount), {
+    key,
+    reason: 'booking change',
+    failure: 'The booking was changed'
+  });
+  return refund;
+};
+
+module.exports = {
+  refundKey,
+  refundCancellation,
+  refundClosure,
+  refundRainCheck,
+  voidCredit,
+  refundDifference
+};
@@ -0,0 +1,335 @@
+// Standing tee times
+//
+// A booking series books the same slots for a member's group on set days of
+// the week, every week or every other week (counted from the week of the
+// start date). Occurrences are booked ahead as far as the member
+// advance-booking window reaches, so the daily job books one more day each
+// run. Generation is idempotent: a slot that already has an occurrence, or
+// one the golfer cancelled, is left alone. Only occurrences cancelled
+// because the series itself changed are booked again.
+//
+// A slot that falls in a course closure (or a day without carts, for a
+// series that rents one) or an event's tee sheet block, or that is already
+// full or out of carts, is not booked; it is recorded in booking_series_conflicts
+// instead. Conflicts are re-checked on every run, so one that goes away
+// (the event moved, the closure lifted) is cleared and the slot booked.
+const moment = require('moment');
+const { AppError } = require('../middleware/errorHandler');
+const { quoteBooking, bookingTotals } = require('./pricing');
+const { offerFreedSlots } = require('./waitlist');
+const { loadBlocks, blocksBooking } = require('./teeSheetBlocks');
+const { courseToday } = require('./courseTime');
+const { loadRoundMinutes } = require('./carts');
+
+// Reason set on occurrences cancelled because their series was edited
+const SERIES_CHANGE_REASON = 'Standing tee time changed';
+const SERIES_CANCEL_REASON = 'Standing tee time cancelled';
+
+const toTime = (value) => String(value).slice(0, 5);
+
+// Whether the series' rule puts an occurrence on the given date
+const occursOn = (series, date) => {
+  const day = moment(date, 'YYYY-MM-DD');
+
+  if (date < series.start_date || (series.end_date && date > series.end_date)) {
+    return false;
+  }
+
+  if (!series.days_of_week.includes(day.day()) || (series.skip_dates || []).includes(date)) {
+    return false;
+  }
+
+  if (series.frequency === 'biweekly') {
+    const weeks = day.clone().startOf('week').diff(moment(series.start_date, 'YYYY-MM-DD').startOf('week'), 'weeks');
+    return weeks % 2 === 0;
+  }
+
+  return true;
+};
+
+// Whether a booked occurrence still matches its series after an edit
+const matchesSeries = (series, booking) =>
+  occursOn(series, booking.booking_date) &&
+  series.tee_times.includes(toTime(booking.tee_time)) &&
+  booking.number_of_players === series.number_of_players &&
+  booking.green_fee_type === series.green_fee_type &&
+  !!booking.cart_rental === !!series.cart_rental &&
+  (booking.rate_class || 'standard') === series.rate_class;
+
+// Closure or event block that rules out a series' slot, if any
+const findCollision = ({ closures, cartClosures, events }, series, date, time) => {
+  if (closures.has(date)) {
+    return { reason: 'closure', details: 'Course closed', event_id: null };
+  }
+
+  if (series.cart_rental && cartClosures.has(date)) {
+    return { reason: 'closure', details: 'Carts not available', event_id: null };
+  }
+
+  const event = events.find(candidate =>
+    candidate.event_date === date &&
+    blocksBooking(candidate, { tee_time: time, green_fee_type: series.green_fee_type })
+  );
+
+  return event
+    ? { reason: 'event', details: event.title, event_id: event.id }
+    : null;
+};
+
+// Closures and event blocks between two dates
+const loadCollisions = async (db, from, to) => {
+  const [{ data: conditions, error }, events] = await Promise.all([
+    db.courseConditions.find(
+      { condition_date: { gte: from, lte: to } },
+      { columns: ['condition_date', 'overall_condition', 'holes_available', 'cart_availability'] }
+    ),
+    loadBlocks(db, from, to)
+  ]);
+
+  if (error) {
+    throw new Error('Failed to load course closures');
+  }
+
+  const closures = new Set(conditions
+    .filter(condition => condition.overall_condition === 'closed' || condition.holes_available === 0)
+    .map(condition => condition.condition_date));
+
+  const cartClosures = new Set(conditions
+    .filter(condition => condition.cart_availability === false)
+    .map(condition => condition.condition_date));
+
+  return { closures, cartClosures, events };
+};
+
+// Book the series' missing occurrences inside the advance-booking window and
+// refresh its conflicts; returns the booked occurrences and current conflicts
+const generateSeriesOccurrences = async (db, series, options = {}) => {
+  if (series.status !== 'active') {
+    return { booked: [], conflicts: [] };
+  }
+
+  const today = options.today || await courseToday(db);
+
+  const [{ data: membership }, { data: settingsMap }, { data: user }] = await Promise.all([
+    db.memberships.findActive(series.user_id, today, { columns: ['id'] }),
+    db.adminSettings.getMap(['member_booking_advance_days', 'max_players_per_booking']),
+    db.users.findById(series.user_id, { columns: ['first_name', 'last_name', 'email', 'phone'] })
+  ]);
+
+  // Standing tee times are a member benefit; a lapsed series just pauses
+  if (!membership || !user) {
+    return { booked: [], conflicts: [] };
+  }
+
+  const advanceDays = parseInt(settingsMap.member_booking_advance_days) || 60;
+  const capacity = parseInt(settingsMap.max_players_per_booking) || 4;
+  const roundMinutes = await loadRoundMinutes(db);
+
+  const tomorrow = moment(today, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD');
+  const from = series.start_date > tomorrow ? series.start_date : tomorrow;
+  const windowEnd = moment(today, 'YYYY-MM-DD').add(advanceDays, 'days').format('YYYY-MM-DD');
+  const to = series.end_date && series.end_date < windowEnd ? series.end_date : windowEnd;
+
+  const [{ data: occurrences, error }, { data: existingConflicts }] = await Promise.all([
+    db.teeTimes.find(
+      { series_id: series.id, booking_date: { gte: from } },
+      { columns: ['id', 'booking_date', 'tee_time', 'status', 'cancellation_reason'] }
+    ),
+    db.bookingSeriesConflicts.find(
+      { series_id: series.id, occurrence_date: { gte: from } },
+      { columns: ['id', 'occurrence_date', 'tee_time', 'reason'] }
+    )
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to load occurrences: ${error.message}`);
+  }
+
+  const collisions = from <= to ? await loadCollisions(db, from, to) : { closures: new Set(), cartClosures: new Set(), events: [] };
+  const booked = [];
+  const conflicts = [];
+
+  for (let day = moment(from, 'YYYY-MM-DD'); day.format('YYYY-MM-DD') <= to; day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+
+    if (!occursOn(series, date)) {
+      continue;
+    }
+
+    for (const time of series.tee_times) {
+      const existing = occurrences.filter(occurrence =>
+        occurrence.booking_date === date &&
+        toTime(occurrence.tee_time) === time &&
+        !(occurrence.status === 'cancelled' && occurrence.cancellation_reason === SERIES_CHANGE_REASON)
+      );
+      const current = existing.find(occurrence => occurrence.status === 'confirmed');
+      const collision = findCollision(collisions, series, date, time);
+
+      if (collision) {
+        conflicts.push({ ...collision, occurrence_date: date, tee_time: time, tee_time_id: current?.id || null });
+        continue;
+      }
+
+      if (existing.length > 0) {
+        continue;
+      }
+
+      const quote = await quoteBooking(db, {
+        booking_date: date,
+        tee_time: time,
+        number_of_players: series.number_of_players,
+        green_fee_type: series.green_fee_type,
+        cart_rental: series.cart_rental,
+        rate_class: series.rate_class,
+        user_id: series.user_id
+      });
+
+      const { data: booking, error: reserveError } = await db.teeTimes.reserve({
+        user_id: series.user_id,
+        series_id: series.id,
+        booking_date: date,
+        tee_time: time,
+        number_of_players: series.number_of_players,
+        is_private: false,
+        primary_player_name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+        primary_player_email: user.email,
+        primary_player_phone: user.phone,
+        cart_rental: series.cart_rental,
+        green_fee_type: series.green_fee_type,
+        ...bookingTotals(quote),
+        payment_status: 'pending',
+        status: 'confirmed'
+      }, { capacity, roundMinutes });
+
+      if (reserveError?.code === '23505') {
+        conflicts.push({
+          reason: 'full',
+          details: reserveError.message || 'This tee time is already booked',
+          event_id: null,
+          occurrence_date: date,
+          tee_time: time,
+          tee_time_id: null
+        });
+        continue;
+      }
+
+      if (reserveError || !booking) {
+        throw new Error(`Failed to book standing tee time: ${reserveError?.message}`);
+      }
+
+      booked.push(booking);
+    }
+  }
+
+  // Record current conflicts and clear the ones that no longer apply
+  const saved = [];
+  for (const conflict of conflicts) {
+    const { data } = await db.bookingSeriesConflicts.upsert(
+      { series_id: series.id, ...conflict },
+      { onConflict: 'series_id,occurrence_date,tee_time,reason' }
+    );
+    saved.push(data);
+  }
+
+  const stale = (existingConflicts || []).filter(existing => !conflicts.some(conflict =>
+    conflict.occurrence_date === existing.occurrence_date &&
+    conflict.tee_time === toTime(existing.tee_time) &&
+    conflict.reason === existing.reason
+  ));
+
+  for (const conflict of stale) {
+    await db.bookingSeriesConflicts.remove({ id: conflict.id });
+  }
+
+  await db.bookingSeries.updateById(series.id, { last_generated_at: new Date().toISOString() });
+
+  return { booked, conflicts: saved };
+};
+
+// Cancel future occurrences of a series; `keep` spares the ones that should
+// stay booked. Freed slots go to the waitlist. Returns the cancelled rows.
+const cancelOccurrences = async (db, series, { reason, keep = () => false, today = null }) => {
+  const { data: occurrences, error } = await db.teeTimes.find({
+    series_id: series.id,
+    status: 'confirmed',
+    booking_date: { gt: today || await courseToday(db) }
+  });
+
+  if (error) {
+    throw new AppError('Failed to load standing tee time occurrences', 500);
+  }
+
+  const cancelled = [];
+
+  for (const occurrence of occurrences.filter(candidate => !keep(candidate))) {
+    const { data } = await db.teeTimes.updateById(occurrence.id, {
+      status: 'cancelled',
+      cancellation_reason: reason,
+      cancelled_at: new Date().toISOString()
+    });
+    cancelled.push(data);
+  }
+
+  await offerFreedSlots(db, cancelled);
+
+  return cancelled;
+};
+
+// Apply an edit: cancel occurrences the new rule no longer covers, then book
+// whatever it now calls for
+const rescheduleSeries = async (db, series, options = {}) => {
+  const cancelled = await cancelOccurrences(db, series, {
+    ...options,
+    reason: SERIES_CHANGE_REASON,
+    keep: occurrence => matchesSeries(series, occurrence)
+  });
+  const { booked, conflicts } = await generateSeriesOccurrences(db, series, options);
+
+  return { cancelled, booked, conflicts };
+};
+
+// Cancel a series with all its future occurrences and conflicts
+const cancelSeries = async (db, series, options = {}) => {
+  const cancelled = await cancelOccurrences(db, series, { ...options, reason: SERIES_CANCEL_REASON });
+
+  await db.bookingSeriesConflicts.remove({
+    series_id: series.id,
+    occurrence_date: { gt: options.today || await courseToday(db) }
+  });
+
+  return cancelled;
+};
+
+// Generate occurrences for every active series; a series that fails is
+// logged and skipped so the others still get booked
+const generateStandingTeeTimes = async (db, options = {}) => {
+  const { data: seriesList, error } = await db.bookingSeries.find({ status: 'active' });
+
+  if (error) {
+    throw new Error(`Failed to load standing tee times: ${error.message}`);
+  }
+
+  const results = { booked: [], conflicts: [] };
+
+  for (const series of seriesList) {
+    try {
+      const { booked, conflicts } = await generateSeriesOccurrences(db, series, options);
+      results.booked.push(...booked);
+      results.conflicts.push(...conflicts);
+    } catch (generateError) {
+      console.error(`Failed to generate standing tee time ${series.id}:`, generateError);
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  SERIES_CHANGE_REASON,
+  SERIES_CANCEL_REASON,
+  occursOn,
+  generateSeriesOccurrences,
+  rescheduleSeries,
+  cancelSeries,
+  generateStandingTeeTimes
+};
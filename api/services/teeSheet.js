@@ -0,0 +1,252 @@
+// The starter's tee sheet
+//
+// One day of tee times grouped by slot, with every group's players, payment
+// and cart details, and the day-of steps for each booking:
+//   confirmed -> checked in (checked_in_at) -> completed
+//   confirmed -> no_show
+// Whatever is still confirmed when the day is closed is completed if it
+// checked in and, unless `auto_close_no_shows` is off, a no-show if not.
+// A group rained out part way through gets a rain check for the holes it
+// did not play. Each slot shows the fleet carts out on the course at that
+// time, so the starter can see when the cart barn runs dry.
+const moment = require('moment');
+const { AppError } = require('../middleware/errorHandler');
+const { loadBlocks, slotBlock } = require('./teeSheetBlocks');
+const { evaluateStanding } = require('./bookingStanding');
+const { courseToday } = require('./courseTime');
+const { refundRainCheck } = require('./refunds');
+const { fleetCarts, loadCartUsage } = require('./carts');
+
+// Bookings that belong on the sheet; cancelled ones have left it
+const SHEET_STATUSES = ['confirmed', 'no_show', 'completed'];
+
+// How the pro shop can take payment at the counter
+const COUNTER_PAYMENT_METHODS = ['cash', 'check', 'card'];
+
+// Holes in a round: an all-day round is two loops of the nine
+const ROUND_HOLES = { '9_holes': 9, all_day: 18 };
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toTime = (value) => String(value).slice(0, 5);
+
+// Day-of state of a booking, as the starter sees it
+const sheetStatus = (booking) => {
+  if (booking.status === 'confirmed' && booking.checked_in_at) {
+    return 'checked_in';
+  }
+  return booking.status;
+};
+
+const sheetEntry = (booking) => ({
+  id: booking.id,
+  tee_time: toTime(booking.tee_time),
+  status: booking.status,
+  sheet_status: sheetStatus(booking),
+  number_of_players: booking.number_of_players,
+  players: [
+    booking.primary_player_name,
+    ...(booking.additional_players || []).map(player => player.name)
+  ].filter(Boolean),
+  primary_player_email: booking.primary_player_email,
+  primary_player_phone: booking.primary_player_phone,
+  member: booking.users
+    ? [booking.users.first_name, booking.users.last_name].filter(Boolean).join(' ')
+    : null,
+  is_private: !!booking.is_private,
+  green_fee_type: booking.green_fee_type,
+  cart_rental: !!booking.cart_rental,
+  cart_riders: booking.cart_rental ? Number(booking.cart_riders) || booking.number_of_players : 0,
+  cart_sharing: booking.cart_sharing || 'shared',
+  fleet_carts: fleetCarts(booking),
+  cart_shed_number: booking.cart_shed_number ?? null,
+  total_amount: booking.total_amount,
+  payment_status: booking.payment_status,
+  payment_method: booking.payment_method,
+  credit_applied: Number(booking.credit_applied) || 0,
+  // Paid bookings can still owe a balance left by a reschedule
+  amount_due: booking.payment_status === 'refunded'
+    ? 0
+    : booking.payment_status === 'paid' ? Number(booking.balance_due) || 0 : booking.total_amount,
+  special_requests: booking.special_requests,
+  outing_id: booking.outing_id || null,
+  series_id: booking.series_id || null,
+  checked_in_at: booking.checked_in_at || null,
+  no_show_at: booking.no_show_at || null,
+  completed_at: booking.completed_at || null
+});
+
+// The tee sheet for a date: every slot on the grid (and any booking made
+// off it) with its bookings, plus counts for the day
+const buildTeeSheet = async (db, date) => {
+  const { data: settingsMap } = await db.adminSettings.getMap([
+    'course_open_time',
+    'course_close_time',
+    'tee_time_interval',
+    'max_players_per_booking'
+  ]);
+
+  const openTime = settingsMap.course_open_time || '07:00';
+  const closeTime = settingsMap.course_close_time || '19:00';
+  const interval = parseInt(settingsMap.tee_time_interval) || 15;
+  const capacity = parseInt(settingsMap.max_players_per_booking) || 4;
+
+  const { data: bookings, error } = await db.teeTimes.find({
+    booking_date: date,
+    status: { in: SHEET_STATUSES }
+  }, {
+    order: ['tee_time', 'created_at'],
+    include: { users: ['first_name', 'last_name', 'email', 'phone'] }
+  });
+
+  if (error) {
+    throw new AppError('Failed to fetch the tee sheet', 500);
+  }
+
+  const times = new Set();
+  // Wall-clock times, stepped in UTC so no daylight saving change can skip one
+  const start = moment.utc(`${date} ${openTime}`, 'YYYY-MM-DD HH:mm');
+  const end = moment.utc(`${date} ${closeTime}`, 'YYYY-MM-DD HH:mm');
+
+  while (start.isBefore(end)) {
+    times.add(start.format('HH:mm'));
+    start.add(interval, 'minutes');
+  }
+
+  const entries = bookings.map(sheetEntry);
+  entries.forEach(entry => times.add(entry.tee_time));
+
+  const [blocks, cartUsage] = await Promise.all([loadBlocks(db, date), loadCartUsage(db, date)]);
+
+  const slots = [...times].sort().map(time => {
+    const slotBookings = entries.filter(entry => entry.tee_time === time);
+    const players = slotBookings
+      .filter(entry => entry.status !== 'no_show')
+      .reduce((total, entry) => total + entry.number_of_players, 0);
+
+    return {
+      time,
+      players,
+      spots_remaining: slotBookings.some(entry => entry.is_private) ? 0 : Math.max(capacity - players, 0),
+      block: slotBlock(blocks, time),
+      carts_out: cartUsage.inUse(time),
+      bookings: slotBookings
+    };
+  });
+
+  const count = (predicate) => entries.filter(predicate).length;
+
+  return {
+    date,
+    capacity,
+    // Fleet carts in service today; null when carts are not limited
+    cart_fleet: cartUsage.fleet.tracked ? cartUsage.fleet.size : null,
+    slots,
+    summary: {
+      bookings: entries.length,
+      players: entries.reduce((total, entry) => total + entry.number_of_players, 0),
+      checked_in: count(entry => entry.sheet_status === 'checked_in'),
+      awaiting_check_in: count(entry => entry.sheet_status === 'confirmed'),
+      no_shows: count(entry => entry.status === 'no_show'),
+      completed: count(entry => entry.status === 'completed'),
+      unpaid: count(entry => entry.status !== 'no_show' && entry.amount_due > 0),
+      fleet_carts: entries
+        .filter(entry => entry.status !== 'no_show')
+        .reduce((total, entry) => total + entry.fleet_carts, 0)
+    }
+  };
+};
+
+// Complete the open bookings of a day that is over. Checked-in groups
+// are completed; groups that never checked in become no-shows unless
+// `auto_close_no_shows` is 'false'. `date` defaults to the course's today.
+// Returns the bookings changed.
+const closeTeeSheet = async (db, { date = null, now = new Date() } = {}) => {
+  const closeDate = date || await courseToday(db);
+  const markNoShows = String(await db.adminSettings.getValue('auto_close_no_shows', 'true')) !== 'false';
+
+  const { data: open, error } = await db.teeTimes.find(
+    { booking_date: { lte: closeDate }, status: 'confirmed' },
+    { columns: ['id', 'checked_in_at'] }
+  );
+
+  if (error) {
+    throw new Error(`Failed to find open bookings: ${error.message}`);
+  }
+
+  const completed = [];
+  const noShows = [];
+
+  for (const booking of open) {
+    const noShow = markNoShows && !booking.checked_in_at;
+    const { data, error: closeError } = await db.teeTimes.update(
+      // Re-check the status so a starter's change meanwhile wins
+      { id: booking.id, status: 'confirmed' },
+      noShow
+        ? { status: 'no_show', no_show_at: now.toISOString() }
+        : { status: 'completed', completed_at: now.toISOString() }
+    );
+
+    if (closeError) {
+      throw new Error(`Failed to close booking ${booking.id}: ${closeError.message}`);
+    }
+
+    (noShow ? noShows : completed).push(...data);
+  }
+
+  // Bring the no-show policy up to date for golfers who just missed a round
+  const userIds = [...new Set(noShows.map(booking => booking.user_id).filter(Boolean))];
+  for (const userId of userIds) {
+    await evaluateStanding(db, { userId });
+  }
+
+  return { completed, noShows };
+};
+
+// Give a group that checked in a rain check for the holes of its round it
+// did not get to play: the green fees it paid, pro rata. One per booking.
+// Returns the credit and the holes in the round.
+const issueRainCheck = async (db, booking, { holesPlayed, issuedBy = null, note = null }) => {
+  if (!booking.checked_in_at || !['confirmed', 'completed'].includes(booking.status)) {
+    throw new AppError('Rain checks are for groups that checked in', 400);
+  }
+
+  if (booking.payment_status !== 'paid') {
+    throw new AppError('Rain checks are for rounds that were paid', 400);
+  }
+
+  const holes = ROUND_HOLES[booking.green_fee_type] || 9;
+
+  if (holesPlayed >= holes) {
+    throw new AppError(`The group played its whole ${holes}-hole round`, 400);
+  }
+
+  const paid = (Number(booking.total_amount) || 0) - (Number(booking.balance_due) || 0);
+  const greenFees = Math.min(Number(booking.total_green_fees) || 0, paid);
+  const amount = roundCurrency(greenFees * (holes - holesPlayed) / holes);
+
+  if (amount <= 0) {
+    throw new AppError('No green fees were paid for this booking', 400);
+  }
+
+  const { data: issued } = await db.accountCredits.findOne({ idempotency_key: `rain-check:tee_time:${booking.id}` });
+
+  if (issued) {
+    throw new AppError('A rain check was already issued for this booking', 409);
+  }
+
+  const refund = await refundRainCheck(db, booking, amount, { holesPlayed, issuedBy, note });
+  const { data: credit } = await db.accountCredits.findOne({ payment_transaction_id: refund.id });
+
+  return { credit, holes };
+};
+
+module.exports = {
+  SHEET_STATUSES,
+  COUNTER_PAYMENT_METHODS,
+  ROUND_HOLES,
+  sheetEntry,
+  buildTeeSheet,
+  closeTeeSheet,
+  issueRainCheck
+};
@@ -0,0 +1,163 @@
+// Event blocks on the tee sheet
+//
+// An event with `blocks_tee_sheet` reserves tee sheet time from
+// block_start_time to block_end_time (the event's own start and end time
+// when not set; no end means the rest of the day). Its block_scope says what
+// is taken:
+//   course     - the whole course, e.g. a shotgun start: no tee times
+//   front_nine - the first tee: no tee times
+//   back_nine  - the second nine: tee times stay open for 9-hole rounds only
+const moment = require('moment');
+const sgMail = require('@sendgrid/mail');
+const { AppError } = require('../middleware/errorHandler');
+
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+const BLOCK_SCOPES = ['course', 'front_nine', 'back_nine'];
+
+// Event types that block the tee sheet unless the event says otherwise
+const BLOCKING_EVENT_TYPES = ['tournament', 'maintenance'];
+
+const toTime = (value) => String(value).slice(0, 5);
+
+// Start and end of the time an event takes off the tee sheet
+const blockWindow = (event) => ({
+  start: toTime(event.block_start_time || event.start_time),
+  end: event.block_end_time || event.end_time ? toTime(event.block_end_time || event.end_time) : null
+});
+
+const inWindow = (event, time) => {
+  const { start, end } = blockWindow(event);
+  return toTime(time) >= start && (!end || toTime(time) < end);
+};
+
+// Whether an event block keeps a booking off its tee time
+const blocksBooking = (event, { tee_time, green_fee_type }) =>
+  inWindow(event, tee_time) && (event.block_scope !== 'back_nine' || green_fee_type === 'all_day');
+
+// Blocking events on a date, or between two dates
+const loadBlocks = async (db, from, to = from) => {
+  const { data: events, error } = await db.events.find({
+    event_date: from === to ? from : { gte: from, lte: to },
+    blocks_tee_sheet: true,
+    status: { neq: 'cancelled' }
+  }, {
+    columns: ['id', 'title', 'event_type', 'event_date', 'start_time', 'end_time', 'block_scope', 'block_start_time', 'block_end_time'],
+    order: ['start_time']
+  });
+
+  if (error) {
+    throw new AppError('Failed to load tee sheet blocks', 500);
+  }
+
+  return events;
+};
+
+// The block covering a tee time and what it leaves open, for availability
+const slotBlock = (blocks, time) => {
+  const covering = blocks.filter(event => inWindow(event, time));
+  const closed = covering.find(event => event.block_scope !== 'back_nine');
+  const block = closed || covering[0];
+
+  if (!block) {
+    return null;
+  }
+
+  return {
+    event_id: block.id,
+    title: block.title,
+    scope: block.block_scope,
+    nine_holes_only: !closed
+  };
+};
+
+// Throw a 409 AppError when an event block keeps a booking or hold off its
+// tee time; holds pass no green fee type, so only full blocks stop them
+const assertSlotOpen = async (db, { booking_date, tee_time, green_fee_type }) => {
+  const blocks = await loadBlocks(db, booking_date);
+  const block = blocks.find(event => blocksBooking(event, { tee_time, green_fee_type }));
+
+  if (!block) {
+    return;
+  }
+
+  if (block.block_scope === 'back_nine') {
+    throw new AppError(`Only 9-hole rounds can start at ${toTime(tee_time)} during ${block.title}`, 409);
+  }
+
+  throw new AppError(`This tee time is reserved for ${block.title}`, 409);
+};
+
+// Confirmed bookings an event block collides with
+const findConflictingBookings = async (db, event) => {
+  if (!event.blocks_tee_sheet || event.status === 'cancelled') {
+    return [];
+  }
+
+  const { data: bookings, error } = await db.teeTimes.find(
+    { booking_date: event.event_date, status: 'confirmed' },
+    { order: ['tee_time'] }
+  );
+
+  if (error) {
+    throw new AppError('Failed to load bookings', 500);
+  }
+
+  return bookings.filter(booking => blocksBooking(event, booking));
+};
+
+const sendBlockNotice = async (booking, event, { movedTo = null, message = null } = {}) => {
+  if (!process.env.SENDGRID_API_KEY || !booking.primary_player_email) {
+    return false;
+  }
+
+  const date = moment(booking.booking_date).format('dddd, MMMM D');
+  const time = moment(toTime(booking.tee_time), 'HH:mm').format('h:mm A');
+  const change = movedTo
+    ? `<p>We have moved your tee time to <strong>${moment(movedTo, 'HH:mm').format('h:mm A')}</strong> the same day.</p>`
+    : '<p>Please contact the pro shop to move or cancel your booking.</p>';
+
+  try {
+    await sgMail.send({
+      to: booking.primary_player_email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@rookscountygolf.com',
+        name: process.env.SENDGRID_FROM_NAME || 'Rooks County Golf Course'
+      },
+      subject: `Your ${time} tee time on ${date}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="text-align: center; padding: 20px; background-color: #2d5016; color: white;">
+            <h1 style="margin: 0;">🏌️ Rooks County Golf Course</h1>
+          </div>
+
+          <div style="padding: 30px; background-color: #fff;">
+            <p>Hi ${booking.primary_player_name || 'there'},</p>
+            <p>The course is reserved for ${event.title} around your ${time} tee time on ${date}.</p>
+            ${change}
+            ${message ? `<p>${message}</p>` : ''}
+            <p>We're sorry for the inconvenience.</p>
+          </div>
+        </div>
+      `
+    });
+    return true;
+  } catch (emailError) {
+    console.error('Failed to send tee sheet block notice:', emailError);
+    return false;
+  }
+};
+
+module.exports = {
+  BLOCK_SCOPES,
+  BLOCKING_EVENT_TYPES,
+  blockWindow,
+  blocksBooking,
+  loadBlocks,
+  slotBlock,
+  assertSlotOpen,
+  findConflictingBookings,
+  sendBlockNotice
+};
@@ -0,0 +1,309 @@
+// Tee sheet delays
+//
+// A frost or weather delay pushes every confirmed booking from `fromTime`
+// up to (not including) `toTime` back by the same number of minutes. Groups
+// keep their order: each one goes to the first tee time at or after its own
+// time plus the delay, and no earlier than the group before it, that can
+// take it around the bookings that stay put, active holds, private groups
+// and event blocks. A group that cannot get its exact new time is reported
+// as a collision; one that would tee off at or after closing is overflow
+// and keeps its tee time for the pro shop to sort out. Moves go through
+// reschedule_tee_time (without any price change), which also refuses a
+// group whose carts the fleet cannot spare at the new time (another
+// collision), and are logged in each booking's history as a 'delay' with
+// the reason. A move that fails outright is a collision too: the group
+// keeps its tee time and the rest of the delay goes ahead.
+const crypto = require('crypto');
+const moment = require('moment');
+const sgMail = require('@sendgrid/mail');
+const { AppError } = require('../middleware/errorHandler');
+const { loadBlocks, blocksBooking } = require('./teeSheetBlocks');
+const { snapshot } = require('./bookingChanges');
+const { loadRoundMinutes } = require('./carts');
+
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+const toTime = (value) => String(value).slice(0, 5);
+
+// `time` plus `minutes` on the same day (null past midnight); wall-clock
+// arithmetic, in UTC so no daylight saving change shifts it
+const addMinutes = (date, time, minutes) => {
+  const later = moment.utc(`${date} ${time}`, 'YYYY-MM-DD HH:mm').add(minutes, 'minutes');
+  return later.format('YYYY-MM-DD') === date ? later.format('HH:mm') : null;
+};
+
+const summary = (booking) => ({
+  id: booking.id,
+  primary_player_name: booking.primary_player_name,
+  number_of_players: booking.number_of_players,
+  from: toTime(booking.tee_time)
+});
+
+// Players and privacy per tee time, for the groups that are not moving
+const slotUsage = (rows) => rows.reduce((usage, row) => {
+  const time = toTime(row.tee_time);
+  const slot = usage.get(time) || { players: 0, isPrivate: false };
+  usage.set(time, {
+    players: slot.players + row.number_of_players,
+    isPrivate: slot.isPrivate || !!row.is_private
+  });
+  return usage;
+}, new Map());
+
+// Whether a tee time can take `booking` on top of what it already has, as
+// assert_tee_time_capacity decides
+const fits = (slot = { players: 0, isPrivate: false }, booking, capacity) =>
+  !slot.isPrivate &&
+  !(booking.is_private && slot.players > 0) &&
+  slot.players + booking.number_of_players <= capacity;
+
+// Place the moving bookings in order around `fixed` (bookings and holds that
+// stay put); returns the placements and the bookings that ran past closing
+const planMoves = ({ date, bookings, fixed, times, closeTime, blocks, capacity, minutes }) => {
+  const usage = slotUsage(fixed);
+  const placements = [];
+  const overflow = [];
+  let earliest = null;
+
+  bookings.forEach(booking => {
+    const requested = addMinutes(date, toTime(booking.tee_time), minutes);
+    const floor = earliest && earliest > requested ? earliest : requested;
+    const candidates = requested
+      ? [...new Set([floor, ...times.filter(time => time > floor)])].filter(time => time < closeTime)
+      : [];
+    const target = candidates.find(time =>
+      fits(usage.get(time), booking, capacity) &&
+      !blocks.some(event => blocksBooking(event, { tee_time: time, green_fee_type: booking.green_fee_type })));
+
+    if (!target) {
+      overflow.push({ booking, requested });
+      return;
+    }
+
+    const slot = usage.get(target) || { players: 0, isPrivate: false };
+    usage.set(target, {
+      players: slot.players + booking.number_of_players,
+      isPrivate: slot.isPrivate || !!booking.is_private
+    });
+    placements.push({ booking, requested, target });
+    earliest = target;
+  });
+
+  return { placements, overflow };
+};
+
+const sendDelayNotice = async (booking, { movedTo = null, minutes, reason }) => {
+  if (!process.env.SENDGRID_API_KEY || !booking.primary_player_email) {
+    return false;
+  }
+
+  const date = moment(booking.booking_date).format('dddd, MMMM D');
+  const time = moment(toTime(booking.tee_time), 'HH:mm').format('h:mm A');
+  const change = movedTo
+    ? `<p>Your new tee time is <strong>${moment(movedTo, 'HH:mm').format('h:mm A')}</strong>.</p>`
+    : '<p>We could not find a later tee time for your group before closing. Please contact the pro shop to move or cancel your booking.</p>';
+
+  try {
+    await sgMail.send({
+      to: booking.primary_player_email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@rookscountygolf.com',
+        name: process.env.SENDGRID_FROM_NAME || 'Rooks County Golf Course'
+      },
+      subject: `Your ${time} tee time on ${date} is delayed`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="text-align: center; padding: 20px; background-color: #2d5016; color: white;">
+            <h1 style="margin: 0;">🏌️ Rooks County Golf Course</h1>
+          </div>
+
+          <div style="padding: 30px; background-color: #fff;">
+            <p>Hi ${booking.primary_player_name || 'there'},</p>
+            <p>Tee times on ${date} are running ${minutes} minutes late${reason ? ` (${reason})` : ''}.</p>
+            ${change}
+            <p>We're sorry for the inconvenience.</p>
+          </div>
+        </div>
+      `
+    });
+    return true;
+  } catch (emailError) {
+    console.error('Failed to send tee sheet delay notice:', emailError);
+    return false;
+  }
+};
+
+// Outings start with their first group
+const refreshOutingStarts = async (db, outingIds) => {
+  for (const outingId of outingIds) {
+    const { data: slots } = await db.teeTimes.find(
+      { outing_id: outingId, status: 'confirmed' },
+      { columns: ['tee_time'], order: ['tee_time'], limit: 1 }
+    );
+
+    if (slots?.length > 0) {
+      await db.outings.updateById(outingId, { start_time: toTime(slots[0].tee_time) });
+    }
+  }
+};
+
+// Delay the bookings on `date` from `fromTime` up to `toTime` by `minutes`.
+// With `dryRun` nothing changes and the plan comes back as it would run.
+// Returns the moved bookings, the collisions (moved later than asked, or
+// taken by someone else meanwhile) and the overflow past closing.
+const delayTeeSheet = async (db, {
+  date,
+  fromTime,
+  toTime: untilTime,
+  minutes,
+  reason = null,
+  changedBy = null,
+  notify = true,
+  dryRun = false
+}) => {
+  const { data: settingsMap } = await db.adminSettings.getMap([
+    'course_open_time',
+    'course_close_time',
+    'tee_time_interval',
+    'max_players_per_booking'
+  ]);
+
+  const openTime = settingsMap.course_open_time || '07:00';
+  const closeTime = settingsMap.course_close_time || '19:00';
+  const interval = parseInt(settingsMap.tee_time_interval) || 15;
+  const capacity = parseInt(settingsMap.max_players_per_booking) || 4;
+
+  if (minutes % interval !== 0) {
+    throw new AppError(`Delays must be a multiple of the ${interval}-minute tee time interval`, 400);
+  }
+
+  const [{ data: bookings, error }, { data: holds, error: holdsError }] = await Promise.all([
+    db.teeTimes.find({ booking_date: date, status: 'confirmed' }, { order: ['tee_time', 'created_at'] }),
+    db.teeTimeHolds.findActive({ booking_date: date })
+  ]);
+
+  if (error || holdsError) {
+    throw new AppError('Failed to load the tee sheet', 500);
+  }
+
+  const delayed = (booking) => toTime(booking.tee_time) >= fromTime && toTime(booking.tee_time) < untilTime;
+  const moving = bookings.filter(delayed);
+
+  const times = [];
+  // Wall-clock times, stepped in UTC so no daylight saving change can skip one
+  const start = moment.utc(`${date} ${openTime}`, 'YYYY-MM-DD HH:mm');
+  const end = moment.utc(`${date} ${closeTime}`, 'YYYY-MM-DD HH:mm');
+
+  while (start.isBefore(end)) {
+    times.push(start.format('HH:mm'));
+    start.add(interval, 'minutes');
+  }
+
+  const context = {
+    date,
+    times,
+    closeTime,
+    blocks: await loadBlocks(db, date),
+    capacity,
+    minutes
+  };
+
+  // Groups that overflow keep their tee time, so plan again around them
+  // until the overflow settles
+  let staying = [];
+  let plan;
+  do {
+    const kept = staying;
+    plan = planMoves({
+      ...context,
+      bookings: moving.filter(booking => !kept.includes(booking)),
+      fixed: [...bookings.filter(booking => !delayed(booking)), ...holds, ...kept]
+    });
+    staying = [...kept, ...plan.overflow.map(({ booking }) => booking)];
+  } while (plan.overflow.length > 0);
+
+  const overflow = moving
+    .filter(booking => staying.includes(booking))
+    .map(booking => ({
+      ...summary(booking),
+      requested: addMinutes(date, toTime(booking.tee_time), minutes),
+      notified: false
+    }));
+
+  const moved = [];
+  const collisions = [];
+
+  if (dryRun) {
+    plan.placements.forEach(({ booking, requested, target }) => {
+      moved.push({ ...summary(booking), to: target, notified: false });
+      if (target !== requested) {
+        collisions.push({ ...summary(booking), requested, to: target });
+      }
+    });
+
+    return { moved, collisions, overflow };
+  }
+
+  const roundMinutes = await loadRoundMinutes(db);
+
+  // Latest first, so every group's new tee time has been vacated by anyone
+  // moving on from it
+  const placements = [...plan.placements].sort((a, b) => b.target.localeCompare(a.target));
+
+  for (const { booking, requested, target } of placements) {
+    const previous = snapshot(booking);
+    const { data: updated, error: moveError } = await db.teeTimes.reschedule(booking.id, {
+      previous,
+      changes: { ...previous, tee_time: target },
+      change: {
+        id: crypto.randomUUID(),
+        changed_by: changedBy,
+        change_type: 'delay',
+        amount_difference: 0,
+        settlement: 'none',
+        note: reason
+      }
+    }, { capacity, roundMinutes });
+
+    // A group that could not be moved, for whatever reason, keeps its tee
+    // time and is reported, so the groups already moved are still listed
+    // and told
+    if (moveError?.code === '23505' || moveError?.code === '40001') {
+      collisions.push({ ...summary(booking), requested, to: null, message: moveError.message });
+      continue;
+    }
+
+    if (moveError || !updated) {
+      console.error('Failed to delay booking:', booking.id, moveError);
+      collisions.push({ ...summary(booking), requested, to: null, message: 'Failed to move this booking' });
+      continue;
+    }
+
+    moved.push({ ...summary(booking), to: target, notified: false });
+    if (target !== requested) {
+      collisions.push({ ...summary(booking), requested, to: target });
+    }
+  }
+
+  moved.sort((a, b) => a.from.localeCompare(b.from));
+  collisions.sort((a, b) => a.from.localeCompare(b.from));
+
+  await refreshOutingStarts(db, [...new Set(moving
+    .filter(booking => booking.outing_id && moved.some(entry => entry.id === booking.id))
+    .map(booking => booking.outing_id))]);
+
+  if (notify) {
+    for (const entry of [...moved, ...overflow]) {
+      const booking = moving.find(candidate => candidate.id === entry.id);
+      entry.notified = await sendDelayNotice(booking, { movedTo: entry.to || null, minutes, reason });
+    }
+  }
+
+  return { moved, collisions, overflow };
+};
+
+module.exports = {
+  delayTeeSheet
+};
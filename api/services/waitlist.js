@@ -0,0 +1,181 @@
+// Tee time waitlist offers
+//
+// When spots free up in a slot (a cancellation, a released or expired hold,
+// an expired offer), the slot is offered to waiting golfers whose date, time
+// window and group size match, oldest entry first. Each offer places a hold
+// on the spots for `waitlist_offer_minutes`, so a slot is never promised to
+// more golfers than it can take, and emails a claim link that works until
+// the hold expires.
+const moment = require('moment-timezone');
+const sgMail = require('@sendgrid/mail');
+const { loadBlocks, slotBlock } = require('./teeSheetBlocks');
+const { courseTimezone, slotMoment } = require('./courseTime');
+
+if (process.env.SENDGRID_API_KEY) {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+const toTime = (value) => String(value).slice(0, 5);
+
+// Link the golfer follows to claim an offer; the hold token proves it is theirs
+const claimLink = (entry, hold) =>
+  `${process.env.PRODUCTION_URL || 'http://localhost:3000'}/?waitlist=${entry.id}&token=${hold.hold_token}`;
+
+const sendOfferEmail = async (entry, hold, timezone) => {
+  if (!process.env.SENDGRID_API_KEY || !entry.users?.email) {
+    return;
+  }
+
+  const date = moment(entry.booking_date).format('dddd, MMMM D');
+  const time = moment(toTime(hold.tee_time), 'HH:mm').format('h:mm A');
+  const expires = moment(hold.expires_at).tz(timezone).format('h:mm A');
+
+  try {
+    await sgMail.send({
+      to: entry.users.email,
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@rookscountygolf.com',
+        name: process.env.SENDGRID_FROM_NAME || 'Rooks County Golf Course'
+      },
+      subject: `A tee time opened up on ${date}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="text-align: center; padding: 20px; background-color: #2d5016; color: white;">
+            <h1 style="margin: 0;">🏌️ Rooks County Golf Course</h1>
+          </div>
+
+          <div style="padding: 30px; background-color: #fff;">
+            <p>Hi ${entry.users.first_name || 'there'},</p>
+            <p>Good news: ${time} on ${date} is now open for your group of ${entry.number_of_players}.</p>
+            <p>We're holding it for you until ${expires}.</p>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${claimLink(entry, hold)}" style="background-color: #2d5016; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Claim this tee time</a>
+            </p>
+            <p style="font-size: 14px; color: #666;">If you no longer need it, just ignore this email and the time will go to the next golfer on the list.</p>
+          </div>
+        </div>
+      `
+    });
+  } catch (emailError) {
+    console.error('Failed to send waitlist offer email:', emailError);
+  }
+};
+
+// Offer one freed slot to matching waitlist entries; returns the offered entries
+const offerFreedSpots = async (db, { booking_date, tee_time }) => {
+  const time = toTime(tee_time);
+  const timezone = await courseTimezone(db);
+
+  if (slotMoment(timezone, booking_date, time).isBefore(moment())) {
+    return [];
+  }
+
+  // Spots freed inside an event block are not bookable
+  const block = slotBlock(await loadBlocks(db, booking_date), time);
+  if (block && !block.nine_holes_only) {
+    return [];
+  }
+
+  const { data: settingsMap } = await db.adminSettings.getMap([
+    'max_players_per_booking',
+    'waitlist_offer_minutes'
+  ]);
+
+  const capacity = parseInt(settingsMap.max_players_per_booking) || 4;
+  const offerMinutes = parseInt(settingsMap.waitlist_offer_minutes) || 60;
+
+  const { data: entries, error } = await db.waitlistEntries.find({
+    booking_date,
+    status: 'waiting',
+    earliest_time: { lte: time },
+    latest_time: { gte: time }
+  }, {
+    order: ['created_at'],
+    include: { users: ['first_name', 'email'] }
+  });
+
+  if (error) {
+    throw new Error(`Failed to load waitlist: ${error.message}`);
+  }
+
+  const offers = [];
+
+  for (const entry of entries) {
+    const { data: hold, error: holdError } = await db.teeTimeHolds.place({
+      user_id: entry.user_id,
+      booking_date,
+      tee_time: time,
+      number_of_players: entry.number_of_players
+    }, { capacity, ttlMinutes: offerMinutes });
+
+    // Not enough room for this group; a smaller one further down may fit
+    if (holdError?.code === '23505') {
+      continue;
+    }
+
+    if (holdError) {
+      throw new Error(`Failed to hold tee time for waitlist: ${holdError.message}`);
+    }
+
+    // Only offer if the entry is still waiting (it may have been offered
+    // another slot or cancelled meanwhile); otherwise give the spots back
+    const { data: offered } = await db.waitlistEntries.update({ id: entry.id, status: 'waiting' }, {
+      status: 'offered',
+      offered_tee_time: time,
+      hold_id: hold.id,
+      offered_at: new Date().toISOString(),
+      offer_expires_at: hold.expires_at
+    });
+
+    if (!offered?.length) {
+      await db.teeTimeHolds.updateById(hold.id, { status: 'released' });
+      continue;
+    }
+
+    await sendOfferEmail(entry, hold, timezone);
+    offers.push(offered[0]);
+  }
+
+  return offers;
+};
+
+// Offer each distinct slot in turn. Failures are logged rather than thrown,
+// so the cancellation or sweep that freed the spots still succeeds.
+const offerFreedSlots = async (db, slots) => {
+  const unique = new Map();
+  slots.forEach(({ booking_date, tee_time }) => {
+    unique.set(`${booking_date} ${toTime(tee_time)}`, { booking_date, tee_time });
+  });
+
+  const offers = [];
+
+  for (const slot of unique.values()) {
+    try {
+      offers.push(...await offerFreedSpots(db, slot));
+    } catch (error) {
+      console.error('Failed to offer freed tee time to waitlist:', error);
+    }
+  }
+
+  return offers;
+};
+
+// Mark offers whose claim window has passed as expired; returns the entries
+const expireOffers = async (db, { now = new Date() } = {}) => {
+  const { data, error } = await db.waitlistEntries.update(
+    { status: 'offered', offer_expires_at: { lte: now.toISOString() } },
+    { status: 'expired' }
+  );
+
+  if (error) {
+    throw new Error(`Failed to expire waitlist offers: ${error.message}`);
+  }
+
+  return data;
+};
+
+module.exports = {
+  offerFreedSpots,
+  offerFreedSlots,
+  expireOffers
+};
@@ -27,6 +27,7 @@ function initializeWebsite() {
     initializeBookingModal();
     initializeAuthModal();
     initializeCalendar();
+    initializeWaitlistClaim();
     initializeContactForm();
     initializeAnimations();
     initializeScrollEffects();
@@ -40,8 +41,8 @@ function initializeNavigation() {
     
     // Smooth scrolling for navigation links
     navLinks.forEach(link => {
-        // Exclude the login/logout button from smooth scrolling
-        if (link.id === 'loginLogoutBtn') {
+        // Exclude the login/logout button and links to other pages from smooth scrolling
+        if (link.id === 'loginLogoutBtn' || !link.getAttribute('href').startsWith('#')) {
             return; 
         }
 
@@ -277,6 +278,7 @@ async function checkLoginStatus() {
                 const userData = await response.json();
                 loginLogoutBtn.textContent = `Logout (${userData.user.first_name})`;
                 loginLogoutBtn.classList.add('logged-in');
+                showMyBookingsLink(true);
                 // Store full user data including role
                 localStorage.setItem('user', JSON.stringify(userData.user));
             } else {
@@ -293,6 +295,7 @@ async function checkLoginStatus() {
                         const userData = await retryResponse.json();
                         loginLogoutBtn.textContent = `Logout (${userData.user.first_name})`;
                         loginLogoutBtn.classList.add('logged-in');
+                        showMyBookingsLink(true);
                         localStorage.setItem('user', JSON.stringify(userData.user));
                     } else {
                         handleLogout(false); // Force logout if refresh fails
@@ -310,6 +313,13 @@ async function checkLoginStatus() {
     }
 }
 
+// Signed-in golfers get a link to their bookings
+function showMyBookingsLink(visible) {
+    document.querySelectorAll('.my-bookings-link').forEach(link => {
+        link.hidden = !visible;
+    });
+}
+
 // Handle Logout
 async function handleLogout(callApi = true) {
     const loginLogoutBtn = document.getElementById('loginLogoutBtn');
@@ -330,6 +340,7 @@ async function handleLogout(callApi = true) {
     localStorage.removeItem('user');
     loginLogoutBtn.textContent = 'Login';
     loginLogoutBtn.classList.remove('logged-in');
+    showMyBookingsLink(false);
     alert('You have been logged out.');
 }
 
@@ -360,14 +371,275 @@ async function refreshAccessToken() {
     }
 }
 
+// A calendar date as YYYY-MM-DD in the golfer's own timezone. toISOString()
+// would give the UTC date, a day off for evening golfers west of UTC.
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 // Calendar functionality
 function initializeCalendar() {
     const currentDate = new Date();
     let selectedDate = null;
     let selectedTime = null;
+    let selectedSlot = null;
+    let currentHold = null;
+    let cartsAvailableToday = true;
     
     renderCalendar(currentDate);
     
+    // Give back the spots held for the previous selection
+    function releaseHold() {
+        if (!currentHold) return;
+        
+        fetch(`${API_BASE_URL}/bookings/holds/${currentHold.id}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ hold_token: currentHold.hold_token })
+        }).catch(error => console.error('Error releasing hold:', error));
+        
+        currentHold = null;
+        showHoldNotice(null);
+    }
+    
+    function showHoldNotice(hold) {
+        const timeSlotsContainer = document.querySelector('.time-slots');
+        if (!timeSlotsContainer) return;
+        
+        let notice = document.querySelector('.hold-notice');
+        if (!hold) {
+            notice?.remove();
+            return;
+        }
+        
+        if (!notice) {
+            notice = document.createElement('p');
+            notice.className = 'hold-notice';
+            timeSlotsContainer.after(notice);
+        }
+        
+        const until = new Date(hold.expires_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        notice.textContent = `We're holding ${hold.tee_time} for you until ${until}.`;
+    }
+    
+    // Hold the selected slot for the chosen group while the form is filled in
+    async function holdSelectedSlot() {
+        if (!selectedDate || !selectedSlot) return;
+        
+        const form = document.querySelector('.booking-form');
+        const players = parseInt(form?.querySelector('select[name="players"]')?.value) || 1;
+        const isPrivate = !!form?.querySelector('input[name="private"]')?.checked;
+        
+        releaseHold();
+        
+        const accessToken = localStorage.getItem('accessToken');
+        const headers = { 'Content-Type': 'application/json' };
+        if (accessToken) {
+            headers['Authorization'] = `Bearer ${accessToken}`;
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookings/holds`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({
+                    booking_date: formatDate(selectedDate),
+                    tee_time: selectedSlot.time,
+                    number_of_players: players,
+                    is_private: isPrivate
+                })
+            });
+            const data = await response.json();
+            
+            if (response.ok) {
+                currentHold = data.hold;
+                showHoldNotice(currentHold);
+                updateQuote();
+            } else if (response.status === 409) {
+                // Someone else got there first; show the slot as it is now
+                alert(data.error || data.message);
+                selectedTime = null;
+                selectedSlot = null;
+                updateBookingOptions(null);
+                updateQuote();
+                await fetchTimeSlots(selectedDate);
+            }
+        } catch (error) {
+            console.error('Error holding tee time:', error);
+        }
+    }
+    
+    document.querySelectorAll('.booking-form select[name="players"], .booking-form input[name="private"]').forEach(input => {
+        input.addEventListener('change', holdSelectedSlot);
+    });
+    
+    // Offer the rate classes the course has set up
+    async function loadRateClasses() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookings/rate-classes`);
+            const data = await response.json();
+            if (!response.ok) return;
+            
+            document.querySelectorAll('.booking-form select[name="rate_class"]').forEach(select => {
+                select.innerHTML = '';
+                data.rate_classes.forEach(rateClass => {
+                    const option = document.createElement('option');
+                    option.value = rateClass.code;
+                    option.textContent = rateClass.description
+                        ? `${rateClass.name} (${rateClass.description})`
+                        : rateClass.name;
+                    select.appendChild(option);
+                });
+            });
+        } catch (error) {
+            console.error('Error loading rate classes:', error);
+        }
+    }
+    
+    // Show the exact price of the current selection before it is booked
+    async function updateQuote() {
+        const form = document.querySelector('.booking-form');
+        const quoteElement = form?.querySelector('.booking-quote');
+        if (!quoteElement) return;
+        
+        const players = parseInt(form.querySelector('select[name="players"]')?.value);
+        if (!selectedDate || !selectedSlot || !players) {
+            quoteElement.textContent = '';
+            return;
+        }
+        
+        const params = new URLSearchParams({
+            booking_date: formatDate(selectedDate),
+            tee_time: selectedSlot.time,
+            number_of_players: players,
+            green_fee_type: form.querySelector('select[name="green_fee_type"]')?.value || 'all_day',
+            rate_class: form.querySelector('select[name="rate_class"]')?.value || 'standard',
+            ...cartFields(form.querySelector('select[name="cart"]')?.value)
+        });
+        if (currentHold) {
+            params.set('hold_id', currentHold.id);
+        }
+        
+        const accessToken = localStorage.getItem('accessToken');
+        const headers = accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {};
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookings/quote?${params}`, { headers });
+            const data = await response.json();
+            
+            if (response.ok) {
+                const { quote, cancellation_policy: policy } = data;
+                const details = [`$${quote.green_fee_per_player.toFixed(2)} per player`, quote.rate_class_name];
+                if (quote.time_period === 'twilight') details.push('twilight');
+                if (quote.total_cart_fees > 0) details.push(`cart $${quote.total_cart_fees.toFixed(2)}`);
+                quoteElement.textContent = `Total: $${quote.total_amount.toFixed(2)} (${details.join(', ')})`;
+                // Show the cancellation terms before the golfer confirms
+                if (policy) quoteElement.textContent += ` ${policy.summary}`;
+            } else {
+                quoteElement.textContent = data.error || data.message;
+            }
+        } catch (error) {
+            console.error('Error fetching quote:', error);
+            quoteElement.textContent = '';
+        }
+    }
+    
+    loadRateClasses();
+    
+    document.querySelectorAll('.booking-form select[name="cart"], .booking-form select[name="green_fee_type"], .booking-form select[name="rate_class"]').forEach(input => {
+        input.addEventListener('change', updateQuote);
+    });
+    
+    // A longer round needs its carts for longer
+    document.querySelectorAll('.booking-form select[name="green_fee_type"]').forEach(input => {
+        input.addEventListener('change', () => updateCartOption(selectedSlot));
+    });
+    
+    // Describe how full a shared tee time is
+    function spotsLabel(slot, capacity) {
+        if (slot.block && !slot.block.nine_holes_only) return slot.block.title;
+        if (slot.is_private) return 'Private group';
+        if (!slot.released) {
+            const opensAt = new Date(slot.opens_at).toLocaleString(undefined, {
+                weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            });
+            return slot.members_only ? `Members only until ${opensAt}` : `Opens ${opensAt}`;
+        }
+        if (slot.spots_remaining === 0) return 'Full';
+        if (slot.spots_remaining === capacity) return `${capacity} spots open`;
+        return `${slot.spots_remaining} of ${capacity} open`;
+    }
+    
+    // Only offer player counts, rounds and the private option the selected slot can take
+    function updateBookingOptions(slot) {
+        const playersSelect = document.querySelector('.booking-form select[name="players"]');
+        const privateCheckbox = document.querySelector('.booking-form input[name="private"]');
+        const greenFeeSelect = document.querySelector('.booking-form select[name="green_fee_type"]');
+        
+        if (playersSelect) {
+            Array.from(playersSelect.options).forEach(option => {
+                if (!option.value) return;
+                option.disabled = slot ? parseInt(option.value) > slot.spots_remaining : false;
+            });
+            if (playersSelect.selectedOptions[0]?.disabled) {
+                playersSelect.value = '';
+            }
+        }
+        
+        if (privateCheckbox) {
+            privateCheckbox.disabled = slot ? !slot.private_available : false;
+            if (privateCheckbox.disabled) {
+                privateCheckbox.checked = false;
+            }
+        }
+        
+        // An event on the back nine leaves time for 9-hole rounds only
+        if (greenFeeSelect) {
+            const allDay = greenFeeSelect.querySelector('option[value="all_day"]');
+            if (allDay) {
+                allDay.disabled = !!slot?.block?.nine_holes_only;
+                if (allDay.disabled && greenFeeSelect.value === 'all_day') {
+                    greenFeeSelect.value = '9_holes';
+                }
+            }
+        }
+        
+        updateCartOption(slot);
+    }
+
+    // The cart choice as the API takes it: "yes" shares carts, "single" rides one to a cart
+    function cartFields(value) {
+        return {
+            cart_rental: value === 'yes' || value === 'single',
+            cart_sharing: value === 'single' ? 'single' : 'shared'
+        };
+    }
+
+    // Carts can be closed for the day when the course is too wet for them,
+    // and a tee time runs out of carts while earlier rounds have them out
+    function updateCartOption(slot) {
+        const cartSelect = document.querySelector('.booking-form select[name="cart"]');
+        if (!cartSelect) return;
+
+        const greenFeeType = document.querySelector('.booking-form select[name="green_fee_type"]')?.value || 'all_day';
+        const cartsLeft = slot?.carts_remaining ? slot.carts_remaining[greenFeeType] : null;
+        let unavailable = null;
+        if (!cartsAvailableToday) unavailable = 'Carts not available today';
+        else if (cartsLeft === 0) unavailable = 'No carts left at this time';
+
+        cartSelect.querySelectorAll('option:not([value="no"])').forEach(option => {
+            option.dataset.label = option.dataset.label || option.textContent;
+            option.disabled = !!unavailable;
+            option.textContent = unavailable || option.dataset.label;
+        });
+        if (unavailable && cartSelect.value !== 'no') {
+            cartSelect.value = 'no';
+            updateQuote();
+        }
+    }
+
     function renderCalendar(date) {
         const calendarGrid = document.querySelector('.calendar-grid');
         const monthYear = document.querySelector('.month-year');
@@ -429,6 +701,11 @@ function initializeCalendar() {
                     // Select current day
                     this.classList.add('selected');
                     selectedDate = new Date(year, month, day);
+                    selectedTime = null;
+                    selectedSlot = null;
+                    releaseHold();
+                    updateBookingOptions(null);
+                    updateQuote();
                     
                     // Fetch and update available time slots
                     await fetchTimeSlots(selectedDate);
@@ -446,17 +723,36 @@ function initializeCalendar() {
         timeSlotsContainer.innerHTML = '<p>Loading available times...</p>';
         
         try {
-            const formattedDate = date.toISOString().split('T')[0];
-            const response = await fetch(`${API_BASE_URL}/bookings/availability?date=${formattedDate}`);
+            const formattedDate = formatDate(date);
+            // Signed-in members see the tee times released to members
+            const accessToken = localStorage.getItem('accessToken');
+            const response = await fetch(`${API_BASE_URL}/bookings/availability?date=${formattedDate}`, {
+                headers: accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}
+            });
             const data = await response.json();
 
             if (response.ok) {
                 timeSlotsContainer.innerHTML = ''; // Clear loading message
+                cartsAvailableToday = data.cart_availability !== false;
+                updateCartOption(null);
                 if (data.time_slots && data.time_slots.length > 0) {
                     data.time_slots.forEach(slot => {
                         const timeSlot = document.createElement('div');
                         timeSlot.className = 'time-slot';
-                        timeSlot.textContent = slot.time;
+                        
+                        const timeLabel = document.createElement('span');
+                        timeLabel.className = 'slot-time';
+                        timeLabel.textContent = slot.time;
+                        
+                        const spots = document.createElement('span');
+                        spots.className = 'slot-spots';
+                        spots.textContent = spotsLabel(slot, data.capacity);
+                        
+                        timeSlot.append(timeLabel, spots);
+                        
+                        if (slot.available && slot.booked_players > 0) {
+                            timeSlot.classList.add('partial');
+                        }
                         
                         if (!slot.available) {
                             timeSlot.classList.add('unavailable');
@@ -470,6 +766,9 @@ function initializeCalendar() {
                                 // Select current time
                                 this.classList.add('selected');
                                 selectedTime = slot.time;
+                                selectedSlot = slot;
+                                updateBookingOptions(slot);
+                                holdSelectedSlot();
                             });
                         }
                         timeSlotsContainer.appendChild(timeSlot);
@@ -477,6 +776,16 @@ function initializeCalendar() {
                 } else {
                     timeSlotsContainer.innerHTML = '<p>No tee times available for this date.</p>';
                 }
+                
+                // Signed-in golfers can wait for a time to open up
+                if (localStorage.getItem('accessToken')) {
+                    const waitlistButton = document.createElement('button');
+                    waitlistButton.type = 'button';
+                    waitlistButton.className = 'waitlist-join';
+                    waitlistButton.textContent = 'No time that suits? Join the waitlist';
+                    waitlistButton.addEventListener('click', () => joinWaitlist(date));
+                    timeSlotsContainer.appendChild(waitlistButton);
+                }
             } else {
                 timeSlotsContainer.innerHTML = `<p>Error fetching times: ${data.error || data.message}</p>`;
             }
@@ -486,6 +795,42 @@ function initializeCalendar() {
         }
     }
     
+    // Ask to be emailed when a time in the chosen window frees up
+    async function joinWaitlist(date) {
+        const earliestTime = prompt('Earliest tee time you could make (HH:MM)', '07:00');
+        if (!earliestTime) return;
+        const latestTime = prompt('Latest tee time you could make (HH:MM)', '12:00');
+        if (!latestTime) return;
+        
+        const players = parseInt(document.querySelector('.booking-form select[name="players"]')?.value) || 1;
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/waitlist`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+                },
+                body: JSON.stringify({
+                    booking_date: formatDate(date),
+                    earliest_time: earliestTime,
+                    latest_time: latestTime,
+                    number_of_players: players
+                })
+            });
+            const data = await response.json();
+            
+            if (response.ok) {
+                alert(`${data.message} You are number ${data.position} in line.`);
+            } else {
+                alert(`Could not join the waitlist: ${data.errors?.[0]?.msg || data.error || data.message}`);
+            }
+        } catch (error) {
+            console.error('Waitlist error:', error);
+            alert('An error occurred joining the waitlist. Please try again.');
+        }
+    }
+    
     // Calendar navigation
     document.querySelector('.prev-month')?.addEventListener('click', function() {
         currentDate.setMonth(currentDate.getMonth() - 1);
@@ -507,17 +852,30 @@ function initializeCalendar() {
         }
         
         const formData = new FormData(this);
+        
+        if (selectedSlot && parseInt(formData.get('players')) > selectedSlot.spots_remaining) {
+            alert(`Only ${selectedSlot.spots_remaining} spot(s) are left at ${selectedTime}. Please choose fewer players or another time.`);
+            return;
+        }
+        
         const bookingData = {
-            booking_date: selectedDate.toISOString().split('T')[0],
+            booking_date: formatDate(selectedDate),
             tee_time: selectedTime,
             number_of_players: parseInt(formData.get('players')),
             primary_player_name: formData.get('name'),
             primary_player_email: formData.get('email'),
             primary_player_phone: formData.get('phone'),
-            cart_rental: formData.get('cart') === 'yes',
-            green_fee_type: 'all_day' // Defaulting to all_day for simplicity in template
+            ...cartFields(formData.get('cart')),
+            is_private: formData.get('private') === 'on',
+            green_fee_type: formData.get('green_fee_type') || 'all_day',
+            rate_class: formData.get('rate_class') || 'standard'
         };
         
+        if (currentHold) {
+            bookingData.hold_id = currentHold.id;
+            bookingData.hold_token = currentHold.hold_token;
+        }
+        
         const accessToken = localStorage.getItem('accessToken');
         const headers = { 'Content-Type': 'application/json' };
         if (accessToken) {
@@ -533,7 +891,11 @@ function initializeCalendar() {
             const data = await response.json();
 
             if (response.ok) {
-                alert(`Booking confirmed for ${bookingData.primary_player_name} on ${bookingData.booking_date} at ${bookingData.tee_time}!`);
+                // Rain checks and account credits are spent on the booking first
+                const credit = data.credit_applied > 0
+                    ? ` $${data.credit_applied.toFixed(2)} of your account credit was applied; $${data.amount_due.toFixed(2)} is left to pay.`
+                    : '';
+                alert(`Booking confirmed for ${bookingData.primary_player_name} on ${bookingData.booking_date} at ${bookingData.tee_time}! Your confirmation code is ${data.booking.confirmation_code}.${credit}`);
                 // If payment is required, redirect to payment page or show payment modal
                 if (data.payment_required) {
                     // TODO: Implement Stripe.js client-side payment flow
@@ -547,6 +909,11 @@ function initializeCalendar() {
                 this.reset();
                 selectedDate = null;
                 selectedTime = null;
+                selectedSlot = null;
+                currentHold = null;
+                showHoldNotice(null);
+                updateBookingOptions(null);
+                updateQuote();
                 document.querySelectorAll('.calendar-day.selected, .time-slot.selected').forEach(el => {
                     el.classList.remove('selected');
                 });
@@ -560,6 +927,52 @@ function initializeCalendar() {
     });
 }
 
+// Claim a tee time offered from the waitlist (link from the offer email)
+async function initializeWaitlistClaim() {
+    const params = new URLSearchParams(window.location.search);
+    const entryId = params.get('waitlist');
+    const token = params.get('token');
+    
+    if (!entryId || !token) return;
+    
+    // Drop the claim parameters so a reload does not ask again
+    window.history.replaceState({}, document.title, window.location.pathname);
+    
+    try {
+        const offerResponse = await fetch(`${API_BASE_URL}/waitlist/${entryId}/offer?token=${encodeURIComponent(token)}`);
+        const offerData = await offerResponse.json();
+        
+        if (!offerResponse.ok) {
+            alert(offerData.error || offerData.message);
+            return;
+        }
+        
+        const { offer } = offerData;
+        if (!confirm(`Claim your tee time for ${offer.number_of_players} on ${offer.booking_date} at ${offer.tee_time}?`)) {
+            return;
+        }
+        
+        const response = await fetch(`${API_BASE_URL}/waitlist/${entryId}/claim`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                token,
+                green_fee_type: 'all_day' // Same default as the booking form
+            })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            alert(`Booking confirmed for ${offer.booking_date} at ${offer.tee_time}!`);
+        } else {
+            alert(`Could not claim this tee time: ${data.error || data.message}`);
+        }
+    } catch (error) {
+        console.error('Waitlist claim error:', error);
+        alert('An error occurred claiming your tee time. Please try again.');
+    }
+}
+
 // Contact form functionality
 function initializeContactForm() {
     const contactForm = document.querySelector('.contact-form form');
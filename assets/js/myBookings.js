@@ -0,0 +1,316 @@
+// Your Golf Course Name - My Bookings
+
+// API Base URL (will be replaced by environment variable in production)
+const API_BASE_URL = window.location.origin.includes('localhost')
+    ? 'http://localhost:3000/api'
+    : `${window.location.origin}/api`;
+
+const SETTLEMENT_LABELS = {
+    none: '',
+    refund: 'refunded to your card',
+    credit: 'credited to your account',
+    charge: 'to pay online',
+    due_at_course: 'to pay at the course'
+};
+
+// Guests arrive from the manage link in their confirmation email
+const pageParams = new URLSearchParams(window.location.search);
+let guestAccess = pageParams.get('booking') && pageParams.get('token')
+    ? { id: pageParams.get('booking'), token: pageParams.get('token') }
+    : null;
+
+let reschedulingBooking = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('lookupForm').addEventListener('submit', lookupBooking);
+    document.getElementById('rescheduleForm').addEventListener('submit', submitReschedule);
+    document.getElementById('cancelReschedule').addEventListener('click', () => {
+        document.getElementById('rescheduleDialog').close();
+    });
+    document.getElementById('closeHistory').addEventListener('click', () => {
+        document.getElementById('historyDialog').close();
+    });
+
+    if (guestAccess) {
+        loadGuestBooking();
+    } else if (localStorage.getItem('accessToken')) {
+        loadBookings();
+    } else {
+        document.getElementById('lookupForm').hidden = false;
+    }
+});
+
+function showMessage(text, isError = false) {
+    const message = document.getElementById('bookingsMessage');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+function formatMoney(amount) {
+    return `$${Math.abs(Number(amount) || 0).toFixed(2)}`;
+}
+
+// A calendar date as YYYY-MM-DD in the golfer's own timezone, as formatDate
+// in main.js, which this page does not load
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function formatSlot(booking) {
+    const date = new Date(`${String(booking.booking_date).slice(0, 10)}T12:00:00`);
+    return `${date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })} at ${String(booking.tee_time).slice(0, 5)}`;
+}
+
+// Call the API, as the signed-in golfer when there is one
+async function apiRequest(path, options = {}) {
+    const accessToken = localStorage.getItem('accessToken');
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (accessToken && !guestAccess) {
+        headers['Authorization'] = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+    const data = await response.json();
+
+    if (!response.ok) {
+        const reason = data.errors ? data.errors.map(error => error.msg).join(', ') : data.message;
+        throw new Error(reason || 'Request failed');
+    }
+
+    return data;
+}
+
+// API path for a booking: through the manage link for guests
+function bookingPath(booking, action = '') {
+    return guestAccess
+        ? `/bookings/manage/${booking.id}${action}?token=${encodeURIComponent(guestAccess.token)}`
+        : `/bookings/${booking.id}${action}`;
+}
+
+async function loadGuestBooking() {
+    try {
+        const result = await apiRequest(bookingPath(guestAccess));
+        document.getElementById('lookupForm').hidden = true;
+        renderBookings([result.booking]);
+    } catch (error) {
+        guestAccess = null;
+        document.getElementById('lookupForm').hidden = false;
+        showMessage(`Could not load your booking: ${error.message}`, true);
+    }
+}
+
+async function lookupBooking(event) {
+    event.preventDefault();
+
+    try {
+        const result = await apiRequest('/bookings/lookup', {
+            method: 'POST',
+            body: JSON.stringify({
+                confirmation_code: document.getElementById('lookupCode').value,
+                email: document.getElementById('lookupEmail').value
+            })
+        });
+
+        // Keep the manage link in the address bar so a reload finds the booking again
+        guestAccess = { id: result.booking.id, token: result.manage_token };
+        window.history.replaceState(null, '', `?booking=${guestAccess.id}&token=${encodeURIComponent(guestAccess.token)}`);
+        showMessage('');
+        await loadGuestBooking();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
+
+// Reload whichever bookings the page is showing
+function reloadBookings() {
+    return guestAccess ? loadGuestBooking() : loadBookings();
+}
+
+async function loadBookings() {
+    try {
+        const result = await apiRequest('/bookings/my-bookings');
+        renderBookings(result.bookings.filter(booking => booking.status !== 'cancelled'));
+        await loadCredits();
+    } catch (error) {
+        showMessage(`Could not load your bookings: ${error.message}`, true);
+    }
+}
+
+// Show the golfer's rain checks and account credits, which pay for their
+// next booking automatically
+async function loadCredits() {
+    const result = await apiRequest('/bookings/my-credits');
+    const balance = document.getElementById('creditBalance');
+    const today = formatDate(new Date());
+    const next = result.credits.find(credit =>
+        credit.status === 'active' && Number(credit.balance) > 0 && String(credit.expires_on).slice(0, 10) >= today
+    );
+
+    balance.hidden = result.balance <= 0;
+    balance.textContent = next
+        ? `You have ${formatMoney(result.balance)} in rain checks and credits, applied to your next booking. The first expires on ${new Date(`${String(next.expires_on).slice(0, 10)}T12:00:00`).toLocaleDateString()}.`
+        : '';
+}
+
+function renderBookings(bookings) {
+    const list = document.getElementById('bookingList');
+    list.innerHTML = '';
+
+    if (bookings.length === 0) {
+        list.textContent = 'You have no upcoming tee times.';
+        return;
+    }
+
+    bookings.forEach(booking => {
+        const card = document.createElement('article');
+        card.className = 'my-bookings-card';
+
+        const title = document.createElement('h2');
+        title.textContent = formatSlot(booking);
+
+        const code = document.createElement('p');
+        code.textContent = `Confirmation code ${booking.confirmation_code}`;
+
+        const details = document.createElement('p');
+        const balance = Number(booking.balance_due) || 0;
+        details.textContent = [
+            `${booking.number_of_players} player(s)`,
+            booking.green_fee_type === 'all_day' ? 'All day' : '9 holes',
+            booking.cart_rental ? 'Cart' : null,
+            `${formatMoney(booking.total_amount)} (${booking.payment_status})`,
+            balance > 0 ? `${formatMoney(balance)} still due` : null
+        ].filter(Boolean).join(' · ');
+
+        const actions = document.createElement('div');
+        actions.className = 'my-bookings-actions';
+
+        // Outing and standing tee times are changed as a whole elsewhere
+        if (booking.status === 'confirmed' && !booking.outing_id && !booking.series_id) {
+            actions.append(
+                actionButton('Change', () => openReschedule(booking)),
+                actionButton('Cancel', () => cancelBooking(booking))
+            );
+        }
+        // The change history is for signed-in golfers
+        if (!guestAccess) {
+            actions.appendChild(actionButton('History', () => showHistory(booking)));
+        }
+
+        card.append(title, code, details, actions);
+        list.appendChild(card);
+    });
+}
+
+function actionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function openReschedule(booking) {
+    reschedulingBooking = booking;
+    document.getElementById('rescheduleDate').value = String(booking.booking_date).slice(0, 10);
+    document.getElementById('rescheduleTime').value = String(booking.tee_time).slice(0, 5);
+    document.getElementById('reschedulePlayers').value = String(booking.number_of_players);
+    document.getElementById('rescheduleDialog').showModal();
+}
+
+async function submitReschedule(event) {
+    event.preventDefault();
+    const booking = reschedulingBooking;
+    document.getElementById('rescheduleDialog').close();
+
+    try {
+        const result = await apiRequest(bookingPath(booking, '/reschedule'), {
+            method: 'POST',
+            body: JSON.stringify({
+                booking_date: document.getElementById('rescheduleDate').value,
+                tee_time: document.getElementById('rescheduleTime').value,
+                number_of_players: parseInt(document.getElementById('reschedulePlayers').value)
+            })
+        });
+
+        let text = `Your booking is now ${formatSlot(result.booking)}.`;
+        if (result.refund) {
+            text += ` ${formatMoney(result.refund.amount)} ${SETTLEMENT_LABELS[result.change.settlement]}.`;
+        } else if (result.balance_due > 0) {
+            text += ` ${formatMoney(result.balance_due)} ${SETTLEMENT_LABELS[result.change.settlement] || 'still due'}.`;
+        }
+
+        await reloadBookings();
+        showMessage(text);
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
+
+async function cancelBooking(booking) {
+    try {
+        const preview = await apiRequest(guestAccess ? bookingPath(booking) : bookingPath(booking, '/cancellation'));
+        const terms = preview.cancellation;
+
+        if (!terms.allowed) {
+            showMessage(terms.reason, true);
+            return;
+        }
+
+        const refund = terms.refund_amount > 0 ? ` ${formatMoney(terms.refund_amount)} will be refunded.` : '';
+        if (!confirm(`Cancel your tee time on ${formatSlot(booking)}?${refund}`)) {
+            return;
+        }
+
+        const result = await apiRequest(bookingPath(booking), { method: 'DELETE' });
+        await reloadBookings();
+        showMessage(result.message);
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
+
+function describeChange(change) {
+    if (change.change_type === 'update') {
+        return `Updated ${Object.keys(change.changes).join(', ').replace(/_/g, ' ')}`;
+    }
+
+    if (change.change_type === 'delay') {
+        return `Delayed from ${formatSlot(change.previous)} to ${String(change.changes.tee_time).slice(0, 5)}${change.note ? ` (${change.note})` : ''}`;
+    }
+
+    const from = `${formatSlot(change.previous)} (${change.previous.number_of_players})`;
+    const to = `${formatSlot(change.changes)} (${change.changes.number_of_players})`;
+    const difference = Number(change.amount_difference) || 0;
+    const settlement = SETTLEMENT_LABELS[change.settlement];
+    const price = difference === 0
+        ? ''
+        : `, ${formatMoney(difference)} ${difference > 0 ? 'more' : 'less'}${settlement ? ` ${settlement}` : ''}`;
+
+    return `Moved from ${from} to ${to}${price}`;
+}
+
+async function showHistory(booking) {
+    try {
+        const result = await apiRequest(bookingPath(booking, '/history'));
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+
+        if (result.changes.length === 0) {
+            list.textContent = 'No changes yet.';
+        }
+
+        result.changes.forEach(change => {
+            const item = document.createElement('li');
+            const when = new Date(change.created_at).toLocaleString();
+            item.textContent = `${when}: ${describeChange(change)}`;
+            list.appendChild(item);
+        });
+
+        document.getElementById('historyDialog').showModal();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
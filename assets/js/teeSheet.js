@@ -0,0 +1,333 @@
+// Your Golf Course Name - Admin Tee Sheet
+
+// API Base URL (will be replaced by environment variable in production)
+const API_BASE_URL = window.location.origin.includes('localhost')
+    ? 'http://localhost:3000/api'
+    : `${window.location.origin}/api`;
+
+const SHEET_STATUS_LABELS = {
+    confirmed: 'Booked',
+    checked_in: 'Checked in',
+    no_show: 'No-show',
+    completed: 'Completed'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    const dateInput = document.getElementById('sheetDate');
+    dateInput.value = formatDate(new Date());
+
+    dateInput.addEventListener('change', loadTeeSheet);
+    document.getElementById('previousDay').addEventListener('click', () => shiftDate(-1));
+    document.getElementById('nextDay').addEventListener('click', () => shiftDate(1));
+    document.getElementById('refreshSheet').addEventListener('click', loadTeeSheet);
+    document.getElementById('closeDay').addEventListener('click', closeDay);
+    document.getElementById('delayTeeTimes').addEventListener('click', openDelay);
+    document.getElementById('previewDelay').addEventListener('click', () => runDelay(true));
+    document.getElementById('delayForm').addEventListener('submit', event => {
+        event.preventDefault();
+        runDelay(false);
+    });
+    document.getElementById('cancelDelay').addEventListener('click', () => {
+        document.getElementById('delayDialog').close();
+    });
+
+    loadTeeSheet();
+});
+
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function shiftDate(days) {
+    const dateInput = document.getElementById('sheetDate');
+    const date = new Date(`${dateInput.value}T12:00:00`);
+    date.setDate(date.getDate() + days);
+    dateInput.value = formatDate(date);
+    loadTeeSheet();
+}
+
+function showMessage(text, isError = false) {
+    const message = document.getElementById('sheetMessage');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+}
+
+// Call the admin API as the signed-in staff member
+async function apiRequest(path, options = {}) {
+    const accessToken = localStorage.getItem('accessToken');
+
+    if (!accessToken) {
+        window.location.href = '/';
+        return null;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        }
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        const reason = data.errors ? data.errors.map(error => error.msg).join(', ') : data.message;
+        throw new Error(reason || 'Request failed');
+    }
+
+    return data;
+}
+
+async function loadTeeSheet() {
+    const date = document.getElementById('sheetDate').value;
+
+    try {
+        const sheet = await apiRequest(`/admin/tee-sheet?date=${date}`);
+        if (sheet) {
+            renderSummary(sheet.summary, sheet.cart_fleet);
+            renderSlots(sheet.slots, sheet.cart_fleet);
+            showMessage('');
+        }
+    } catch (error) {
+        showMessage(`Could not load the tee sheet: ${error.message}`, true);
+    }
+}
+
+function renderSummary(summary, cartFleet) {
+    const summaryContainer = document.getElementById('sheetSummary');
+    summaryContainer.innerHTML = '';
+
+    [
+        `${summary.bookings} booking(s)`,
+        `${summary.players} player(s)`,
+        `${summary.awaiting_check_in} to check in`,
+        `${summary.checked_in} checked in`,
+        `${summary.completed} completed`,
+        `${summary.no_shows} no-show(s)`,
+        `${summary.unpaid} unpaid`,
+        cartFleet === null ? `${summary.fleet_carts} cart(s) booked` : `${summary.fleet_carts} cart(s) booked of ${cartFleet} in the fleet`
+    ].forEach(text => {
+        const item = document.createElement('span');
+        item.textContent = text;
+        summaryContainer.appendChild(item);
+    });
+}
+
+function cell(text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+}
+
+// Riders, the fleet carts they take and a member's own shed cart
+function cartLabel(booking) {
+    if (!booking.cart_rental) return '';
+
+    const parts = [];
+    if (booking.cart_riders) parts.push(`${booking.cart_riders} rider(s)${booking.cart_sharing === 'single' ? ', single' : ''}`);
+    if (booking.fleet_carts) parts.push(`${booking.fleet_carts} cart(s)`);
+    if (booking.cart_shed_number) parts.push(`shed #${booking.cart_shed_number}`);
+    return parts.join(' · ') || 'Yes';
+}
+
+function renderSlots(slots, cartFleet) {
+    const rows = document.getElementById('sheetRows');
+    rows.innerHTML = '';
+
+    slots.forEach(slot => {
+        if (slot.bookings.length === 0) {
+            const row = document.createElement('tr');
+            row.className = `slot-start empty${slot.block ? ' blocked' : ''}`;
+            row.append(cell(slot.time), cell(slot.block ? `Reserved: ${slot.block.title}` : `Open (${slot.spots_remaining} spots)`));
+            if (cartFleet !== null) {
+                row.lastChild.textContent += ` · ${Math.max(cartFleet - slot.carts_out, 0)} cart(s) free`;
+            }
+            row.lastChild.colSpan = 7;
+            rows.appendChild(row);
+            return;
+        }
+
+        slot.bookings.forEach((booking, index) => {
+            const row = document.createElement('tr');
+            row.className = booking.sheet_status;
+            if (index === 0) {
+                row.classList.add('slot-start');
+            }
+            if (slot.block) {
+                row.classList.add('blocked');
+            }
+
+            const credit = booking.credit_applied > 0 ? ` ($${Number(booking.credit_applied).toFixed(2)} credit)` : '';
+            const payment = booking.amount_due > 0
+                ? `Due $${Number(booking.amount_due).toFixed(2)}${credit}`
+                : `Paid${booking.payment_method ? ` (${booking.payment_method})` : credit}`;
+
+            row.append(
+                cell(index === 0 ? slot.time : ''),
+                cell(`${booking.players.join(', ') || 'Unnamed'} (${booking.number_of_players})`),
+                cell(booking.green_fee_type === 'all_day' ? 'All day' : '9 holes'),
+                cell(cartLabel(booking)),
+                cell(payment),
+                cell(booking.special_requests || ''),
+                cell(SHEET_STATUS_LABELS[booking.sheet_status] || booking.sheet_status)
+            );
+
+            const actions = document.createElement('td');
+            actions.className = 'tee-sheet-actions';
+            bookingActions(booking).forEach(([label, step, body]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.addEventListener('click', () => {
+                    // Some steps ask the starter for details first
+                    const payload = typeof body === 'function' ? body(booking) : body;
+                    if (payload) {
+                        runAction(booking, step, payload);
+                    }
+                });
+                actions.appendChild(button);
+            });
+            row.appendChild(actions);
+
+            rows.appendChild(row);
+        });
+    });
+}
+
+// Buttons for the next steps a booking can take
+function bookingActions(booking) {
+    const actions = [];
+
+    if (booking.sheet_status === 'confirmed') {
+        actions.push(['Check in', 'check-in'], ['No-show', 'no-show']);
+    }
+    if (booking.sheet_status === 'checked_in') {
+        actions.push(['Complete', 'complete']);
+    }
+    if (booking.amount_due > 0 && booking.status !== 'no_show') {
+        actions.push(['Paid cash', 'payment', { payment_method: 'cash' }], ['Paid card', 'payment', { payment_method: 'card' }]);
+    }
+    if (['checked_in', 'completed'].includes(booking.sheet_status) && booking.payment_status === 'paid') {
+        actions.push(['Rain check', 'rain-check', askHolesPlayed]);
+    }
+
+    return actions;
+}
+
+// A rain check covers the holes of the round the group did not play
+function askHolesPlayed(booking) {
+    const holes = booking.green_fee_type === 'all_day' ? 18 : 9;
+    const answer = prompt(`How many of their ${holes} holes did ${booking.players[0] || 'the group'} play?`);
+
+    if (answer === null) {
+        return null;
+    }
+
+    const holesPlayed = parseInt(answer, 10);
+    if (!(holesPlayed >= 0 && holesPlayed < holes)) {
+        showMessage(`Enter a number of holes from 0 to ${holes - 1}`, true);
+        return null;
+    }
+
+    return { holes_played: holesPlayed };
+}
+
+async function runAction(booking, step, body = {}) {
+    try {
+        const result = await apiRequest(`/admin/tee-sheet/${booking.id}/${step}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        await loadTeeSheet();
+        showMessage(`${booking.players[0] || 'Booking'} at ${booking.tee_time}: ${result.message}`);
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
+
+async function closeDay() {
+    const date = document.getElementById('sheetDate').value;
+
+    if (!confirm(`Close the tee sheet for ${date}? Groups still booked become completed or no-shows.`)) {
+        return;
+    }
+
+    try {
+        const result = await apiRequest('/admin/tee-sheet/close', {
+            method: 'POST',
+            body: JSON.stringify({ date })
+        });
+        await loadTeeSheet();
+        showMessage(result.message);
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+}
+
+function openDelay() {
+    document.getElementById('delayPreview').innerHTML = '';
+    document.getElementById('delayDialog').showModal();
+}
+
+// One line per group the delay moves, collides or leaves past closing
+function renderDelayResult(result) {
+    const list = document.getElementById('delayPreview');
+    list.innerHTML = '';
+
+    const lines = [
+        ...result.moved.map(entry => {
+            const collision = result.collisions.find(candidate => candidate.id === entry.id);
+            return `${entry.primary_player_name || 'Unnamed'} (${entry.number_of_players}): ${entry.from} to ${entry.to}${collision ? ` (${collision.requested} was taken)` : ''}`;
+        }),
+        ...result.collisions
+            .filter(entry => !entry.to)
+            .map(entry => `${entry.primary_player_name || 'Unnamed'} (${entry.number_of_players}): not moved, ${entry.message}`),
+        ...result.overflow.map(entry => `${entry.primary_player_name || 'Unnamed'} (${entry.number_of_players}): no tee time before closing, stays at ${entry.from}`)
+    ];
+
+    if (lines.length === 0) {
+        lines.push('No tee times in that window.');
+    }
+
+    lines.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+}
+
+async function runDelay(dryRun) {
+    const form = document.getElementById('delayForm');
+    if (!form.reportValidity()) {
+        return;
+    }
+
+    try {
+        const result = await apiRequest('/admin/tee-sheet/delay', {
+            method: 'POST',
+            body: JSON.stringify({
+                date: document.getElementById('sheetDate').value,
+                from_time: form.from_time.value,
+                to_time: form.to_time.value,
+                delay_minutes: parseInt(form.delay_minutes.value),
+                reason: form.reason.value || null,
+                notify: form.notify.checked,
+                dry_run: dryRun
+            })
+        });
+
+        if (dryRun) {
+            renderDelayResult(result);
+            return;
+        }
+
+        document.getElementById('delayDialog').close();
+        await loadTeeSheet();
+        showMessage(result.message);
+    } catch (error) {
+        showMessage(error.message, true);
+        document.getElementById('delayDialog').close();
+    }
+}
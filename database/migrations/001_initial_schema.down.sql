@@ -0,0 +1,21 @@
+-- Migration 001 rollback: drop the initial schema
+
+DROP VIEW IF EXISTS upcoming_events;
+DROP VIEW IF EXISTS upcoming_tee_times;
+DROP VIEW IF EXISTS active_memberships;
+
+DROP FUNCTION IF EXISTS cleanup_old_data();
+DROP FUNCTION IF EXISTS get_available_tee_times(DATE);
+DROP FUNCTION IF EXISTS check_tee_time_availability(DATE, TIME);
+
+DROP TABLE IF EXISTS payment_transactions;
+DROP TABLE IF EXISTS event_registrations;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS tee_times;
+DROP TABLE IF EXISTS memberships;
+DROP TABLE IF EXISTS contact_messages;
+DROP TABLE IF EXISTS course_conditions;
+DROP TABLE IF EXISTS admin_settings;
+DROP TABLE IF EXISTS users;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -1,5 +1,8 @@
--- Rooks County Golf Course Database Schema
--- This schema is designed for Supabase (PostgreSQL) but can be adapted for other databases
+-- Migration 001: Initial schema
+-- Designed for Supabase (PostgreSQL) and plain PostgreSQL alike. Row level
+-- security policies that depend on Supabase Auth (auth.uid()) are only
+-- created when the auth schema exists. Default settings and sample data are
+-- loaded by `npm run seed`.
 
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -416,70 +419,44 @@ ALTER TABLE contact_messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payment_transactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE admin_settings ENABLE ROW LEVEL SECURITY;
 
--- Users can only see and modify their own data
-CREATE POLICY "Users can view own profile" ON users FOR SELECT USING (auth.uid() = id);
-CREATE POLICY "Users can update own profile" ON users FOR UPDATE USING (auth.uid() = id);
+-- Policies reference Supabase Auth, so skip them on plain PostgreSQL
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'auth') THEN
+        -- Users can only see and modify their own data
+        EXECUTE $policy$CREATE POLICY "Users can view own profile" ON users FOR SELECT USING (auth.uid() = id)$policy$;
+        EXECUTE $policy$CREATE POLICY "Users can update own profile" ON users FOR UPDATE USING (auth.uid() = id)$policy$;
 
--- Memberships policies
-CREATE POLICY "Users can view own memberships" ON memberships FOR SELECT USING (auth.uid() = user_id);
-CREATE POLICY "Users can insert own memberships" ON memberships FOR INSERT WITH CHECK (auth.uid() = user_id);
+        -- Memberships policies
+        EXECUTE $policy$CREATE POLICY "Users can view own memberships" ON memberships FOR SELECT USING (auth.uid() = user_id)$policy$;
+        EXECUTE $policy$CREATE POLICY "Users can insert own memberships" ON memberships FOR INSERT WITH CHECK (auth.uid() = user_id)$policy$;
 
--- Tee times policies
-CREATE POLICY "Users can view own tee times" ON tee_times FOR SELECT USING (auth.uid() = user_id);
-CREATE POLICY "Users can insert own tee times" ON tee_times FOR INSERT WITH CHECK (auth.uid() = user_id);
-CREATE POLICY "Users can update own tee times" ON tee_times FOR UPDATE USING (auth.uid() = user_id);
+        -- Tee times policies
+        EXECUTE $policy$CREATE POLICY "Users can view own tee times" ON tee_times FOR SELECT USING (auth.uid() = user_id)$policy$;
+        EXECUTE $policy$CREATE POLICY "Users can insert own tee times" ON tee_times FOR INSERT WITH CHECK (auth.uid() = user_id)$policy$;
+        EXECUTE $policy$CREATE POLICY "Users can update own tee times" ON tee_times FOR UPDATE USING (auth.uid() = user_id)$policy$;
 
--- Events are publicly viewable
-CREATE POLICY "Events are publicly viewable" ON events FOR SELECT USING (is_public = true);
+        -- Events are publicly viewable
+        EXECUTE $policy$CREATE POLICY "Events are publicly viewable" ON events FOR SELECT USING (is_public = true)$policy$;
 
--- Event registrations policies
-CREATE POLICY "Users can view own registrations" ON event_registrations FOR SELECT USING (auth.uid() = user_id);
-CREATE POLICY "Users can insert own registrations" ON event_registrations FOR INSERT WITH CHECK (auth.uid() = user_id);
+        -- Event registrations policies
+        EXECUTE $policy$CREATE POLICY "Users can view own registrations" ON event_registrations FOR SELECT USING (auth.uid() = user_id)$policy$;
+        EXECUTE $policy$CREATE POLICY "Users can insert own registrations" ON event_registrations FOR INSERT WITH CHECK (auth.uid() = user_id)$policy$;
 
--- Course conditions are publicly viewable
-CREATE POLICY "Course conditions are publicly viewable" ON course_conditions FOR SELECT USING (true);
+        -- Course conditions are publicly viewable
+        EXECUTE $policy$CREATE POLICY "Course conditions are publicly viewable" ON course_conditions FOR SELECT USING (true)$policy$;
 
--- Contact messages policies
-CREATE POLICY "Users can insert contact messages" ON contact_messages FOR INSERT WITH CHECK (true);
+        -- Contact messages policies
+        EXECUTE $policy$CREATE POLICY "Users can insert contact messages" ON contact_messages FOR INSERT WITH CHECK (true)$policy$;
 
--- Payment transactions policies
-CREATE POLICY "Users can view own transactions" ON payment_transactions FOR SELECT USING (auth.uid() = user_id);
+        -- Payment transactions policies
+        EXECUTE $policy$CREATE POLICY "Users can view own transactions" ON payment_transactions FOR SELECT USING (auth.uid() = user_id)$policy$;
 
--- Admin settings policies (only public settings are viewable)
-CREATE POLICY "Public settings are viewable" ON admin_settings FOR SELECT USING (is_public = true);
-
--- =============================================================================
--- INITIAL DATA SETUP
--- =============================================================================
-
--- Insert default admin settings
-INSERT INTO admin_settings (setting_key, setting_value, setting_type, description, category, is_public) VALUES
-('course_name', 'Rooks County Golf Course', 'string', 'Official course name', 'general', true),
-('course_address', '1925 Highway 183, Between Stockton and Plainville, KS', 'string', 'Course address', 'general', true),
-('course_phone', '(785) 434-5555', 'string', 'Course phone number', 'general', true),
-('course_email', 'info@rookscountygolf.com', 'string', 'Course email address', 'general', true),
-('green_fee_9_holes', '10.00', 'number', '9-hole green fee', 'pricing', true),
-('green_fee_all_day', '15.00', 'number', 'All-day green fee', 'pricing', true),
-('membership_single', '250.00', 'number', 'Single adult membership fee', 'pricing', true),
-('membership_family', '325.00', 'number', 'Family membership fee', 'pricing', true),
-('membership_student', '100.00', 'number', 'Student membership fee', 'pricing', true),
-('membership_alumni', '50.00', 'number', 'Alumni membership fee', 'pricing', true),
-('cart_rental_fee', '15.00', 'number', 'Golf cart rental fee', 'pricing', true),
-('course_rating', '72.2', 'number', 'Course rating', 'course_info', true),
-('course_slope', '113', 'number', 'Course slope rating', 'course_info', true),
-('course_yardage', '6170', 'number', 'Total course yardage', 'course_info', true),
-('number_of_holes', '9', 'number', 'Number of holes', 'course_info', true),
-('booking_advance_days', '30', 'number', 'How many days in advance bookings can be made', 'booking', false),
-('cancellation_hours', '24', 'number', 'Minimum hours before tee time for cancellation', 'booking', false),
-('max_players_per_booking', '4', 'number', 'Maximum players per tee time booking', 'booking', true),
-('tee_time_interval', '15', 'number', 'Minutes between tee times', 'booking', false),
-('course_open_time', '07:00', 'string', 'Course opening time', 'hours', true),
-('course_close_time', '19:00', 'string', 'Course closing time', 'hours', true),
-('facebook_url', 'https://www.facebook.com/RCGolfCourse/', 'string', 'Facebook page URL', 'social', true);
-
--- Insert sample course conditions
-INSERT INTO course_conditions (condition_date, overall_condition, greens_condition, fairways_condition, cart_path_condition, holes_available) VALUES
-(CURRENT_DATE, 'excellent', 'excellent', 'good', 'excellent', 9);
+        -- Admin settings policies (only public settings are viewable)
+        EXECUTE $policy$CREATE POLICY "Public settings are viewable" ON admin_settings FOR SELECT USING (is_public = true)$policy$;
+    END IF;
+END
+$$;
 
 -- =============================================================================
 -- VIEWS FOR COMMON QUERIES
@@ -601,5 +578,5 @@ COMMENT ON TABLE payment_transactions IS 'Stores all payment transactions for au
 COMMENT ON TABLE admin_settings IS 'Stores application configuration and settings';
 
 -- =============================================================================
--- END OF SCHEMA
--- =============================================================================
\ No newline at end of file
+-- END OF MIGRATION
+-- =============================================================================
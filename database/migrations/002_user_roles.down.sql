@@ -0,0 +1,4 @@
+-- Migration 002 rollback: remove user roles
+
+DROP INDEX IF EXISTS idx_users_role;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,9 @@
+-- Migration 002: User roles
+-- The API authorizes admin routes with users.role, which the initial schema
+-- did not define.
+
+ALTER TABLE users
+    ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'member'
+    CHECK (role IN ('member', 'admin'));
+
+CREATE INDEX idx_users_role ON users(role);
@@ -0,0 +1,82 @@
+-- Migration 003: Roles and permissions
+-- Replaces the fixed member/admin check on users.role with roles stored in
+-- the database. Each role is granted a set of permissions; the API checks
+-- permissions (e.g. 'bookings:manage') rather than role names.
+
+-- =============================================================================
+-- ROLES TABLE
+-- =============================================================================
+CREATE TABLE roles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =============================================================================
+-- PERMISSIONS TABLE
+-- =============================================================================
+CREATE TABLE permissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =============================================================================
+-- ROLE_PERMISSIONS TABLE
+-- =============================================================================
+CREATE TABLE role_permissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    role_name VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    permission_name VARCHAR(100) NOT NULL REFERENCES permissions(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(role_name, permission_name)
+);
+
+CREATE INDEX idx_role_permissions_role ON role_permissions(role_name);
+
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Default roles and grants (mirrors api/config/permissions.js)
+INSERT INTO roles (name, description) VALUES
+('admin', 'Full access to every management feature'),
+('staff', 'Pro shop staff: tee sheets, check-ins, events, memberships and messages'),
+('starter', 'Starter: runs the tee sheet and check-ins'),
+('treasurer', 'Treasurer: financial reports only'),
+('member', 'Golfer account with no management access');
+
+INSERT INTO permissions (name, description) VALUES
+('dashboard:view', 'View the admin dashboard'),
+('bookings:manage', 'View and change any tee time booking, run the tee sheet and check-ins'),
+('conditions:manage', 'Post daily course conditions'),
+('events:manage', 'Create and update events and view registrations'),
+('memberships:manage', 'View all memberships and verify student/alumni status'),
+('contact:manage', 'Read and answer contact messages'),
+('reports:view', 'View and export revenue, booking and membership reports'),
+('payments:refund', 'Issue payment refunds'),
+('settings:manage', 'Change course settings'),
+('users:manage', 'Assign roles to users');
+
+INSERT INTO role_permissions (role_name, permission_name)
+SELECT 'admin', name FROM permissions;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+('staff', 'dashboard:view'),
+('staff', 'bookings:manage'),
+('staff', 'conditions:manage'),
+('staff', 'events:manage'),
+('staff', 'memberships:manage'),
+('staff', 'contact:manage'),
+('starter', 'bookings:manage'),
+('starter', 'conditions:manage'),
+('treasurer', 'dashboard:view'),
+('treasurer', 'reports:view');
+
+-- users.role now references the roles table instead of a fixed list
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50);
+ALTER TABLE users
+    ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
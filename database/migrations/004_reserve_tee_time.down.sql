@@ -0,0 +1,3 @@
+-- Migration 004 rollback: remove the reservation function
+
+DROP FUNCTION IF EXISTS reserve_tee_time(JSONB);
@@ -0,0 +1,43 @@
+-- Migration 005 rollback: one booking per slot again
+
+DROP FUNCTION IF EXISTS reserve_tee_time(JSONB, INTEGER);
+ALTER TABLE tee_times DROP COLUMN IF EXISTS is_private;
+
+-- Restore the single-booking version from migration 004
+CREATE OR REPLACE FUNCTION reserve_tee_time(p_booking JSONB)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times := jsonb_populate_record(NULL::tee_times, p_booking);
+BEGIN
+    -- Serialize reservations for this slot until the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_booking.booking_date || ' ' || v_booking.tee_time));
+
+    IF EXISTS (
+        SELECT 1 FROM tee_times
+        WHERE booking_date = v_booking.booking_date
+          AND tee_time = v_booking.tee_time
+          AND status = 'confirmed'
+    ) THEN
+        RAISE EXCEPTION 'Tee time % % is already booked', v_booking.booking_date, v_booking.tee_time
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO tee_times (
+        user_id, booking_date, tee_time, number_of_players,
+        primary_player_name, primary_player_email, primary_player_phone, additional_players,
+        cart_rental, cart_rental_fee, special_requests,
+        green_fee_type, total_green_fees, total_cart_fees, total_amount,
+        payment_status, payment_method, status
+    ) VALUES (
+        v_booking.user_id, v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players,
+        v_booking.primary_player_name, v_booking.primary_player_email, v_booking.primary_player_phone, v_booking.additional_players,
+        COALESCE(v_booking.cart_rental, false), COALESCE(v_booking.cart_rental_fee, 0), v_booking.special_requests,
+        v_booking.green_fee_type, v_booking.total_green_fees, COALESCE(v_booking.total_cart_fees, 0), v_booking.total_amount,
+        COALESCE(v_booking.payment_status, 'pending'), v_booking.payment_method, COALESCE(v_booking.status, 'confirmed')
+    )
+    RETURNING *;
+END;
+$$;
@@ -0,0 +1,68 @@
+-- Migration 005: Shared tee times
+-- A tee time is a slot that several bookings can fill up to its capacity
+-- (max_players_per_booking, normally a foursome). A booking can be made
+-- private, which keeps other golfers from joining the slot.
+
+ALTER TABLE tee_times ADD COLUMN is_private BOOLEAN NOT NULL DEFAULT false;
+
+DROP FUNCTION IF EXISTS reserve_tee_time(JSONB);
+
+-- Reserve spots in a slot. Raises unique_violation (23505) when the slot
+-- cannot take the booking: not enough spots left, a private group already
+-- holds it, or a private booking is requested for a slot others have joined.
+CREATE OR REPLACE FUNCTION reserve_tee_time(p_booking JSONB, p_capacity INTEGER DEFAULT 4)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times := jsonb_populate_record(NULL::tee_times, p_booking);
+    v_booked INTEGER;
+    v_private BOOLEAN;
+BEGIN
+    -- Serialize reservations for this slot until the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_booking.booking_date || ' ' || v_booking.tee_time));
+
+    SELECT COALESCE(SUM(number_of_players), 0), COALESCE(BOOL_OR(is_private), false)
+    INTO v_booked, v_private
+    FROM tee_times
+    WHERE booking_date = v_booking.booking_date
+      AND tee_time = v_booking.tee_time
+      AND status = 'confirmed';
+
+    IF v_private THEN
+        RAISE EXCEPTION 'This tee time is reserved for a private group'
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    IF COALESCE(v_booking.is_private, false) AND v_booked > 0 THEN
+        RAISE EXCEPTION 'Other golfers have already joined this tee time, so it cannot be booked as private'
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    IF v_booked >= p_capacity THEN
+        RAISE EXCEPTION 'This tee time is already booked'
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    IF v_booked + v_booking.number_of_players > p_capacity THEN
+        RAISE EXCEPTION 'Only % spot(s) left at this tee time', p_capacity - v_booked
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO tee_times (
+        user_id, booking_date, tee_time, number_of_players, is_private,
+        primary_player_name, primary_player_email, primary_player_phone, additional_players,
+        cart_rental, cart_rental_fee, special_requests,
+        green_fee_type, total_green_fees, total_cart_fees, total_amount,
+        payment_status, payment_method, status
+    ) VALUES (
+        v_booking.user_id, v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players, COALESCE(v_booking.is_private, false),
+        v_booking.primary_player_name, v_booking.primary_player_email, v_booking.primary_player_phone, v_booking.additional_players,
+        COALESCE(v_booking.cart_rental, false), COALESCE(v_booking.cart_rental_fee, 0), v_booking.special_requests,
+        v_booking.green_fee_type, v_booking.total_green_fees, COALESCE(v_booking.total_cart_fees, 0), v_booking.total_amount,
+        COALESCE(v_booking.payment_status, 'pending'), v_booking.payment_method, COALESCE(v_booking.status, 'confirmed')
+    )
+    RETURNING *;
+END;
+$$;
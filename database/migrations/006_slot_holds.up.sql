@@ -0,0 +1,181 @@
+-- Migration 006: Slot holds during checkout
+-- Choosing a tee time places a short-lived hold on the spots so nobody else
+-- can take them while the golfer fills in the form and pays. Active holds
+-- count against slot capacity until they expire, are released, or are
+-- converted into a booking. checkout_started_at records when payment
+-- last started, and the checkout sweep times abandoned checkouts from it.
+
+-- =============================================================================
+-- TEE_TIME_HOLDS TABLE
+-- =============================================================================
+CREATE TABLE tee_time_holds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Held spots
+    booking_date DATE NOT NULL,
+    tee_time TIME NOT NULL,
+    number_of_players INTEGER NOT NULL CHECK (number_of_players BETWEEN 1 AND 4),
+    is_private BOOLEAN NOT NULL DEFAULT false,
+
+    -- Secret returned to the client so guests can confirm or release the hold
+    hold_token UUID NOT NULL DEFAULT uuid_generate_v4(),
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'converted', 'released', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    tee_time_id UUID REFERENCES tee_times(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_tee_time_holds_slot ON tee_time_holds(booking_date, tee_time) WHERE status = 'active';
+CREATE INDEX idx_tee_time_holds_expires_at ON tee_time_holds(expires_at) WHERE status = 'active';
+
+CREATE TRIGGER update_tee_time_holds_updated_at BEFORE UPDATE ON tee_time_holds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Players taken in a slot by confirmed bookings and unexpired holds,
+-- optionally ignoring one hold (the one being converted)
+CREATE OR REPLACE FUNCTION tee_time_slot_usage(p_date DATE, p_time TIME, p_exclude_hold_id UUID DEFAULT NULL)
+RETURNS TABLE (players INTEGER, is_private BOOLEAN)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT COALESCE(SUM(taken.number_of_players), 0)::INTEGER, COALESCE(BOOL_OR(taken.is_private), false)
+    FROM (
+        SELECT t.number_of_players, t.is_private
+        FROM tee_times t
+        WHERE t.booking_date = p_date AND t.tee_time = p_time AND t.status = 'confirmed'
+        UNION ALL
+        SELECT h.number_of_players, h.is_private
+        FROM tee_time_holds h
+        WHERE h.booking_date = p_date AND h.tee_time = p_time
+          AND h.status = 'active' AND h.expires_at > NOW()
+          AND h.id IS DISTINCT FROM p_exclude_hold_id
+    ) AS taken;
+$$;
+
+-- Raise unique_violation (23505) if the slot cannot take the group
+CREATE OR REPLACE FUNCTION assert_tee_time_capacity(
+    p_date DATE,
+    p_time TIME,
+    p_players INTEGER,
+    p_private BOOLEAN,
+    p_capacity INTEGER,
+    p_exclude_hold_id UUID DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_usage RECORD;
+BEGIN
+    SELECT * INTO v_usage FROM tee_time_slot_usage(p_date, p_time, p_exclude_hold_id);
+
+    IF v_usage.is_private THEN
+        RAISE EXCEPTION 'This tee time is reserved for a private group'
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    IF COALESCE(p_private, false) AND v_usage.players > 0 THEN
+        RAISE EXCEPTION 'Other golfers have already joined this tee time, so it cannot be booked as private'
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    IF v_usage.players >= p_capacity THEN
+        RAISE EXCEPTION 'This tee time is already booked'
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    IF v_usage.players + p_players > p_capacity THEN
+        RAISE EXCEPTION 'Only % spot(s) left at this tee time', p_capacity - v_usage.players
+            USING ERRCODE = 'unique_violation';
+    END IF;
+END;
+$$;
+
+-- Hold spots in a slot for p_ttl_minutes
+CREATE OR REPLACE FUNCTION hold_tee_time(p_hold JSONB, p_capacity INTEGER DEFAULT 4, p_ttl_minutes INTEGER DEFAULT 10)
+RETURNS SETOF tee_time_holds
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_hold tee_time_holds := jsonb_populate_record(NULL::tee_time_holds, p_hold);
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_hold.booking_date || ' ' || v_hold.tee_time));
+    PERFORM assert_tee_time_capacity(
+        v_hold.booking_date, v_hold.tee_time, v_hold.number_of_players, v_hold.is_private, p_capacity
+    );
+
+    RETURN QUERY
+    INSERT INTO tee_time_holds (user_id, booking_date, tee_time, number_of_players, is_private, expires_at)
+    VALUES (
+        v_hold.user_id, v_hold.booking_date, v_hold.tee_time, v_hold.number_of_players,
+        COALESCE(v_hold.is_private, false), NOW() + make_interval(mins => p_ttl_minutes)
+    )
+    RETURNING *;
+END;
+$$;
+
+-- Reserve spots, converting the caller's hold (if still active for the same
+-- slot) so its spots are not counted against the booking
+DROP FUNCTION IF EXISTS reserve_tee_time(JSONB, INTEGER);
+
+CREATE OR REPLACE FUNCTION reserve_tee_time(p_booking JSONB, p_capacity INTEGER DEFAULT 4, p_hold_id UUID DEFAULT NULL)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times := jsonb_populate_record(NULL::tee_times, p_booking);
+    v_hold_id UUID;
+    v_created tee_times;
+BEGIN
+    -- Serialize reservations for this slot until the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_booking.booking_date || ' ' || v_booking.tee_time));
+
+    SELECT id INTO v_hold_id
+    FROM tee_time_holds
+    WHERE id = p_hold_id
+      AND booking_date = v_booking.booking_date
+      AND tee_time = v_booking.tee_time
+      AND status = 'active'
+      AND expires_at > NOW();
+
+    PERFORM assert_tee_time_capacity(
+        v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players,
+        v_booking.is_private, p_capacity, v_hold_id
+    );
+
+    INSERT INTO tee_times (
+        user_id, booking_date, tee_time, number_of_players, is_private,
+        primary_player_name, primary_player_email, primary_player_phone, additional_players,
+        cart_rental, cart_rental_fee, special_requests,
+        green_fee_type, total_green_fees, total_cart_fees, total_amount,
+        payment_status, payment_method, status
+    ) VALUES (
+        v_booking.user_id, v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players, COALESCE(v_booking.is_private, false),
+        v_booking.primary_player_name, v_booking.primary_player_email, v_booking.primary_player_phone, v_booking.additional_players,
+        COALESCE(v_booking.cart_rental, false), COALESCE(v_booking.cart_rental_fee, 0), v_booking.special_requests,
+        v_booking.green_fee_type, v_booking.total_green_fees, COALESCE(v_booking.total_cart_fees, 0), v_booking.total_amount,
+        COALESCE(v_booking.payment_status, 'pending'), v_booking.payment_method, COALESCE(v_booking.status, 'confirmed')
+    )
+    RETURNING * INTO v_created;
+
+    IF v_hold_id IS NOT NULL THEN
+        UPDATE tee_time_holds SET status = 'converted', tee_time_id = v_created.id WHERE id = v_hold_id;
+    END IF;
+
+    RETURN NEXT v_created;
+END;
+$$;
+
+-- =============================================================================
+-- CHECKOUT START
+-- =============================================================================
+ALTER TABLE tee_times
+    ADD COLUMN checkout_started_at TIMESTAMP WITH TIME ZONE;
+
+-- Checkouts already started are timed from when the booking was made
+UPDATE tee_times
+SET checkout_started_at = created_at
+WHERE stripe_payment_intent_id IS NOT NULL;
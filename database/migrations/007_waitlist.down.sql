@@ -0,0 +1,3 @@
+-- Migration 007 rollback: remove the tee time waitlist
+
+DROP TABLE IF EXISTS waitlist_entries;
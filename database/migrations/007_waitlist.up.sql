@@ -0,0 +1,35 @@
+-- Migration 007: Tee time waitlist
+-- Golfers join a waitlist for a date, a time window and a group size. When a
+-- matching slot frees up, the next golfer in line is offered it: the spots
+-- are held for them (see tee_time_holds) and they get a claim link that
+-- expires with the hold.
+
+CREATE TABLE waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- What the golfer is waiting for
+    booking_date DATE NOT NULL,
+    earliest_time TIME NOT NULL,
+    latest_time TIME NOT NULL,
+    number_of_players INTEGER NOT NULL CHECK (number_of_players BETWEEN 1 AND 4),
+
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+
+    -- Current offer; the hold's token is the claim token
+    offered_tee_time TIME,
+    hold_id UUID REFERENCES tee_time_holds(id) ON DELETE SET NULL,
+    offered_at TIMESTAMP WITH TIME ZONE,
+    offer_expires_at TIMESTAMP WITH TIME ZONE,
+    tee_time_id UUID REFERENCES tee_times(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (earliest_time <= latest_time)
+);
+
+CREATE INDEX idx_waitlist_entries_date_status ON waitlist_entries(booking_date, status);
+CREATE INDEX idx_waitlist_entries_user_id ON waitlist_entries(user_id);
+
+CREATE TRIGGER update_waitlist_entries_updated_at BEFORE UPDATE ON waitlist_entries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,56 @@
+-- Migration 008 rollback: remove rate classes and green fee pricing
+
+ALTER TABLE tee_times DROP COLUMN IF EXISTS rate_class;
+
+DROP TABLE IF EXISTS green_fee_rates;
+DROP TABLE IF EXISTS pricing_seasons;
+DROP TABLE IF EXISTS rate_classes;
+
+-- Restore the reservation function from migration 006
+CREATE OR REPLACE FUNCTION reserve_tee_time(p_booking JSONB, p_capacity INTEGER DEFAULT 4, p_hold_id UUID DEFAULT NULL)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times := jsonb_populate_record(NULL::tee_times, p_booking);
+    v_hold_id UUID;
+    v_created tee_times;
+BEGIN
+    -- Serialize reservations for this slot until the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_booking.booking_date || ' ' || v_booking.tee_time));
+
+    SELECT id INTO v_hold_id
+    FROM tee_time_holds
+    WHERE id = p_hold_id
+      AND booking_date = v_booking.booking_date
+      AND tee_time = v_booking.tee_time
+      AND status = 'active'
+      AND expires_at > NOW();
+
+    PERFORM assert_tee_time_capacity(
+        v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players,
+        v_booking.is_private, p_capacity, v_hold_id
+    );
+
+    INSERT INTO tee_times (
+        user_id, booking_date, tee_time, number_of_players, is_private,
+        primary_player_name, primary_player_email, primary_player_phone, additional_players,
+        cart_rental, cart_rental_fee, special_requests,
+        green_fee_type, total_green_fees, total_cart_fees, total_amount,
+        payment_status, payment_method, status
+    ) VALUES (
+        v_booking.user_id, v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players, COALESCE(v_booking.is_private, false),
+        v_booking.primary_player_name, v_booking.primary_player_email, v_booking.primary_player_phone, v_booking.additional_players,
+        COALESCE(v_booking.cart_rental, false), COALESCE(v_booking.cart_rental_fee, 0), v_booking.special_requests,
+        v_booking.green_fee_type, v_booking.total_green_fees, COALESCE(v_booking.total_cart_fees, 0), v_booking.total_amount,
+        COALESCE(v_booking.payment_status, 'pending'), v_booking.payment_method, COALESCE(v_booking.status, 'confirmed')
+    )
+    RETURNING * INTO v_created;
+
+    IF v_hold_id IS NOT NULL THEN
+        UPDATE tee_time_holds SET status = 'converted', tee_time_id = v_created.id WHERE id = v_hold_id;
+    END IF;
+
+    RETURN NEXT v_created;
+END;
+$$;
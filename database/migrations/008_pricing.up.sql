@@ -0,0 +1,123 @@
+-- Migration 008: Rate classes and green fee pricing
+-- Green fees come from a rate table instead of the two fixed settings.
+-- A rate applies to one rate class (standard, senior, junior, ...) and
+-- green fee type, and can be narrowed to weekdays or weekends, regular or
+-- twilight hours, and a pricing season. The most specific active rate wins.
+-- The green_fee_9_holes / green_fee_all_day settings remain the standard
+-- rate when no row matches.
+
+-- =============================================================================
+-- RATE_CLASSES TABLE
+-- =============================================================================
+CREATE TABLE rate_classes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    requires_membership BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =============================================================================
+-- PRICING_SEASONS TABLE
+-- =============================================================================
+CREATE TABLE pricing_seasons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (start_date <= end_date)
+);
+
+-- =============================================================================
+-- GREEN_FEE_RATES TABLE
+-- =============================================================================
+CREATE TABLE green_fee_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rate_class_code VARCHAR(50) NOT NULL REFERENCES rate_classes(code) ON UPDATE CASCADE ON DELETE CASCADE,
+    green_fee_type VARCHAR(20) NOT NULL CHECK (green_fee_type IN ('9_holes', 'all_day')),
+    day_type VARCHAR(20) NOT NULL DEFAULT 'any' CHECK (day_type IN ('any', 'weekday', 'weekend')),
+    time_period VARCHAR(20) NOT NULL DEFAULT 'any' CHECK (time_period IN ('any', 'regular', 'twilight')),
+    -- NULL applies all year; a season's rates take precedence inside its dates
+    season_id UUID REFERENCES pricing_seasons(id) ON DELETE CASCADE,
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_green_fee_rates_lookup ON green_fee_rates(rate_class_code, green_fee_type) WHERE is_active;
+CREATE INDEX idx_pricing_seasons_dates ON pricing_seasons(start_date, end_date) WHERE is_active;
+
+CREATE TRIGGER update_rate_classes_updated_at BEFORE UPDATE ON rate_classes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_pricing_seasons_updated_at BEFORE UPDATE ON pricing_seasons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_green_fee_rates_updated_at BEFORE UPDATE ON green_fee_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Default rate classes (mirrors api/config/pricing.js)
+INSERT INTO rate_classes (code, name, description, requires_membership, sort_order) VALUES
+('standard', 'Standard', 'Regular public green fee', false, 1),
+('senior', 'Senior', 'Golfers 65 and over', false, 2),
+('junior', 'Junior', 'Golfers 17 and under', false, 3),
+('member_guest', 'Member Guest', 'Guests playing with a current member', true, 4),
+('resident', 'County Resident', 'Rooks County residents (proof of address at check-in)', false, 5);
+
+-- Rate class each booking was priced at
+ALTER TABLE tee_times
+    ADD COLUMN rate_class VARCHAR(50) NOT NULL DEFAULT 'standard'
+    REFERENCES rate_classes(code) ON UPDATE CASCADE;
+
+-- reserve_tee_time inserts whichever tee_times columns the booking JSON
+-- names, so columns added later (like rate_class) get their table defaults
+-- without rewriting the function again
+CREATE OR REPLACE FUNCTION reserve_tee_time(p_booking JSONB, p_capacity INTEGER DEFAULT 4, p_hold_id UUID DEFAULT NULL)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times := jsonb_populate_record(NULL::tee_times, p_booking);
+    v_hold_id UUID;
+    v_columns TEXT;
+    v_created tee_times;
+BEGIN
+    -- Serialize reservations for this slot until the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_booking.booking_date || ' ' || v_booking.tee_time));
+
+    SELECT id INTO v_hold_id
+    FROM tee_time_holds
+    WHERE id = p_hold_id
+      AND booking_date = v_booking.booking_date
+      AND tee_time = v_booking.tee_time
+      AND status = 'active'
+      AND expires_at > NOW();
+
+    PERFORM assert_tee_time_capacity(
+        v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players,
+        v_booking.is_private, p_capacity, v_hold_id
+    );
+
+    SELECT string_agg(quote_ident(column_name), ', ') INTO v_columns
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'tee_times'
+      AND column_name NOT IN ('id', 'created_at', 'updated_at')
+      AND p_booking ? column_name;
+
+    EXECUTE format(
+        'INSERT INTO tee_times (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::tee_times, $1) RETURNING *',
+        v_columns
+    ) INTO v_created USING p_booking;
+
+    IF v_hold_id IS NOT NULL THEN
+        UPDATE tee_time_holds SET status = 'converted', tee_time_id = v_created.id WHERE id = v_hold_id;
+    END IF;
+
+    RETURN NEXT v_created;
+END;
+$$;
@@ -0,0 +1,7 @@
+-- Migration 009 rollback: remove standing tee times
+
+DROP TABLE IF EXISTS booking_series_conflicts;
+
+ALTER TABLE tee_times DROP COLUMN IF EXISTS series_id;
+
+DROP TABLE IF EXISTS booking_series;
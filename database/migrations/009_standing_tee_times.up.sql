@@ -0,0 +1,73 @@
+-- Migration 009: Standing tee times
+-- A booking series books the same tee times for a member's group on the
+-- same days every week or every other week. Occurrences are ordinary
+-- tee_times rows linked back to their series, booked ahead by a daily job
+-- as far as the member advance-booking window reaches. Occurrences that an
+-- event, a course closure or a full slot prevents are recorded as conflicts
+-- for the member and the pro shop to sort out.
+
+-- =============================================================================
+-- BOOKING_SERIES TABLE
+-- =============================================================================
+CREATE TABLE booking_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+
+    -- Recurrence rule
+    frequency VARCHAR(20) NOT NULL DEFAULT 'weekly' CHECK (frequency IN ('weekly', 'biweekly')),
+    days_of_week JSONB NOT NULL, -- 0 = Sunday ... 6 = Saturday
+    tee_times JSONB NOT NULL, -- 'HH:MM' slots, one booking per slot
+    start_date DATE NOT NULL,
+    end_date DATE,
+    skip_dates JSONB NOT NULL DEFAULT '[]',
+
+    -- What each occurrence books
+    number_of_players INTEGER NOT NULL CHECK (number_of_players BETWEEN 1 AND 4),
+    green_fee_type VARCHAR(20) NOT NULL CHECK (green_fee_type IN ('9_holes', 'all_day')),
+    cart_rental BOOLEAN NOT NULL DEFAULT false,
+    rate_class VARCHAR(50) NOT NULL DEFAULT 'standard' REFERENCES rate_classes(code),
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    last_generated_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX idx_booking_series_user_id ON booking_series(user_id);
+CREATE INDEX idx_booking_series_status ON booking_series(status);
+
+CREATE TRIGGER update_booking_series_updated_at BEFORE UPDATE ON booking_series FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Occurrences point back at their series; reserve_tee_time inserts the
+-- column like any other
+ALTER TABLE tee_times ADD COLUMN series_id UUID REFERENCES booking_series(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tee_times_series_id ON tee_times(series_id);
+
+-- =============================================================================
+-- BOOKING_SERIES_CONFLICTS TABLE
+-- =============================================================================
+CREATE TABLE booking_series_conflicts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    series_id UUID NOT NULL REFERENCES booking_series(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    tee_time TIME NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('event', 'closure', 'full')),
+    details TEXT,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+    -- Occurrence that was already booked when the conflict appeared
+    tee_time_id UUID REFERENCES tee_times(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE (series_id, occurrence_date, tee_time, reason)
+);
+
+CREATE INDEX idx_booking_series_conflicts_date ON booking_series_conflicts(occurrence_date);
+
+CREATE TRIGGER update_booking_series_conflicts_updated_at BEFORE UPDATE ON booking_series_conflicts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,9 @@
+-- Migration 010 rollback: remove group and outing bookings
+
+DROP FUNCTION IF EXISTS reserve_outing(JSONB, JSONB, INTEGER);
+
+DROP TABLE IF EXISTS outing_players;
+
+ALTER TABLE tee_times DROP COLUMN IF EXISTS outing_id;
+
+DROP TABLE IF EXISTS outings;
@@ -0,0 +1,113 @@
+-- Migration 010: Group and outing bookings
+-- An outing books a run of consecutive tee times for one group too big for
+-- a single slot (a company or charity outing). The outing row holds the
+-- organizer, the combined price and the payment status; each slot is an
+-- ordinary private tee_times booking linked back to it. The player roster
+-- can be filled in after booking and is spread across the slots.
+
+-- =============================================================================
+-- OUTINGS TABLE
+-- =============================================================================
+CREATE TABLE outings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    name VARCHAR(200) NOT NULL,
+
+    -- Organizer, the single contact for the whole group
+    organizer_name VARCHAR(200) NOT NULL,
+    organizer_email VARCHAR(255) NOT NULL,
+    organizer_phone VARCHAR(20),
+
+    -- Slots
+    booking_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    slot_count INTEGER NOT NULL CHECK (slot_count > 0),
+    number_of_players INTEGER NOT NULL CHECK (number_of_players > 0),
+
+    -- Pricing, combined across every slot
+    green_fee_type VARCHAR(20) NOT NULL CHECK (green_fee_type IN ('9_holes', 'all_day')),
+    cart_rental BOOLEAN NOT NULL DEFAULT false,
+    rate_class VARCHAR(50) NOT NULL DEFAULT 'standard' REFERENCES rate_classes(code),
+    total_green_fees DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_cart_fees DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    payment_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'failed', 'refunded')),
+    special_requests TEXT,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'cancelled', 'completed')),
+    cancellation_reason TEXT,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_outings_booking_date ON outings(booking_date);
+CREATE INDEX idx_outings_user_id ON outings(user_id);
+
+CREATE TRIGGER update_outings_updated_at BEFORE UPDATE ON outings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE tee_times ADD COLUMN outing_id UUID REFERENCES outings(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tee_times_outing_id ON tee_times(outing_id);
+
+-- =============================================================================
+-- OUTING_PLAYERS TABLE
+-- =============================================================================
+CREATE TABLE outing_players (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    outing_id UUID NOT NULL REFERENCES outings(id) ON DELETE CASCADE,
+    -- Slot the player tees off in
+    tee_time_id UUID REFERENCES tee_times(id) ON DELETE SET NULL,
+    position INTEGER NOT NULL,
+    player_name VARCHAR(200) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    handicap DECIMAL(4,1),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE (outing_id, position)
+);
+
+CREATE TRIGGER update_outing_players_updated_at BEFORE UPDATE ON outing_players FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================================================
+-- OUTING RESERVATION FUNCTION
+-- =============================================================================
+-- reserve_outing inserts the outing and books every slot through
+-- reserve_tee_time in one transaction: if any slot cannot take its group the
+-- whole outing fails with that slot's unique-violation error and nothing is
+-- kept. Slots are booked in time order so two outings racing for
+-- overlapping runs take the slot locks in the same order.
+CREATE OR REPLACE FUNCTION reserve_outing(p_outing JSONB, p_bookings JSONB, p_capacity INTEGER DEFAULT 4)
+RETURNS SETOF outings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_columns TEXT;
+    v_outing outings;
+    v_booking JSONB;
+BEGIN
+    SELECT string_agg(quote_ident(column_name), ', ') INTO v_columns
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'outings'
+      AND column_name NOT IN ('id', 'created_at', 'updated_at')
+      AND p_outing ? column_name;
+
+    EXECUTE format(
+        'INSERT INTO outings (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::outings, $1) RETURNING *',
+        v_columns
+    ) INTO v_outing USING p_outing;
+
+    FOR v_booking IN
+        SELECT value FROM jsonb_array_elements(p_bookings) ORDER BY value->>'tee_time'
+    LOOP
+        PERFORM reserve_tee_time(v_booking || jsonb_build_object('outing_id', v_outing.id), p_capacity);
+    END LOOP;
+
+    RETURN NEXT v_outing;
+END;
+$$;
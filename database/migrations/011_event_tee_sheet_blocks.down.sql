@@ -0,0 +1,11 @@
+-- Migration 011 rollback: remove event blocks on the tee sheet
+
+DROP FUNCTION IF EXISTS move_tee_time(UUID, DATE, TIME, INTEGER);
+
+DROP INDEX IF EXISTS idx_events_blocks_tee_sheet;
+
+ALTER TABLE events
+    DROP COLUMN IF EXISTS block_end_time,
+    DROP COLUMN IF EXISTS block_start_time,
+    DROP COLUMN IF EXISTS block_scope,
+    DROP COLUMN IF EXISTS blocks_tee_sheet;
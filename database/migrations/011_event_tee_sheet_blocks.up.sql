@@ -0,0 +1,57 @@
+-- Migration 011: Event blocks on the tee sheet
+-- Events can reserve tee sheet time: the whole course (a shotgun start),
+-- the front nine (no tee times) or the back nine (9-hole rounds only), for
+-- the event's own hours or a separate block window. See
+-- api/services/teeSheetBlocks.js for how blocks apply to bookings.
+
+ALTER TABLE events
+    ADD COLUMN blocks_tee_sheet BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN block_scope VARCHAR(20) NOT NULL DEFAULT 'course' CHECK (block_scope IN ('course', 'front_nine', 'back_nine')),
+    ADD COLUMN block_start_time TIME,
+    ADD COLUMN block_end_time TIME;
+
+-- Tournaments and maintenance already on the calendar keep golfers off the course
+UPDATE events
+SET blocks_tee_sheet = true
+WHERE event_type IN ('tournament', 'maintenance')
+  AND status <> 'cancelled';
+
+CREATE INDEX idx_events_blocks_tee_sheet ON events(event_date) WHERE blocks_tee_sheet;
+
+-- move_tee_time moves a booking to another slot under the target slot's
+-- lock, checking the target's remaining capacity the same way
+-- reserve_tee_time does. A slot that cannot take the group raises
+-- unique_violation and the booking stays where it was.
+CREATE OR REPLACE FUNCTION move_tee_time(
+    p_booking_id UUID,
+    p_booking_date DATE,
+    p_tee_time TIME,
+    p_capacity INTEGER DEFAULT 4
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || p_booking_date || ' ' || p_tee_time));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.booking_date <> p_booking_date OR v_booking.tee_time <> p_tee_time THEN
+        PERFORM assert_tee_time_capacity(
+            p_booking_date, p_tee_time, v_booking.number_of_players, v_booking.is_private, p_capacity
+        );
+    END IF;
+
+    RETURN QUERY
+    UPDATE tee_times
+    SET booking_date = p_booking_date, tee_time = p_tee_time
+    WHERE id = p_booking_id
+    RETURNING *;
+END;
+$$;
@@ -0,0 +1,7 @@
+-- Migration 012 rollback: remove tee sheet check-in tracking
+
+ALTER TABLE tee_times
+    DROP COLUMN IF EXISTS completed_at,
+    DROP COLUMN IF EXISTS no_show_at,
+    DROP COLUMN IF EXISTS checked_in_by,
+    DROP COLUMN IF EXISTS checked_in_at;
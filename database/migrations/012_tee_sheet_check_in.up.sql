@@ -0,0 +1,10 @@
+-- Migration 012: Tee sheet check-in
+-- Starters check golfers in, mark no-shows and close out rounds from the
+-- day's tee sheet. These columns record when (and by whom) each step
+-- happened; an end-of-day job completes or no-shows whatever is left open.
+
+ALTER TABLE tee_times
+    ADD COLUMN checked_in_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN checked_in_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN no_show_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN completed_at TIMESTAMP WITH TIME ZONE;
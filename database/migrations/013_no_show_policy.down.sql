@@ -0,0 +1,9 @@
+-- Migration 013 rollback: remove the no-show policy
+
+DROP INDEX IF EXISTS idx_tee_times_no_shows;
+
+DROP TABLE IF EXISTS guest_standing_notices;
+
+DROP TABLE IF EXISTS booking_standings;
+
+DROP TABLE IF EXISTS no_show_rules;
@@ -0,0 +1,75 @@
+-- Migration 013: No-show policy
+-- Rules turn a golfer's recent no-shows into booking restrictions: a
+-- suspension of online booking or a card on file requirement. Each signed-in
+-- golfer's current standing is kept in booking_standings, where staff can
+-- also override it. See api/services/bookingStanding.js.
+
+-- =============================================================================
+-- NO_SHOW_RULES TABLE
+-- =============================================================================
+CREATE TABLE no_show_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    no_show_count INTEGER NOT NULL CHECK (no_show_count > 0),
+    window_days INTEGER NOT NULL CHECK (window_days > 0),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('suspend', 'require_card')),
+    suspension_days INTEGER CHECK (suspension_days > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (action <> 'suspend' OR suspension_days IS NOT NULL)
+);
+
+-- Same defaults as api/config/noShowPolicy.js
+INSERT INTO no_show_rules (name, no_show_count, window_days, action, suspension_days) VALUES
+    ('Card on file after 2 no-shows', 2, 90, 'require_card', NULL),
+    ('Suspend after 3 no-shows', 3, 60, 'suspend', 30);
+
+-- =============================================================================
+-- BOOKING_STANDINGS TABLE
+-- =============================================================================
+CREATE TABLE booking_standings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Standing worked out from the rules
+    status VARCHAR(20) NOT NULL DEFAULT 'good' CHECK (status IN ('good', 'card_required', 'suspended')),
+    recent_no_shows INTEGER NOT NULL DEFAULT 0,
+    suspended_until DATE,
+    rule_id UUID REFERENCES no_show_rules(id) ON DELETE SET NULL,
+    reason TEXT,
+    evaluated_at TIMESTAMP WITH TIME ZONE,
+
+    -- Staff override; applies until override_until, or indefinitely when NULL
+    override_status VARCHAR(20) CHECK (override_status IN ('good', 'card_required', 'suspended')),
+    override_until DATE,
+    override_reason TEXT,
+    override_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    last_notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_booking_standings_status ON booking_standings(status);
+
+-- =============================================================================
+-- GUEST_STANDING_NOTICES TABLE
+-- =============================================================================
+-- Guests have no standing row, so the last refusal notice sent to each
+-- guest email is kept here to space them out
+CREATE TABLE guest_standing_notices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL UNIQUE,
+    last_notified_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Counting no-shows per golfer
+CREATE INDEX idx_tee_times_no_shows ON tee_times(user_id, booking_date) WHERE status = 'no_show';
+
+CREATE TRIGGER update_no_show_rules_updated_at BEFORE UPDATE ON no_show_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_booking_standings_updated_at BEFORE UPDATE ON booking_standings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_guest_standing_notices_updated_at BEFORE UPDATE ON guest_standing_notices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
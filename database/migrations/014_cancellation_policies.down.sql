@@ -0,0 +1,17 @@
+-- Migration 014 rollback: remove cancellation policies
+
+ALTER TABLE event_registrations
+    DROP COLUMN IF EXISTS refund_amount,
+    DROP COLUMN IF EXISTS cancellation_fee,
+    DROP COLUMN IF EXISTS cancelled_at,
+    DROP COLUMN IF EXISTS cancellation_reason;
+
+ALTER TABLE tee_times
+    DROP COLUMN IF EXISTS refund_amount,
+    DROP COLUMN IF EXISTS cancellation_fee;
+
+ALTER TABLE outings
+    DROP COLUMN IF EXISTS refund_amount,
+    DROP COLUMN IF EXISTS cancellation_fee;
+
+DROP TABLE IF EXISTS cancellation_policies;
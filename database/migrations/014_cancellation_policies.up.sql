@@ -0,0 +1,61 @@
+-- Migration 014: Cancellation and modification policies
+-- A policy says how close to the tee time (or event) a booking can be
+-- changed or cancelled, what is refunded, and what a late cancellation
+-- costs. Policies can be narrowed to a rate class and to members or
+-- non-members; the most specific active policy wins. Without one, bookings
+-- fall back to the `cancellation_hours` setting and event registrations to
+-- `event_cancellation_hours`. Outings follow the tee time policy like a
+-- single booking, counted from their first tee time. See
+-- api/services/cancellationPolicy.js.
+
+-- =============================================================================
+-- CANCELLATION_POLICIES TABLE
+-- =============================================================================
+CREATE TABLE cancellation_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    applies_to VARCHAR(20) NOT NULL DEFAULT 'tee_time' CHECK (applies_to IN ('tee_time', 'event')),
+
+    -- NULL applies to every rate class; event registrations have none
+    rate_class_code VARCHAR(50) REFERENCES rate_classes(code) ON UPDATE CASCADE ON DELETE CASCADE,
+    member_status VARCHAR(20) NOT NULL DEFAULT 'any' CHECK (member_status IN ('any', 'member', 'non_member')),
+
+    -- Free cancellation up to this many hours before the start
+    cutoff_hours INTEGER NOT NULL CHECK (cutoff_hours >= 0),
+    -- Changes are allowed up to this many hours before; NULL uses cutoff_hours
+    modification_cutoff_hours INTEGER CHECK (modification_cutoff_hours >= 0),
+    refund_percent DECIMAL(5,2) NOT NULL DEFAULT 100 CHECK (refund_percent BETWEEN 0 AND 100),
+
+    -- Inside the cutoff: refused, or allowed for a fee and a smaller refund
+    late_cancel_allowed BOOLEAN NOT NULL DEFAULT false,
+    late_cancel_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (late_cancel_fee >= 0),
+    late_refund_percent DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (late_refund_percent BETWEEN 0 AND 100),
+
+    -- When the course is closed for the day, cancel any time for a full refund
+    weather_exemption BOOLEAN NOT NULL DEFAULT true,
+
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (applies_to = 'tee_time' OR rate_class_code IS NULL)
+);
+
+CREATE INDEX idx_cancellation_policies_lookup ON cancellation_policies(applies_to) WHERE is_active;
+
+CREATE TRIGGER update_cancellation_policies_updated_at BEFORE UPDATE ON cancellation_policies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- What the policy decided when a booking, registration or outing was cancelled
+ALTER TABLE tee_times
+    ADD COLUMN cancellation_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE event_registrations
+    ADD COLUMN cancellation_reason TEXT,
+    ADD COLUMN cancelled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN cancellation_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE outings
+    ADD COLUMN cancellation_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,11 @@
+-- Migration 015 rollback: remove cancellation refund bookkeeping
+
+ALTER TABLE payment_transactions
+    DROP COLUMN IF EXISTS idempotency_key;
+
+DELETE FROM payment_transactions WHERE transaction_type = 'refund';
+
+ALTER TABLE payment_transactions
+    DROP CONSTRAINT IF EXISTS payment_transactions_transaction_type_check,
+    ADD CONSTRAINT payment_transactions_transaction_type_check
+        CHECK (transaction_type IN ('membership', 'tee_time', 'event', 'cart_rental', 'merchandise'));
@@ -0,0 +1,16 @@
+-- Migration 015: Automatic refunds on cancellation
+-- Cancelling a paid booking or event registration refunds what its
+-- cancellation policy allows (see api/services/refunds.js). Each refund is
+-- a payment_transactions row of type 'refund' with a negative amount: a
+-- Stripe refund for online payments, or an account credit for payments
+-- taken at the counter. The idempotency key makes retried cancellations
+-- find the refund already issued instead of issuing another.
+
+-- 'refund' rows were already written by POST /api/payments/refund
+ALTER TABLE payment_transactions
+    DROP CONSTRAINT IF EXISTS payment_transactions_transaction_type_check,
+    ADD CONSTRAINT payment_transactions_transaction_type_check
+        CHECK (transaction_type IN ('membership', 'tee_time', 'event', 'cart_rental', 'merchandise', 'refund'));
+
+ALTER TABLE payment_transactions
+    ADD COLUMN idempotency_key VARCHAR(255) UNIQUE;
@@ -0,0 +1,8 @@
+-- Migration 016 rollback: remove booking changes and reschedules
+
+DROP FUNCTION IF EXISTS reschedule_tee_time(UUID, JSONB, JSONB, JSONB, INTEGER);
+
+ALTER TABLE tee_times
+    DROP COLUMN IF EXISTS balance_due;
+
+DROP TABLE IF EXISTS booking_changes;
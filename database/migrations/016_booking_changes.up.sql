@@ -0,0 +1,116 @@
+-- Migration 016: Booking changes and reschedules
+-- Golfers can move a booking to another date or time and change the number
+-- of players without cancelling it. reschedule_tee_time checks the new
+-- slot under its lock, applies the new slot and price, and writes the
+-- change to booking_changes in one transaction. Simple edits (cart, special
+-- requests, players' names) are logged to the same history. See
+-- api/services/bookingChanges.js for how price differences are settled.
+
+-- =============================================================================
+-- BOOKING_CHANGES TABLE
+-- =============================================================================
+CREATE TABLE booking_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tee_time_id UUID NOT NULL REFERENCES tee_times(id) ON DELETE CASCADE,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('reschedule', 'update')),
+
+    -- The changed columns before and after
+    previous JSONB NOT NULL,
+    changes JSONB NOT NULL,
+
+    -- Price difference and how it was settled
+    amount_difference DECIMAL(10,2) NOT NULL DEFAULT 0,
+    settlement VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (settlement IN ('none', 'refund', 'credit', 'charge', 'due_at_course')),
+    payment_transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_booking_changes_tee_time ON booking_changes(tee_time_id, created_at);
+
+-- What is still owed on a paid booking after a change made it dearer
+ALTER TABLE tee_times
+    ADD COLUMN balance_due DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (balance_due >= 0);
+
+-- Move a confirmed booking, apply its new price and log the change; p_change
+-- gives the history row's id, changed_by, amount_difference and settlement.
+-- p_previous holds the booking's slot, players and totals as the caller
+-- priced them; if the booking changed meanwhile this raises
+-- serialization_failure (40001).
+-- A slot that cannot take the group raises unique_violation, as in
+-- reserve_tee_time, and nothing changes.
+CREATE OR REPLACE FUNCTION reschedule_tee_time(
+    p_booking_id UUID,
+    p_previous JSONB,
+    p_changes JSONB,
+    p_change JSONB,
+    p_capacity INTEGER DEFAULT 4
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+    v_date DATE := (p_changes->>'booking_date')::DATE;
+    v_time TIME := (p_changes->>'tee_time')::TIME;
+    v_players INTEGER := (p_changes->>'number_of_players')::INTEGER;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_date || ' ' || v_time));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.status <> 'confirmed'
+        OR v_booking.booking_date <> (p_previous->>'booking_date')::DATE
+        OR v_booking.tee_time <> (p_previous->>'tee_time')::TIME
+        OR v_booking.number_of_players <> (p_previous->>'number_of_players')::INTEGER
+        OR v_booking.total_amount <> (p_previous->>'total_amount')::DECIMAL
+        OR v_booking.balance_due <> (p_previous->>'balance_due')::DECIMAL THEN
+        RAISE EXCEPTION 'This booking was just changed; please reload it' USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    IF v_booking.booking_date <> v_date OR v_booking.tee_time <> v_time THEN
+        PERFORM assert_tee_time_capacity(v_date, v_time, v_players, v_booking.is_private, p_capacity);
+    ELSIF v_players > v_booking.number_of_players THEN
+        -- Same slot: only the extra players need room
+        IF v_booking.is_private THEN
+            IF v_players > p_capacity THEN
+                RAISE EXCEPTION 'Only % spot(s) left at this tee time', p_capacity - v_booking.number_of_players
+                    USING ERRCODE = 'unique_violation';
+            END IF;
+        ELSE
+            PERFORM assert_tee_time_capacity(v_date, v_time, v_players - v_booking.number_of_players, false, p_capacity);
+        END IF;
+    END IF;
+
+    UPDATE tee_times
+    SET booking_date = v_date,
+        tee_time = v_time,
+        number_of_players = v_players,
+        cart_rental_fee = (p_changes->>'cart_rental_fee')::DECIMAL,
+        total_green_fees = (p_changes->>'total_green_fees')::DECIMAL,
+        total_cart_fees = (p_changes->>'total_cart_fees')::DECIMAL,
+        total_amount = (p_changes->>'total_amount')::DECIMAL,
+        balance_due = (p_changes->>'balance_due')::DECIMAL
+    WHERE id = p_booking_id
+    RETURNING * INTO v_booking;
+
+    INSERT INTO booking_changes (id, tee_time_id, changed_by, change_type, previous, changes, amount_difference, settlement)
+    VALUES (
+        COALESCE((p_change->>'id')::UUID, uuid_generate_v4()),
+        p_booking_id,
+        (p_change->>'changed_by')::UUID,
+        'reschedule',
+        p_previous,
+        p_changes,
+        (p_change->>'amount_difference')::DECIMAL,
+        p_change->>'settlement'
+    );
+
+    RETURN NEXT v_booking;
+END;
+$$;
@@ -0,0 +1,6 @@
+-- Migration 017 rollback: remove booking confirmation codes
+
+ALTER TABLE tee_times
+    DROP COLUMN IF EXISTS confirmation_code;
+
+DROP FUNCTION IF EXISTS generate_confirmation_code();
@@ -0,0 +1,35 @@
+-- Migration 017: Booking confirmation codes
+-- Every booking gets a short, human-friendly confirmation code. Golfers who
+-- booked without an account find their booking with the code and their
+-- email, and manage it through a signed link (see
+-- api/services/guestBookings.js). Codes leave out look-alike characters
+-- (0/O, 1/I) so they can be read out over the phone.
+
+CREATE OR REPLACE FUNCTION generate_confirmation_code()
+RETURNS VARCHAR(8)
+LANGUAGE plpgsql
+VOLATILE
+AS $$
+DECLARE
+    v_alphabet CONSTANT TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    v_code TEXT := '';
+BEGIN
+    FOR i IN 1..8 LOOP
+        v_code := v_code || substr(v_alphabet, 1 + floor(random() * length(v_alphabet))::INTEGER, 1);
+    END LOOP;
+
+    RETURN v_code;
+END;
+$$;
+
+ALTER TABLE tee_times
+    ADD COLUMN confirmation_code VARCHAR(8);
+
+-- Existing bookings get a code too
+UPDATE tee_times SET confirmation_code = generate_confirmation_code() WHERE confirmation_code IS NULL;
+
+-- New bookings get theirs from the default, whichever path inserts them
+ALTER TABLE tee_times
+    ALTER COLUMN confirmation_code SET DEFAULT generate_confirmation_code(),
+    ALTER COLUMN confirmation_code SET NOT NULL,
+    ADD CONSTRAINT tee_times_confirmation_code_key UNIQUE (confirmation_code);
@@ -0,0 +1,3 @@
+-- Migration 018 rollback: remove booking release rules
+
+DROP TABLE IF EXISTS booking_release_rules;
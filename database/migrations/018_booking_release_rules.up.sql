@@ -0,0 +1,40 @@
+-- Migration 018: Member priority booking windows
+-- Release rules say when tee times open for booking: e.g. members at
+-- 7:00 AM 14 days out, everyone else at 7:00 AM 7 days out, and weekend
+-- mornings for members only until the Thursday before. Times are in the
+-- course timezone (the `course_timezone` setting). Members can always book
+-- what is open to the public. Without rules, tee times open at midnight
+-- `member_booking_advance_days` (members) or `booking_advance_days`
+-- (everyone else) ahead. See api/services/bookingRelease.js.
+
+-- =============================================================================
+-- BOOKING_RELEASE_RULES TABLE
+-- =============================================================================
+CREATE TABLE booking_release_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    audience VARCHAR(20) NOT NULL CHECK (audience IN ('member', 'public')),
+
+    -- Tee times the rule covers: play days (0 = Sunday ... 6 = Saturday;
+    -- NULL for every day) and a window of tee times (NULL for all day)
+    days_of_week JSONB,
+    start_time TIME,
+    end_time TIME,
+
+    -- When they open: release_time on the day days_before the play date, or
+    -- on the last release_weekday before it
+    days_before INTEGER CHECK (days_before >= 0),
+    release_weekday INTEGER CHECK (release_weekday BETWEEN 0 AND 6),
+    release_time TIME NOT NULL DEFAULT '07:00',
+
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK ((days_before IS NULL) <> (release_weekday IS NULL)),
+    CHECK (start_time IS NULL OR end_time IS NULL OR start_time < end_time)
+);
+
+CREATE INDEX idx_booking_release_rules_active ON booking_release_rules(audience) WHERE is_active;
+
+CREATE TRIGGER update_booking_release_rules_updated_at BEFORE UPDATE ON booking_release_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,88 @@
+-- Migration 019 rollback: remove tee sheet delays
+
+-- reschedule_tee_time as defined in 016
+CREATE OR REPLACE FUNCTION reschedule_tee_time(
+    p_booking_id UUID,
+    p_previous JSONB,
+    p_changes JSONB,
+    p_change JSONB,
+    p_capacity INTEGER DEFAULT 4
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+    v_date DATE := (p_changes->>'booking_date')::DATE;
+    v_time TIME := (p_changes->>'tee_time')::TIME;
+    v_players INTEGER := (p_changes->>'number_of_players')::INTEGER;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_date || ' ' || v_time));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.status <> 'confirmed'
+        OR v_booking.booking_date <> (p_previous->>'booking_date')::DATE
+        OR v_booking.tee_time <> (p_previous->>'tee_time')::TIME
+        OR v_booking.number_of_players <> (p_previous->>'number_of_players')::INTEGER
+        OR v_booking.total_amount <> (p_previous->>'total_amount')::DECIMAL
+        OR v_booking.balance_due <> (p_previous->>'balance_due')::DECIMAL THEN
+        RAISE EXCEPTION 'This booking was just changed; please reload it' USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    IF v_booking.booking_date <> v_date OR v_booking.tee_time <> v_time THEN
+        PERFORM assert_tee_time_capacity(v_date, v_time, v_players, v_booking.is_private, p_capacity);
+    ELSIF v_players > v_booking.number_of_players THEN
+        -- Same slot: only the extra players need room
+        IF v_booking.is_private THEN
+            IF v_players > p_capacity THEN
+                RAISE EXCEPTION 'Only % spot(s) left at this tee time', p_capacity - v_booking.number_of_players
+                    USING ERRCODE = 'unique_violation';
+            END IF;
+        ELSE
+            PERFORM assert_tee_time_capacity(v_date, v_time, v_players - v_booking.number_of_players, false, p_capacity);
+        END IF;
+    END IF;
+
+    UPDATE tee_times
+    SET booking_date = v_date,
+        tee_time = v_time,
+        number_of_players = v_players,
+        cart_rental_fee = (p_changes->>'cart_rental_fee')::DECIMAL,
+        total_green_fees = (p_changes->>'total_green_fees')::DECIMAL,
+        total_cart_fees = (p_changes->>'total_cart_fees')::DECIMAL,
+        total_amount = (p_changes->>'total_amount')::DECIMAL,
+        balance_due = (p_changes->>'balance_due')::DECIMAL
+    WHERE id = p_booking_id
+    RETURNING * INTO v_booking;
+
+    INSERT INTO booking_changes (id, tee_time_id, changed_by, change_type, previous, changes, amount_difference, settlement)
+    VALUES (
+        COALESCE((p_change->>'id')::UUID, uuid_generate_v4()),
+        p_booking_id,
+        (p_change->>'changed_by')::UUID,
+        'reschedule',
+        p_previous,
+        p_changes,
+        (p_change->>'amount_difference')::DECIMAL,
+        p_change->>'settlement'
+    );
+
+    RETURN NEXT v_booking;
+END;
+$$;
+
+DELETE FROM booking_changes WHERE change_type = 'delay';
+
+ALTER TABLE booking_changes
+    DROP CONSTRAINT IF EXISTS booking_changes_change_type_check;
+
+ALTER TABLE booking_changes
+    ADD CONSTRAINT booking_changes_change_type_check CHECK (change_type IN ('reschedule', 'update'));
+
+ALTER TABLE booking_changes
+    DROP COLUMN IF EXISTS note;
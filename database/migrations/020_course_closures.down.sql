@@ -0,0 +1,4 @@
+-- Migration 020 rollback: remove course closures
+
+DROP TABLE IF EXISTS course_closure_items;
+DROP TABLE IF EXISTS course_closures;
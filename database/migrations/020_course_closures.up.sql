@@ -0,0 +1,77 @@
+-- Migration 020: Course closures
+-- Closing the course for a day (or part of it: fewer holes, no carts) is a
+-- workflow, not just a course_conditions row. A closure sets the day's
+-- conditions and deals with what was already booked:
+--   full closure    - bookings, outings, events and event registrations are
+--                     cancelled and what was paid goes back, as a refund or
+--                     as a rain check (account credit)
+--   partial closure - bookings stay; green fees are cut pro rata to the
+--                     holes still open and cart fees dropped when carts are
+--                     not allowed, and any overpayment goes back the same way
+-- Every change is logged in course_closure_items with the row's previous
+-- values, so reopening the course can put things back. See
+-- api/services/courseClosures.js.
+
+-- =============================================================================
+-- COURSE_CLOSURES TABLE
+-- =============================================================================
+CREATE TABLE course_closures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    closure_date DATE NOT NULL,
+
+    -- What stays open: no holes for a full closure
+    holes_available INTEGER NOT NULL DEFAULT 0 CHECK (holes_available BETWEEN 0 AND 9),
+    cart_availability BOOLEAN NOT NULL DEFAULT false,
+
+    -- How money paid for cancelled or cheaper bookings goes back
+    resolution VARCHAR(20) NOT NULL DEFAULT 'rain_check' CHECK (resolution IN ('refund', 'rain_check')),
+    reason TEXT,
+
+    -- The course_conditions values the closure replaced (NULL when the day
+    -- had none), restored on reopening
+    previous_conditions JSONB,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'reopened')),
+    closed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reopened_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reopened_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (holes_available < 9 OR NOT cart_availability)
+);
+
+-- One closure in force per day
+CREATE UNIQUE INDEX idx_course_closures_active_date ON course_closures(closure_date) WHERE status = 'active';
+
+CREATE TRIGGER update_course_closures_updated_at BEFORE UPDATE ON course_closures FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================================================
+-- COURSE_CLOSURE_ITEMS TABLE
+-- =============================================================================
+-- One row per booking, outing, event or registration a closure changed
+CREATE TABLE course_closure_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    closure_id UUID NOT NULL REFERENCES course_closures(id) ON DELETE CASCADE,
+    tee_time_id UUID REFERENCES tee_times(id) ON DELETE CASCADE,
+    outing_id UUID REFERENCES outings(id) ON DELETE CASCADE,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+    event_registration_id UUID REFERENCES event_registrations(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('cancelled', 'adjusted')),
+
+    -- The changed columns before and after
+    previous JSONB NOT NULL,
+    changes JSONB NOT NULL,
+
+    -- What was given back, and the refund or rain check that did it
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    payment_transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL,
+
+    reversed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (num_nonnulls(tee_time_id, outing_id, event_id, event_registration_id) = 1)
+);
+
+CREATE INDEX idx_course_closure_items_closure ON course_closure_items(closure_id);
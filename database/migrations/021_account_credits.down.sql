@@ -0,0 +1,9 @@
+-- Migration 021 rollback: remove the account credits ledger
+
+DROP FUNCTION IF EXISTS redeem_account_credits(UUID, TEXT, DECIMAL, DATE, UUID, UUID);
+
+ALTER TABLE tee_times
+    DROP COLUMN IF EXISTS credit_applied;
+
+DROP TABLE IF EXISTS account_credit_entries;
+DROP TABLE IF EXISTS account_credits;
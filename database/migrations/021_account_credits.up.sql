@@ -0,0 +1,116 @@
+-- Migration 021: Account credits ledger
+-- Rain checks and account credits were refund rows with nothing to spend
+-- them against. Each credit is now an account_credits row held by a user,
+-- or by a guest email when the booking had no account, with what is left
+-- of it in `balance` and an expiry date. Every change to a balance (issue,
+-- redemption, expiry, void) is an account_credit_entries row, which makes
+-- up the balance history. New bookings spend the golfer's credits first
+-- through redeem_account_credits. See api/services/accountCredits.js.
+
+-- =============================================================================
+-- ACCOUNT_CREDITS TABLE
+-- =============================================================================
+CREATE TABLE account_credits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Who holds the credit: a user, or a guest by email (lower case)
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    guest_email VARCHAR(255),
+
+    -- 'rain_check' for rounds cut short or days the course closed, 'refund'
+    -- for other refunds paid as credit
+    credit_type VARCHAR(20) NOT NULL CHECK (credit_type IN ('rain_check', 'refund')),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    balance DECIMAL(10,2) NOT NULL CHECK (balance >= 0),
+    expires_on DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'expired', 'voided')),
+
+    -- Where it came from: the booking or registration, and the refund row
+    -- that paid it out
+    tee_time_id UUID REFERENCES tee_times(id) ON DELETE SET NULL,
+    event_registration_id UUID REFERENCES event_registrations(id) ON DELETE SET NULL,
+    payment_transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL,
+    holes_played INTEGER CHECK (holes_played >= 0),
+    note TEXT,
+    issued_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Same key as the refund row, so a retried refund issues one credit
+    idempotency_key VARCHAR(255) UNIQUE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (user_id IS NOT NULL OR guest_email IS NOT NULL),
+    CHECK (balance <= amount)
+);
+
+CREATE INDEX idx_account_credits_user ON account_credits(user_id) WHERE status = 'active';
+CREATE INDEX idx_account_credits_guest_email ON account_credits(guest_email) WHERE status = 'active';
+
+CREATE TRIGGER update_account_credits_updated_at BEFORE UPDATE ON account_credits FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================================================
+-- ACCOUNT_CREDIT_ENTRIES TABLE
+-- =============================================================================
+-- Balance history: issues add to a credit, the rest take away
+CREATE TABLE account_credit_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    credit_id UUID NOT NULL REFERENCES account_credits(id) ON DELETE CASCADE,
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('issue', 'redeem', 'expire', 'void')),
+    amount DECIMAL(10,2) NOT NULL,
+    balance_after DECIMAL(10,2) NOT NULL,
+
+    -- The booking a redemption paid for
+    tee_time_id UUID REFERENCES tee_times(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_account_credit_entries_credit ON account_credit_entries(credit_id);
+
+-- What a booking's credits paid, so a refund can give it back as credit
+ALTER TABLE tee_times
+    ADD COLUMN credit_applied DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Spend up to p_amount of the active, unexpired credits held by p_user_id
+-- (or by p_email with no user) on booking p_tee_time_id, the ones expiring
+-- soonest first. The credits are locked, so two bookings cannot spend the
+-- same balance. Returns the redemption entries.
+CREATE OR REPLACE FUNCTION redeem_account_credits(
+    p_user_id UUID,
+    p_email TEXT,
+    p_amount DECIMAL,
+    p_today DATE,
+    p_tee_time_id UUID,
+    p_created_by UUID DEFAULT NULL
+)
+RETURNS SETOF account_credit_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_credit account_credits;
+    v_left DECIMAL := p_amount;
+    v_spend DECIMAL;
+BEGIN
+    FOR v_credit IN
+        SELECT * FROM account_credits
+        WHERE status = 'active'
+            AND balance > 0
+            AND expires_on >= p_today
+            AND (user_id = p_user_id OR (user_id IS NULL AND guest_email = LOWER(p_email)))
+        ORDER BY expires_on, created_at
+        FOR UPDATE
+    LOOP
+        EXIT WHEN v_left <= 0;
+        v_spend := LEAST(v_credit.balance, v_left);
+        v_left := v_left - v_spend;
+
+        UPDATE account_credits SET balance = balance - v_spend WHERE id = v_credit.id;
+
+        RETURN QUERY
+        INSERT INTO account_credit_entries (credit_id, entry_type, amount, balance_after, tee_time_id, created_by)
+        VALUES (v_credit.id, 'redeem', -v_spend, v_credit.balance - v_spend, p_tee_time_id, p_created_by)
+        RETURNING *;
+    END LOOP;
+END;
+$$;
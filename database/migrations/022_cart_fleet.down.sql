@@ -0,0 +1,209 @@
+-- Migration 022 rollback: remove the cart fleet and cart availability checks
+
+DROP FUNCTION IF EXISTS change_tee_time_carts(UUID, JSONB, JSONB, JSONB);
+DROP FUNCTION IF EXISTS reschedule_tee_time(UUID, JSONB, JSONB, JSONB, INTEGER, JSONB);
+DROP FUNCTION IF EXISTS move_tee_time(UUID, DATE, TIME, INTEGER, JSONB);
+DROP FUNCTION IF EXISTS reserve_outing(JSONB, JSONB, INTEGER, JSONB);
+DROP FUNCTION IF EXISTS reserve_tee_time(JSONB, INTEGER, UUID, JSONB);
+DROP FUNCTION IF EXISTS assert_cart_availability(DATE, TIME, INTEGER, INTEGER, JSONB, UUID);
+DROP FUNCTION IF EXISTS carts_in_use(DATE, TIME, INTEGER, JSONB, UUID);
+DROP FUNCTION IF EXISTS cart_fleet_size(DATE);
+
+-- Restore move_tee_time from migration 011
+CREATE OR REPLACE FUNCTION move_tee_time(
+    p_booking_id UUID,
+    p_booking_date DATE,
+    p_tee_time TIME,
+    p_capacity INTEGER DEFAULT 4
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || p_booking_date || ' ' || p_tee_time));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.booking_date <> p_booking_date OR v_booking.tee_time <> p_tee_time THEN
+        PERFORM assert_tee_time_capacity(
+            p_booking_date, p_tee_time, v_booking.number_of_players, v_booking.is_private, p_capacity
+        );
+    END IF;
+
+    RETURN QUERY
+    UPDATE tee_times
+    SET booking_date = p_booking_date, tee_time = p_tee_time
+    WHERE id = p_booking_id
+    RETURNING *;
+END;
+$$;
+
+-- Restore reschedule_tee_time from migration 019
+CREATE OR REPLACE FUNCTION reschedule_tee_time(
+    p_booking_id UUID,
+    p_previous JSONB,
+    p_changes JSONB,
+    p_change JSONB,
+    p_capacity INTEGER DEFAULT 4
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+    v_date DATE := (p_changes->>'booking_date')::DATE;
+    v_time TIME := (p_changes->>'tee_time')::TIME;
+    v_players INTEGER := (p_changes->>'number_of_players')::INTEGER;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_date || ' ' || v_time));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.status <> 'confirmed'
+        OR v_booking.booking_date <> (p_previous->>'booking_date')::DATE
+        OR v_booking.tee_time <> (p_previous->>'tee_time')::TIME
+        OR v_booking.number_of_players <> (p_previous->>'number_of_players')::INTEGER
+        OR v_booking.total_amount <> (p_previous->>'total_amount')::DECIMAL
+        OR v_booking.balance_due <> (p_previous->>'balance_due')::DECIMAL THEN
+        RAISE EXCEPTION 'This booking was just changed; please reload it' USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    IF v_booking.booking_date <> v_date OR v_booking.tee_time <> v_time THEN
+        PERFORM assert_tee_time_capacity(v_date, v_time, v_players, v_booking.is_private, p_capacity);
+    ELSIF v_players > v_booking.number_of_players THEN
+        -- Same slot: only the extra players need room
+        IF v_booking.is_private THEN
+            IF v_players > p_capacity THEN
+                RAISE EXCEPTION 'Only % spot(s) left at this tee time', p_capacity - v_booking.number_of_players
+                    USING ERRCODE = 'unique_violation';
+            END IF;
+        ELSE
+            PERFORM assert_tee_time_capacity(v_date, v_time, v_players - v_booking.number_of_players, false, p_capacity);
+        END IF;
+    END IF;
+
+    UPDATE tee_times
+    SET booking_date = v_date,
+        tee_time = v_time,
+        number_of_players = v_players,
+        cart_rental_fee = (p_changes->>'cart_rental_fee')::DECIMAL,
+        total_green_fees = (p_changes->>'total_green_fees')::DECIMAL,
+        total_cart_fees = (p_changes->>'total_cart_fees')::DECIMAL,
+        total_amount = (p_changes->>'total_amount')::DECIMAL,
+        balance_due = (p_changes->>'balance_due')::DECIMAL
+    WHERE id = p_booking_id
+    RETURNING * INTO v_booking;
+
+    INSERT INTO booking_changes (id, tee_time_id, changed_by, change_type, previous, changes, amount_difference, settlement, note)
+    VALUES (
+        COALESCE((p_change->>'id')::UUID, uuid_generate_v4()),
+        p_booking_id,
+        (p_change->>'changed_by')::UUID,
+        COALESCE(p_change->>'change_type', 'reschedule'),
+        p_previous,
+        p_changes,
+        (p_change->>'amount_difference')::DECIMAL,
+        p_change->>'settlement',
+        p_change->>'note'
+    );
+
+    RETURN NEXT v_booking;
+END;
+$$;
+
+-- Restore the reservation functions from migrations 008 and 010
+CREATE OR REPLACE FUNCTION reserve_tee_time(p_booking JSONB, p_capacity INTEGER DEFAULT 4, p_hold_id UUID DEFAULT NULL)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times := jsonb_populate_record(NULL::tee_times, p_booking);
+    v_hold_id UUID;
+    v_columns TEXT;
+    v_created tee_times;
+BEGIN
+    -- Serialize reservations for this slot until the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_booking.booking_date || ' ' || v_booking.tee_time));
+
+    SELECT id INTO v_hold_id
+    FROM tee_time_holds
+    WHERE id = p_hold_id
+      AND booking_date = v_booking.booking_date
+      AND tee_time = v_booking.tee_time
+      AND status = 'active'
+      AND expires_at > NOW();
+
+    PERFORM assert_tee_time_capacity(
+        v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players,
+        v_booking.is_private, p_capacity, v_hold_id
+    );
+
+    SELECT string_agg(quote_ident(column_name), ', ') INTO v_columns
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'tee_times'
+      AND column_name NOT IN ('id', 'created_at', 'updated_at')
+      AND p_booking ? column_name;
+
+    EXECUTE format(
+        'INSERT INTO tee_times (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::tee_times, $1) RETURNING *',
+        v_columns
+    ) INTO v_created USING p_booking;
+
+    IF v_hold_id IS NOT NULL THEN
+        UPDATE tee_time_holds SET status = 'converted', tee_time_id = v_created.id WHERE id = v_hold_id;
+    END IF;
+
+    RETURN NEXT v_created;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reserve_outing(p_outing JSONB, p_bookings JSONB, p_capacity INTEGER DEFAULT 4)
+RETURNS SETOF outings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_columns TEXT;
+    v_outing outings;
+    v_booking JSONB;
+BEGIN
+    SELECT string_agg(quote_ident(column_name), ', ') INTO v_columns
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'outings'
+      AND column_name NOT IN ('id', 'created_at', 'updated_at')
+      AND p_outing ? column_name;
+
+    EXECUTE format(
+        'INSERT INTO outings (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::outings, $1) RETURNING *',
+        v_columns
+    ) INTO v_outing USING p_outing;
+
+    FOR v_booking IN
+        SELECT value FROM jsonb_array_elements(p_bookings) ORDER BY value->>'tee_time'
+    LOOP
+        PERFORM reserve_tee_time(v_booking || jsonb_build_object('outing_id', v_outing.id), p_capacity);
+    END LOOP;
+
+    RETURN NEXT v_outing;
+END;
+$$;
+
+ALTER TABLE tee_times
+    DROP COLUMN IF EXISTS cart_shed_number,
+    DROP COLUMN IF EXISTS fleet_carts,
+    DROP COLUMN IF EXISTS cart_sharing,
+    DROP COLUMN IF EXISTS cart_riders;
+
+DROP TABLE IF EXISTS cart_outages;
+DROP TABLE IF EXISTS carts;
@@ -0,0 +1,488 @@
+-- Migration 022: Cart fleet inventory and cart availability
+-- Carts were a yes/no on the booking with a flat fee, and nothing checked
+-- how many carts the course has. The course's carts are now carts rows, and
+-- cart_outages take a cart out of service for a range of days, so the fleet
+-- on a day is the active carts without an outage that day. A booking
+-- records how many of its players ride and whether they share, which gives
+-- the fleet carts it takes; a member who keeps a cart in the cart shed
+-- rides their own (cart_shed_number). reserve_tee_time now refuses a
+-- booking when the carts it needs are out on the course for any part of
+-- its round, move_tee_time and reschedule_tee_time refuse to move one
+-- where that is so, and change_tee_time_carts does the same for a cart
+-- change to a booking. See api/services/carts.js.
+
+-- =============================================================================
+-- CARTS TABLE
+-- =============================================================================
+CREATE TABLE carts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cart_number VARCHAR(20) NOT NULL UNIQUE,
+    -- Retired carts stay listed for their history but leave the fleet
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON carts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================================================
+-- CART_OUTAGES TABLE
+-- =============================================================================
+-- Days a cart is out of service; no end date means until further notice
+CREATE TABLE cart_outages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cart_id UUID NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    reason TEXT NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX idx_cart_outages_cart ON cart_outages(cart_id, start_date);
+
+CREATE TRIGGER update_cart_outages_updated_at BEFORE UPDATE ON cart_outages FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =============================================================================
+-- BOOKING CARTS
+-- =============================================================================
+-- cart_riders: players riding; cart_sharing: two riders to a cart, or one
+-- each; fleet_carts: course carts the group takes; cart_shed_number: the
+-- member's own cart, which carries the first riders
+ALTER TABLE tee_times
+    ADD COLUMN cart_riders INTEGER NOT NULL DEFAULT 0 CHECK (cart_riders >= 0),
+    ADD COLUMN cart_sharing VARCHAR(10) NOT NULL DEFAULT 'shared' CHECK (cart_sharing IN ('shared', 'single')),
+    ADD COLUMN fleet_carts INTEGER NOT NULL DEFAULT 0 CHECK (fleet_carts >= 0),
+    ADD COLUMN cart_shed_number INTEGER;
+
+-- Bookings made before took one cart
+UPDATE tee_times
+SET cart_riders = LEAST(number_of_players, 2), fleet_carts = 1
+WHERE cart_rental;
+
+CREATE INDEX idx_tee_times_fleet_carts ON tee_times(booking_date) WHERE fleet_carts > 0 AND status = 'confirmed';
+
+-- =============================================================================
+-- CART AVAILABILITY
+-- =============================================================================
+-- Carts in the fleet on a day, or NULL while no carts are set up (carts are
+-- then not limited)
+CREATE OR REPLACE FUNCTION cart_fleet_size(p_date DATE)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT CASE WHEN COUNT(*) = 0 THEN NULL ELSE COUNT(*) FILTER (
+        WHERE NOT EXISTS (
+            SELECT 1 FROM cart_outages o
+            WHERE o.cart_id = c.id
+              AND o.start_date <= p_date
+              AND (o.end_date IS NULL OR o.end_date >= p_date)
+        )
+    ) END::INTEGER
+    FROM carts c
+    WHERE c.status = 'active';
+$$;
+
+-- Most fleet carts out on the course at any moment from p_time for
+-- p_minutes, not counting booking p_exclude_id. A booking has its carts
+-- from its tee time for the length of its round,
+-- p_round_minutes->>green_fee_type.
+CREATE OR REPLACE FUNCTION carts_in_use(
+    p_date DATE,
+    p_time TIME,
+    p_minutes INTEGER,
+    p_round_minutes JSONB,
+    p_exclude_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+    WITH rounds AS (
+        SELECT p_date + t.tee_time AS starts_at,
+               p_date + t.tee_time + make_interval(mins => COALESCE((p_round_minutes ->> t.green_fee_type)::INTEGER, p_minutes)) AS ends_at,
+               t.fleet_carts
+        FROM tee_times t
+        WHERE t.booking_date = p_date AND t.status = 'confirmed' AND t.fleet_carts > 0
+          AND t.id IS DISTINCT FROM p_exclude_id
+    ),
+    -- Usage only goes up when a round starts
+    moments AS (
+        SELECT p_date + p_time AS at
+        UNION
+        SELECT starts_at FROM rounds
+        WHERE starts_at > p_date + p_time AND starts_at < p_date + p_time + make_interval(mins => p_minutes)
+    )
+    SELECT COALESCE(MAX(in_use), 0)::INTEGER
+    FROM (
+        SELECT (SELECT COALESCE(SUM(r.fleet_carts), 0) FROM rounds r WHERE r.starts_at <= m.at AND r.ends_at > m.at) AS in_use
+        FROM moments m
+    ) AS usage;
+$$;
+
+-- Raise unique_violation (23505) if the fleet cannot spare p_carts for the
+-- whole round; p_exclude_id is a booking moving, whose own carts are free
+CREATE OR REPLACE FUNCTION assert_cart_availability(
+    p_date DATE,
+    p_time TIME,
+    p_minutes INTEGER,
+    p_carts INTEGER,
+    p_round_minutes JSONB,
+    p_exclude_id UUID DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_fleet INTEGER := cart_fleet_size(p_date);
+    v_in_use INTEGER;
+BEGIN
+    IF v_fleet IS NULL OR p_carts <= 0 THEN
+        RETURN;
+    END IF;
+
+    v_in_use := carts_in_use(p_date, p_time, p_minutes, p_round_minutes, p_exclude_id);
+
+    IF v_in_use >= v_fleet THEN
+        RAISE EXCEPTION 'No carts left at this tee time'
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    IF v_in_use + p_carts > v_fleet THEN
+        RAISE EXCEPTION 'Only % cart(s) left at this tee time', v_fleet - v_in_use
+            USING ERRCODE = 'unique_violation';
+    END IF;
+END;
+$$;
+
+-- reserve_tee_time checks carts as well when given the round lengths. The
+-- day's cart lock is taken before the slot's, so bookings racing for the
+-- last carts in overlapping slots queue up instead of deadlocking.
+DROP FUNCTION IF EXISTS reserve_tee_time(JSONB, INTEGER, UUID);
+
+CREATE OR REPLACE FUNCTION reserve_tee_time(
+    p_booking JSONB,
+    p_capacity INTEGER DEFAULT 4,
+    p_hold_id UUID DEFAULT NULL,
+    p_round_minutes JSONB DEFAULT NULL
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times := jsonb_populate_record(NULL::tee_times, p_booking);
+    v_check_carts BOOLEAN := p_round_minutes IS NOT NULL AND COALESCE(v_booking.fleet_carts, 0) > 0;
+    v_hold_id UUID;
+    v_columns TEXT;
+    v_created tee_times;
+BEGIN
+    IF v_check_carts THEN
+        PERFORM pg_advisory_xact_lock(hashtext('cart_fleet:' || v_booking.booking_date));
+    END IF;
+
+    -- Serialize reservations for this slot until the transaction ends
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_booking.booking_date || ' ' || v_booking.tee_time));
+
+    SELECT id INTO v_hold_id
+    FROM tee_time_holds
+    WHERE id = p_hold_id
+      AND booking_date = v_booking.booking_date
+      AND tee_time = v_booking.tee_time
+      AND status = 'active'
+      AND expires_at > NOW();
+
+    PERFORM assert_tee_time_capacity(
+        v_booking.booking_date, v_booking.tee_time, v_booking.number_of_players,
+        v_booking.is_private, p_capacity, v_hold_id
+    );
+
+    IF v_check_carts THEN
+        PERFORM assert_cart_availability(
+            v_booking.booking_date, v_booking.tee_time,
+            (p_round_minutes ->> v_booking.green_fee_type)::INTEGER, v_booking.fleet_carts, p_round_minutes
+        );
+    END IF;
+
+    SELECT string_agg(quote_ident(column_name), ', ') INTO v_columns
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'tee_times'
+      AND column_name NOT IN ('id', 'created_at', 'updated_at')
+      AND p_booking ? column_name;
+
+    EXECUTE format(
+        'INSERT INTO tee_times (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::tee_times, $1) RETURNING *',
+        v_columns
+    ) INTO v_created USING p_booking;
+
+    IF v_hold_id IS NOT NULL THEN
+        UPDATE tee_time_holds SET status = 'converted', tee_time_id = v_created.id WHERE id = v_hold_id;
+    END IF;
+
+    RETURN NEXT v_created;
+END;
+$$;
+
+-- reserve_outing takes the day's cart lock before any slot lock, for the
+-- same reason
+DROP FUNCTION IF EXISTS reserve_outing(JSONB, JSONB, INTEGER);
+
+CREATE OR REPLACE FUNCTION reserve_outing(
+    p_outing JSONB,
+    p_bookings JSONB,
+    p_capacity INTEGER DEFAULT 4,
+    p_round_minutes JSONB DEFAULT NULL
+)
+RETURNS SETOF outings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_columns TEXT;
+    v_outing outings;
+    v_booking JSONB;
+BEGIN
+    IF p_round_minutes IS NOT NULL AND EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_bookings) WHERE COALESCE((value->>'fleet_carts')::INTEGER, 0) > 0
+    ) THEN
+        PERFORM pg_advisory_xact_lock(hashtext('cart_fleet:' || (p_bookings->0->>'booking_date')));
+    END IF;
+
+    SELECT string_agg(quote_ident(column_name), ', ') INTO v_columns
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'outings'
+      AND column_name NOT IN ('id', 'created_at', 'updated_at')
+      AND p_outing ? column_name;
+
+    EXECUTE format(
+        'INSERT INTO outings (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::outings, $1) RETURNING *',
+        v_columns
+    ) INTO v_outing USING p_outing;
+
+    FOR v_booking IN
+        SELECT value FROM jsonb_array_elements(p_bookings) ORDER BY value->>'tee_time'
+    LOOP
+        PERFORM reserve_tee_time(v_booking || jsonb_build_object('outing_id', v_outing.id), p_capacity, NULL, p_round_minutes);
+    END LOOP;
+
+    RETURN NEXT v_outing;
+END;
+$$;
+
+-- move_tee_time (from 011) and reschedule_tee_time (from 019) check carts
+-- as well when given the round lengths: the booking's fleet carts must be
+-- free at its new tee time for its whole round. The day's cart lock comes
+-- first, as in reserve_tee_time; it is taken before the booking is read,
+-- so whether the booking has carts cannot change under it.
+DROP FUNCTION IF EXISTS move_tee_time(UUID, DATE, TIME, INTEGER);
+
+CREATE OR REPLACE FUNCTION move_tee_time(
+    p_booking_id UUID,
+    p_booking_date DATE,
+    p_tee_time TIME,
+    p_capacity INTEGER DEFAULT 4,
+    p_round_minutes JSONB DEFAULT NULL
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+BEGIN
+    IF p_round_minutes IS NOT NULL THEN
+        PERFORM pg_advisory_xact_lock(hashtext('cart_fleet:' || p_booking_date));
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || p_booking_date || ' ' || p_tee_time));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.booking_date <> p_booking_date OR v_booking.tee_time <> p_tee_time THEN
+        PERFORM assert_tee_time_capacity(
+            p_booking_date, p_tee_time, v_booking.number_of_players, v_booking.is_private, p_capacity
+        );
+
+        IF p_round_minutes IS NOT NULL THEN
+            PERFORM assert_cart_availability(
+                p_booking_date, p_tee_time, (p_round_minutes ->> v_booking.green_fee_type)::INTEGER,
+                v_booking.fleet_carts, p_round_minutes, p_booking_id
+            );
+        END IF;
+    END IF;
+
+    RETURN QUERY
+    UPDATE tee_times
+    SET booking_date = p_booking_date, tee_time = p_tee_time
+    WHERE id = p_booking_id
+    RETURNING *;
+END;
+$$;
+
+-- reschedule_tee_time also takes the booking's new cart plan from
+-- p_changes (cart_riders, cart_sharing, fleet_carts, cart_shed_number);
+-- a change without one, such as a delay, keeps the booking's. Carts are
+-- checked when the booking moves or takes more fleet carts than before.
+DROP FUNCTION IF EXISTS reschedule_tee_time(UUID, JSONB, JSONB, JSONB, INTEGER);
+
+CREATE OR REPLACE FUNCTION reschedule_tee_time(
+    p_booking_id UUID,
+    p_previous JSONB,
+    p_changes JSONB,
+    p_change JSONB,
+    p_capacity INTEGER DEFAULT 4,
+    p_round_minutes JSONB DEFAULT NULL
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+    v_date DATE := (p_changes->>'booking_date')::DATE;
+    v_time TIME := (p_changes->>'tee_time')::TIME;
+    v_players INTEGER := (p_changes->>'number_of_players')::INTEGER;
+    v_carts INTEGER;
+BEGIN
+    IF p_round_minutes IS NOT NULL THEN
+        PERFORM pg_advisory_xact_lock(hashtext('cart_fleet:' || v_date));
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('tee_time:' || v_date || ' ' || v_time));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.status <> 'confirmed'
+        OR v_booking.booking_date <> (p_previous->>'booking_date')::DATE
+        OR v_booking.tee_time <> (p_previous->>'tee_time')::TIME
+        OR v_booking.number_of_players <> (p_previous->>'number_of_players')::INTEGER
+        OR v_booking.total_amount <> (p_previous->>'total_amount')::DECIMAL
+        OR v_booking.balance_due <> (p_previous->>'balance_due')::DECIMAL THEN
+        RAISE EXCEPTION 'This booking was just changed; please reload it' USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    v_carts := COALESCE((p_changes->>'fleet_carts')::INTEGER, v_booking.fleet_carts);
+
+    IF v_booking.booking_date <> v_date OR v_booking.tee_time <> v_time THEN
+        PERFORM assert_tee_time_capacity(v_date, v_time, v_players, v_booking.is_private, p_capacity);
+    ELSIF v_players > v_booking.number_of_players THEN
+        -- Same slot: only the extra players need room
+        IF v_booking.is_private THEN
+            IF v_players > p_capacity THEN
+                RAISE EXCEPTION 'Only % spot(s) left at this tee time', p_capacity - v_booking.number_of_players
+                    USING ERRCODE = 'unique_violation';
+            END IF;
+        ELSE
+            PERFORM assert_tee_time_capacity(v_date, v_time, v_players - v_booking.number_of_players, false, p_capacity);
+        END IF;
+    END IF;
+
+    IF p_round_minutes IS NOT NULL
+        AND (v_booking.booking_date <> v_date OR v_booking.tee_time <> v_time OR v_carts > v_booking.fleet_carts) THEN
+        PERFORM assert_cart_availability(
+            v_date, v_time, (p_round_minutes ->> v_booking.green_fee_type)::INTEGER,
+            v_carts, p_round_minutes, p_booking_id
+        );
+    END IF;
+
+    UPDATE tee_times
+    SET booking_date = v_date,
+        tee_time = v_time,
+        number_of_players = v_players,
+        cart_riders = COALESCE((p_changes->>'cart_riders')::INTEGER, cart_riders),
+        cart_sharing = COALESCE(p_changes->>'cart_sharing', cart_sharing),
+        fleet_carts = v_carts,
+        cart_shed_number = CASE WHEN p_changes ? 'cart_shed_number'
+            THEN (p_changes->>'cart_shed_number')::INTEGER ELSE cart_shed_number END,
+        cart_rental_fee = (p_changes->>'cart_rental_fee')::DECIMAL,
+        total_green_fees = (p_changes->>'total_green_fees')::DECIMAL,
+        total_cart_fees = (p_changes->>'total_cart_fees')::DECIMAL,
+        total_amount = (p_changes->>'total_amount')::DECIMAL,
+        balance_due = (p_changes->>'balance_due')::DECIMAL
+    WHERE id = p_booking_id
+    RETURNING * INTO v_booking;
+
+    INSERT INTO booking_changes (id, tee_time_id, changed_by, change_type, previous, changes, amount_difference, settlement, note)
+    VALUES (
+        COALESCE((p_change->>'id')::UUID, uuid_generate_v4()),
+        p_booking_id,
+        (p_change->>'changed_by')::UUID,
+        COALESCE(p_change->>'change_type', 'reschedule'),
+        p_previous,
+        p_changes,
+        (p_change->>'amount_difference')::DECIMAL,
+        p_change->>'settlement',
+        p_change->>'note'
+    );
+
+    RETURN NEXT v_booking;
+END;
+$$;
+
+-- change_tee_time_carts applies an edit that changes a booking's cart plan
+-- (p_changes: the plan, its price and any other columns edited with it)
+-- under the day's cart lock. The plan is worked out from p_previous (the
+-- booking's slot, players, fleet carts and total); a booking that no
+-- longer matches raises serialization_failure. Fleet carts beyond what the
+-- booking had must be free for its round.
+CREATE OR REPLACE FUNCTION change_tee_time_carts(
+    p_booking_id UUID,
+    p_previous JSONB,
+    p_changes JSONB,
+    p_round_minutes JSONB
+)
+RETURNS SETOF tee_times
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_booking tee_times;
+    v_carts INTEGER := (p_changes->>'fleet_carts')::INTEGER;
+    v_columns TEXT;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('cart_fleet:' || (p_previous->>'booking_date')::DATE));
+
+    SELECT * INTO v_booking FROM tee_times WHERE id = p_booking_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Booking not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_booking.booking_date <> (p_previous->>'booking_date')::DATE
+        OR v_booking.tee_time <> (p_previous->>'tee_time')::TIME
+        OR v_booking.number_of_players <> (p_previous->>'number_of_players')::INTEGER
+        OR v_booking.fleet_carts <> (p_previous->>'fleet_carts')::INTEGER
+        OR v_booking.total_amount <> (p_previous->>'total_amount')::DECIMAL THEN
+        RAISE EXCEPTION 'This booking was just changed; please reload it' USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    IF v_carts > v_booking.fleet_carts THEN
+        PERFORM assert_cart_availability(
+            v_booking.booking_date, v_booking.tee_time, (p_round_minutes ->> v_booking.green_fee_type)::INTEGER,
+            v_carts, p_round_minutes, p_booking_id
+        );
+    END IF;
+
+    SELECT string_agg(quote_ident(column_name), ', ') INTO v_columns
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'tee_times'
+      AND column_name NOT IN ('id', 'created_at', 'updated_at')
+      AND p_changes ? column_name;
+
+    RETURN QUERY EXECUTE format(
+        'UPDATE tee_times SET (%1$s) = (SELECT %1$s FROM jsonb_populate_record(NULL::tee_times, $1)) WHERE id = $2 RETURNING *',
+        v_columns
+    ) USING p_changes, p_booking_id;
+END;
+$$;
@@ -0,0 +1,433 @@
+// Seed data for local development
+//
+// Rows use fixed ids and dates relative to `today`, so re-running the seed
+// updates the same records instead of piling up duplicates.
+const moment = require('moment');
+const bcrypt = require('bcryptjs');
+
+// Password for every seeded account (local/postgres/memory adapters only)
+const DEMO_PASSWORD = 'GolfDemo123!';
+
+const ids = {
+  admin: '00000000-0000-4000-8000-000000000001',
+  memberSingle: '00000000-0000-4000-8000-000000000002',
+  memberFamily: '00000000-0000-4000-8000-000000000003',
+  guest: '00000000-0000-4000-8000-000000000004',
+  staff: '00000000-0000-4000-8000-000000000005',
+  membershipSingle: '00000000-0000-4000-8000-000000000101',
+  membershipFamily: '00000000-0000-4000-8000-000000000102',
+  eventScramble: '00000000-0000-4000-8000-000000000201',
+  eventLesson: '00000000-0000-4000-8000-000000000202',
+  eventSocial: '00000000-0000-4000-8000-000000000203',
+  teeTimeMorning: '00000000-0000-4000-8000-000000000301',
+  teeTimeAfternoon: '00000000-0000-4000-8000-000000000302',
+  teeTimeGuest: '00000000-0000-4000-8000-000000000303',
+  teeTimePast: '00000000-0000-4000-8000-000000000304',
+  seasonSummer: '00000000-0000-4000-8000-000000000401',
+  rateWeekend9: '00000000-0000-4000-8000-000000000501',
+  rateWeekendAllDay: '00000000-0000-4000-8000-000000000502',
+  rateTwilight9: '00000000-0000-4000-8000-000000000503',
+  rateSenior9: '00000000-0000-4000-8000-000000000504',
+  rateJunior9: '00000000-0000-4000-8000-000000000505',
+  rateMemberGuest9: '00000000-0000-4000-8000-000000000506',
+  rateSummerWeekend9: '00000000-0000-4000-8000-000000000507',
+  seriesMensGroup: '00000000-0000-4000-8000-000000000601',
+  cartOutageBattery: '00000000-0000-4000-8000-000000000801'
+};
+
+// Fleet cart ids: cart N is ...0007NN
+const cartId = (number) => `00000000-0000-4000-8000-0000000007${String(number).padStart(2, '0')}`;
+
+// Default course settings (formerly inserted by the schema file)
+const adminSettings = [
+  ['course_name', 'Rooks County Golf Course', 'string', 'Official course name', 'general', true],
+  ['course_address', '1925 Highway 183, Between Stockton and Plainville, KS', 'string', 'Course address', 'general', true],
+  ['course_phone', '(785) 434-5555', 'string', 'Course phone number', 'general', true],
+  ['course_email', 'info@rookscountygolf.com', 'string', 'Course email address', 'general', true],
+  ['course_timezone', 'America/Chicago', 'string', 'Course timezone (IANA name) for tee times, cutoffs and release times', 'general', true],
+  ['green_fee_9_holes', '10.00', 'number', '9-hole green fee', 'pricing', true],
+  ['green_fee_all_day', '15.00', 'number', 'All-day green fee', 'pricing', true],
+  ['membership_single', '250.00', 'number', 'Single adult membership fee', 'pricing', true],
+  ['membership_family', '325.00', 'number', 'Family membership fee', 'pricing', true],
+  ['membership_student', '100.00', 'number', 'Student membership fee', 'pricing', true],
+  ['membership_alumni', '50.00', 'number', 'Alumni membership fee', 'pricing', true],
+  ['cart_rental_fee', '15.00', 'number', 'Flat cart fee per booking, used while per-rider cart fees are not set', 'pricing', true],
+  ['cart_fee_shared_rider', '9.00', 'number', 'Cart fee per rider sharing a cart', 'pricing', true],
+  ['cart_fee_single_rider', '15.00', 'number', 'Cart fee for a rider alone in a cart', 'pricing', true],
+  ['twilight_start_time', '16:00', 'string', 'Tee times from this time are priced at twilight rates', 'pricing', true],
+  ['demand_pricing_tiers', '[]', 'json', 'Green fee adjustments by slot utilization, e.g. [{"min_utilization":0.75,"adjustment_percent":10}]', 'pricing', false],
+  ['course_rating', '72.2', 'number', 'Course rating', 'course_info', true],
+  ['course_slope', '113', 'number', 'Course slope rating', 'course_info', true],
+  ['course_yardage', '6170', 'number', 'Total course yardage', 'course_info', true],
+  ['number_of_holes', '9', 'number', 'Number of holes', 'course_info', true],
+  ['booking_advance_days', '30', 'number', 'How many days in advance bookings can be made', 'booking', false],
+  ['member_booking_advance_days', '60', 'number', 'How many days in advance members can book', 'booking', false],
+  ['cancellation_hours', '24', 'number', 'Minimum hours before tee time for cancellation', 'booking', false],
+  ['event_cancellation_hours', '48', 'number', 'Minimum hours before an event for cancelling a registration', 'booking', false],
+  ['max_players_per_booking', '4', 'number', 'Maximum players per tee time booking', 'booking', true],
+  ['slot_hold_minutes', '10', 'number', 'Minutes a selected tee time is held during checkout', 'booking', false],
+  ['unpaid_booking_timeout_minutes', '30', 'number', 'Minutes before an unpaid online booking is cancelled (0 to disable)', 'booking', false],
+  ['waitlist_offer_minutes', '60', 'number', 'Minutes a waitlist golfer has to claim an offered tee time', 'booking', false],
+  ['auto_close_no_shows', 'true', 'boolean', 'Mark bookings that never checked in as no-shows when the tee sheet is closed', 'booking', false],
+  ['tee_time_interval', '15', 'number', 'Minutes between tee times', 'booking', false],
+  ['round_minutes_9_holes', '135', 'number', 'Minutes a 9-hole round keeps its carts', 'booking', false],
+  ['round_minutes_all_day', '270', 'number', 'Minutes an all-day round keeps its carts', 'booking', false],
+  ['course_open_time', '07:00', 'string', 'Course opening time', 'hours', true],
+  ['course_close_time', '19:00', 'string', 'Course closing time', 'hours', true],
+  ['facebook_url', 'https://www.facebook.com/RCGolfCourse/', 'string', 'Facebook page URL', 'social', true]
+].map(([setting_key, setting_value, setting_type, description, category, is_public]) => ({
+  setting_key,
+  setting_value,
+  setting_type,
+  description,
+  category,
+  is_public
+}));
+
+// Build every seed row, keyed by table, in insert order
+const buildSeedData = ({ today = moment(), password = DEMO_PASSWORD } = {}) => {
+  const day = (offset) => moment(today).add(offset, 'days').format('YYYY-MM-DD');
+  const passwordHash = bcrypt.hashSync(password, 10);
+
+  const users = [
+    {
+      id: ids.admin,
+      email: 'admin@example.com',
+      password_hash: passwordHash,
+      first_name: 'Course',
+      last_name: 'Admin',
+      phone: '(555) 010-0001',
+      role: 'admin',
+      is_verified: true
+    },
+    {
+      id: ids.staff,
+      email: 'staff@example.com',
+      password_hash: passwordHash,
+      first_name: 'Robin',
+      last_name: 'Proshop',
+      phone: '(555) 010-0005',
+      role: 'staff',
+      is_verified: true
+    },
+    {
+      id: ids.memberSingle,
+      email: 'member@example.com',
+      password_hash: passwordHash,
+      first_name: 'Pat',
+      last_name: 'Fairway',
+      phone: '(555) 010-0002',
+      role: 'member',
+      is_verified: true
+    },
+    {
+      id: ids.memberFamily,
+      email: 'family@example.com',
+      password_hash: passwordHash,
+      first_name: 'Jordan',
+      last_name: 'Greene',
+      phone: '(555) 010-0003',
+      role: 'member',
+      is_verified: true
+    },
+    {
+      id: ids.guest,
+      email: 'guest@example.com',
+      password_hash: passwordHash,
+      first_name: 'Casey',
+      last_name: 'Bunker',
+      role: 'member',
+      is_verified: true
+    }
+  ];
+
+  const seasonStart = moment(today).startOf('year');
+
+  const memberships = [
+    {
+      id: ids.membershipSingle,
+      user_id: ids.memberSingle,
+      membership_type: 'single',
+      status: 'active',
+      annual_fee: 250.00,
+      payment_method: 'cash',
+      start_date: seasonStart.format('YYYY-MM-DD'),
+      end_date: moment(seasonStart).endOf('year').format('YYYY-MM-DD'),
+      auto_renew: false
+    },
+    {
+      id: ids.membershipFamily,
+      user_id: ids.memberFamily,
+      membership_type: 'family',
+      status: 'active',
+      annual_fee: 325.00,
+      payment_method: 'check',
+      start_date: seasonStart.format('YYYY-MM-DD'),
+      end_date: moment(seasonStart).endOf('year').format('YYYY-MM-DD'),
+      auto_renew: true,
+      cart_shed_number: 12,
+      family_members: [
+        { name: 'Riley Greene', relationship: 'spouse' },
+        { name: 'Sam Greene', relationship: 'child' }
+      ]
+    }
+  ];
+
+  const courseConditions = [
+    {
+      condition_date: day(-1),
+      overall_condition: 'good',
+      greens_condition: 'good',
+      fairways_condition: 'good',
+      cart_path_condition: 'fair',
+      weather_impact: 'Light rain overnight, carts on paths only until noon',
+      holes_available: 9,
+      cart_availability: true
+    },
+    {
+      condition_date: day(0),
+      overall_condition: 'excellent',
+      greens_condition: 'excellent',
+      fairways_condition: 'good',
+      cart_path_condition: 'excellent',
+      holes_available: 9,
+      cart_availability: true
+    },
+    {
+      condition_date: day(1),
+      overall_condition: 'fair',
+      greens_condition: 'good',
+      fairways_condition: 'fair',
+      cart_path_condition: 'good',
+      maintenance_activities: 'Aerating greens on holes 4-6',
+      areas_under_maintenance: ['Hole 4 green', 'Hole 5 green', 'Hole 6 green'],
+      holes_available: 6,
+      cart_availability: true,
+      special_notes: 'Holes 4-6 closed until noon for aeration'
+    }
+  ];
+
+  const events = [
+    {
+      id: ids.eventScramble,
+      title: 'Two-Person Scramble',
+      description: 'Annual two-person scramble with lunch at the clubhouse.',
+      event_type: 'tournament',
+      event_date: day(14),
+      start_time: '08:00',
+      end_time: '14:00',
+      // Shotgun start: the whole course is reserved for the morning
+      blocks_tee_sheet: true,
+      block_scope: 'course',
+      block_start_time: '07:00',
+      block_end_time: '13:00',
+      registration_deadline: day(10),
+      max_participants: 36,
+      entry_fee: 40.00,
+      member_discount: 25,
+      status: 'upcoming',
+      is_public: true,
+      prizes: { first: 'Pro shop credit $100', second: 'Pro shop credit $50' },
+      contact_person: 'Course Admin',
+      contact_email: 'admin@example.com'
+    },
+    {
+      id: ids.eventLesson,
+      title: 'Junior Golf Clinic',
+      description: 'Fundamentals clinic for golfers aged 8-16. Clubs provided.',
+      event_type: 'lesson',
+      event_date: day(7),
+      start_time: '09:00',
+      end_time: '11:00',
+      registration_deadline: day(5),
+      max_participants: 12,
+      entry_fee: 15.00,
+      status: 'upcoming',
+      is_public: true
+    },
+    {
+      id: ids.eventSocial,
+      title: 'Members Night',
+      description: 'Nine holes at sundown followed by a cookout. Members only.',
+      event_type: 'social',
+      event_date: day(21),
+      start_time: '17:30',
+      end_time: '21:00',
+      max_participants: 50,
+      entry_fee: 0,
+      status: 'upcoming',
+      is_public: true,
+      requires_membership: true
+    }
+  ];
+
+  const teeTimes = [
+    {
+      id: ids.teeTimeMorning,
+      user_id: ids.memberSingle,
+      booking_date: day(1),
+      tee_time: '08:00',
+      number_of_players: 2,
+      primary_player_name: 'Pat Fairway',
+      primary_player_email: 'member@example.com',
+      primary_player_phone: '(555) 010-0002',
+      additional_players: [{ name: 'Alex Fairway' }],
+      cart_rental: true,
+      cart_riders: 2,
+      fleet_carts: 1,
+      cart_rental_fee: 18.00,
+      green_fee_type: '9_holes',
+      total_green_fees: 20.00,
+      total_cart_fees: 18.00,
+      total_amount: 38.00,
+      payment_status: 'paid',
+      payment_method: 'cash',
+      status: 'confirmed'
+    },
+    {
+      id: ids.teeTimeAfternoon,
+      user_id: ids.memberFamily,
+      booking_date: day(2),
+      tee_time: '13:30',
+      number_of_players: 4,
+      primary_player_name: 'Jordan Greene',
+      primary_player_email: 'family@example.com',
+      primary_player_phone: '(555) 010-0003',
+      additional_players: [{ name: 'Riley Greene' }, { name: 'Sam Greene' }, { name: 'Taylor Greene' }],
+      cart_rental: false,
+      green_fee_type: 'all_day',
+      total_green_fees: 60.00,
+      total_cart_fees: 0,
+      total_amount: 60.00,
+      payment_status: 'pending',
+      status: 'confirmed'
+    },
+    {
+      id: ids.teeTimeGuest,
+      user_id: ids.guest,
+      booking_date: day(3),
+      tee_time: '10:15',
+      number_of_players: 1,
+      primary_player_name: 'Casey Bunker',
+      primary_player_email: 'guest@example.com',
+      cart_rental: false,
+      green_fee_type: '9_holes',
+      total_green_fees: 10.00,
+      total_cart_fees: 0,
+      total_amount: 10.00,
+      payment_status: 'pending',
+      special_requests: 'Happy to join another group',
+      status: 'confirmed'
+    },
+    {
+      id: ids.teeTimePast,
+      user_id: ids.memberSingle,
+      booking_date: day(-3),
+      tee_time: '09:00',
+      number_of_players: 3,
+      primary_player_name: 'Pat Fairway',
+      primary_player_email: 'member@example.com',
+      cart_rental: true,
+      cart_riders: 3,
+      fleet_carts: 2,
+      cart_rental_fee: 33.00,
+      green_fee_type: 'all_day',
+      total_green_fees: 45.00,
+      total_cart_fees: 33.00,
+      total_amount: 78.00,
+      payment_status: 'paid',
+      payment_method: 'stripe',
+      status: 'completed'
+    }
+  ];
+
+  // Weekday standard rates stay on the green_fee_* settings
+  const pricingSeasons = [
+    {
+      id: ids.seasonSummer,
+      name: 'Summer',
+      start_date: moment(today).month(5).startOf('month').format('YYYY-MM-DD'),
+      end_date: moment(today).month(7).endOf('month').format('YYYY-MM-DD'),
+      is_active: true
+    }
+  ];
+
+  const greenFeeRate = (id, rate_class_code, green_fee_type, price, extra = {}) => ({
+    id,
+    rate_class_code,
+    green_fee_type,
+    day_type: 'any',
+    time_period: 'any',
+    season_id: null,
+    price,
+    is_active: true,
+    ...extra
+  });
+
+  const greenFeeRates = [
+    greenFeeRate(ids.rateWeekend9, 'standard', '9_holes', 12.00, { day_type: 'weekend' }),
+    greenFeeRate(ids.rateWeekendAllDay, 'standard', 'all_day', 18.00, { day_type: 'weekend' }),
+    greenFeeRate(ids.rateTwilight9, 'standard', '9_holes', 8.00, { time_period: 'twilight' }),
+    greenFeeRate(ids.rateSenior9, 'senior', '9_holes', 8.00),
+    greenFeeRate(ids.rateJunior9, 'junior', '9_holes', 5.00),
+    greenFeeRate(ids.rateMemberGuest9, 'member_guest', '9_holes', 8.00),
+    greenFeeRate(ids.rateSummerWeekend9, 'standard', '9_holes', 14.00, { day_type: 'weekend', season_id: ids.seasonSummer })
+  ];
+
+  // Occurrences are booked by the daily standing tee time job
+  const bookingSeries = [
+    {
+      id: ids.seriesMensGroup,
+      user_id: ids.memberSingle,
+      name: "Tuesday & Thursday Men's Group",
+      frequency: 'weekly',
+      days_of_week: [2, 4],
+      tee_times: ['08:00', '08:15'],
+      start_date: day(0),
+      end_date: null,
+      skip_dates: [],
+      number_of_players: 4,
+      green_fee_type: '9_holes',
+      cart_rental: false,
+      rate_class: 'standard',
+      status: 'active'
+    }
+  ];
+
+  // A small fleet with one cart waiting on a battery
+  const carts = [1, 2, 3, 4, 5, 6, 7, 8].map(number => ({
+    id: cartId(number),
+    cart_number: String(number),
+    status: 'active'
+  }));
+
+  const cartOutages = [
+    {
+      id: ids.cartOutageBattery,
+      cart_id: cartId(8),
+      start_date: day(-2),
+      end_date: day(5),
+      reason: 'Waiting on a replacement battery'
+    }
+  ];
+
+  return {
+    admin_settings: adminSettings,
+    course_conditions: courseConditions,
+    users,
+    memberships,
+    events,
+    pricing_seasons: pricingSeasons,
+    green_fee_rates: greenFeeRates,
+    carts,
+    cart_outages: cartOutages,
+    tee_times: teeTimes,
+    booking_series: bookingSeries
+  };
+};
+
+module.exports = {
+  DEMO_PASSWORD,
+  ids,
+  buildSeedData
+};
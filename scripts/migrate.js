@@ -0,0 +1,248 @@
+// Database migration runner
+//
+// Migrations live in database/migrations as numbered pairs:
+//   001_initial_schema.up.sql / 001_initial_schema.down.sql
+// Applied versions are recorded in the schema_migrations table, and each
+// migration runs inside its own transaction.
+//
+// Usage:
+//   npm run migrate                    Apply all pending migrations
+//   npm run migrate -- up --to 3       Apply pending migrations up to 003
+//   npm run migrate -- down            Roll back the latest migration
+//   npm run migrate -- down --steps 2  Roll back the latest two migrations
+//   npm run migrate -- status          List applied and pending migrations
+//   npm run migrate -- create add_x    Scaffold a new up/down pair
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key so two deploys never migrate the same database at once
+const MIGRATION_LOCK_KEY = 724137;
+
+// Read migration pairs from disk, sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  fs.readdirSync(dir).forEach(file => {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) return;
+
+    const [, version, name, direction] = match;
+    const key = parseInt(version, 10);
+
+    if (!migrations.has(key)) {
+      migrations.set(key, { version: key, name });
+    }
+
+    const migration = migrations.get(key);
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both ${migration.name} and ${name}`);
+    }
+    migration[direction] = path.join(dir, file);
+  });
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} is missing its .up.sql file`);
+      }
+      return migration;
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(row => row.version));
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+// Apply pending migrations, optionally stopping at a target version
+async function migrateUp(client, { to, migrations = loadMigrations() } = {}) {
+  const applied = await getAppliedVersions(client);
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && (to === undefined || migration.version <= to)
+  );
+
+  for (const migration of pending) {
+    const sql = fs.readFileSync(migration.up, 'utf8');
+
+    await runInTransaction(client, async () => {
+      await client.query(sql);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    });
+
+    console.log(`  ↑ applied ${label(migration)}`);
+  }
+
+  return pending;
+}
+
+// Roll back the most recently applied migrations
+async function migrateDown(client, { steps = 1, migrations = loadMigrations() } = {}) {
+  const applied = await getAppliedVersions(client);
+  const targets = migrations
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of targets) {
+    if (!migration.down) {
+      throw new Error(`Migration ${label(migration)} has no .down.sql file and cannot be rolled back`);
+    }
+
+    const sql = fs.readFileSync(migration.down, 'utf8');
+
+    await runInTransaction(client, async () => {
+      await client.query(sql);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+
+    console.log(`  ↓ rolled back ${label(migration)}`);
+  }
+
+  return targets;
+}
+
+async function migrationStatus(client, { migrations = loadMigrations() } = {}) {
+  const { rows } = await client.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+}
+
+// Scaffold the next numbered up/down pair
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  if (!/^[a-z0-9_]+$/.test(name || '')) {
+    throw new Error('Migration name must be lowercase letters, numbers and underscores');
+  }
+
+  const migrations = loadMigrations(dir);
+  const next = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+  const base = `${String(next).padStart(3, '0')}_${name}`;
+
+  const upFile = path.join(dir, `${base}.up.sql`);
+  const downFile = path.join(dir, `${base}.down.sql`);
+
+  fs.writeFileSync(upFile, `-- Migration ${String(next).padStart(3, '0')}: ${name.replace(/_/g, ' ')}\n\n`);
+  fs.writeFileSync(downFile, `-- Migration ${String(next).padStart(3, '0')} rollback\n\n`);
+
+  return [upFile, downFile];
+}
+
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = { command, args: [] };
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--to') {
+      options.to = parseInt(rest[++i], 10);
+    } else if (rest[i] === '--steps') {
+      options.steps = parseInt(rest[++i], 10);
+    } else {
+      options.args.push(rest[i]);
+    }
+  }
+
+  return options;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+
+  if (options.command === 'create') {
+    createMigration(options.args[0]).forEach(file => console.log(`  created ${path.relative(process.cwd(), file)}`));
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required to run migrations');
+  }
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    switch (options.command) {
+      case 'up': {
+        const applied = await migrateUp(client, { to: options.to });
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+        break;
+      }
+      case 'down':
+      case 'rollback': {
+        const rolledBack = await migrateDown(client, { steps: options.steps || 1 });
+        console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+        break;
+      }
+      case 'status': {
+        const status = await migrationStatus(client);
+        status.forEach(migration => {
+          const state = migration.applied
+            ? `applied ${new Date(migration.applied_at).toISOString()}`
+            : 'pending';
+          console.log(`  ${label(migration).padEnd(40)} ${state}`);
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${options.command}". Use up, down, status or create.`);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  createMigration
+};
@@ -0,0 +1,78 @@
+// Load development data into the configured data store
+//
+// Usage:
+//   npm run seed             Upsert settings, conditions, events, members, rates, bookings and standing tee times
+//   npm run seed -- --force  Allow seeding when NODE_ENV=production
+//
+// Uses the same DATA_ADAPTER settings as the server. Seeded accounts can
+// sign in with DEMO_PASSWORD through the postgres and memory adapters;
+// Supabase Auth keeps its own credentials, so there they are profile rows only.
+require('dotenv').config();
+
+const { createDataStore } = require('../api/data');
+const { buildSeedData, DEMO_PASSWORD } = require('../database/seeds');
+
+// Repository and conflict target for each seeded table, in dependency order
+const SEED_PLAN = [
+  ['admin_settings', 'adminSettings', 'setting_key'],
+  ['course_conditions', 'courseConditions', 'condition_date'],
+  ['users', 'users', 'id'],
+  ['memberships', 'memberships', 'id'],
+  ['events', 'events', 'id'],
+  ['pricing_seasons', 'pricingSeasons', 'id'],
+  ['green_fee_rates', 'greenFeeRates', 'id'],
+  ['carts', 'carts', 'id'],
+  ['cart_outages', 'cartOutages', 'id'],
+  ['tee_times', 'teeTimes', 'id'],
+  ['booking_series', 'bookingSeries', 'id']
+];
+
+async function seed(db, data = buildSeedData()) {
+  const counts = {};
+
+  for (const [table, repository, onConflict] of SEED_PLAN) {
+    const rows = data[table] || [];
+
+    for (const row of rows) {
+      const { error } = await db[repository].upsert(row, { onConflict });
+
+      if (error) {
+        throw new Error(`Failed to seed ${table}: ${error.message}`);
+      }
+    }
+
+    counts[table] = rows.length;
+  }
+
+  return counts;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  if (process.env.NODE_ENV === 'production' && !argv.includes('--force')) {
+    throw new Error('Refusing to seed a production database without --force');
+  }
+
+  const db = createDataStore();
+
+  try {
+    const counts = await seed(db);
+
+    Object.entries(counts).forEach(([table, count]) => {
+      console.log(`  ${table.padEnd(20)} ${count} row(s)`);
+    });
+    console.log(`✅ Seed complete (${db.adapter.name}). Demo accounts use the password "${DEMO_PASSWORD}".`);
+  } finally {
+    await db.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ Seed failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  seed
+};
@@ -0,0 +1,32 @@
+// Run the test suite with the server clock in several timezones
+//
+// Usage:
+//   npm run test:timezones            UTC, then zones west and east of the course
+//   npm run test:timezones -- Asia/Kolkata Europe/London
+//
+// Tee times are wall-clock times at the course (the `course_timezone`
+// setting), so results must not depend on the server's TZ. Each run is a
+// separate jest process because TZ is read when the process starts.
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const DEFAULT_ZONES = ['UTC', 'America/Los_Angeles', 'America/Chicago', 'Europe/Berlin', 'Pacific/Auckland'];
+
+const zones = process.argv.slice(2).length > 0 ? process.argv.slice(2) : DEFAULT_ZONES;
+const jest = path.join(__dirname, '..', 'node_modules', 'jest', 'bin', 'jest.js');
+
+const failed = zones.filter(zone => {
+  console.log(`\nTZ=${zone}`);
+  const { status } = spawnSync(process.execPath, [jest, '--silent'], {
+    stdio: 'inherit',
+    env: { ...process.env, TZ: zone }
+  });
+  return status !== 0;
+});
+
+if (failed.length > 0) {
+  console.error(`\nTests failed with TZ=${failed.join(', ')}`);
+  process.exit(1);
+}
+
+console.log(`\nTests passed with TZ=${zones.join(', ')}`);
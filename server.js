@@ -1,52 +1,16 @@
-const express = require('express');
-const path = require('path');
-const compression = require('compression');
-const helmet = require('helmet');
-const app = express();
+require('dotenv').config();
 
-// Enable security headers but disable CSP for local development
-app.use(helmet({
-  contentSecurityPolicy: false
-}));
+const { createApp } = require('./api/app');
+const { testConnection } = require('./api/config/database');
+const { startJobs } = require('./api/jobs');
 
-// Compress responses
-app.use(compression());
+const app = createApp();
 
-// Parse JSON bodies
-app.use(express.json());
-
-// Parse URL-encoded bodies
-app.use(express.urlencoded({ extended: true }));
-
-// Determine where to serve static files from based on environment
-// For development, we'll look in both the root directory and the public directory
-app.use(express.static(path.join(__dirname)));
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Log requests during development
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
-});
-
-// Custom routes can go here
-// app.get('/api/example', (req, res) => { ... });
-
-// For all other routes, send the index.html file
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// Error handling
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).send('Something broke!');
-});
-
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`
+// Start the server when run directly (not when imported by Vercel or tests)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`
   ┌───────────────────────────────────────────────┐
   │                                               │
   │   Development server running on port ${PORT}     │
@@ -55,4 +19,9 @@ app.listen(PORT, () => {
   │                                               │
   └───────────────────────────────────────────────┘
   `);
-});
\ No newline at end of file
+    testConnection(app.locals.db);
+    startJobs(app.locals.db).catch(error => console.error('Failed to start background jobs:', error));
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,321 @@
+const request = require('supertest');
+
+const mockRefundsCreate = jest.fn();
+jest.mock('stripe', () => () => ({ refunds: { create: mockRefundsCreate } }));
+
+const { createTestApp, courseNow, authHeader, ROLE_USER_IDS, MEMBER_ID } = require('./helpers');
+const { expireCredits } = require('../api/services/accountCredits');
+const { manageToken } = require('../api/services/guestBookings');
+
+const today = courseNow().format('YYYY-MM-DD');
+const inTwoDays = courseNow().add(2, 'days').format('YYYY-MM-DD');
+const nextMonth = courseNow().add(30, 'days').format('YYYY-MM-DD');
+
+const BOOKING_ID = '30000000-0000-4000-8000-000000000001';
+
+const creditId = (n) => `70000000-0000-4000-8000-00000000000${n}`;
+
+const credit = (n, overrides = {}) => ({
+  id: creditId(n),
+  user_id: MEMBER_ID,
+  guest_email: null,
+  credit_type: 'rain_check',
+  amount: 20,
+  balance: 20,
+  expires_on: nextMonth,
+  status: 'active',
+  ...overrides
+});
+
+const setting = (setting_key, setting_value) => ({ setting_key, setting_value, setting_type: 'string' });
+
+// $18 a player for 9 holes, $30 all day
+const pricing = [setting('green_fee_9_holes', '18'), setting('green_fee_all_day', '30')];
+
+const roundToday = (overrides = {}) => ({
+  id: BOOKING_ID,
+  user_id: null,
+  booking_date: today,
+  tee_time: '08:00',
+  number_of_players: 2,
+  primary_player_name: 'Guest Golfer',
+  primary_player_email: 'guest@example.com',
+  green_fee_type: 'all_day',
+  total_green_fees: 60,
+  total_cart_fees: 20,
+  total_amount: 80,
+  payment_status: 'paid',
+  payment_method: 'cash',
+  checked_in_at: new Date().toISOString(),
+  status: 'confirmed',
+  ...overrides
+});
+
+const newBooking = (app, overrides = {}, auth = null) => {
+  const req = request(app).post('/api/bookings');
+  if (auth) {
+    req.set('Authorization', auth);
+  }
+  return req.send({
+    booking_date: inTwoDays,
+    tee_time: '09:00',
+    number_of_players: 2,
+    primary_player_name: 'Member Tester',
+    primary_player_email: 'member@test.local',
+    green_fee_type: '9_holes',
+    ...overrides
+  });
+};
+
+describe('account credits', () => {
+  beforeEach(() => {
+    mockRefundsCreate.mockReset();
+    mockRefundsCreate.mockImplementation(async (params) => ({ id: 're_test', amount: params.amount, status: 'succeeded' }));
+  });
+
+  test('the tee sheet issues a rain check for the unplayed holes of the round', async () => {
+    const { app, db } = createTestApp({ seed: { tee_times: [roundToday()] } });
+    const auth = await authHeader(db, ROLE_USER_IDS.starter);
+    const rainCheck = (body) => request(app).post(`/api/admin/tee-sheet/${BOOKING_ID}/rain-check`).set('Authorization', auth).send(body);
+
+    let res = await rainCheck({ holes_played: 12, note: 'Lightning' });
+    expect(res.status).toBe(201);
+    // 6 of 18 holes left: a third of the $60 green fees, carts not included
+    expect(res.body.message).toBe('Rain check of $20.00 issued for 6 unplayed hole(s)');
+    expect(res.body.credit).toMatchObject({
+      user_id: null,
+      guest_email: 'guest@example.com',
+      credit_type: 'rain_check',
+      amount: 20,
+      balance: 20,
+      holes_played: 12,
+      note: 'Lightning',
+      issued_by: ROLE_USER_IDS.starter,
+      tee_time_id: BOOKING_ID
+    });
+    expect(res.body.credit.expires_on).toBe(courseNow().add(365, 'days').format('YYYY-MM-DD'));
+
+    const { data: refund } = await db.paymentTransactions.findById(res.body.credit.payment_transaction_id);
+    expect(refund).toMatchObject({ transaction_type: 'refund', amount: -20, payment_provider: 'account_credit' });
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+
+    res = await rainCheck({ holes_played: 14 });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('A rain check was already issued for this booking');
+  });
+
+  test('rain checks are refused for rounds that do not qualify', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        tee_times: [
+          roundToday(),
+          roundToday({ id: '30000000-0000-4000-8000-000000000002', green_fee_type: '9_holes', checked_in_at: null }),
+          roundToday({ id: '30000000-0000-4000-8000-000000000003', payment_status: 'pending' })
+        ]
+      }
+    });
+    const auth = await authHeader(db, ROLE_USER_IDS.staff);
+    const rainCheck = (id, body) => request(app).post(`/api/admin/tee-sheet/${id}/rain-check`).set('Authorization', auth).send(body);
+
+    let res = await rainCheck(BOOKING_ID, { holes_played: 18 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Holes played must be between 0 and 17');
+
+    res = await rainCheck('30000000-0000-4000-8000-000000000002', { holes_played: 3 });
+    expect(res.body.message).toBe('Rain checks are for groups that checked in');
+
+    res = await rainCheck('30000000-0000-4000-8000-000000000003', { holes_played: 3 });
+    expect(res.body.message).toBe('Rain checks are for rounds that were paid');
+  });
+
+  test('new bookings spend credits soonest to expire first', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        admin_settings: pricing,
+        account_credits: [
+          credit(1, { amount: 30, balance: 30, expires_on: courseNow().add(60, 'days').format('YYYY-MM-DD') }),
+          credit(2, { amount: 25, balance: 10 }),
+          // Expired, waiting for the nightly job
+          credit(3, { expires_on: courseNow().subtract(1, 'day').format('YYYY-MM-DD') })
+        ]
+      }
+    });
+    const auth = await authHeader(db, MEMBER_ID);
+
+    const res = await newBooking(app, {}, auth);
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ credit_applied: 36, amount_due: 0, payment_required: false });
+    expect(res.body.booking).toMatchObject({ credit_applied: 36, payment_status: 'paid', balance_due: 0 });
+
+    const balances = Object.fromEntries((await db.accountCredits.find({})).data.map(row => [row.id, row.balance]));
+    expect(balances).toEqual({ [creditId(1)]: 4, [creditId(2)]: 0, [creditId(3)]: 20 });
+
+    const { data: payments } = await db.paymentTransactions.find({ tee_time_id: res.body.booking.id });
+    expect(payments).toMatchObject([{ transaction_type: 'tee_time', amount: 36, payment_provider: 'account_credit', status: 'completed' }]);
+
+    const statement = await request(app).get('/api/bookings/my-credits').set('Authorization', auth);
+    expect(statement.body.balance).toBe(4);
+    // Both redemptions were made by the same booking at the same moment
+    const history = statement.body.history.map(entry => [entry.credit_id, entry.entry_type, entry.amount, entry.balance_after]);
+    expect(history).toHaveLength(2);
+    expect(history).toEqual(expect.arrayContaining([
+      [creditId(2), 'redeem', -10, 0],
+      [creditId(1), 'redeem', -26, 4]
+    ]));
+  });
+
+  test('guests spend credits held by their email with a manage link, and what credit leaves is owed', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        admin_settings: pricing,
+        tee_times: [roundToday()],
+        account_credits: [credit(1, { user_id: null, guest_email: 'guest@example.com' })]
+      }
+    });
+    const { data: earlier } = await db.teeTimes.findById(BOOKING_ID);
+    const proof = { credit_booking_id: BOOKING_ID, credit_token: manageToken(earlier) };
+
+    let res = await newBooking(app, { primary_player_name: 'Guest Golfer', primary_player_email: 'Guest@Example.com', ...proof });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ credit_applied: 20, amount_due: 16, payment_required: true });
+    expect(res.body.booking).toMatchObject({ payment_status: 'paid', balance_due: 16 });
+
+    // Nothing left for the next one
+    res = await newBooking(app, { tee_time: '10:00', primary_player_name: 'Guest Golfer', primary_player_email: 'guest@example.com', ...proof });
+    expect(res.body).toMatchObject({ credit_applied: 0, amount_due: 36 });
+    expect(res.body.booking.payment_status).toBe('pending');
+
+    const { data: spent } = await db.accountCredits.findById(creditId(1));
+    expect(spent.balance).toBe(0);
+  });
+
+  test('typing a guest\'s email does not spend their credit', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        admin_settings: pricing,
+        tee_times: [roundToday()],
+        account_credits: [credit(1, { user_id: null, guest_email: 'guest@example.com' })]
+      }
+    });
+
+    let res = await newBooking(app, { primary_player_name: 'Someone Else', primary_player_email: 'guest@example.com' });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ credit_applied: 0, amount_due: 36 });
+
+    // A made-up manage token proves nothing either
+    res = await newBooking(app, {
+      tee_time: '10:00',
+      primary_player_name: 'Someone Else',
+      primary_player_email: 'guest@example.com',
+      credit_booking_id: BOOKING_ID,
+      credit_token: 'not-the-token'
+    });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ credit_applied: 0, amount_due: 36 });
+
+    const { data: untouched } = await db.accountCredits.findById(creditId(1));
+    expect(untouched.balance).toBe(20);
+    expect((await db.accountCreditEntries.find({ credit_id: creditId(1), entry_type: 'redeem' })).data).toHaveLength(0);
+  });
+
+  test('golfers can keep their credits for later', async () => {
+    const { app, db } = createTestApp({ seed: { admin_settings: pricing, account_credits: [credit(1)] } });
+
+    const res = await newBooking(app, { use_credits: false }, await authHeader(db, MEMBER_ID));
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ credit_applied: 0, amount_due: 36 });
+
+    const { data: kept } = await db.accountCredits.findById(creditId(1));
+    expect(kept.balance).toBe(20);
+  });
+
+  test('cancelling a booking paid with credit gives the credit back', async () => {
+    const { app, db } = createTestApp({ seed: { admin_settings: pricing, account_credits: [credit(1, { amount: 50, balance: 50 })] } });
+    const auth = await authHeader(db, MEMBER_ID);
+
+    const booked = await newBooking(app, {}, auth);
+    const res = await request(app).delete(`/api/bookings/${booked.body.booking.id}`).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'cancelled', payment_status: 'refunded', credit_applied: 0 });
+    expect(res.body.refund).toMatchObject({ amount: -36, payment_provider: 'account_credit' });
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+
+    const statement = await request(app).get('/api/bookings/my-credits').set('Authorization', auth);
+    expect(statement.body.balance).toBe(50);
+    expect(statement.body.credits.find(row => row.id !== creditId(1))).toMatchObject({ credit_type: 'refund', amount: 36 });
+  });
+
+  test('credits past their expiry date are expired with a history entry', async () => {
+    const { db } = createTestApp({
+      seed: {
+        account_credits: [
+          credit(1, { expires_on: courseNow().subtract(1, 'day').format('YYYY-MM-DD'), balance: 12 }),
+          credit(2)
+        ]
+      }
+    });
+
+    const expired = await expireCredits(db);
+    expect(expired.map(row => row.id)).toEqual([creditId(1)]);
+
+    const { data: row } = await db.accountCredits.findById(creditId(1));
+    expect(row).toMatchObject({ status: 'expired', balance: 0 });
+    const { data: entries } = await db.accountCreditEntries.find({ credit_id: creditId(1) });
+    expect(entries).toMatchObject([{ entry_type: 'expire', amount: -12, balance_after: 0 }]);
+  });
+
+  test('staff look up a golfer by account or guest email', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        account_credits: [
+          credit(1),
+          // Given to the member's email as a guest before they signed up
+          credit(2, { user_id: null, guest_email: 'member@test.local', credit_type: 'refund', amount: 5, balance: 5 })
+        ]
+      }
+    });
+    const auth = await authHeader(db, ROLE_USER_IDS.staff);
+
+    let res = await request(app).get('/api/admin/credits').query({ user_id: MEMBER_ID }).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.balance).toBe(25);
+
+    res = await request(app).get('/api/admin/credits').query({ email: 'member@test.local' }).set('Authorization', auth);
+    expect(res.body.balance).toBe(25);
+
+    res = await request(app).get('/api/admin/credits').set('Authorization', auth);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A user id or email is required');
+  });
+
+  test('the liability report totals what is owed in unspent credit', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        account_credits: [
+          credit(1),
+          credit(2, { credit_type: 'refund', amount: 15, balance: 7.5 }),
+          credit(3, { user_id: null, guest_email: 'guest@example.com', amount: 40, balance: 40 }),
+          credit(4, { status: 'voided', balance: 0 }),
+          credit(5, { expires_on: courseNow().subtract(1, 'day').format('YYYY-MM-DD') })
+        ]
+      }
+    });
+
+    const res = await request(app).get('/api/admin/reports/credits').set('Authorization', await authHeader(db, ROLE_USER_IDS.treasurer));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      as_of: today,
+      outstanding: 67.5,
+      credits: 3,
+      by_type: [
+        { credit_type: 'rain_check', credits: 2, outstanding: 60 },
+        { credit_type: 'refund', credits: 1, outstanding: 7.5 }
+      ],
+      by_expiry_month: [{ month: nextMonth.slice(0, 7), credits: 3, outstanding: 67.5 }]
+    });
+    expect(res.body.holders.map(holder => [holder.email, holder.outstanding])).toEqual([
+      ['guest@example.com', 40],
+      ['member@test.local', 27.5]
+    ]);
+  });
+});
@@ -0,0 +1,244 @@
+const request = require('supertest');
+
+const mockRefundsCreate = jest.fn();
+const mockPaymentIntentsCreate = jest.fn();
+jest.mock('stripe', () => () => ({
+  refunds: { create: mockRefundsCreate },
+  paymentIntents: { create: mockPaymentIntentsCreate }
+}));
+
+const mockSend = jest.fn();
+jest.mock('@sendgrid/mail', () => ({ setApiKey: jest.fn(), send: (...args) => mockSend(...args) }));
+
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+
+const BOOKING_ID = '30000000-0000-4000-8000-000000000001';
+const OTHER_BOOKING_ID = '30000000-0000-4000-8000-000000000002';
+
+const inThreeDays = courseNow().add(3, 'days').format('YYYY-MM-DD');
+
+const booking = (overrides = {}) => ({
+  id: BOOKING_ID,
+  user_id: MEMBER_ID,
+  booking_date: inThreeDays,
+  tee_time: '10:00',
+  number_of_players: 2,
+  primary_player_name: 'Member Tester',
+  primary_player_email: 'member@test.local',
+  green_fee_type: '9_holes',
+  rate_class: 'standard',
+  cart_rental: false,
+  payment_status: 'paid',
+  payment_method: 'cash',
+  status: 'confirmed',
+  ...overrides
+});
+
+describe('booking changes', () => {
+  beforeEach(() => {
+    mockRefundsCreate.mockReset();
+    mockRefundsCreate.mockImplementation(async (params) => ({ id: 're_change', amount: params.amount }));
+    mockPaymentIntentsCreate.mockReset();
+    mockPaymentIntentsCreate.mockImplementation(async () => ({ id: 'pi_balance', client_secret: 'secret_balance' }));
+    mockSend.mockReset().mockResolvedValue([{ statusCode: 202 }]);
+    process.env.SENDGRID_API_KEY = 'SG.test';
+  });
+
+  afterEach(() => {
+    delete process.env.SENDGRID_API_KEY;
+  });
+
+  // Seed bookings priced like the quote endpoint would price them
+  const setup = async (bookings, seed = {}) => {
+    const { app } = createTestApp({ seed });
+    const priced = [];
+    for (const row of bookings) {
+      const { body } = await request(app).get('/api/bookings/quote').query({
+        booking_date: row.booking_date,
+        tee_time: row.tee_time,
+        number_of_players: row.number_of_players,
+        green_fee_type: row.green_fee_type
+      });
+      priced.push({
+        ...row,
+        cart_rental_fee: body.quote.cart_rental_fee,
+        total_green_fees: body.quote.total_green_fees,
+        total_cart_fees: body.quote.total_cart_fees,
+        total_amount: body.quote.total_amount
+      });
+    }
+
+    const { app: pricedApp, db } = createTestApp({ seed: { ...seed, tee_times: priced } });
+    return {
+      app: pricedApp,
+      db,
+      bookings: priced,
+      memberAuth: await authHeader(db, MEMBER_ID),
+      adminAuth: await authHeader(db, ADMIN_ID)
+    };
+  };
+
+  const reschedule = (app, auth, body) =>
+    request(app).post(`/api/bookings/${BOOKING_ID}/reschedule`).set('Authorization', auth).send(body);
+
+  test('moves a booking to a free tee time and reprices it', async () => {
+    const { app, db, bookings, memberAuth, adminAuth } = await setup([booking()]);
+    const perPlayer = bookings[0].total_amount / 2;
+
+    const res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '11:00', number_of_players: 3 });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ tee_time: '11:00', number_of_players: 3, total_amount: perPlayer * 3 });
+    expect(res.body.change).toMatchObject({ change_type: 'reschedule', amount_difference: perPlayer, settlement: 'due_at_course' });
+    expect(res.body).toMatchObject({ balance_due: perPlayer, payment_required: false, refund: null });
+
+    // The counter collects the balance
+    const paid = await request(app)
+      .post(`/api/admin/tee-sheet/${BOOKING_ID}/payment`)
+      .set('Authorization', adminAuth)
+      .send({ payment_method: 'card' });
+    expect(paid.status).toBe(200);
+    expect(paid.body.transaction.amount).toBe(perPlayer);
+    expect(paid.body.booking.amount_due).toBe(0);
+
+    const { data: moved } = await db.teeTimes.findById(BOOKING_ID);
+    expect(moved.balance_due).toBe(0);
+  });
+
+  test('a full tee time leaves the booking where it was', async () => {
+    const { app, db, memberAuth } = await setup([
+      booking(),
+      booking({ id: OTHER_BOOKING_ID, user_id: ROLE_USER_IDS.staff, tee_time: '11:00', number_of_players: 3 })
+    ]);
+
+    const res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '11:00', number_of_players: 2 });
+    expect(res.status).toBe(409);
+
+    const { data: unchanged } = await db.teeTimes.findById(BOOKING_ID);
+    expect(unchanged).toMatchObject({ tee_time: '10:00', number_of_players: 2 });
+    expect((await db.bookingChanges.find({})).data).toHaveLength(0);
+  });
+
+  test('a cheaper change refunds the difference once', async () => {
+    const { app, db, bookings, memberAuth } = await setup([
+      booking({ payment_method: 'stripe', stripe_payment_intent_id: 'pi_paid' })
+    ]);
+    const perPlayer = bookings[0].total_amount / 2;
+
+    const res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '10:00', number_of_players: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.change).toMatchObject({ settlement: 'refund', amount_difference: -perPlayer });
+    expect(res.body.refund).toMatchObject({ amount: -perPlayer, payment_provider: 'stripe', provider_transaction_id: 're_change' });
+    expect(res.body.change.payment_transaction_id).toBe(res.body.refund.id);
+    expect(res.body.booking).toMatchObject({ payment_status: 'paid', balance_due: 0 });
+
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(mockRefundsCreate.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_paid', amount: Math.round(perPlayer * 100) });
+    expect(mockRefundsCreate.mock.calls[0][1]).toEqual({ idempotencyKey: `booking-change-refund:${res.body.change.id}` });
+
+    // Cancelling afterwards refunds only what is still paid
+    const cancelled = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(cancelled.body.booking.refund_amount).toBe(perPlayer);
+    expect((await db.paymentTransactions.find({ transaction_type: 'refund' })).data).toHaveLength(2);
+  });
+
+  test('the golfer is emailed the new tee time and what the change cost or gave back', async () => {
+    const { app, bookings, memberAuth } = await setup([
+      booking({ payment_method: 'stripe', stripe_payment_intent_id: 'pi_paid' })
+    ]);
+    const perPlayer = bookings[0].total_amount / 2;
+
+    let res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '11:30', number_of_players: 1 });
+    expect(res.status).toBe(200);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    let email = mockSend.mock.calls[0][0];
+    expect(email.to).toBe('member@test.local');
+    expect(email.subject).toMatch(/11:30 AM/);
+    expect(email.html).toMatch(new RegExp(`\\$${perPlayer.toFixed(2)} has been refunded`));
+
+    res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '11:30', number_of_players: 3 });
+    expect(res.status).toBe(200);
+    email = mockSend.mock.calls[1][0];
+    expect(email.html).toMatch(/for 3 on/);
+    expect(email.html).toMatch(new RegExp(`leaves \\$${(perPlayer * 2).toFixed(2)} to pay`));
+    expect(email.html).not.toMatch(/refunded/);
+  });
+
+  test('a dearer change on an online booking is paid online', async () => {
+    const { app, db, bookings, memberAuth } = await setup([
+      booking({ payment_method: 'stripe', stripe_payment_intent_id: 'pi_paid' })
+    ]);
+    const perPlayer = bookings[0].total_amount / 2;
+
+    let res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '10:00', number_of_players: 4 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ balance_due: perPlayer * 2, payment_required: true });
+    expect(res.body.change.settlement).toBe('charge');
+
+    res = await request(app)
+      .post('/api/payments/create-booking-payment')
+      .set('Authorization', memberAuth)
+      .send({ booking_id: BOOKING_ID, amount: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.amount).toBe(perPlayer * 2);
+    expect(mockPaymentIntentsCreate.mock.calls[0][0]).toMatchObject({
+      amount: Math.round(perPlayer * 200),
+      metadata: { type: 'tee_time_balance', booking_id: BOOKING_ID }
+    });
+
+    // Refunds keep going back to the original payment
+    const { data: unchanged } = await db.teeTimes.findById(BOOKING_ID);
+    expect(unchanged.stripe_payment_intent_id).toBe('pi_paid');
+  });
+
+  test('changes and edits are kept in the history', async () => {
+    const { app, db, memberAuth } = await setup([booking()]);
+
+    await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '12:00', number_of_players: 2 });
+    await request(app)
+      .put(`/api/bookings/${BOOKING_ID}`)
+      .set('Authorization', memberAuth)
+      .send({ special_requests: 'Pull carts please' });
+
+    const res = await request(app).get(`/api/bookings/${BOOKING_ID}/history`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.changes).toHaveLength(2);
+    expect(res.body.changes[0]).toMatchObject({
+      change_type: 'reschedule',
+      changed_by: MEMBER_ID,
+      previous: { tee_time: '10:00' },
+      changes: { tee_time: '12:00' },
+      settlement: 'none'
+    });
+    expect(res.body.changes[1]).toMatchObject({
+      change_type: 'update',
+      previous: { special_requests: null },
+      changes: { special_requests: 'Pull carts please' }
+    });
+
+    // The treasurer does not manage bookings
+    const treasurerAuth = await authHeader(db, ROLE_USER_IDS.treasurer);
+    const other = await request(app).get(`/api/bookings/${BOOKING_ID}/history`).set('Authorization', treasurerAuth);
+    expect(other.status).toBe(403);
+  });
+
+  test('outing, standing and past-cutoff bookings cannot be rescheduled', async () => {
+    const soon = courseNow().add(10, 'hours');
+    let { app, memberAuth } = await setup([
+      booking({ outing_id: '70000000-0000-4000-8000-000000000001' })
+    ]);
+
+    let res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '11:00', number_of_players: 2 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/outing/);
+
+    ({ app } = await setup([booking({ series_id: '70000000-0000-4000-8000-000000000002' })]));
+    res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '11:00', number_of_players: 2 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/standing tee time/);
+
+    ({ app } = await setup([booking({ booking_date: soon.format('YYYY-MM-DD'), tee_time: soon.format('HH:mm') })]));
+    res = await reschedule(app, memberAuth, { booking_date: inThreeDays, tee_time: '11:00', number_of_players: 2 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot modify booking within 24 hours of tee time');
+  });
+});
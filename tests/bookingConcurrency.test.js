@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { createTestApp, courseNow } = require('./helpers');
+
+const booking = (overrides = {}) => ({
+  booking_date: courseNow().add(1, 'day').format('YYYY-MM-DD'),
+  tee_time: '09:00',
+  number_of_players: 4,
+  primary_player_name: 'Parallel Golfer',
+  primary_player_email: 'golfer@example.com',
+  green_fee_type: '9_holes',
+  ...overrides
+});
+
+describe('tee time reservation', () => {
+  test('only one of many parallel bookings for a slot is confirmed', async () => {
+    // Latency lets the requests' data calls interleave as they would against Postgres
+    const { app, db } = createTestApp({ latency: 5 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, (_, index) =>
+        request(app)
+          .post('/api/bookings')
+          .send(booking({ primary_player_email: `golfer${index}@example.com` }))
+      )
+    );
+
+    const statuses = responses.map(res => res.status);
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(9);
+
+    const { data: rows } = await db.teeTimes.find({ tee_time: '09:00', status: 'confirmed' });
+    expect(rows).toHaveLength(1);
+  });
+
+  test('parallel single-player bookings never overfill a shared slot', async () => {
+    const { app, db } = createTestApp({ latency: 5 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 8 }, (_, index) =>
+        request(app)
+          .post('/api/bookings')
+          .send(booking({ number_of_players: 1, primary_player_email: `single${index}@example.com` }))
+      )
+    );
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(4);
+
+    const { data: rows } = await db.teeTimes.find({ tee_time: '09:00', status: 'confirmed' });
+    expect(rows.reduce((sum, row) => sum + row.number_of_players, 0)).toBe(4);
+  });
+
+  test('parallel bookings for different slots all succeed', async () => {
+    const { app } = createTestApp();
+
+    const responses = await Promise.all(
+      ['09:00', '09:15', '09:30'].map(teeTime =>
+        request(app).post('/api/bookings').send(booking({ tee_time: teeTime }))
+      )
+    );
+
+    expect(responses.map(res => res.status)).toEqual([201, 201, 201]);
+  });
+
+  test('a cancelled booking frees its slot', async () => {
+    const { app } = createTestApp({
+      seed: {
+        tee_times: [{
+          ...booking(),
+          total_green_fees: 20,
+          total_amount: 20,
+          status: 'cancelled'
+        }]
+      }
+    });
+
+    const res = await request(app).post('/api/bookings').send(booking());
+    expect(res.status).toBe(201);
+  });
+});
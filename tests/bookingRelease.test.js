@@ -0,0 +1,217 @@
+const request = require('supertest');
+const moment = require('moment-timezone');
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID } = require('./helpers');
+
+const TIMEZONE = 'America/Chicago';
+
+// A play date `days` out at the course
+const playDate = (days) => courseNow().add(days, 'days').format('YYYY-MM-DD');
+
+// A wall-clock time `days` before `date` at the course
+const courseTime = (date, days, time, timezone = TIMEZONE) =>
+  moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', timezone).subtract(days, 'days');
+
+const shown = (at) => at.tz(TIMEZONE).format('ddd, MMM D [at] h:mm A');
+
+const rule = (id, overrides = {}) => ({
+  id: `60000000-0000-4000-8000-00000000000${id}`,
+  name: `Rule ${id}`,
+  days_of_week: null,
+  start_time: null,
+  end_time: null,
+  days_before: null,
+  release_weekday: null,
+  release_time: '07:00',
+  is_active: true,
+  ...overrides
+});
+
+// Members at 7:00 AM 14 days out, everyone else at 7:00 AM 7 days out
+const STANDARD_RULES = [
+  rule(1, { audience: 'member', days_before: 14 }),
+  rule(2, { audience: 'public', days_before: 7 })
+];
+
+const membership = {
+  user_id: MEMBER_ID,
+  membership_type: 'individual',
+  status: 'active',
+  start_date: courseNow().subtract(1, 'month').format('YYYY-MM-DD'),
+  end_date: courseNow().add(1, 'year').format('YYYY-MM-DD')
+};
+
+const setting = (key, value) => ({ setting_key: key, setting_value: String(value), setting_type: 'string' });
+
+const booking = (date, time) => ({
+  booking_date: date,
+  tee_time: time,
+  number_of_players: 2,
+  primary_player_name: 'Golfer Tester',
+  primary_player_email: 'golfer@example.com',
+  green_fee_type: '9_holes'
+});
+
+describe('booking release windows', () => {
+  const setup = async (seed = {}) => {
+    const { app, db } = createTestApp({ seed: { memberships: [membership], ...seed } });
+    return { app, db, memberAuth: await authHeader(db, MEMBER_ID) };
+  };
+
+  const slot = async (app, date, time, auth) => {
+    let req = request(app).get('/api/bookings/availability').query({ date });
+    if (auth) {
+      req = req.set('Authorization', auth);
+    }
+    const res = await req;
+    expect(res.status).toBe(200);
+    return res.body.time_slots.find(candidate => candidate.time === time);
+  };
+
+  test('members book from their release; everyone else waits for the public one', async () => {
+    const { app, memberAuth } = await setup({ booking_release_rules: STANDARD_RULES });
+    const date = playDate(10);
+
+    let res = await request(app).post('/api/bookings').send(booking(date, '14:00'));
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(`This tee time is reserved for members until ${shown(courseTime(date, 7, '07:00'))}`);
+
+    res = await request(app).post('/api/bookings').set('Authorization', memberAuth).send(booking(date, '14:00'));
+    expect(res.status).toBe(201);
+
+    // Beyond the member release, nobody can book yet
+    const later = playDate(20);
+    res = await request(app).post('/api/bookings').send(booking(later, '14:00'));
+    expect(res.body.errors[0].msg).toBe(`This tee time opens for booking on ${shown(courseTime(later, 7, '07:00'))}`);
+
+    res = await request(app).post('/api/bookings').set('Authorization', memberAuth).send(booking(later, '14:00'));
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(`This tee time opens for booking on ${shown(courseTime(later, 14, '07:00'))}`);
+  });
+
+  test('narrower rules hold some tee times back and availability says when they open', async () => {
+    // Mornings on the play day stay with members until two days before
+    const date = playDate(5);
+    const playDay = moment(date).day();
+    const { app, memberAuth } = await setup({
+      booking_release_rules: [
+        ...STANDARD_RULES,
+        rule(3, { audience: 'public', days_of_week: [playDay], end_time: '12:00', release_weekday: (playDay + 5) % 7 })
+      ]
+    });
+
+    let morning = await slot(app, date, '08:00');
+    expect(morning).toMatchObject({
+      available: false,
+      released: false,
+      members_only: true,
+      opens_at: courseTime(date, 2, '07:00').toISOString()
+    });
+
+    const afternoon = await slot(app, date, '14:00');
+    expect(afternoon).toMatchObject({ available: true, released: true, members_only: false, opens_at: null });
+
+    morning = await slot(app, date, '08:00', memberAuth);
+    expect(morning).toMatchObject({ available: true, released: true, opens_at: null });
+
+    const res = await request(app).post('/api/bookings/holds').send(booking(date, '08:00'));
+    expect(res.status).toBe(400);
+  });
+
+  test('outings only book tee times released to the organizer', async () => {
+    const { app, db, memberAuth } = await setup({ booking_release_rules: STANDARD_RULES });
+    const adminAuth = await authHeader(db, ADMIN_ID);
+    const date = playDate(10);
+    const outing = { booking_date: date, start_time: '14:00', number_of_players: 8, green_fee_type: '9_holes' };
+    const message = `This tee time is reserved for members until ${shown(courseTime(date, 7, '07:00'))}`;
+
+    let res = await request(app).get('/api/outings/quote').query(outing);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(message);
+
+    res = await request(app).post('/api/outings').set('Authorization', adminAuth).send({ ...outing, name: 'Early Outing' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(message);
+
+    res = await request(app).get('/api/outings/quote').set('Authorization', memberAuth).query(outing);
+    expect(res.status).toBe(200);
+
+    res = await request(app).post('/api/outings').set('Authorization', memberAuth).send({ ...outing, name: 'Member Outing' });
+    expect(res.status).toBe(201);
+  });
+
+  test('without rules tee times open the advance days ahead at midnight', async () => {
+    const { app, memberAuth } = await setup({ admin_settings: [setting('booking_advance_days', 5)] });
+    const date = playDate(6);
+
+    let res = await request(app).post('/api/bookings').send(booking(date, '09:00'));
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(`This tee time is reserved for members until ${shown(courseTime(date, 5, '00:00'))}`);
+
+    res = await request(app).post('/api/bookings').send(booking(playDate(5), '09:00'));
+    expect(res.status).toBe(201);
+
+    // Members fall back to member_booking_advance_days (60)
+    res = await request(app).post('/api/bookings').set('Authorization', memberAuth).send(booking(date, '09:00'));
+    expect(res.status).toBe(201);
+  });
+
+  test('release times are read in the course timezone', async () => {
+    const timezone = 'Asia/Tokyo';
+    const { app } = await setup({
+      booking_release_rules: STANDARD_RULES,
+      admin_settings: [setting('course_timezone', timezone)]
+    });
+    const date = moment.tz(timezone).add(10, 'days').format('YYYY-MM-DD');
+
+    const later = await slot(app, date, '14:00');
+    expect(later.opens_at).toBe(courseTime(date, 7, '07:00', timezone).toISOString());
+  });
+
+  test('admins manage the release rules', async () => {
+    const { app, db, memberAuth } = await setup();
+    const adminAuth = await authHeader(db, ADMIN_ID);
+    const post = (body, auth = adminAuth) =>
+      request(app).post('/api/admin/booking-release-rules').set('Authorization', auth).send(body);
+
+    let res = await post({ name: 'Public', audience: 'public', days_before: 7, release_weekday: 4 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Release rules need exactly one of days_before or release_weekday');
+
+    res = await post({ name: 'Public', audience: 'public' });
+    expect(res.status).toBe(400);
+
+    res = await post({ name: 'Public', audience: 'visitors', days_before: 7 });
+    expect(res.status).toBe(400);
+
+    res = await post({ name: 'Weekends', audience: 'public', days_of_week: [6, 7], release_weekday: 4 });
+    expect(res.status).toBe(400);
+
+    res = await post({ name: 'Weekends', audience: 'public', days_of_week: [0, 6], start_time: '12:00', end_time: '08:00', release_weekday: 4 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Start time must be before end time');
+
+    res = await post({ name: 'Public', audience: 'public', days_before: 7 }, memberAuth);
+    expect(res.status).toBe(403);
+
+    res = await post({ name: 'Weekend mornings', audience: 'public', days_of_week: [0, 6], end_time: '12:00', release_weekday: 4 });
+    expect(res.status).toBe(201);
+    expect(res.body.rule).toMatchObject({ days_before: null, release_weekday: 4, release_time: '07:00', is_active: true });
+
+    const { id } = res.body.rule;
+    res = await request(app)
+      .put(`/api/admin/booking-release-rules/${id}`)
+      .set('Authorization', adminAuth)
+      .send({ days_before: 3 });
+    expect(res.status).toBe(400);
+
+    res = await request(app)
+      .put(`/api/admin/booking-release-rules/${id}`)
+      .set('Authorization', adminAuth)
+      .send({ days_before: 3, release_weekday: null });
+    expect(res.status).toBe(200);
+    expect(res.body.rule).toMatchObject({ days_before: 3, release_weekday: null });
+
+    res = await request(app).get('/api/admin/booking-release-rules').set('Authorization', adminAuth);
+    expect(res.body.rules).toHaveLength(1);
+  });
+});
@@ -0,0 +1,251 @@
+const request = require('supertest');
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+
+const BOOKING_ID = '30000000-0000-4000-8000-000000000001';
+const EVENT_ID = '40000000-0000-4000-8000-000000000001';
+
+// A start `hours` from now, as a date and a time
+const startsIn = (hours) => {
+  const start = courseNow().add(hours, 'hours');
+  return { date: start.format('YYYY-MM-DD'), time: start.format('HH:mm') };
+};
+
+const booking = (hours, overrides = {}) => ({
+  id: BOOKING_ID,
+  user_id: MEMBER_ID,
+  booking_date: startsIn(hours).date,
+  tee_time: startsIn(hours).time,
+  number_of_players: 2,
+  primary_player_name: 'Member Tester',
+  primary_player_email: 'member@test.local',
+  green_fee_type: '9_holes',
+  rate_class: 'standard',
+  total_green_fees: 60,
+  total_amount: 60,
+  payment_status: 'paid',
+  status: 'confirmed',
+  ...overrides
+});
+
+const policy = (overrides = {}) => ({
+  id: '50000000-0000-4000-8000-000000000001',
+  name: 'Test policy',
+  applies_to: 'tee_time',
+  rate_class_code: null,
+  member_status: 'any',
+  cutoff_hours: 24,
+  modification_cutoff_hours: null,
+  refund_percent: 100,
+  late_cancel_allowed: false,
+  late_cancel_fee: 0,
+  late_refund_percent: 0,
+  weather_exemption: true,
+  is_active: true,
+  ...overrides
+});
+
+describe('cancellation policies', () => {
+  const setup = async (seed) => {
+    const { app, db } = createTestApp({ seed });
+    return { app, db, memberAuth: await authHeader(db, MEMBER_ID), adminAuth: await authHeader(db, ADMIN_ID) };
+  };
+
+  test('falls back to the cancellation_hours setting', async () => {
+    let { app, memberAuth } = await setup({ tee_times: [booking(10)] });
+
+    let res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot cancel booking within 24 hours of tee time');
+
+    ({ app, memberAuth } = await setup({
+      tee_times: [booking(10)],
+      admin_settings: [{ setting_key: 'cancellation_hours', setting_value: '6' }]
+    }));
+
+    res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'cancelled', cancellation_fee: 0, refund_amount: 60 });
+  });
+
+  test('late cancellations can carry a fee and a partial refund', async () => {
+    const { app, memberAuth } = await setup({
+      tee_times: [booking(10)],
+      cancellation_policies: [
+        policy({ late_cancel_allowed: true, late_cancel_fee: 10, late_refund_percent: 50, rate_class_code: 'standard' }),
+        policy({ id: '50000000-0000-4000-8000-000000000002', name: 'Everyone else' })
+      ]
+    });
+
+    const preview = await request(app).get(`/api/bookings/${BOOKING_ID}/cancellation`).set('Authorization', memberAuth);
+    expect(preview.status).toBe(200);
+    expect(preview.body.cancellation).toMatchObject({
+      allowed: true,
+      late: true,
+      cancellation_fee: 10,
+      refund_amount: 20
+    });
+    expect(preview.body.cancellation.policy.summary).toMatch(/\$10\.00 fee with a 50% refund/);
+
+    const res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ cancellation_fee: 10, refund_amount: 20 });
+  });
+
+  test('on-time cancellations refund the policy percentage', async () => {
+    const { app, memberAuth } = await setup({
+      tee_times: [booking(48)],
+      cancellation_policies: [policy({ refund_percent: 75 })]
+    });
+
+    const res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation).toMatchObject({ late: false, refund_percent: 75, refund_amount: 45 });
+  });
+
+  test('member policies apply only to active members', async () => {
+    const memberPolicy = policy({ member_status: 'member', cutoff_hours: 2 });
+    const staffBooking = booking(10, { user_id: ROLE_USER_IDS.staff });
+
+    const { app, db, memberAuth } = await setup({
+      tee_times: [booking(10), { ...staffBooking, id: '30000000-0000-4000-8000-000000000002' }],
+      cancellation_policies: [memberPolicy],
+      memberships: [{
+        user_id: MEMBER_ID,
+        membership_type: 'individual',
+        status: 'active',
+        start_date: courseNow().subtract(1, 'month').format('YYYY-MM-DD'),
+        end_date: courseNow().add(1, 'year').format('YYYY-MM-DD')
+      }]
+    });
+    const staffAuth = await authHeader(db, ROLE_USER_IDS.staff);
+
+    let res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+
+    res = await request(app).delete('/api/bookings/30000000-0000-4000-8000-000000000002').set('Authorization', staffAuth);
+    expect(res.status).toBe(400);
+  });
+
+  test('weather closures waive the cutoff and refund in full', async () => {
+    const late = booking(10);
+    const { app, memberAuth } = await setup({
+      tee_times: [late],
+      cancellation_policies: [policy({ refund_percent: 50 })],
+      course_conditions: [{ condition_date: late.booking_date, overall_condition: 'closed', holes_available: 0 }]
+    });
+
+    const res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation).toMatchObject({ weather_exempt: true, refund_amount: 60, cancellation_fee: 0 });
+  });
+
+  test('changes follow the modification cutoff', async () => {
+    const { app, memberAuth } = await setup({
+      tee_times: [booking(10)],
+      cancellation_policies: [policy({ modification_cutoff_hours: 4 })]
+    });
+
+    let res = await request(app)
+      .put(`/api/bookings/${BOOKING_ID}`)
+      .set('Authorization', memberAuth)
+      .send({ special_requests: 'Early cart please' });
+    expect(res.status).toBe(200);
+
+    res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(400);
+  });
+
+  test('the quote shows the policy before booking', async () => {
+    const { app } = await setup({ cancellation_policies: [policy({ cutoff_hours: 12 })] });
+
+    const res = await request(app).get('/api/bookings/quote').query({
+      booking_date: courseNow().add(3, 'days').format('YYYY-MM-DD'),
+      tee_time: '10:00',
+      number_of_players: 2,
+      green_fee_type: '9_holes'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation_policy).toMatchObject({ cutoff_hours: 12, refund_percent: 100 });
+    expect(res.body.cancellation_policy.summary).toMatch(/^Free cancellation up to 12 hours before the tee time\./);
+  });
+
+  test('event registrations use event policies', async () => {
+    const start = startsIn(30);
+    const seed = {
+      events: [{
+        id: EVENT_ID,
+        title: 'Club Scramble',
+        event_type: 'tournament',
+        event_date: start.date,
+        start_time: start.time,
+        entry_fee: 40,
+        status: 'upcoming',
+        is_public: true
+      }],
+      event_registrations: [{
+        event_id: EVENT_ID,
+        user_id: MEMBER_ID,
+        participant_name: 'Member Tester',
+        participant_email: 'member@test.local',
+        registration_fee: 40,
+        payment_status: 'paid',
+        status: 'registered'
+      }]
+    };
+
+    // The 48 hour default is too late at 30 hours out
+    let { app, memberAuth } = await setup(seed);
+    let res = await request(app).delete(`/api/events/${EVENT_ID}/register`).set('Authorization', memberAuth);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot cancel registration within 48 hours of event');
+
+    ({ app, memberAuth } = await setup({
+      ...seed,
+      cancellation_policies: [policy({ applies_to: 'event', cutoff_hours: 24, refund_percent: 50 })]
+    }));
+
+    const details = await request(app).get(`/api/events/${EVENT_ID}`);
+    expect(details.body.event.cancellation_policy.summary).toMatch(/before the event for a 50% refund/);
+
+    res = await request(app).delete(`/api/events/${EVENT_ID}/register`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.registration).toMatchObject({ status: 'cancelled', refund_amount: 20 });
+  });
+
+  test('admins manage policies', async () => {
+    const { app, adminAuth } = await setup();
+
+    let res = await request(app)
+      .post('/api/admin/cancellation-policies')
+      .set('Authorization', adminAuth)
+      .send({ name: 'Event by class', applies_to: 'event', rate_class_code: 'senior', cutoff_hours: 24 });
+    expect(res.status).toBe(400);
+
+    res = await request(app)
+      .post('/api/admin/cancellation-policies')
+      .set('Authorization', adminAuth)
+      .send({ name: 'Unknown class', rate_class_code: 'nobody', cutoff_hours: 24 });
+    expect(res.status).toBe(400);
+
+    res = await request(app)
+      .post('/api/admin/cancellation-policies')
+      .set('Authorization', adminAuth)
+      .send({ name: 'Seniors', rate_class_code: 'senior', cutoff_hours: 12, refund_percent: 150 });
+    expect(res.status).toBe(400);
+
+    res = await request(app)
+      .post('/api/admin/cancellation-policies')
+      .set('Authorization', adminAuth)
+      .send({ name: 'Seniors', rate_class_code: 'senior', cutoff_hours: 12 });
+    expect(res.status).toBe(201);
+    expect(res.body.policy).toMatchObject({ applies_to: 'tee_time', member_status: 'any', weather_exemption: true });
+
+    res = await request(app)
+      .put(`/api/admin/cancellation-policies/${res.body.policy.id}`)
+      .set('Authorization', adminAuth)
+      .send({ late_cancel_allowed: true, late_cancel_fee: 5 });
+    expect(res.status).toBe(200);
+    expect(res.body.policy.summary).toMatch(/Later cancellations carry a \$5\.00 fee with no refund/);
+  });
+});
@@ -0,0 +1,450 @@
+const request = require('supertest');
+
+const mockRefundsCreate = jest.fn();
+jest.mock('stripe', () => () => ({ refunds: { create: mockRefundsCreate } }));
+
+const { createTestApp, courseNow, authHeader, ROLE_USER_IDS, MEMBER_ID } = require('./helpers');
+
+const inTwoDays = courseNow().add(2, 'days').format('YYYY-MM-DD');
+
+const cartId = (n) => `80000000-0000-4000-8000-00000000000${n}`;
+const BOOKING_ID = '30000000-0000-4000-8000-000000000001';
+
+const cart = (n, overrides = {}) => ({ id: cartId(n), cart_number: String(n), status: 'active', ...overrides });
+
+const setting = (setting_key, setting_value) => ({ setting_key, setting_value, setting_type: 'number' });
+
+// $9 a rider sharing a cart, $15 riding alone
+const perRider = [setting('cart_fee_shared_rider', '9'), setting('cart_fee_single_rider', '15')];
+
+// A 9-hole group at 08:00 with one fleet cart, out until 10:15
+const cartRound = (overrides = {}) => ({
+  id: BOOKING_ID,
+  user_id: MEMBER_ID,
+  booking_date: inTwoDays,
+  tee_time: '08:00',
+  number_of_players: 2,
+  primary_player_name: 'Member Tester',
+  primary_player_email: 'member@test.local',
+  green_fee_type: '9_holes',
+  cart_rental: true,
+  cart_riders: 2,
+  fleet_carts: 1,
+  total_green_fees: 40,
+  total_cart_fees: 15,
+  total_amount: 55,
+  payment_status: 'pending',
+  status: 'confirmed',
+  ...overrides
+});
+
+const shedMembership = {
+  user_id: MEMBER_ID,
+  membership_type: 'single',
+  status: 'active',
+  start_date: courseNow().subtract(1, 'month').format('YYYY-MM-DD'),
+  end_date: courseNow().add(1, 'year').format('YYYY-MM-DD'),
+  cart_shed_number: 12
+};
+
+const newBooking = (app, overrides = {}, auth = null) => {
+  const req = request(app).post('/api/bookings');
+  if (auth) {
+    req.set('Authorization', auth);
+  }
+  return req.send({
+    booking_date: inTwoDays,
+    tee_time: '09:00',
+    number_of_players: 2,
+    primary_player_name: 'Guest Golfer',
+    primary_player_email: 'guest@example.com',
+    green_fee_type: '9_holes',
+    cart_rental: true,
+    ...overrides
+  });
+};
+
+const quote = (app, params, auth = null) => {
+  const req = request(app).get('/api/bookings/quote').query({
+    booking_date: inTwoDays,
+    tee_time: '09:00',
+    green_fee_type: '9_holes',
+    cart_rental: true,
+    ...params
+  });
+  if (auth) {
+    req.set('Authorization', auth);
+  }
+  return req;
+};
+
+describe('cart fleet', () => {
+  test('carts are not limited until the fleet is set up', async () => {
+    const { app } = createTestApp({ seed: { tee_times: [cartRound()] } });
+
+    const res = await newBooking(app, { number_of_players: 4 });
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({ cart_riders: 4, fleet_carts: 2 });
+
+    const availability = await request(app).get('/api/bookings/availability').query({ date: inTwoDays });
+    expect(availability.body.time_slots[0].carts_remaining).toBeNull();
+  });
+
+  test('a cart stays out for the whole round it was booked for', async () => {
+    const { app } = createTestApp({ seed: { carts: [cart(1)], tee_times: [cartRound()] } });
+
+    // The 08:00 round has the only cart until 10:15
+    let res = await newBooking(app);
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('No carts left at this tee time');
+
+    res = await newBooking(app, { tee_time: '10:15' });
+    expect(res.status).toBe(201);
+
+    // Walking needs no cart
+    res = await newBooking(app, { cart_rental: false });
+    expect(res.status).toBe(201);
+
+    const availability = await request(app).get('/api/bookings/availability').query({ date: inTwoDays });
+    const slot = (time) => availability.body.time_slots.find(entry => entry.time === time);
+    expect(slot('09:00').carts_remaining).toEqual({ '9_holes': 0, all_day: 0 });
+    // The 10:15 round brings the cart back at 12:30
+    expect(slot('12:30').carts_remaining).toEqual({ '9_holes': 1, all_day: 1 });
+    expect(slot('12:00').carts_remaining).toEqual({ '9_holes': 0, all_day: 0 });
+  });
+
+  test('a cart out of service leaves the fleet for the days of its outage', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        carts: [cart(1), cart(2), cart(3, { status: 'retired' })],
+        cart_outages: [{ id: cartId(9), cart_id: cartId(2), start_date: inTwoDays, end_date: null, reason: 'Flat tire' }]
+      }
+    });
+    const auth = await authHeader(db, ROLE_USER_IDS.starter);
+
+    let res = await request(app).get('/api/admin/carts').query({ date: inTwoDays }).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ fleet_size: 1, out_of_service: 1 });
+    expect(res.body.carts.map(entry => [entry.cart_number, entry.outage?.reason || null])).toEqual([['1', null], ['2', 'Flat tire']]);
+
+    // Four riders sharing need two carts
+    res = await newBooking(app, { number_of_players: 4 });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Only 1 cart(s) left at this tee time');
+
+    res = await request(app)
+      .put(`/api/admin/carts/outages/${cartId(9)}`)
+      .set('Authorization', auth)
+      .send({ end_date: courseNow().add(1, 'day').format('YYYY-MM-DD') });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('End date must not be before the start date');
+
+    // Back in service from the day after
+    res = await request(app)
+      .put(`/api/admin/carts/outages/${cartId(9)}`)
+      .set('Authorization', auth)
+      .send({ start_date: courseNow().format('YYYY-MM-DD'), end_date: courseNow().add(1, 'day').format('YYYY-MM-DD') });
+    expect(res.status).toBe(200);
+
+    res = await newBooking(app, { number_of_players: 4 });
+    expect(res.status).toBe(201);
+    expect(res.body.booking.fleet_carts).toBe(2);
+
+    res = await request(app).delete(`/api/admin/carts/outages/${cartId(9)}`).set('Authorization', auth);
+    expect(res.status).toBe(200);
+
+    res = await request(app).delete(`/api/admin/carts/outages/${cartId(9)}`).set('Authorization', auth);
+    expect(res.status).toBe(404);
+  });
+
+  test('adding a cart to an existing booking needs a free cart', async () => {
+    const walking = cartRound({
+      id: '30000000-0000-4000-8000-000000000002',
+      tee_time: '09:00',
+      cart_rental: false,
+      cart_riders: 0,
+      fleet_carts: 0,
+      total_cart_fees: 0,
+      total_amount: 40
+    });
+    const { app, db } = createTestApp({ seed: { carts: [cart(1)], tee_times: [cartRound(), walking] } });
+    const auth = await authHeader(db, MEMBER_ID);
+
+    let res = await request(app).put(`/api/bookings/${walking.id}`).set('Authorization', auth).send({ cart_rental: true });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('No carts left at this tee time');
+
+    // Giving up the 08:00 cart frees it
+    res = await request(app).put(`/api/bookings/${BOOKING_ID}`).set('Authorization', auth).send({ cart_rental: false });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ fleet_carts: 0, total_cart_fees: 0, total_amount: 40 });
+
+    res = await request(app).put(`/api/bookings/${walking.id}`).set('Authorization', auth).send({ cart_rental: true });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ cart_riders: 2, fleet_carts: 1, total_cart_fees: 15 });
+  });
+
+  test('a cart change on a paid booking refunds or owes the difference', async () => {
+    mockRefundsCreate.mockReset().mockImplementation(async (params) => ({ id: 're_cart', amount: params.amount }));
+    const { app, db } = createTestApp({
+      seed: {
+        carts: [cart(1)],
+        tee_times: [cartRound({ payment_status: 'paid', payment_method: 'stripe', stripe_payment_intent_id: 'pi_paid' })]
+      }
+    });
+    const auth = await authHeader(db, MEMBER_ID);
+
+    let res = await request(app).put(`/api/bookings/${BOOKING_ID}`).set('Authorization', auth).send({ cart_rental: false });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ total_amount: 40, balance_due: 0, payment_status: 'paid' });
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(mockRefundsCreate.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_paid', amount: 1500 });
+
+    // Taking the cart again owes its fee, paid online like a reschedule's
+    res = await request(app).put(`/api/bookings/${BOOKING_ID}`).set('Authorization', auth).send({ cart_rental: true });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ total_amount: 55, balance_due: 15 });
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+
+    const { data: changes } = await db.bookingChanges.find({ tee_time_id: BOOKING_ID }, { order: ['created_at'] });
+    expect(changes.map(({ amount_difference, settlement }) => [amount_difference, settlement])).toEqual([
+      [-15, 'refund'],
+      [15, 'charge']
+    ]);
+    const { data: refund } = await db.paymentTransactions.findOne({ transaction_type: 'refund' });
+    expect(refund).toMatchObject({ amount: -15, idempotency_key: `booking-change-refund:${changes[0].id}` });
+    expect(changes[0].payment_transaction_id).toBe(refund.id);
+  });
+
+  test('cart changes follow the day\'s closure and the booking as it now stands', async () => {
+    const walking = cartRound({ cart_rental: false, cart_riders: 0, fleet_carts: 0, total_cart_fees: 0, total_amount: 40 });
+    const { app, db } = createTestApp({
+      seed: {
+        carts: [cart(1), cart(2)],
+        course_conditions: [{ condition_date: inTwoDays, overall_condition: 'good', holes_available: 9, cart_availability: false }],
+        tee_times: [walking]
+      }
+    });
+
+    const res = await request(app)
+      .put(`/api/bookings/${BOOKING_ID}`)
+      .set('Authorization', await authHeader(db, MEMBER_ID))
+      .send({ cart_rental: true });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Carts are not available on this date');
+
+    // A plan worked out for a group that has since changed is refused
+    const { error } = await db.teeTimes.changeCarts(BOOKING_ID, {
+      previous: { booking_date: inTwoDays, tee_time: '08:00', number_of_players: 3, fleet_carts: 0, total_amount: 40 },
+      changes: { cart_rental: true, cart_riders: 3, fleet_carts: 2 }
+    }, { roundMinutes: { '9_holes': 135, all_day: 270 } });
+    expect(error.code).toBe('40001');
+
+    const { data: unchanged } = await db.teeTimes.findById(BOOKING_ID);
+    expect(unchanged).toMatchObject({ cart_rental: false, fleet_carts: 0 });
+  });
+});
+
+describe('moving bookings with carts', () => {
+  const bookingId = (n) => `30000000-0000-4000-8000-00000000000${n}`;
+
+  test('a reschedule needs carts at the new tee time and works the carts out again', async () => {
+    const group = cartRound({
+      id: bookingId(2),
+      tee_time: '11:00',
+      number_of_players: 4,
+      cart_riders: 4,
+      fleet_carts: 2,
+      total_green_fees: 80,
+      total_cart_fees: 15,
+      total_amount: 95
+    });
+    const { app, db } = createTestApp({ seed: { carts: [cart(1), cart(2)], tee_times: [cartRound(), group] } });
+    const reschedule = async (body) => request(app)
+      .post(`/api/bookings/${group.id}/reschedule`)
+      .set('Authorization', await authHeader(db, MEMBER_ID))
+      .send({ booking_date: inTwoDays, ...body });
+
+    // The 08:00 round has one of the two carts until 10:15
+    let res = await reschedule({ tee_time: '09:00', number_of_players: 4 });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Only 1 cart(s) left at this tee time');
+
+    // Two players share one cart
+    res = await reschedule({ tee_time: '09:00', number_of_players: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ tee_time: '09:00', number_of_players: 2, cart_riders: 2, fleet_carts: 1 });
+  });
+
+  test('moving bookings off an event block needs carts for their round', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        carts: [cart(1)],
+        events: [{
+          id: '40000000-0000-4000-8000-000000000001',
+          title: 'Club Championship',
+          event_type: 'tournament',
+          event_date: inTwoDays,
+          start_time: '08:00',
+          end_time: '10:00',
+          status: 'upcoming',
+          blocks_tee_sheet: true,
+          block_scope: 'course'
+        }],
+        // The cart is out with the 10:15 round until 12:30
+        tee_times: [cartRound({ tee_time: '09:00' }), cartRound({ id: bookingId(2), tee_time: '10:15' })]
+      }
+    });
+
+    const res = await request(app)
+      .post('/api/events/40000000-0000-4000-8000-000000000001/conflicts/move')
+      .set('Authorization', await authHeader(db, ROLE_USER_IDS.staff));
+
+    expect(res.status).toBe(200);
+    expect(res.body.moved.map(({ from, to }) => [from, to])).toEqual([['09:00', '12:30']]);
+  });
+
+  test('a delay leaves a group where it is when its cart is out at the new time', async () => {
+    const today = courseNow().format('YYYY-MM-DD');
+    const { app, db } = createTestApp({
+      seed: {
+        carts: [cart(1)],
+        tee_times: [
+          cartRound({ booking_date: today, tee_time: '07:00' }),
+          // Walking, so any tee time will do
+          cartRound({ id: bookingId(2), booking_date: today, tee_time: '07:15', cart_rental: false, cart_riders: 0, fleet_carts: 0 }),
+          // Outside the window, with the only cart from 09:30
+          cartRound({ id: bookingId(3), booking_date: today, tee_time: '09:30' })
+        ]
+      }
+    });
+
+    const res = await request(app)
+      .post('/api/admin/tee-sheet/delay')
+      .set('Authorization', await authHeader(db, ROLE_USER_IDS.starter))
+      .send({ from_time: '07:00', to_time: '08:00', delay_minutes: 60, notify: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.moved.map(({ id, to }) => [id, to])).toEqual([[bookingId(2), '08:15']]);
+    expect(res.body.collisions).toEqual([
+      expect.objectContaining({ id: BOOKING_ID, requested: '08:00', to: null, message: 'No carts left at this tee time' })
+    ]);
+
+    const { data: stayed } = await db.teeTimes.findById(BOOKING_ID);
+    expect(String(stayed.tee_time).slice(0, 5)).toBe('07:00');
+  });
+});
+
+describe('cart pricing', () => {
+  test('riders pay the shared fee, and a rider alone in a cart the single fee', async () => {
+    const { app } = createTestApp({ seed: { admin_settings: perRider } });
+
+    let res = await quote(app, { number_of_players: 3 });
+    expect(res.status).toBe(200);
+    expect(res.body.quote).toMatchObject({
+      cart_pricing: 'per_rider',
+      cart_riders: 3,
+      fleet_carts: 2,
+      total_cart_fees: 33
+    });
+
+    res = await quote(app, { number_of_players: 2, cart_sharing: 'single' });
+    expect(res.body.quote).toMatchObject({ fleet_carts: 2, total_cart_fees: 30 });
+
+    // Two of the four walk
+    res = await quote(app, { number_of_players: 4, cart_riders: 2 });
+    expect(res.body.quote).toMatchObject({ cart_riders: 2, fleet_carts: 1, total_cart_fees: 18 });
+
+    res = await quote(app, { number_of_players: 2, cart_sharing: 'tandem' });
+    expect(res.status).toBe(400);
+  });
+
+  test('a member with a cart in the shed rides their own', async () => {
+    const { app, db } = createTestApp({ seed: { admin_settings: perRider, memberships: [shedMembership] } });
+    const auth = await authHeader(db, MEMBER_ID);
+
+    let res = await quote(app, { number_of_players: 3 }, auth);
+    expect(res.body.quote).toMatchObject({ cart_shed_number: 12, fleet_carts: 1, total_cart_fees: 15 });
+
+    res = await newBooking(app, {
+      number_of_players: 2,
+      primary_player_email: 'member@test.local'
+    }, auth);
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({ cart_shed_number: 12, fleet_carts: 0, total_cart_fees: 0 });
+
+    const starterAuth = await authHeader(db, ROLE_USER_IDS.starter);
+    res = await request(app).get('/api/admin/carts').set('Authorization', starterAuth);
+    expect(res.body.fleet_size).toBeNull();
+    expect(res.body.shed_carts).toEqual([
+      expect.objectContaining({ cart_shed_number: 12, user_id: MEMBER_ID, member: 'Member Tester' })
+    ]);
+  });
+});
+
+describe('cart fleet administration', () => {
+  test('adds, renumbers and takes carts out of service', async () => {
+    const { app, db } = createTestApp({ seed: { carts: [cart(1)] } });
+    const auth = await authHeader(db, ROLE_USER_IDS.starter);
+    const memberAuth = await authHeader(db, MEMBER_ID);
+
+    let res = await request(app).post('/api/admin/carts').set('Authorization', memberAuth).send({ cart_number: '2' });
+    expect(res.status).toBe(403);
+
+    res = await request(app).post('/api/admin/carts').set('Authorization', auth).send({ cart_number: '2' });
+    expect(res.status).toBe(201);
+    expect(res.body.cart).toMatchObject({ cart_number: '2', status: 'active' });
+    const added = res.body.cart.id;
+
+    res = await request(app).post('/api/admin/carts').set('Authorization', auth).send({ cart_number: '1' });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Cart number already exists');
+
+    res = await request(app).put(`/api/admin/carts/${added}`).set('Authorization', auth).send({ cart_number: '22', notes: 'New seats' });
+    expect(res.status).toBe(200);
+    expect(res.body.cart).toMatchObject({ cart_number: '22', notes: 'New seats' });
+
+    res = await request(app).post(`/api/admin/carts/${added}/outages`).set('Authorization', auth).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('A reason is required');
+
+    res = await request(app).post(`/api/admin/carts/${added}/outages`).set('Authorization', auth).send({ reason: 'Battery' });
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Cart 22 is out of service');
+    expect(res.body.outage).toMatchObject({ cart_id: added, start_date: courseNow().format('YYYY-MM-DD'), end_date: null });
+
+    res = await request(app).get('/api/admin/carts').set('Authorization', auth);
+    expect(res.body).toMatchObject({ fleet_size: 1, out_of_service: 1 });
+
+    res = await request(app).delete(`/api/admin/carts/outages/${res.body.carts[1].outage.id}`).set('Authorization', auth);
+    expect(res.status).toBe(200);
+
+    res = await request(app).put(`/api/admin/carts/${cartId(1)}`).set('Authorization', auth).send({ status: 'retired' });
+    expect(res.status).toBe(200);
+
+    res = await request(app).get('/api/admin/carts').set('Authorization', auth);
+    expect(res.body).toMatchObject({ fleet_size: 1, out_of_service: 0 });
+    expect(res.body.carts.map(entry => entry.cart_number)).toEqual(['22']);
+  });
+
+  test('the tee sheet shows riders, carts out and the fleet', async () => {
+    const today = courseNow().format('YYYY-MM-DD');
+    const { app, db } = createTestApp({
+      seed: {
+        carts: [cart(1), cart(2), cart(3)],
+        tee_times: [cartRound({ booking_date: today, cart_riders: 3, number_of_players: 3, fleet_carts: 2, cart_shed_number: null })]
+      }
+    });
+    const auth = await authHeader(db, ROLE_USER_IDS.starter);
+
+    const res = await request(app).get('/api/admin/tee-sheet').set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.cart_fleet).toBe(3);
+    expect(res.body.summary.fleet_carts).toBe(2);
+
+    const slot = (time) => res.body.slots.find(entry => entry.time === time);
+    expect(slot('08:00').bookings[0]).toMatchObject({ cart_riders: 3, cart_sharing: 'shared', fleet_carts: 2 });
+    expect(slot('10:00').carts_out).toBe(2);
+    expect(slot('10:15').carts_out).toBe(0);
+  });
+});
@@ -0,0 +1,336 @@
+const request = require('supertest');
+
+const mockRefundsCreate = jest.fn();
+jest.mock('stripe', () => () => ({ refunds: { create: mockRefundsCreate } }));
+
+const { createTestApp, courseNow, authHeader, ROLE_USER_IDS, MEMBER_ID } = require('./helpers');
+
+const inTwoDays = courseNow().add(2, 'days').format('YYYY-MM-DD');
+const yesterday = courseNow().subtract(1, 'day').format('YYYY-MM-DD');
+
+const EVENT_ID = '40000000-0000-4000-8000-000000000001';
+const REGISTRATION_ID = '40000000-0000-4000-8000-000000000002';
+
+const bookingId = (n) => `30000000-0000-4000-8000-00000000000${n}`;
+
+const booking = (n, overrides = {}) => ({
+  id: bookingId(n),
+  user_id: MEMBER_ID,
+  booking_date: inTwoDays,
+  tee_time: `0${7 + n}:00`,
+  number_of_players: 2,
+  primary_player_name: `Golfer ${n}`,
+  primary_player_email: `golfer${n}@example.com`,
+  green_fee_type: '9_holes',
+  total_green_fees: 36,
+  total_cart_fees: 0,
+  total_amount: 36,
+  payment_status: 'pending',
+  status: 'confirmed',
+  ...overrides
+});
+
+const payment = (n, overrides = {}) => ({
+  id: `60000000-0000-4000-8000-00000000000${n}`,
+  transaction_type: 'tee_time',
+  amount: 36,
+  payment_provider: 'stripe',
+  provider_transaction_id: `pi_${n}`,
+  user_id: MEMBER_ID,
+  tee_time_id: bookingId(n),
+  status: 'completed',
+  transaction_date: courseNow().subtract(1, 'day').toISOString(),
+  ...overrides
+});
+
+const event = {
+  id: EVENT_ID,
+  title: 'Club Scramble',
+  event_type: 'tournament',
+  event_date: inTwoDays,
+  start_time: '13:00',
+  entry_fee: 40,
+  current_participants: 1,
+  status: 'upcoming',
+  is_public: true
+};
+
+const registration = {
+  id: REGISTRATION_ID,
+  event_id: EVENT_ID,
+  user_id: MEMBER_ID,
+  participant_name: 'Member Tester',
+  participant_email: 'member@test.local',
+  registration_fee: 40,
+  payment_status: 'paid',
+  stripe_payment_intent_id: 'pi_event',
+  status: 'registered'
+};
+
+describe('course closures', () => {
+  beforeEach(() => {
+    mockRefundsCreate.mockReset();
+    mockRefundsCreate.mockImplementation(async (params) => ({ id: 're_test', amount: params.amount, status: 'succeeded' }));
+  });
+
+  // Staff close the course; refunds take an admin
+  const setup = async (seed, role = 'staff') => {
+    const { app, db } = createTestApp({ seed });
+    const auth = await authHeader(db, ROLE_USER_IDS[role]);
+    const close = (body) => request(app).post('/api/admin/course-closures').set('Authorization', auth).send(body);
+    const reopen = (id, body = {}) => request(app).post(`/api/admin/course-closures/${id}/reopen`).set('Authorization', auth).send(body);
+    return { app, db, auth, close, reopen };
+  };
+
+  const refunds = async (db) => (await db.paymentTransactions.find({ transaction_type: 'refund' }, { order: ['created_at'] })).data;
+
+  test('a full closure cancels the day and gives back what was paid as rain checks', async () => {
+    const { db, close } = await setup({
+      tee_times: [
+        booking(1, { payment_status: 'paid', payment_method: 'card' }),
+        booking(2)
+      ],
+      payment_transactions: [payment(1)],
+      events: [event],
+      event_registrations: [registration]
+    });
+
+    const res = await close({ closure_date: inTwoDays, reason: 'Flooded fairways' });
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Course closure recorded: 4 cancelled, 0 repriced, 0 notified');
+    expect(res.body.closure).toMatchObject({ holes_available: 0, cart_availability: false, resolution: 'rain_check', status: 'active' });
+
+    const { data: conditions } = await db.courseConditions.findOne({ condition_date: inTwoDays });
+    expect(conditions).toMatchObject({ overall_condition: 'closed', holes_available: 0, cart_availability: false });
+
+    const { data: paid } = await db.teeTimes.findById(bookingId(1));
+    expect(paid).toMatchObject({
+      status: 'cancelled',
+      payment_status: 'refunded',
+      refund_amount: 36,
+      cancellation_reason: 'Course closed: Flooded fairways'
+    });
+    const { data: unpaid } = await db.teeTimes.findById(bookingId(2));
+    expect(unpaid).toMatchObject({ status: 'cancelled', refund_amount: 0 });
+
+    const { data: cancelledEvent } = await db.events.findById(EVENT_ID);
+    expect(cancelledEvent).toMatchObject({ status: 'cancelled', current_participants: 0 });
+    const { data: cancelledRegistration } = await db.eventRegistrations.findById(REGISTRATION_ID);
+    expect(cancelledRegistration).toMatchObject({ status: 'cancelled', payment_status: 'refunded' });
+
+    // Rain checks never go back to the card
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+    expect((await refunds(db)).map(refund => [refund.amount, refund.payment_provider, refund.metadata.reason])).toEqual([
+      [-36, 'account_credit', 'rain check'],
+      [-40, 'account_credit', 'rain check']
+    ]);
+  });
+
+  test('only roles that can refund payments can close with refunds', async () => {
+    const seed = {
+      tee_times: [booking(1, { payment_status: 'paid' })],
+      payment_transactions: [payment(1)]
+    };
+
+    for (const role of ['staff', 'starter']) {
+      const { db, close } = await setup(seed, role);
+
+      const res = await close({ closure_date: inTwoDays, resolution: 'refund' });
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Permission "payments:refund" required to refund a closure');
+
+      const { data: untouched } = await db.teeTimes.findById(bookingId(1));
+      expect(untouched).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+      expect(await db.courseClosures.count({})).toMatchObject({ count: 0 });
+    }
+
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+
+    // Rain checks stay with booking staff
+    const { close } = await setup(seed, 'staff');
+    const res = await close({ closure_date: inTwoDays });
+    expect(res.status).toBe(201);
+  });
+
+  test('a closure with refunds pays back the way golfers paid', async () => {
+    const { db, close } = await setup({
+      tee_times: [booking(1, { payment_status: 'paid' })],
+      payment_transactions: [payment(1)]
+    }, 'admin');
+
+    const res = await close({ closure_date: inTwoDays, resolution: 'refund' });
+    expect(res.status).toBe(201);
+
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(mockRefundsCreate.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_1', amount: 3600 });
+    const [refund] = await refunds(db);
+    expect(refund).toMatchObject({ amount: -36, payment_provider: 'stripe', idempotency_key: `course-closure:${res.body.closure.id}:tee_time:${bookingId(1)}` });
+  });
+
+  test('a partial closure reprices bookings for the holes and carts left', async () => {
+    const { db, close } = await setup({
+      tee_times: [
+        // Paid 56, of which 20 for the cart
+        booking(1, { cart_rental: true, total_cart_fees: 20, total_amount: 56, payment_status: 'paid', payment_method: 'cash' }),
+        // Still owes 20 of its 36
+        booking(2, { payment_status: 'paid', balance_due: 20 }),
+        booking(3)
+      ]
+    });
+
+    const res = await close({ closure_date: inTwoDays, holes_available: 6, reason: 'Back holes flooded' });
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Course closure recorded: 0 cancelled, 3 repriced, 0 notified');
+
+    const { data: conditions } = await db.courseConditions.findOne({ condition_date: inTwoDays });
+    expect(conditions).toMatchObject({ overall_condition: 'fair', holes_available: 6, cart_availability: false });
+
+    const rows = Object.fromEntries((await db.teeTimes.find({})).data.map(row => [row.id, row]));
+    expect(rows[bookingId(1)]).toMatchObject({ status: 'confirmed', cart_rental: false, total_green_fees: 24, total_cart_fees: 0, total_amount: 24 });
+    // 12 off a 20 balance: nothing to give back
+    expect(rows[bookingId(2)]).toMatchObject({ total_amount: 24, balance_due: 8 });
+    expect(rows[bookingId(3)]).toMatchObject({ total_amount: 24, payment_status: 'pending' });
+
+    expect((await refunds(db)).map(refund => [refund.tee_time_id, refund.amount])).toEqual([[bookingId(1), -32]]);
+  });
+
+  test('new bookings are refused on a closed day and carts on a no-cart day', async () => {
+    const { app, close } = await setup();
+    const dayAfter = courseNow().add(3, 'days').format('YYYY-MM-DD');
+
+    await close({ closure_date: inTwoDays });
+    await close({ closure_date: dayAfter, holes_available: 9, cart_availability: false });
+
+    const newBooking = (booking_date, overrides = {}) => request(app).post('/api/bookings').send({
+      booking_date,
+      tee_time: '09:00',
+      number_of_players: 2,
+      primary_player_name: 'Walk Up',
+      primary_player_email: 'walkup@example.com',
+      green_fee_type: '9_holes',
+      ...overrides
+    });
+
+    let res = await newBooking(inTwoDays);
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('The course is closed on this date');
+
+    res = await newBooking(dayAfter, { cart_rental: true });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Carts are not available on this date');
+
+    res = await newBooking(dayAfter);
+    expect(res.status).toBe(201);
+
+    res = await request(app).get('/api/bookings/availability').query({ date: dayAfter });
+    expect(res.body).toMatchObject({ holes_available: 9, cart_availability: false });
+  });
+
+  test('reopening restores bookings and registrations and voids the rain checks', async () => {
+    const { db, close, reopen } = await setup({
+      course_conditions: [{ condition_date: inTwoDays, overall_condition: 'good', holes_available: 9, cart_availability: true }],
+      tee_times: [
+        booking(1, { payment_status: 'paid', payment_method: 'cash' }),
+        booking(2)
+      ],
+      payment_transactions: [payment(1, { payment_provider: 'cash', provider_transaction_id: null })],
+      events: [event],
+      event_registrations: [registration]
+    });
+
+    const closed = await close({ closure_date: inTwoDays });
+    // Someone takes the 9:00 tee time meanwhile
+    await db.teeTimes.create(booking(3, { id: bookingId(4), tee_time: '09:00', number_of_players: 3 }));
+
+    const res = await reopen(closed.body.closure.id);
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Course reopened: 3 restored, 1 could not be restored');
+    expect(res.body.closure).toMatchObject({ status: 'reopened', reopened_by: ROLE_USER_IDS.staff });
+    expect(res.body.not_restored).toMatchObject([{ tee_time_id: bookingId(2), reason: 'The tee time has been booked since the closure' }]);
+
+    const { data: conditions } = await db.courseConditions.findOne({ condition_date: inTwoDays });
+    expect(conditions).toMatchObject({ overall_condition: 'good', holes_available: 9, cart_availability: true });
+
+    const { data: restored } = await db.teeTimes.findById(bookingId(1));
+    expect(restored).toMatchObject({ status: 'confirmed', payment_status: 'paid', cancellation_reason: null, refund_amount: null });
+    const { data: original } = await db.paymentTransactions.findById(payment(1).id);
+    expect(original.status).toBe('completed');
+
+    const { data: reopenedEvent } = await db.events.findById(EVENT_ID);
+    expect(reopenedEvent).toMatchObject({ status: 'upcoming', current_participants: 1 });
+    const { data: registrationBack } = await db.eventRegistrations.findById(REGISTRATION_ID);
+    expect(registrationBack).toMatchObject({ status: 'registered', payment_status: 'paid' });
+
+    expect((await refunds(db)).map(refund => refund.status)).toEqual(['cancelled', 'cancelled']);
+
+    const again = await reopen(closed.body.closure.id);
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('This closure has already been reopened');
+  });
+
+  test('refunds sent to a card are owed again after reopening', async () => {
+    const { db, close, reopen } = await setup({
+      tee_times: [booking(1, { payment_status: 'paid' })],
+      payment_transactions: [payment(1)]
+    }, 'admin');
+
+    const closed = await close({ closure_date: inTwoDays, resolution: 'refund' });
+    await reopen(closed.body.closure.id);
+
+    const { data: restored } = await db.teeTimes.findById(bookingId(1));
+    expect(restored).toMatchObject({ status: 'confirmed', payment_status: 'pending' });
+    expect(await db.courseConditions.findOne({ condition_date: inTwoDays })).toMatchObject({ data: null });
+  });
+
+  test('lists closures and shows what one changed', async () => {
+    const { app, auth, close } = await setup({ tee_times: [booking(1)] });
+
+    const closed = await close({ closure_date: inTwoDays, holes_available: 6, cart_availability: true });
+
+    let res = await request(app).get('/api/admin/course-closures').query({ start_date: inTwoDays }).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.closures.map(closure => closure.id)).toEqual([closed.body.closure.id]);
+
+    res = await request(app).get(`/api/admin/course-closures/${closed.body.closure.id}`).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.items).toMatchObject([{
+      tee_time_id: bookingId(1),
+      action: 'adjusted',
+      previous: { total_amount: 36 },
+      changes: { total_amount: 24 }
+    }]);
+  });
+
+  test('warns when conditions close a day that has bookings', async () => {
+    const { app, db } = await setup({ tee_times: [booking(1)] });
+
+    const res = await request(app)
+      .post('/api/admin/course-conditions')
+      .set('Authorization', await authHeader(db, ROLE_USER_IDS.starter))
+      .send({ condition_date: inTwoDays, overall_condition: 'closed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.warning).toBe('1 confirmed booking(s) on this date are unchanged; use a course closure to cancel or reprice them');
+  });
+
+  test('rejects closures the course cannot take', async () => {
+    const { close } = await setup();
+
+    let res = await close({ closure_date: yesterday });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot close the course on a past date');
+
+    res = await close({ closure_date: inTwoDays, holes_available: 9, cart_availability: true });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A closure needs fewer than 9 holes open or carts not allowed');
+
+    await close({ closure_date: inTwoDays });
+    res = await close({ closure_date: inTwoDays, holes_available: 6 });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('The course already has a closure on this date; reopen it first');
+
+    res = await close({ closure_date: 'soon', holes_available: 12, resolution: 'voucher' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(3);
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const moment = require('moment-timezone');
+const cron = require('node-cron');
+const { createTestApp, authHeader, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+const { startJobs } = require('../api/jobs');
+
+jest.mock('node-cron', () => ({ schedule: jest.fn(() => ({ stop: jest.fn() })) }));
+
+const BOOKING_ID = '30000000-0000-4000-8000-000000000001';
+
+const courseSetting = (timezone) => ({
+  setting_key: 'course_timezone',
+  setting_value: timezone,
+  setting_type: 'string'
+});
+
+// Course timezones far from any server's: these tests mean something under
+// every TZ the suite runs with
+describe('course timezone', () => {
+  const setup = (timezone, seed = {}) => createTestApp({
+    seed: { admin_settings: [courseSetting(timezone)], ...seed }
+  });
+
+  test("dates are checked against the course's today", async () => {
+    const timezone = 'Pacific/Kiritimati';
+    const { app, db } = setup(timezone);
+    const today = moment.tz(timezone);
+
+    let res = await request(app).post('/api/bookings').send({
+      booking_date: today.clone().subtract(1, 'day').format('YYYY-MM-DD'),
+      tee_time: '09:00',
+      number_of_players: 2,
+      primary_player_name: 'Guest Golfer',
+      primary_player_email: 'guest@example.com',
+      green_fee_type: '9_holes'
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Cannot book tee times in the past');
+
+    res = await request(app).get('/api/admin/tee-sheet').set('Authorization', await authHeader(db, ROLE_USER_IDS.starter));
+    expect(res.status).toBe(200);
+    expect(res.body.date).toBe(today.format('YYYY-MM-DD'));
+  });
+
+  test("memberships run to the end of the course's day", async () => {
+    // Whichever course is on a different date from the server right now
+    const serverToday = moment().format('YYYY-MM-DD');
+    const timezone = ['Pacific/Kiritimati', 'Pacific/Pago_Pago']
+      .find(candidate => moment.tz(candidate).format('YYYY-MM-DD') !== serverToday);
+    const courseToday = moment.tz(timezone);
+    const membership = (end) => ({
+      user_id: MEMBER_ID,
+      membership_type: 'single',
+      status: 'active',
+      start_date: courseToday.clone().subtract(1, 'year').format('YYYY-MM-DD'),
+      end_date: end.format('YYYY-MM-DD'),
+      cart_shed_number: 12
+    });
+    const myMembership = async (end) => {
+      const { app, db } = setup(timezone, { memberships: [membership(end)] });
+      const res = await request(app).get('/api/memberships/my-membership').set('Authorization', await authHeader(db, MEMBER_ID));
+      expect(res.status).toBe(200);
+
+      // The member's cart stays in the cart shed for as long
+      const shed = await request(app).get('/api/admin/carts').set('Authorization', await authHeader(db, ROLE_USER_IDS.starter));
+      expect(shed.body.shed_carts).toHaveLength(res.body.membership ? 1 : 0);
+
+      return res.body.membership;
+    };
+
+    expect(await myMembership(courseToday)).toMatchObject({ end_date: courseToday.format('YYYY-MM-DD') });
+    expect(await myMembership(courseToday.clone().subtract(1, 'day'))).toBeNull();
+  });
+
+  test('cancellation cutoffs count down to the tee time on the course clock', async () => {
+    const timezone = 'Pacific/Honolulu';
+    const start = moment.tz(timezone).add(30, 'hours');
+    const { app, db } = setup(timezone, {
+      tee_times: [{
+        id: BOOKING_ID,
+        user_id: MEMBER_ID,
+        booking_date: start.format('YYYY-MM-DD'),
+        tee_time: start.format('HH:mm'),
+        number_of_players: 2,
+        primary_player_name: 'Member Tester',
+        primary_player_email: 'member@test.local',
+        green_fee_type: '9_holes',
+        total_amount: 60,
+        payment_status: 'pending',
+        status: 'confirmed'
+      }]
+    });
+
+    const res = await request(app)
+      .get(`/api/bookings/${BOOKING_ID}/cancellation`)
+      .set('Authorization', await authHeader(db, MEMBER_ID));
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation).toMatchObject({ allowed: true });
+    expect(res.body.cancellation.hours_until_start).toBeCloseTo(30, 0);
+  });
+
+  test('revenue is reported by the course day it was taken on', async () => {
+    const payment = (id, transactionDate, amount) => ({
+      id: `60000000-0000-4000-8000-00000000000${id}`,
+      transaction_type: 'tee_time',
+      amount,
+      payment_provider: 'stripe',
+      status: 'completed',
+      transaction_date: transactionDate
+    });
+    const { app, db } = setup('America/Chicago', {
+      payment_transactions: [
+        // 10:00 PM on March 9 at the course
+        payment(1, '2026-03-10T03:00:00.000Z', 40),
+        payment(2, '2026-03-10T15:00:00.000Z', 25)
+      ]
+    });
+    const auth = await authHeader(db, ROLE_USER_IDS.treasurer);
+
+    let res = await request(app)
+      .get('/api/admin/reports/revenue')
+      .query({ start_date: '2026-03-09', end_date: '2026-03-09' })
+      .set('Authorization', auth);
+    expect(res.status).toBe(200);
+    expect(res.body.revenue_by_period).toEqual({ '2026-03-09': 40 });
+
+    res = await request(app)
+      .get('/api/admin/reports/revenue')
+      .query({ start_date: '2026-03-09', end_date: '2026-03-10' })
+      .set('Authorization', auth);
+    expect(res.body.revenue_by_period).toEqual({ '2026-03-09': 40, '2026-03-10': 25 });
+    expect(res.body.total_revenue).toBe(65);
+  });
+
+  test('daily jobs are scheduled on the course clock', async () => {
+    const { db } = setup('Australia/Perth');
+
+    await startJobs(db);
+
+    const daily = cron.schedule.mock.calls.filter(([expression]) => expression !== '* * * * *');
+    expect(daily).toHaveLength(3);
+    daily.forEach(([, , options]) => expect(options).toEqual({ timezone: 'Australia/Perth' }));
+  });
+});
@@ -0,0 +1,282 @@
+const mockSupabaseCalls = [];
+jest.mock('@supabase/supabase-js', () => ({
+  // Query builder that records each call and resolves to no rows
+  createClient: () => {
+    const builder = new Proxy({}, {
+      get: (target, method) => {
+        if (method === 'then') {
+          return (resolve) => resolve({ data: [], error: null, count: null });
+        }
+        return (...args) => {
+          mockSupabaseCalls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+    return { auth: {}, from: (table) => builder.from(table), rpc: (...args) => builder.rpc(...args) };
+  }
+}));
+
+const { createMemoryAdapter } = require('../api/data/adapters/memory');
+const { createPostgresAdapter } = require('../api/data/adapters/postgres');
+const { createSupabaseAdapter } = require('../api/data/adapters/supabase');
+const Repository = require('../api/data/repository');
+
+const events = [
+  { id: 'e1', title: 'Spring Open', event_date: '2026-05-02', status: 'upcoming', max_participants: 40, description: 'Scramble' },
+  { id: 'e2', title: 'Junior Clinic', event_date: '2026-06-10', status: 'ongoing', max_participants: 12, description: null },
+  { id: 'e3', title: 'Club Championship', event_date: '2026-06-20', status: 'upcoming', max_participants: null, description: 'Stroke play' },
+  { id: 'e4', title: 'Fall open', event_date: '2026-09-15', status: null, max_participants: 60, description: null },
+  { id: 'e5', title: 'Twilight League', event_date: '2026-07-01', status: 'cancelled', max_participants: 24, description: 'Nine holes' }
+];
+
+// Every filter the repositories accept, with the rows Postgres returns for
+// it and the SQL the postgres adapter sends
+const FILTER_CASES = [
+  {
+    name: 'equality',
+    filters: { status: 'upcoming' },
+    ids: ['e1', 'e3'],
+    where: ' WHERE "status" = $1',
+    params: ['upcoming']
+  },
+  {
+    name: 'null',
+    filters: { description: null },
+    ids: ['e2', 'e4'],
+    where: ' WHERE "description" IS NULL',
+    params: []
+  },
+  {
+    name: 'eq never matches null',
+    filters: { status: { eq: 'upcoming' } },
+    ids: ['e1', 'e3'],
+    where: ' WHERE "status" = $1',
+    params: ['upcoming']
+  },
+  {
+    name: 'neq leaves out nulls',
+    filters: { status: { neq: 'cancelled' } },
+    ids: ['e1', 'e2', 'e3'],
+    where: ' WHERE "status" <> $1',
+    params: ['cancelled']
+  },
+  {
+    name: 'a range on one column',
+    filters: { event_date: { gte: '2026-06-01', lt: '2026-07-01' } },
+    ids: ['e2', 'e3'],
+    where: ' WHERE "event_date" >= $1 AND "event_date" < $2',
+    params: ['2026-06-01', '2026-07-01']
+  },
+  {
+    name: 'comparisons leave out nulls',
+    filters: { max_participants: { gt: 12, lte: 40 } },
+    ids: ['e1', 'e5'],
+    where: ' WHERE "max_participants" > $1 AND "max_participants" <= $2',
+    params: [12, 40]
+  },
+  {
+    name: 'in',
+    filters: { status: { in: ['upcoming', 'ongoing'] } },
+    ids: ['e1', 'e2', 'e3'],
+    where: ' WHERE "status" = ANY($1)',
+    params: [['upcoming', 'ongoing']]
+  },
+  {
+    name: 'like is case sensitive',
+    filters: { title: { like: '%Open' } },
+    ids: ['e1'],
+    where: ' WHERE "title" LIKE $1',
+    params: ['%Open']
+  },
+  {
+    name: 'ilike is not',
+    filters: { title: { ilike: '%open' } },
+    ids: ['e1', 'e4'],
+    where: ' WHERE "title" ILIKE $1',
+    params: ['%open']
+  },
+  {
+    name: 'is null',
+    filters: { status: { is: null } },
+    ids: ['e4'],
+    where: ' WHERE "status" IS NULL',
+    params: []
+  },
+  {
+    name: 'several columns',
+    filters: { status: 'upcoming', description: { like: 'Stroke%' }, event_date: { gt: '2026-06-01' } },
+    ids: ['e3'],
+    where: ' WHERE "status" = $1 AND "description" LIKE $2 AND "event_date" > $3',
+    params: ['upcoming', 'Stroke%', '2026-06-01']
+  }
+];
+
+// Postgres puts nulls last ascending and first descending
+const ORDER_CASES = [
+  { order: ['event_date'], ids: ['e1', 'e2', 'e3', 'e5', 'e4'], sql: ' ORDER BY "event_date" ASC' },
+  { order: ['max_participants desc'], ids: ['e3', 'e4', 'e1', 'e5', 'e2'], sql: ' ORDER BY "max_participants" DESC' },
+  {
+    order: ['status', 'event_date desc'],
+    ids: ['e5', 'e2', 'e3', 'e1', 'e4'],
+    sql: ' ORDER BY "status" ASC, "event_date" DESC'
+  }
+];
+
+const postgresAdapter = () => {
+  const pool = { query: jest.fn(async () => ({ rows: [] })) };
+  return { adapter: createPostgresAdapter({ pool }), pool };
+};
+
+const supabaseAdapter = () => {
+  mockSupabaseCalls.length = 0;
+  return createSupabaseAdapter({ url: 'http://supabase.test', anonKey: 'anon' });
+};
+
+describe('data adapters', () => {
+  describe.each(FILTER_CASES)('filter: $name', ({ filters, ids, where, params }) => {
+    test('the memory adapter returns the rows Postgres would', async () => {
+      const { data } = await createMemoryAdapter({ seed: { events } }).select('events', { filters, order: ['id'] });
+      expect(data.map(row => row.id)).toEqual(ids);
+    });
+
+    test('the postgres adapter sends it as SQL', async () => {
+      const { adapter, pool } = postgresAdapter();
+      await adapter.select('events', { filters });
+      expect(pool.query).toHaveBeenCalledWith(`SELECT * FROM "events"${where}`, params);
+    });
+
+    test('updates and deletes use the same conditions', async () => {
+      const { data: updated } = await createMemoryAdapter({ seed: { events } }).update('events', filters, { max_participants: 0 });
+      expect(updated.map(row => row.id).sort()).toEqual(ids);
+      const { data: removed } = await createMemoryAdapter({ seed: { events } }).remove('events', filters);
+      expect(removed.map(row => row.id).sort()).toEqual(ids);
+
+      const { adapter, pool } = postgresAdapter();
+      await adapter.update('events', filters, { max_participants: 0 });
+      await adapter.remove('events', filters);
+      const shifted = where.replace(/\$(\d+)/g, (match, n) => `$${Number(n) + 1}`);
+      expect(pool.query.mock.calls).toEqual([
+        [`UPDATE "events" SET "max_participants" = $1${shifted} RETURNING *`, [0, ...params]],
+        [`DELETE FROM "events"${where} RETURNING *`, params]
+      ]);
+    });
+  });
+
+  test('the supabase adapter passes filters to the matching query methods', async () => {
+    const adapter = supabaseAdapter();
+    await adapter.select('events', {
+      filters: { status: 'upcoming', description: null, event_date: { gte: '2026-06-01', lt: '2026-07-01' }, title: { in: ['A', 'B'] } }
+    });
+
+    expect(mockSupabaseCalls).toEqual([
+      ['from', 'events'],
+      ['select', '*', undefined],
+      ['eq', 'status', 'upcoming'],
+      ['is', 'description', null],
+      ['gte', 'event_date', '2026-06-01'],
+      ['lt', 'event_date', '2026-07-01'],
+      ['in', 'title', ['A', 'B']]
+    ]);
+  });
+
+  test.each(ORDER_CASES)('order $order', async ({ order, ids, sql }) => {
+    const { data } = await createMemoryAdapter({ seed: { events } }).select('events', { order });
+    expect(data.map(row => row.id)).toEqual(ids);
+
+    const { adapter, pool } = postgresAdapter();
+    await adapter.select('events', { order });
+    expect(pool.query).toHaveBeenCalledWith(`SELECT * FROM "events"${sql}`, []);
+
+    await supabaseAdapter().select('events', { order });
+    expect(mockSupabaseCalls.filter(([method]) => method === 'order')).toEqual(order.map(entry => {
+      const [column, direction] = entry.split(' ');
+      return ['order', column, { ascending: direction !== 'desc' }];
+    }));
+  });
+
+  test('pages and counts the same way', async () => {
+    const memory = createMemoryAdapter({ seed: { events } });
+    const page = await memory.select('events', { columns: ['id', 'title'], order: ['id'], limit: 2, offset: 1, count: true });
+    expect(page).toEqual({
+      data: [{ id: 'e2', title: 'Junior Clinic' }, { id: 'e3', title: 'Club Championship' }],
+      error: null,
+      count: 5
+    });
+
+    const { adapter, pool } = postgresAdapter();
+    pool.query.mockResolvedValueOnce({ rows: [{ count: 5 }] });
+    await adapter.select('events', { columns: ['id', 'title'], order: ['id'], limit: 2, offset: 1, count: true });
+    expect(pool.query.mock.calls).toEqual([
+      ['SELECT COUNT(*)::int AS count FROM "events"', []],
+      ['SELECT "id", "title" FROM "events" ORDER BY "id" ASC LIMIT $1 OFFSET $2', [2, 1]]
+    ]);
+
+    await supabaseAdapter().select('events', { columns: ['id', 'title'], order: ['id'], limit: 2, offset: 1, count: true });
+    expect(mockSupabaseCalls).toContainEqual(['select', 'id, title', { count: 'exact', head: false }]);
+    expect(mockSupabaseCalls).toContainEqual(['range', 1, 2]);
+  });
+
+  test('unique keys come back as Postgres 23505 errors', async () => {
+    const memory = createMemoryAdapter({ seed: { users: [{ id: 'u1', email: 'a@example.com' }] } });
+
+    const { error } = await memory.insert('users', [{ email: 'a@example.com' }]);
+    expect(error.code).toBe('23505');
+
+    const { data, error: upsertError } = await memory.upsert('users', { email: 'a@example.com', first_name: 'Ann' }, { onConflict: 'email' });
+    expect(upsertError).toBeNull();
+    expect(data).toMatchObject([{ id: 'u1', first_name: 'Ann' }]);
+  });
+});
+
+describe('repository', () => {
+  const relations = { users: { table: 'users', foreignKey: 'user_id' } };
+  const seed = {
+    users: [{ id: 'u1', email: 'a@example.com', first_name: 'Ann' }],
+    event_registrations: [
+      { id: 'r1', user_id: 'u1', event_id: 'e1', payment_status: 'paid' },
+      { id: 'r2', user_id: null, event_id: 'e1', payment_status: 'pending' },
+      { id: 'r3', user_id: 'u1', event_id: 'e2', payment_status: 'pending' }
+    ]
+  };
+
+  test('passes filters, order and paging through to the adapter', async () => {
+    const { adapter, pool } = postgresAdapter();
+    const repository = new Repository(adapter, { table: 'event_registrations' });
+
+    await repository.find({ event_id: 'e1', payment_status: { in: ['paid', 'pending'] } }, { order: ['created_at desc'], limit: 10 });
+    await repository.findById('r1', { columns: ['id'] });
+    pool.query.mockResolvedValueOnce({ rows: [{ count: 3 }] });
+    const { count } = await repository.count({ user_id: null });
+
+    expect(count).toBe(3);
+    expect(pool.query.mock.calls).toEqual([
+      [
+        'SELECT * FROM "event_registrations" WHERE "event_id" = $1 AND "payment_status" = ANY($2) ORDER BY "created_at" DESC LIMIT $3',
+        ['e1', ['paid', 'pending'], 10]
+      ],
+      ['SELECT "id" FROM "event_registrations" WHERE "id" = $1 LIMIT $2', ['r1', 1]],
+      ['SELECT COUNT(*)::int AS count FROM "event_registrations" WHERE "user_id" IS NULL', []]
+    ]);
+  });
+
+  test('reads, writes and attaches relations on the memory adapter', async () => {
+    const repository = new Repository(createMemoryAdapter({ seed }), { table: 'event_registrations', relations });
+
+    const { data: found } = await repository.find({ payment_status: 'pending' }, {
+      order: ['id desc'],
+      include: { users: ['first_name'] }
+    });
+    expect(found.map(({ id, users }) => [id, users])).toEqual([
+      ['r3', { first_name: 'Ann' }],
+      ['r2', null]
+    ]);
+
+    const { data: updated } = await repository.updateById('r2', { payment_status: 'paid' });
+    expect(updated).toMatchObject({ id: 'r2', payment_status: 'paid' });
+    expect((await repository.count({ payment_status: 'paid' })).count).toBe(2);
+
+    const { error } = await repository.find({}, { include: { events: ['title'] } });
+    expect(error.message).toBe('Unknown relation event_registrations.events');
+  });
+});
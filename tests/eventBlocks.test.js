@@ -0,0 +1,211 @@
+const request = require('supertest');
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID } = require('./helpers');
+
+const date = courseNow().add(6, 'days').format('YYYY-MM-DD');
+const EVENT_ID = '40000000-0000-4000-8000-000000000001';
+
+const blockEvent = (overrides = {}) => ({
+  id: EVENT_ID,
+  title: 'Club Championship',
+  event_type: 'tournament',
+  event_date: date,
+  start_time: '08:00',
+  end_time: '12:00',
+  status: 'upcoming',
+  blocks_tee_sheet: true,
+  block_scope: 'course',
+  ...overrides
+});
+
+const booking = (overrides = {}) => ({
+  booking_date: date,
+  tee_time: '09:00',
+  number_of_players: 2,
+  primary_player_name: 'Blocked Golfer',
+  primary_player_email: 'blocked@example.com',
+  green_fee_type: '9_holes',
+  ...overrides
+});
+
+const bookedSlot = (id, tee_time, overrides = {}) => ({
+  id,
+  ...booking({ tee_time }),
+  total_green_fees: 20,
+  total_amount: 20,
+  status: 'confirmed',
+  ...overrides
+});
+
+const slotAt = async (app, time) => {
+  const res = await request(app).get('/api/bookings/availability').query({ date });
+  return res.body.time_slots.find(slot => slot.time === time);
+};
+
+describe('event blocks on the tee sheet', () => {
+  test('course blocks close their tee times in availability and to bookings', async () => {
+    const { app } = createTestApp({ seed: { events: [blockEvent()] } });
+
+    expect(await slotAt(app, '09:00')).toMatchObject({
+      available: false,
+      spots_remaining: 0,
+      private_available: false,
+      block: { event_id: EVENT_ID, title: 'Club Championship', scope: 'course', nine_holes_only: false }
+    });
+    expect(await slotAt(app, '12:00')).toMatchObject({ available: true, block: null });
+
+    let res = await request(app).post('/api/bookings').send(booking());
+    expect(res.status).toBe(409);
+    expect(res.body.message).toMatch(/reserved for Club Championship/);
+
+    res = await request(app).post('/api/bookings/holds').send({ booking_date: date, tee_time: '09:00', number_of_players: 2 });
+    expect(res.status).toBe(409);
+
+    res = await request(app).post('/api/bookings').send(booking({ tee_time: '12:00' }));
+    expect(res.status).toBe(201);
+  });
+
+  test('a separate block window overrides the event hours', async () => {
+    const { app } = createTestApp({
+      seed: { events: [blockEvent({ block_start_time: '07:00', block_end_time: '08:30' })] }
+    });
+
+    expect((await slotAt(app, '07:00')).available).toBe(false);
+    expect((await slotAt(app, '08:30')).available).toBe(true);
+  });
+
+  test('back nine blocks leave tee times open for 9-hole rounds only', async () => {
+    const { app } = createTestApp({ seed: { events: [blockEvent({ block_scope: 'back_nine' })] } });
+
+    expect(await slotAt(app, '09:00')).toMatchObject({
+      available: true,
+      block: { scope: 'back_nine', nine_holes_only: true }
+    });
+
+    let res = await request(app).post('/api/bookings').send(booking({ green_fee_type: 'all_day' }));
+    expect(res.status).toBe(409);
+    expect(res.body.message).toMatch(/Only 9-hole rounds/);
+
+    res = await request(app).post('/api/bookings').send(booking());
+    expect(res.status).toBe(201);
+  });
+
+  test('events that do not block the tee sheet leave it alone', async () => {
+    const { app } = createTestApp({
+      seed: { events: [blockEvent({ event_type: 'social', blocks_tee_sheet: false })] }
+    });
+
+    expect(await slotAt(app, '09:00')).toMatchObject({ available: true, block: null });
+  });
+
+  test('outings cannot run into a block', async () => {
+    const { app, db } = createTestApp({ seed: { events: [blockEvent()] } });
+
+    const res = await request(app)
+      .post('/api/outings')
+      .set('Authorization', await authHeader(db, MEMBER_ID))
+      .send({
+        name: 'Early Outing',
+        booking_date: date,
+        start_time: '07:30',
+        number_of_players: 12,
+        green_fee_type: '9_holes'
+      });
+
+    expect(res.status).toBe(409);
+  });
+
+  describe('admin tools', () => {
+    let app;
+    let db;
+    let adminAuth;
+
+    beforeEach(async () => {
+      ({ app, db } = createTestApp({
+        seed: {
+          tee_times: [
+            bookedSlot('30000000-0000-4000-8000-000000000001', '09:00'),
+            bookedSlot('30000000-0000-4000-8000-000000000002', '11:45'),
+            bookedSlot('30000000-0000-4000-8000-000000000003', '12:00', { number_of_players: 4 }),
+            bookedSlot('30000000-0000-4000-8000-000000000004', '13:00', { green_fee_type: 'all_day' })
+          ]
+        }
+      }));
+      adminAuth = await authHeader(db, ADMIN_ID);
+    });
+
+    const createEvent = (overrides = {}) => request(app)
+      .post('/api/events')
+      .set('Authorization', adminAuth)
+      .send({
+        title: 'Club Championship',
+        event_type: 'tournament',
+        event_date: date,
+        start_time: '08:00',
+        end_time: '12:00',
+        ...overrides
+      });
+
+    test('warns about existing bookings when a blocking event is created or updated', async () => {
+      let res = await createEvent();
+
+      expect(res.status).toBe(201);
+      expect(res.body.event.blocks_tee_sheet).toBe(true);
+      expect(res.body.warning).toMatch(/2 existing booking/);
+      expect(res.body.conflicting_bookings.map(conflict => conflict.tee_time)).toEqual(['09:00', '11:45']);
+
+      res = await request(app)
+        .put(`/api/events/${res.body.event.id}`)
+        .set('Authorization', adminAuth)
+        .send({ block_scope: 'back_nine', end_time: '14:00' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.conflicting_bookings.map(conflict => conflict.tee_time)).toEqual(['13:00']);
+
+      res = await createEvent({ event_type: 'social', title: 'Members Night Social' });
+      expect(res.body.event.blocks_tee_sheet).toBe(false);
+      expect(res.body.warning).toBeNull();
+    });
+
+    test('notifies every conflicting booking', async () => {
+      const { body } = await createEvent();
+
+      const res = await request(app)
+        .post(`/api/events/${body.event.id}/conflicts/notify`)
+        .set('Authorization', adminAuth)
+        .send({ message: 'Lunch is on us.' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.conflicting_bookings).toHaveLength(2);
+    });
+
+    test('moves conflicting bookings to the nearest free tee times after the block', async () => {
+      const { body } = await createEvent();
+
+      const res = await request(app)
+        .post(`/api/events/${body.event.id}/conflicts/move`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      // 12:00 is full, so both groups go on to 12:15, which fits them together
+      expect(res.body.moved.map(({ from, to }) => [from, to])).toEqual([['09:00', '12:15'], ['11:45', '12:15']]);
+      expect(res.body.unmoved).toEqual([]);
+
+      const conflicts = await request(app)
+        .get(`/api/events/${body.event.id}/conflicts`)
+        .set('Authorization', adminAuth);
+      expect(conflicts.body.conflicting_bookings).toEqual([]);
+    });
+
+    test('reports bookings with nowhere to go', async () => {
+      const { body } = await createEvent({ start_time: '07:00', end_time: undefined });
+
+      const res = await request(app)
+        .post(`/api/events/${body.event.id}/conflicts/move`)
+        .set('Authorization', adminAuth)
+        .send({ direction: 'before' });
+
+      expect(res.body.moved).toEqual([]);
+      expect(res.body.unmoved).toHaveLength(4);
+    });
+  });
+});
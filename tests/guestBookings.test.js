@@ -0,0 +1,144 @@
+const request = require('supertest');
+const { createTestApp, courseNow, authHeader, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+
+const inThreeDays = courseNow().add(3, 'days').format('YYYY-MM-DD');
+
+const guestBooking = (overrides = {}) => ({
+  booking_date: inThreeDays,
+  tee_time: '09:00',
+  number_of_players: 2,
+  primary_player_name: 'Guest Golfer',
+  primary_player_email: 'Guest.Golfer@example.com',
+  green_fee_type: '9_holes',
+  ...overrides
+});
+
+describe('guest bookings', () => {
+  const book = async (app, overrides) => {
+    const res = await request(app).post('/api/bookings').send(guestBooking(overrides));
+    expect(res.status).toBe(201);
+    return res.body;
+  };
+
+  const manage = (app, method, booking, token, path = '') =>
+    request(app)[method](`/api/bookings/manage/${booking.id}${path}`).query({ token });
+
+  test('bookings get a confirmation code and a manage token', async () => {
+    const { app } = createTestApp();
+
+    const { booking, manage_token } = await book(app);
+    expect(booking.confirmation_code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    expect(manage_token).toEqual(expect.any(String));
+
+    const other = await book(app, { tee_time: '09:10' });
+    expect(other.booking.confirmation_code).not.toBe(booking.confirmation_code);
+  });
+
+  test('the code and email find the booking', async () => {
+    const { app } = createTestApp();
+    const { booking, manage_token } = await book(app);
+    const code = booking.confirmation_code;
+
+    let res = await request(app)
+      .post('/api/bookings/lookup')
+      .send({ confirmation_code: `${code.slice(0, 4)}-${code.slice(4)}`.toLowerCase(), email: 'guest.golfer@example.com' });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ id: booking.id, confirmation_code: code, tee_time: '09:00' });
+    expect(res.body.manage_token).toBe(manage_token);
+
+    // A wrong email gets the same answer as an unknown code
+    res = await request(app)
+      .post('/api/bookings/lookup')
+      .send({ confirmation_code: code, email: 'someone.else@example.com' });
+    expect(res.status).toBe(404);
+
+    res = await request(app)
+      .post('/api/bookings/lookup')
+      .send({ confirmation_code: 'AAAAAAAA', email: 'guest.golfer@example.com' });
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('No booking matches that confirmation code and email');
+  });
+
+  test('booking ids alone no longer show a booking', async () => {
+    const { app, db } = createTestApp();
+    const { booking } = await book(app);
+
+    let res = await request(app).get(`/api/bookings/${booking.id}`);
+    expect(res.status).toBe(401);
+
+    res = await request(app).get(`/api/bookings/${booking.id}`).set('Authorization', await authHeader(db, MEMBER_ID));
+    expect(res.status).toBe(403);
+
+    res = await request(app).get(`/api/bookings/${booking.id}`).set('Authorization', await authHeader(db, ROLE_USER_IDS.staff));
+    expect(res.status).toBe(200);
+  });
+
+  test('the manage link only opens its own booking', async () => {
+    const { app } = createTestApp();
+    const { booking, manage_token } = await book(app);
+    const other = await book(app, { tee_time: '09:10' });
+
+    let res = await manage(app, 'get', booking, manage_token);
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ id: booking.id, status: 'confirmed' });
+    expect(res.body.booking.users).toBeUndefined();
+    expect(res.body.cancellation).toMatchObject({ allowed: true });
+
+    res = await manage(app, 'get', other.booking, manage_token);
+    expect(res.status).toBe(404);
+
+    res = await manage(app, 'get', booking, 'not-the-token');
+    expect(res.status).toBe(404);
+
+    res = await request(app).get(`/api/bookings/manage/${booking.id}`);
+    expect(res.status).toBe(404);
+  });
+
+  test('guests change and cancel through the manage link', async () => {
+    const { app, db } = createTestApp();
+    const { booking, manage_token } = await book(app);
+
+    let res = await manage(app, 'put', booking, manage_token)
+      .send({ special_requests: 'Left-handed clubs', payment_status: 'paid' });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ special_requests: 'Left-handed clubs', payment_status: 'pending' });
+
+    res = await manage(app, 'post', booking, manage_token, '/reschedule')
+      .send({ booking_date: inThreeDays, tee_time: '10:30', number_of_players: 3 });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ tee_time: '10:30', number_of_players: 3 });
+
+    const { data: history } = await db.bookingChanges.find({ tee_time_id: booking.id });
+    expect(history.map(change => change.change_type).sort()).toEqual(['reschedule', 'update']);
+    expect(history.every(change => change.changed_by === null)).toBe(true);
+
+    res = await manage(app, 'delete', booking, manage_token).send({ cancellation_reason: 'Rained out' });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'cancelled' });
+
+    // The code still finds the cancelled booking
+    res = await request(app)
+      .post('/api/bookings/lookup')
+      .send({ confirmation_code: booking.confirmation_code, email: booking.primary_player_email });
+    expect(res.body.booking.status).toBe('cancelled');
+  });
+
+  test('lookups are rate limited', async () => {
+    // A fresh copy of the routes, so the lookups above do not count
+    let app;
+    jest.isolateModules(() => {
+      ({ app } = require('./helpers').createTestApp());
+    });
+    const lookup = () => request(app)
+      .post('/api/bookings/lookup')
+      .send({ confirmation_code: 'AAAAAAAA', email: 'guest.golfer@example.com' });
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await lookup()).status).toBe(404);
+    }
+
+    const res = await lookup();
+    expect(res.status).toBe(429);
+    expect(res.body.error).toBe('Too many attempts. Please try again later.');
+  });
+});
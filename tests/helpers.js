@@ -0,0 +1,63 @@
+// Shared setup for API tests: an app backed by the in-memory adapter
+const moment = require('moment-timezone');
+const { createApp } = require('../api/app');
+const { createDataStore } = require('../api/data');
+const { DEFAULT_COURSE_TIMEZONE } = require('../api/services/courseTime');
+
+const ADMIN_ID = '10000000-0000-4000-8000-000000000001';
+const MEMBER_ID = '10000000-0000-4000-8000-000000000002';
+
+// One user per built-in role, keyed by role name
+const ROLE_USER_IDS = {
+  admin: ADMIN_ID,
+  member: MEMBER_ID,
+  staff: '10000000-0000-4000-8000-000000000003',
+  starter: '10000000-0000-4000-8000-000000000004',
+  treasurer: '10000000-0000-4000-8000-000000000005'
+};
+
+const baseUsers = () => Object.entries(ROLE_USER_IDS).map(([role, id]) => ({
+  id,
+  email: `${role}@test.local`,
+  first_name: role.charAt(0).toUpperCase() + role.slice(1),
+  last_name: 'Tester',
+  role
+}));
+
+// Build an app and its data store; `seed` rows are added to the default users
+// and `latency` slows every data call to expose races
+const createTestApp = ({ seed = {}, procedures, latency = 0 } = {}) => {
+  const db = createDataStore({
+    adapter: 'memory',
+    memory: {
+      seed: { ...seed, users: [...baseUsers(), ...(seed.users || [])] },
+      procedures,
+      latency
+    },
+    jwtSecret: 'test-secret'
+  });
+
+  const app = createApp({ db, corsOrigins: [], logRequests: false });
+
+  return { app, db };
+};
+
+// Now on the course clock, which dates and tee times in tests are relative
+// to. Test stores have no course_timezone setting, so it is the fallback;
+// the server's own TZ (see `npm run test:timezones`) must not matter.
+const courseNow = () => moment.tz(process.env.COURSE_TIMEZONE || DEFAULT_COURSE_TIMEZONE);
+
+// Authorization header for a user id, signed by the store's auth provider
+const authHeader = async (db, userId) => {
+  const { data: user } = await db.users.findById(userId);
+  return `Bearer ${db.auth.issueSession(user).access_token}`;
+};
+
+module.exports = {
+  ADMIN_ID,
+  MEMBER_ID,
+  ROLE_USER_IDS,
+  createTestApp,
+  courseNow,
+  authHeader
+};
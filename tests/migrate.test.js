@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  createMigration
+} = require('../scripts/migrate');
+
+// Stands in for a pg client: keeps schema_migrations in memory, records
+// every other statement, and fails any statement containing FAIL
+const fakeClient = () => {
+  const applied = new Map();
+  let pending = null;
+  const client = {
+    statements: [],
+    applied,
+    query: jest.fn(async (sql, params = []) => {
+      const statement = sql.trim();
+
+      if (statement === 'BEGIN') {
+        pending = new Map(applied);
+      } else if (statement === 'COMMIT') {
+        pending = null;
+      } else if (statement === 'ROLLBACK') {
+        applied.clear();
+        pending.forEach((value, key) => applied.set(key, value));
+        pending = null;
+      } else if (statement.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+        // Created on first use
+      } else if (statement.startsWith('SELECT version')) {
+        return { rows: [...applied].sort(([a], [b]) => a - b).map(([version, row]) => ({ version, ...row })) };
+      } else if (statement.startsWith('INSERT INTO schema_migrations')) {
+        applied.set(params[0], { name: params[1], applied_at: new Date('2026-01-01T00:00:00Z') });
+      } else if (statement.startsWith('DELETE FROM schema_migrations')) {
+        applied.delete(params[0]);
+      } else if (statement.includes('FAIL')) {
+        throw new Error('syntax error at or near "FAIL"');
+      } else {
+        client.statements.push(statement);
+      }
+
+      return { rows: [] };
+    })
+  };
+  return client;
+};
+
+const writeMigrations = (dir, files) => {
+  Object.entries(files).forEach(([file, sql]) => fs.writeFileSync(path.join(dir, file), sql));
+};
+
+describe('migration runner', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    writeMigrations(dir, {
+      '001_create_a.up.sql': 'CREATE TABLE a ();',
+      '001_create_a.down.sql': 'DROP TABLE a;',
+      '002_create_b.up.sql': 'CREATE TABLE b ();',
+      '002_create_b.down.sql': 'DROP TABLE b;',
+      '010_create_c.up.sql': 'CREATE TABLE c ();',
+      '010_create_c.down.sql': 'DROP TABLE c;',
+      'README.md': 'not a migration'
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('loads up/down pairs in version order', () => {
+    expect(loadMigrations(dir).map(({ version, name }) => [version, name])).toEqual([
+      [1, 'create_a'],
+      [2, 'create_b'],
+      [10, 'create_c']
+    ]);
+
+    writeMigrations(dir, { '002_other.up.sql': '' });
+    expect(() => loadMigrations(dir)).toThrow('Migration version 002 is used by both create_b and other');
+
+    fs.rmSync(path.join(dir, '002_other.up.sql'));
+    fs.rmSync(path.join(dir, '002_create_b.up.sql'));
+    expect(() => loadMigrations(dir)).toThrow('Migration 2_create_b is missing its .up.sql file');
+  });
+
+  test('migrates up and back down, one transaction per migration', async () => {
+    const client = fakeClient();
+    const migrations = loadMigrations(dir);
+
+    let applied = await migrateUp(client, { to: 2, migrations });
+    expect(applied.map(migration => migration.version)).toEqual([1, 2]);
+    applied = await migrateUp(client, { migrations });
+    expect(applied.map(migration => migration.version)).toEqual([10]);
+    expect(await migrateUp(client, { migrations })).toEqual([]);
+    expect([...client.applied.keys()]).toEqual([1, 2, 10]);
+
+    const rolledBack = await migrateDown(client, { steps: 2, migrations });
+    expect(rolledBack.map(migration => migration.version)).toEqual([10, 2]);
+    await migrateDown(client, { migrations });
+    expect(client.applied.size).toBe(0);
+    expect(await migrateDown(client, { migrations })).toEqual([]);
+
+    expect(client.statements).toEqual([
+      'CREATE TABLE a ();',
+      'CREATE TABLE b ();',
+      'CREATE TABLE c ();',
+      'DROP TABLE c;',
+      'DROP TABLE b;',
+      'DROP TABLE a;'
+    ]);
+    const transactions = client.query.mock.calls.map(([sql]) => sql).filter(sql => ['BEGIN', 'COMMIT'].includes(sql));
+    expect(transactions).toEqual(Array(6).fill(['BEGIN', 'COMMIT']).flat());
+  });
+
+  test('a failing migration is rolled back and stops the run', async () => {
+    writeMigrations(dir, { '002_create_b.up.sql': 'CREATE TABLE b (FAIL);' });
+    const client = fakeClient();
+    const migrations = loadMigrations(dir);
+
+    await expect(migrateUp(client, { migrations })).rejects.toThrow('syntax error');
+    expect([...client.applied.keys()]).toEqual([1]);
+    expect(client.statements).toEqual(['CREATE TABLE a ();']);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('refuses to roll back a migration without a down file', async () => {
+    fs.rmSync(path.join(dir, '010_create_c.down.sql'));
+    const client = fakeClient();
+    const migrations = loadMigrations(dir);
+    await migrateUp(client, { migrations });
+
+    await expect(migrateDown(client, { migrations })).rejects.toThrow(
+      'Migration 010_create_c has no .down.sql file and cannot be rolled back'
+    );
+    expect([...client.applied.keys()]).toEqual([1, 2, 10]);
+  });
+
+  test('reports which migrations are applied', async () => {
+    const client = fakeClient();
+    const migrations = loadMigrations(dir);
+    await migrateUp(client, { to: 1, migrations });
+
+    expect(await migrationStatus(client, { migrations })).toEqual([
+      { version: 1, name: 'create_a', applied: true, applied_at: new Date('2026-01-01T00:00:00Z') },
+      { version: 2, name: 'create_b', applied: false, applied_at: null },
+      { version: 10, name: 'create_c', applied: false, applied_at: null }
+    ]);
+  });
+
+  test('creates the next numbered pair', () => {
+    const files = createMigration('add_widgets', dir);
+
+    expect(files.map(file => path.basename(file))).toEqual(['011_add_widgets.up.sql', '011_add_widgets.down.sql']);
+    expect(fs.readFileSync(files[0], 'utf8')).toBe('-- Migration 011: add widgets\n\n');
+    expect(loadMigrations(dir).map(migration => migration.version)).toEqual([1, 2, 10, 11]);
+
+    expect(() => createMigration('Add Widgets', dir)).toThrow('Migration name must be lowercase letters, numbers and underscores');
+  });
+
+  test('every migration in the repository can be applied and rolled back in order', async () => {
+    const client = fakeClient();
+    const migrations = loadMigrations();
+
+    await migrateUp(client, { migrations });
+    await migrateDown(client, { steps: migrations.length, migrations });
+    expect(client.applied.size).toBe(0);
+
+    // Each rollback drops the tables its migration created
+    migrations.forEach(migration => {
+      const up = fs.readFileSync(migration.up, 'utf8');
+      const down = fs.readFileSync(migration.down, 'utf8');
+      const created = [...up.matchAll(/^CREATE TABLE (?:IF NOT EXISTS )?(\w+)/gm)].map(match => match[1]);
+
+      created.forEach(table => {
+        expect(down).toMatch(new RegExp(`DROP TABLE (IF EXISTS )?${table}\\b`));
+      });
+    });
+  });
+});
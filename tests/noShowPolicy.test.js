@@ -0,0 +1,223 @@
+const mockSend = jest.fn();
+jest.mock('@sendgrid/mail', () => ({ setApiKey: jest.fn(), send: (...args) => mockSend(...args) }));
+
+const request = require('supertest');
+const moment = require('moment');
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+
+const day = (offset) => courseNow().add(offset, 'days').format('YYYY-MM-DD');
+
+let nextId = 1;
+const noShow = (daysAgo, overrides = {}) => ({
+  id: `30000000-0000-4000-8000-${String(nextId++).padStart(12, '0')}`,
+  user_id: MEMBER_ID,
+  booking_date: day(-daysAgo),
+  tee_time: '09:00',
+  number_of_players: 2,
+  primary_player_name: 'Missing Golfer',
+  primary_player_email: 'member@test.local',
+  green_fee_type: '9_holes',
+  total_green_fees: 20,
+  total_amount: 20,
+  status: 'no_show',
+  ...overrides
+});
+
+const bookingBody = (overrides = {}) => ({
+  booking_date: day(3),
+  tee_time: '10:00',
+  number_of_players: 2,
+  primary_player_name: 'Missing Golfer',
+  primary_player_email: 'member@test.local',
+  green_fee_type: '9_holes',
+  ...overrides
+});
+
+describe('no-show policy', () => {
+  beforeEach(() => {
+    mockSend.mockReset().mockResolvedValue([{ statusCode: 202 }]);
+    process.env.SENDGRID_API_KEY = 'SG.test';
+  });
+
+  afterEach(() => {
+    delete process.env.SENDGRID_API_KEY;
+  });
+
+  const setup = async (tee_times) => {
+    const { app, db } = createTestApp({ seed: { tee_times } });
+    return { app, db, memberAuth: await authHeader(db, MEMBER_ID), adminAuth: await authHeader(db, ADMIN_ID) };
+  };
+
+  const book = (app, authorization, overrides) => {
+    const req = request(app).post('/api/bookings');
+    if (authorization) {
+      req.set('Authorization', authorization);
+    }
+    return req.send(bookingBody(overrides));
+  };
+
+  test('suspends online booking after 3 no-shows in 60 days', async () => {
+    const { app, memberAuth } = await setup([noShow(40), noShow(20), noShow(5)]);
+
+    const res = await book(app, memberAuth);
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/3 no-shows within 60 days/);
+    expect(res.body.message).toMatch(new RegExp(moment(day(25)).format('MMMM D, YYYY')));
+
+    const standing = await request(app).get('/api/bookings/my-standing').set('Authorization', memberAuth);
+    expect(standing.body.standing).toMatchObject({
+      status: 'suspended',
+      recent_no_shows: 3,
+      suspended_until: day(25)
+    });
+  });
+
+  test('a suspension ends after its length', async () => {
+    // Suspended 31 days after the third no-show, which was 31 days ago
+    const { app, memberAuth } = await setup([noShow(89), noShow(60), noShow(31)]);
+
+    const standing = await request(app).get('/api/bookings/my-standing').set('Authorization', memberAuth);
+    // Still inside the 90 day card on file window
+    expect(standing.body.standing.status).toBe('card_required');
+  });
+
+  test('requires a card on file after 2 no-shows', async () => {
+    const { app, db, memberAuth } = await setup([noShow(50), noShow(10)]);
+
+    let res = await book(app, memberAuth);
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/card on file/);
+
+    await db.users.updateById(MEMBER_ID, { stripe_customer_id: 'cus_test' });
+
+    res = await book(app, memberAuth);
+    expect(res.status).toBe(201);
+  });
+
+  test('judges guests on bookings made with their email', async () => {
+    const guestNoShows = [
+      noShow(30, { user_id: null, primary_player_email: 'guest@example.com' }),
+      noShow(10, { user_id: null, primary_player_email: 'guest@example.com' })
+    ];
+    const { app } = await setup(guestNoShows);
+
+    let res = await book(app, null, { primary_player_email: 'guest@example.com' });
+    expect(res.status).toBe(403);
+
+    res = await book(app, null, { primary_player_email: 'someone.else@example.com' });
+    expect(res.status).toBe(201);
+  });
+
+  test('a refused guest is not told why, and the address is emailed at most once a day', async () => {
+    const guestNoShows = [
+      noShow(30, { user_id: null, primary_player_email: 'guest@example.com' }),
+      noShow(10, { user_id: null, primary_player_email: 'guest@example.com' })
+    ];
+    const { app, db } = await setup(guestNoShows);
+
+    let res = await book(app, null, { primary_player_email: 'Guest@Example.com' });
+    expect(res.status).toBe(403);
+    expect(res.body.message).not.toMatch(/no-show|card/i);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0].to).toBe('guest@example.com');
+
+    res = await book(app, null, { primary_player_email: 'guest@example.com' });
+    expect(res.status).toBe(403);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+
+    // A day later the address can be told again
+    await db.guestStandingNotices.update(
+      { email: 'guest@example.com' },
+      { last_notified_at: moment().subtract(25, 'hours').toISOString() }
+    );
+    res = await book(app, null, { primary_player_email: 'guest@example.com' });
+    expect(res.status).toBe(403);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  test("a member's notice goes to their account email, not the one typed on the booking", async () => {
+    const { app, memberAuth } = await setup([noShow(40), noShow(20), noShow(5)]);
+
+    const res = await book(app, memberAuth, { primary_player_email: 'someone.else@example.com', primary_player_name: 'Someone Else' });
+    expect(res.status).toBe(403);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0].to).toBe('member@test.local');
+    expect(mockSend.mock.calls[0][0].html).not.toMatch(/Someone Else/);
+  });
+
+  test('also applies to outings', async () => {
+    const { app, memberAuth } = await setup([noShow(40), noShow(20), noShow(5)]);
+
+    const outing = await request(app)
+      .post('/api/outings')
+      .set('Authorization', memberAuth)
+      .send({ name: 'Refused Outing', booking_date: day(5), start_time: '09:00', number_of_players: 8, green_fee_type: '9_holes' });
+    expect(outing.status).toBe(403);
+  });
+
+  test('staff can override a standing and remove the override', async () => {
+    const { app, memberAuth, adminAuth } = await setup([noShow(40), noShow(20), noShow(5)]);
+    const path = `/api/admin/booking-standings/${MEMBER_ID}/override`;
+
+    let res = await request(app)
+      .put(path)
+      .set('Authorization', adminAuth)
+      .send({ status: 'good', until: day(7), reason: 'Family emergency, excused' });
+    expect(res.status).toBe(200);
+    expect(res.body.standing).toMatchObject({ status: 'suspended', effective_status: 'good', override_by: ADMIN_ID });
+
+    res = await book(app, memberAuth);
+    expect(res.status).toBe(201);
+
+    res = await request(app).delete(path).set('Authorization', adminAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.standing.effective_status).toBe('suspended');
+
+    res = await book(app, memberAuth, { tee_time: '11:00' });
+    expect(res.status).toBe(403);
+  });
+
+  test('marking a no-show on the tee sheet updates the standings list', async () => {
+    const today = noShow(0, { status: 'confirmed' });
+    const { app, db } = await setup([noShow(30), today]);
+    const starterAuth = await authHeader(db, ROLE_USER_IDS.starter);
+
+    await request(app)
+      .post(`/api/admin/tee-sheet/${today.id}/no-show`)
+      .set('Authorization', starterAuth);
+
+    const res = await request(app).get('/api/admin/booking-standings').set('Authorization', starterAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.standings).toHaveLength(1);
+    expect(res.body.standings[0]).toMatchObject({
+      user_id: MEMBER_ID,
+      effective_status: 'card_required',
+      recent_no_shows: 2
+    });
+
+    const detail = await request(app).get(`/api/admin/booking-standings/${MEMBER_ID}`).set('Authorization', starterAuth);
+    expect(detail.body.no_shows).toHaveLength(2);
+  });
+
+  test('rules can be changed by admins', async () => {
+    const { app, adminAuth, memberAuth } = await setup([noShow(40), noShow(20), noShow(5)]);
+
+    let res = await request(app)
+      .post('/api/admin/no-show-rules')
+      .set('Authorization', adminAuth)
+      .send({ name: 'No length', no_show_count: 1, window_days: 30, action: 'suspend' });
+    expect(res.status).toBe(400);
+
+    const { body } = await request(app).get('/api/admin/no-show-rules').set('Authorization', adminAuth);
+    for (const rule of body.rules) {
+      res = await request(app)
+        .put(`/api/admin/no-show-rules/${rule.id}`)
+        .set('Authorization', adminAuth)
+        .send({ is_active: false });
+      expect(res.status).toBe(200);
+    }
+
+    res = await book(app, memberAuth);
+    expect(res.status).toBe(201);
+  });
+});
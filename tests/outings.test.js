@@ -0,0 +1,255 @@
+const request = require('supertest');
+
+const mockRefundsCreate = jest.fn();
+jest.mock('stripe', () => () => ({ refunds: { create: mockRefundsCreate } }));
+
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+
+const date = courseNow().add(5, 'days').format('YYYY-MM-DD');
+
+const outingBody = (overrides = {}) => ({
+  name: 'Acme Corp Outing',
+  booking_date: date,
+  start_time: '09:00',
+  number_of_players: 18,
+  green_fee_type: '9_holes',
+  ...overrides
+});
+
+const bookOuting = (app, authorization, overrides) => request(app)
+  .post('/api/outings')
+  .set('Authorization', authorization)
+  .send(outingBody(overrides));
+
+const walkIn = (tee_time, overrides = {}) => ({
+  user_id: ADMIN_ID,
+  booking_date: date,
+  tee_time,
+  number_of_players: 1,
+  primary_player_name: 'Walk In',
+  primary_player_email: 'walkin@example.com',
+  green_fee_type: '9_holes',
+  total_green_fees: 10,
+  total_amount: 10,
+  status: 'confirmed',
+  ...overrides
+});
+
+const players = (count) => Array.from({ length: count }, (_, index) => ({ player_name: `Player ${index + 1}` }));
+
+describe('outing bookings', () => {
+  let app;
+  let db;
+  let memberAuth;
+
+  beforeEach(async () => {
+    ({ app, db } = createTestApp());
+    memberAuth = await authHeader(db, MEMBER_ID);
+  });
+
+  test('quotes an outing as the sum of its consecutive slots', async () => {
+    const res = await request(app)
+      .get('/api/outings/quote')
+      .query({ booking_date: date, start_time: '09:00', number_of_players: 18, green_fee_type: '9_holes' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.quote.slots.map(slot => [slot.tee_time, slot.number_of_players])).toEqual([
+      ['09:00', 4], ['09:15', 4], ['09:30', 4], ['09:45', 3], ['10:00', 3]
+    ]);
+    expect(res.body.quote.total_green_fees).toBe(180);
+  });
+
+  test('books every slot privately under one organizer', async () => {
+    const res = await bookOuting(app, memberAuth, { cart_rental: true });
+
+    expect(res.status).toBe(201);
+    expect(res.body.outing).toMatchObject({
+      user_id: MEMBER_ID,
+      organizer_email: 'member@test.local',
+      slot_count: 5,
+      number_of_players: 18,
+      total_green_fees: 180,
+      total_cart_fees: 75,
+      total_amount: 255
+    });
+    expect(res.body.bookings).toHaveLength(5);
+    expect(res.body.bookings.every(booking => booking.is_private && booking.outing_id === res.body.outing.id)).toBe(true);
+
+    const invoice = await request(app)
+      .get(`/api/outings/${res.body.outing.id}/invoice`)
+      .set('Authorization', memberAuth);
+
+    expect(invoice.status).toBe(200);
+    expect(invoice.body.invoice.lines).toHaveLength(5);
+    expect(invoice.body.invoice.total_amount).toBe(255);
+    expect(invoice.body.invoice.invoice_number).toMatch(/^OUT-\d{8}-[0-9A-F]{8}$/);
+  });
+
+  test('books nothing when any slot in the run is taken', async () => {
+    ({ app, db } = createTestApp({ seed: { tee_times: [walkIn('09:30')] } }));
+    memberAuth = await authHeader(db, MEMBER_ID);
+
+    const res = await bookOuting(app, memberAuth);
+    expect(res.status).toBe(409);
+
+    const { data: outings } = await db.outings.find();
+    const { data: bookings } = await db.teeTimes.find({ booking_date: date });
+    expect(outings).toEqual([]);
+    expect(bookings).toHaveLength(1);
+  });
+
+  test('rejects runs that start off the tee sheet or run past closing', async () => {
+    let res = await bookOuting(app, memberAuth, { start_time: '09:05' });
+    expect(res.status).toBe(400);
+
+    res = await bookOuting(app, memberAuth, { start_time: '18:30' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/past closing/);
+  });
+
+  test('fills the roster into the slots in order', async () => {
+    const { body } = await bookOuting(app, memberAuth, { number_of_players: 6 });
+
+    let res = await request(app)
+      .put(`/api/outings/${body.outing.id}/roster`)
+      .set('Authorization', memberAuth)
+      .send({ players: players(5) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.open_spots).toBe(1);
+    expect(res.body.roster.map(player => player.tee_time_id)).toEqual([
+      body.bookings[0].id, body.bookings[0].id, body.bookings[0].id,
+      body.bookings[1].id, body.bookings[1].id
+    ]);
+
+    const { data: secondSlot } = await db.teeTimes.findById(body.bookings[1].id);
+    expect(secondSlot.additional_players).toEqual([{ name: 'Player 4' }, { name: 'Player 5' }]);
+
+    res = await request(app)
+      .put(`/api/outings/${body.outing.id}/roster`)
+      .set('Authorization', memberAuth)
+      .send({ players: players(7) });
+    expect(res.status).toBe(400);
+  });
+
+  test('cancels the outing and all its tee times together', async () => {
+    const { body } = await bookOuting(app, memberAuth);
+
+    const single = await request(app)
+      .delete(`/api/bookings/${body.bookings[0].id}`)
+      .set('Authorization', memberAuth);
+    expect(single.status).toBe(400);
+
+    const res = await request(app)
+      .delete(`/api/outings/${body.outing.id}`)
+      .set('Authorization', memberAuth)
+      .send({ cancellation_reason: 'Company event moved' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.outing.status).toBe('cancelled');
+    expect(res.body.bookings).toHaveLength(5);
+
+    const { data: remaining } = await db.teeTimes.find({ outing_id: body.outing.id, status: 'confirmed' });
+    expect(remaining).toEqual([]);
+  });
+
+  test('cancelling follows the tee time cancellation policy', async () => {
+    // The outing is five days out: inside a week's notice
+    const policy = {
+      name: 'Week notice',
+      applies_to: 'tee_time',
+      member_status: 'any',
+      cutoff_hours: 168,
+      refund_percent: 100,
+      late_cancel_allowed: false,
+      late_cancel_fee: 0,
+      late_refund_percent: 0,
+      weather_exemption: true,
+      is_active: true
+    };
+    ({ app, db } = createTestApp({ seed: { cancellation_policies: [policy] } }));
+    memberAuth = await authHeader(db, MEMBER_ID);
+
+    mockRefundsCreate.mockReset().mockImplementation(async (params) => ({ id: `re_${params.payment_intent}`, amount: params.amount }));
+    const { body } = await bookOuting(app, memberAuth);
+    // Each tee time was paid online
+    for (const [index, booking] of body.bookings.entries()) {
+      await db.teeTimes.updateById(booking.id, {
+        payment_status: 'paid',
+        payment_method: 'stripe',
+        stripe_payment_intent_id: `pi_slot${index + 1}`
+      });
+    }
+
+    let res = await request(app).delete(`/api/outings/${body.outing.id}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot cancel booking within 168 hours of tee time');
+
+    const { data: [stored] } = await db.cancellationPolicies.find({});
+    await db.cancellationPolicies.updateById(stored.id, { late_cancel_allowed: true, late_cancel_fee: 30, late_refund_percent: 50 });
+
+    res = await request(app).get(`/api/outings/${body.outing.id}/cancellation`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation).toMatchObject({ allowed: true, late: true, amount_paid: 180, cancellation_fee: 30, refund_amount: 60 });
+
+    res = await request(app).delete(`/api/outings/${body.outing.id}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation).toMatchObject({ cancellation_fee: 30, refund_amount: 60 });
+    expect(res.body.outing).toMatchObject({ status: 'cancelled', cancellation_fee: 30, refund_amount: 60 });
+
+    // Half of each tee time's $40 or $30, with the $30 fee taken from the first ones
+    expect(res.body.bookings.map(({ cancellation_fee, refund_amount }) => [cancellation_fee, refund_amount])).toEqual([
+      [20, 0],
+      [10, 10],
+      [0, 20],
+      [0, 15],
+      [0, 15]
+    ]);
+    expect(res.body.refunds.map(refund => refund.amount)).toEqual([-10, -20, -15, -15]);
+    expect(mockRefundsCreate.mock.calls.map(([params, options]) => [params.payment_intent, params.amount, options.idempotencyKey]))
+      .toEqual(body.bookings.slice(1).map((booking, index) => [
+        `pi_slot${index + 2}`,
+        [1000, 2000, 1500, 1500][index],
+        `cancellation-refund:tee_time:${booking.id}`
+      ]));
+
+    // Retrying refunds nothing twice
+    res = await request(app).delete(`/api/outings/${body.outing.id}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Outing already cancelled');
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(4);
+    expect((await db.paymentTransactions.find({ transaction_type: 'refund' })).data).toHaveLength(4);
+
+    res = await request(app).get(`/api/outings/${body.outing.id}/invoice`).set('Authorization', memberAuth);
+    expect(res.body.invoice).toMatchObject({ status: 'cancelled', cancellation_fee: 30, refund_amount: 60 });
+  });
+
+  test('a balance a cart change left on a tee time is not refunded', async () => {
+    mockRefundsCreate.mockReset().mockImplementation(async (params) => ({ id: 're_outing', amount: params.amount }));
+    const { body } = await bookOuting(app, memberAuth);
+    const [first] = body.bookings;
+    await db.teeTimes.updateById(first.id, { payment_status: 'paid', payment_method: 'stripe', stripe_payment_intent_id: 'pi_slot1' });
+
+    let res = await request(app).put(`/api/bookings/${first.id}`).set('Authorization', memberAuth).send({ cart_rental: true });
+    expect(res.status).toBe(200);
+    expect(res.body.booking.balance_due).toBeGreaterThan(0);
+
+    res = await request(app).delete(`/api/outings/${body.outing.id}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.cancellation).toMatchObject({ amount_paid: first.total_amount, refund_amount: first.total_amount });
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(mockRefundsCreate.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_slot1', amount: first.total_amount * 100 });
+  });
+
+  test('only the organizer or booking staff can see an outing', async () => {
+    const { body } = await bookOuting(app, memberAuth);
+    const path = `/api/outings/${body.outing.id}`;
+
+    const other = await request(app).get(path).set('Authorization', await authHeader(db, ROLE_USER_IDS.treasurer));
+    expect(other.status).toBe(403);
+
+    const staff = await request(app).get(path).set('Authorization', await authHeader(db, ROLE_USER_IDS.staff));
+    expect(staff.status).toBe(200);
+    expect(staff.body.bookings).toHaveLength(5);
+  });
+});
@@ -0,0 +1,309 @@
+const request = require('supertest');
+
+const mockPaymentIntentsCreate = jest.fn();
+jest.mock('stripe', () => () => ({ paymentIntents: { create: mockPaymentIntentsCreate } }));
+
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID } = require('./helpers');
+
+// Next date (after today) falling on the given weekday, 0 = Sunday
+const nextDay = (weekday) => {
+  const date = courseNow().add(1, 'day');
+  while (date.day() !== weekday) {
+    date.add(1, 'day');
+  }
+  return date.format('YYYY-MM-DD');
+};
+
+const tuesday = nextDay(2);
+const saturday = nextDay(6);
+
+const setting = (setting_key, setting_value) => ({ setting_key, setting_value, setting_type: 'string' });
+
+const rate = (overrides) => ({
+  rate_class_code: 'standard',
+  green_fee_type: '9_holes',
+  day_type: 'any',
+  time_period: 'any',
+  season_id: null,
+  is_active: true,
+  ...overrides
+});
+
+const quote = (app, params = {}) => request(app)
+  .get('/api/bookings/quote')
+  .query({
+    booking_date: tuesday,
+    tee_time: '09:00',
+    number_of_players: 2,
+    green_fee_type: '9_holes',
+    ...params
+  });
+
+describe('green fee pricing', () => {
+  test('uses the green fee settings when no rates are configured', async () => {
+    const { app } = createTestApp({
+      seed: { admin_settings: [setting('green_fee_9_holes', '12.50'), setting('cart_rental_fee', '15')] }
+    });
+
+    const res = await quote(app, { cart_rental: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.quote).toMatchObject({
+      rate_class: 'standard',
+      base_rate: 12.5,
+      total_green_fees: 25,
+      total_cart_fees: 15,
+      total_amount: 40
+    });
+  });
+
+  test('picks weekday, weekend and twilight rates', async () => {
+    const { app } = createTestApp({
+      seed: {
+        admin_settings: [setting('twilight_start_time', '16:00')],
+        green_fee_rates: [
+          rate({ day_type: 'weekday', price: 30 }),
+          rate({ day_type: 'weekend', price: 40 }),
+          rate({ time_period: 'twilight', price: 20 })
+        ]
+      }
+    });
+
+    let res = await quote(app);
+    expect(res.body.quote).toMatchObject({ day_type: 'weekday', time_period: 'regular', green_fee_per_player: 30 });
+
+    res = await quote(app, { booking_date: saturday });
+    expect(res.body.quote).toMatchObject({ day_type: 'weekend', green_fee_per_player: 40 });
+
+    // A weekday rate is more specific than an any-day twilight rate
+    res = await quote(app, { tee_time: '17:00' });
+    expect(res.body.quote).toMatchObject({ time_period: 'twilight', green_fee_per_player: 30 });
+
+    res = await quote(app, { tee_time: '17:00', green_fee_type: 'all_day' });
+    expect(res.body.quote.green_fee_per_player).toBe(15);
+  });
+
+  test('rate classes without their own rate pay the standard rate', async () => {
+    const { app } = createTestApp({
+      seed: {
+        green_fee_rates: [
+          rate({ price: 30 }),
+          rate({ rate_class_code: 'senior', price: 22 })
+        ]
+      }
+    });
+
+    let res = await quote(app, { rate_class: 'senior' });
+    expect(res.body.quote).toMatchObject({ rate_class: 'senior', green_fee_per_player: 22, total_amount: 44 });
+
+    res = await quote(app, { rate_class: 'junior' });
+    expect(res.body.quote).toMatchObject({ rate_class: 'junior', green_fee_per_player: 30 });
+
+    res = await quote(app, { rate_class: 'platinum' });
+    expect(res.status).toBe(400);
+  });
+
+  test('seasonal rates apply only inside the season', async () => {
+    const seasonId = '40000000-0000-4000-8000-000000000001';
+    const { app } = createTestApp({
+      seed: {
+        pricing_seasons: [{ id: seasonId, name: 'Peak', start_date: tuesday, end_date: tuesday, is_active: true }],
+        green_fee_rates: [
+          rate({ price: 30 }),
+          rate({ season_id: seasonId, price: 35 })
+        ]
+      }
+    });
+
+    let res = await quote(app);
+    expect(res.body.quote).toMatchObject({ season: 'Peak', green_fee_per_player: 35 });
+
+    res = await quote(app, { booking_date: saturday });
+    expect(res.body.quote).toMatchObject({ season: null, green_fee_per_player: 30 });
+  });
+
+  test('member guest rates need a signed-in member', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        memberships: [{
+          user_id: MEMBER_ID,
+          membership_type: 'single',
+          status: 'active',
+          annual_fee: 250,
+          start_date: courseNow().subtract(1, 'month').format('YYYY-MM-DD'),
+          end_date: courseNow().add(1, 'year').format('YYYY-MM-DD')
+        }],
+        green_fee_rates: [rate({ rate_class_code: 'member_guest', price: 8 })]
+      }
+    });
+
+    let res = await quote(app, { rate_class: 'member_guest' });
+    expect(res.status).toBe(403);
+
+    res = await quote(app, { rate_class: 'member_guest' }).set('Authorization', await authHeader(db, ADMIN_ID));
+    expect(res.status).toBe(403);
+
+    res = await quote(app, { rate_class: 'member_guest' }).set('Authorization', await authHeader(db, MEMBER_ID));
+    expect(res.status).toBe(200);
+    expect(res.body.quote.green_fee_per_player).toBe(8);
+  });
+
+  test('demand tiers adjust the fee by slot utilization', async () => {
+    const { app } = createTestApp({
+      seed: {
+        admin_settings: [setting('demand_pricing_tiers', JSON.stringify([
+          { min_utilization: 0, adjustment_percent: -10 },
+          { min_utilization: 0.5, adjustment_percent: 20 }
+        ]))],
+        green_fee_rates: [rate({ price: 30 })],
+        tee_times: [{
+          booking_date: tuesday,
+          tee_time: '09:00',
+          number_of_players: 2,
+          primary_player_name: 'Early Pair',
+          primary_player_email: 'pair@example.com',
+          green_fee_type: '9_holes',
+          total_green_fees: 60,
+          total_amount: 60,
+          status: 'confirmed'
+        }]
+      }
+    });
+
+    let res = await quote(app, { tee_time: '09:15' });
+    expect(res.body.quote).toMatchObject({ slot_utilization: 0, demand_adjustment_percent: -10, green_fee_per_player: 27 });
+
+    res = await quote(app);
+    expect(res.body.quote).toMatchObject({ slot_utilization: 0.5, demand_adjustment_percent: 20, green_fee_per_player: 36 });
+  });
+
+  test('bookings are charged the quoted price', async () => {
+    const { app } = createTestApp({
+      seed: { green_fee_rates: [rate({ rate_class_code: 'resident', price: 18 })] }
+    });
+
+    const quoted = await quote(app, { rate_class: 'resident' });
+
+    const res = await request(app).post('/api/bookings').send({
+      booking_date: tuesday,
+      tee_time: '09:00',
+      number_of_players: 2,
+      primary_player_name: 'Local Golfer',
+      primary_player_email: 'local@example.com',
+      green_fee_type: '9_holes',
+      rate_class: 'resident'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({
+      rate_class: 'resident',
+      total_green_fees: 36,
+      total_amount: quoted.body.quote.total_amount
+    });
+  });
+
+  test('checkout charges the booking\'s price, whatever amount is sent', async () => {
+    mockPaymentIntentsCreate.mockResolvedValue({ id: 'pi_booking', client_secret: 'secret' });
+    const { app, db } = createTestApp({
+      seed: { green_fee_rates: [rate({ rate_class_code: 'resident', price: 18 })] }
+    });
+    const auth = await authHeader(db, MEMBER_ID);
+
+    const booked = await request(app).post('/api/bookings').set('Authorization', auth).send({
+      booking_date: tuesday,
+      tee_time: '09:00',
+      number_of_players: 2,
+      primary_player_name: 'Member Tester',
+      primary_player_email: 'member@test.local',
+      green_fee_type: '9_holes',
+      rate_class: 'resident'
+    });
+    expect(booked.status).toBe(201);
+
+    const res = await request(app)
+      .post('/api/payments/create-booking-payment')
+      .set('Authorization', auth)
+      .send({ booking_id: booked.body.booking.id, amount: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.amount).toBe(36);
+    expect(mockPaymentIntentsCreate.mock.calls[0][0]).toMatchObject({ amount: 3600 });
+  });
+
+  test('lists active rate classes', async () => {
+    const { app } = createTestApp();
+
+    const res = await request(app).get('/api/bookings/rate-classes');
+
+    expect(res.body.rate_classes.map(rateClass => rateClass.code))
+      .toEqual(['standard', 'senior', 'junior', 'member_guest', 'resident']);
+  });
+});
+
+describe('pricing administration', () => {
+  let app;
+  let adminAuth;
+
+  beforeEach(async () => {
+    let db;
+    ({ app, db } = createTestApp());
+    adminAuth = await authHeader(db, ADMIN_ID);
+  });
+
+  test('rates created by an admin are used in quotes', async () => {
+    let res = await request(app)
+      .post('/api/admin/pricing/rates')
+      .set('Authorization', adminAuth)
+      .send({ rate_class_code: 'junior', green_fee_type: '9_holes', price: 5 });
+    expect(res.status).toBe(201);
+
+    res = await quote(app, { rate_class: 'junior' });
+    expect(res.body.quote.green_fee_per_player).toBe(5);
+
+    res = await request(app).get('/api/admin/pricing').set('Authorization', adminAuth);
+    expect(res.body.rates).toHaveLength(1);
+  });
+
+  test('rejects rates for unknown classes', async () => {
+    const res = await request(app)
+      .post('/api/admin/pricing/rates')
+      .set('Authorization', adminAuth)
+      .send({ rate_class_code: 'platinum', green_fee_type: '9_holes', price: 5 });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('new rate classes can be added and deactivated', async () => {
+    let res = await request(app)
+      .post('/api/admin/pricing/rate-classes')
+      .set('Authorization', adminAuth)
+      .send({ code: 'military', name: 'Military' });
+    expect(res.status).toBe(201);
+
+    res = await request(app)
+      .put('/api/admin/pricing/rate-classes/military')
+      .set('Authorization', adminAuth)
+      .send({ is_active: false });
+    expect(res.status).toBe(200);
+
+    res = await quote(app, { rate_class: 'military' });
+    expect(res.status).toBe(400);
+  });
+
+  test('the standard class cannot be deactivated', async () => {
+    const res = await request(app)
+      .put('/api/admin/pricing/rate-classes/standard')
+      .set('Authorization', adminAuth)
+      .send({ is_active: false });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('seasons cannot end before they start', async () => {
+    const res = await request(app)
+      .post('/api/admin/pricing/seasons')
+      .set('Authorization', adminAuth)
+      .send({ name: 'Backwards', start_date: '2026-09-01', end_date: '2026-06-01' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+
+const mockRefundsCreate = jest.fn();
+jest.mock('stripe', () => () => ({ refunds: { create: mockRefundsCreate } }));
+
+const { createTestApp, courseNow, authHeader, MEMBER_ID } = require('./helpers');
+
+const BOOKING_ID = '30000000-0000-4000-8000-000000000001';
+const EVENT_ID = '40000000-0000-4000-8000-000000000001';
+const REGISTRATION_ID = '40000000-0000-4000-8000-000000000002';
+
+const inTwoDays = courseNow().add(2, 'days').format('YYYY-MM-DD');
+
+const booking = (overrides = {}) => ({
+  id: BOOKING_ID,
+  user_id: MEMBER_ID,
+  booking_date: inTwoDays,
+  tee_time: '10:00',
+  number_of_players: 2,
+  primary_player_name: 'Member Tester',
+  primary_player_email: 'member@test.local',
+  green_fee_type: '9_holes',
+  rate_class: 'standard',
+  total_green_fees: 60,
+  total_amount: 60,
+  payment_status: 'paid',
+  status: 'confirmed',
+  ...overrides
+});
+
+const payment = (overrides = {}) => ({
+  id: '60000000-0000-4000-8000-000000000001',
+  transaction_type: 'tee_time',
+  amount: 60,
+  payment_provider: 'stripe',
+  provider_transaction_id: 'pi_paid',
+  user_id: MEMBER_ID,
+  tee_time_id: BOOKING_ID,
+  status: 'completed',
+  transaction_date: courseNow().subtract(1, 'day').toISOString(),
+  ...overrides
+});
+
+describe('cancellation refunds', () => {
+  beforeEach(() => {
+    mockRefundsCreate.mockReset();
+    mockRefundsCreate.mockImplementation(async (params) => ({ id: 're_test', amount: params.amount, status: 'succeeded' }));
+  });
+
+  const setup = async (seed) => {
+    const { app, db } = createTestApp({ seed });
+    return { app, db, memberAuth: await authHeader(db, MEMBER_ID) };
+  };
+
+  const refunds = async (db) => (await db.paymentTransactions.find({ transaction_type: 'refund' })).data;
+
+  test('refunds online payments through Stripe', async () => {
+    const { app, db, memberAuth } = await setup({ tee_times: [booking()], payment_transactions: [payment()] });
+
+    const res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'cancelled', payment_status: 'refunded', refund_amount: 60 });
+    expect(res.body.refund).toMatchObject({ amount: -60, payment_provider: 'stripe', provider_transaction_id: 're_test' });
+
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(mockRefundsCreate.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_paid', amount: 6000 });
+    expect(mockRefundsCreate.mock.calls[0][1]).toEqual({ idempotencyKey: `cancellation-refund:tee_time:${BOOKING_ID}` });
+
+    const { data: original } = await db.paymentTransactions.findById(payment().id);
+    expect(original.status).toBe('refunded');
+  });
+
+  test('a retried cancellation does not refund twice', async () => {
+    const { app, db, memberAuth } = await setup({ tee_times: [booking()], payment_transactions: [payment()] });
+
+    await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    const retry = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+
+    expect(retry.status).toBe(200);
+    expect(retry.body.message).toBe('Booking already cancelled');
+    expect(retry.body.refund.provider_transaction_id).toBe('re_test');
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(await refunds(db)).toHaveLength(1);
+  });
+
+  test('a failed refund is finished by retrying', async () => {
+    const { app, db, memberAuth } = await setup({ tee_times: [booking()], payment_transactions: [payment()] });
+    mockRefundsCreate.mockRejectedValueOnce(new Error('Stripe is unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(502);
+
+    const { data: cancelled } = await db.teeTimes.findById(BOOKING_ID);
+    expect(cancelled).toMatchObject({ status: 'cancelled', payment_status: 'paid' });
+    expect(await refunds(db)).toHaveLength(0);
+
+    res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.booking.payment_status).toBe('refunded');
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(2);
+    // Both attempts share the key, so Stripe refunds at most once
+    expect(mockRefundsCreate.mock.calls[1][1]).toEqual(mockRefundsCreate.mock.calls[0][1]);
+    expect(await refunds(db)).toHaveLength(1);
+
+    console.error.mockRestore();
+  });
+
+  test('counter payments are refunded as an account credit, less the policy fee', async () => {
+    const { app, db, memberAuth } = await setup({
+      tee_times: [booking({ booking_date: courseNow().add(10, 'hours').format('YYYY-MM-DD'), tee_time: courseNow().add(10, 'hours').format('HH:mm'), payment_method: 'cash' })],
+      payment_transactions: [payment({ payment_provider: 'cash', provider_transaction_id: null })],
+      cancellation_policies: [{
+        name: 'Late fee',
+        applies_to: 'tee_time',
+        member_status: 'any',
+        cutoff_hours: 24,
+        refund_percent: 100,
+        late_cancel_allowed: true,
+        late_cancel_fee: 10,
+        late_refund_percent: 50,
+        weather_exemption: true,
+        is_active: true
+      }]
+    });
+
+    const res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toMatchObject({
+      amount: -20,
+      payment_provider: 'account_credit',
+      metadata: { paid_with: 'cash', cancellation_fee: 10 }
+    });
+    expect(mockRefundsCreate).not.toHaveBeenCalled();
+    expect(await refunds(db)).toHaveLength(1);
+  });
+
+  test('unpaid bookings are cancelled without a refund', async () => {
+    const { app, db, memberAuth } = await setup({ tee_times: [booking({ payment_status: 'pending' })] });
+
+    const res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toBeNull();
+    expect(res.body.booking.payment_status).toBe('pending');
+    expect(await refunds(db)).toHaveLength(0);
+  });
+
+  test('event registrations are refunded too', async () => {
+    const { app, db, memberAuth } = await setup({
+      events: [{
+        id: EVENT_ID,
+        title: 'Club Scramble',
+        event_type: 'tournament',
+        event_date: courseNow().add(5, 'days').format('YYYY-MM-DD'),
+        start_time: '09:00',
+        entry_fee: 40,
+        status: 'upcoming',
+        is_public: true
+      }],
+      event_registrations: [{
+        id: REGISTRATION_ID,
+        event_id: EVENT_ID,
+        user_id: MEMBER_ID,
+        participant_name: 'Member Tester',
+        participant_email: 'member@test.local',
+        registration_fee: 40,
+        payment_status: 'paid',
+        stripe_payment_intent_id: 'pi_event',
+        status: 'registered'
+      }]
+    });
+
+    let res = await request(app).delete(`/api/events/${EVENT_ID}/register`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.registration).toMatchObject({ status: 'cancelled', payment_status: 'refunded' });
+    expect(mockRefundsCreate.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_event', amount: 4000 });
+
+    res = await request(app).delete(`/api/events/${EVENT_ID}/register`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+    expect(mockRefundsCreate).toHaveBeenCalledTimes(1);
+    expect(await refunds(db)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,71 @@
+const request = require('supertest');
+const { createTestApp, authHeader, ADMIN_ID, MEMBER_ID } = require('./helpers');
+
+describe('role assignment', () => {
+  let app;
+  let db;
+  let adminAuth;
+  let memberAuth;
+
+  beforeEach(async () => {
+    ({ app, db } = createTestApp());
+    adminAuth = await authHeader(db, ADMIN_ID);
+    memberAuth = await authHeader(db, MEMBER_ID);
+  });
+
+  test('lists roles with their permissions', async () => {
+    const res = await request(app).get('/api/admin/roles').set('Authorization', adminAuth);
+
+    expect(res.status).toBe(200);
+    const starter = res.body.roles.find(role => role.name === 'starter');
+    expect(starter.permissions).toEqual(['bookings:manage', 'conditions:manage']);
+  });
+
+  test('granting a role takes effect on the next request', async () => {
+    let res = await request(app).get('/api/bookings/all').set('Authorization', memberAuth);
+    expect(res.status).toBe(403);
+
+    res = await request(app)
+      .put(`/api/admin/users/${MEMBER_ID}/role`)
+      .set('Authorization', adminAuth)
+      .send({ role: 'starter' });
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('starter');
+
+    res = await request(app).get('/api/bookings/all').set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+
+    res = await request(app).get('/api/admin/settings').set('Authorization', memberAuth);
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects unknown roles', async () => {
+    const res = await request(app)
+      .put(`/api/admin/users/${MEMBER_ID}/role`)
+      .set('Authorization', adminAuth)
+      .send({ role: 'superuser' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('administrators cannot change their own role', async () => {
+    const res = await request(app)
+      .put(`/api/admin/users/${ADMIN_ID}/role`)
+      .set('Authorization', adminAuth)
+      .send({ role: 'member' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('users cannot set their role through the profile endpoint', async () => {
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', memberAuth)
+      .send({ first_name: 'Maxine', role: 'admin' });
+
+    expect(res.status).toBe(200);
+    const { data: user } = await db.users.findById(MEMBER_ID);
+    expect(user.first_name).toBe('Maxine');
+    expect(user.role).toBe('member');
+  });
+});
@@ -0,0 +1,246 @@
+// Every API route must be listed here with the access it requires:
+// 'public', 'user' (any signed-in user) or the permission it checks.
+// Adding an endpoint without an entry, or leaving a protected endpoint
+// reachable anonymously, fails this suite.
+const request = require('supertest');
+const { ROLES } = require('../api/config/permissions');
+const { createTestApp, authHeader, ROLE_USER_IDS } = require('./helpers');
+
+const ROUTE_ACCESS = {
+  'POST /api/payments/webhook': 'public',
+
+  'POST /api/auth/register': 'public',
+  'POST /api/auth/login': 'public',
+  'POST /api/auth/logout': 'user',
+  'GET /api/auth/profile': 'user',
+  'PUT /api/auth/profile': 'user',
+  'PUT /api/auth/change-password': 'user',
+  'POST /api/auth/forgot-password': 'public',
+  'POST /api/auth/reset-password': 'public',
+  'POST /api/auth/verify-email': 'public',
+  'POST /api/auth/resend-verification': 'user',
+  'GET /api/auth/google/callback': 'public',
+  'POST /api/auth/refresh': 'public',
+
+  'GET /api/bookings/availability': 'public',
+  'GET /api/bookings/rate-classes': 'public',
+  'GET /api/bookings/quote': 'public',
+  'GET /api/bookings/my-bookings': 'user',
+  'GET /api/bookings/my-standing': 'user',
+  'GET /api/bookings/my-credits': 'user',
+  'GET /api/bookings/all': 'bookings:manage',
+  'POST /api/bookings/series': 'user',
+  'GET /api/bookings/series/:id': 'user',
+  'PUT /api/bookings/series/:id': 'user',
+  'DELETE /api/bookings/series/:id': 'user',
+  'POST /api/bookings/holds': 'public',
+  'DELETE /api/bookings/holds/:id': 'public',
+  'POST /api/bookings/': 'public',
+  'PUT /api/bookings/:id': 'user',
+  'DELETE /api/bookings/:id': 'user',
+  'GET /api/bookings/:id/cancellation': 'user',
+  'POST /api/bookings/:id/reschedule': 'user',
+  'GET /api/bookings/:id/history': 'user',
+  'GET /api/bookings/:id': 'user',
+  'POST /api/bookings/lookup': 'public',
+  'GET /api/bookings/manage/:id': 'public',
+  'PUT /api/bookings/manage/:id': 'public',
+  'POST /api/bookings/manage/:id/reschedule': 'public',
+  'DELETE /api/bookings/manage/:id': 'public',
+
+  'POST /api/waitlist/': 'user',
+  'GET /api/waitlist/my-entries': 'user',
+  'DELETE /api/waitlist/:id': 'user',
+  'GET /api/waitlist/:id/offer': 'public',
+  'POST /api/waitlist/:id/claim': 'public',
+
+  'GET /api/outings/quote': 'public',
+  'GET /api/outings/my-outings': 'user',
+  'GET /api/outings/all': 'bookings:manage',
+  'POST /api/outings/': 'user',
+  'GET /api/outings/:id': 'user',
+  'GET /api/outings/:id/invoice': 'user',
+  'GET /api/outings/:id/cancellation': 'user',
+  'PUT /api/outings/:id/roster': 'user',
+  'DELETE /api/outings/:id': 'user',
+
+  'GET /api/memberships/types': 'public',
+  'GET /api/memberships/my-membership': 'user',
+  'POST /api/memberships/': 'user',
+  'PUT /api/memberships/:id': 'user',
+  'DELETE /api/memberships/:id': 'user',
+  'GET /api/memberships/history': 'user',
+  'GET /api/memberships/all': 'memberships:manage',
+  'PUT /api/memberships/:id/verify': 'memberships:manage',
+  'GET /api/memberships/stats/overview': 'memberships:manage',
+
+  'GET /api/events/': 'public',
+  'GET /api/events/my-registrations': 'user',
+  'GET /api/events/:id': 'public',
+  'POST /api/events/:id/register': 'user',
+  'DELETE /api/events/:id/register': 'user',
+  'GET /api/events/:id/register/cancellation': 'user',
+  'POST /api/events/': 'events:manage',
+  'PUT /api/events/:id': 'events:manage',
+  'GET /api/events/:id/registrations': 'events:manage',
+  'GET /api/events/:id/conflicts': 'events:manage',
+  'POST /api/events/:id/conflicts/notify': 'events:manage',
+  'POST /api/events/:id/conflicts/move': 'events:manage',
+
+  'POST /api/payments/create-booking-payment': 'user',
+  'POST /api/payments/create-membership-payment': 'user',
+  'POST /api/payments/create-event-payment': 'user',
+  'GET /api/payments/history': 'user',
+  'GET /api/payments/payment/:payment_intent_id': 'user',
+  'POST /api/payments/refund': 'payments:refund',
+
+  'POST /api/contact/': 'public',
+  'GET /api/contact/': 'contact:manage',
+  'PUT /api/contact/:id': 'contact:manage',
+  'GET /api/contact/:id': 'contact:manage',
+  'GET /api/contact/stats/overview': 'contact:manage',
+
+  'GET /api/admin/dashboard': 'dashboard:view',
+  'GET /api/admin/settings': 'settings:manage',
+  'PUT /api/admin/settings/:key': 'settings:manage',
+  'POST /api/admin/settings': 'settings:manage',
+  'POST /api/admin/course-conditions': 'conditions:manage',
+  'GET /api/admin/course-conditions': 'conditions:manage',
+  'GET /api/admin/carts': 'conditions:manage',
+  'POST /api/admin/carts': 'conditions:manage',
+  'PUT /api/admin/carts/:id': 'conditions:manage',
+  'POST /api/admin/carts/:id/outages': 'conditions:manage',
+  'PUT /api/admin/carts/outages/:id': 'conditions:manage',
+  'DELETE /api/admin/carts/outages/:id': 'conditions:manage',
+  'POST /api/admin/course-closures': 'bookings:manage',
+  'GET /api/admin/course-closures': 'bookings:manage',
+  'GET /api/admin/course-closures/:id': 'bookings:manage',
+  'POST /api/admin/course-closures/:id/reopen': 'bookings:manage',
+  'GET /api/admin/waitlist': 'bookings:manage',
+  'GET /api/admin/waitlist/:date': 'bookings:manage',
+  'GET /api/admin/standing-tee-times': 'bookings:manage',
+  'GET /api/admin/tee-sheet': 'bookings:manage',
+  'POST /api/admin/tee-sheet/close': 'bookings:manage',
+  'POST /api/admin/tee-sheet/delay': 'bookings:manage',
+  'POST /api/admin/tee-sheet/:id/rain-check': 'bookings:manage',
+  'GET /api/admin/credits': 'bookings:manage',
+  'POST /api/admin/tee-sheet/:id/check-in': 'bookings:manage',
+  'POST /api/admin/tee-sheet/:id/no-show': 'bookings:manage',
+  'POST /api/admin/tee-sheet/:id/complete': 'bookings:manage',
+  'POST /api/admin/tee-sheet/:id/payment': 'bookings:manage',
+  'GET /api/admin/no-show-rules': 'settings:manage',
+  'POST /api/admin/no-show-rules': 'settings:manage',
+  'PUT /api/admin/no-show-rules/:id': 'settings:manage',
+  'GET /api/admin/booking-standings': 'bookings:manage',
+  'GET /api/admin/booking-standings/:userId': 'bookings:manage',
+  'PUT /api/admin/booking-standings/:userId/override': 'bookings:manage',
+  'DELETE /api/admin/booking-standings/:userId/override': 'bookings:manage',
+  'GET /api/admin/cancellation-policies': 'settings:manage',
+  'POST /api/admin/cancellation-policies': 'settings:manage',
+  'PUT /api/admin/cancellation-policies/:id': 'settings:manage',
+  'GET /api/admin/booking-release-rules': 'settings:manage',
+  'POST /api/admin/booking-release-rules': 'settings:manage',
+  'PUT /api/admin/booking-release-rules/:id': 'settings:manage',
+  'GET /api/admin/pricing': 'settings:manage',
+  'POST /api/admin/pricing/rate-classes': 'settings:manage',
+  'PUT /api/admin/pricing/rate-classes/:code': 'settings:manage',
+  'POST /api/admin/pricing/seasons': 'settings:manage',
+  'PUT /api/admin/pricing/seasons/:id': 'settings:manage',
+  'DELETE /api/admin/pricing/seasons/:id': 'settings:manage',
+  'POST /api/admin/pricing/rates': 'settings:manage',
+  'PUT /api/admin/pricing/rates/:id': 'settings:manage',
+  'DELETE /api/admin/pricing/rates/:id': 'settings:manage',
+  'GET /api/admin/reports/revenue': 'reports:view',
+  'GET /api/admin/reports/bookings': 'reports:view',
+  'GET /api/admin/reports/memberships': 'reports:view',
+  'GET /api/admin/reports/credits': 'reports:view',
+  'GET /api/admin/export/:type': 'reports:view',
+  'GET /api/admin/roles': 'users:manage',
+  'GET /api/admin/users': 'users:manage',
+  'PUT /api/admin/users/:id/role': 'users:manage'
+};
+
+// Turn the mount regexp Express stores for a router back into its path
+const mountPath = (layer) => layer.regexp.source
+  .replace('^', '')
+  .replace('\\/?(?=\\/|$)', '')
+  .replace(/\\\//g, '/');
+
+// List "METHOD /path" for every route registered under /api
+const listApiRoutes = (app) => {
+  const routes = [];
+  const add = (prefix, route) => {
+    Object.keys(route.methods).forEach(method => routes.push(`${method.toUpperCase()} ${prefix}${route.path}`));
+  };
+
+  app._router.stack.forEach(layer => {
+    // Skip the /api/* catch-all that answers unknown endpoints with a 404
+    if (layer.route && layer.route.path !== '/api/*') {
+      add('', layer.route);
+    } else if (layer.name === 'router') {
+      layer.handle.stack
+        .filter(inner => inner.route)
+        .forEach(inner => add(mountPath(layer), inner.route));
+    }
+  });
+
+  return routes.filter(route => route.split(' ')[1].startsWith('/api/'));
+};
+
+// Fill route parameters with a well-formed id
+const concretePath = (path) => path.replace(/:[a-z_]+/g, '00000000-0000-4000-8000-00000000abcd');
+
+const send = (app, route, authorization) => {
+  const [method, path] = route.split(' ');
+  const req = request(app)[method.toLowerCase()](concretePath(path));
+  return authorization ? req.set('Authorization', authorization) : req;
+};
+
+const isProtected = (route) => ROUTE_ACCESS[route] !== 'public';
+const permissionRoutes = Object.keys(ROUTE_ACCESS).filter(route => !['public', 'user'].includes(ROUTE_ACCESS[route]));
+
+// [route, role, allowed] for every permission route and built-in role
+const roleMatrix = permissionRoutes.flatMap(route =>
+  Object.keys(ROLES).map(role => [route, role, ROLES[role].permissions.includes(ROUTE_ACCESS[route])])
+);
+
+describe('route permissions', () => {
+  let app;
+  const auth = {};
+
+  beforeAll(async () => {
+    const setup = createTestApp();
+    app = setup.app;
+
+    for (const [role, id] of Object.entries(ROLE_USER_IDS)) {
+      auth[role] = await authHeader(setup.db, id);
+    }
+  });
+
+  test('every API route has an access entry', () => {
+    const registered = listApiRoutes(app);
+
+    expect(registered.filter(route => !(route in ROUTE_ACCESS))).toEqual([]);
+    expect(Object.keys(ROUTE_ACCESS).filter(route => !registered.includes(route))).toEqual([]);
+  });
+
+  test('every permission in the table is a known permission', () => {
+    const known = new Set(Object.values(ROLES).flatMap(role => role.permissions));
+    expect(permissionRoutes.filter(route => !known.has(ROUTE_ACCESS[route]))).toEqual([]);
+  });
+
+  test.each(Object.keys(ROUTE_ACCESS).filter(isProtected))('%s rejects anonymous requests', async (route) => {
+    const res = await send(app, route);
+    expect(res.status).toBe(401);
+  });
+
+  test.each(roleMatrix)('%s as %s (allowed: %s)', async (route, role, allowed) => {
+    const res = await send(app, route, auth[role]);
+
+    if (allowed) {
+      expect([401, 403]).not.toContain(res.status);
+    } else {
+      expect(res.status).toBe(403);
+    }
+  });
+});
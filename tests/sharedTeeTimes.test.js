@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { createTestApp, courseNow } = require('./helpers');
+
+const date = courseNow().add(2, 'days').format('YYYY-MM-DD');
+
+const booking = (overrides = {}) => ({
+  booking_date: date,
+  tee_time: '10:00',
+  number_of_players: 2,
+  primary_player_name: 'Shared Golfer',
+  primary_player_email: 'shared@example.com',
+  green_fee_type: 'all_day',
+  ...overrides
+});
+
+const slotAt = async (app, time) => {
+  const res = await request(app).get('/api/bookings/availability').query({ date });
+  return res.body.time_slots.find(slot => slot.time === time);
+};
+
+describe('shared tee times', () => {
+  let app;
+
+  beforeEach(() => {
+    ({ app } = createTestApp());
+  });
+
+  test('several bookings fill one slot up to capacity', async () => {
+    expect((await request(app).post('/api/bookings').send(booking())).status).toBe(201);
+
+    let slot = await slotAt(app, '10:00');
+    expect(slot).toMatchObject({ available: true, spots_remaining: 2, booked_players: 2 });
+
+    expect((await request(app).post('/api/bookings').send(booking({ number_of_players: 1 }))).status).toBe(201);
+
+    const res = await request(app).post('/api/bookings').send(booking());
+    expect(res.status).toBe(409);
+    expect(res.body.message || res.body.error).toMatch(/Only 1 spot/);
+
+    expect((await request(app).post('/api/bookings').send(booking({ number_of_players: 1 }))).status).toBe(201);
+
+    slot = await slotAt(app, '10:00');
+    expect(slot).toMatchObject({ available: false, spots_remaining: 0, booked_players: 4 });
+  });
+
+  test('capacity follows max_players_per_booking', async () => {
+    ({ app } = createTestApp({
+      seed: { admin_settings: [{ setting_key: 'max_players_per_booking', setting_value: '3' }] }
+    }));
+
+    const res = await request(app).get('/api/bookings/availability').query({ date });
+    expect(res.body.capacity).toBe(3);
+    expect(res.body.time_slots[0].spots_remaining).toBe(3);
+
+    expect((await request(app).post('/api/bookings').send(booking({ number_of_players: 4 }))).status).toBe(409);
+  });
+
+  test('a private group blocks other golfers from joining', async () => {
+    const res = await request(app).post('/api/bookings').send(booking({ is_private: true }));
+    expect(res.status).toBe(201);
+    expect(res.body.booking.is_private).toBe(true);
+
+    const slot = await slotAt(app, '10:00');
+    expect(slot).toMatchObject({ available: false, spots_remaining: 0, is_private: true });
+
+    const joiner = await request(app).post('/api/bookings').send(booking({ number_of_players: 1 }));
+    expect(joiner.status).toBe(409);
+  });
+
+  test('a slot others have joined cannot be booked as private', async () => {
+    await request(app).post('/api/bookings').send(booking({ number_of_players: 1 }));
+
+    expect((await slotAt(app, '10:00')).private_available).toBe(false);
+
+    const res = await request(app).post('/api/bookings').send(booking({ is_private: true }));
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,212 @@
+const request = require('supertest');
+const moment = require('moment');
+
+const mockPaymentIntentsCreate = jest.fn();
+jest.mock('stripe', () => () => ({ paymentIntents: { create: mockPaymentIntentsCreate } }));
+
+const { createTestApp, courseNow, authHeader, MEMBER_ID } = require('./helpers');
+const { sweepCheckouts } = require('../api/jobs/checkoutSweeper');
+
+const date = courseNow().add(1, 'day').format('YYYY-MM-DD');
+
+const slot = (overrides = {}) => ({
+  booking_date: date,
+  tee_time: '09:00',
+  number_of_players: 2,
+  ...overrides
+});
+
+const booking = (overrides = {}) => ({
+  ...slot(),
+  primary_player_name: 'Holding Golfer',
+  primary_player_email: 'holder@example.com',
+  green_fee_type: '9_holes',
+  ...overrides
+});
+
+const slotAt = (res, time) => res.body.time_slots.find(entry => entry.time === time);
+
+describe('slot holds', () => {
+  test('held spots are taken in availability until the hold ends', async () => {
+    const { app } = createTestApp();
+
+    const hold = await request(app).post('/api/bookings/holds').send(slot({ number_of_players: 3 }));
+    expect(hold.status).toBe(201);
+    expect(hold.body.hold.hold_token).toBeDefined();
+
+    let res = await request(app).get('/api/bookings/availability').query({ date });
+    expect(slotAt(res, '09:00')).toMatchObject({ spots_remaining: 1, held_players: 3, booked_players: 0 });
+
+    res = await request(app)
+      .delete(`/api/bookings/holds/${hold.body.hold.id}`)
+      .send({ hold_token: hold.body.hold.hold_token });
+    expect(res.status).toBe(200);
+
+    res = await request(app).get('/api/bookings/availability').query({ date });
+    expect(slotAt(res, '09:00')).toMatchObject({ spots_remaining: 4, held_players: 0 });
+  });
+
+  test('other golfers cannot book or hold the held spots', async () => {
+    const { app } = createTestApp();
+    await request(app).post('/api/bookings/holds').send(slot({ number_of_players: 3 }));
+
+    let res = await request(app).post('/api/bookings/holds').send(slot());
+    expect(res.status).toBe(409);
+
+    res = await request(app).post('/api/bookings').send(booking());
+    expect(res.status).toBe(409);
+    expect(res.body.message || res.body.error).toMatch(/Only 1 spot/);
+  });
+
+  test('booking with the hold converts it', async () => {
+    const { app, db } = createTestApp();
+
+    // The hold fills the slot, so only its holder can book it
+    const { body } = await request(app).post('/api/bookings/holds').send(slot({ number_of_players: 4 }));
+
+    const res = await request(app).post('/api/bookings').send(booking({
+      number_of_players: 4,
+      hold_id: body.hold.id,
+      hold_token: body.hold.hold_token
+    }));
+    expect(res.status).toBe(201);
+
+    const { data: hold } = await db.teeTimeHolds.findById(body.hold.id);
+    expect(hold).toMatchObject({ status: 'converted', tee_time_id: res.body.booking.id });
+
+    const availability = await request(app).get('/api/bookings/availability').query({ date });
+    expect(slotAt(availability, '09:00')).toMatchObject({ spots_remaining: 0, booked_players: 4, held_players: 0 });
+  });
+
+  test('a hold cannot be used or released without its token', async () => {
+    const { app } = createTestApp();
+    const { body } = await request(app).post('/api/bookings/holds').send(slot());
+    const wrongToken = '00000000-0000-4000-8000-000000000000';
+
+    let res = await request(app).post('/api/bookings').send(booking({
+      hold_id: body.hold.id,
+      hold_token: wrongToken
+    }));
+    expect(res.status).toBe(404);
+
+    res = await request(app).delete(`/api/bookings/holds/${body.hold.id}`).send({ hold_token: wrongToken });
+    expect(res.status).toBe(404);
+  });
+
+  test('expired holds stop counting and are swept', async () => {
+    const { app, db } = createTestApp({
+      seed: {
+        tee_time_holds: [{
+          ...slot({ number_of_players: 4 }),
+          is_private: false,
+          status: 'active',
+          hold_token: '00000000-0000-4000-8000-000000000001',
+          expires_at: courseNow().subtract(1, 'minute').toISOString()
+        }]
+      }
+    });
+
+    let res = await request(app).get('/api/bookings/availability').query({ date });
+    expect(slotAt(res, '09:00').spots_remaining).toBe(4);
+
+    res = await request(app).post('/api/bookings').send(booking({ number_of_players: 4 }));
+    expect(res.status).toBe(201);
+
+    const result = await sweepCheckouts(db);
+    expect(result.expiredHolds).toHaveLength(1);
+
+    const { data: holds } = await db.teeTimeHolds.find({ status: 'expired' });
+    expect(holds).toHaveLength(1);
+  });
+
+  test('hold length comes from admin settings', async () => {
+    const { app } = createTestApp({
+      seed: {
+        admin_settings: [{ setting_key: 'slot_hold_minutes', setting_value: '5', setting_type: 'number' }]
+      }
+    });
+
+    const res = await request(app).post('/api/bookings/holds').send(slot());
+    const minutes = moment(res.body.hold.expires_at).diff(courseNow(), 'minutes', true);
+    expect(minutes).toBeGreaterThan(4.9);
+    expect(minutes).toBeLessThanOrEqual(5);
+  });
+});
+
+describe('abandoned booking sweep', () => {
+  const unpaid = (overrides = {}) => ({
+    ...booking(),
+    total_green_fees: 20,
+    total_amount: 20,
+    payment_status: 'pending',
+    status: 'confirmed',
+    created_at: courseNow().subtract(45, 'minutes').toISOString(),
+    checkout_started_at: courseNow().subtract(45, 'minutes').toISOString(),
+    ...overrides
+  });
+
+  test('cancels stale online checkouts but leaves pay-at-course bookings', async () => {
+    const { db } = createTestApp({
+      seed: {
+        tee_times: [
+          unpaid({ id: '20000000-0000-4000-8000-000000000001', stripe_payment_intent_id: 'pi_abandoned' }),
+          unpaid({ id: '20000000-0000-4000-8000-000000000002', stripe_payment_intent_id: 'pi_failed', payment_status: 'failed' }),
+          unpaid({ id: '20000000-0000-4000-8000-000000000003' }),
+          unpaid({ id: '20000000-0000-4000-8000-000000000004', stripe_payment_intent_id: 'pi_paid', payment_status: 'paid' }),
+          unpaid({
+            id: '20000000-0000-4000-8000-000000000005',
+            stripe_payment_intent_id: 'pi_recent',
+            created_at: courseNow().subtract(5, 'minutes').toISOString(),
+            checkout_started_at: courseNow().subtract(5, 'minutes').toISOString()
+          })
+        ]
+      }
+    });
+
+    const result = await sweepCheckouts(db);
+    expect(result.cancelledBookings).toHaveLength(2);
+
+    const { data: cancelled } = await db.teeTimes.find({ status: 'cancelled' }, { order: ['id'] });
+    expect(cancelled.map(row => row.stripe_payment_intent_id)).toEqual(['pi_abandoned', 'pi_failed']);
+    expect(cancelled[0].cancellation_reason).toBe('Payment not completed');
+  });
+
+  test('times abandonment from when checkout started, not when the booking was made', async () => {
+    mockPaymentIntentsCreate.mockResolvedValue({ id: 'pi_late', client_secret: 'secret' });
+    const bookingId = '20000000-0000-4000-8000-000000000001';
+    const { app, db } = createTestApp({
+      seed: {
+        tee_times: [unpaid({
+          id: bookingId,
+          user_id: MEMBER_ID,
+          created_at: courseNow().subtract(2, 'hours').toISOString(),
+          checkout_started_at: null
+        })]
+      }
+    });
+
+    const res = await request(app)
+      .post('/api/payments/create-booking-payment')
+      .set('Authorization', await authHeader(db, MEMBER_ID))
+      .send({ booking_id: bookingId, amount: 20 });
+    expect(res.status).toBe(200);
+
+    let result = await sweepCheckouts(db);
+    expect(result.cancelledBookings).toHaveLength(0);
+
+    result = await sweepCheckouts(db, { now: moment().add(45, 'minutes').toDate() });
+    expect(result.cancelledBookings.map(row => row.id)).toEqual([bookingId]);
+  });
+
+  test('a zero timeout disables the cancellation', async () => {
+    const { db } = createTestApp({
+      seed: {
+        admin_settings: [{ setting_key: 'unpaid_booking_timeout_minutes', setting_value: '0', setting_type: 'number' }],
+        tee_times: [unpaid({ stripe_payment_intent_id: 'pi_abandoned' })]
+      }
+    });
+
+    const result = await sweepCheckouts(db);
+    expect(result.cancelledBookings).toHaveLength(0);
+  });
+});
@@ -0,0 +1,254 @@
+const request = require('supertest');
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+const { generateStandingTeeTimes, SERIES_CHANGE_REASON } = require('../api/services/standingTeeTimes');
+
+const ADVANCE_DAYS = 21;
+
+const today = courseNow().format('YYYY-MM-DD');
+
+// Dates after today, inside the advance window, falling on the given weekdays
+const datesOn = (weekdays) => {
+  const dates = [];
+  for (let offset = 1; offset <= ADVANCE_DAYS; offset += 1) {
+    const date = courseNow().add(offset, 'days');
+    if (weekdays.includes(date.day())) {
+      dates.push(date.format('YYYY-MM-DD'));
+    }
+  }
+  return dates;
+};
+
+const tuesdays = datesOn([2]);
+
+const membership = (user_id) => ({
+  user_id,
+  membership_type: 'single',
+  status: 'active',
+  annual_fee: 250,
+  start_date: courseNow().subtract(1, 'month').format('YYYY-MM-DD'),
+  end_date: courseNow().add(1, 'year').format('YYYY-MM-DD')
+});
+
+const seriesBody = (overrides = {}) => ({
+  name: "Tuesday & Thursday Men's Group",
+  days_of_week: [2, 4],
+  tee_times: ['08:00', '08:10'],
+  start_date: today,
+  number_of_players: 4,
+  green_fee_type: '9_holes',
+  ...overrides
+});
+
+const createSeries = (app, authorization, overrides) => request(app)
+  .post('/api/bookings/series')
+  .set('Authorization', authorization)
+  .send(seriesBody(overrides));
+
+const occurrencesOf = async (db, seriesId, status = 'confirmed') =>
+  (await db.teeTimes.find({ series_id: seriesId, status }, { order: ['booking_date', 'tee_time'] })).data;
+
+describe('standing tee times', () => {
+  let app;
+  let db;
+  let memberAuth;
+
+  const setup = (seed = {}) => {
+    ({ app, db } = createTestApp({
+      seed: {
+        memberships: [membership(MEMBER_ID)],
+        admin_settings: [{
+          setting_key: 'member_booking_advance_days',
+          setting_value: String(ADVANCE_DAYS),
+          setting_type: 'number'
+        }],
+        ...seed
+      }
+    }));
+  };
+
+  beforeEach(async () => {
+    setup();
+    memberAuth = await authHeader(db, MEMBER_ID);
+  });
+
+  test('only members can set up a standing tee time', async () => {
+    const res = await createSeries(app, await authHeader(db, ADMIN_ID));
+    expect(res.status).toBe(403);
+  });
+
+  test('books every occurrence inside the member advance window', async () => {
+    const res = await createSeries(app, memberAuth);
+    expect(res.status).toBe(201);
+
+    const dates = datesOn([2, 4]);
+    const occurrences = await occurrencesOf(db, res.body.series.id);
+
+    expect(res.body.booked).toHaveLength(dates.length * 2);
+    expect(occurrences.map(occurrence => `${occurrence.booking_date} ${occurrence.tee_time}`))
+      .toEqual(dates.flatMap(date => [`${date} 08:00`, `${date} 08:10`]));
+    expect(occurrences[0]).toMatchObject({
+      user_id: MEMBER_ID,
+      number_of_players: 4,
+      primary_player_email: 'member@test.local',
+      payment_status: 'pending'
+    });
+
+    const mine = await request(app).get('/api/bookings/my-bookings').set('Authorization', memberAuth);
+    expect(mine.body.series).toHaveLength(1);
+    expect(mine.body.bookings).toHaveLength(dates.length * 2);
+  });
+
+  test('biweekly series skip every other week and honour skip dates', async () => {
+    const res = await createSeries(app, memberAuth, {
+      frequency: 'biweekly',
+      days_of_week: [2],
+      tee_times: ['08:00'],
+      start_date: tuesdays[0],
+      skip_dates: [tuesdays[2]]
+    });
+
+    const occurrences = await occurrencesOf(db, res.body.series.id);
+    expect(occurrences.map(occurrence => occurrence.booking_date)).toEqual([tuesdays[0]]);
+  });
+
+  test('records events, closures and full slots as conflicts instead of booking them', async () => {
+    setup({
+      events: [{
+        id: '40000000-0000-4000-8000-000000000001',
+        title: 'Club Championship',
+        event_type: 'tournament',
+        event_date: tuesdays[0],
+        start_time: '07:00',
+        end_time: '12:00',
+        status: 'upcoming',
+        blocks_tee_sheet: true,
+        block_scope: 'course'
+      }],
+      course_conditions: [{ condition_date: tuesdays[1], overall_condition: 'closed', holes_available: 0 }],
+      tee_times: [{
+        user_id: ADMIN_ID,
+        booking_date: tuesdays[2],
+        tee_time: '08:00',
+        number_of_players: 3,
+        primary_player_name: 'Early Three',
+        primary_player_email: 'three@example.com',
+        green_fee_type: '9_holes',
+        status: 'confirmed'
+      }]
+    });
+    memberAuth = await authHeader(db, MEMBER_ID);
+
+    const res = await createSeries(app, memberAuth, { days_of_week: [2], tee_times: ['08:00'] });
+    expect(res.status).toBe(201);
+
+    const conflicts = res.body.conflicts.map(({ occurrence_date, reason, details }) => ({ occurrence_date, reason, details }));
+    expect(conflicts).toEqual([
+      { occurrence_date: tuesdays[0], reason: 'event', details: 'Club Championship' },
+      { occurrence_date: tuesdays[1], reason: 'closure', details: 'Course closed' },
+      { occurrence_date: tuesdays[2], reason: 'full', details: expect.any(String) }
+    ]);
+
+    const booked = (await occurrencesOf(db, res.body.series.id)).map(occurrence => occurrence.booking_date);
+    expect(booked).toEqual(tuesdays.slice(3));
+
+    const mine = await request(app).get('/api/bookings/my-bookings').set('Authorization', memberAuth);
+    expect(mine.body.series[0].conflicts).toHaveLength(3);
+
+    const report = await request(app)
+      .get('/api/admin/standing-tee-times')
+      .set('Authorization', await authHeader(db, ADMIN_ID));
+    expect(report.status).toBe(200);
+    expect(report.body.total_conflicts).toBe(3);
+  });
+
+  test('clears a conflict and books the slot once it no longer applies', async () => {
+    setup({
+      course_conditions: [{ condition_date: tuesdays[0], overall_condition: 'closed', holes_available: 0 }]
+    });
+    memberAuth = await authHeader(db, MEMBER_ID);
+
+    const res = await createSeries(app, memberAuth, { days_of_week: [2], tee_times: ['08:00'] });
+    expect(res.body.conflicts).toHaveLength(1);
+
+    await db.courseConditions.update({ condition_date: tuesdays[0] }, { overall_condition: 'good', holes_available: 9 });
+    await generateStandingTeeTimes(db);
+
+    const { data: conflicts } = await db.bookingSeriesConflicts.find({ series_id: res.body.series.id });
+    expect(conflicts).toEqual([]);
+    expect((await occurrencesOf(db, res.body.series.id))[0].booking_date).toBe(tuesdays[0]);
+  });
+
+  test('generation is idempotent and leaves occurrences the golfer cancelled alone', async () => {
+    const res = await createSeries(app, memberAuth, { days_of_week: [2], tee_times: ['08:00'] });
+    const last = (await occurrencesOf(db, res.body.series.id)).pop();
+
+    const cancel = await request(app).delete(`/api/bookings/${last.id}`).set('Authorization', memberAuth);
+    expect(cancel.status).toBe(200);
+
+    const { booked } = await generateStandingTeeTimes(db);
+    expect(booked).toEqual([]);
+    expect(await occurrencesOf(db, res.body.series.id)).toHaveLength(tuesdays.length - 1);
+  });
+
+  test('editing a series moves future occurrences to the new rule', async () => {
+    const res = await createSeries(app, memberAuth, { days_of_week: [2], tee_times: ['08:00'] });
+
+    const edit = await request(app)
+      .put(`/api/bookings/series/${res.body.series.id}`)
+      .set('Authorization', memberAuth)
+      .send({ tee_times: ['09:00'], number_of_players: 3 });
+
+    expect(edit.status).toBe(200);
+    expect(edit.body.cancelled).toHaveLength(tuesdays.length);
+    expect(edit.body.cancelled[0].cancellation_reason).toBe(SERIES_CHANGE_REASON);
+
+    const occurrences = await occurrencesOf(db, res.body.series.id);
+    expect(occurrences.map(occurrence => [occurrence.booking_date, occurrence.tee_time, occurrence.number_of_players]))
+      .toEqual(tuesdays.map(date => [date, '09:00', 3]));
+
+    // Changing back books the original slots again
+    await request(app)
+      .put(`/api/bookings/series/${res.body.series.id}`)
+      .set('Authorization', memberAuth)
+      .send({ tee_times: ['08:00'], number_of_players: 4 });
+
+    expect((await occurrencesOf(db, res.body.series.id)).map(occurrence => occurrence.tee_time))
+      .toEqual(tuesdays.map(() => '08:00'));
+  });
+
+  test('cancelling a series cancels its future occurrences', async () => {
+    const res = await createSeries(app, memberAuth);
+
+    const cancel = await request(app)
+      .delete(`/api/bookings/series/${res.body.series.id}`)
+      .set('Authorization', memberAuth);
+
+    expect(cancel.status).toBe(200);
+    expect(cancel.body.series.status).toBe('cancelled');
+    expect(await occurrencesOf(db, res.body.series.id)).toEqual([]);
+
+    const { booked } = await generateStandingTeeTimes(db);
+    expect(booked).toEqual([]);
+  });
+
+  test('only the owner or booking staff can manage a series', async () => {
+    const res = await createSeries(app, memberAuth, { days_of_week: [2], tee_times: ['08:00'] });
+    const path = `/api/bookings/series/${res.body.series.id}`;
+
+    const other = await request(app).get(path).set('Authorization', await authHeader(db, ROLE_USER_IDS.treasurer));
+    expect(other.status).toBe(403);
+
+    const staff = await request(app).get(path).set('Authorization', await authHeader(db, ROLE_USER_IDS.staff));
+    expect(staff.status).toBe(200);
+    expect(staff.body.occurrences).toHaveLength(tuesdays.length);
+  });
+
+  test('rejects invalid recurrence rules', async () => {
+    const res = await createSeries(app, memberAuth, { days_of_week: [7], tee_times: [] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path || error.param)).toEqual(
+      expect.arrayContaining(['days_of_week[0]', 'tee_times'])
+    );
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { createTestApp, courseNow, authHeader, ROLE_USER_IDS, MEMBER_ID } = require('./helpers');
+const { closeTeeSheet } = require('../api/services/teeSheet');
+
+const today = courseNow().format('YYYY-MM-DD');
+const tomorrow = courseNow().add(1, 'day').format('YYYY-MM-DD');
+
+const BOOKING_IDS = {
+  early: '30000000-0000-4000-8000-000000000001',
+  joined: '30000000-0000-4000-8000-000000000002',
+  late: '30000000-0000-4000-8000-000000000003',
+  tomorrow: '30000000-0000-4000-8000-000000000004'
+};
+
+const booking = (id, tee_time, overrides = {}) => ({
+  id,
+  user_id: MEMBER_ID,
+  booking_date: today,
+  tee_time,
+  number_of_players: 2,
+  primary_player_name: 'Sam Starter',
+  primary_player_email: 'sam@example.com',
+  additional_players: [{ name: 'Pat Partner' }],
+  green_fee_type: '9_holes',
+  cart_rental: false,
+  total_green_fees: 20,
+  total_amount: 20,
+  payment_status: 'pending',
+  status: 'confirmed',
+  created_at: '2026-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('admin tee sheet', () => {
+  let app;
+  let db;
+  let starterAuth;
+
+  beforeEach(async () => {
+    ({ app, db } = createTestApp({
+      seed: {
+        tee_times: [
+          booking(BOOKING_IDS.early, '08:00', { cart_rental: true, special_requests: 'Left-handed clubs' }),
+          booking(BOOKING_IDS.joined, '08:00', {
+            user_id: null,
+            primary_player_name: 'Guest Golfer',
+            additional_players: [],
+            number_of_players: 1,
+            payment_status: 'paid',
+            created_at: '2026-01-02T00:00:00.000Z'
+          }),
+          booking(BOOKING_IDS.late, '15:30'),
+          booking(BOOKING_IDS.tomorrow, '08:00', { booking_date: tomorrow }),
+          booking('30000000-0000-4000-8000-000000000005', '09:00', { status: 'cancelled' })
+        ]
+      }
+    }));
+    starterAuth = await authHeader(db, ROLE_USER_IDS.starter);
+  });
+
+  const action = (id, step, body = {}) => request(app)
+    .post(`/api/admin/tee-sheet/${id}/${step}`)
+    .set('Authorization', starterAuth)
+    .send(body);
+
+  test('groups the day by slot with players, payment and cart details', async () => {
+    const res = await request(app)
+      .get('/api/admin/tee-sheet')
+      .set('Authorization', starterAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.date).toBe(today);
+
+    const eight = res.body.slots.find(slot => slot.time === '08:00');
+    expect(eight).toMatchObject({ players: 3, spots_remaining: 1 });
+    expect(eight.bookings.map(entry => entry.id)).toEqual([BOOKING_IDS.early, BOOKING_IDS.joined]);
+    expect(eight.bookings[0]).toMatchObject({
+      players: ['Sam Starter', 'Pat Partner'],
+      member: 'Member Tester',
+      cart_rental: true,
+      amount_due: 20,
+      special_requests: 'Left-handed clubs',
+      sheet_status: 'confirmed'
+    });
+    expect(eight.bookings[1]).toMatchObject({ member: null, amount_due: 0 });
+
+    // Cancelled bookings are off the sheet; empty slots stay on it
+    expect(res.body.slots.find(slot => slot.time === '09:00').bookings).toEqual([]);
+    expect(res.body.summary).toMatchObject({ bookings: 3, players: 5, awaiting_check_in: 3, unpaid: 2 });
+  });
+
+  test('checks a group in and completes its round', async () => {
+    let res = await action(BOOKING_IDS.early, 'check-in');
+    expect(res.status).toBe(200);
+    expect(res.body.booking.sheet_status).toBe('checked_in');
+
+    res = await action(BOOKING_IDS.early, 'check-in');
+    expect(res.status).toBe(400);
+
+    res = await action(BOOKING_IDS.early, 'no-show');
+    expect(res.status).toBe(400);
+
+    res = await action(BOOKING_IDS.early, 'complete');
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ status: 'completed', sheet_status: 'completed' });
+
+    const { data: stored } = await db.teeTimes.findById(BOOKING_IDS.early);
+    expect(stored.checked_in_by).toBe(ROLE_USER_IDS.starter);
+    expect(stored.completed_at).toBeTruthy();
+  });
+
+  test('marks no-shows and frees their spots', async () => {
+    const res = await action(BOOKING_IDS.late, 'no-show');
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.status).toBe('no_show');
+
+    const availability = await request(app).get('/api/bookings/availability').query({ date: today });
+    expect(availability.body.time_slots.find(slot => slot.time === '15:30').spots_remaining).toBe(4);
+  });
+
+  test('refuses day-of steps before the booking\'s day', async () => {
+    const res = await action(BOOKING_IDS.tomorrow, 'check-in');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/before its day/);
+  });
+
+  test('takes payment at the counter once', async () => {
+    let res = await action(BOOKING_IDS.early, 'payment', { payment_method: 'bitcoin' });
+    expect(res.status).toBe(400);
+
+    res = await action(BOOKING_IDS.early, 'payment', { payment_method: 'cash' });
+    expect(res.status).toBe(200);
+    expect(res.body.booking).toMatchObject({ payment_status: 'paid', payment_method: 'cash', amount_due: 0 });
+    expect(res.body.transaction).toMatchObject({
+      transaction_type: 'tee_time',
+      payment_provider: 'cash',
+      amount: 20,
+      tee_time_id: BOOKING_IDS.early,
+      status: 'completed'
+    });
+
+    res = await action(BOOKING_IDS.early, 'payment', { payment_method: 'cash' });
+    expect(res.status).toBe(400);
+
+    const { data: transactions } = await db.paymentTransactions.find({ tee_time_id: BOOKING_IDS.early });
+    expect(transactions).toHaveLength(1);
+  });
+
+  test('closing the day completes checked-in rounds and no-shows the rest', async () => {
+    await action(BOOKING_IDS.early, 'check-in');
+
+    const { completed, noShows } = await closeTeeSheet(db, { date: today });
+
+    expect(completed.map(entry => entry.id)).toEqual([BOOKING_IDS.early]);
+    expect(noShows.map(entry => entry.id).sort()).toEqual([BOOKING_IDS.joined, BOOKING_IDS.late]);
+
+    const { data: future } = await db.teeTimes.findById(BOOKING_IDS.tomorrow);
+    expect(future.status).toBe('confirmed');
+  });
+
+  test('closing can complete unchecked rounds instead', async () => {
+    await db.adminSettings.create({ setting_key: 'auto_close_no_shows', setting_value: 'false', setting_type: 'boolean' });
+
+    const res = await request(app)
+      .post('/api/admin/tee-sheet/close')
+      .set('Authorization', starterAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.completed).toHaveLength(3);
+    expect(res.body.no_shows).toEqual([]);
+
+    const future = await request(app)
+      .post('/api/admin/tee-sheet/close')
+      .set('Authorization', starterAuth)
+      .send({ date: tomorrow });
+    expect(future.status).toBe(400);
+  });
+});
@@ -0,0 +1,202 @@
+const mockSend = jest.fn();
+jest.mock('@sendgrid/mail', () => ({ setApiKey: jest.fn(), send: (...args) => mockSend(...args) }));
+
+const request = require('supertest');
+const { reschedule_tee_time } = require('../api/data/procedures');
+const { createTestApp, courseNow, authHeader, ROLE_USER_IDS, MEMBER_ID } = require('./helpers');
+
+const today = courseNow().format('YYYY-MM-DD');
+const tomorrow = courseNow().add(1, 'day').format('YYYY-MM-DD');
+
+const bookingId = (n) => `30000000-0000-4000-8000-00000000000${n}`;
+
+const booking = (n, tee_time, number_of_players, overrides = {}) => ({
+  id: bookingId(n),
+  user_id: MEMBER_ID,
+  booking_date: today,
+  tee_time,
+  number_of_players,
+  primary_player_name: `Golfer ${n}`,
+  primary_player_email: `golfer${n}@example.com`,
+  green_fee_type: '9_holes',
+  total_green_fees: 20 * number_of_players,
+  total_amount: 20 * number_of_players,
+  payment_status: 'pending',
+  status: 'confirmed',
+  created_at: `2026-01-01T00:00:0${n}.000Z`,
+  ...overrides
+});
+
+const setting = (key, value) => ({ setting_key: key, setting_value: String(value), setting_type: 'string' });
+
+describe('tee sheet delays', () => {
+  const setup = async (seed, procedures) => {
+    const { app, db } = createTestApp({ seed, procedures });
+    const auth = await authHeader(db, ROLE_USER_IDS.starter);
+    const delay = (body) => request(app).post('/api/admin/tee-sheet/delay').set('Authorization', auth).send(body);
+    return { app, db, delay };
+  };
+
+  const teeTimes = async (db) => {
+    const { data } = await db.teeTimes.find({}, { order: ['id'] });
+    return Object.fromEntries(data.map(row => [row.id, String(row.tee_time).slice(0, 5)]));
+  };
+
+  test('pushes the window back in order around the groups that stay put', async () => {
+    const { db, delay } = await setup({
+      tee_times: [
+        booking(1, '07:00', 2),
+        booking(2, '07:15', 4),
+        booking(3, '09:00', 2),
+        booking(4, '09:15', 3),
+        // Outside the window: stays at 10:00 and leaves one spot
+        booking(5, '10:00', 3),
+        booking(6, '07:30', 2, { status: 'cancelled' })
+      ]
+    });
+
+    const res = await delay({ from_time: '07:00', to_time: '09:30', delay_minutes: 60, reason: 'Frost delay' });
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Tee times delayed 60 minutes: 4 moved, 2 collision(s), 0 past closing');
+    expect(res.body.moved.map(({ id, from, to }) => [id, from, to])).toEqual([
+      [bookingId(1), '07:00', '08:00'],
+      [bookingId(2), '07:15', '08:15'],
+      [bookingId(3), '09:00', '10:15'],
+      [bookingId(4), '09:15', '10:30']
+    ]);
+    expect(res.body.collisions.map(({ id, requested, to }) => [id, requested, to])).toEqual([
+      [bookingId(3), '10:00', '10:15'],
+      [bookingId(4), '10:15', '10:30']
+    ]);
+    expect(res.body.overflow).toEqual([]);
+
+    expect(await teeTimes(db)).toEqual({
+      [bookingId(1)]: '08:00',
+      [bookingId(2)]: '08:15',
+      [bookingId(3)]: '10:15',
+      [bookingId(4)]: '10:30',
+      [bookingId(5)]: '10:00',
+      [bookingId(6)]: '07:30'
+    });
+
+    const { data: changes } = await db.bookingChanges.find({ tee_time_id: bookingId(1) });
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      change_type: 'delay',
+      note: 'Frost delay',
+      changed_by: ROLE_USER_IDS.starter,
+      amount_difference: 0,
+      settlement: 'none'
+    });
+    expect(changes[0].previous.tee_time).toBe('07:00');
+    expect(changes[0].changes).toMatchObject({ tee_time: '08:00', total_amount: 40 });
+  });
+
+  test('groups with no tee time before closing keep theirs and are reported', async () => {
+    const { db, delay } = await setup({
+      admin_settings: [setting('course_close_time', '10:00')],
+      tee_times: [
+        booking(1, '08:00', 2),
+        booking(2, '09:00', 4)
+      ]
+    });
+
+    let res = await delay({ from_time: '08:00', to_time: '09:30', delay_minutes: 60, dry_run: true });
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Delay preview: 1 moved, 1 collision(s), 1 past closing');
+    // The 9:00 group stays, so the 8:00 group cannot take its tee time
+    expect(res.body.moved).toMatchObject([{ id: bookingId(1), from: '08:00', to: '09:15' }]);
+    expect(res.body.collisions).toMatchObject([{ id: bookingId(1), requested: '09:00', to: '09:15' }]);
+    expect(res.body.overflow).toMatchObject([{ id: bookingId(2), from: '09:00', requested: '10:00' }]);
+    expect(await teeTimes(db)).toEqual({ [bookingId(1)]: '08:00', [bookingId(2)]: '09:00' });
+
+    res = await delay({ from_time: '08:00', to_time: '09:30', delay_minutes: 60 });
+    expect(res.status).toBe(200);
+    expect(await teeTimes(db)).toEqual({ [bookingId(1)]: '09:15', [bookingId(2)]: '09:00' });
+
+    const { data: changes } = await db.bookingChanges.find({ tee_time_id: bookingId(2) });
+    expect(changes).toEqual([]);
+  });
+
+  test('private groups and event blocks are stepped around', async () => {
+    const { db, delay } = await setup({
+      tee_times: [
+        booking(1, '07:00', 1),
+        booking(2, '08:00', 2, { is_private: true })
+      ],
+      events: [{
+        id: '50000000-0000-4000-8000-000000000001',
+        title: 'Greens Maintenance',
+        event_type: 'maintenance',
+        event_date: today,
+        start_time: '08:15',
+        end_time: '08:45',
+        blocks_tee_sheet: true,
+        block_scope: 'course',
+        status: 'upcoming'
+      }]
+    });
+
+    const res = await delay({ from_time: '07:00', to_time: '07:30', delay_minutes: 60 });
+    expect(res.status).toBe(200);
+    expect(await teeTimes(db)).toEqual({ [bookingId(1)]: '08:45', [bookingId(2)]: '08:00' });
+  });
+
+  test('a group that fails to move keeps its tee time and the rest are still moved and told', async () => {
+    mockSend.mockReset().mockResolvedValue([{ statusCode: 202 }]);
+    process.env.SENDGRID_API_KEY = 'SG.test';
+
+    try {
+      const { db, delay } = await setup({
+        tee_times: [
+          booking(1, '07:00', 2),
+          booking(2, '07:15', 2),
+          booking(3, '07:30', 2)
+        ]
+      }, {
+        reschedule_tee_time: (adapter, params) => {
+          if (params.p_booking_id === bookingId(2)) {
+            throw new Error('Connection terminated unexpectedly');
+          }
+          return reschedule_tee_time(adapter, params);
+        }
+      });
+
+      const res = await delay({ from_time: '07:00', to_time: '08:00', delay_minutes: 60, reason: 'Frost delay' });
+      expect(res.status).toBe(200);
+      expect(res.body.moved.map(({ id, to, notified }) => [id, to, notified])).toEqual([
+        [bookingId(1), '08:00', true],
+        [bookingId(3), '08:30', true]
+      ]);
+      expect(res.body.collisions).toMatchObject([{ id: bookingId(2), requested: '08:15', to: null }]);
+      expect(await teeTimes(db)).toEqual({
+        [bookingId(1)]: '08:00',
+        [bookingId(2)]: '07:15',
+        [bookingId(3)]: '08:30'
+      });
+      expect(mockSend.mock.calls.map(([email]) => email.to).sort()).toEqual(['golfer1@example.com', 'golfer3@example.com']);
+    } finally {
+      delete process.env.SENDGRID_API_KEY;
+    }
+  });
+
+  test('rejects delays the tee sheet cannot take', async () => {
+    const { delay } = await setup({ tee_times: [booking(1, '07:00', 2)] });
+
+    let res = await delay({ from_time: '09:00', to_time: '07:00', delay_minutes: 30 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('From time must be before to time');
+
+    res = await delay({ date: tomorrow, from_time: '07:00', to_time: '09:00', delay_minutes: 30 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Only today's tee sheet can be delayed");
+
+    res = await delay({ from_time: '07:00', to_time: '09:00', delay_minutes: 20 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Delays must be a multiple of the 15-minute tee time interval');
+
+    res = await delay({ from_time: '7am', to_time: '09:00', delay_minutes: 0 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+});
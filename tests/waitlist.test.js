@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { createTestApp, courseNow, authHeader, ADMIN_ID, MEMBER_ID, ROLE_USER_IDS } = require('./helpers');
+const { runCheckoutSweep } = require('../api/jobs');
+
+const date = courseNow().add(3, 'days').format('YYYY-MM-DD');
+const BOOKING_ID = '30000000-0000-4000-8000-000000000001';
+
+const bookedSlot = (overrides = {}) => ({
+  id: BOOKING_ID,
+  user_id: ADMIN_ID,
+  booking_date: date,
+  tee_time: '09:00',
+  number_of_players: 4,
+  primary_player_name: 'Full Group',
+  primary_player_email: 'full@example.com',
+  green_fee_type: '9_holes',
+  total_green_fees: 40,
+  total_amount: 40,
+  payment_status: 'pending',
+  status: 'confirmed',
+  ...overrides
+});
+
+const joinWaitlist = (app, authorization, overrides = {}) => request(app)
+  .post('/api/waitlist')
+  .set('Authorization', authorization)
+  .send({
+    booking_date: date,
+    earliest_time: '08:00',
+    latest_time: '10:00',
+    number_of_players: 2,
+    ...overrides
+  });
+
+describe('tee time waitlist', () => {
+  let app;
+  let db;
+  let adminAuth;
+  let memberAuth;
+  let staffAuth;
+
+  beforeEach(async () => {
+    ({ app, db } = createTestApp({ seed: { tee_times: [bookedSlot()] } }));
+    adminAuth = await authHeader(db, ADMIN_ID);
+    memberAuth = await authHeader(db, MEMBER_ID);
+    staffAuth = await authHeader(db, ROLE_USER_IDS.staff);
+  });
+
+  const offeredEntry = async (id) => (await db.waitlistEntries.findById(id)).data;
+
+  test('a cancellation offers the slot to the first matching golfer', async () => {
+    const first = await joinWaitlist(app, memberAuth);
+    const second = await joinWaitlist(app, staffAuth);
+    expect(first.status).toBe(201);
+    expect(second.body.position).toBe(2);
+
+    const res = await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', adminAuth);
+    expect(res.status).toBe(200);
+
+    // Both groups of two fit into the freed foursome
+    const entry = await offeredEntry(first.body.entry.id);
+    expect(entry).toMatchObject({ status: 'offered', offered_tee_time: '09:00' });
+    expect((await offeredEntry(second.body.entry.id)).status).toBe('offered');
+
+    // The offered spots are held, not open to everyone
+    const availability = await request(app).get('/api/bookings/availability').query({ date });
+    expect(availability.body.time_slots.find(slot => slot.time === '09:00').spots_remaining).toBe(0);
+  });
+
+  test('entries outside the freed time window or too large keep waiting', async () => {
+    const early = await joinWaitlist(app, memberAuth, { earliest_time: '07:00', latest_time: '08:30' });
+    await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', adminAuth);
+
+    expect((await offeredEntry(early.body.entry.id)).status).toBe('waiting');
+  });
+
+  test('a claim link books the held spots', async () => {
+    const joined = await joinWaitlist(app, memberAuth);
+    await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', adminAuth);
+
+    const entry = await offeredEntry(joined.body.entry.id);
+    const { data: hold } = await db.teeTimeHolds.findById(entry.hold_id);
+
+    let res = await request(app).get(`/api/waitlist/${entry.id}/offer`).query({ token: hold.hold_token });
+    expect(res.status).toBe(200);
+    expect(res.body.offer).toMatchObject({ booking_date: date, tee_time: '09:00', number_of_players: 2 });
+
+    res = await request(app)
+      .post(`/api/waitlist/${entry.id}/claim`)
+      .send({ token: hold.hold_token, green_fee_type: '9_holes' });
+    expect(res.status).toBe(201);
+    expect(res.body.booking).toMatchObject({
+      user_id: MEMBER_ID,
+      tee_time: '09:00',
+      number_of_players: 2,
+      primary_player_email: 'member@test.local',
+      total_amount: 20
+    });
+
+    expect((await offeredEntry(entry.id)).status).toBe('claimed');
+    expect((await db.teeTimeHolds.findById(hold.id)).data.status).toBe('converted');
+
+    res = await request(app)
+      .post(`/api/waitlist/${entry.id}/claim`)
+      .send({ token: hold.hold_token, green_fee_type: '9_holes' });
+    expect(res.status).toBe(409);
+  });
+
+  test('claim links need the right token', async () => {
+    const joined = await joinWaitlist(app, memberAuth);
+    await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', adminAuth);
+
+    const res = await request(app)
+      .get(`/api/waitlist/${joined.body.entry.id}/offer`)
+      .query({ token: '00000000-0000-4000-8000-000000000000' });
+    expect(res.status).toBe(404);
+  });
+
+  test('an expired offer passes to the next golfer', async () => {
+    const first = await joinWaitlist(app, memberAuth, { number_of_players: 4 });
+    const second = await joinWaitlist(app, staffAuth, { number_of_players: 4 });
+    await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', adminAuth);
+
+    let entry = await offeredEntry(first.body.entry.id);
+    expect(entry.status).toBe('offered');
+    expect((await offeredEntry(second.body.entry.id)).status).toBe('waiting');
+
+    // Let the offer run out
+    const past = courseNow().subtract(1, 'minute').toISOString();
+    await db.teeTimeHolds.updateById(entry.hold_id, { expires_at: past });
+    await db.waitlistEntries.updateById(entry.id, { offer_expires_at: past });
+
+    const { data: hold } = await db.teeTimeHolds.findById(entry.hold_id);
+    const res = await request(app).get(`/api/waitlist/${entry.id}/offer`).query({ token: hold.hold_token });
+    expect(res.status).toBe(410);
+
+    const result = await runCheckoutSweep(db);
+    expect(result.expiredOffers).toHaveLength(1);
+    expect(result.offers.map(offer => offer.id)).toEqual([second.body.entry.id]);
+
+    entry = await offeredEntry(first.body.entry.id);
+    expect(entry.status).toBe('expired');
+  });
+
+  test('leaving the waitlist with an offer passes it on', async () => {
+    const first = await joinWaitlist(app, memberAuth, { number_of_players: 4 });
+    const second = await joinWaitlist(app, staffAuth, { number_of_players: 4 });
+    await request(app).delete(`/api/bookings/${BOOKING_ID}`).set('Authorization', adminAuth);
+
+    const res = await request(app).delete(`/api/waitlist/${first.body.entry.id}`).set('Authorization', memberAuth);
+    expect(res.status).toBe(200);
+
+    expect((await offeredEntry(first.body.entry.id)).status).toBe('cancelled');
+    expect((await offeredEntry(second.body.entry.id)).status).toBe('offered');
+  });
+
+  test('golfers cannot remove other golfers from the waitlist', async () => {
+    const joined = await joinWaitlist(app, staffAuth);
+    const treasurerAuth = await authHeader(db, ROLE_USER_IDS.treasurer);
+
+    const res = await request(app).delete(`/api/waitlist/${joined.body.entry.id}`).set('Authorization', treasurerAuth);
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects a time window that ends before it starts', async () => {
+    const res = await joinWaitlist(app, memberAuth, { earliest_time: '11:00', latest_time: '09:00' });
+    expect(res.status).toBe(400);
+  });
+
+  test('admins see waitlist depth per day', async () => {
+    await joinWaitlist(app, memberAuth);
+    await joinWaitlist(app, staffAuth, { number_of_players: 3 });
+
+    const res = await request(app).get('/api/admin/waitlist').set('Authorization', adminAuth);
+    expect(res.status).toBe(200);
+    expect(res.body.days).toEqual([{ date, waiting: 2, offered: 0, players_waiting: 5 }]);
+
+    const day = await request(app).get(`/api/admin/waitlist/${date}`).set('Authorization', adminAuth);
+    expect(day.body.entries.map(entry => entry.users.email)).toEqual(['member@test.local', 'staff@test.local']);
+  });
+});